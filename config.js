@@ -25,6 +25,21 @@ const config = {
     planningCandidates: (process.env.PLANNING_CANDIDATES || "openai/gpt-5-chat,google/gemini-2.5-pro,anthropic/claude-sonnet-4")
       .split(',').map(s=>s.trim()).filter(Boolean),
     useDynamicCatalog: process.env.USE_DYNAMIC_CATALOG === 'true',
+    // Route model ids to LLM providers by prefix (longest match wins, prefix is stripped).
+    // Accept JSON object {"prefix/":"provider"} or CSV "prefix/=provider,..."; unmatched ids use providers.default
+    providerRoutes: process.env.LLM_PROVIDER_ROUTES ?
+      (function parseRoutes(val){
+        try {
+          const parsed = JSON.parse(val);
+          if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch(_) {}
+        return Object.fromEntries(String(val).split(',').map(s=>s.trim()).filter(Boolean)
+          .map(pair=>pair.split('=').map(s=>s.trim())).filter(([prefix, provider])=>prefix && provider));
+      })(process.env.LLM_PROVIDER_ROUTES) : {
+        "local/": "openai-compatible",
+        "anthropic-direct/": "anthropic",
+        "fake/": "fake"
+      },
     // Define models with domain strengths
     // Accept either JSON array of objects or CSV of model ids in env vars
     highCost: process.env.HIGH_COST_MODELS ? 
@@ -101,7 +116,7 @@ const config = {
   // Database configuration for knowledge base using PGLite
   database: {
     dataDirectory: process.env.PGLITE_DATA_DIR || "./researchAgentDB",
-    vectorDimension: 384, // Dimension for the embeddings from all-MiniLM-L6-v2
+    vectorDimension: 384, // Dimension for the embeddings from all-MiniLM-L6-v2 (used when config.embeddings is invalid)
     cacheTTL: parseInt(process.env.CACHE_TTL_SECONDS, 10) || 3600, // 1 hour in seconds
     // Enhanced PGLite configuration
     databaseUrl: process.env.PGLITE_DATABASE_URL || null, // Override auto-detected URL
@@ -120,6 +135,17 @@ const config = {
     autoIndexFetchedContent: process.env.INDEXER_AUTO_INDEX_FETCHED === 'true',
     embedDocs: process.env.INDEXER_EMBED_DOCS !== 'false',
     maxDocLength: parseInt(process.env.INDEXER_MAX_DOC_LENGTH, 10) || 8000,
+    // Passage-level retrieval: documents are stored whole (up to maxContentChars) and
+    // searched as overlapping, heading-aware chunks. Off = legacy whole-document index
+    // truncated to maxDocLength.
+    chunking: {
+      enabled: process.env.INDEXER_CHUNKING !== 'false',
+      maxTokens: parseInt(process.env.INDEXER_CHUNK_TOKENS, 10) || 256,        // whitespace-delimited tokens
+      overlapTokens: process.env.INDEXER_CHUNK_OVERLAP !== undefined ? parseInt(process.env.INDEXER_CHUNK_OVERLAP, 10) || 0 : 48,
+      headingAware: process.env.INDEXER_CHUNK_HEADINGS !== 'false',
+      passagesPerDoc: parseInt(process.env.INDEXER_PASSAGES_PER_DOC, 10) || 3
+    },
+    maxContentChars: parseInt(process.env.INDEXER_MAX_CONTENT_CHARS, 10) || 2000000,
     bm25: {
       k1: Number(process.env.INDEXER_BM25_K1) || 1.2,
       b: Number(process.env.INDEXER_BM25_B) || 0.75
@@ -129,13 +155,74 @@ const config = {
       vector: Number(process.env.INDEXER_WEIGHT_VECTOR) || 0.3
     },
     stopwords: (process.env.INDEXER_STOPWORDS || '').split(',').map(s => s.trim()).filter(Boolean),
+    // How BM25 and vector scores are combined: 'weighted' (min-max + weights) | 'rrf' | 'zscore'
+    fusion: (process.env.INDEXER_FUSION || 'weighted').toLowerCase(),
+    rrfK: parseInt(process.env.INDEXER_RRF_K, 10) || 60,
     rerankEnabled: process.env.INDEXER_RERANK_ENABLED === 'true',
-    rerankModel: process.env.INDEXER_RERANK_MODEL || null
+    rerankModel: process.env.INDEXER_RERANK_MODEL || null,
+    // Reranker for the top fused results: 'none' | 'llm' (rerankModel) | 'cross-encoder' (local, CPU)
+    reranker: (process.env.INDEXER_RERANKER || (process.env.INDEXER_RERANK_ENABLED === 'true' ? 'llm' : 'none')).toLowerCase(),
+    rerankWindow: parseInt(process.env.INDEXER_RERANK_WINDOW, 10) || 20, // top fused results the reranker reorders
+    crossEncoderModel: process.env.INDEXER_CROSS_ENCODER_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+    // index_path: directories index_path may read (default: the working directory)
+    pathRoots: (process.env.INDEXER_PATH_ROOTS || process.cwd()).split(',').map(s => s.trim()).filter(Boolean),
+    ingest: {
+      chunkChars: parseInt(process.env.INDEXER_INGEST_CHUNK_CHARS, 10) || 2000,   // target chunk size
+      maxFiles: parseInt(process.env.INDEXER_INGEST_MAX_FILES, 10) || 2000,        // per index_path call
+      maxFileBytes: parseInt(process.env.INDEXER_INGEST_MAX_FILE_BYTES, 10) || 50 * 1024 * 1024
+    }
   },
   // Configuration for where to save full research reports
   reportOutputPath: process.env.REPORT_OUTPUT_PATH || './research_outputs/'
 };
 
+// LLM provider adapters (see src/utils/providers). Model ids are routed via config.models.providerRoutes.
+config.providers = {
+  // 'openrouter' | 'openai-compatible' | 'anthropic' | 'fake' (fake = deterministic offline responses for CI)
+  default: (process.env.LLM_DEFAULT_PROVIDER || 'openrouter').toLowerCase(),
+  // llama.cpp server, vLLM, Ollama (/v1) or any other OpenAI-compatible endpoint
+  openaiCompatible: {
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || null
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY || null,
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+    version: process.env.ANTHROPIC_VERSION || '2023-06-01',
+    defaultMaxTokens: parseInt(process.env.ANTHROPIC_DEFAULT_MAX_TOKENS, 10) || 4096
+  },
+  fake: {
+    seed: process.env.FAKE_PROVIDER_SEED || 'fake',
+    chunkSize: parseInt(process.env.FAKE_PROVIDER_CHUNK_SIZE, 10) || 24
+  }
+};
+
+// Embedding model for report similarity and index vectors (see src/utils/embedders.js).
+// The model in use is recorded in the database; changing provider, model or dimensions
+// re-embeds stored vectors (automatically at startup, or with reindex_vectors).
+config.embeddings = {
+  provider: (process.env.EMBEDDINGS_PROVIDER || 'local').toLowerCase(), // 'local' (transformers) | 'openai' (any OpenAI-compatible /embeddings)
+  model: process.env.EMBEDDINGS_MODEL || null, // default: Xenova/all-MiniLM-L6-v2 (local), text-embedding-3-small (openai)
+  dimensions: parseInt(process.env.EMBEDDINGS_DIMENSIONS, 10) || null, // required for models outside the built-in list
+  baseUrl: process.env.EMBEDDINGS_BASE_URL || 'https://api.openai.com/v1',
+  apiKey: process.env.EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY || null,
+  batchSize: parseInt(process.env.EMBEDDINGS_BATCH_SIZE, 10) || 64, // inputs per /embeddings request
+  timeoutMs: parseInt(process.env.EMBEDDINGS_TIMEOUT_MS, 10) || 30000,
+  device: process.env.EMBEDDINGS_DEVICE || 'auto', // local: 'auto' | 'cpu' | 'cuda'
+  dtype: process.env.EMBEDDINGS_DTYPE || 'q8', // local: 'fp32' | 'fp16' (GPU) | 'q8' | 'q4'
+  autoMigrate: process.env.EMBEDDINGS_AUTO_MIGRATE !== 'false',
+  migrationBatchSize: parseInt(process.env.EMBEDDINGS_MIGRATION_BATCH_SIZE, 10) || 64
+};
+
+// Record/replay of model and web calls (see src/utils/cassette.js)
+config.cassette = {
+  // 'off' | 'record' | 'replay'
+  mode: (process.env.CASSETTE_MODE || 'off').toLowerCase(),
+  dir: process.env.CASSETTE_DIR || './tests/cassettes',
+  // In replay mode, fall through to a live call when no cassette matches (default: fail)
+  allowMissing: process.env.CASSETTE_ALLOW_MISSING === 'true'
+};
+
 // MCP feature toggles (opt-in by default; can be disabled via env)
 config.mcp = {
   features: {
@@ -183,6 +270,102 @@ config.jobs = {
   ssePollingMs: parseInt(process.env.JOB_SSE_POLLING_MS, 10) || 500    // ↓ from 1000 for lower latency
 };
 
+// Watch topics: cron-scheduled research that re-runs into new report versions
+config.watches = {
+  enabled: process.env.WATCHES_ENABLED !== 'false',
+  pollMs: parseInt(process.env.WATCH_POLL_MS, 10) || 60000,            // how often due schedules are checked
+  // Diff size (new/dropped claims, changed numbers, section and citation changes) that counts as material
+  materialMinChanges: parseInt(process.env.WATCH_MATERIAL_MIN_CHANGES, 10) || 3
+};
+
+// Source policy: which web sources research may use and how much to trust them (src/utils/sourcePolicy.js)
+// Lists are CSV domains; weights accept JSON {"domain":0.9} or CSV "domain=0.9,..."
+function parseDomainList(val, fallback = []) {
+  return val ? String(val).split(',').map(s => s.trim()).filter(Boolean) : fallback;
+}
+function parseWeights(val) {
+  if (!val) return {};
+  try {
+    const parsed = JSON.parse(val);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch(_) {}
+  return Object.fromEntries(String(val).split(',').map(s=>s.trim()).filter(Boolean)
+    .map(pair=>pair.split('=').map(s=>s.trim())).filter(([key, w])=>key && w && !isNaN(Number(w)))
+    .map(([key, w])=>[key, Number(w)]));
+}
+config.sourcePolicy = {
+  allow: parseDomainList(process.env.SOURCE_ALLOW_DOMAINS),
+  deny: parseDomainList(process.env.SOURCE_DENY_DOMAINS),
+  weights: parseWeights(process.env.SOURCE_DOMAIN_WEIGHTS),
+  maxAgeDays: parseInt(process.env.SOURCE_MAX_AGE_DAYS, 10) || null,
+  minReliability: parseFloat(process.env.SOURCE_MIN_RELIABILITY) || 0,
+  // Known-good domains: higher default reliability, no liveness check
+  trusted: parseDomainList(process.env.SOURCE_TRUSTED_DOMAINS, [
+    'github.com', 'npmjs.com', 'docs.python.org', 'developer.mozilla.org', 'pglite.dev',
+    'spec.modelcontextprotocol.io', 'openrouter.ai', 'anthropic.com', 'openai.com'
+  ]),
+  // Domains that block HEAD requests; liveness checks are skipped
+  skipValidation: parseDomainList(process.env.SOURCE_SKIP_VALIDATION_DOMAINS, [
+    'linkedin.com', 'twitter.com', 'x.com', 'facebook.com', 'instagram.com'
+  ])
+};
+
+// Claim verification: fetch cited pages and check that they support the claims citing them
+config.claimVerification = {
+  enabled: process.env.CLAIM_VERIFICATION_ENABLED !== 'false',
+  model: process.env.CLAIM_VERIFICATION_MODEL || 'openai/gpt-5-nano',      // cheap entailment judge
+  maxClaims: parseInt(process.env.CLAIM_VERIFICATION_MAX_CLAIMS, 10) || 12,  // cited claims checked per report
+  maxSources: parseInt(process.env.CLAIM_VERIFICATION_MAX_SOURCES, 10) || 8, // distinct pages fetched per report
+  concurrency: parseInt(process.env.CLAIM_VERIFICATION_CONCURRENCY, 10) || 3,
+  passageChars: parseInt(process.env.CLAIM_VERIFICATION_PASSAGE_CHARS, 10) || 4000
+};
+
+// Data analysis: SQL over user-provided CSV/JSON (structuredData) in a private PGLite database
+config.dataAnalysis = {
+  enabled: process.env.DATA_ANALYSIS_ENABLED !== 'false',
+  model: process.env.DATA_ANALYSIS_MODEL || 'openai/gpt-5-mini',
+  maxSteps: parseInt(process.env.DATA_ANALYSIS_MAX_STEPS, 10) || 6,          // model turns (queries + final answer)
+  maxRows: parseInt(process.env.DATA_ANALYSIS_MAX_ROWS, 10) || 50,           // result rows kept per query
+  tableRows: parseInt(process.env.DATA_ANALYSIS_TABLE_ROWS, 10) || 10,       // result rows shown to synthesis and in the report
+  maxLoadRows: parseInt(process.env.DATA_ANALYSIS_MAX_LOAD_ROWS, 10) || 100000, // rows loaded per table
+  queryTimeoutMs: parseInt(process.env.DATA_ANALYSIS_QUERY_TIMEOUT_MS, 10) || 10000 // wall-clock limit per query
+};
+
+// Debate mode: ensemble members rebut each other on contested sub-queries, then an adjudicator resolves them
+config.debate = {
+  rounds: Math.max(1, Math.min(3, parseInt(process.env.DEBATE_ROUNDS, 10) || 2)), // rebuttal rounds before adjudication
+  adjudicatorModel: process.env.DEBATE_ADJUDICATOR_MODEL || config.models.planning,
+  maxAnswerChars: parseInt(process.env.DEBATE_MAX_ANSWER_CHARS, 10) || 4000    // per answer shown to the other models
+};
+
+// Claim consensus across ensemble outputs (research `consensus` param; src/agents/consensusAgent.js)
+// Weights accept JSON {"model":0.9} or CSV "model=0.9,..." and extend ModelWeights in src/core/signal.js
+config.consensus = {
+  strategy: process.env.CONSENSUS_STRATEGY || 'none', // default for runs without the param: none | majority | weighted | unanimous | arbitrated
+  weights: parseWeights(process.env.CONSENSUS_MODEL_WEIGHTS),
+  minAgreement: parseFloat(process.env.CONSENSUS_MIN_AGREEMENT) || 0.6,
+  similarity: parseFloat(process.env.CONSENSUS_CLAIM_SIMILARITY) || 0.5, // word overlap for two sentences to be the same claim
+  arbiterModel: process.env.CONSENSUS_ARBITER_MODEL || config.models.planning,
+  maxArbitrated: parseInt(process.env.CONSENSUS_MAX_ARBITRATED, 10) || 10    // claims sent to the arbiter per run
+};
+
+// Adaptive model routing (src/utils/modelRouter.js). Call, fact-check and rating outcomes
+// are always recorded per model and query domain; routing on them is opt-in
+config.modelRouter = {
+  enabled: process.env.MODEL_ROUTER_ENABLED === 'true',
+  exploration: parseFloat(process.env.MODEL_ROUTER_EXPLORATION ?? '0.1') || 0, // chance a later ensemble slot goes to the least-tried model
+  priorQuality: 0.5,
+  priorStrength: parseInt(process.env.MODEL_ROUTER_PRIOR_STRENGTH, 10) || 5,   // outcomes before learned quality counts as much as the prior
+  costWeights: { low: 0.3, high: 0.05, ...parseWeights(process.env.MODEL_ROUTER_COST_WEIGHTS) }, // per costPreference
+  latencyWeight: parseFloat(process.env.MODEL_ROUTER_LATENCY_WEIGHT ?? '0.1') || 0
+};
+
+// Charts and tables in synthesized reports (```vega-lite blocks become figures and artifacts)
+config.charts = {
+  enabled: process.env.REPORT_CHARTS_ENABLED !== 'false',
+  maxCharts: parseInt(process.env.REPORT_CHARTS_MAX, 10) || 3 // charts the synthesis is asked for at most
+};
+
 // Structured logging configuration (MCP-compliant)
 config.logging = {
   // Log level filtering: 'debug' | 'info' | 'warn' | 'error' (default: info)
@@ -225,6 +408,67 @@ config.caching = {
   }
 };
 
+// Model pricing used to turn token usage into USD (catalog pricing first, then this fallback)
+config.pricing = {
+  // USD per token when a model is missing from the catalog; deliberately conservative
+  fallback: {
+    prompt: Number(process.env.FALLBACK_PRICE_PROMPT) || 0.000003,
+    completion: Number(process.env.FALLBACK_PRICE_COMPLETION) || 0.000015
+  },
+  // Providers that are never billed (self-hosted and fake adapters)
+  freeProviders: (process.env.FREE_PROVIDERS || 'openai-compatible,fake').split(',').map(s => s.trim()).filter(Boolean)
+};
+
+// Research cost budgets (per job via the `budget` param, per client per calendar month)
+config.budgets = {
+  // Fraction of a job budget used before ensembles shrink to one low-cost model
+  degradeAt: Number(process.env.BUDGET_DEGRADE_AT) || 0.5,
+  // Fraction used before refinement iterations are skipped
+  skipRefinementAt: Number(process.env.BUDGET_SKIP_REFINEMENT_AT) || 0.6,
+  // Fraction held back for final synthesis; sub-queries stop launching once it is reached
+  synthesisReserve: Number(process.env.BUDGET_SYNTHESIS_RESERVE) || 0.25,
+  // Default monthly limits per authenticated client (null = unlimited)
+  monthlyUsdPerClient: process.env.CLIENT_MONTHLY_BUDGET_USD ? Number(process.env.CLIENT_MONTHLY_BUDGET_USD) : null,
+  monthlyTokensPerClient: process.env.CLIENT_MONTHLY_BUDGET_TOKENS ? parseInt(process.env.CLIENT_MONTHLY_BUDGET_TOKENS, 10) : null,
+  // Per-client overrides: JSON {"<clientId>": {"usd": 50, "tokens": 5000000}}
+  clientLimits: (function parseClientLimits(val){
+    if (!val) return {};
+    try {
+      const parsed = JSON.parse(val);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch(_) {}
+    return {};
+  })(process.env.CLIENT_BUDGETS)
+};
+
+// Collections: named namespaces for reports, indexed documents, graph nodes and sessions
+function parseJsonMap(val) {
+  if (!val) return {};
+  try {
+    const parsed = JSON.parse(val);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch(_) {}
+  return {};
+}
+config.collections = {
+  // Used when a request names no collection and its caller is not bound to one
+  default: process.env.COLLECTION_DEFAULT || 'default',
+  // Extra bearer keys for the HTTP transport, each bound to a collection: JSON {"<apiKey>": "acme"}
+  apiKeys: parseJsonMap(process.env.COLLECTION_API_KEYS),
+  // Authenticated client ids (JWT client_id/azp/sub, or key:<hash>) bound to a collection: JSON {"ci-bot": "acme"}
+  bindings: parseJsonMap(process.env.COLLECTION_BINDINGS)
+};
+
+// Tenancy: isolation between teams sharing one deployment, keyed on the auth principal
+config.tenancy = {
+  // Off: every caller is in tenant 'default'
+  enabled: process.env.TENANT_ISOLATION === 'true',
+  // JWT claim holding the tenant id; tokens without it use their client id
+  claim: process.env.TENANT_CLAIM || 'tenant_id',
+  // Extra bearer keys for the HTTP transport, each belonging to a tenant: JSON {"<apiKey>": "team-a"}
+  apiKeys: parseJsonMap(process.env.TENANT_API_KEYS)
+};
+
 // Core abstractions (Convergence Plan v2.0)
 config.core = {
   // Enable new consolidated handlers (gradual migration)
@@ -7,6 +7,7 @@
  * EXPERIMENTAL - DO NOT USE IN PRODUCTION
  *
  * @see src/core/signal.js for production Signal and ConsensusCalculator
+ * @see src/agents/consensusAgent.js for the consensus stage in the research pipeline
  */
 
 // Import from core Signal protocol
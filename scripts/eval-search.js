@@ -0,0 +1,62 @@
+// scripts/eval-search.js
+// Offline search evaluation against the configured index (PGLITE_DATA_DIR).
+//
+//   node scripts/eval-search.js --labels labels.jsonl [--k 10] [--configs configs.json] [--json]
+//
+// labels:  one {"query": "...", "relevant": ["doc:12", "file:/docs/a.md#"]} per line (or a JSON array);
+//          relevant may also be graded: {"doc:12": 3, "doc:40": 1}
+// configs: JSON array of {name, fusion, weights, rerank}; default is every fusion method x three weightings
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { parseLabels, evaluateSearch, defaultConfigurations, formatTable } = require('../src/utils/searchEval');
+
+function parseArgs(argv) {
+  const args = { k: 10, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--labels') args.labels = argv[++i];
+    else if (a === '--configs') args.configs = argv[++i];
+    else if (a === '--k') args.k = parseInt(argv[++i], 10);
+    else if (a === '--json') args.json = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!args.labels) throw new Error('--labels <file> is required');
+  if (!Number.isInteger(args.k) || args.k < 1) throw new Error('--k must be a positive integer');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const labels = parseLabels(fs.readFileSync(path.resolve(args.labels), 'utf8'));
+  const configurations = args.configs
+    ? JSON.parse(fs.readFileSync(path.resolve(args.configs), 'utf8'))
+    : defaultConfigurations();
+
+  const config = require('../config');
+  if (!config.indexer?.enabled) throw new Error('The index is disabled; set INDEXER_ENABLED=true');
+  const dbClient = require('../src/utils/dbClient');
+  await dbClient.waitForInit();
+  await dbClient.waitForEmbedder();
+
+  const summary = await evaluateSearch({
+    labels,
+    configurations,
+    k: args.k,
+    search: (query, limit, options) => dbClient.searchHybrid(query, limit, options)
+  });
+  if (args.json) {
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    console.log(`${summary.queries} labelled queries, ${summary.configurations.length} configurations\n`);
+    console.log(formatTable(summary));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(`eval-search: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,329 @@
+/**
+ * Claim Verification Agent
+ *
+ * Checks that cited sources actually back the claims citing them. For each
+ * sentence in a report that carries a citation ([n] marker, [Source: ...] tag,
+ * markdown link or bare URL), the cited page is fetched with RobustWebScraper,
+ * the passage most relevant to the claim is selected, and a cheap model judges
+ * whether the passage supports, does not support, or contradicts the claim.
+ *
+ * A live link is not enough: real-but-irrelevant citations come back as
+ * `unsupported`. Pages that cannot be fetched are `unreachable` (not judged).
+ *
+ * Local passage references (`doc:<id>#<chunk>`) are recognized as citations;
+ * callers resolve them from the index through `options.fetchPage`.
+ *
+ * @module claimVerificationAgent
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const config = require('../../config');
+const openRouterClient = require('../utils/openRouterClient');
+const RobustWebScraper = require('../utils/robustWebScraper');
+const logger = require('../utils/logger').child('ClaimVerification');
+
+const VERDICTS = ['supported', 'unsupported', 'contradicted'];
+const SOURCES_HEADING_RE = /^#{1,3}\s+\**(?:sources|references|bibliography|citations|works cited)\**:?\s*$/i;
+const GENERATED_HEADING_RE = /^#{1,3}\s+(?:research quality warnings|claim verification|source quality)\s*$/i;
+const URL_RE = /https?:\/\/[^\s)\]>"'<]+|\bdoc:\d+#\d+/g;
+const SOURCE_TAG_RE = /\[Sources?:\s*[^\]]*?(https?:\/\/[^\]\s]+|doc:\d+#\d+)\s*\]/gi;
+const MD_LINK_RE = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+const MARKER_RE = /\[(\d{1,3}(?:\s*[,;]\s*\d{1,3})*)\]/g;
+const STOPWORDS = new Set('the and for are was were with that this from have has had its into than then they their there which while also been being more most such only over under about after before between other these those what when where will would could should can may might not but all any per via'.split(' '));
+const MIN_CLAIM_CHARS = 25;
+const URLS_PER_CLAIM = 2;
+
+// Singleton web scraper instance
+const webScraper = new RobustWebScraper();
+
+function cleanUrl(url) {
+  return String(url).replace(/[.,;:]+$/, '');
+}
+
+function keywords(text) {
+  return [...new Set(String(text).toLowerCase().split(/[^a-z0-9.%-]+/)
+    .map(w => w.replace(/^[.-]+|[.-]+$/g, ''))
+    .filter(w => (w.length > 2 && !STOPWORDS.has(w)) || /\d/.test(w)))];
+}
+
+/**
+ * Numbered sources listed in the report's own Sources section ("- [n] Title — url" / "n. Title - url")
+ * @param {string} content
+ * @returns {Map<number, string>} n -> url
+ */
+function parseSourcesSection(content) {
+  const byId = new Map();
+  let inSources = false;
+  for (const line of String(content || '').split('\n')) {
+    if (/^#{1,6}\s/.test(line)) { inSources = SOURCES_HEADING_RE.test(line.trim()); continue; }
+    if (!inSources) continue;
+    const m = line.match(/^\s*(?:[-*+]\s*)?\[?(\d{1,3})[\].)]\s*(.*)$/);
+    const url = m && (m[2].match(URL_RE) || [])[0];
+    if (url && !byId.has(Number(m[1]))) byId.set(Number(m[1]), cleanUrl(url));
+  }
+  return byId;
+}
+
+/**
+ * Extract sentences that carry a citation, with the URLs they cite
+ * @param {string} content - Report markdown
+ * @param {Array<{id: number, url: string}>} [sources] - Citation registry; defaults to the report's Sources section
+ * @returns {Array<{text: string, urls: Array<{url: string, n: number|null}>}>}
+ */
+function extractCitedClaims(content, sources = null) {
+  const byId = sources && sources.length
+    ? new Map(sources.filter(s => s.url).map(s => [s.id, s.url]))
+    : parseSourcesSection(content);
+
+  const claims = [];
+  const seen = new Set();
+  let inFence = false;
+  let skip = false;
+  for (const rawLine of String(content || '').split('\n')) {
+    if (/^\s*```/.test(rawLine)) { inFence = !inFence; continue; }
+    if (inFence) continue;
+    if (/^#{1,6}\s/.test(rawLine)) {
+      skip = SOURCES_HEADING_RE.test(rawLine.trim()) || GENERATED_HEADING_RE.test(rawLine.trim());
+      continue;
+    }
+    if (skip) continue;
+    const line = rawLine.replace(/^\s*(?:>\s*)?(?:[-*+]|\d+[.)])?\s*/, '').replace(/`[^`]*`/g, ' ');
+    if (/^[-|:\s]*$/.test(line)) continue;
+
+    for (const sentence of line.split(/(?<=[.!?])\s+(?=[A-Z0-9"(\[*])/)) {
+      const urls = [];
+      const addUrl = (url, n = null) => {
+        const u = cleanUrl(url);
+        if (!urls.some(x => x.url === u)) urls.push({ url: u, n });
+      };
+      for (const m of sentence.matchAll(MARKER_RE)) {
+        for (const part of m[1].split(/[,;]/)) {
+          const n = parseInt(part, 10);
+          if (byId.has(n)) addUrl(byId.get(n), n);
+        }
+      }
+      for (const m of sentence.matchAll(SOURCE_TAG_RE)) addUrl(m[1]);
+      for (const m of sentence.matchAll(MD_LINK_RE)) addUrl(m[2]);
+      for (const m of sentence.replace(SOURCE_TAG_RE, ' ').replace(MD_LINK_RE, ' ').matchAll(URL_RE)) addUrl(m[0]);
+      if (!urls.length) continue;
+
+      const text = sentence
+        .replace(SOURCE_TAG_RE, '')
+        .replace(MD_LINK_RE, '$1')
+        .replace(URL_RE, '')
+        .replace(MARKER_RE, '')
+        .replace(/[*_]/g, '')
+        .replace(/\s+([.,;:!?])/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (text.length < MIN_CLAIM_CHARS || seen.has(text)) continue;
+      seen.add(text);
+      claims.push({ text, urls: urls.slice(0, URLS_PER_CLAIM) });
+    }
+  }
+  return claims;
+}
+
+/**
+ * Pick the parts of a page most relevant to a claim (keyword overlap, numbers weigh double)
+ * @param {string} pageText
+ * @param {string} claim
+ * @param {number} [maxChars=4000]
+ * @returns {string} Relevant passage(s) in page order, joined by " … "
+ */
+function selectPassage(pageText, claim, maxChars = 4000) {
+  const text = String(pageText || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= maxChars) return text;
+  const terms = keywords(claim);
+  const chunks = [];
+  for (let i = 0; i < text.length; i += 500) chunks.push({ start: i, text: text.slice(i, i + 600) });
+  for (const c of chunks) {
+    const lower = c.text.toLowerCase();
+    c.score = terms.reduce((s, t) => s + (lower.includes(t) ? (/\d/.test(t) ? 2 : 1) : 0), 0);
+  }
+  const picked = [...chunks].sort((a, b) => b.score - a.score || a.start - b.start).slice(0, Math.max(1, Math.floor(maxChars / 600)));
+  return picked.sort((a, b) => a.start - b.start).map(c => c.text).join(' … ');
+}
+
+/**
+ * Parse the judge model's answer
+ * @param {string} text
+ * @returns {{verdict: string, evidence: string|null, reason: string|null}}
+ */
+function parseVerdict(text) {
+  const raw = String(text || '');
+  try {
+    const json = JSON.parse((raw.match(/\{[\s\S]*\}/) || [raw])[0]);
+    const verdict = String(json.verdict || '').toLowerCase();
+    if (VERDICTS.includes(verdict)) {
+      const field = v => (v ? String(v).replace(/\s+/g, ' ').trim().slice(0, 300) || null : null);
+      return { verdict, evidence: field(json.evidence), reason: field(json.reason) };
+    }
+  } catch (_) {}
+  // Fall back to the first verdict word in a free-text answer
+  const word = raw.toLowerCase().match(/\b(contradicted|unsupported|supported)\b/);
+  return { verdict: word ? word[1] : 'unsupported', evidence: null, reason: word ? null : 'unparseable verdict' };
+}
+
+/**
+ * Ask the judge model whether a passage supports a claim
+ * @param {string} claim
+ * @param {string} passage
+ * @param {Object} options
+ * @param {string} options.model
+ * @param {Function} [options.onUsage] - (model, usage) callback
+ * @returns {Promise<{verdict: string, evidence: string|null, reason: string|null}>}
+ */
+async function judgeClaim(claim, passage, { model, onUsage = null }) {
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are a claim verification judge. Decide whether the SOURCE PASSAGE supports the CLAIM. ' +
+        'supported = the passage states or directly implies the claim; contradicted = the passage states something incompatible with the claim; ' +
+        'unsupported = the passage is about something else or does not settle the claim. Judge only from the passage. ' +
+        'Respond with ONLY a JSON object: {"verdict":"supported|unsupported|contradicted","evidence":"short quote from the passage or empty","reason":"one sentence"}'
+    },
+    { role: 'user', content: `CLAIM: ${claim}\n\nSOURCE PASSAGE:\n${passage}` }
+  ];
+  const response = await openRouterClient.chatCompletion(model, messages, { temperature: 0, max_tokens: 300 });
+  if (onUsage && response.usage) onUsage(model, response.usage);
+  return parseVerdict(response.choices?.[0]?.message?.content);
+}
+
+// Combine per-URL verdicts: any support wins, then any contradiction
+function combine(checks) {
+  const judged = checks.filter(c => c.verdict);
+  if (!judged.length) return 'unreachable';
+  if (judged.some(c => c.verdict === 'supported')) return 'supported';
+  if (judged.some(c => c.verdict === 'contradicted')) return 'contradicted';
+  return 'unsupported';
+}
+
+/**
+ * Verify cited claims against the pages they cite
+ * @param {string} content - Report markdown
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.sources] - Citation registry for [n] markers
+ * @param {string} [options.model] - Judge model (default config.claimVerification.model)
+ * @param {number} [options.maxClaims] - Claims checked per report
+ * @param {number} [options.maxSources] - Distinct pages fetched per report
+ * @param {number} [options.concurrency]
+ * @param {Function} [options.onUsage] - (model, usage) callback for cost tracking
+ * @param {Function} [options.fetchPage] - url -> {success, content, title, error}; defaults to RobustWebScraper.fetchUrl
+ * @param {string} [options.requestId]
+ * @returns {Promise<Object>} { model, checked, supported, unsupported, contradicted, unreachable, claims }
+ */
+async function verifyClaims(content, options = {}) {
+  const cfg = config.claimVerification || {};
+  const {
+    sources = null,
+    model = cfg.model,
+    maxClaims = cfg.maxClaims || 12,
+    maxSources = cfg.maxSources || 8,
+    concurrency = cfg.concurrency || 3,
+    passageChars = cfg.passageChars || 4000,
+    onUsage = null,
+    fetchPage = url => webScraper.fetchUrl(url, { maxBytes: 200000 }),
+    requestId = 'unknown'
+  } = options;
+
+  const claims = extractCitedClaims(content, sources).slice(0, maxClaims);
+  const summary = { model, checked: 0, supported: 0, unsupported: 0, contradicted: 0, unreachable: 0, claims: [] };
+  if (!claims.length) return summary;
+
+  // Fetch each cited page once, up to maxSources distinct pages
+  const pages = new Map();
+  const fetchOnce = (url) => {
+    if (!pages.has(url)) {
+      pages.set(url, pages.size >= maxSources
+        ? Promise.resolve({ success: false, error: 'page limit reached' })
+        : Promise.resolve().then(() => fetchPage(url)).catch(e => ({ success: false, error: e.message })));
+    }
+    return pages.get(url);
+  };
+
+  const checkClaim = async (claim) => {
+    const checks = [];
+    for (const { url, n } of claim.urls) {
+      const page = await fetchOnce(url);
+      if (!page?.success || !String(page.content || '').trim()) {
+        checks.push({ url, n, verdict: null, reason: page?.error || 'empty page' });
+        continue;
+      }
+      try {
+        const judged = await judgeClaim(claim.text, selectPassage(page.content, claim.text, passageChars), { model, onUsage });
+        checks.push({ url, n, ...judged });
+        if (judged.verdict === 'supported') break; // one supporting source is enough
+      } catch (error) {
+        logger.warn('Claim judge failed', { requestId, url, error: error.message });
+        checks.push({ url, n, verdict: null, reason: `judge failed: ${error.message}` });
+      }
+    }
+    return { text: claim.text, status: combine(checks), checks };
+  };
+
+  // Bounded concurrency, results kept in report order
+  const results = new Array(claims.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, claims.length) }, async () => {
+    while (next < claims.length) {
+      const i = next++;
+      results[i] = await checkClaim(claims[i]);
+    }
+  });
+  await Promise.all(workers);
+
+  for (const r of results) {
+    summary[r.status]++;
+    if (r.status !== 'unreachable') summary.checked++;
+  }
+  summary.claims = results;
+  logger.info('Claim verification complete', {
+    requestId,
+    claims: results.length,
+    supported: summary.supported,
+    unsupported: summary.unsupported,
+    contradicted: summary.contradicted,
+    unreachable: summary.unreachable
+  });
+  return summary;
+}
+
+const STATUS_LABELS = {
+  supported: 'Supported',
+  unsupported: 'Unsupported',
+  contradicted: 'Contradicted',
+  unreachable: 'Not checked'
+};
+
+/**
+ * Markdown section listing the verdict for each checked claim
+ * @param {Object} verification - Result of verifyClaims
+ * @returns {string} Section text (empty when nothing was checked)
+ */
+function formatVerificationSection(verification) {
+  if (!verification?.claims?.length) return '';
+  const lines = ['## Claim Verification', `${verification.supported} of ${verification.claims.length} cited claims are supported by the pages they cite.`, ''];
+  for (const c of verification.claims) {
+    const cited = c.checks.map(k => (k.n ? `[${k.n}]` : k.url)).join(' ');
+    const claim = c.text.length > 160 ? `${c.text.slice(0, 157)}...` : c.text;
+    const decisive = c.checks.find(k => k.verdict === c.status) || c.checks[c.checks.length - 1];
+    let note = '';
+    if (c.status === 'supported' && decisive?.evidence) note = ` — "${decisive.evidence}"`;
+    else if (c.status !== 'supported' && decisive?.reason) note = ` — ${decisive.reason}`;
+    lines.push(`- **${STATUS_LABELS[c.status]}**: ${claim} ${cited}${note}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  VERDICTS,
+  extractCitedClaims,
+  selectPassage,
+  parseVerdict,
+  judgeClaim,
+  verifyClaims,
+  formatVerificationSection
+};
@@ -0,0 +1,417 @@
+/**
+ * Consensus Agent
+ *
+ * Scores how strongly the ensemble agrees on each claim (the research
+ * `consensus` parameter). Every successful ensemble answer is split into
+ * sentence claims. Within a sub-query, claims that share most of their
+ * content words are grouped, and each member model either makes the claim,
+ * contradicts it (opposite polarity, or different numbers about the same
+ * thing) or is silent. Agreement follows the chosen strategy from
+ * src/core/signal.js:
+ * - majority: share of models making the claim;
+ * - weighted: share of model weight making the claim (getModelWeights);
+ * - unanimous: weighted, but agreed only when every model makes it;
+ * - arbitrated: weighted, and an arbiter model rules on contested or weak
+ *   claims below minAgreement.
+ *
+ * Synthesis is told which claims are disputed or weakly supported. After
+ * synthesis, each report section is matched back to the scored claims; the
+ * section gets an agreement line and the report a Model Consensus section.
+ *
+ * @module consensusAgent
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const config = require('../../config');
+const openRouterClient = require('../utils/openRouterClient');
+const { ConsensusStrategy, getModelWeights, modelWeight } = require('../core/signal');
+const logger = require('../utils/logger').child('Consensus');
+
+const STRATEGIES = Object.values(ConsensusStrategy);
+const NEGATION_RE = /\b(not|no|never|cannot|can't|doesn't|don't|isn't|aren't|wasn't|weren't|won't|unable|lacks?|without)\b/i;
+const NUMBER_RE = /\d+(?:[.,]\d+)?%?/g;
+const STOPWORDS = new Set('the a an and or but of to in on at for with by from as is are was were be been being it its this that these those has have had can could will would should may might also more most than then there their which who what when where while into about over such other some any each both only very not no never does doesn cannot unable lack lacks without'.split(' '));
+// Sections that summarize sources or checks rather than research content
+const SKIP_SECTIONS_RE = /^(sources|references|research quality warnings|claim verification|data analysis|debate adjudication|source quality|model consensus)\b/i;
+const MAX_PROMPT_CLAIMS = 10;
+const MAX_LISTED_CLAIMS = 8;
+
+/**
+ * Consensus options for a run from the `consensus` parameter and config.consensus
+ * @param {string|Object} [param] - Strategy name, or { strategy, weights, minAgreement }
+ * @returns {{strategy: string, weights: Object<string, number>, minAgreement: number}|null} null when consensus is off
+ * @throws {Error} For an unknown strategy
+ */
+function resolveOptions(param) {
+  const cfg = config.consensus || {};
+  const value = typeof param === 'string' ? { strategy: param } : (param || {});
+  const strategy = value.strategy || cfg.strategy || 'none';
+  if (strategy === 'none') return null;
+  if (!STRATEGIES.includes(strategy)) throw new Error(`Unknown consensus strategy '${strategy}'. Use one of: none, ${STRATEGIES.join(', ')}`);
+  return {
+    strategy,
+    weights: getModelWeights(value.weights),
+    minAgreement: value.minAgreement ?? cfg.minAgreement ?? 0.6
+  };
+}
+
+const stem = w => (w.length > 4 ? w.replace(/(ing|ed|es|s)$/, '') : w);
+
+function contentWords(text) {
+  return new Set(String(text).toLowerCase().replace(NUMBER_RE, ' ').split(/[^a-z0-9]+/)
+    .filter(w => w.length > 2 && !STOPWORDS.has(w)).map(stem));
+}
+
+/**
+ * Sentence claims in an answer (markdown, URLs and citation markers stripped)
+ * @param {string} text
+ * @returns {Array<{text: string, words: Set<string>, negated: boolean, numbers: string[]}>}
+ */
+function splitClaims(text) {
+  return String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .split('\n')
+    .filter(line => !/^\s*(#|\||---|>)/.test(line))
+    .join('\n')
+    .replace(/\[Source:[^\]]*\]|\[\d+(?:,\s*\d+)*\]|https?:\/\/\S+/g, ' ')
+    .replace(/[*_`]/g, '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(s => s.replace(/^\s*(?:[-+]|\d+\.)\s+/, '').replace(/\s+/g, ' ').trim())
+    .filter(s => s.length >= 30 && s.length <= 400)
+    .map(s => ({ text: s, words: contentWords(s), negated: NEGATION_RE.test(s), numbers: s.match(NUMBER_RE) || [] }))
+    .filter(c => c.words.size >= 3);
+}
+
+/** Dice coefficient of two word sets */
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+// Same claim with opposite polarity, or different figures for it
+function conflicts(a, b) {
+  if (a.negated !== b.negated) return true;
+  return a.numbers.length > 0 && b.numbers.length > 0 && !a.numbers.some(n => b.numbers.includes(n));
+}
+
+function levelFor(claim, minAgreement) {
+  if (claim.verdict === 'refuted') return 'disputed';
+  if (claim.verdict === 'supported') return claim.agreement >= 0.8 ? 'strong' : 'moderate';
+  if (claim.opposedBy.length && !claim.agreed) return 'disputed';
+  if (claim.agreement >= 0.8 && claim.agreed) return 'strong';
+  if (claim.agreed || claim.agreement >= minAgreement) return 'moderate';
+  return 'weak';
+}
+
+/**
+ * Group the members' claims for one sub-query and score agreement on each
+ * @param {Array<{model: string, result: string}>} members - Successful ensemble answers
+ * @param {Object} options - From resolveOptions, plus similarity
+ * @returns {Array<Object>} Claims: text, supportedBy, opposedBy, agreement, agreed
+ */
+function scoreMembers(members, { strategy, weights, minAgreement, similarity: threshold = 0.5 }) {
+  const models = [...new Set(members.map(m => m.model))];
+  const groups = [];
+  for (const m of members) {
+    for (const claim of splitClaims(m.result)) {
+      let best = null;
+      let bestScore = threshold;
+      for (const g of groups) {
+        const score = similarity(claim.words, g.rep.words);
+        if (score >= bestScore) { best = g; bestScore = score; }
+      }
+      if (best) best.claims.push({ ...claim, model: m.model });
+      else groups.push({ rep: claim, claims: [{ ...claim, model: m.model }] });
+    }
+  }
+
+  const total = models.reduce((n, m) => n + modelWeight(m, weights), 0) || 1;
+  return groups.map(g => {
+    const supportedBy = models.filter(m => g.claims.some(c => c.model === m && !conflicts(c, g.rep)));
+    const opposedBy = models.filter(m => !supportedBy.includes(m) && g.claims.some(c => c.model === m));
+    const weighted = supportedBy.reduce((n, m) => n + modelWeight(m, weights), 0) / total;
+    const agreement = strategy === ConsensusStrategy.MAJORITY ? supportedBy.length / models.length : weighted;
+    const agreed = strategy === ConsensusStrategy.MAJORITY ? agreement > 0.5
+      : strategy === ConsensusStrategy.UNANIMOUS ? supportedBy.length === models.length
+        : agreement >= minAgreement;
+    const opposing = g.claims.find(c => opposedBy.includes(c.model));
+    return {
+      text: g.rep.text,
+      words: g.rep.words,
+      variants: g.claims.map(c => c.words),
+      supportedBy,
+      opposedBy,
+      counterClaim: opposing ? opposing.text : null,
+      agreement: Math.round(agreement * 1000) / 1000,
+      agreed
+    };
+  });
+}
+
+function arbiterMessages(claims) {
+  return [
+    {
+      role: 'system',
+      content: 'You are a consensus arbiter. Research models disagree on, or only one of them makes, each numbered claim below. Rule on each from your own knowledge and the competing statements: "supported" when the claim is accurate, "refuted" when it is wrong, "uncertain" when it cannot be settled.\n\nRespond with ONLY a JSON array: [{"claim": <number>, "verdict": "supported|refuted|uncertain"}]'
+    },
+    {
+      role: 'user',
+      content: claims.map((c, i) => `${i + 1}. ${c.text} (stated by ${c.supportedBy.join(', ') || 'none'}${c.counterClaim ? `; contradicted by ${c.opposedBy.join(', ')}: "${c.counterClaim}"` : ''})`).join('\n')
+    }
+  ];
+}
+
+/**
+ * Parse the arbiter's verdicts
+ * @param {string} text
+ * @param {number} count - Claims sent
+ * @returns {Map<number, string>} Claim index (0-based) -> supported | refuted | uncertain
+ */
+function parseArbiterVerdicts(text, count) {
+  const verdicts = new Map();
+  let json;
+  try {
+    json = JSON.parse((String(text || '').match(/\[[\s\S]*\]/) || [''])[0]);
+  } catch (_) {
+    return verdicts;
+  }
+  for (const v of Array.isArray(json) ? json : []) {
+    const n = parseInt(v?.claim, 10);
+    const verdict = String(v?.verdict || '').toLowerCase();
+    if (n >= 1 && n <= count && ['supported', 'refuted', 'uncertain'].includes(verdict)) verdicts.set(n - 1, verdict);
+  }
+  return verdicts;
+}
+
+/**
+ * Score every claim across the ensemble outputs of each sub-query
+ * @param {Array<Object>} results - All research results (agentId, model, result, error)
+ * @param {Object} options - From resolveOptions
+ * @param {Object} [extra]
+ * @param {Function} [extra.onUsage] - (model, usage) for the arbiter call
+ * @param {Function} [extra.shouldStop] - Returns true to skip the arbiter (budget)
+ * @param {string} [extra.requestId]
+ * @returns {Promise<Object>} { strategy, minAgreement, models: [{model, weight}], claims, counts, arbitrated }
+ */
+async function scoreClaims(results, options, { onUsage = null, shouldStop = () => false, requestId = 'unknown' } = {}) {
+  const cfg = config.consensus || {};
+  const opts = { similarity: cfg.similarity || 0.5, ...options };
+  const bySubQuery = new Map();
+  for (const r of results || []) {
+    if (!r || r.error || r.adjudicated || !r.result) continue;
+    const key = String(r.agentId);
+    if (!bySubQuery.has(key)) bySubQuery.set(key, []);
+    bySubQuery.get(key).push(r);
+  }
+
+  const claims = [];
+  for (const [agentId, members] of bySubQuery) {
+    // A sub-query answered by one model has nothing to agree with
+    if (new Set(members.map(m => m.model)).size < 2) continue;
+    for (const claim of scoreMembers(members, opts)) claims.push({ agentId, ...claim, verdict: null });
+  }
+
+  let arbitrated = 0;
+  if (opts.strategy === ConsensusStrategy.ARBITRATED && !shouldStop()) {
+    const pending = claims
+      .filter(c => !c.agreed && (c.opposedBy.length || c.supportedBy.length))
+      .sort((a, b) => b.opposedBy.length - a.opposedBy.length || b.agreement - a.agreement)
+      .slice(0, cfg.maxArbitrated || 10);
+    if (pending.length) {
+      const model = cfg.arbiterModel;
+      try {
+        const response = await openRouterClient.chatCompletion(model, arbiterMessages(pending), { temperature: 0, max_tokens: 1200 });
+        if (onUsage && response.usage) onUsage(model, response.usage);
+        const verdicts = parseArbiterVerdicts(response.choices?.[0]?.message?.content, pending.length);
+        for (const [i, verdict] of verdicts) {
+          pending[i].verdict = verdict;
+          if (verdict === 'supported') pending[i].agreed = true;
+        }
+        arbitrated = verdicts.size;
+      } catch (error) {
+        logger.warn('Consensus arbiter failed; keeping weighted agreement', { requestId, model, error: error.message });
+      }
+    }
+  }
+
+  for (const c of claims) c.level = levelFor(c, opts.minAgreement);
+  const counts = { strong: 0, moderate: 0, weak: 0, disputed: 0 };
+  for (const c of claims) counts[c.level]++;
+  const models = [...new Set([...bySubQuery.values()].flat().map(r => r.model))];
+  logger.info('Consensus scored', { requestId, strategy: opts.strategy, claims: claims.length, ...counts, arbitrated });
+  return {
+    strategy: opts.strategy,
+    minAgreement: opts.minAgreement,
+    models: models.map(m => ({ model: m, weight: modelWeight(m, opts.weights) })),
+    claims,
+    counts,
+    arbitrated
+  };
+}
+
+const percent = n => `${Math.round(n * 100)}%`;
+
+/**
+ * Disputed and weakly supported claims for the synthesis prompt
+ * @param {Object} consensus - Result of scoreClaims
+ * @returns {string} Empty when every claim is agreed
+ */
+function formatForPrompt(consensus) {
+  const shaky = (consensus?.claims || [])
+    .filter(c => c.level === 'disputed' || (c.level === 'weak' && c.opposedBy.length))
+    .slice(0, MAX_PROMPT_CLAIMS);
+  if (!shaky.length) return '';
+  const lines = [`MODEL CONSENSUS (${consensus.strategy}): these claims are disputed or weakly supported across the ensemble:`];
+  for (const c of shaky) {
+    lines.push(`- "${c.text}" — made by ${c.supportedBy.join(', ') || 'none'}${c.opposedBy.length ? `, contradicted by ${c.opposedBy.join(', ')}` : ''} (agreement ${percent(c.agreement)}${c.verdict ? `, arbiter: ${c.verdict}` : ''})`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Agreement for each section of the final report, from the scored claims its sentences match
+ * @param {string} report - Final report markdown
+ * @param {Object} consensus - Result of scoreClaims
+ * @param {Object} [options]
+ * @param {number} [options.similarity=config.consensus.similarity]
+ * @returns {Array<{heading: string, line: number, claims: number, agreement: number, disputed: number, level: string}>}
+ */
+function sectionAgreement(report, consensus, { similarity: threshold = config.consensus?.similarity || 0.5 } = {}) {
+  const sections = [];
+  let current = null;
+  let inCode = false;
+  String(report || '').split('\n').forEach((line, i) => {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    const heading = !inCode && /^(#{2,3})\s+(.+?)\s*$/.exec(line);
+    if (heading) {
+      current = SKIP_SECTIONS_RE.test(heading[2].replace(/[*_`]/g, '').trim()) ? null : { heading: heading[2].trim(), line: i, text: [] };
+      if (current) sections.push(current);
+    } else if (current && !inCode) {
+      current.text.push(line);
+    }
+  });
+
+  return sections.map(s => {
+    const matched = new Set();
+    for (const sentence of splitClaims(s.text.join('\n'))) {
+      let best = null;
+      let bestScore = threshold;
+      for (const c of consensus.claims) {
+        for (const words of c.variants) {
+          const score = similarity(sentence.words, words);
+          if (score >= bestScore) { best = c; bestScore = score; }
+        }
+      }
+      if (best) matched.add(best);
+    }
+    const list = [...matched];
+    const agreement = list.length ? list.reduce((n, c) => n + c.agreement, 0) / list.length : 0;
+    const disputed = list.filter(c => c.level === 'disputed').length;
+    const level = !list.length ? null : disputed > list.length / 3 ? 'disputed' : agreement >= 0.8 ? 'strong' : agreement >= consensus.minAgreement ? 'moderate' : 'weak';
+    return { heading: s.heading, line: s.line, claims: list.length, agreement: Math.round(agreement * 1000) / 1000, disputed, level };
+  });
+}
+
+/**
+ * Report with an agreement line under each matched section and a Model Consensus section
+ * @param {string} report - Final report markdown
+ * @param {Object} consensus - Result of scoreClaims
+ * @returns {{report: string, sections: Array<Object>}}
+ */
+function annotateReport(report, consensus) {
+  if (!consensus?.claims?.length) return { report, sections: [] };
+  const sections = sectionAgreement(report, consensus);
+  const lines = String(report).split('\n');
+  for (const s of [...sections].reverse()) {
+    if (!s.claims) continue;
+    // Blank lines on both sides keep the quote from absorbing the section's first paragraph
+    lines.splice(s.line + 1, 0, '', `> **Model agreement:** ${percent(s.agreement)} (${s.level}) across ${s.claims} claim${s.claims === 1 ? '' : 's'}${s.disputed ? `; ${s.disputed} disputed` : ''}.`, '');
+  }
+  return { report: lines.join('\n'), sections };
+}
+
+/**
+ * Markdown section with the agreement per report section and the disputed claims
+ * @param {Object} consensus - Result of scoreClaims
+ * @param {Array<Object>} sections - From annotateReport
+ * @returns {string} Empty when no claims were scored
+ */
+function formatConsensusSection(consensus, sections) {
+  if (!consensus?.claims?.length) return '';
+  const { counts } = consensus;
+  const lines = [
+    '## Model Consensus',
+    `Strategy: ${consensus.strategy}. ${consensus.claims.length} claims compared across ${consensus.models.map(m => `${m.model} (weight ${m.weight})`).join(', ')}: ${counts.strong} strong, ${counts.moderate} moderate, ${counts.weak} weak, ${counts.disputed} disputed.${consensus.arbitrated ? ` ${consensus.arbitrated} ruled on by the arbiter.` : ''}`
+  ];
+  const scored = sections.filter(s => s.claims);
+  if (scored.length) {
+    lines.push('', '| Section | Agreement | Claims | Disputed |', '|---|---|---|---|');
+    for (const s of scored) lines.push(`| ${s.heading.replace(/\|/g, '/')} | ${percent(s.agreement)} (${s.level}) | ${s.claims} | ${s.disputed} |`);
+  }
+  const disputed = consensus.claims.filter(c => c.level === 'disputed').slice(0, MAX_LISTED_CLAIMS);
+  if (disputed.length) {
+    lines.push('', '**Disputed claims**', '');
+    for (const c of disputed) {
+      lines.push(`- "${c.text}" — ${c.supportedBy.join(', ') || 'none'} vs ${c.opposedBy.join(', ') || 'the arbiter'}${c.verdict ? ` (arbiter: ${c.verdict})` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Compact record for research_metadata
+ * @param {Object} consensus - Result of scoreClaims
+ * @param {Array<Object>} [sections] - From annotateReport
+ * @returns {Object|null}
+ */
+function summarize(consensus, sections = []) {
+  if (!consensus) return null;
+  return {
+    strategy: consensus.strategy,
+    minAgreement: consensus.minAgreement,
+    models: consensus.models,
+    counts: consensus.counts,
+    arbitrated: consensus.arbitrated,
+    sections: sections.filter(s => s.claims).map(({ heading, claims, agreement, disputed, level }) => ({ heading, claims, agreement, disputed, level })),
+    disputed: consensus.claims.filter(c => c.level === 'disputed').slice(0, MAX_LISTED_CLAIMS)
+      .map(c => ({ text: c.text, supportedBy: c.supportedBy, opposedBy: c.opposedBy, verdict: c.verdict }))
+  };
+}
+
+/**
+ * Scored claims in a form that survives a JSON checkpoint (word sets as arrays)
+ * @param {Object} consensus
+ * @returns {Object}
+ */
+function toCheckpoint(consensus) {
+  return { ...consensus, claims: consensus.claims.map(c => ({ ...c, words: [...c.words], variants: c.variants.map(v => [...v]) })) };
+}
+
+/**
+ * Restore scored claims from a checkpoint
+ * @param {Object} saved - From toCheckpoint
+ * @returns {Object}
+ */
+function fromCheckpoint(saved) {
+  return { ...saved, claims: saved.claims.map(c => ({ ...c, words: new Set(c.words), variants: c.variants.map(v => new Set(v)) })) };
+}
+
+module.exports = {
+  STRATEGIES,
+  resolveOptions,
+  splitClaims,
+  similarity,
+  scoreClaims,
+  parseArbiterVerdicts,
+  formatForPrompt,
+  sectionAgreement,
+  annotateReport,
+  formatConsensusSection,
+  summarize,
+  toCheckpoint,
+  fromCheckpoint
+};
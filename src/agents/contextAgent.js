@@ -2,10 +2,14 @@
 const openRouterClient = require('../utils/openRouterClient');
 const config = require('../../config');
 const structuredDataParser = require('../utils/structuredDataParser'); // Import parser
+const dataAnalysisAgent = require('./dataAnalysisAgent');
+const consensusAgent = require('./consensusAgent');
 const modelCatalog = require('../utils/modelCatalog'); // Model-aware token limits
 const logger = require('../utils/logger').child('ContextAgent');
 const localKnowledge = require('../utils/localKnowledge'); // Local knowledge for hallucination prevention
 const citationValidator = require('../utils/citationValidator'); // Citation validation
+const citationRegistry = require('../utils/citationRegistry'); // Numbered sources for [n] citations
+const sourcePolicy = require('../utils/sourcePolicy'); // Allow/deny lists and reliability for cited sources
 
 /**
  * Calculate adaptive max_tokens based on model capabilities and content size
@@ -80,7 +84,12 @@ class ContextAgent {
       images = null, 
       documents = null, // Renamed from textDocuments for consistency
       structuredData = null,
-      inputEmbeddings = null // Add inputEmbeddings
+      inputEmbeddings = null, // Add inputEmbeddings
+      sources = null, // Citation registry from citationRegistry.collectSources
+      sourcePolicy: policy = null, // Resolved policy from sourcePolicy.resolvePolicy
+      grounding = 'web', // Research sources mode: 'web', 'local' or 'hybrid'
+      dataAnalysis = null, // Computed results from dataAnalysisAgent.analyzeStructuredData
+      consensus = null // Claim agreement from consensusAgent.scoreClaims
     } = options;
 
     logger.info('Starting contextualization', {
@@ -108,7 +117,9 @@ class ContextAgent {
         model: result.model,
         result: result.result,
         error: result.error,
-        errorMessage: result.errorMessage
+        errorMessage: result.errorMessage,
+        adjudicated: !!result.adjudicated,
+        confidence: result.confidence
       });
       // Update status based on results
       const hasSuccess = acc[agentIdStr].results.some(r => !r.error);
@@ -142,6 +153,7 @@ class ContextAgent {
       let resultsText = '';
       if (data.results.length > 0) {
          resultsText = data.results.map(r =>
+           r.adjudicated ? `--- ADJUDICATED after debate by ${r.model} (confidence ${Math.round((r.confidence || 0) * 100)}%) ---\n${r.result}\n` :
            `--- Model: ${r.model} (${r.error ? 'FAILED' : 'Success'}) ---\n${r.result}\n${r.error ? `ERROR DETAILS: ${r.errorMessage || 'Unknown error'}\n` : ''}`
          ).join('\n');
       } else {
@@ -246,18 +258,35 @@ ${localKnowledgeContext}
         });
      }
      
+    // SQL results computed over the full structured data, cited as [Q<n>]
+    const dataAnalysisContext = dataAnalysis ? dataAnalysisAgent.formatForPrompt(dataAnalysis, { tableRows: config.dataAnalysis?.tableRows }) : '';
+    if (dataAnalysisContext) {
+       structuredDataContext += `\n\n${dataAnalysisContext}\n`;
+    }
+
     // Add note about input embeddings if present
     let embeddingContext = '';
     if (inputEmbeddings && (inputEmbeddings.textDocuments?.length > 0 || inputEmbeddings.structuredData?.length > 0)) {
        embeddingContext = `\n\nNOTE: Semantic embeddings were generated for the provided documents/data, indicating their potential relevance. Consider this semantic context during synthesis.`;
     }
 
+    // Claims the ensemble disputes or barely supports, scored by the consensus stage
+    const consensusPrompt = consensus ? consensusAgent.formatForPrompt(consensus) : '';
+    const consensusContext = consensusPrompt ? `\n\n${consensusPrompt}\n` : '';
+
+    // Numbered source registry the synthesis cites as [n]
+    let sourceRegistryContext = '';
+    if (includeSources && sources && sources.length > 0) {
+       sourceRegistryContext = `\n\nSOURCE REGISTRY (cite as [n]):\n${citationRegistry.formatForPrompt(sources)}\n`;
+    }
 
     const userPrompt = `
 ORIGINAL RESEARCH QUERY: ${originalQuery}
 ${textDocumentContext}
 ${structuredDataContext}
 ${embeddingContext}
+${sourceRegistryContext}
+${consensusContext}
 ${contradictionWarning}
 ${subQuerySummary}ENSEMBLE RESEARCH RESULTS (Grouped by Sub-Query, including status and failures):
 ${formattedResults}
@@ -286,6 +315,35 @@ Please perform a critical synthesis of these findings, considering the original
         systemPrompt += "\n\nEnsure your synthesis incorporates relevant information and semantic context from the provided documents, structured data, and their embeddings.";
     }
 
+    if (researchResults.some(r => r.adjudicated)) {
+        systemPrompt += "\n\nSome sub-queries include an ADJUDICATED result: the ensemble models contradicted each other, debated, and an adjudicator resolved the contested points. For those points follow the adjudicated answer rather than any single model, and state its confidence where it is below 70%.";
+    }
+
+    if (consensusContext) {
+        systemPrompt += "\n\nMODEL CONSENSUS lists claims the ensemble models dispute or only weakly support. Do not state them as settled: present the competing positions or qualify them, and prefer claims the models agree on.";
+    }
+
+    if (dataAnalysisContext) {
+        systemPrompt += "\n\nCOMPUTED RESULTS were calculated with SQL over the full structured data. Use them for every quantitative statement about that data, cite them as [Q1], [Q2], and never estimate figures from the data summaries or sample rows.";
+    }
+
+    if (config.charts?.enabled && outputFormat !== 'bullet_points') {
+        systemPrompt += `\n\nPresent numeric comparisons as Markdown tables. Where a figure helps, add up to ${config.charts.maxCharts || 3} charts as \`\`\`vega-lite code blocks holding a Vega-Lite JSON spec with a "title", inline "data": {"values": [...]}, "mark" of bar, line, point or area, and "encoding" with x, y and optionally color (field and type). Chart only numbers stated in the report, and never invent data points.`;
+    }
+
+    if (sourceRegistryContext) {
+        systemPrompt += "\n\nA numbered SOURCE REGISTRY is provided. Cite registry sources by number, e.g. [3] or [2, 5], instead of repeating their URLs. Only use [Source: Title — https://...] for a URL that is not in the registry. Do not write a Sources section; it is generated from the registry.";
+    }
+
+    if (grounding === 'local') {
+        systemPrompt += "\n\nThis research was grounded only in passages from the internal document index. Synthesize strictly from the research results; do not add facts from outside knowledge and do not cite web URLs. Where the findings do not cover part of the query, say so.";
+    }
+
+    const policyContext = policy && grounding !== 'local' ? sourcePolicy.describeForPrompt(policy) : '';
+    if (policyContext) {
+        systemPrompt += `\n\n${policyContext}\nDo not cite sources the policy excludes, and weigh claims by the reliability of their sources.`;
+    }
+
     const messages = [
       { role: 'system', content: systemPrompt }, // Use potentially modified system prompt
       { role: 'user', content: synthesisUserMessageContent } // Use constructed multi-part content
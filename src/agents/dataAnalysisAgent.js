@@ -0,0 +1,516 @@
+/**
+ * Data Analysis Agent
+ *
+ * Answers questions about user-provided structured data (CSV/JSON) by
+ * computing over all of it instead of a handful of sample rows. Each input
+ * is loaded into a table of a private in-memory PGLite database, with column
+ * types inferred from the values. The model then works in a loop: it sees
+ * the schema, issues one read-only SELECT at a time, reads the result, and
+ * finishes with findings that cite the queries backing them.
+ *
+ * Queries run in a READ ONLY transaction against the private database, so
+ * they cannot change the inputs or reach the server's own tables. The database
+ * lives in a worker thread (analysisDatabase) and each query has a wall-clock
+ * limit: a runaway query is stopped by terminating the worker, the tables are
+ * reloaded into a fresh one, and the model is told to try a cheaper query. A finding
+ * is kept only when the numbers it states appear in the results of the
+ * queries it cites (or in the question or those queries themselves).
+ * Verified findings, with their SQL and small result tables as provenance,
+ * are handed to synthesis.
+ *
+ * @module dataAnalysisAgent
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const config = require('../../config');
+const openRouterClient = require('../utils/openRouterClient');
+const structuredDataParser = require('../utils/structuredDataParser');
+const { openAnalysisDatabase, readOnlyQuery } = require('../utils/analysisDatabase');
+const logger = require('../utils/logger').child('DataAnalysis');
+
+// Ways a single SELECT can write (data-modifying CTEs, SELECT INTO); the READ ONLY transaction stops the rest
+const WRITE_KEYWORDS_RE = /\b(insert|update|delete|merge|into)\b/i;
+const SLEEP_RE = /\bpg_sleep\w*\s*\(/i;
+// Postgres reserved words plus the write keywords: column or table names that would need quoting
+const RESERVED_WORDS = new Set(('all analyse analyze and any array as asc asymmetric both case cast check collate column constraint create ' +
+  'current_catalog current_date current_role current_time current_timestamp current_user default deferrable desc distinct do else end ' +
+  'except false fetch for foreign from grant group having in initially intersect into lateral leading limit localtime localtimestamp ' +
+  'not null offset on only or order placing primary references returning select session_user some symmetric system_user table then ' +
+  'to trailing true union unique user using variadic when where window with insert update delete merge').split(' '));
+const NUMBER_RE = /-?\d[\d,]*(?:\.\d+)?|-?\.\d+/g;
+const SCALE_WORDS = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+const NUMERIC_OID = 1700;
+const SAMPLE_ROWS = 3;
+
+/**
+ * SQL identifier for a table or column name (lower case, [a-z0-9_], unique within `taken`)
+ * Reserved words get a trailing underscore (`order` -> `order_`) so queries can name them unquoted.
+ * @param {string} name
+ * @param {Set<string>} taken - Names already used; the result is added
+ * @param {string} [prefix='c'] - Prefix for names that do not start with a letter
+ * @returns {string}
+ */
+function toIdentifier(name, taken, prefix = 'c') {
+  let base = String(name || '').toLowerCase().replace(/\.(csv|json)$/, '').replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+  if (!/^[a-z]/.test(base)) base = `${prefix}_${base}`.replace(/_+$/, '');
+  if (RESERVED_WORDS.has(base)) base = `${base}_`;
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}_${n}`;
+  taken.add(id);
+  return id;
+}
+
+const quoteIdent = id => `"${id.replace(/"/g, '""')}"`;
+
+const isBlank = v => v === null || v === undefined || (typeof v === 'string' && v.trim() === '');
+
+/**
+ * Postgres type for a column's values
+ * Strings that all look like integers, decimals, booleans, dates or ISO timestamps get that type;
+ * JSON objects and arrays are JSONB; anything mixed is TEXT.
+ * @param {Array<*>} values
+ * @returns {string} BIGINT | DOUBLE PRECISION | BOOLEAN | DATE | TIMESTAMPTZ | JSONB | TEXT
+ */
+function inferColumnType(values) {
+  const present = values.filter(v => !isBlank(v));
+  if (!present.length) return 'TEXT';
+  const all = test => present.every(test);
+  const text = v => String(v).trim();
+  if (all(v => typeof v === 'object')) return 'JSONB';
+  if (all(v => typeof v === 'boolean' || /^(true|false)$/i.test(text(v)))) return 'BOOLEAN';
+  if (all(v => (typeof v === 'number' && Number.isSafeInteger(v)) || (typeof v === 'string' && /^[-+]?\d{1,15}$/.test(text(v))))) return 'BIGINT';
+  if (all(v => (typeof v === 'number' && Number.isFinite(v)) || (typeof v === 'string' && /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text(v))))) return 'DOUBLE PRECISION';
+  if (all(v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(text(v)) && !Number.isNaN(Date.parse(text(v))))) return 'DATE';
+  if (all(v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text(v)) && !Number.isNaN(Date.parse(text(v))))) return 'TIMESTAMPTZ';
+  return 'TEXT';
+}
+
+function toColumnValue(value, type) {
+  if (isBlank(value)) return null;
+  switch (type) {
+    case 'JSONB': return JSON.stringify(value);
+    case 'BOOLEAN': return typeof value === 'boolean' ? value : /^true$/i.test(String(value).trim());
+    case 'BIGINT':
+    case 'DOUBLE PRECISION': return Number(value);
+    case 'TEXT': return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    default: return String(value).trim();
+  }
+}
+
+/**
+ * Rows to load for one structured data input
+ * CSV: one row per record. JSON: an array is one table (objects by key, anything else as `value`);
+ * an object becomes one table per property holding an array of objects, or a single row otherwise.
+ * @param {{name: string, type: string, content: string}} data
+ * @returns {Array<{name: string, rows: Array<Object>}>}
+ * @throws {Error} When the content cannot be parsed
+ */
+function tablesFromInput(data) {
+  if (data.type === 'csv') {
+    const rows = structuredDataParser.parseCsv(data.content);
+    if (!rows) throw new Error(`Could not parse CSV "${data.name}"`);
+    return [{ name: data.name, rows }];
+  }
+  const parsed = structuredDataParser.parseJson(data.content);
+  if (parsed === null) throw new Error(`Could not parse JSON "${data.name}"`);
+  const asRows = arr => arr.map(v => (v && typeof v === 'object' && !Array.isArray(v) ? v : { value: v }));
+  if (Array.isArray(parsed)) return [{ name: data.name, rows: asRows(parsed) }];
+  if (parsed && typeof parsed === 'object') {
+    const nested = Object.entries(parsed).filter(([, v]) => Array.isArray(v) && v.length && v.every(x => x && typeof x === 'object' && !Array.isArray(x)));
+    if (nested.length) return nested.map(([key, v]) => ({ name: `${data.name}_${key}`, rows: v }));
+    return [{ name: data.name, rows: [parsed] }];
+  }
+  return [{ name: data.name, rows: [{ value: parsed }] }];
+}
+
+/**
+ * Load structured data inputs into tables
+ * @param {Object} db - PGLite instance
+ * @param {Array<{name: string, type: string, content: string}>} structuredData
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Rows loaded per table
+ * @returns {Promise<Array<Object>>} Tables: { name, source, rowCount, loadedRows, columns: [{ name, from, type }] }
+ */
+async function loadTables(db, structuredData, { maxRows = 100000 } = {}) {
+  const tableNames = new Set();
+  const tables = [];
+  for (const data of structuredData || []) {
+    for (const input of tablesFromInput(data)) {
+      const rows = input.rows.slice(0, maxRows);
+      const keys = [...new Set(rows.flatMap(r => Object.keys(r)))];
+      if (!keys.length) continue;
+      const columnNames = new Set();
+      const columns = keys.map(key => ({ name: toIdentifier(key, columnNames), from: key, type: inferColumnType(rows.map(r => r[key])) }));
+      const table = { name: toIdentifier(input.name, tableNames, 't'), source: data.name, rowCount: input.rows.length, loadedRows: rows.length, columns };
+
+      await db.query(`CREATE TABLE ${quoteIdent(table.name)} (${columns.map(c => `${quoteIdent(c.name)} ${c.type}`).join(', ')});`);
+      // Postgres takes at most 65535 parameters per statement
+      const batch = Math.max(1, Math.floor(60000 / columns.length));
+      for (let i = 0; i < rows.length; i += batch) {
+        const chunk = rows.slice(i, i + batch);
+        const params = [];
+        const tuples = chunk.map(row => `(${columns.map(c => {
+          params.push(toColumnValue(row[c.from], c.type));
+          return `$${params.length}${c.type === 'JSONB' ? '::jsonb' : ''}`;
+        }).join(', ')})`);
+        await db.query(`INSERT INTO ${quoteIdent(table.name)} (${columns.map(c => quoteIdent(c.name)).join(', ')}) VALUES ${tuples.join(', ')};`, params);
+      }
+      tables.push(table);
+    }
+  }
+  return tables;
+}
+
+/**
+ * Check that SQL is a single read-only query
+ * @param {string} sql
+ * @returns {string} The query without a trailing semicolon
+ * @throws {Error} When it is empty, holds several statements, is not a SELECT / WITH ... SELECT, or sleeps
+ */
+function checkQuery(sql) {
+  const query = String(sql || '').trim().replace(/;\s*$/, '');
+  if (!query) throw new Error('Empty query');
+  // Judge keywords outside string literals and quoted identifiers
+  const bare = query.replace(/'(?:[^']|'')*'/g, "''").replace(/"(?:[^"]|"")*"/g, '""');
+  if (bare.includes(';')) throw new Error('Only one statement per query is allowed');
+  if (/--|\/\*/.test(bare)) throw new Error('Comments are not allowed in queries');
+  if (!/^(select|with)\b/i.test(bare)) throw new Error('Only SELECT queries (optionally starting with WITH) are allowed');
+  const write = bare.match(WRITE_KEYWORDS_RE);
+  if (write) throw new Error(`Read-only queries only: '${write[1].toLowerCase()}' is not allowed`);
+  if (SLEEP_RE.test(bare)) throw new Error('pg_sleep is not allowed');
+  return query;
+}
+
+function plainValue(value, dataTypeID) {
+  if (typeof value === 'bigint') return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (dataTypeID === NUMERIC_OID && value !== null && Number.isFinite(Number(value))) return Number(value);
+  return value;
+}
+
+/**
+ * Run a read-only query
+ * @param {Object} db - PGLite instance or AnalysisDatabase
+ * @param {string} sql
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Rows kept; `truncated` tells whether there were more
+ * @param {number} [options.timeoutMs] - Wall-clock limit (AnalysisDatabase only); the database is closed when it runs out
+ * @returns {Promise<{columns: string[], rows: Array<Array<*>>, truncated: boolean}>}
+ * @throws {Error} When the query is not read-only, fails or runs out of time
+ */
+async function runQuery(db, sql, { maxRows = 50, timeoutMs = 0 } = {}) {
+  const query = checkQuery(sql);
+  const result = await readOnlyQuery(db, `SELECT * FROM (${query}) AS analysis_result LIMIT ${maxRows + 1};`, [], { rowMode: 'array', timeoutMs });
+  const fields = result.fields || [];
+  const rows = result.rows.slice(0, maxRows).map(row => row.map((v, i) => plainValue(v, fields[i]?.dataTypeID)));
+  return { columns: fields.map(f => f.name), rows, truncated: result.rows.length > maxRows };
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\s+/g, ' ').slice(0, 80);
+}
+
+/**
+ * Markdown table of a query result
+ * @param {{columns: string[], rows: Array<Array<*>>}} result
+ * @param {number} [maxRows=10]
+ * @returns {string}
+ */
+function markdownTable(result, maxRows = 10) {
+  if (!result?.columns?.length) return '';
+  const lines = [
+    `| ${result.columns.map(formatCell).join(' | ')} |`,
+    `| ${result.columns.map(() => '---').join(' | ')} |`,
+    ...result.rows.slice(0, maxRows).map(row => `| ${row.map(formatCell).join(' | ')} |`)
+  ];
+  const hidden = result.rows.length > maxRows || result.truncated;
+  if (hidden) lines.push(`\n_Showing ${Math.min(maxRows, result.rows.length)} of ${result.truncated ? `more than ${result.rows.length}` : result.rows.length} rows._`);
+  return lines.join('\n');
+}
+
+function describeTables(tables, db) {
+  return Promise.all(tables.map(async (t) => {
+    const sample = await runQuery(db, `SELECT * FROM ${quoteIdent(t.name)}`, { maxRows: SAMPLE_ROWS });
+    const cols = t.columns.map(c => `  - ${c.name} ${c.type}${c.from !== c.name ? ` (from "${c.from}")` : ''}`).join('\n');
+    const loaded = t.loadedRows < t.rowCount ? ` (first ${t.loadedRows} of ${t.rowCount} loaded)` : '';
+    return `TABLE ${t.name} — from "${t.source}", ${t.loadedRows} rows${loaded}\n${cols}\nFirst rows:\n${markdownTable(sample, SAMPLE_ROWS)}`;
+  })).then(parts => parts.join('\n\n'));
+}
+
+/**
+ * Parse one model turn
+ * @param {string} text
+ * @returns {{action: 'query', sql: string, purpose: string}|{action: 'finish', findings: Array<{statement: string, queries: number[]}>}|null}
+ */
+function parseAction(text) {
+  let json;
+  try {
+    json = JSON.parse((String(text || '').match(/\{[\s\S]*\}/) || [''])[0]);
+  } catch (_) {
+    return null;
+  }
+  if (json?.action === 'query' && typeof json.sql === 'string') {
+    return { action: 'query', sql: json.sql, purpose: String(json.purpose || '').replace(/\s+/g, ' ').trim().slice(0, 200) };
+  }
+  if (json?.action === 'finish') {
+    const findings = (Array.isArray(json.findings) ? json.findings : [])
+      .filter(f => f && typeof f.statement === 'string' && f.statement.trim())
+      .map(f => ({
+        statement: f.statement.replace(/\s+/g, ' ').trim().slice(0, 500),
+        queries: [...new Set((Array.isArray(f.queries) ? f.queries : [f.queries]).map(q => parseInt(String(q).replace(/^Q/i, ''), 10)).filter(Number.isInteger))]
+      }));
+    return { action: 'finish', findings };
+  }
+  return null;
+}
+
+/**
+ * Numbers stated in a text, with the scale words that follow them ("1.2 million" -> 1200000)
+ * @param {string} text
+ * @returns {Array<{value: number, raw: number, decimals: number, percent: boolean}>} raw is the number before scaling
+ */
+function statedNumbers(text) {
+  const out = [];
+  const re = new RegExp(`(${NUMBER_RE.source})(\\s*%|\\s*(?:${Object.keys(SCALE_WORDS).join('|')})\\b)?`, 'gi');
+  for (const m of String(text || '').matchAll(re)) {
+    // Skip digits inside identifiers such as Q1 or 2024Q3 labels
+    const before = text[m.index - 1];
+    if (before && /[A-Za-z_]/.test(before)) continue;
+    const raw = m[1].replace(/,/g, '');
+    const suffix = (m[2] || '').trim().toLowerCase();
+    const decimals = (raw.split('.')[1] || '').length;
+    const scale = SCALE_WORDS[suffix] || 1;
+    out.push({ value: Number(raw) * scale, raw: Number(raw), decimals, percent: suffix === '%' });
+  }
+  return out.filter(n => Number.isFinite(n.value));
+}
+
+// A scaled number ("81k") also matches a result already in those units (a revenue_k column holding 81)
+function matchesNumber(stated, actual) {
+  const candidates = stated.percent ? [actual, actual * 100] : [actual];
+  const scale = stated.value / (stated.raw || 1);
+  const close = (a, target, slack) => Math.abs(a - target) <= Math.max(slack, Math.abs(a) * 0.005);
+  return candidates.some(a => close(a, stated.raw, 0.5 * 10 ** -stated.decimals) ||
+    (stated.raw !== stated.value && close(a, stated.value, 0.5 * scale * 10 ** -stated.decimals)));
+}
+
+/**
+ * Whether every number a finding states comes from the queries it cites
+ * @param {{statement: string, queries: number[]}} finding
+ * @param {Map<number, Object>} queries - Successful queries by id
+ * @param {string} question
+ * @returns {boolean}
+ */
+function verifyFinding(finding, queries, question) {
+  const cited = finding.queries.map(id => queries.get(id)).filter(Boolean);
+  if (!cited.length || cited.length !== finding.queries.length) return false;
+  const known = [];
+  for (const q of cited) {
+    for (const row of q.rows) {
+      for (const cell of row) {
+        if (typeof cell === 'number') known.push(cell);
+        else if (cell !== null && cell !== undefined) known.push(...statedNumbers(String(cell)).map(n => n.value));
+      }
+    }
+    known.push(...statedNumbers(q.sql).map(n => n.value));
+  }
+  known.push(...statedNumbers(question).map(n => n.value));
+  return statedNumbers(finding.statement).every(n => known.some(k => matchesNumber(n, k)));
+}
+
+function systemPrompt(maxRows) {
+  return 'You are a data analysis agent. You answer a research question from the user\'s tables by running read-only PostgreSQL queries over the full data. ' +
+    'Each turn, respond with ONLY a JSON object, either\n' +
+    '{"action":"query","purpose":"what the query computes","sql":"SELECT ..."}\n' +
+    'to run one SELECT (or WITH ... SELECT) statement, or\n' +
+    '{"action":"finish","findings":[{"statement":"one computed fact, with its numbers","queries":[1]}]}\n' +
+    'once the results answer the question. ' +
+    'Compute with SQL aggregation over the whole tables; never estimate from the sample rows. ' +
+    `Results show at most ${maxRows} rows, so aggregate, order and limit. ` +
+    'Every finding must list the numbers of the queries whose results support it, and every number in a finding must come from those results. ' +
+    'If the data cannot answer the question, finish with no findings.';
+}
+
+/**
+ * Analyze structured data inputs for a question
+ * @param {string} question - Research query
+ * @param {Array<{name: string, type: string, content: string}>} structuredData
+ * @param {Object} [options]
+ * @param {string} [options.model] - Default config.dataAnalysis.model
+ * @param {number} [options.maxSteps] - Model turns (queries plus the final answer)
+ * @param {number} [options.maxRows] - Result rows shown to the model and kept per query
+ * @param {number} [options.maxLoadRows] - Rows loaded per table
+ * @param {number} [options.queryTimeoutMs] - Wall-clock limit per query
+ * @param {Function} [options.onUsage] - (model, usage) callback for cost tracking
+ * @param {Function} [options.shouldStop] - Checked before each turn (e.g. budget exhausted)
+ * @param {string} [options.requestId]
+ * @returns {Promise<Object>} { model, tables, queries, findings, rejected, finished, steps }
+ */
+async function analyzeStructuredData(question, structuredData, options = {}) {
+  const cfg = config.dataAnalysis || {};
+  const {
+    model = cfg.model,
+    maxSteps = cfg.maxSteps || 6,
+    maxRows = cfg.maxRows || 50,
+    maxLoadRows = cfg.maxLoadRows || 100000,
+    queryTimeoutMs = cfg.queryTimeoutMs || 10000,
+    onUsage = null,
+    shouldStop = () => false,
+    requestId = 'unknown'
+  } = options;
+
+  const analysis = { model, tables: [], queries: [], findings: [], rejected: [], finished: false, steps: 0 };
+  let db = await openAnalysisDatabase();
+  try {
+    analysis.tables = await loadTables(db, structuredData, { maxRows: maxLoadRows });
+    if (!analysis.tables.length) return analysis;
+
+    const messages = [
+      { role: 'system', content: systemPrompt(maxRows) },
+      { role: 'user', content: `QUESTION: ${question}\n\nTABLES:\n${await describeTables(analysis.tables, db)}` }
+    ];
+    const successful = new Map();
+
+    while (analysis.steps < maxSteps && !shouldStop()) {
+      analysis.steps++;
+      if (analysis.steps === maxSteps) {
+        messages[messages.length - 1].content += '\n\nThis is your last turn: respond with the finish action now.';
+      }
+      const response = await openRouterClient.chatCompletion(model, messages, { temperature: 0, max_tokens: 800 });
+      if (onUsage && response.usage) onUsage(model, response.usage);
+      const reply = response.choices?.[0]?.message?.content || '';
+      messages.push({ role: 'assistant', content: reply });
+      const action = parseAction(reply);
+
+      if (!action) {
+        messages.push({ role: 'user', content: 'Respond with ONLY one JSON object: a query action or the finish action.' });
+        continue;
+      }
+      if (action.action === 'finish') {
+        for (const finding of action.findings) {
+          (verifyFinding(finding, successful, question) ? analysis.findings : analysis.rejected).push(finding);
+        }
+        analysis.finished = true;
+        break;
+      }
+
+      const id = analysis.queries.length + 1;
+      const entry = { id, purpose: action.purpose, sql: action.sql.trim(), columns: [], rows: [], truncated: false, error: null };
+      analysis.queries.push(entry);
+      try {
+        Object.assign(entry, await runQuery(db, entry.sql, { maxRows, timeoutMs: queryTimeoutMs }));
+        successful.set(id, entry);
+        messages.push({ role: 'user', content: `RESULT OF QUERY ${id} (${entry.rows.length}${entry.truncated ? '+' : ''} rows):\n${markdownTable(entry, maxRows)}` });
+      } catch (error) {
+        entry.error = error.message;
+        messages.push({ role: 'user', content: `ERROR IN QUERY ${id}: ${error.message}\nFix the query or try another approach.` });
+        if (db.terminated) {
+          logger.warn('Analysis query stopped; reloading tables', { requestId, query: id, error: error.message });
+          db = await openAnalysisDatabase();
+          await loadTables(db, structuredData, { maxRows: maxLoadRows });
+        }
+      }
+    }
+  } finally {
+    await db.close().catch(() => {});
+  }
+
+  if (analysis.rejected.length) {
+    logger.warn('Dropped findings not backed by query results', { requestId, rejected: analysis.rejected.length });
+  }
+  logger.info('Data analysis complete', {
+    requestId,
+    tables: analysis.tables.length,
+    queries: analysis.queries.length,
+    findings: analysis.findings.length,
+    finished: analysis.finished
+  });
+  return analysis;
+}
+
+// Queries to show with the findings: the ones they cite, or every successful one when there are none
+function provenanceQueries(analysis) {
+  const ok = analysis.queries.filter(q => !q.error);
+  if (!analysis.findings.length) return ok;
+  const cited = new Set(analysis.findings.flatMap(f => f.queries));
+  return ok.filter(q => cited.has(q.id));
+}
+
+const citeQueries = ids => ids.map(id => `[Q${id}]`).join(' ');
+
+/**
+ * Computed results for the synthesis prompt
+ * @param {Object} analysis - Result of analyzeStructuredData
+ * @param {Object} [options]
+ * @param {number} [options.tableRows=10] - Result rows shown per query
+ * @returns {string} Empty when nothing was computed
+ */
+function formatForPrompt(analysis, { tableRows = 10 } = {}) {
+  const queries = analysis ? provenanceQueries(analysis) : [];
+  if (!queries.length) return '';
+  const lines = ['COMPUTED RESULTS FROM THE PROVIDED STRUCTURED DATA (each computed with SQL over the full data; cite as [Q<n>]):'];
+  if (analysis.findings.length) {
+    lines.push('Findings:', ...analysis.findings.map(f => `- ${f.statement} ${citeQueries(f.queries)}`));
+  }
+  for (const q of queries) {
+    lines.push('', `Q${q.id}: ${q.purpose || 'query'}`, 'SQL:', q.sql, markdownTable(q, tableRows));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Markdown section with the findings and the query behind each result
+ * @param {Object} analysis - Result of analyzeStructuredData
+ * @param {Object} [options]
+ * @param {number} [options.tableRows=10]
+ * @returns {string} Section text (empty when nothing was computed)
+ */
+function formatAnalysisSection(analysis, { tableRows = 10 } = {}) {
+  const queries = analysis ? provenanceQueries(analysis) : [];
+  if (!queries.length) return '';
+  const tables = analysis.tables.map(t => `\`${t.name}\` (${t.loadedRows} rows from ${t.source})`).join(', ');
+  const lines = ['## Data Analysis', `Computed with read-only SQL over the provided data: ${tables}.`, ''];
+  for (const f of analysis.findings) lines.push(`- ${f.statement} ${citeQueries(f.queries)}`);
+  for (const q of queries) {
+    lines.push('', `### Q${q.id}: ${q.purpose || 'Query'}`, '', '```sql', q.sql, '```', '', markdownTable(q, tableRows));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Compact record for research_metadata (no result rows)
+ * @param {Object} analysis
+ * @returns {Object|null}
+ */
+function summarize(analysis) {
+  if (!analysis) return null;
+  return {
+    model: analysis.model,
+    steps: analysis.steps,
+    finished: analysis.finished,
+    tables: analysis.tables.map(t => ({ name: t.name, source: t.source, rows: t.loadedRows, columns: t.columns.map(c => `${c.name} ${c.type}`) })),
+    queries: analysis.queries.map(q => ({ id: q.id, purpose: q.purpose, sql: q.sql, rows: q.rows.length, truncated: q.truncated, error: q.error })),
+    findings: analysis.findings,
+    rejected: analysis.rejected
+  };
+}
+
+module.exports = {
+  inferColumnType,
+  tablesFromInput,
+  loadTables,
+  checkQuery,
+  runQuery,
+  markdownTable,
+  parseAction,
+  statedNumbers,
+  verifyFinding,
+  analyzeStructuredData,
+  formatForPrompt,
+  formatAnalysisSection,
+  summarize
+};
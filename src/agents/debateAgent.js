@@ -0,0 +1,334 @@
+/**
+ * Debate Agent
+ *
+ * Resolves disagreements inside a research ensemble (mode 'debate'). When the
+ * models answering one sub-query contradict each other, each member reads the
+ * other answers and the contested points, rebuts what it thinks is wrong,
+ * concedes what is better supported and restates its answer. Rounds repeat
+ * until no contradictions remain or the round limit is reached. An adjudicator
+ * model then reads the final positions and writes a resolved answer, with a
+ * verdict per contested point and a confidence score.
+ *
+ * Contradictions are found with factCheckAgent.detectEnsembleContradictions,
+ * the same check that flags them for synthesis in the other modes. When the
+ * adjudicator fails or its reply cannot be parsed, the resolution falls back
+ * to ConsensusCalculator (src/core/signal.js): the answer of the
+ * highest-weighted model, with a weighted confidence.
+ *
+ * @module debateAgent
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const config = require('../../config');
+const openRouterClient = require('../utils/openRouterClient');
+const { detectEnsembleContradictions } = require('./factCheckAgent');
+const { Signal, ConsensusCalculator } = require('../core/signal');
+const logger = require('../utils/logger').child('Debate');
+
+const MAX_ROUNDS = 3;
+const MAX_POINTS = 6;
+// Confidence given to each member's answer when the weighted fallback resolves the debate
+const FALLBACK_MEMBER_CONFIDENCE = 0.5;
+
+const clip = (text, max) => {
+  const value = String(text || '').trim();
+  return value.length > max ? `${value.slice(0, max)}...` : value;
+};
+
+/**
+ * Contested points between ensemble answers, one per pair of opposing claims
+ * @param {Array<{model: string, answer: string}>} positions
+ * @returns {Array<{models: string[], claims: string[]}>}
+ */
+function contestedPoints(positions) {
+  const found = detectEnsembleContradictions(positions.map(p => ({ model: p.model, content: p.answer })));
+  const seen = new Set();
+  const points = [];
+  for (const c of found) {
+    const key = `${c.claim1}|${c.claim2}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    points.push({ models: [c.model1, c.model2], claims: [c.claim1, c.claim2] });
+  }
+  return points.slice(0, MAX_POINTS);
+}
+
+function formatPoints(points) {
+  if (!points.length) return '(none found by the automatic check; compare the answers directly)';
+  return points.map((p, i) => `${i + 1}. ${p.models[0]}: "${clip(p.claims[0], 200)}" VS ${p.models[1]}: "${clip(p.claims[1], 200)}"`).join('\n');
+}
+
+function rebuttalMessages(query, self, others, points, round, rounds, maxChars) {
+  return [
+    {
+      role: 'system',
+      content: `You are a research model in a structured debate with other models that answered the same question. Read their answers and the contested points. Rebut claims you believe are wrong, with the evidence or reasoning behind your position; concede points where another answer is better supported; do not repeat agreed material at length. Then restate your full, corrected answer. Keep source URLs you rely on. This is round ${round} of ${rounds}.
+
+Reply in this format:
+REBUTTAL:
+<your rebuttals and concessions>
+REVISED ANSWER:
+<your corrected answer>`
+    },
+    {
+      role: 'user',
+      content: `QUESTION: ${query}
+
+YOUR CURRENT ANSWER:
+${clip(self.answer, maxChars)}
+
+OTHER ANSWERS:
+${others.map(o => `--- ${o.model} ---\n${clip(o.answer, maxChars)}`).join('\n\n')}
+
+CONTESTED POINTS:
+${formatPoints(points)}`
+    }
+  ];
+}
+
+/**
+ * Split a rebuttal reply into its rebuttal and revised answer
+ * @param {string} text
+ * @returns {{rebuttal: string, answer: string}} The whole reply is the answer when the markers are missing
+ */
+function parseRebuttal(text) {
+  const value = String(text || '');
+  const m = /REBUTTAL:\s*([\s\S]*?)\s*REVISED ANSWER:\s*([\s\S]*)$/i.exec(value);
+  if (!m) return { rebuttal: '', answer: value.trim() };
+  return { rebuttal: m[1].trim(), answer: m[2].trim() };
+}
+
+function adjudicationMessages(query, positions, points, maxChars) {
+  return [
+    {
+      role: 'system',
+      content: `You are a debate adjudicator. Several research models answered the same question, disagreed, and debated. Judge each contested point on the strength of the evidence and reasoning given, not on how often it was repeated; a point nobody supported convincingly stays unresolved. Then write the resolved answer to the question, keeping the source URLs that back it.
+
+Respond with ONLY a JSON object:
+{"points": [{"point": "<the contested claim>", "verdict": "<model whose position holds | both | neither | unresolved>", "reasoning": "<one sentence>"}], "answer": "<resolved answer in Markdown>", "confidence": <0 to 1>}`
+    },
+    {
+      role: 'user',
+      content: `QUESTION: ${query}
+
+FINAL POSITIONS:
+${positions.map(p => `--- ${p.model} ---\n${clip(p.answer, maxChars)}${p.rebuttal ? `\n\nRebuttal: ${clip(p.rebuttal, Math.floor(maxChars / 2))}` : ''}`).join('\n\n')}
+
+CONTESTED POINTS:
+${formatPoints(points)}`
+    }
+  ];
+}
+
+/**
+ * Parse the adjudicator's JSON verdict
+ * @param {string} text
+ * @returns {{answer: string, confidence: number, points: Array<{point: string, verdict: string, reasoning: string}>}|null}
+ *   null when there is no JSON object with an answer; confidences given as 0-100 are scaled to 0-1
+ */
+function parseVerdict(text) {
+  let json;
+  try {
+    json = JSON.parse((String(text || '').match(/\{[\s\S]*\}/) || [''])[0]);
+  } catch (_) {
+    return null;
+  }
+  if (!json || typeof json.answer !== 'string' || !json.answer.trim()) return null;
+  let confidence = Number(json.confidence);
+  if (!Number.isFinite(confidence)) confidence = 0.5;
+  if (confidence > 1) confidence /= 100;
+  const points = (Array.isArray(json.points) ? json.points : [])
+    .filter(p => p && typeof p.point === 'string' && p.point.trim())
+    .slice(0, MAX_POINTS)
+    .map(p => ({
+      point: clip(p.point.replace(/\s+/g, ' '), 300),
+      verdict: clip(String(p.verdict || 'unresolved').replace(/\s+/g, ' '), 80),
+      reasoning: clip(String(p.reasoning || '').replace(/\s+/g, ' '), 400)
+    }));
+  return { answer: json.answer.trim(), confidence: Math.max(0, Math.min(1, confidence)), points };
+}
+
+/**
+ * Resolution without the adjudicator: ConsensusCalculator over the final positions
+ * @param {Array<{model: string, answer: string}>} positions
+ * @returns {{answer: string, confidence: number, points: Array, method: string, model: string}}
+ */
+function weightedResolution(positions) {
+  const signals = positions.map(p => Signal.response(p.answer, p.model, FALLBACK_MEMBER_CONFIDENCE));
+  const result = new ConsensusCalculator().calculate(signals);
+  return { answer: result.consensus || '', confidence: result.confidence, points: [], method: 'weighted', model: result.topSource || positions[0]?.model };
+}
+
+/**
+ * Debate the ensemble answers for one sub-query and adjudicate the contested points
+ * @param {string} query - The sub-query
+ * @param {Array<Object>} results - Ensemble results from researchAgent (model, result, error)
+ * @param {Object} [options]
+ * @param {number} [options.rounds=config.debate.rounds] - Rebuttal rounds (1-3)
+ * @param {string} [options.adjudicatorModel=config.debate.adjudicatorModel]
+ * @param {boolean} [options.force=false] - Debate even when no contradictions are detected
+ * @param {Function} [options.onUsage] - (model, usage) for every call
+ * @param {Function} [options.shouldStop] - Returns true to stop before the next call (budget)
+ * @param {string} [options.requestId]
+ * @returns {Promise<Object|null>} null when fewer than two answers succeeded or nothing is contested
+ */
+async function debateSubQuery(query, results, options = {}) {
+  const cfg = config.debate || {};
+  const {
+    rounds = cfg.rounds || 2,
+    adjudicatorModel = cfg.adjudicatorModel,
+    maxAnswerChars = cfg.maxAnswerChars || 4000,
+    force = false,
+    onUsage = null,
+    shouldStop = () => false,
+    requestId = 'unknown'
+  } = options;
+  const roundLimit = Math.max(1, Math.min(MAX_ROUNDS, rounds));
+
+  let positions = (results || []).filter(r => r && !r.error && r.result).map(r => ({ model: r.model, answer: String(r.result), rebuttal: '' }));
+  if (positions.length < 2) return null;
+  const initialPoints = contestedPoints(positions);
+  if (!initialPoints.length && !force) return null;
+
+  const debate = {
+    query,
+    agentId: results.find(r => r?.agentId != null)?.agentId ?? null,
+    models: positions.map(p => p.model),
+    contested: initialPoints,
+    rounds: [],
+    converged: false,
+    resolution: null
+  };
+  logger.info('Debate started', { requestId, agentId: debate.agentId, models: debate.models, contested: initialPoints.length });
+
+  let points = initialPoints;
+  for (let round = 1; round <= roundLimit && !shouldStop(); round++) {
+    const current = positions;
+    positions = await Promise.all(current.map(async (self) => {
+      const others = current.filter(o => o !== self);
+      try {
+        const response = await openRouterClient.chatCompletion(self.model, rebuttalMessages(query, self, others, points, round, roundLimit, maxAnswerChars), { temperature: 0.3, max_tokens: 2500 });
+        if (onUsage && response.usage) onUsage(self.model, response.usage);
+        const reply = parseRebuttal(response.choices?.[0]?.message?.content);
+        return reply.answer ? { model: self.model, answer: reply.answer, rebuttal: reply.rebuttal } : self;
+      } catch (error) {
+        // A member that cannot answer keeps its previous position
+        logger.warn('Debate rebuttal failed', { requestId, model: self.model, round, error: error.message });
+        return self;
+      }
+    }));
+    const remaining = contestedPoints(positions);
+    debate.rounds.push({ round, contested: remaining.length, positions: positions.map(p => ({ model: p.model, rebuttal: p.rebuttal })) });
+    if (!remaining.length) {
+      debate.converged = true;
+      break;
+    }
+    points = remaining;
+  }
+
+  let resolution = null;
+  if (adjudicatorModel && !shouldStop()) {
+    try {
+      const response = await openRouterClient.chatCompletion(adjudicatorModel, adjudicationMessages(query, positions, debate.converged ? initialPoints : points, maxAnswerChars), { temperature: 0, max_tokens: 3000 });
+      if (onUsage && response.usage) onUsage(adjudicatorModel, response.usage);
+      const verdict = parseVerdict(response.choices?.[0]?.message?.content);
+      if (verdict) resolution = { ...verdict, method: 'adjudicated', model: adjudicatorModel };
+      else logger.warn('Adjudicator reply was not a verdict; using weighted consensus', { requestId, model: adjudicatorModel });
+    } catch (error) {
+      logger.warn('Adjudication failed; using weighted consensus', { requestId, model: adjudicatorModel, error: error.message });
+    }
+  }
+  debate.resolution = resolution || weightedResolution(positions);
+  logger.info('Debate resolved', { requestId, agentId: debate.agentId, rounds: debate.rounds.length, converged: debate.converged, method: debate.resolution.method, confidence: debate.resolution.confidence });
+  return debate;
+}
+
+/**
+ * The resolved answer as an ensemble result, placed after the members' answers for synthesis
+ * @param {Object} debate - Result of debateSubQuery
+ * @param {Object} [template] - A member result to copy agentId and query from
+ * @returns {Object}
+ */
+function adjudicatedResult(debate, template = {}) {
+  const r = debate.resolution;
+  return {
+    agentId: template.agentId ?? debate.agentId,
+    model: r.model,
+    query: template.query || debate.query,
+    result: r.answer,
+    error: false,
+    adjudicated: true,
+    confidence: r.confidence,
+    debate: summarizeDebate(debate),
+    sources: [],
+    retrievedAt: new Date().toISOString()
+  };
+}
+
+function summarizeDebate(debate) {
+  return {
+    agentId: debate.agentId,
+    query: debate.query,
+    models: debate.models,
+    contested: debate.contested.map(p => ({ models: p.models, claims: p.claims.map(c => clip(c, 200)) })),
+    rounds: debate.rounds.length,
+    converged: debate.converged,
+    method: debate.resolution.method,
+    adjudicator: debate.resolution.model,
+    confidence: debate.resolution.confidence,
+    points: debate.resolution.points
+  };
+}
+
+const percent = n => `${Math.round(n * 100)}%`;
+
+const debatesIn = results => (results || []).filter(r => r?.adjudicated && r.debate).map(r => r.debate);
+
+/**
+ * Markdown section with each debated sub-query's contested points and verdicts
+ * @param {Array<Object>} results - All research results; adjudicated ones carry their debate
+ * @returns {string} Empty when nothing was debated
+ */
+function formatDebateSection(results) {
+  const debates = debatesIn(results);
+  if (!debates.length) return '';
+  const lines = ['## Debate Adjudication', `${debates.length} sub-quer${debates.length === 1 ? 'y was' : 'ies were'} contested by the ensemble and debated before synthesis.`];
+  for (const d of debates) {
+    const how = d.method === 'adjudicated' ? `adjudicated by ${d.adjudicator}` : `resolved by weighted consensus (${d.adjudicator})`;
+    lines.push('', `### ${d.query}`, `Models: ${d.models.join(', ')}. ${d.rounds} round${d.rounds === 1 ? '' : 's'}${d.converged ? ', converged' : ''}; ${how}. Confidence: ${percent(d.confidence)}.`);
+    if (d.points.length) {
+      lines.push('');
+      for (const p of d.points) lines.push(`- **${p.point}** — ${p.verdict}${p.reasoning ? `: ${p.reasoning}` : ''}`);
+    } else {
+      lines.push('');
+      for (const p of d.contested) lines.push(`- ${p.models[0]} vs ${p.models[1]}: "${p.claims[0]}" / "${p.claims[1]}"`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Compact record for research_metadata
+ * @param {Array<Object>} results - All research results
+ * @returns {Array<Object>|null}
+ */
+function summarize(results) {
+  const debates = debatesIn(results).map(d => ({
+    ...d,
+    points: d.points.map(p => ({ point: p.point, verdict: p.verdict }))
+  }));
+  return debates.length ? debates : null;
+}
+
+module.exports = {
+  contestedPoints,
+  parseRebuttal,
+  parseVerdict,
+  weightedResolution,
+  debateSubQuery,
+  adjudicatedResult,
+  formatDebateSection,
+  summarize
+};
@@ -5,6 +5,7 @@
  * 1. Checking against local knowledge base
  * 2. Detecting contradictions between ensemble models
  * 3. Flagging unverifiable claims
+ * 4. Checking cited claims against the pages they cite (claimVerificationAgent)
  *
  * @module factCheckAgent
  * @version 1.8.0
@@ -14,6 +15,8 @@
 
 const localKnowledge = require('../utils/localKnowledge');
 const citationValidator = require('../utils/citationValidator');
+const claimVerificationAgent = require('./claimVerificationAgent');
+const config = require('../../config');
 const logger = require('../utils/logger').child('FactCheckAgent');
 
 /**
@@ -176,7 +179,7 @@ function detectEnsembleContradictions(ensembleResults) {
  * @returns {Object} Accuracy score and breakdown
  */
 function calculateAccuracyScore(checkResults) {
-  const { claims = [], citationQuality = {}, contradictions = [] } = checkResults;
+  const { claims = [], citationQuality = {}, contradictions = [], claimVerification = null } = checkResults;
 
   if (claims.length === 0) {
     return { score: 0.5, level: 'unknown', breakdown: { claims: 0, contradicted: 0 } };
@@ -211,6 +214,14 @@ function calculateAccuracyScore(checkResults) {
     score = score * 0.7 + citationQuality.score * 0.3;
   }
 
+  // Factor in how many cited claims their sources actually support
+  if (claimVerification?.checked > 0) {
+    breakdown.claimSupport = claimVerification.supported / claimVerification.checked;
+    breakdown.sourceContradicted = claimVerification.contradicted;
+    score = score * 0.6 + breakdown.claimSupport * 0.4;
+    score -= claimVerification.contradicted * 0.1;
+  }
+
   // Penalty for ensemble contradictions
   score -= contradictions.length * 0.1;
 
@@ -230,10 +241,23 @@ function calculateAccuracyScore(checkResults) {
  * Run full fact-checking on research output
  * @param {string} content - Research content to check
  * @param {Object} options - Options including ensembleResults, requestId
+ * @param {boolean} [options.verifyClaims] - Check cited claims against the cited pages (default config.claimVerification.enabled)
+ * @param {Array<Object>} [options.sources] - Citation registry the report's [n] markers refer to
+ * @param {Function} [options.onUsage] - (model, usage) callback for claim verification calls
+ * @param {boolean} [options.validateUrls=true] - Send HEAD requests to cited URLs (off for research that must stay offline)
+ * @param {Function} [options.fetchPage] - Page loader for claim verification (see claimVerificationAgent.verifyClaims)
  * @returns {Promise<Object>} Fact-check results
  */
 async function factCheck(content, options = {}) {
-  const { ensembleResults = [], requestId = 'unknown' } = options;
+  const {
+    ensembleResults = [],
+    requestId = 'unknown',
+    verifyClaims = config.claimVerification?.enabled !== false,
+    sources = null,
+    onUsage = null,
+    validateUrls = true,
+    fetchPage = undefined
+  } = options;
 
   logger.info('Starting fact-check', { requestId, contentLength: content?.length || 0 });
 
@@ -241,6 +265,8 @@ async function factCheck(content, options = {}) {
     claims: [],
     contradictions: [],
     citationQuality: null,
+    citations: [],
+    claimVerification: null,
     accuracyScore: null
   };
 
@@ -255,10 +281,24 @@ async function factCheck(content, options = {}) {
     }
 
     // 3. Validate citations
-    const citationValidation = await citationValidator.validateCitations(content, { requestId });
-    results.citationQuality = citationValidator.getQualitySummary(citationValidation);
+    if (validateUrls) {
+      const citationValidation = await citationValidator.validateCitations(content, { requestId });
+      results.citationQuality = citationValidator.getQualitySummary(citationValidation);
+      results.citations = citationValidation.results.map(({ url, valid, status, reason }) => ({ url, valid, status, reason }));
+    } else {
+      results.citationQuality = { level: 'skipped', message: 'Citation links not checked' };
+    }
+
+    // 4. Check cited claims against the pages they cite
+    if (verifyClaims) {
+      try {
+        results.claimVerification = await claimVerificationAgent.verifyClaims(content, { sources, onUsage, fetchPage, requestId });
+      } catch (error) {
+        logger.warn('Claim verification failed', { requestId, error: error.message });
+      }
+    }
 
-    // 4. Calculate overall accuracy score
+    // 5. Calculate overall accuracy score
     results.accuracyScore = calculateAccuracyScore(results);
 
     logger.info('Fact-check complete', {
@@ -299,6 +339,15 @@ function generateWarnings(factCheckResults) {
     warnings.push(`NOTE: ${factCheckResults.contradictions.length} contradiction(s) detected between ensemble models.`);
   }
 
+  // Warn about cited claims their sources don't back
+  const verification = factCheckResults.claimVerification;
+  if (verification?.contradicted > 0) {
+    warnings.push(`WARNING: ${verification.contradicted} cited claim(s) are contradicted by the source they cite.`);
+  }
+  if (verification?.unsupported > 0) {
+    warnings.push(`NOTE: ${verification.unsupported} of ${verification.checked} checked claim(s) are not supported by the source they cite.`);
+  }
+
   // Warn about citation quality
   if (factCheckResults.citationQuality?.level === 'low' || factCheckResults.citationQuality?.level === 'very-low') {
     warnings.push(`WARNING: ${factCheckResults.citationQuality.message}`);
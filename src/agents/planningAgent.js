@@ -3,6 +3,7 @@ const openRouterClient = require('../utils/openRouterClient');
 const config = require('../../config');
 const logger = require('../utils/logger').child('PlanningAgent');
 const localKnowledge = require('../utils/localKnowledge'); // Local knowledge for hallucination prevention
+const sourcePolicy = require('../utils/sourcePolicy'); // Steers sub-queries toward allowed, reliable sources
 
 // Define DOMAINS globally or import if moved to utils
 const DOMAINS = ["general", "technical", "reasoning", "search", "creative"];
@@ -64,6 +65,8 @@ class PlanningAgent {
   // Added previousResults, images, documents, structuredData, pastReports, inputEmbeddings, and requestId parameters
   async planResearch(query, options = {}, previousResults = null, requestId = 'unknown-req') { 
     const { images, documents, structuredData, pastReports, inputEmbeddings, onEvent, clientContext } = options; // Extract context
+    const localOnly = options.sources === 'local';
+    const policyContext = !localOnly && options.sourcePolicy ? sourcePolicy.describeForPrompt(options.sourcePolicy) : '';
     let systemPrompt;
     let classifiedDomain = 'general'; // Default domain
 
@@ -102,6 +105,13 @@ Refinement Guidelines:
 `;
     }
 
+    if (policyContext) {
+      systemPrompt += `\n\n${policyContext}\nWrite sub-queries that can be answered from sources this policy permits.`;
+    }
+    if (localOnly) {
+      systemPrompt += "\n\nEach sub-query will be answered only from passages retrieved from an internal document index, with no web access. Phrase sub-queries with the specific terms such documents would use, so keyword and semantic search can find them.";
+    }
+
     // Construct user message content, including all context types
     const userMessageContent = [];
     userMessageContent.push({ type: 'text', text: query });
@@ -155,7 +165,7 @@ Refinement Guidelines:
             max_tokens: 2000
           });
           this.model = m; // stick to a working model
-          if (onEvent && response?.usage) await onEvent('planning_usage', { usage: response.usage });
+          if (onEvent && response?.usage) await onEvent('planning_usage', { model: m, usage: response.usage });
           break;
         } catch (e) {
           lastErr = e;
@@ -6,6 +6,9 @@ const modelCatalog = require('../utils/modelCatalog'); // Dynamic model catalog
 const logger = require('../utils/logger').child('ResearchAgent');
 const localKnowledge = require('../utils/localKnowledge'); // Local knowledge for hallucination prevention
 const RobustWebScraper = require('../utils/robustWebScraper'); // Web grounding for real-time data
+const sourcePolicy = require('../utils/sourcePolicy'); // Allow/deny lists, recency and reliability for web sources
+const debateAgent = require('./debateAgent'); // Rebuttal rounds and adjudication for contested sub-queries
+const modelRouter = require('../utils/modelRouter'); // Ensemble choice learned from call, fact-check and rating outcomes
 const parallelism = require('../../config').models.parallelism || 4;
 
 const DOMAINS = ["general", "technical", "reasoning", "search", "creative"];
@@ -30,6 +33,11 @@ const WEB_GROUNDING_CONFIG = {
   ]
 };
 
+// Local grounding: passages from the document index (sources 'local' / 'hybrid')
+const LOCAL_GROUNDING_CONFIG = {
+  maxPassages: parseInt(process.env.LOCAL_GROUNDING_MAX_PASSAGES, 10) || 8
+};
+
 // Singleton web scraper instance
 const webScraper = new RobustWebScraper();
 
@@ -55,17 +63,26 @@ class ResearchAgent {
    * Perform web search and format results for LLM context injection
    * @param {string} query - The research query
    * @param {string} requestId - Request ID for logging
+   * @param {Object} [policy] - Resolved source policy (sourcePolicy.resolvePolicy); defaults to the server policy
    * @returns {Promise<{success: boolean, context: string, sources: Array}>}
    */
-  async getWebGroundingContext(query, requestId = 'unknown-req') {
+  async getWebGroundingContext(query, requestId = 'unknown-req', policy = null) {
     try {
       logger.info('Performing web grounding search', { requestId, query: query.substring(0, 80) });
       const startTime = Date.now();
-
-      const results = await webScraper.searchWeb(query, WEB_GROUNDING_CONFIG.maxResults);
+      const effectivePolicy = policy || sourcePolicy.resolvePolicy();
+      const maxResults = WEB_GROUNDING_CONFIG.maxResults;
+
+      // Over-fetch when the policy may drop results
+      const found = await webScraper.searchWeb(query, sourcePolicy.isRestrictive(effectivePolicy) ? maxResults * 2 : maxResults);
+      const { kept, dropped } = sourcePolicy.filterResults(found, effectivePolicy);
+      const results = kept.slice(0, maxResults);
+      if (dropped.length) {
+        logger.info('Source policy dropped web results', { requestId, dropped: dropped.length, reasons: [...new Set(dropped.map(d => d.reason))] });
+      }
 
       if (!results || results.length === 0) {
-        logger.warn('Web grounding returned no results', { requestId, query: query.substring(0, 50) });
+        logger.warn('Web grounding returned no results', { requestId, query: query.substring(0, 50), dropped: dropped.length });
         return { success: false, context: '', sources: [] };
       }
 
@@ -74,7 +91,7 @@ class ResearchAgent {
 
       // Format results for LLM context
       const formattedResults = results.map((r, i) =>
-        `[${i + 1}] ${r.title}\nSource: ${r.url}\n${r.text || r.snippet || ''}`
+        `[${i + 1}] ${r.title}\nSource: ${r.url} (reliability ${r.reliability.toFixed(2)}${r.publishedAt ? `, published ${r.publishedAt.slice(0, 10)}` : ''})\n${r.text || r.snippet || ''}`
       ).join('\n\n');
 
       const context = `
@@ -90,7 +107,7 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
       return {
         success: true,
         context,
-        sources: results.map(r => ({ title: r.title, url: r.url }))
+        sources: results.map(r => ({ title: r.title, url: r.url, reliability: r.reliability, ...(r.publishedAt ? { publishedAt: r.publishedAt } : {}) }))
       };
     } catch (error) {
       logger.error('Web grounding failed', { requestId, error: error.message });
@@ -98,6 +115,62 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
     }
   }
 
+  /**
+   * Retrieve the best indexed passages for a query and format them for LLM context injection
+   * Passages are numbered by their citation reference, doc:<document id>#<passage number>.
+   * @param {string} query - The research query
+   * @param {string} requestId - Request ID for logging
+   * @param {string} [collection] - Only passages from documents in this collection
+   * @returns {Promise<{success: boolean, context: string, sources: Array}>}
+   */
+  async getLocalGroundingContext(query, requestId = 'unknown-req', collection = null) {
+    // Required here so loading the agent does not open the database
+    const dbClient = require('../utils/dbClient');
+    try {
+      const maxPassages = LOCAL_GROUNDING_CONFIG.maxPassages;
+      const hits = await dbClient.searchHybrid(query, maxPassages, { collection });
+      const passages = hits
+        .filter(h => h.type === 'doc' && Array.isArray(h.passages))
+        .flatMap(h => h.passages.map(p => ({ ...p, docId: h.id, title: h.title, metadata: h.metadata || {} })))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxPassages);
+
+      if (passages.length === 0) {
+        logger.warn('Local grounding found no passages', { requestId, query: query.substring(0, 50) });
+        return { success: false, context: '', sources: [] };
+      }
+      logger.info('Local grounding completed', { requestId, passageCount: passages.length, documents: new Set(passages.map(p => p.docId)).size });
+
+      const refOf = p => `doc:${p.docId}#${p.chunk}`;
+      const locate = p => [
+        p.metadata.relativePath || p.metadata.path,
+        p.metadata.pageStart ? `p. ${p.metadata.pageStart}${p.metadata.pageEnd && p.metadata.pageEnd !== p.metadata.pageStart ? `-${p.metadata.pageEnd}` : ''}` : null
+      ].filter(Boolean).join(', ');
+      const formatted = passages.map(p => {
+        const where = locate(p);
+        return `[${refOf(p)}] ${p.title}${p.heading ? ` — ${p.heading}` : ''}${where ? ` (${where})` : ''}\n${p.text}`;
+      }).join('\n\n');
+
+      const context = `
+=== LOCAL KNOWLEDGE BASE PASSAGES ===
+The following passages were retrieved from the internal document index. Each is labelled with its reference, doc:<document>#<passage>.
+
+${formatted}
+
+=== END LOCAL PASSAGES ===
+`;
+
+      return {
+        success: true,
+        context,
+        sources: passages.map(p => ({ title: p.heading ? `${p.title} — ${p.heading}` : p.title, url: refOf(p), origin: 'local', docId: p.docId, chunk: p.chunk }))
+      };
+    } catch (error) {
+      logger.error('Local grounding failed', { requestId, error: error.message });
+      return { success: false, context: '', sources: [], error: error.message };
+    }
+  }
+
   // Ensure options parameter is accepted
   async classifyQueryDomain(query, options = {}) { 
     const systemPrompt = `Classify the primary domain of the following research query. Respond with ONLY one domain from this list: ${DOMAINS.join(', ')}.`;
@@ -218,6 +291,15 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
     return selectedModel;
   }
 
+  // Models the adaptive router chooses from: the cost tier (plus the very low-cost tier for simple
+  // queries), rotated by agentIndex so untried models are spread across sub-queries
+  candidateModels(costPreference, complexity = 'moderate', agentIndex = 0) {
+     const tier = costPreference === 'high' ? this.highCostModels : this.lowCostModels;
+     const pool = complexity === 'simple' ? [...this.veryLowCostModels, ...tier] : [...tier];
+     const offset = pool.length ? Math.abs(agentIndex) % pool.length : 0;
+     return [...pool.slice(offset), ...pool.slice(0, offset)];
+  }
+
   // Helper to get alternative models from the same cost tier, excluding the primary model
   getAlternativeModel(primaryModelName, costPreference, agentIndex) {
      const availableModels = costPreference === 'high' ? this.highCostModels : this.lowCostModels;
@@ -236,8 +318,11 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
     const domain = await this.classifyQueryDomain(query, { requestId });
     const complexity = await this.assessQueryComplexity(query, { requestId });
     const mode = extra?.mode || 'standard';
+    // Callers may shrink the ensemble (e.g. budget degradation); otherwise 2-3 models
+    const ensembleLimit = extra?.ensembleSize ? Math.max(1, Math.min(3, extra.ensembleSize)) : Math.max(2, Math.min(3, this.ensembleSize));
     // Hyper mode prefers fastest locally-available providers from config/catalog (no hardcoded Morph models)
     let primaryModel;
+    let routed = null;
     if (mode === 'hyper') {
       try {
         const preferred = [
@@ -260,6 +345,11 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
       } catch (_) {
         primaryModel = config.models.lowCost?.[0]?.name || config.models.planning;
       }
+    } else if (modelRouter.isEnabled()) {
+      routed = modelRouter.route(this.candidateModels(costPreference, complexity, agentId), domain, { costPreference, size: ensembleLimit });
+      primaryModel = routed.models[0] || await this.getModel(costPreference, agentId, domain, complexity, requestId);
+      logger.debug('Ensemble routed from model statistics', { requestId, agentId, domain, models: routed.models, explored: routed.explored });
+      if (onEvent && routed.models.length) await onEvent('model_routed', { agent_id: agentId, domain, models: routed.models, explored: routed.explored });
     } else {
       primaryModel = await this.getModel(costPreference, agentId, domain, complexity, requestId);
     }
@@ -279,6 +369,7 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
     ensemble.add(primaryModel);
 
     const addAlt = (id) => { if (id && !ensemble.has(id)) ensemble.add(id); };
+    for (const id of routed?.models || []) addAlt(id);
 
     if (mode === 'hyper') {
       const hyperAlts = [
@@ -293,7 +384,7 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
     try {
       const preferred = modelCatalog.getPreferred2025Models();
       for (const p of preferred) {
-        if (ensemble.size >= Math.max(2, Math.min(3, this.ensembleSize))) break;
+        if (ensemble.size >= ensembleLimit) break;
         addAlt(p.id);
       }
     } catch (_) {}
@@ -313,17 +404,36 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
       } catch (_) {}
     }
 
-    const modelsToRun = Array.from(ensemble).slice(0, Math.max(2, Math.min(3, this.ensembleSize)));
+    const modelsToRun = Array.from(ensemble).slice(0, ensembleLimit);
     logger.debug('Ensemble models selected', { requestId, agentId, models: modelsToRun });
 
+    // Indexed passages are retrieved once per sub-query and shared by the ensemble
+    const sources = extra?.sources || 'web';
+    const localGrounding = sources === 'web' ? null : await this.getLocalGroundingContext(query, requestId, extra?.collection);
+
     const ensemblePromises = modelsToRun.map(model => 
-      this._executeSingleResearch(query, agentId, model, audienceLevel, includeSources, images, textDocuments, structuredData, inputEmbeddings, requestId, onEvent)
+      this._executeSingleResearch(query, agentId, model, audienceLevel, includeSources, images, textDocuments, structuredData, inputEmbeddings, requestId, onEvent, { sourcePolicy: extra?.sourcePolicy, sources, localGrounding })
     );
-    return Promise.all(ensemblePromises);
+    // Answers carry their domain (and whether the router was exploring) for the model statistics
+    const ensembleResults = (await Promise.all(ensemblePromises))
+      .map(r => ({ ...r, domain, ...(routed?.explored.includes(r.model) ? { explored: true } : {}) }));
+    if (mode !== 'debate') return ensembleResults;
+
+    // Debate mode: contested sub-queries get rebuttal rounds and an adjudicated answer after the members' own
+    const budget = extra?.budget;
+    const debate = await debateAgent.debateSubQuery(query, ensembleResults, {
+      rounds: extra?.debateRounds,
+      requestId,
+      shouldStop: () => !!budget && !budget.canStartResearchCall(),
+      onUsage: (model, usage) => onEvent && onEvent('debate_usage', { agent_id: agentId, model, usage })
+    });
+    if (!debate) return ensembleResults;
+    if (onEvent) await onEvent('debate_resolved', { agent_id: agentId, rounds: debate.rounds.length, converged: debate.converged, method: debate.resolution.method, confidence: debate.resolution.confidence });
+    return [...ensembleResults, debateAgent.adjudicatedResult(debate, ensembleResults[0])];
   }
   
   // Updated to include structuredData, inputEmbeddings, requestId, and onEvent parameters
-  async _executeSingleResearch(query, agentId, model, audienceLevel, includeSources, images = null, textDocuments = null, structuredData = null, inputEmbeddings = null, requestId = 'unknown-req', onEvent = null) { 
+  async _executeSingleResearch(query, agentId, model, audienceLevel, includeSources, images = null, textDocuments = null, structuredData = null, inputEmbeddings = null, requestId = 'unknown-req', onEvent = null, extra = {}) { 
      // Dynamic capability check via model catalog
      let modelSupportsVision = false;
      try {
@@ -370,27 +480,50 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
        logger.debug('Injecting local knowledge context', { requestId, agentId, matchCount: localKnowledge.findRelevantKnowledge(query).length });
      }
 
+     // Local grounding: passages from the document index, retrieved by conductResearch
+     const sources = extra?.sources || 'web';
+     const localOnly = sources === 'local';
+     const localGroundingContext = extra?.localGrounding?.success ? extra.localGrounding.context : '';
+     const localSources = extra?.localGrounding?.success ? extra.localGrounding.sources : [];
+
      // Web grounding: fetch real-time web results for queries that need current information
+     // Local-only research never leaves the box except for model calls
      let webGroundingContext = '';
-     if (this.queryNeedsWebGrounding(query)) {
+     let webSources = [];
+     if (!localOnly && this.queryNeedsWebGrounding(query)) {
        logger.info('Query requires web grounding', { requestId, agentId, query: query.substring(0, 60) });
-       const webResult = await this.getWebGroundingContext(query, requestId);
+       const webResult = await this.getWebGroundingContext(query, requestId, extra?.sourcePolicy);
        if (webResult.success) {
          webGroundingContext = webResult.context;
+         webSources = webResult.sources;
          logger.info('Web grounding injected', { requestId, agentId, sourceCount: webResult.sources.length });
        }
      }
 
+     const sourcePolicyContext = !localOnly && extra?.sourcePolicy ? sourcePolicy.describeForPrompt(extra.sourcePolicy) : '';
+
+     let citationInstruction = '';
+     if (includeSources && localOnly) {
+       citationInstruction = `Grounding: Answer ONLY from the local knowledge base passages above. Do not rely on outside knowledge and do not cite web URLs. For every key claim, cite the passage it comes from as [Source: Title — doc:<document>#<passage>], copying the reference exactly as labelled. If the passages do not answer part of the question, say so plainly rather than filling the gap.${localGroundingContext ? '' : ' No passages were found for this question, so report that the knowledge base does not cover it.'}`;
+     } else if (includeSources) {
+       citationInstruction = 'Citations: For every key claim, include an inline citation with an explicit URL using the format [Source: Title — https://...]. If a claim cannot be sourced with a URL, label it [Unverified] and de-emphasize it. Never invent repository names, package names, IDs, or registry URLs. If you cannot find an exact official URL (e.g., GitHub org repo path, docs page), state [Unverified] rather than guessing.';
+       if (localGroundingContext) citationInstruction += ' Claims taken from the local knowledge base passages cite their reference instead, as [Source: Title — doc:<document>#<passage>].';
+     } else if (localOnly) {
+       citationInstruction = 'Grounding: Answer ONLY from the local knowledge base passages above. Do not rely on outside knowledge. If the passages do not answer part of the question, say so plainly.';
+     }
+
      const systemPrompt = `
  You are Research Agent ${agentId} using model ${model}, an elite AI research specialist tasked with providing authoritative information on specific topics.
+ ${localGroundingContext}
  ${webGroundingContext}
+ ${sourcePolicyContext}
  ${localKnowledgeContext}
  ${textDocumentContextSnippet}
  ${structuredDataContextSnippet}
  Your mission is to thoroughly investigate the assigned research question and deliver a comprehensive, evidence-based analysis.
  
  Audience level: ${audienceLevel} (adjust technical depth accordingly)
- ${includeSources ? 'Citations: For every key claim, include an inline citation with an explicit URL using the format [Source: Title — https://...]. If a claim cannot be sourced with a URL, label it [Unverified] and de-emphasize it. Never invent repository names, package names, IDs, or registry URLs. If you cannot find an exact official URL (e.g., GitHub org repo path, docs page), state [Unverified] rather than guessing.' : ''}
+ ${citationInstruction}
  
  Structure your response with these components:
  1. KEY FINDINGS: Summarize the most important discoveries (2-3 sentences)
@@ -467,7 +600,10 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
         query,
         result: response.choices[0].message.content,
         error: false, // Indicate success
-        usage
+        usage,
+        latencyMs: duration,
+        sources: [...localSources, ...webSources], // Passages and web results given to the model (for the citation registry)
+        retrievedAt: new Date().toISOString()
       };
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -480,7 +616,8 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
         result: `ResearchAgent ${agentId} (Model: ${model}) failed for query "${query.substring(0, 50)}...": ${error.message}`,
         error: true,
         errorMessage: error.message,
-        errorStack: error.stack // Include stack trace for better debugging
+        errorStack: error.stack, // Include stack trace for better debugging
+        latencyMs: duration
       };
     }
   }
@@ -491,6 +628,7 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
     const startTime = Date.now();
 
     const mode = extra?.mode || 'standard';
+    const { ensembleSize, budget, checkpoints } = extra || {};
 
     // Bounded concurrency queue
     const results = [];
@@ -499,11 +637,28 @@ IMPORTANT: If the web results contradict your training data, TRUST THE WEB RESUL
       while (idx < queries.length) {
         const current = idx++;
         const q = queries[current];
+        // Resumed jobs reuse sub-queries answered before the restart
+        const saved = checkpoints?.get(`agent:${q.id}`);
+        if (saved) {
+          results[current] = saved.results;
+          if (onEvent) await onEvent('agent_resumed', { agent_id: q.id, query: q.query });
+          continue;
+        }
+        if (budget && !budget.canStartResearchCall()) {
+          budget.note('agent_skipped', { agentId: q.id });
+          results[current] = [{ agentId: q.id, model: 'N/A', query: q.query, result: 'Skipped: research budget reached', error: true, errorMessage: 'budget reached' }];
+          if (onEvent) await onEvent('agent_skipped', { agent_id: q.id, reason: 'budget' });
+          continue;
+        }
         try {
           if (onEvent) await onEvent('agent_started', { agent_id: q.id, query: q.query, cost: costPreference, mode });
-          const value = await this.conductResearch(q.query, q.id, costPreference, 'intermediate', true, images, textDocuments, structuredData, inputEmbeddings, requestId, onEvent, { mode });
+          const value = await this.conductResearch(q.query, q.id, costPreference, 'intermediate', true, images, textDocuments, structuredData, inputEmbeddings, requestId, onEvent, { mode, ensembleSize, budget, debateRounds: extra?.debateRounds, sourcePolicy: extra?.sourcePolicy, sources: extra?.sources, collection: extra?.collection });
           results[current] = value; // array of ensemble results
           const ok = Array.isArray(value) ? value.every(v => !v.error) : !value.error;
+          // Only checkpoint answers worth keeping; failed sub-queries retry on resume
+          if (checkpoints && (Array.isArray(value) ? value.some(v => !v.error) : !value.error)) {
+            await checkpoints.save(`agent:${q.id}`, { results: value });
+          }
           if (onEvent) await onEvent('agent_completed', { agent_id: q.id, ok });
         } catch (e) {
           results[current] = [{ agentId: q.id, model: 'N/A', query: q.query, result: `Error: ${e.message}`, error: true, errorMessage: e.message }];
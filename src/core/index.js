@@ -15,7 +15,10 @@ module.exports = {
   SignalType: signal.SignalType,
   SignalBus: signal.SignalBus,
   ConsensusCalculator: signal.ConsensusCalculator,
+  ConsensusStrategy: signal.ConsensusStrategy,
   ModelWeights: signal.ModelWeights,
+  getModelWeights: signal.getModelWeights,
+  modelWeight: signal.modelWeight,
   CrystallizationPatterns: signal.CrystallizationPatterns,
   extractCrystallization: signal.extractCrystallization,
 
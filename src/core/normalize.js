@@ -105,6 +105,7 @@ function getToolCategory(tool) {
     task_result: 'task',
     task_cancel: 'task',
     task_list: 'task',
+    task_input: 'task',
     get_report: 'report',
     graph_traverse: 'graph',
     graph_path: 'graph',
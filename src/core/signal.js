@@ -9,9 +9,11 @@
  */
 
 const crypto = require('crypto');
+const config = require('../../config');
 
 /**
- * Model capability weights for consensus
+ * Default model capability weights for consensus
+ * config.consensus.weights (CONSENSUS_MODEL_WEIGHTS) overrides or extends them; see getModelWeights.
  */
 const ModelWeights = {
   'anthropic/claude-sonnet-4': 1.0,
@@ -23,6 +25,36 @@ const ModelWeights = {
   'default': 0.5
 };
 
+/**
+ * Consensus strategies (the research `consensus` parameter)
+ */
+const ConsensusStrategy = {
+  MAJORITY: 'majority',      // Share of models making the claim
+  WEIGHTED: 'weighted',      // Share of model weight making the claim
+  UNANIMOUS: 'unanimous',    // Agreed only when every model makes it
+  ARBITRATED: 'arbitrated'   // Weighted; an arbiter model rules on claims below minAgreement
+};
+
+/**
+ * Model weights in effect: ModelWeights with the configured weights on top
+ * @param {Object<string, number>} [overrides] - Per-request weights, applied last
+ * @returns {Object<string, number>} Always has a 'default' entry
+ */
+function getModelWeights(overrides = null) {
+  return { ...ModelWeights, ...(config.consensus?.weights || {}), ...(overrides || {}) };
+}
+
+/**
+ * Weight of one model, falling back to the 'default' weight
+ * @param {string} model
+ * @param {Object<string, number>} [weights=getModelWeights()]
+ * @returns {number}
+ */
+function modelWeight(model, weights = getModelWeights()) {
+  const w = weights[model];
+  return Number.isFinite(w) ? w : (Number.isFinite(weights.default) ? weights.default : ModelWeights.default);
+}
+
 /**
  * Crystallization patterns for understanding detection
  */
@@ -66,7 +98,7 @@ class Signal {
    * Get model weight for consensus
    */
   get weight() {
-    return ModelWeights[this.source] ?? ModelWeights.default;
+    return modelWeight(this.source);
   }
 
   /**
@@ -275,7 +307,10 @@ module.exports = {
   SignalType,
   SignalBus,
   ConsensusCalculator,
+  ConsensusStrategy,
   ModelWeights,
+  getModelWeights,
+  modelWeight,
   CrystallizationPatterns,
   extractCrystallization
 };
@@ -15,7 +15,8 @@ const { normalize } = require('../../core/normalize');
  * Operations: traverse, path, clusters, pagerank, patterns, stats
  */
 async function handleGraph(op, params, context = {}) {
-  const normalized = normalize('graph', params);
+  // Graph nodes are scoped to the caller's collection
+  const normalized = { ...normalize('graph', params), collection: context.collection || null };
   const { graphClient, dbClient } = context;
 
   // Use graphClient if available, otherwise fall back to dbClient
@@ -72,14 +73,14 @@ async function traverseGraph(params, client) {
  * Find path between two nodes
  */
 async function findPath(params, client) {
-  const { from, to } = params;
+  const { from, to, collection } = params;
 
   if (!from || !to) {
     throw new Error('Both from and to parameters are required');
   }
 
   if (typeof client.findPath === 'function') {
-    const path = await client.findPath(from, to);
+    const path = await client.findPath(from, to, collection);
     return {
       from,
       to,
@@ -130,10 +131,10 @@ async function findClusters(params, client) {
  * Get PageRank importance scores
  */
 async function getPageRank(params, client) {
-  const { topK = 20 } = params;
+  const { topK = 20, collection } = params;
 
   if (typeof client.getPageRank === 'function') {
-    const rankings = await client.getPageRank(topK);
+    const rankings = await client.getPageRank(topK, collection);
     return {
       topK,
       rankings: rankings || [],
@@ -174,10 +175,10 @@ async function getPageRank(params, client) {
  * Find event patterns (N-grams)
  */
 async function findPatterns(params, client) {
-  const { n = 3 } = params;
+  const { n = 3, collection } = params;
 
   if (typeof client.findPatterns === 'function') {
-    const patterns = await client.findPatterns(n);
+    const patterns = await client.findPatterns(n, collection);
     return {
       n,
       patternCount: patterns?.length || 0,
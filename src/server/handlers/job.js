@@ -5,6 +5,7 @@
  */
 
 const { normalize } = require('../../core/normalize');
+const tenancy = require('../../utils/tenancy');
 
 /**
  * Unified job handler
@@ -154,8 +155,8 @@ async function listJobs(params, dbClient) {
 
   if (typeof dbClient.listJobs !== 'function') {
     // Fallback: get recent jobs from research reports
-    const sql = 'SELECT id, type, status, created_at FROM jobs ORDER BY created_at DESC LIMIT $1';
-    const rows = await dbClient.query(sql, [limit]);
+    const sql = 'SELECT id, type, status, created_at FROM jobs WHERE tenant_id = $2 ORDER BY created_at DESC LIMIT $1';
+    const rows = await dbClient.query(sql, [limit, tenancy.currentTenant()]);
 
     return {
       jobs: rows || [],
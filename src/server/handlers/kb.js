@@ -5,6 +5,7 @@
  */
 
 const { normalize } = require('../../core/normalize');
+const tenancy = require('../../utils/tenancy');
 
 /**
  * Unified KB handler
@@ -13,7 +14,7 @@ const { normalize } = require('../../core/normalize');
  */
 async function handleKB(op, params, context = {}) {
   const normalized = normalize('kb', params);
-  const { dbClient } = context;
+  const { dbClient, collection = null } = context;
 
   if (!dbClient) {
     throw new Error('Database client not available');
@@ -21,27 +22,27 @@ async function handleKB(op, params, context = {}) {
 
   switch (op) {
     case 'search':
-      return searchKB(normalized, dbClient);
+      return searchKB(normalized, dbClient, collection);
     case 'sql':
     case 'query':
       return executeQuery(normalized, dbClient);
     case 'retrieve':
-      return retrieve(normalized, dbClient);
+      return retrieve(normalized, dbClient, collection);
     case 'report':
     case 'get':
       return getReport(normalized, dbClient);
     case 'history':
     case 'list':
-      return listHistory(normalized, dbClient);
+      return listHistory(normalized, dbClient, collection);
     default:
       throw new Error(`Unknown KB operation: ${op}`);
   }
 }
 
 /**
- * Hybrid BM25+vector search
+ * Hybrid BM25+vector search, inside the caller's collection when one is set
  */
-async function searchKB(params, dbClient) {
+async function searchKB(params, dbClient, collection = null) {
   const query = params.query || params.q;
   const { k = 10, scope = 'both', rerank = false } = params;
 
@@ -52,7 +53,7 @@ async function searchKB(params, dbClient) {
   let results = [];
 
   if (typeof dbClient.searchHybrid === 'function') {
-    results = await dbClient.searchHybrid(query, k, scope, rerank);
+    results = await dbClient.searchHybrid(query, k, { rerank, scope, collection });
   } else {
     // Fallback to basic text search
     results = await fallbackSearch(dbClient, query, k, scope);
@@ -83,6 +84,9 @@ async function executeQuery(params, dbClient) {
     throw new Error('sql is required');
   }
 
+  // Raw SQL sees every tenant's rows
+  tenancy.assertDefaultTenant('SQL queries');
+
   // Security: Only allow SELECT statements
   const normalized = sql.trim().toLowerCase();
   if (!normalized.startsWith('select')) {
@@ -116,7 +120,7 @@ async function executeQuery(params, dbClient) {
 /**
  * Retrieve from index or SQL
  */
-async function retrieve(params, dbClient) {
+async function retrieve(params, dbClient, collection = null) {
   const { mode = 'index' } = params;
 
   if (mode === 'sql') {
@@ -129,7 +133,7 @@ async function retrieve(params, dbClient) {
     throw new Error('query is required when mode="index"');
   }
 
-  return searchKB({ ...params, query }, dbClient);
+  return searchKB({ ...params, query }, dbClient, collection);
 }
 
 /**
@@ -217,11 +221,28 @@ async function getReport(params, dbClient) {
 }
 
 /**
- * List research history
+ * List research history, inside the caller's collection when one is set
  */
-async function listHistory(params, dbClient) {
+async function listHistory(params, dbClient, collection = null) {
   const { limit = 10, queryFilter } = params;
 
+  if (typeof dbClient.listRecentReports === 'function') {
+    const reports = await dbClient.listRecentReports(limit, queryFilter || null, { collection });
+    return {
+      limit,
+      filter: queryFilter || null,
+      collection,
+      count: reports.length,
+      reports: reports.map(r => ({
+        id: r.id,
+        query: r.original_query,
+        costPreference: r.parameters?.costPreference,
+        audienceLevel: r.parameters?.audienceLevel,
+        createdAt: r.created_at
+      }))
+    };
+  }
+
   let sql = 'SELECT id, query, cost_preference, audience_level, created_at, rating FROM research_reports';
   const sqlParams = [];
 
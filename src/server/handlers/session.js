@@ -22,20 +22,22 @@ async function handleSession(op, params, context = {}) {
   }
 
   const sessionId = normalized.sessionId || normalized.id || 'default';
+  // Session ids are per collection
+  const collection = context.collection || null;
 
   switch (op) {
     case 'state':
-      return getSessionState(sessionId, sessionStore);
+      return getSessionState(sessionId, sessionStore, collection);
     case 'undo':
-      return undoAction(sessionId, sessionStore);
+      return undoAction(sessionId, sessionStore, collection);
     case 'redo':
-      return redoAction(sessionId, sessionStore);
+      return redoAction(sessionId, sessionStore, collection);
     case 'fork':
-      return forkSession(sessionId, normalized.newSessionId, sessionStore);
+      return forkSession(sessionId, normalized.newSessionId, sessionStore, collection);
     case 'travel':
-      return timeTravel(sessionId, normalized.timestamp, sessionStore);
+      return timeTravel(sessionId, normalized.timestamp, sessionStore, collection);
     case 'checkpoint':
-      return createCheckpoint(sessionId, normalized.name, sessionStore);
+      return createCheckpoint(sessionId, normalized.name, sessionStore, collection);
     default:
       throw new Error(`Unknown session operation: ${op}`);
   }
@@ -44,8 +46,8 @@ async function handleSession(op, params, context = {}) {
 /**
  * Get current session state
  */
-async function getSessionState(sessionId, sessionStore) {
-  const state = await sessionStore.getState(sessionId);
+async function getSessionState(sessionId, sessionStore, collection = null) {
+  const state = await sessionStore.getState(sessionId, collection);
 
   if (!state) {
     return {
@@ -71,8 +73,8 @@ async function getSessionState(sessionId, sessionStore) {
 /**
  * Undo last action
  */
-async function undoAction(sessionId, sessionStore) {
-  const canUndo = await sessionStore.canUndo(sessionId);
+async function undoAction(sessionId, sessionStore, collection = null) {
+  const canUndo = await sessionStore.canUndo(sessionId, collection);
 
   if (!canUndo) {
     return {
@@ -82,7 +84,7 @@ async function undoAction(sessionId, sessionStore) {
     };
   }
 
-  const result = await sessionStore.undo(sessionId);
+  const result = await sessionStore.undo(sessionId, collection);
 
   return {
     sessionId,
@@ -96,8 +98,8 @@ async function undoAction(sessionId, sessionStore) {
 /**
  * Redo previously undone action
  */
-async function redoAction(sessionId, sessionStore) {
-  const canRedo = await sessionStore.canRedo(sessionId);
+async function redoAction(sessionId, sessionStore, collection = null) {
+  const canRedo = await sessionStore.canRedo(sessionId, collection);
 
   if (!canRedo) {
     return {
@@ -107,7 +109,7 @@ async function redoAction(sessionId, sessionStore) {
     };
   }
 
-  const result = await sessionStore.redo(sessionId);
+  const result = await sessionStore.redo(sessionId, collection);
 
   return {
     sessionId,
@@ -121,11 +123,11 @@ async function redoAction(sessionId, sessionStore) {
 /**
  * Fork session into new timeline
  */
-async function forkSession(sourceId, newId, sessionStore) {
+async function forkSession(sourceId, newId, sessionStore, collection = null) {
   const targetId = newId || `${sourceId}_fork_${Date.now()}`;
 
   // Check source exists
-  const source = await sessionStore.getState(sourceId);
+  const source = await sessionStore.getState(sourceId, collection);
 
   if (!source) {
     return {
@@ -135,7 +137,7 @@ async function forkSession(sourceId, newId, sessionStore) {
   }
 
   // Create fork
-  await sessionStore.fork(sourceId, targetId);
+  await sessionStore.fork(sourceId, targetId, collection);
 
   return {
     forked: true,
@@ -149,7 +151,7 @@ async function forkSession(sourceId, newId, sessionStore) {
 /**
  * Navigate to specific timestamp
  */
-async function timeTravel(sessionId, timestamp, sessionStore) {
+async function timeTravel(sessionId, timestamp, sessionStore, collection = null) {
   if (!timestamp) {
     throw new Error('timestamp is required for time_travel');
   }
@@ -165,7 +167,7 @@ async function timeTravel(sessionId, timestamp, sessionStore) {
     throw new Error(`Invalid timestamp: ${timestamp}. Use ISO format (e.g., 2025-12-04T10:30:00Z)`);
   }
 
-  const result = await sessionStore.timeTravel(sessionId, targetTime);
+  const result = await sessionStore.timeTravel(sessionId, targetTime, collection);
 
   return {
     sessionId,
@@ -182,13 +184,13 @@ async function timeTravel(sessionId, timestamp, sessionStore) {
 /**
  * Create named checkpoint
  */
-async function createCheckpoint(sessionId, name, sessionStore) {
+async function createCheckpoint(sessionId, name, sessionStore, collection = null) {
   if (!name) {
     throw new Error('name is required for checkpoint');
   }
 
   const timestamp = new Date().toISOString();
-  await sessionStore.checkpoint(sessionId, name);
+  await sessionStore.checkpoint(sessionId, name, collection);
 
   return {
     sessionId,
@@ -17,7 +17,8 @@ else if (process.argv.includes('--setup-claude')) {
   module.exports = {};
 } else {
 
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { SubscribeRequestSchema, UnsubscribeRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
 const express = require('express');
@@ -29,7 +30,7 @@ const config = require('../../config');
 // MCP 2025-11-25 Feature Modules
 const taskAdapter = require('./taskAdapter');
 const samplingHandler = require('./sampling');
-const elicitationHandler = require('./elicitation');
+const watchScheduler = require('./watchScheduler');
 
 // Structured logging (MCP-compliant)
 const logger = require('../utils/logger');
@@ -56,6 +57,7 @@ const {
   fetchUrlSchema,
   indexTextsSchema,
   indexUrlSchema,
+  indexPathSchema, // Local document corpus ingestion
   searchIndexSchema,
   indexStatusSchema,
   listToolsSchema,
@@ -67,6 +69,15 @@ const {
   getJobStatusSchema,
   cancelJobSchema,
   batchResearchSchema, // Batch research for parallel job dispatch
+  costReportSchema, // Spend per day/model/stage/query
+  modelStatsSchema, // Learned model routing statistics
+  refreshReportSchema, // Versioned re-research
+  diffReportsSchema,
+  renderReportSchema, // HTML/PDF/DOCX/JSON-LD export
+  watchCreateSchema, // Scheduled recurring research
+  watchListSchema,
+  watchDeleteSchema,
+  collectionSchema,
   
   // Functions
   conductResearch,
@@ -89,6 +100,7 @@ const {
   fetchUrl,
   index_texts,
   index_url,
+  index_path,
   search_index,
   index_status,
   listToolsTool,
@@ -98,11 +110,25 @@ const {
   calcTool,
   retrieveTool, // New: function for retrieve tool
   batchResearchTool, // Batch research function
+  costReport, // Spend reporting
+  modelStats,
+  refreshReport,
+  diffReportsTool,
+  renderReportTool,
+  watchCreate,
+  watchList,
+  watchDelete,
+  parseReportIdFromMessage,
   searchTool, // KB search
   queryTool, // SQL query
 
 } = require('./tools');
 const dbClient = require('../utils/dbClient'); // Import dbClient
+const budgets = require('../utils/budget');
+const collections = require('../utils/collections');
+const tenancy = require('../utils/tenancy');
+const reportRenderer = require('../utils/reportRenderer');
+const costLedger = require('../utils/costLedger');
 const nodeFetch = require('node-fetch');
 const cors = require('cors');
 
@@ -369,6 +395,68 @@ function generateUITemplate(templateType, options = {}) {
         loadSession();
       </script>
       </body></html>
+    `,
+    'chart-gallery': `
+      <!DOCTYPE html>
+      <html><head><meta charset="UTF-8"><title>${title}</title>
+      <style>${baseStyles}
+        .artifact { background: #161b22; border: 1px solid #30363d; border-radius: 6px; padding: 12px; margin-bottom: 16px; }
+        .artifact h3 { font-size: 14px; margin-bottom: 8px; }
+        .artifact .section { font-size: 12px; color: #8b949e; margin-bottom: 8px; }
+        .chart svg { max-width: 100%; height: auto; background: #fff; border-radius: 4px; }
+        .controls { display: flex; gap: 8px; margin-top: 8px; }
+        .btn { background: #21262d; border: 1px solid #30363d; color: #c9d1d9; padding: 4px 10px; border-radius: 4px; cursor: pointer; font-size: 12px; }
+        .btn:hover { background: #30363d; }
+        pre { background: #0d1117; padding: 8px; margin-top: 8px; overflow: auto; font-size: 12px; display: none; }
+        pre.open { display: block; }
+        table { border-collapse: collapse; font-size: 13px; }
+        th, td { border: 1px solid #30363d; padding: 4px 8px; text-align: left; }
+        th { background: #21262d; }
+      </style>
+      </head><body>
+      <div id="app">
+        <div class="header">
+          <div><div class="title">${title}</div><div class="description">${description}</div></div>
+          <div class="tools">${linkedTools.map(t => '<span class="tool-badge">' + t + '</span>').join('')}</div>
+        </div>
+        <div class="content" id="content"><div class="loading">Waiting for a report...</div></div>
+      </div>
+      <script>${mcpBridge}
+        const esc = (v) => String(v == null ? '' : v).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        function tableHtml(columns, rows) {
+          return '<table><tr>' + columns.map(c => '<th>' + esc(c) + '</th>').join('') + '</tr>' +
+            rows.map(r => '<tr>' + r.map(v => '<td>' + esc(v) + '</td>').join('') + '</tr>').join('') + '</table>';
+        }
+        function toggle(id) { document.getElementById(id).classList.toggle('open'); }
+        function renderArtifact(a, i) {
+          const head = '<h3>' + esc(a.title || a.id) + '</h3>' + (a.section ? '<div class="section">' + esc(a.section) + '</div>' : '');
+          if (a.type === 'table') return '<div class="artifact">' + head + tableHtml(a.columns || [], a.rows || []) + '</div>';
+          const values = a.spec?.data?.values || [];
+          const columns = values.length ? Object.keys(values[0]) : [];
+          return '<div class="artifact">' + head + '<div class="chart">' + (a.svg || '') + '</div>' +
+            '<div class="controls"><button class="btn" data-target="data-' + i + '" onclick="toggle(this.dataset.target)">Data</button>' +
+            '<button class="btn" data-target="spec-' + i + '" onclick="toggle(this.dataset.target)">Vega-Lite spec</button></div>' +
+            '<pre id="data-' + i + '">' + tableHtml(columns, values.map(v => columns.map(c => v[c]))) + '</pre>' +
+            '<pre id="spec-' + i + '">' + esc(JSON.stringify(a.spec, null, 2)) + '</pre></div>';
+        }
+        async function loadArtifacts(reportId) {
+          const result = await mcpBridge.callTool('get_report_content', { reportId: String(reportId), mode: 'artifacts' });
+          let data;
+          try { data = JSON.parse(result?.content?.[0]?.text || ''); } catch (_) { data = null; }
+          const content = document.getElementById('content');
+          if (!data || !Array.isArray(data.artifacts)) {
+            content.innerHTML = '<div class="loading">Could not load artifacts for report ' + esc(reportId) + '</div>';
+          } else if (!data.artifacts.length) {
+            content.innerHTML = '<div class="loading">Report ' + esc(reportId) + ' has no charts or tables</div>';
+          } else {
+            content.innerHTML = data.artifacts.map(renderArtifact).join('');
+          }
+        }
+        window.addEventListener('message', (e) => {
+          if (e.data?.reportId) loadArtifacts(e.data.reportId);
+        });
+      </script>
+      </body></html>
     `
   };
 
@@ -410,7 +498,10 @@ function register(name, schema, handler) {
     // Use registerTool with config object to properly pass ZodEffects schemas
     // The .tool() method only accepts ZodRawShape, not full Zod schemas with transforms
     const description = schema?.description || schema?._def?.description || '';
-    server.registerTool(name, { inputSchema: schema, description }, handler);
+    // Every tool call runs as the caller's tenant (see tenancy.js)
+    const tenantHandler = (params, exchange, ...rest) =>
+      tenancy.runAsTenant(tenancy.tenantForAuth(exchange?.authInfo), () => handler(params, exchange, ...rest));
+    server.registerTool(name, { inputSchema: schema, description }, tenantHandler);
   }
 }
 
@@ -421,9 +512,10 @@ function register(name, schema, handler) {
 /**
  * Build context object for consolidated handlers
  */
-function buildHandlerContext() {
+function buildHandlerContext(collection = null) {
   return {
     dbClient,
+    collection,
     sessionStore: sessionManager,
     graphClient: knowledgeGraph,
     toolRegistry: server.getTools?.() || new Map()
@@ -464,7 +556,8 @@ function wrapWithHandler(toolName, legacyFn, needsNormalization = true) {
       // Try handler routing for non-legacy tools
       if (handlers && !LEGACY_ONLY_TOOLS.has(toolName)) {
         await ensureIntegrations();
-        const result = await routeThroughHandler(toolName, norm, buildHandlerContext());
+        const collection = collections.resolveCollection(norm?.collection, exchange?.authInfo);
+        const result = await routeThroughHandler(toolName, norm, buildHandlerContext(collection));
         if (result) return result;
       }
 
@@ -794,6 +887,13 @@ if (config.mcp?.features?.resources) {
       mimeType: 'text/html+mcp',
       linkedTools: ['history', 'undo', 'redo', 'time_travel', 'session_state']
     }],
+    ['ui://research/charts', {
+      uri: 'ui://research/charts',
+      name: 'Report Chart Gallery',
+      description: 'Charts and tables from a research report with their data and Vega-Lite specs',
+      mimeType: 'text/html+mcp',
+      linkedTools: ['get_report_content']
+    }],
     // === Data Resources ===
     ['mcp://specs/core', {
       uri: 'mcp://specs/core',
@@ -1034,6 +1134,22 @@ if (config.mcp?.features?.resources) {
             }]
           };
 
+        case 'ui://research/charts':
+          // Return HTML template for report charts and tables
+          content = generateUITemplate('chart-gallery', {
+            title: 'Report Chart Gallery',
+            description: 'Charts and tables generated with the report',
+            linkedTools: ['get_report_content'],
+            capabilities: ['svg-charts', 'data-tables', 'vega-lite-specs']
+          });
+          return {
+            contents: [{
+              uri: resource.uri,
+              mimeType: 'text/html',
+              text: content
+            }]
+          };
+
         default:
           throw new Error(`Unknown resource: ${uri}`);
       }
@@ -1049,6 +1165,85 @@ if (config.mcp?.features?.resources) {
   });
 }
 
+// MCP resources: watch topics and report artifacts
+const resourceSubscriptions = new Set();
+if (config.mcp?.features?.resources) {
+  const jsonResource = (uri, content) => ({
+    contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(content, null, 2) }]
+  });
+  // Resource reads run as the caller's tenant, like tool calls
+  const asCaller = (extra, fn) => tenancy.runAsTenant(tenancy.tenantForAuth(extra?.authInfo), fn);
+
+  // Watch topics: research://watches lists them, research://watches/{watchId} holds the
+  // latest version and diff. Subscribers get resources/updated when a run lands.
+  server.registerResource('watches', watchScheduler.WATCH_URI_PREFIX, {
+    description: 'Scheduled research topics with next run and latest report',
+    mimeType: 'application/json'
+  }, (uri, extra) => asCaller(extra, async () => jsonResource(uri, JSON.parse(await watchList({}, extra)))));
+
+  server.registerResource('watch', new ResourceTemplate(`${watchScheduler.WATCH_URI_PREFIX}/{watchId}`, {
+    list: (extra) => asCaller(extra, async () => ({
+      resources: (await dbClient.listWatches({ clientId: extra?.authInfo?.clientId || null })).map(w => ({
+        uri: watchScheduler.watchUri(w.id),
+        name: `Watch: ${w.query.substring(0, 60)}`,
+        mimeType: 'application/json'
+      }))
+    }))
+  }), {
+    description: 'One watch topic: schedule, latest report version and diff against the previous run',
+    mimeType: 'application/json'
+  }, (uri, { watchId }, extra) => asCaller(extra, async () => {
+    const watch = await dbClient.getWatch(watchId, { clientId: extra?.authInfo?.clientId || null });
+    if (!watch) throw new Error(`Watch not found: ${watchId}`);
+    let latestReport = null;
+    if (watch.last_report_id) {
+      const report = await dbClient.getReportById(watch.last_report_id).catch(() => null);
+      if (report) latestReport = { reportId: String(report.id), version: report.version, createdAt: report.created_at };
+    }
+    return jsonResource(uri, { watchId: watch.id, query: watch.query, schedule: watch.schedule, notifyOn: watch.notify_on, nextRunAt: watch.next_run_at, lastRunAt: watch.last_run_at, latestReport, lastDiff: watch.last_diff || null });
+  }));
+
+  // Report artifacts: research://reports/{reportId}/artifacts lists the charts and tables,
+  // research://reports/{reportId}/charts/{chartId} is one chart rendered as SVG
+  server.registerResource('report-artifacts', new ResourceTemplate('research://reports/{reportId}/artifacts', { list: undefined }), {
+    description: 'Charts (Vega-Lite specs) and tables extracted from a research report',
+    mimeType: 'application/json'
+  }, (uri, { reportId }, extra) => asCaller(extra, async () => {
+    const report = await dbClient.getReportById(reportId);
+    const { artifacts, derived } = reportRenderer.artifactsForReport(report);
+    return jsonResource(uri, { reportId: String(report.id), derived, artifacts });
+  }));
+
+  server.registerResource('report-chart', new ResourceTemplate('research://reports/{reportId}/charts/{chartId}', { list: undefined }), {
+    description: 'One chart from a research report, rendered as SVG',
+    mimeType: 'image/svg+xml'
+  }, (uri, { reportId, chartId }, extra) => asCaller(extra, async () => {
+    const report = await dbClient.getReportById(reportId);
+    const chart = reportRenderer.artifactsForReport(report, { svg: true }).artifacts.find(a => a.id === `chart-${chartId}`);
+    if (!chart) throw new Error(`Chart ${chartId} not found in report ${reportId}`);
+    return { contents: [{ uri: uri.href, mimeType: 'image/svg+xml', text: chart.svg }] };
+  }));
+
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    resourceSubscriptions.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceSubscriptions.delete(request.params.uri);
+    return {};
+  });
+}
+
+// Push watch updates to connected clients
+async function notifyWatchUpdate(update) {
+  if (!config.mcp?.features?.resources || !server.isConnected()) return;
+  for (const uri of [update.uri, watchScheduler.WATCH_URI_PREFIX]) {
+    if (resourceSubscriptions.has(uri)) await server.server.sendResourceUpdated({ uri });
+  }
+  server.sendResourceListChanged();
+}
+
 // Register tools (minimal unified set)
 register(
   "research",
@@ -1162,6 +1357,23 @@ register(
   }
 );
 
+register(
+  "cost_report",
+  costReportSchema,
+  wrapWithHandler('cost_report', costReport)
+);
+register("model_stats", modelStatsSchema, wrapWithHandler('model_stats', modelStats));
+
+register("refresh_report", refreshReportSchema, wrapWithHandler('refresh_report', refreshReport));
+register("diff_reports", diffReportsSchema, wrapWithHandler('diff_reports', diffReportsTool));
+register("render_report", renderReportSchema, wrapWithHandler('render_report', renderReportTool));
+register("index_path", indexPathSchema, wrapWithHandler('index_path', index_path));
+register("reindex_vectors", reindexVectorsSchema, wrapWithHandler('reindex_vectors', reindexVectorsTool));
+
+register("watch_create", watchCreateSchema, wrapWithHandler('watch_create', watchCreate));
+register("watch_list", watchListSchema, wrapWithHandler('watch_list', watchList));
+register("watch_delete", watchDeleteSchema, wrapWithHandler('watch_delete', watchDelete));
+
 // Semantic aliases - provide clearer names for common operations
 register("search", searchSchema, wrapWithHandler('search', searchTool));
 register("query", querySchema, wrapWithHandler('query', queryTool));
@@ -1182,44 +1394,51 @@ register("batch_research", batchResearchSchema, async (p, ex) => {
 // Session & Time-Travel Tools (@terminals-tech/core)
 // ==========================================
 
-// Session tool legacy implementations (for when handlers disabled)
+// Session tool legacy implementations (for when handlers disabled); sessions live in the caller's collection
+const scopeOf = (p, ex) => collections.resolveCollection(p.collection, ex?.authInfo);
 const sessionLegacy = {
-  undo: async (p) => JSON.stringify(await sessionManager.undo(p.sessionId || 'default'), null, 2),
-  redo: async (p) => JSON.stringify(await sessionManager.redo(p.sessionId || 'default'), null, 2),
-  fork_session: async (p) => {
+  undo: async (p, ex) => JSON.stringify(await sessionManager.undo(p.sessionId || 'default', scopeOf(p, ex)), null, 2),
+  redo: async (p, ex) => JSON.stringify(await sessionManager.redo(p.sessionId || 'default', scopeOf(p, ex)), null, 2),
+  fork_session: async (p, ex) => {
     const newId = p.newSessionId || `fork_${Date.now()}_${Math.random().toString(36).slice(2,8)}`;
-    return JSON.stringify(await sessionManager.forkSession(p.sessionId || 'default', newId), null, 2);
+    return JSON.stringify(await sessionManager.forkSession(p.sessionId || 'default', newId, scopeOf(p, ex)), null, 2);
   },
-  time_travel: async (p) => JSON.stringify(await sessionManager.timeTravel(p.sessionId || 'default', p.timestamp), null, 2),
-  session_state: async (p) => JSON.stringify(await sessionManager.getState(p.sessionId || 'default'), null, 2),
-  checkpoint: async (p) => JSON.stringify(await sessionManager.createCheckpoint(p.sessionId || 'default', p.name), null, 2)
+  time_travel: async (p, ex) => JSON.stringify(await sessionManager.timeTravel(p.sessionId || 'default', p.timestamp, scopeOf(p, ex)), null, 2),
+  session_state: async (p, ex) => JSON.stringify(await sessionManager.getState(p.sessionId || 'default', scopeOf(p, ex)), null, 2),
+  checkpoint: async (p, ex) => JSON.stringify(await sessionManager.createCheckpoint(p.sessionId || 'default', p.name, scopeOf(p, ex)), null, 2)
 };
 
 register("undo", {
-  sessionId: z.string().optional().describe("Session ID (defaults to 'default')")
+  sessionId: z.string().optional().describe("Session ID (defaults to 'default')"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('undo', sessionLegacy.undo, false));
 
 register("redo", {
-  sessionId: z.string().optional().describe("Session ID (defaults to 'default')")
+  sessionId: z.string().optional().describe("Session ID (defaults to 'default')"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('redo', sessionLegacy.redo, false));
 
 register("fork_session", {
   sessionId: z.string().optional().describe("Session ID to fork (defaults to 'default')"),
-  newSessionId: z.string().optional().describe("ID for the new forked session")
+  newSessionId: z.string().optional().describe("ID for the new forked session"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('fork_session', sessionLegacy.fork_session, false));
 
 register("time_travel", {
   sessionId: z.string().optional().describe("Session ID"),
-  timestamp: z.string().describe("ISO timestamp to navigate to")
+  timestamp: z.string().describe("ISO timestamp to navigate to"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('time_travel', sessionLegacy.time_travel, false));
 
 register("session_state", {
-  sessionId: z.string().optional().describe("Session ID (defaults to 'default')")
+  sessionId: z.string().optional().describe("Session ID (defaults to 'default')"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('session_state', sessionLegacy.session_state, false));
 
 register("checkpoint", {
   sessionId: z.string().optional().describe("Session ID"),
-  name: z.string().describe("Name for the checkpoint")
+  name: z.string().describe("Name for the checkpoint"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('checkpoint', sessionLegacy.checkpoint, false));
 
 // ==========================================
@@ -1228,36 +1447,40 @@ register("checkpoint", {
 
 // Graph tool legacy implementations (for when handlers disabled)
 const graphLegacy = {
-  traverse: async (p) => JSON.stringify(await knowledgeGraph.traverse(p.startNode, p.depth || 3, p.strategy || 'semantic'), null, 2),
-  path: async (p) => JSON.stringify(await knowledgeGraph.findPath(p.from, p.to), null, 2),
-  clusters: async () => JSON.stringify(await knowledgeGraph.getClusters(), null, 2),
-  pagerank: async (p) => JSON.stringify(await knowledgeGraph.getPageRank(p.topK || 20), null, 2),
-  patterns: async (p) => JSON.stringify(await knowledgeGraph.findPatterns(p.n || 3), null, 2),
-  stats: async () => JSON.stringify(await knowledgeGraph.getStats(), null, 2)
+  traverse: async (p, ex) => JSON.stringify(await knowledgeGraph.traverse(p.startNode, p.depth || 3, p.strategy || 'semantic', scopeOf(p, ex)), null, 2),
+  path: async (p, ex) => JSON.stringify(await knowledgeGraph.findPath(p.from, p.to, scopeOf(p, ex)), null, 2),
+  clusters: async (p, ex) => JSON.stringify(await knowledgeGraph.getClusters(scopeOf(p, ex)), null, 2),
+  pagerank: async (p, ex) => JSON.stringify(await knowledgeGraph.getPageRank(p.topK || 20, scopeOf(p, ex)), null, 2),
+  patterns: async (p, ex) => JSON.stringify(await knowledgeGraph.findPatterns(p.n || 3, scopeOf(p, ex)), null, 2),
+  stats: async (p, ex) => JSON.stringify(await knowledgeGraph.getStats(scopeOf(p, ex)), null, 2)
 };
 
 register("graph_traverse", {
   startNode: z.string().describe("Starting node ID (e.g., 'report:5')"),
   depth: z.number().optional().default(3).describe("Max traversal depth"),
-  strategy: z.enum(['bfs', 'dfs', 'semantic']).optional().default('semantic').describe("Traversal strategy")
+  strategy: z.enum(['bfs', 'dfs', 'semantic']).optional().default('semantic').describe("Traversal strategy"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('graph_traverse', graphLegacy.traverse, false));
 
 register("graph_path", {
   from: z.string().describe("Source node ID"),
-  to: z.string().describe("Target node ID")
+  to: z.string().describe("Target node ID"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('graph_path', graphLegacy.path, false));
 
-register("graph_clusters", {}, wrapWithHandler('graph_clusters', graphLegacy.clusters, false));
+register("graph_clusters", { collection: collectionSchema.optional() }, wrapWithHandler('graph_clusters', graphLegacy.clusters, false));
 
 register("graph_pagerank", {
-  topK: z.number().optional().default(20).describe("Number of top nodes to return")
+  topK: z.number().optional().default(20).describe("Number of top nodes to return"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('graph_pagerank', graphLegacy.pagerank, false));
 
 register("graph_patterns", {
-  n: z.number().optional().default(3).describe("N-gram size for pattern extraction")
+  n: z.number().optional().default(3).describe("N-gram size for pattern extraction"),
+  collection: collectionSchema.optional()
 }, wrapWithHandler('graph_patterns', graphLegacy.patterns, false));
 
-register("graph_stats", {}, wrapWithHandler('graph_stats', graphLegacy.stats, false));
+register("graph_stats", { collection: collectionSchema.optional() }, wrapWithHandler('graph_stats', graphLegacy.stats, false));
 
 // ==========================================
 // MCP 2025-11-25 Protocol Tools (SEP-1686, SEP-1577, SEP-1036)
@@ -1268,7 +1491,8 @@ const taskLegacy = {
   get: async (p) => JSON.stringify(await taskAdapter.getTask(p.taskId), null, 2),
   result: async (p) => JSON.stringify(await taskAdapter.getTaskResult(p.taskId), null, 2),
   cancel: async (p) => JSON.stringify(await taskAdapter.cancelTask(p.taskId), null, 2),
-  list: async (p) => JSON.stringify(await taskAdapter.listTasks(p.cursor, p.limit || 20), null, 2)
+  list: async (p) => JSON.stringify(await taskAdapter.listTasks(p.cursor, p.limit || 20), null, 2),
+  input: async (p) => JSON.stringify(await taskAdapter.resumeTaskWithInput(p.taskId, p.input), null, 2)
 };
 
 register("task_get", { taskId: z.string().describe("Task/job ID to retrieve") },
@@ -1283,6 +1507,11 @@ register("task_cancel", { taskId: z.string().describe("Task/job ID to cancel") }
 register("task_list", { cursor: z.string().optional(), limit: z.number().optional() },
   wrapWithHandler('task_list', taskLegacy.list, false));
 
+register("task_input", {
+  taskId: z.string().describe("Task/job ID in input_required state"),
+  input: z.record(z.any()).describe("User input, e.g. { action: 'accept', subQueries: [...] } for plan review")
+}, wrapWithHandler('task_input', taskLegacy.input, false));
+
 // Sampling with Tools (SEP-1577)
 register("sample_message", {
   messages: z.array(z.object({ role: z.string(), content: z.string() })).describe("Messages for sampling"),
@@ -1300,11 +1529,13 @@ register("sample_message", {
 // Elicitation Response (SEP-1036)
 register("elicitation_respond", {
   requestId: z.string().describe("Elicitation request ID"),
-  response: z.record(z.any()).describe("User response data")
+  response: z.record(z.any()).describe("User response data (action: accept|decline|cancel, plus form fields)")
 }, async (p) => {
   try {
-    const result = await elicitationHandler.handleResponse(p.requestId, p.response);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    // Elicitations raised by a paused job (e.g. plan review) resume it, but only when accepted
+    const result = await taskAdapter.respondToElicitation(p.requestId, p.response);
+    const failed = !result.success || result.task?.success === false;
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], ...(failed ? { isError: true } : {}) };
   } catch (e) {
     return { content: [{ type: 'text', text: `Error elicitation_respond: ${e.message}` }], isError: true };
   }
@@ -1394,15 +1625,25 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
         if (!payload || (expectedAudience && payload.aud !== expectedAudience && !Array.isArray(payload.aud))) {
           return res.status(403).json({ error: 'Forbidden: invalid token audience' });
         }
-        return next();
+        // Exposed to tools as extra.authInfo (per-client budgets)
+        const clientId = String(payload.client_id || payload.azp || payload.sub || 'jwt');
+        req.auth = { token, clientId, scopes: String(payload.scope || '').split(' ').filter(Boolean), tenant: tenancy.tenantForJwt(payload, clientId) };
+        return tenancy.runAsTenant(tenancy.tenantForAuth(req.auth), next);
       } catch (e) {
-        if (!serverApiKey) {
+        if (!serverApiKey && !collections.collectionForApiKey(token) && !tenancy.tenantForApiKey(token)) {
           return res.status(403).json({ error: 'Forbidden: JWT verification failed' });
         }
         // Fall through to API key if configured
       }
     }
-    if (serverApiKey && token === serverApiKey) return next();
+    // Collection keys (COLLECTION_API_KEYS) authenticate like SERVER_API_KEY and bind the caller to their collection;
+    // tenant keys (TENANT_API_KEYS) put the caller in their tenant
+    const keyCollection = collections.collectionForApiKey(token);
+    const keyTenant = tenancy.tenantForApiKey(token);
+    if ((serverApiKey && token === serverApiKey) || keyCollection || keyTenant) {
+      req.auth = { token, clientId: collections.apiKeyClientId(token), scopes: [], tenant: keyTenant || tenancy.DEFAULT_TENANT, ...(keyCollection ? { collection: keyCollection } : {}) };
+      return tenancy.runAsTenant(tenancy.tenantForAuth(req.auth), next);
+    }
     if (allowNoAuth) return next();
     return res.status(403).json({ error: 'Forbidden: Auth failed' });
   };
@@ -1410,8 +1651,8 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
   logger.info('Starting MCP server with HTTP/SSE transport', { port });
   if (jwksUrl) {
     logger.info('OAuth2/JWT auth enabled', { jwksUrl, audience: expectedAudience });
-  } else if (serverApiKey) {
-    logger.info('API key fallback enabled for HTTP transport');
+  } else if (serverApiKey || Object.keys(config.collections?.apiKeys || {}).length || Object.keys(config.tenancy?.apiKeys || {}).length) {
+    logger.info('API key fallback enabled for HTTP transport', { collectionKeys: Object.keys(config.collections?.apiKeys || {}).length, tenantKeys: Object.keys(config.tenancy?.apiKeys || {}).length });
   } else if (process.env.ALLOW_NO_API_KEY === 'true') {
     logger.warn('Authentication DISABLED for HTTP transport (ALLOW_NO_API_KEY=true)');
   } else {
@@ -1481,6 +1722,10 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
    // Job events SSE per job id
    app.get('/jobs/:jobId/events', authenticate, async (req, res) => {
      const { jobId } = req.params;
+     // Jobs of other tenants look the same as unknown jobs
+     if (!(await dbClient.getJobStatus(jobId))) {
+       return res.status(404).json({ error: 'Job not found' });
+     }
      res.writeHead(200, {
        'Content-Type': 'text/event-stream',
        'Cache-Control': 'no-cache',
@@ -1514,6 +1759,11 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
      if (!jobIds.length) {
        return res.status(400).json({ error: 'ids query parameter required (comma-separated job IDs)' });
      }
+     for (const jobId of jobIds) {
+       if (!(await dbClient.getJobStatus(jobId))) {
+         return res.status(404).json({ error: `Job not found: ${jobId}` });
+       }
+     }
 
      res.writeHead(200, {
        'Content-Type': 'text/event-stream',
@@ -1604,11 +1854,37 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
        if (!normalized.query || typeof normalized.query !== 'string' || normalized.query.trim() === '') {
          return res.status(400).json({ error: 'query parameter is required' });
        }
+       normalized._clientId = req.auth?.clientId || null;
+       try {
+         normalized._collection = collections.resolveCollection(normalized.collection, req.auth);
+       } catch (e) {
+         return res.status(400).json({ error: e.message });
+       }
+       await budgets.assertClientHasBudget(dbClient, normalized._clientId);
        const jobId = await dbClient.createJob('research', normalized);
        await dbClient.appendJobEvent(jobId, 'submitted', { query: normalized.query });
        res.json({ job_id: jobId });
      } catch (e) {
-       res.status(500).json({ error: e.message });
+       res.status(e.code === 'BUDGET_EXCEEDED' ? 402 : 500).json({ error: e.message });
+     }
+   });
+
+   // Rendered reports for people who don't read Markdown: /reports/42.pdf
+   app.get('/reports/:reportId.:format', authenticate, async (req, res) => {
+     const { reportId, format } = req.params;
+     if (!/^\d+$/.test(reportId)) return res.status(400).json({ error: `Invalid report ID: ${reportId}` });
+     if (!reportRenderer.FORMATS[format]) {
+       return res.status(400).json({ error: `Unsupported format '${format}'. Use one of: ${Object.keys(reportRenderer.FORMATS).join(', ')}` });
+     }
+     try {
+       const report = await dbClient.getReportById(reportId);
+       const rendered = reportRenderer.renderReport(report, format);
+       const disposition = format === 'docx' ? 'attachment' : 'inline';
+       res.setHeader('Content-Type', rendered.contentType);
+       res.setHeader('Content-Disposition', `${disposition}; filename="research-report-${report.id}.${rendered.extension}"`);
+       res.end(rendered.body);
+     } catch (e) {
+       res.status(e.code === 'NOT_FOUND' ? 404 : 500).json({ error: e.message });
      }
    });
 
@@ -1618,10 +1894,12 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
        const embedderReady = dbClient.isEmbedderReady();
        const dbInitialized = dbClient.isDbInitialized();
        const dbPathInfo = dbClient.getDbPathInfo();
-       const rows = await dbClient.executeQuery(`SELECT status, COUNT(*) AS n FROM jobs GROUP BY status`, []);
-       const recent = await dbClient.executeQuery(`SELECT id, type, status, created_at, finished_at FROM jobs ORDER BY created_at DESC LIMIT 25`, []);
+       // Job and usage figures cover the caller's tenant
+       const tenant = [tenancy.currentTenant()];
+       const rows = await dbClient.executeQuery(`SELECT status, COUNT(*) AS n FROM jobs WHERE tenant_id = $1 GROUP BY status`, tenant);
+       const recent = await dbClient.executeQuery(`SELECT id, type, status, created_at, finished_at FROM jobs WHERE tenant_id = $1 ORDER BY created_at DESC LIMIT 25`, tenant);
        // Aggregate usage totals from recent reports
-        const usageRows = await dbClient.executeQuery(`SELECT research_metadata FROM reports ORDER BY id DESC LIMIT 200`, []);
+        const usageRows = await dbClient.executeQuery(`SELECT research_metadata FROM reports WHERE tenant_id = $1 ORDER BY id DESC LIMIT 200`, tenant);
         const usageTotals = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
         try {
           for (const r of usageRows) {
@@ -1654,6 +1932,7 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
           lines.push(`# HELP tokens_total Total tokens from recent reports`);
           lines.push(`# TYPE tokens_total counter`);
           lines.push(`tokens_total ${usageTotals.total_tokens}`);
+          lines.push(...costLedger.toPrometheus());
           return res.end(lines.join('\n') + '\n');
         }
 
@@ -1664,6 +1943,7 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
          jobs: rows,
          recent,
           usageTotals,
+          cost: costLedger.getCounters(),
        });
      } catch (e) {
        res.status(500).json({ error: e.message });
@@ -1774,6 +2054,7 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
          metrics: '/metrics',
          jobs: '/jobs',
          jobEvents: '/jobs/:jobId/events',
+         reports: '/reports/:reportId.{html,pdf,docx,jsonld}',
          discovery: '/.well-known/mcp-server',
          ui: '/ui'
        },
@@ -1986,6 +2267,8 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
          const job = await dbClient.claimNextJob();
          if (!job) { await new Promise(r=>setTimeout(r, 750)); continue; }
          const jobId = job.id;
+         // The rest of this iteration reads and writes the job owner's data
+         tenancy.enterTenant(job.tenant_id);
          await dbClient.appendJobEvent(jobId, 'started', {});
          const hb = setInterval(()=> dbClient.heartbeatJob(jobId).catch(()=>{}), Math.max(1000, heartbeatMs));
          try {
@@ -2002,6 +2285,11 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
              const resultText = await require('./tools').conductResearch(params, exchange, jobId);
              await dbClient.setJobStatus(jobId, 'succeeded', { result: { message: resultText }, finished: true });
              await dbClient.appendJobEvent(jobId, 'completed', { message: resultText });
+             // Scheduled watch runs diff against the previous version and notify subscribers
+             await watchScheduler.handleJobSucceeded(jobId, params, parseReportIdFromMessage(resultText))
+               .catch(e => logger.warn('Watch update failed', { jobId, error: e.message }));
+             // Checkpoints only matter while a job can still be reclaimed
+             await dbClient.clearJobCheckpoints(jobId).catch(() => {});
             // Optional webhook notification
             try {
               if (params?.notify) {
@@ -2028,6 +2316,11 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
             } catch (_) {}
            }
          } catch (e) {
+           if (e.code === 'INPUT_REQUIRED') {
+             // The run parked itself in input_required; resumeTaskWithInput requeues it
+             logger.info('Job waiting for input', { jobId, reason: e.message });
+             continue;
+           }
            // Wrap error with full context for detailed diagnosis
            const { wrapError, formatErrorForLog } = require('../utils/errors');
            const wrapped = wrapError(e, `Job ${jobId} failed`, { requestId: jobId });
@@ -2052,6 +2345,7 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
              isRetryable: wrapped.isRetryable,
              originalError: e.message
            });
+           await dbClient.clearJobCheckpoints(jobId).catch(() => {});
           try {
             const params = typeof job.params === 'string' ? JSON.parse(job.params) : job.params;
             if (params?.notify) {
@@ -2141,6 +2435,7 @@ register("fetch_url", fetchUrlSchema, async (p, ex) => {
 
    logger.info('Phase 4/4: Starting job worker...');
    startJobWorker();
+   watchScheduler.startWatchScheduler({ onUpdate: notifyWatchUpdate });
 
    logger.info('Server startup complete', {
      dbState: dbClient.getInitState?.() || (dbClient.isDbInitialized?.() ? 'INITIALIZED' : 'UNKNOWN'),
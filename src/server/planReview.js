@@ -0,0 +1,104 @@
+/**
+ * Plan Review
+ *
+ * Human-in-the-loop approval of the initial research plan. A job submitted
+ * with `reviewPlan: true` stops after planning, parks itself in
+ * `input_required` with a form elicitation listing the parsed sub-queries, and
+ * is requeued by `resumeTaskWithInput` once the user accepts (optionally with
+ * edited, removed or added sub-queries), declines or cancels.
+ *
+ * Expected input (stored on the job as `params.userInput`):
+ *   { action: 'accept'|'decline'|'cancel', subQueries?: Array<string|{query}> }
+ * Omitting `subQueries` on accept runs the plan unchanged.
+ *
+ * @module planReview
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const elicitationHandler = require('./elicitation');
+const taskAdapter = require('./taskAdapter');
+const { InputRequiredError } = require('../utils/errors');
+
+// Upper bound on sub-queries after review, so edits cannot fan out without limit
+const MAX_REVIEWED_SUBQUERIES = 10;
+
+/**
+ * Park a job in input_required with its parsed plan attached
+ * @param {string} jobId
+ * @param {string} query - Original research query
+ * @param {Array<{id: number, query: string}>} subQueries - Parsed plan
+ * @returns {Promise<Object>} Elicitation payload stored on the job
+ */
+async function requestPlanReview(jobId, query, subQueries) {
+  const plan = subQueries.map(q => ({ id: q.id, query: q.query }));
+  const schema = {
+    type: 'object',
+    properties: {
+      subQueries: {
+        type: 'array',
+        items: { type: 'string' },
+        maxItems: MAX_REVIEWED_SUBQUERIES,
+        default: plan.map(p => p.query),
+        description: 'Sub-queries to research. Edit, remove or add entries; leave unchanged to approve the plan as-is.'
+      }
+    }
+  };
+  const message = `Review the research plan for "${query.substring(0, 120)}" (${plan.length} sub-queries) before it runs.`;
+
+  const request = elicitationHandler.createFormElicitation(schema, message, {
+    ttlMs: taskAdapter.maxTtlMs,
+    metadata: { jobId, kind: 'plan_review' }
+  });
+  const elicitation = { ...request.params, kind: 'plan_review', plan };
+
+  const result = await taskAdapter.requestTaskInput(jobId, elicitation);
+  if (!result.success) {
+    throw new Error(`[${jobId}] Could not pause job for plan review: ${result.error}`);
+  }
+  return elicitation;
+}
+
+/**
+ * Apply a reviewer's response to the parsed plan
+ * @param {Array<{id: number, query: string}>} subQueries - Parsed plan
+ * @param {Object} input - `params.userInput` from resumeTaskWithInput
+ * @returns {{action: string, edited: boolean, subQueries: Array<{query: string}>}}
+ */
+function applyPlanReview(subQueries, input = {}) {
+  const action = input.action || 'accept';
+  if (action !== 'accept') {
+    return { action, edited: false, subQueries: [] };
+  }
+  if (!Array.isArray(input.subQueries)) {
+    return { action, edited: false, subQueries: subQueries.map(q => ({ query: q.query })) };
+  }
+
+  const reviewed = input.subQueries
+    .map(q => (typeof q === 'string' ? q : q?.query))
+    .filter(q => typeof q === 'string' && q.trim())
+    .map(q => ({ query: q.trim() }))
+    .slice(0, MAX_REVIEWED_SUBQUERIES);
+  if (reviewed.length === 0) {
+    throw new Error('Plan review removed every sub-query; decline the plan instead');
+  }
+  const edited = reviewed.length !== subQueries.length || reviewed.some((q, i) => q.query !== subQueries[i].query);
+  return { action, edited, subQueries: reviewed };
+}
+
+/**
+ * Error that tells the job worker to leave the job parked for input
+ * @param {Object} elicitation
+ * @returns {InputRequiredError}
+ */
+function planReviewRequired(elicitation) {
+  return new InputRequiredError('research plan awaiting review', elicitation);
+}
+
+module.exports = {
+  MAX_REVIEWED_SUBQUERIES,
+  requestPlanReview,
+  applyPlanReview,
+  planReviewRequired
+};
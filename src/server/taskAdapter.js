@@ -3,6 +3,8 @@
 // Maps existing job system to official MCP Task protocol
 
 const dbClient = require('../utils/dbClient');
+const tenancy = require('../utils/tenancy');
+const elicitationHandler = require('./elicitation');
 const config = require('../../config');
 
 // Map internal job status to MCP Task state
@@ -193,17 +195,17 @@ class TaskAdapter {
     const safeLimit = Math.min(Math.max(1, limit), 100); // Clamp to 1-100
 
     let statusFilter = '';
-    let params = [safeLimit, offset];
+    let params = [safeLimit, offset, tenancy.currentTenant()];
 
     if (status && TASK_STATE_TO_JOB_STATUS[status]) {
       const jobStatuses = TASK_STATE_TO_JOB_STATUS[status];
-      const placeholders = jobStatuses.map((_, i) => `$${i + 3}`).join(', ');
-      statusFilter = `WHERE status IN (${placeholders})`;
+      const placeholders = jobStatuses.map((_, i) => `$${i + 4}`).join(', ');
+      statusFilter = `AND status IN (${placeholders})`;
       params = [...params, ...jobStatuses];
     }
 
     const rows = await dbClient.executeQuery(
-      `SELECT * FROM jobs ${statusFilter} ORDER BY created_at DESC LIMIT $1 OFFSET $2`,
+      `SELECT * FROM jobs WHERE tenant_id = $3 ${statusFilter} ORDER BY created_at DESC LIMIT $1 OFFSET $2`,
       params
     );
 
@@ -232,10 +234,10 @@ class TaskAdapter {
       return { success: false, error: 'Task must be running to request input' };
     }
 
-    await dbClient.executeQuery(
-      `UPDATE jobs SET status = 'input_required', progress = $1, updated_at = NOW() WHERE id = $2`,
-      [JSON.stringify({ elicitation: elicitationData }), taskId]
-    );
+    const updated = await dbClient.setJobInputRequired(taskId, elicitationData);
+    if (!updated) {
+      return { success: false, error: 'Task must be running to request input' };
+    }
 
     process.stderr.write(`[${new Date().toISOString()}] TaskAdapter: Task ${taskId} now requires input\n`);
 
@@ -258,23 +260,49 @@ class TaskAdapter {
       return { success: false, error: 'Task is not waiting for input' };
     }
 
-    // Merge input data into params
-    let params = job.params;
-    if (typeof params === 'string') {
-      try { params = JSON.parse(params); } catch (_) { params = {}; }
+    // Merge input data into params and requeue so the job worker picks it up again
+    const resumed = await dbClient.resumeJobWithInput(taskId, inputData);
+    if (!resumed) {
+      return { success: false, error: 'Task is not waiting for input' };
     }
-    params = { ...params, userInput: inputData };
-
-    await dbClient.executeQuery(
-      `UPDATE jobs SET status = 'running', params = $1, progress = NULL, updated_at = NOW() WHERE id = $2`,
-      [JSON.stringify(params), taskId]
-    );
 
     process.stderr.write(`[${new Date().toISOString()}] TaskAdapter: Task ${taskId} resumed with input\n`);
 
     return { success: true, status: 'working' };
   }
 
+  /**
+   * Record a user's response to an elicitation and resume the job parked on it
+   * (e.g. plan review). A response the handler refuses (expired, already
+   * answered, invalid action) leaves the job parked. The job row outlives the
+   * in-memory elicitation across restarts, so a response the handler has never
+   * seen resumes a job that is still parked on that elicitation.
+   * @param {string} elicitationId - Elicitation ID
+   * @param {Object} response - { action?: 'accept'|'decline'|'cancel', ...form fields }
+   * @returns {Promise<Object>} Response result, with `task` when a job was resumed
+   */
+  async respondToElicitation(elicitationId, response = {}) {
+    const action = response?.action || 'accept';
+    const pending = elicitationHandler.getElicitation(elicitationId);
+    let result;
+    let jobId;
+    if (pending) {
+      result = elicitationHandler.handleElicitationResponse(elicitationId, action, response);
+      if (!result.success) return result;
+      jobId = pending.metadata?.jobId || await dbClient.findJobByElicitationId(elicitationId);
+    } else {
+      jobId = await dbClient.findJobByElicitationId(elicitationId);
+      if (!jobId) return { success: false, error: 'Unknown elicitation' };
+      if (!['accept', 'decline', 'cancel'].includes(action)) return { success: false, error: `Invalid action: ${action}` };
+      result = { success: true, action, elicitationId };
+    }
+
+    if (jobId) {
+      result.task = await this.resumeTaskWithInput(jobId, { ...response, action, elicitationId });
+    }
+    return result;
+  }
+
   /**
    * Get task events for streaming updates
    * @param {string} taskId - Task ID
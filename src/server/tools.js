@@ -7,6 +7,10 @@ const planningAgent = require('../agents/planningAgent');
 const researchAgent = require('../agents/researchAgent');
 const contextAgent = require('../agents/contextAgent');
 const factCheckAgent = require('../agents/factCheckAgent'); // Fact-checking for research output
+const claimVerificationAgent = require('../agents/claimVerificationAgent'); // Cited-claim verdicts for the report
+const dataAnalysisAgent = require('../agents/dataAnalysisAgent'); // SQL over provided CSV/JSON
+const debateAgent = require('../agents/debateAgent'); // Rebuttal rounds and adjudication (mode 'debate')
+const consensusAgent = require('../agents/consensusAgent'); // Claim agreement across ensemble outputs
 const { parseAgentXml } = require('../utils/xmlParser'); // Re-enable XML parser import
 const dbClient = require('../utils/dbClient'); // Imports necessary functions and status checks
 const config = require('../../config');
@@ -17,6 +21,20 @@ const openRouterClient = require('../utils/openRouterClient');
 const structuredDataParser = require('../utils/structuredDataParser');
 const advancedCache = require('../utils/advancedCache');
 const robustWebScraper = require('../utils/robustWebScraper');
+const budgets = require('../utils/budget');
+const { CostLedger } = require('../utils/costLedger');
+const { JobCheckpoints } = require('../utils/jobCheckpoints');
+const reportDiff = require('../utils/reportDiff');
+const reportRenderer = require('../utils/reportRenderer');
+const citationRegistry = require('../utils/citationRegistry');
+const sourcePolicy = require('../utils/sourcePolicy');
+const modelRouter = require('../utils/modelRouter'); // Learned per-model, per-domain statistics
+const corpusIngest = require('../utils/corpusIngest');
+const collections = require('../utils/collections');
+const tenancy = require('../utils/tenancy');
+const cronSchedule = require('../utils/cronSchedule');
+const watchScheduler = require('./watchScheduler');
+const planReview = require('./planReview');
 const logger = require('../utils/logger').child('Tools');
 const robustScraperInstance = new robustWebScraper();
 
@@ -94,6 +112,26 @@ async function routeToTool(toolName, params, mcpExchange, requestId) {
         return await fetchUrl(params, mcpExchange, requestId);
       case 'list_models':
         return await listModels(params);
+      case 'cost_report':
+        return await costReport(params, mcpExchange, requestId);
+      case 'model_stats':
+        return await modelStats(params, mcpExchange, requestId);
+      case 'refresh_report':
+        return await refreshReport(params, mcpExchange, requestId);
+      case 'diff_reports':
+        return await diffReportsTool(params, mcpExchange, requestId);
+      case 'render_report':
+        return await renderReportTool(params, mcpExchange, requestId);
+      case 'index_path':
+        return await index_path(params, mcpExchange, requestId);
+      case 'reindex_vectors':
+        return await reindexVectorsTool(params, mcpExchange, requestId);
+      case 'watch_create':
+        return await watchCreate(params, mcpExchange, requestId);
+      case 'watch_list':
+        return await watchList(params, mcpExchange, requestId);
+      case 'watch_delete':
+        return await watchDelete(params, mcpExchange, requestId);
       case 'batch_research':
         return await batchResearchTool(params, mcpExchange, requestId);
       case 'ping':
@@ -147,26 +185,69 @@ function normalizeResearchParams(params) {
   return out;
 }
 
+const collectionSchema = z.string().min(1).max(64).describe("Collection (namespace) to work in, e.g. a project or client name. Reports, indexed documents and history are only visible inside their collection. Default COLLECTION_DEFAULT; a credential bound to a collection always uses it");
+
 // Indexer tool schemas (opt-in)
 const indexTextsSchema = z.object({
   documents: z.array(z.object({
     id: z.string().optional(),
     title: z.string().optional(),
-    content: z.string()
+    content: z.string(),
+    tags: z.array(z.string()).optional(),
+    author: z.string().optional(),
+    publishedAt: z.string().optional().describe("Publication date (ISO 8601), used by date filters"),
+    url: z.string().url().optional().describe("Original location; its domain is used by domain filters")
   })),
   sourceType: z.enum(['doc','report']).default('doc'),
+  collection: collectionSchema.optional(),
   _requestId: z.string().optional()
 });
 
 const indexUrlSchema = z.object({
   url: z.string().url(),
   maxBytes: z.number().int().positive().optional().default(200000),
+  collection: collectionSchema.optional(),
   _requestId: z.string().optional()
 });
 
+const indexPathSchema = z.object({
+  path: z.string().min(1).describe("Directory, file or .zip/.tar/.tgz archive on the server, under INDEXER_PATH_ROOTS"),
+  recursive: z.boolean().optional().default(true).describe("Descend into subdirectories"),
+  extensions: z.array(z.string()).optional().describe("Only ingest these extensions, e.g. ['.pdf','.md']. Default: pdf, docx, html, md, txt"),
+  force: z.boolean().optional().default(false).describe("Re-index files even if their content is unchanged"),
+  maxFiles: z.number().int().positive().optional().describe("Max files to process (default INDEXER_INGEST_MAX_FILES)"),
+  tags: z.array(z.string()).optional().describe("Tags stored on every ingested chunk, for search filters"),
+  collection: collectionSchema.optional(),
+  _requestId: z.string().optional()
+}).describe("Ingest local documents (PDF, DOCX, HTML, Markdown, text) from a directory or archive into the index. Text is extracted with headings and page numbers, chunked, and searchable with retrieve/search_index. Unchanged files are skipped on re-runs.");
+
+const searchFusionSchema = z.enum(['weighted', 'rrf', 'zscore']).describe("How BM25 and vector scores combine: 'weighted' (normalized scores x weights), 'rrf' (reciprocal rank fusion) or 'zscore' (standardized scores x weights). Default INDEXER_FUSION");
+const searchRerankSchema = z.union([z.boolean(), z.enum(['none', 'llm', 'cross-encoder'])]).describe("Rerank the top fused results: 'llm', 'cross-encoder' (local model on CPU), 'none', or true for the configured reranker");
+
+const searchFiltersSchema = z.object({
+  sourceType: z.union([z.string(), z.array(z.string())]).optional().describe("'doc', 'report' or another indexed source type"),
+  since: z.string().optional().describe("Published (else indexed) on or after this date, ISO 8601"),
+  until: z.string().optional().describe("Published (else indexed) on or before this date; a bare date includes the whole day"),
+  tags: z.array(z.string()).optional().describe("Match any of these tags"),
+  author: z.union([z.string(), z.array(z.string())]).optional(),
+  domain: z.union([z.string(), z.array(z.string())]).optional().describe("Source domain, subdomains included"),
+  reportId: z.union([z.number().int(), z.array(z.number().int())]).optional().describe("Only the report(s) with these IDs and documents indexed from them"),
+  minAccuracy: z.number().min(0).max(1).optional().describe("Originating report's fact-check accuracy score"),
+  minRating: z.number().min(1).max(5).optional().describe("Originating report's mean user rating")
+}).describe("Filters applied inside the search queries. Accuracy and rating come from the originating report, so documents not indexed from a report never match them.");
+const searchFacetsSchema = z.union([z.boolean(), z.array(z.enum(['sourceType', 'tags', 'author', 'domain', 'year', 'reportId']))])
+  .describe("Return facet counts with the results ({results, facets}): true for all facets, or a list");
+
 const searchIndexSchema = z.object({
   query: z.string().min(1),
   limit: z.number().int().positive().optional().default(10),
+  fusion: searchFusionSchema.optional(),
+  weights: z.object({ bm25: z.number().min(0), vector: z.number().min(0) }).optional().describe("Override indexer weights for this search, e.g. {bm25: 0.5, vector: 0.5}"),
+  rerank: searchRerankSchema.optional(),
+  explain: z.boolean().optional().default(false).describe("Return per-result score components (BM25/vector raw, rank, normalized, weighted contribution, rerank score)"),
+  filters: searchFiltersSchema.optional(),
+  facets: searchFacetsSchema.optional(),
+  collection: collectionSchema.optional(),
   _requestId: z.string().optional()
 });
 
@@ -175,10 +256,13 @@ const indexStatusSchema = z.object({ _requestId: z.string().optional() });
 async function index_texts(params, mcpExchange = null, requestId = 'unknown-req') {
   if (!require('../../config').indexer?.enabled) return JSON.stringify({ enabled: false });
   const { documents, sourceType } = params;
+  const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
   let indexed = 0;
   for (const d of documents) {
     try {
-      const id = await dbClient.indexDocument({ sourceType, sourceId: d.id || `doc:${Date.now()}-${indexed}`, title: d.title || null, content: d.content });
+      const { tags, author, publishedAt, url } = d;
+      const metadata = tags || author || publishedAt || url ? { tags, author, publishedAt, url } : null;
+      const id = await dbClient.indexDocument({ sourceType, sourceId: d.id || `doc:${Date.now()}-${indexed}`, title: d.title || null, content: d.content, metadata, collection });
       if (id) indexed++;
     } catch (_) {}
   }
@@ -188,24 +272,52 @@ async function index_texts(params, mcpExchange = null, requestId = 'unknown-req'
 async function index_url(params, mcpExchange = null, requestId = 'unknown-req') {
   if (!require('../../config').indexer?.enabled) return JSON.stringify({ enabled: false });
   const { url, maxBytes } = params;
+  const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
   const raw = await fetchUrl({ url, maxBytes }, mcpExchange, requestId);
   const obj = JSON.parse(raw);
   const title = obj.title || url;
   const content = `${title}\nSource: ${url}\n\n${obj.textSnippet || ''}`;
-  const id = await dbClient.indexDocument({ sourceType: 'doc', sourceId: url, title, content });
+  const id = await dbClient.indexDocument({ sourceType: 'doc', sourceId: url, title, content, collection });
   return JSON.stringify({ indexed: !!id, id });
 }
 
+async function index_path(params, mcpExchange = null, requestId = 'unknown-req') {
+  if (!require('../../config').indexer?.enabled) return JSON.stringify({ enabled: false });
+  const { path: target, recursive, extensions, force, maxFiles, tags } = params;
+  try {
+    const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
+    const summary = await corpusIngest.ingestPath(target, { dbClient, recursive, extensions, force, maxFiles, tags, collection, requestId });
+    return JSON.stringify(summary, null, 2);
+  } catch (error) {
+    logger.error('index_path failed', { requestId, path: target, error: error.message });
+    throw new Error(`[${requestId}] index_path failed: ${error.message}`);
+  }
+}
+
 async function search_index(params, mcpExchange = null, requestId = 'unknown-req') {
   if (!require('../../config').indexer?.enabled) return JSON.stringify({ enabled: false, results: [] });
-  const { query, limit } = params;
-  const rows = await dbClient.searchHybrid(query, limit);
-  return JSON.stringify(rows, null, 2);
+  const { query, limit, fusion, weights, rerank, explain, filters, facets } = params;
+  try {
+    const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
+    const rows = await dbClient.searchHybrid(query, limit, { fusion, weights, rerank, explain, filters, collection });
+    return JSON.stringify(await withFacets(rows, query, filters, facets, collection), null, 2);
+  } catch (error) {
+    logger.error('search_index failed', { requestId, error: error.message });
+    throw new Error(`[${requestId}] search_index failed: ${error.message}`);
+  }
+}
+
+// Results alone, or {results, facets} when facets were asked for
+async function withFacets(results, query, filters, facets, collection) {
+  if (!facets) return results;
+  const fields = Array.isArray(facets) ? facets : dbClient.FACET_FIELDS;
+  return { results, facets: await dbClient.searchFacets(query, filters, { fields, collection }) };
 }
 
 async function index_status(params, mcpExchange = null, requestId = 'unknown-req') {
   const cfg = require('../../config').indexer || {};
-  return JSON.stringify({ enabled: !!cfg.enabled, autoIndexReports: !!cfg.autoIndexReports, embedDocs: !!cfg.embedDocs, weights: cfg.weights || {} }, null, 2);
+  const stats = cfg.enabled ? await dbClient.getIndexStats().catch(() => null) : null;
+  return JSON.stringify({ enabled: !!cfg.enabled, autoIndexReports: !!cfg.autoIndexReports, embedDocs: !!cfg.embedDocs, weights: cfg.weights || {}, chunking: cfg.chunking || { enabled: false }, embeddings: dbClient.getEmbeddingStatus(), ...(stats ? { stats } : {}) }, null, 2);
 }
 
 // In-memory Cache Configuration
@@ -218,7 +330,8 @@ const cache = new NodeCache({
 
 process.stderr.write(`[${new Date().toISOString()}] In-memory cache initialized with TTL: ${CACHE_TTL_SECONDS}s, max keys: 100\n`); // Use stderr
 
-function getCacheKey(params) {
+// `resolved` holds settings derived from the request and the caller rather than given verbatim
+function getCacheKey(params, { collection, consensus } = {}) {
   const keyData = {
     query: params.query,
     costPreference: params.costPreference,
@@ -226,6 +339,19 @@ function getCacheKey(params) {
     outputFormat: params.outputFormat,
     includeSources: params.includeSources
   };
+  // Reports are built from their collection's corpus and past reports
+  if (collection) keyData.collection = collection;
+  // Debate runs add rebuttals and adjudication, so they never share answers with standard runs
+  if (params.mode === 'debate') {
+    keyData.mode = 'debate';
+    keyData.debateRounds = params.debateRounds || config.debate.rounds;
+  }
+  // Agreement annotations depend on the resolved strategy, weights and threshold
+  if (consensus) keyData.consensus = consensus;
+  // Cached reports never cross tenants
+  if (tenancy.currentTenant() !== tenancy.DEFAULT_TENANT) keyData.tenant = tenancy.currentTenant();
+  if (params.sourcePolicy) keyData.sourcePolicy = params.sourcePolicy;
+  if (params.sources && params.sources !== 'web') keyData.sources = params.sources;
   // Add image info to cache key if present
   if (params.images && params.images.length > 0) {
     keyData.imageCount = params.images.length;
@@ -269,6 +395,36 @@ function setInCache(key, data) {
   }
 }
 
+// Per-run spend limit shared by research and batch_research
+const budgetSchema = z.object({
+  maxUsd: z.number().positive().optional().describe("Max spend in USD, priced from the model catalog"),
+  maxTokens: z.number().int().positive().optional().describe("Max total tokens across planning, research and synthesis")
+}).describe("Optional hard budget. As it runs down, ensembles shrink and refinement is skipped; when exhausted the run stops with a partial report.");
+
+// Per-request source policy, combined with the server policy (SOURCE_* env vars)
+const sourcePolicySchema = z.object({
+  allow: z.array(z.string()).optional().describe("Only use sources from these domains (subdomains included)"),
+  deny: z.array(z.string()).optional().describe("Never use sources from these domains"),
+  weights: z.record(z.number().min(0).max(1)).optional().describe("Reliability prior per domain, 0-1 (e.g. {\"nature.com\": 0.95})"),
+  maxAgeDays: z.number().int().positive().optional().describe("Drop sources with a known publish date older than this"),
+  minReliability: z.number().min(0).max(1).optional().describe("Drop sources scoring below this reliability")
+}).describe("Optional source policy: allow/deny domains, reliability weights and recency. Applied to planning, web search and synthesis; reports include a Source Quality section.");
+
+// Claim agreement across ensemble outputs (consensusAgent); strategies from src/core/signal.js
+const consensusStrategySchema = z.enum(['none', 'majority', 'weighted', 'unanimous', 'arbitrated']);
+const consensusSchema = z.union([
+  consensusStrategySchema,
+  z.object({
+    strategy: consensusStrategySchema.optional().default('weighted'),
+    weights: z.record(z.number().min(0).max(1)).optional().describe("Model weights for this run, over CONSENSUS_MODEL_WEIGHTS (e.g. {\"openai/gpt-5-mini\": 0.8, \"default\": 0.5})"),
+    minAgreement: z.number().min(0).max(1).optional().describe("Agreement a claim needs to count as agreed (default CONSENSUS_MIN_AGREEMENT, 0.6)")
+  })
+]).describe("Score each claim across the ensemble outputs and show agreement per report section. 'majority': share of models; 'weighted': share of model weight; 'unanimous': every model must agree; 'arbitrated': weighted, with an arbiter model ruling on contested claims. Default CONSENSUS_STRATEGY (none).");
+
+// Where research agents get their evidence
+const researchSourcesSchema = z.enum(['web', 'local', 'hybrid'])
+  .describe("'web' (default): model knowledge plus web search when needed. 'local': answer only from passages in the local document index (index_path, index_texts), cited as doc:<id>#<chunk>; no web search, URL checks or page fetches. 'hybrid': index passages plus web search.");
+
 // Base schema without transform (for extending)
 const conductResearchSchemaBase = z.object({
   query: z.string().min(1, "Query must not be empty").optional(),
@@ -293,7 +449,15 @@ const conductResearchSchemaBase = z.object({
     content: z.string().describe("String content of the structured data (e.g., CSV text or JSON string).")
   })).optional().describe("Optional array of structured data inputs relevant to the query."),
   clientContext: z.any().optional().describe("Optional client-provided context about environment (app, os, user, session)."),
-  mode: z.enum(['standard','hyper']).optional().default('standard'),
+  mode: z.enum(['standard','hyper','debate']).optional().default('standard').describe("'debate': when ensemble models contradict each other on a sub-query, they rebut each other's answers for a few rounds and an adjudicator model resolves the contested points with a confidence score. Costs more calls on contested sub-queries."),
+  debateRounds: z.number().int().min(1).max(3).optional().describe("Debate mode: rebuttal rounds before adjudication (default DEBATE_ROUNDS, 2)"),
+  consensus: consensusSchema.optional(),
+  budget: budgetSchema.optional(),
+  sourcePolicy: sourcePolicySchema.optional(),
+  sources: researchSourcesSchema.optional(),
+  tags: z.array(z.string()).optional().describe("Tags saved with the report, for search filters and facets"),
+  collection: collectionSchema.optional().describe("Collection the report is saved in; past reports, the cache and local sources are looked up only there"),
+  reviewPlan: z.boolean().optional().describe("Async jobs only: pause after planning (status input_required) so the sub-queries can be approved, edited or rejected before research runs"),
   _mcpExchange: z.any().optional().describe("Internal MCP exchange context for progress reporting"),
   _requestId: z.string().optional().describe("Internal request ID for logging")
 });
@@ -341,7 +505,12 @@ const searchSchema = {
   query: z.string().min(1).optional().describe("Search query"),
   k: z.number().int().positive().optional().default(10).describe("Number of results"),
   scope: z.enum(['both','reports','docs']).optional().default('both').describe("Search scope"),
-  rerank: z.boolean().optional().describe("Enable reranking")
+  rerank: searchRerankSchema.optional(),
+  fusion: searchFusionSchema.optional(),
+  explain: z.boolean().optional().describe("Include per-result score components"),
+  filters: searchFiltersSchema.optional(),
+  facets: searchFacetsSchema.optional(),
+  collection: collectionSchema.optional()
 };
 const querySchema = z.object({
   sql: z.string().min(1).describe("SELECT query, e.g. 'SELECT id, query FROM research_reports LIMIT 5'"),
@@ -352,9 +521,10 @@ const querySchema = z.object({
 // Schema for the new get_report_content tool
 const getReportContentSchema = z.object({
   reportId: z.string().describe("The ID of the report to retrieve content for (obtained from conduct_research result)."),
-  mode: z.enum(['full','truncate','summary','smart']).optional().default('full'),
+  mode: z.enum(['full','truncate','summary','smart','sources','artifacts']).optional().default('full').describe("'sources' returns the structured source list; 'artifacts' returns the report's charts (Vega-Lite specs with SVG) and tables."),
   maxChars: z.number().int().positive().optional().default(2000),
   query: z.string().optional(),
+  sourcesFormat: z.enum(['json','bibtex','csl-json']).optional().default('json').describe("Format for mode 'sources': structured JSON, BibTeX or CSL-JSON."),
   _requestId: z.string().optional().describe("Internal request ID for logging")
 });
 
@@ -370,6 +540,20 @@ const executeSqlSchema = z.object({
   _requestId: z.string().optional().describe("Internal request ID for logging")
 });
 
+// Page loader for claim verification when research used the local index:
+// doc:<id>#<chunk> references resolve to the stored passage, and 'local' runs never fetch URLs
+function citedPageLoader(sourcesMode) {
+  return async (url) => {
+    const ref = citationRegistry.parseDocRef(url);
+    if (ref) {
+      const passage = await dbClient.getPassage(ref.docId, ref.chunk);
+      return passage ? { success: true, title: passage.title, content: passage.text } : { success: false, error: 'passage not in the index' };
+    }
+    if (sourcesMode === 'local') return { success: false, error: 'web fetch disabled for local research' };
+    return robustScraperInstance.fetchUrl(url, { maxBytes: 200000 });
+  };
+}
+
 // Updated to accept requestId
 async function conductResearch(params, mcpExchange = null, requestId = 'unknown-req') {
   // Normalize shorthand parameters (q,cost,aud,fmt,src,imgs,docs,data)
@@ -393,6 +577,22 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
   const structuredData = params.structuredData;
   const clientContext = params.clientContext || null;
   const mode = params.mode || 'standard';
+  const consensusOptions = consensusAgent.resolveOptions(params.consensus);
+  // Server source policy combined with the request's allow/deny lists, weights and recency limit
+  const policy = sourcePolicy.resolvePolicy(params.sourcePolicy);
+  // 'local' and 'hybrid' ground sub-queries in passages from the document index
+  const sourcesMode = params.sources || 'web';
+  if (sourcesMode !== 'web' && !(config.indexer?.enabled && config.indexer.chunking?.enabled)) {
+    throw new Error(`[${requestId}] sources '${sourcesMode}' needs the document index with passage chunking (INDEXER_ENABLED=true, INDEXER_CHUNKING not false)`);
+  }
+  // Jobs were bound to a collection when submitted; direct calls resolve it from the caller
+  const collection = typeof requestId === 'string' && requestId.startsWith('job_')
+    ? collections.normalizeCollection(params._collection || params.collection || collections.defaultCollection())
+    : collections.resolveCollection(params.collection, mcpExchange?.authInfo);
+  // Set by refresh_report: re-research and save as the next version of this report
+  const refreshOf = params._refreshOfReportId != null ? String(params._refreshOfReportId) : null;
+  // Refreshes and scheduled watch runs always research anew
+  const bypassCache = !!(refreshOf || params._watchId);
   const progressToken = mcpExchange?.progressToken;
 
   // Helper function to safely truncate a string
@@ -414,51 +614,55 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
   };
 
   // Try semantic cache first (with strict similarity validation)
-  try {
-    const similarCache = await advancedCache.findSimilarResult(query, {
-      costPreference,
-      audienceLevel,
-      outputFormat,
-      includeSources,
-      images: Array.isArray(images) ? images.length : 0,
-      textDocuments: Array.isArray(textDocuments) ? textDocuments.length : 0,
-      structuredData: Array.isArray(structuredData) ? structuredData.length : 0
-    });
-    if (similarCache && similarCache.result) {
-      // Double-check similarity threshold at this layer too
-      const similarity = typeof similarCache.similarity === 'number' ? similarCache.similarity : 0;
-      if (similarity < 0.85) {
-        logger.info('Semantic cache rejected: similarity below threshold', {
-          requestId,
-          query: safeSubstring(query, 0, 50),
-          similarity: similarity.toFixed(3),
-          threshold: 0.85
-        });
-        // Fall through to fresh research
-      } else {
-        logger.info('Returning semantic-cached result', {
-          requestId,
-          query: safeSubstring(query, 0, 50),
-          cacheType: similarCache.cacheType,
-          similarity: similarity.toFixed(3)
-        });
-        if (progressToken) {
-          sendProgress({ content: similarCache.result });
-          return "Research complete. Results streamed (from cache).";
+  // Similar past reports were not produced under this request's source policy, sources mode, debate or consensus
+  if (!bypassCache && !params.sourcePolicy && sourcesMode === 'web' && mode !== 'debate' && !consensusOptions) {
+    try {
+      const similarCache = await advancedCache.findSimilarResult(query, {
+        costPreference,
+        audienceLevel,
+        outputFormat,
+        includeSources,
+        images: Array.isArray(images) ? images.length : 0,
+        textDocuments: Array.isArray(textDocuments) ? textDocuments.length : 0,
+        structuredData: Array.isArray(structuredData) ? structuredData.length : 0,
+        collection
+      });
+      if (similarCache && similarCache.result) {
+        // Double-check similarity threshold at this layer too
+        const similarity = typeof similarCache.similarity === 'number' ? similarCache.similarity : 0;
+        if (similarity < 0.85) {
+          logger.info('Semantic cache rejected: similarity below threshold', {
+            requestId,
+            query: safeSubstring(query, 0, 50),
+            similarity: similarity.toFixed(3),
+            threshold: 0.85
+          });
+          // Fall through to fresh research
+        } else {
+          logger.info('Returning semantic-cached result', {
+            requestId,
+            query: safeSubstring(query, 0, 50),
+            cacheType: similarCache.cacheType,
+            similarity: similarity.toFixed(3)
+          });
+          if (progressToken) {
+            sendProgress({ content: similarCache.result });
+            return "Research complete. Results streamed (from cache).";
+          }
+          return similarCache.result;
         }
-        return similarCache.result;
       }
+    } catch (cacheErr) {
+      logger.warn('Semantic cache lookup failed, proceeding with fresh research', {
+        requestId,
+        query: safeSubstring(query, 0, 50),
+        error: cacheErr.message
+      });
     }
-  } catch (cacheErr) {
-    logger.warn('Semantic cache lookup failed, proceeding with fresh research', {
-      requestId,
-      query: safeSubstring(query, 0, 50),
-      error: cacheErr.message
-    });
   }
 
-  const cacheKey = getCacheKey(params);
-  const cachedResult = getFromCache(cacheKey);
+  const cacheKey = getCacheKey(params, { collection, consensus: consensusOptions });
+  const cachedResult = bypassCache ? null : getFromCache(cacheKey);
   if (cachedResult) {
     logger.info('Returning cached result', {
       requestId,
@@ -483,44 +687,79 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
 
   const overallStartTime = Date.now();
   const isJob = typeof requestId === 'string' && requestId.startsWith('job_');
-  const usageAgg = { planning: [], agents: [], synthesis: [], totals: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
-  const onEvent = async (type, payload) => {
+  // Jobs carry the submitter's identity; direct calls use the authenticated principal
+  const clientId = (isJob ? params._clientId : mcpExchange?.authInfo?.clientId) || null;
+  const budget = await budgets.createResearchBudget(dbClient, params.budget, { requestId, clientId });
+  const ledger = new CostLedger({ requestId, clientId, query });
+  await sourcePolicy.loadLearnedScores(dbClient);
+  await modelRouter.loadStats(dbClient);
+  const usageAgg = { planning: [], agents: [], debate: [], consensus: [], analysis: [], synthesis: [], verification: [], totals: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+  const recordUsage = (type, payload) => {
     // Aggregate usage metrics when present
     try {
-      if (type === 'planning_usage' && payload?.usage) usageAgg.planning.push(payload.usage);
-      if (type === 'agent_usage' && payload?.usage) usageAgg.agents.push(payload);
-      if (type === 'synthesis_usage' && payload?.usage) usageAgg.synthesis.push(payload.usage);
+      if (type === 'planning_usage' && payload?.usage) { usageAgg.planning.push(payload.usage); budget.record(payload.model, payload.usage); ledger.record('planning', payload.model, payload.usage); }
+      if (type === 'agent_usage' && payload?.usage) { usageAgg.agents.push(payload); budget.record(payload.model, payload.usage); ledger.record('research', payload.model, payload.usage); }
+      if (type === 'synthesis_usage' && payload?.usage) { usageAgg.synthesis.push(payload.usage); budget.record(contextAgent.model, payload.usage); ledger.record('synthesis', contextAgent.model, payload.usage); }
+      if (type === 'consensus_usage' && payload?.usage) { usageAgg.consensus.push(payload); budget.record(payload.model, payload.usage); ledger.record('consensus', payload.model, payload.usage); }
+      if (type === 'debate_usage' && payload?.usage) { usageAgg.debate.push(payload); budget.record(payload.model, payload.usage); ledger.record('debate', payload.model, payload.usage); }
+      if (type === 'analysis_usage' && payload?.usage) { usageAgg.analysis.push(payload); budget.record(payload.model, payload.usage); ledger.record('analysis', payload.model, payload.usage); }
+      if (type === 'verification_usage' && payload?.usage) { usageAgg.verification.push(payload); budget.record(payload.model, payload.usage); ledger.record('verification', payload.model, payload.usage); }
     } catch(_) {}
+  };
+  const onEvent = async (type, payload) => {
+    recordUsage(type, payload);
     // Forward to job events if running as async job
     if (isJob) {
       try { await dbClient.appendJobEvent(requestId, type, payload || {}); } catch (_) {}
     }
   };
+
+  // Reclaimed jobs resume after the last finished stage
+  const checkpoints = await JobCheckpoints.load(dbClient, requestId);
+  const finished = checkpoints.get('report');
+  if (finished) {
+    logger.info('Job already produced its report, skipping re-run', { requestId, reportId: finished.reportId });
+    budget.settle();
+    return finished.message;
+  }
+  if (checkpoints.enabled) {
+    // Calls paid for by earlier attempts still count toward cost, budget and usage
+    for (const e of await checkpoints.priorUsageEvents()) recordUsage(e.event_type, e.payload);
+    if (checkpoints.resumed) await onEvent('resumed', { stages: [...checkpoints.stages.keys()], spentUsd: Number(ledger.totalUsd.toFixed(6)) });
+  }
+
   // Determine MAX_ITERATIONS dynamically based on complexity assessment
   let MAX_ITERATIONS = config.models.maxResearchIterations; // Default
-  try {
-    const complexity = await researchAgent.assessQueryComplexity(query, { requestId });
-    switch (complexity) {
-      case 'simple':
-        MAX_ITERATIONS = 1; // Simple queries get fewer iterations
-        break;
-      case 'complex':
-        MAX_ITERATIONS = (config.models.maxResearchIterations || 2) + 1; // Complex queries might get more
-        break;
-      case 'moderate':
-      default:
-        MAX_ITERATIONS = config.models.maxResearchIterations || 2; // Moderate uses default
-        break;
+  const setupCheckpoint = checkpoints.get('setup');
+  if (setupCheckpoint) {
+    MAX_ITERATIONS = setupCheckpoint.maxIterations;
+  } else {
+    try {
+      const complexity = await researchAgent.assessQueryComplexity(query, { requestId });
+      switch (complexity) {
+        case 'simple':
+          MAX_ITERATIONS = 1; // Simple queries get fewer iterations
+          break;
+        case 'complex':
+          MAX_ITERATIONS = (config.models.maxResearchIterations || 2) + 1; // Complex queries might get more
+          break;
+        case 'moderate':
+        default:
+          MAX_ITERATIONS = config.models.maxResearchIterations || 2; // Moderate uses default
+          break;
+      }
+      logger.info('Assessed query complexity', { requestId, complexity, maxIterations: MAX_ITERATIONS });
+      await checkpoints.save('setup', { complexity, maxIterations: MAX_ITERATIONS });
+    } catch (complexityError) {
+      logger.warn('Error assessing complexity, using default', { requestId, maxIterations: MAX_ITERATIONS, error: complexityError });
     }
-    logger.info('Assessed query complexity', { requestId, complexity, maxIterations: MAX_ITERATIONS });
-  } catch (complexityError) {
-    logger.warn('Error assessing complexity, using default', { requestId, maxIterations: MAX_ITERATIONS, error: complexityError });
   }
 
   let currentIteration = 1;
   let allAgentQueries = [];
   let allResearchResults = [];
   let savedReportId = null;
+  let pausedForInput = false;
 
   logger.info('Starting iterative research', { requestId, query: safeSubstring(query, 0, 50), maxIterations: MAX_ITERATIONS });
 
@@ -575,7 +814,8 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
         // Raised from 0.70 to 0.80 to prevent cache contamination from marginally-related reports
         const MIN_SIMILARITY_FOR_CONTEXT = 0.80;
         logger.debug('Performing semantic search in knowledge base', { requestId, query: safeSubstring(query, 0, 50) });
-        const similarReports = await dbClient.findReportsBySimilarity(query, 3, 0.80);
+        // Local-only research is grounded in the document index, not in earlier (web) reports
+        const similarReports = sourcesMode === 'local' ? [] : await dbClient.findReportsBySimilarity(query, 3, 0.80, { collection });
 
         // Filter out low-similarity reports to prevent contamination
         const filteredReports = (similarReports || []).filter(r => {
@@ -634,6 +874,16 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
     // --- Main Research Loop ---
     while (currentIteration <= MAX_ITERATIONS) {
       logger.info('Research iteration', { requestId, iteration: currentIteration, maxIterations: MAX_ITERATIONS });
+      // A checkpointed plan was already paid for, so budget gates only apply to new planning
+      const planCheckpoint = checkpoints.get(`plan:${currentIteration}`);
+      if (!planCheckpoint && currentIteration > 1 && budget.shouldSkipRefinement()) {
+        budget.note('refinement_skipped', { iteration: currentIteration });
+        break;
+      }
+      if (!planCheckpoint && !budget.canStartResearchCall()) {
+        budget.note('planning_skipped', { iteration: currentIteration });
+        break;
+      }
       let planningResultXml; // Declare here to be accessible in catch
       const currentStageBase = (currentIteration - 1) * 3; // Define outside try block
 
@@ -644,22 +894,30 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
         const stagePrefixPlan = `Stage ${currentStageBase + 1}/${totalStages}`;
         logger.debug('Planning research', { requestId, stage: stagePrefixPlan, iteration: currentIteration, mode: previousResultsForRefinement ? 'refining' : 'planning' });
 
-        // Pass images, documents, structuredData, and past reports to the planning agent
-        planningResultXml = await planningAgent.planResearch(
-        query,
-        {
-          maxAgents: params.maxAgents || 5,
-          focusAreas: params.focusAreas,
-          images: images,
-          documents: textDocuments,
-          structuredData: structuredData,
-          pastReports: relevantPastReports,
-          inputEmbeddings: inputEmbeddings, // Pass generated input embeddings
-          onEvent
-        },
-          previousResultsForRefinement, // Pass previous results for refinement context
-          requestId // Pass requestId
-        );
+        if (planCheckpoint) {
+          planningResultXml = planCheckpoint.xml;
+          logger.info('Using checkpointed plan', { requestId, iteration: currentIteration });
+        } else {
+          // Pass images, documents, structuredData, and past reports to the planning agent
+          planningResultXml = await planningAgent.planResearch(
+          query,
+          {
+            maxAgents: params.maxAgents || 5,
+            focusAreas: params.focusAreas,
+            images: images,
+            documents: textDocuments,
+            structuredData: structuredData,
+            pastReports: relevantPastReports,
+            inputEmbeddings: inputEmbeddings, // Pass generated input embeddings
+            sourcePolicy: policy,
+            sources: sourcesMode,
+            onEvent
+          },
+            previousResultsForRefinement, // Pass previous results for refinement context
+            requestId // Pass requestId
+          );
+          await checkpoints.save(`plan:${currentIteration}`, { xml: planningResultXml });
+        }
         const planningDuration = Date.now() - planningStartTime;
         logger.debug('Planning completed', { requestId, stage: stagePrefixPlan, durationMs: planningDuration });
       } catch (planningError) {
@@ -703,8 +961,32 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
          throw new Error(`[${requestId}] Failed during XML parsing: ${parsingError.message}`);
       }
 
+      // Optional human review of the initial plan (jobs only; the job is requeued on response)
+      if (currentIteration === 1 && params.reviewPlan && isJob) {
+        if (!params.userInput) {
+          const elicitation = await planReview.requestPlanReview(requestId, query, currentAgentQueries);
+          await onEvent('input_required', { kind: 'plan_review', elicitationId: elicitation.elicitationId, plan: elicitation.plan });
+          throw planReview.planReviewRequired(elicitation);
+        }
+        const reviewed = planReview.applyPlanReview(currentAgentQueries, params.userInput);
+        if (reviewed.action !== 'accept') {
+          throw new Error(`[${requestId}] Research plan ${reviewed.action === 'decline' ? 'rejected' : 'canceled'} during review`);
+        }
+        nextAgentId = 1;
+        currentAgentQueries = reviewed.subQueries.map(q => ({ ...q, id: nextAgentId++ }));
+        allAgentQueries = [...currentAgentQueries];
+        await onEvent('plan_reviewed', { edited: reviewed.edited, subQueries: currentAgentQueries });
+      }
+
       // Step 3: Conduct parallel research
       let currentResearchResults;
+      let iterationCost = costPreference;
+      let ensembleSize;
+      if (budget.shouldDegrade()) {
+        iterationCost = 'low';
+        ensembleSize = 1;
+        budget.note('ensemble_reduced', { iteration: currentIteration, costPreference: iterationCost, ensembleSize });
+      }
       try {
         const researchStartTime = Date.now();
         const stagePrefixResearch = `Stage ${currentStageBase + 3}/${totalStages}`;
@@ -712,14 +994,14 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
         // Pass images, documents, structuredData, inputEmbeddings, and requestId down to parallel research
         currentResearchResults = await researchAgent.conductParallelResearch(
            currentAgentQueries,
-           costPreference,
+           iterationCost,
            images,
            textDocuments,
            structuredData,
            inputEmbeddings, // Pass input embeddings
            requestId, // Pass requestId
            onEvent,
-           { clientContext, mode }
+           { clientContext, mode, debateRounds: params.debateRounds, ensembleSize, budget, checkpoints, sourcePolicy: policy, sources: sourcesMode, collection }
         );
         const researchDuration = Date.now() - researchStartTime;
         logger.info('Parallel research completed', { requestId, stage: stagePrefixResearch, durationMs: researchDuration });
@@ -770,128 +1052,270 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
       throw new Error(`[${requestId}] Failed to generate any research results after planning/refinement.`);
     }
 
+    // Compute over provided CSV/JSON with read-only SQL so synthesis quotes results, not sample rows
+    let dataAnalysis = checkpoints.get('data_analysis')?.analysis || null;
+    if (!dataAnalysis && structuredData?.length && config.dataAnalysis?.enabled && !budget.isExhausted()) {
+      try {
+        dataAnalysis = await dataAnalysisAgent.analyzeStructuredData(query, structuredData, {
+          requestId,
+          shouldStop: () => budget.isExhausted(),
+          onUsage: (model, usage) => onEvent('analysis_usage', { model, usage })
+        });
+        await checkpoints.save('data_analysis', { analysis: dataAnalysis });
+        if (onEvent) await onEvent('data_analysis', { queries: dataAnalysis.queries.length, findings: dataAnalysis.findings.length });
+      } catch (analysisError) {
+        logger.warn('Data analysis failed; synthesizing from data summaries', { requestId, error: analysisError.message });
+      }
+    }
+
+    // Agreement on each claim across the ensemble; synthesis is told which claims are disputed
+    const savedConsensus = checkpoints.get('consensus')?.consensus;
+    let consensus = savedConsensus ? consensusAgent.fromCheckpoint(savedConsensus) : null;
+    if (!consensus && consensusOptions) {
+      try {
+        consensus = await consensusAgent.scoreClaims(allResearchResults, consensusOptions, {
+          requestId,
+          // The arbiter is skipped once the budget is spent
+          shouldStop: () => budget.isExhausted(),
+          onUsage: (model, usage) => onEvent('consensus_usage', { model, usage })
+        });
+        await checkpoints.save('consensus', { consensus: consensusAgent.toCheckpoint(consensus) });
+        if (onEvent) await onEvent('consensus_scored', { strategy: consensus.strategy, claims: consensus.claims.length, ...consensus.counts });
+      } catch (consensusError) {
+        logger.warn('Consensus scoring failed; synthesizing without it', { requestId, error: consensusError.message });
+      }
+    }
+
     // Step 4 (Final Synthesis): Contextualize ALL accumulated results
+    // Numbered source registry from the agents' web grounding and citations; synthesis cites it as [n]
+    const sourceRegistry = includeSources ? citationRegistry.collectSources(allResearchResults, allAgentQueries, policy) : [];
+    let reportSources = null;
+    let sourceQuality = null;
     let finalReportContent = '';
     let streamError = null;
-    try {
-      const contextStartTime = Date.now();
-      const finalStagePrefix = `Stage ${totalStages}/${totalStages}`;
-      logger.info('Contextualizing results', { requestId, stage: finalStagePrefix, resultCount: allResearchResults.length });
+    let partial = false;
+    // Rough prompt size for the synthesis call (chars/4)
+    const synthesisPromptTokens = Math.ceil(allResearchResults.reduce((n, r) => n + String(r.result || '').length, 0) / 4);
+    const synthesisCheckpoint = checkpoints.get('synthesis');
+    if (synthesisCheckpoint) {
+      logger.info('Using checkpointed synthesis draft', { requestId, chars: synthesisCheckpoint.content.length });
+      finalReportContent = synthesisCheckpoint.content;
+      partial = !!synthesisCheckpoint.partial;
+      sendProgress({ content: finalReportContent });
+    } else if (budget.isExhausted() || budget.wouldExceed(contextAgent.model, 0, synthesisPromptTokens)) {
+      budget.note('synthesis_skipped', { promptTokens: synthesisPromptTokens });
+      partial = true;
+      finalReportContent = buildPartialReport(query, allResearchResults, budget.snapshot());
+      sendProgress({ content: finalReportContent });
+    } else {
+      try {
+        const contextStartTime = Date.now();
+        const finalStagePrefix = `Stage ${totalStages}/${totalStages}`;
+        logger.info('Contextualizing results', { requestId, stage: finalStagePrefix, resultCount: allResearchResults.length });
       
-      // Pass allAgentQueries, images, documents, structuredData, and inputEmbeddings to the context agent
-      const contextStream = contextAgent.contextualizeResultsStream(
-        query,
-        allResearchResults,
-        allAgentQueries, // Pass the list of planned agent queries
-        { 
-          audienceLevel, 
-          outputFormat, 
-          includeSources, 
-          maxLength, 
-          images, 
-          documents: textDocuments, 
-          structuredData,
-          inputEmbeddings // Pass input embeddings
-        },
-        requestId, // Pass requestId to context agent
-        clientContext
-      );
-
-      for await (const chunk of contextStream) {
-        sendProgress(chunk);
-        if (onEvent) {
-          if (chunk.content) await onEvent('synthesis_token', { content: chunk.content });
-          if (chunk.usage) await onEvent('synthesis_usage', { usage: chunk.usage });
-          if (chunk.error) await onEvent('synthesis_error', { error: chunk.error });
+        // Pass allAgentQueries, images, documents, structuredData, and inputEmbeddings to the context agent
+        const contextStream = contextAgent.contextualizeResultsStream(
+          query,
+          allResearchResults,
+          allAgentQueries, // Pass the list of planned agent queries
+          { 
+            audienceLevel, 
+            outputFormat, 
+            includeSources, 
+            maxLength, 
+            images, 
+            documents: textDocuments, 
+            structuredData,
+            inputEmbeddings, // Pass input embeddings
+            sources: sourceRegistry,
+            sourcePolicy: policy,
+            grounding: sourcesMode,
+            dataAnalysis,
+            consensus
+          },
+          requestId, // Pass requestId to context agent
+          clientContext
+        );
+
+        let sawSynthesisUsage = false;
+        for await (const chunk of contextStream) {
+          sendProgress(chunk);
+          if (onEvent) {
+            if (chunk.content) await onEvent('synthesis_token', { content: chunk.content });
+            if (chunk.usage) { sawSynthesisUsage = true; await onEvent('synthesis_usage', { usage: chunk.usage }); }
+            if (chunk.error) await onEvent('synthesis_error', { error: chunk.error });
+          }
+          if (chunk.content) {
+            finalReportContent += chunk.content;
+          }
+          if (chunk.error) {
+            streamError = chunk.error;
+            break;
+          }
+          if (budget.wouldExceed(contextAgent.model, Math.ceil(finalReportContent.length / 4), synthesisPromptTokens)) {
+            budget.note('synthesis_truncated', { chars: finalReportContent.length });
+            partial = true;
+            finalReportContent += '\n\n---\n> **Partial report**: synthesis stopped because the research budget was reached.\n';
+            sendProgress({ content: '\n\n> Synthesis stopped: research budget reached.\n' });
+            break;
+          }
         }
-        if (chunk.content) {
-          finalReportContent += chunk.content;
+        if (partial && !sawSynthesisUsage) {
+          // Stream was cut before the provider reported usage; charge the estimate
+          await onEvent('synthesis_usage', { usage: { prompt_tokens: synthesisPromptTokens, completion_tokens: Math.ceil(finalReportContent.length / 4), estimated: true } });
         }
-        if (chunk.error) {
-          streamError = chunk.error;
-          break;
+        const contextDuration = Date.now() - contextStartTime;
+        if (!streamError) {
+          logger.info('Contextualization completed', { requestId, stage: finalStagePrefix, durationMs: contextDuration });
+          await checkpoints.save('synthesis', { content: finalReportContent, partial });
+        } else {
+           logger.warn('Contextualization finished with error', { requestId, stage: finalStagePrefix, durationMs: contextDuration });
+           // Do not throw here, allow process to continue to report the error
+           // throw new Error(streamError || 'Unknown error during context stream processing');
         }
+      } catch (contextError) {
+        // Catch errors from initiating the stream or other unexpected issues in the synthesis step
+        logger.error('Error during context agent call/stream', { requestId, error: contextError });
+        streamError = `Error during result synthesis: ${contextError.message}`;
+        sendProgress({ error: streamError }); // Try to send progress update about the error
+        // Do not throw here, allow process to continue to report the error
+        // throw new Error(`[${requestId}] Failed during context agent call/stream: ${contextError.message}`);
       }
-      const contextDuration = Date.now() - contextStartTime;
-      if (!streamError) {
-        logger.info('Contextualization completed', { requestId, stage: finalStagePrefix, durationMs: contextDuration });
-      } else {
-         logger.warn('Contextualization finished with error', { requestId, stage: finalStagePrefix, durationMs: contextDuration });
-         // Do not throw here, allow process to continue to report the error
-         // throw new Error(streamError || 'Unknown error during context stream processing');
-      }
-    } catch (contextError) {
-      // Catch errors from initiating the stream or other unexpected issues in the synthesis step
-      logger.error('Error during context agent call/stream', { requestId, error: contextError });
-      streamError = `Error during result synthesis: ${contextError.message}`;
-      sendProgress({ error: streamError }); // Try to send progress update about the error
-      // Do not throw here, allow process to continue to report the error
-      // throw new Error(`[${requestId}] Failed during context agent call/stream: ${contextError.message}`);
     }
 
 
     // Store accumulated content in cache and DB (only if synthesis was successful)
     if (!streamError) {
       try {
+        // Map inline citations to the registry and regenerate the Sources section from it
+        if (includeSources) {
+          const linked = citationRegistry.linkReport(finalReportContent, sourceRegistry, { model: contextAgent.model });
+          finalReportContent = linked.content;
+          reportSources = linked.sources;
+          // Index passages have no domain to score
+          sourceQuality = sourcePolicy.qualityBreakdown(reportSources.filter(s => !citationRegistry.parseDocRef(s.url)), policy);
+        }
+
         // Store in semantic cache first; fallback to local cache
-        try {
-          await advancedCache.storeResult(query, { costPreference, audienceLevel, outputFormat, includeSources }, finalReportContent, savedReportId);
-        } catch (_) {}
-        setInCache(cacheKey, finalReportContent);
+        // Partial (budget-limited) reports are never cached
+        if (!partial) {
+          // The semantic cache is not keyed by sources mode, so only web reports go into it
+          if (sourcesMode === 'web') {
+            try {
+              await advancedCache.storeResult(query, { costPreference, audienceLevel, outputFormat, includeSources, collection }, finalReportContent, savedReportId);
+            } catch (_) {}
+          }
+          setInCache(cacheKey, finalReportContent);
+        }
 
-        // Compute usage totals
-        const add = (u) => {
-          if (!u) return; const pt=Number(u.prompt_tokens||0), ct=Number(u.completion_tokens||0), tt=Number(u.total_tokens||pt+ct);
-          usageAgg.totals.prompt_tokens += pt; usageAgg.totals.completion_tokens += ct; usageAgg.totals.total_tokens += tt;
+        // Compute usage totals across every stage (again after claim verification)
+        const computeUsageTotals = () => {
+          const totals = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+          const add = (u) => {
+            if (!u) return; const pt=Number(u.prompt_tokens||0), ct=Number(u.completion_tokens||0), tt=Number(u.total_tokens||pt+ct);
+            totals.prompt_tokens += pt; totals.completion_tokens += ct; totals.total_tokens += tt;
+          };
+          usageAgg.planning.forEach(add); usageAgg.synthesis.forEach(add);
+          for (const stage of ['agents', 'debate', 'consensus', 'analysis', 'verification']) usageAgg[stage].forEach(e => add(e.usage));
+          usageAgg.totals = totals;
         };
-        usageAgg.planning.forEach(add); usageAgg.synthesis.forEach(add); usageAgg.agents.forEach(a=>add(a.usage));
+        computeUsageTotals();
         const researchMetadata = {
         durationMs: Date.now() - overallStartTime,
         iterations: currentIteration - 1,
         totalSubQueries: allAgentQueries.length,
           requestId: requestId, // Store requestId with metadata
-          usage: usageAgg
+          usage: usageAgg,
+          cost: ledger.summary(),
+          partial,
+          budget: budget.snapshot(),
+          sourceQuality,
+          refreshOf,
+          dataAnalysis: dataAnalysisAgent.summarize(dataAnalysis),
+          debates: debateAgent.summarize(allResearchResults),
+          routing: modelRouter.summarize(allResearchResults)
         };
 
         // Run fact-checking on the final report before saving
         let factCheckResults = null;
         let accuracyScore = null;
+        let warningSection = '';
         try {
           factCheckResults = await factCheckAgent.factCheck(finalReportContent, {
-            ensembleResults: aggregatedResults,
-            requestId
+            ensembleResults: allResearchResults.map(r => ({ model: r.model, content: r.result })),
+            requestId,
+            sources: reportSources,
+            // Local-only reports are checked against the index without touching the network
+            validateUrls: sourcesMode !== 'local',
+            fetchPage: sourcesMode === 'web' ? undefined : citedPageLoader(sourcesMode),
+            // Claim verification fetches pages and calls a judge model; skip it once the budget is spent
+            verifyClaims: budget.isExhausted() ? false : undefined,
+            onUsage: (model, usage) => onEvent('verification_usage', { model, usage })
           });
           accuracyScore = factCheckResults.accuracyScore?.score ?? null;
+          citationRegistry.applyValidation(reportSources, factCheckResults.citations);
+          citationRegistry.applyClaimVerification(reportSources, factCheckResults.claimVerification);
+          researchMetadata.cost = ledger.summary(); // include verification calls
+          computeUsageTotals();
+
+          // Annotate the report with a verdict per cited claim
+          const verificationSection = claimVerificationAgent.formatVerificationSection(factCheckResults.claimVerification);
+          if (verificationSection) finalReportContent += '\n\n' + verificationSection;
 
           // Generate warnings and append to report if issues found
           const warnings = factCheckAgent.generateWarnings(factCheckResults);
           if (warnings.length > 0) {
-            finalReportContent += '\n\n---\n## Research Quality Warnings\n' + warnings.join('\n');
+            warningSection = '\n\n---\n## Research Quality Warnings\n' + warnings.join('\n');
             logger.warn('Fact-check warnings generated', { requestId, warningCount: warnings.length, accuracyScore });
           }
         } catch (fcError) {
           logger.error('Fact-checking failed', { requestId, error: fcError.message });
         }
+        // Added after fact-checking so its URLs are not validated as citations; warnings stay last
+        // Agreement line under each section, then the Model Consensus section
+        if (consensus) {
+          const annotated = consensusAgent.annotateReport(finalReportContent, consensus);
+          finalReportContent = annotated.report;
+          researchMetadata.consensus = consensusAgent.summarize(consensus, annotated.sections);
+          const consensusSection = consensusAgent.formatConsensusSection(consensus, annotated.sections);
+          if (consensusSection) finalReportContent += '\n\n' + consensusSection;
+        }
+        const debateSection = debateAgent.formatDebateSection(allResearchResults);
+        if (debateSection) finalReportContent += '\n\n' + debateSection;
+        const analysisSection = dataAnalysisAgent.formatAnalysisSection(dataAnalysis, { tableRows: config.dataAnalysis?.tableRows });
+        if (analysisSection) finalReportContent += '\n\n' + analysisSection;
+        const qualitySection = sourcePolicy.formatQualitySection(sourceQuality);
+        if (qualitySection) finalReportContent += '\n\n' + qualitySection;
+        finalReportContent += warningSection;
 
         savedReportId = await dbClient.saveResearchReport({
         originalQuery: query,
-        parameters: { costPreference, audienceLevel, outputFormat, includeSources, maxLength },
+        parameters: { costPreference, audienceLevel, outputFormat, includeSources, maxLength, ...(params.sourcePolicy ? { sourcePolicy: params.sourcePolicy } : {}), ...(sourcesMode !== 'web' ? { sources: sourcesMode } : {}), ...(mode === 'debate' ? { mode, debateRounds: params.debateRounds || config.debate.rounds } : {}), ...(consensusOptions ? { consensus: { strategy: consensusOptions.strategy, minAgreement: consensusOptions.minAgreement, ...(params.consensus?.weights ? { weights: params.consensus.weights } : {}) } } : {}) },
         finalReport: finalReportContent,
         researchMetadata: researchMetadata,
         images: images,
         textDocuments: textDocuments,
         structuredData: structuredData,
-        basedOnPastReportIds: relevantPastReports.map(r => r.reportId),
+        basedOnPastReportIds: [...new Set([...(refreshOf ? [refreshOf] : []), ...relevantPastReports.map(r => String(r.reportId))])],
         accuracyScore: accuracyScore,
-        factCheckResults: factCheckResults
+        factCheckResults: factCheckResults,
+        previousVersionOf: refreshOf,
+        sources: reportSources,
+        tags: params.tags,
+        collection,
+        artifacts: reportRenderer.buildArtifacts(finalReportContent)
         });
         logger.info('Report saved', { requestId, reportId: savedReportId, accuracyScore: accuracyScore ?? 'N/A' });
+        // Mark the report as done right away so a resumed job never saves it twice
+        if (savedReportId) await checkpoints.save('report', { reportId: savedReportId, message: `Research complete. Report ID: ${savedReportId}. [${requestId}]` });
+        // Calls and the fact-check accuracy train model routing; an accuracy with no claims to score is not an outcome
+        await modelRouter.recordRun(dbClient, allResearchResults, factCheckResults?.accuracyScore?.level === 'unknown' ? null : accuracyScore);
         // Index the saved report for hybrid search when enabled
         try {
           const cfg = require('../../config');
           if (cfg.indexer?.enabled) {
             const title = String(query || `Report ${savedReportId}`).slice(0, 120);
-            await dbClient.indexDocument({ sourceType: 'report', sourceId: String(savedReportId), title, content: finalReportContent || '' });
+            await dbClient.indexDocument({ sourceType: 'report', sourceId: String(savedReportId), title, content: finalReportContent || '', collection });
           }
         } catch (_) {}
         if (onEvent && savedReportId) await onEvent('report_saved', { report_id: savedReportId });
@@ -904,7 +1328,8 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
               sourceType: 'report',
               sourceId: String(savedReportId),
               title: query.slice(0, 120),
-              content: finalReportContent
+              content: finalReportContent,
+              collection
             });
             logger.debug('Indexed report into BM25', { requestId, reportId: savedReportId });
           }
@@ -959,11 +1384,23 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
       // --- End Save Full Report ---
 
       // If synthesis succeeded, return the completion message including the file path
-      const completionMessage = `Research complete. Results streamed. Report ID: ${savedReportId || 'N/A'}. Full report saved to: ${fullReportPath || 'Not saved'}. [${requestId}]`; // Include requestId and file path
-      return completionMessage;
+      const completionMessage = `Research complete. Results streamed. Report ID: ${savedReportId || 'N/A'}. Full report saved to: ${fullReportPath || 'Not saved'}. Estimated cost: $${ledger.totalUsd.toFixed(4)}. [${requestId}]`; // Include requestId, file path and cost
+      let message = completionMessage;
+      if (partial) {
+        const snap = budget.snapshot();
+        message = `${completionMessage} Partial report: budget reached (spent $${snap.spentUsd.toFixed(4)}, ${snap.spentTokens} tokens).`;
+      }
+      if (savedReportId) await checkpoints.save('report', { reportId: savedReportId, message });
+      return message;
     }
 
   } catch (error) { // Main catch block for errors *before* or *during* synthesis failure reporting
+    if (error.code === 'INPUT_REQUIRED') {
+      // Paused, not failed: the resumed run replays this attempt's usage
+      pausedForInput = true;
+      logger.info('Research paused for input', { requestId, reason: error.message });
+      throw error;
+    }
     const overallDuration = Date.now() - overallStartTime;
     const { wrapError, formatErrorForLog } = require('../utils/errors');
 
@@ -985,12 +1422,49 @@ async function conductResearch(params, mcpExchange = null, requestId = 'unknown-
 
     // Re-throw with cause preserved for upstream handlers
     throw wrappedError;
+  } finally {
+    // A run paused for input is charged once, by the attempt that resumes it
+    if (!pausedForInput) {
+      // Persist priced calls (failed runs cost money too)
+      await ledger.persist(dbClient, savedReportId);
+      // Charge this run against the client's monthly allowance, success or not
+      if (clientId && (budget.spentUsd > 0 || budget.spentTokens > 0)) {
+        try {
+          await dbClient.addClientUsage(clientId, { usd: budget.spentUsd, tokens: budget.spentTokens });
+        } catch (usageErr) {
+          logger.warn('Failed to record client usage', { requestId, clientId, error: usageErr.message });
+        }
+      }
+    }
+    // Charged (or parked) either way, so the reserved allowance goes back to the client
+    budget.settle();
   }
 }
 
+/**
+ * Assemble a report from raw sub-query results when the budget leaves no room
+ * for synthesis.
+ */
+function buildPartialReport(query, results, snapshot) {
+  const sections = results
+    .filter(r => !r.error)
+    .map(r => `### ${r.query || `Sub-query ${r.agentId}`}\n_Model: ${r.model || 'unknown'}_\n\n${r.result || ''}`);
+  return [
+    `# ${query}`,
+    '',
+    `> **Partial report**: the research budget was reached before synthesis (spent $${snapshot.spentUsd.toFixed(4)}, ${snapshot.spentTokens} tokens). Sub-query findings are listed unsynthesized.`,
+    '',
+    sections.length ? sections.join('\n\n') : '_No sub-query completed successfully._'
+  ].join('\n');
+}
+
 // Submit research job (async)
 async function submitResearch(params, mcpExchange = null, requestId = 'unknown-req') {
   const normalized = normalizeResearchParams(params);
+  // Bind the job to the authenticated caller; never trust a client-supplied id
+  normalized._clientId = mcpExchange?.authInfo?.clientId || null;
+  normalized._collection = collections.resolveCollection(normalized.collection, mcpExchange?.authInfo);
+  await budgets.assertClientHasBudget(dbClient, normalized._clientId);
   const jobId = await dbClient.createJob('research', normalized);
   await dbClient.appendJobEvent(jobId, 'submitted', { requestId, query: normalized.query });
   try {
@@ -1033,14 +1507,17 @@ async function cancelJobTool(params) {
 }
 
 // Unified hybrid search
-async function searchTool(params) {
-  const rows = await dbClient.searchHybrid(params.q, params.k);
-  const filtered = rows.filter(r => {
-    if (params.scope === 'reports') return r.type === 'report';
-    if (params.scope === 'docs') return r.type === 'doc';
-    return true;
+async function searchTool(params, mcpExchange = null) {
+  const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
+  const rows = await dbClient.searchHybrid(params.q, params.k, {
+    rerank: params.rerank,
+    fusion: params.fusion,
+    explain: !!params.explain,
+    filters: params.filters,
+    scope: params.scope || 'both',
+    collection
   });
-  return JSON.stringify(filtered, null, 2);
+  return JSON.stringify(await withFacets(rows, params.q, params.filters, params.facets, collection), null, 2);
 }
 
 // Guarded SQL + optional LLM explanation
@@ -1067,6 +1544,7 @@ const researchFollowUpSchema = z.object({
   originalQuery: z.string().describe("The original research query for context."),
   followUpQuestion: z.string().describe("The specific follow-up question."),
   costPreference: conductResearchSchemaBase.shape.costPreference.describe("Preference for model cost ('high' or 'low')."),
+  collection: collectionSchema.optional(),
   _requestId: z.string().optional().describe("Internal request ID for logging") // Add optional requestId
 });
 
@@ -1074,12 +1552,13 @@ const getPastResearchSchema = z.object({
   query: z.string().describe("The query string to search for semantically similar past reports."),
   limit: z.number().int().positive().optional().default(5).describe("Maximum number of past reports to return."),
   minSimilarity: z.number().min(0).max(1).optional().default(0.80).describe("Minimum cosine similarity score (0-1) for a report to be considered relevant."),
+  collection: collectionSchema.optional(),
   _requestId: z.string().optional().describe("Internal request ID for logging") // Add optional requestId
 });
 
 const rateResearchReportSchema = z.object({
   reportId: z.string().describe("The ID of the report to rate (obtained from conduct_research result)."),
-  rating: z.number().min(1).max(5).int().describe("Rating from 1 (poor) to 5 (excellent)."),
+  rating: z.number().min(1).max(5).int().describe("Rating from 1 (poor) to 5 (excellent). Also updates the learned reliability of the domains the report cited."),
   comment: z.string().optional().describe("Optional comment explaining the rating."),
   _requestId: z.string().optional().describe("Internal request ID for logging") // Add optional requestId
 });
@@ -1087,6 +1566,7 @@ const rateResearchReportSchema = z.object({
 const listResearchHistorySchema = z.object({
   limit: z.number().int().positive().optional().default(10).describe("Maximum number of recent reports to return."),
   queryFilter: z.string().optional().describe("Optional text to filter report queries by (case-insensitive substring match)."),
+  collection: collectionSchema.optional(),
   _requestId: z.string().optional().describe("Internal request ID for logging") // Add optional requestId
 });
 
@@ -1149,7 +1629,8 @@ async function researchFollowUp(params, mcpExchange = null, requestId = 'unknown
       costPreference,
       audienceLevel: 'expert', // Follow-ups tend to be more specific
       outputFormat: 'briefing', // More concise format for follow-ups
-      includeSources: true
+      includeSources: true,
+      collection: params.collection
     }, mcpExchange, requestId); // Pass requestId down
     
     // Return the result
@@ -1165,6 +1646,7 @@ async function getPastResearch(params, mcpExchange = null, requestId = 'unknown-
   const query = params.query || '';
   const limit = params.limit || 5;
   const minSimilarity = params.minSimilarity !== undefined ? params.minSimilarity : 0.80;
+  const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
   
   const sendProgress = (chunk) => {
     if (mcpExchange && mcpExchange.progressToken) {
@@ -1183,7 +1665,7 @@ async function getPastResearch(params, mcpExchange = null, requestId = 'unknown-
     let reports = [];
     if (cfg.indexer?.enabled && typeof dbClient.searchHybrid === 'function') {
       try {
-        const hybrid = await dbClient.searchHybrid(query, Math.max(limit * 2, 10));
+        const hybrid = await dbClient.searchHybrid(query, Math.max(limit * 2, 10), { collection });
         const reportIds = [];
         const idToScore = new Map();
         for (const r of hybrid) {
@@ -1217,7 +1699,7 @@ async function getPastResearch(params, mcpExchange = null, requestId = 'unknown-
 
     // Fallback to vector similarity
     if (!reports || reports.length === 0) {
-      reports = await dbClient.findReportsBySimilarity(query, limit, minSimilarity);
+      reports = await dbClient.findReportsBySimilarity(query, limit, minSimilarity, { collection });
       // Normalize to expected shape
       reports = (reports || []).map(report => ({
         _id: report._id.toString(),
@@ -1247,7 +1729,29 @@ async function rateResearchReport(params, mcpExchange = null, requestId = 'unkno
     const success = await dbClient.addFeedbackToReport(reportId, { rating, comment });
     
     if (success) {
-      return `Feedback successfully recorded for report ${reportId}.`;
+      // Ratings train the reliability score of every domain the report cited.
+      // A report counts once in these shared scores, so a re-rating replaces its earlier rating.
+      let domains = [];
+      let report = null;
+      let previous = null;
+      try {
+        report = await dbClient.getReportById(reportId);
+        previous = previousRating(report);
+        const { sources } = citationRegistry.sourcesForReport(report);
+        domains = await sourcePolicy.recordRating(dbClient, sources.filter(s => s.cited).map(s => s.url), rating, previous);
+      } catch (scoreError) {
+        logger.warn('Could not update source reliability from rating', { requestId, reportId, error: scoreError.message });
+      }
+      // ...and the quality of every model that answered for it
+      let models = [];
+      if (report) {
+        try {
+          models = await modelRouter.recordRating(dbClient, report.researchMetadata?.routing, rating, previous);
+        } catch (routingError) {
+          logger.warn('Could not update model statistics from rating', { requestId, reportId, error: routingError.message });
+        }
+      }
+      return `Feedback successfully recorded for report ${reportId}.` + (domains.length ? ` Updated reliability for ${domains.length} source domain(s).` : '') + (models.length ? ` Updated quality for ${models.length} model(s).` : '');
     } else {
       throw new Error(`[${requestId}] Failed to record feedback. Report ID ${reportId} might be invalid or a database error occurred.`);
     }
@@ -1257,6 +1761,13 @@ async function rateResearchReport(params, mcpExchange = null, requestId = 'unkno
   }
 }
 
+// Rating the report had before the one just added (feedback entries are appended)
+function previousRating(report) {
+  const ratings = (Array.isArray(report?.feedback_entries) ? report.feedback_entries : [])
+    .map(f => Number(f?.rating)).filter(Number.isFinite);
+  return ratings.length > 1 ? ratings[ratings.length - 2] : null;
+}
+
 // Implementation of list_research_history tool - updated to accept requestId
 async function listResearchHistory(params, mcpExchange = null, requestId = 'unknown-req') {
   // Ensure params are properly handled
@@ -1264,10 +1775,11 @@ async function listResearchHistory(params, mcpExchange = null, requestId = 'unkn
   const queryFilter = params.queryFilter || null;
 
   try {
-    logger.debug('Listing research history', { requestId, limit, filter: queryFilter || 'none' });
+    const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
+    logger.debug('Listing research history', { requestId, limit, filter: queryFilter || 'none', collection });
 
     // Use dbClient to retrieve recent reports
-    const reports = await dbClient.listRecentReports(limit, queryFilter);
+    const reports = await dbClient.listRecentReports(limit, queryFilter, { collection });
     
     if (!reports || reports.length === 0) {
       return "No recent research reports found" + (queryFilter ? ` matching filter "${queryFilter}"` : ".");
@@ -1320,6 +1832,9 @@ async function executeSql(params, mcpExchange = null, requestId = 'unknown-req')
        throw new Error("Only SELECT statements are currently allowed for safety.");
     }
 
+    // Raw SQL sees every tenant's rows
+    tenancy.assertDefaultTenant('SQL queries');
+
     // Ensure database is ready (embedder NOT required for SQL queries)
     if (!dbClient.isDbInitialized()) {
       throw new Error("Database is not initialized. Wait for initialization to complete.");
@@ -1343,15 +1858,17 @@ async function executeSql(params, mcpExchange = null, requestId = 'unknown-req')
 
 // DB QoL tool schemas
 const exportReportsSchema = z.object({
-  format: z.enum(['json', 'ndjson']).default('json'),
+  format: z.enum(['json', 'ndjson', 'jsonld']).default('json'),
   limit: z.number().int().positive().optional(),
   queryFilter: z.string().optional(),
+  collection: collectionSchema.optional(),
   _requestId: z.string().optional()
 });
 
 const importReportsSchema = z.object({
   format: z.enum(['json', 'ndjson']).default('json'),
   content: z.string().min(1),
+  collection: collectionSchema.optional().describe("Collection the imported reports are saved in"),
   _requestId: z.string().optional()
 });
 
@@ -1361,7 +1878,13 @@ const backupDbSchema = z.object({
 });
 
 const dbHealthSchema = z.object({ _requestId: z.string().optional() });
-const reindexVectorsSchema = z.object({ _requestId: z.string().optional() });
+const reindexVectorsSchema = z.object({
+  migrate: z.boolean().optional().default(true)
+    .describe("Re-embed stored vectors when the configured embedding provider, model or dimension differs from the one recorded in the database."),
+  batchSize: z.number().int().positive().max(1000).optional()
+    .describe("Rows embedded per request while migrating (default EMBEDDINGS_MIGRATION_BATCH_SIZE)."),
+  _requestId: z.string().optional()
+});
 const searchWebSchema = z.object({
   query: z.string().min(1),
   maxResults: z.number().int().positive().max(10).optional().default(5),
@@ -1375,7 +1898,7 @@ const fetchUrlSchema = z.object({
 
 // Implementation for get_report_content tool - updated to accept requestId
 async function getReportContent(params, mcpExchange = null, requestId = 'unknown-req') {
-  const { reportId, mode = 'full', maxChars = 2000, query } = params;
+  const { reportId, mode = 'full', maxChars = 2000, query, sourcesFormat = 'json' } = params;
   const { NotFoundError, DatabaseError, formatErrorForResponse } = require('../utils/errors');
 
   try {
@@ -1387,6 +1910,19 @@ async function getReportContent(params, mcpExchange = null, requestId = 'unknown
     if (mode === 'full') {
       return content;
     }
+    if (mode === 'sources') {
+      // Structured sources; reports saved before the registry existed get them parsed from the text
+      const { sources, derived } = citationRegistry.sourcesForReport(report);
+      const cited = sources.filter(s => s.cited);
+      const exportOpts = { reportId, createdAt: report.created_at };
+      if (sourcesFormat === 'bibtex') return citationRegistry.toBibTeX(cited, exportOpts);
+      if (sourcesFormat === 'csl-json') return JSON.stringify(citationRegistry.toCslJson(cited, exportOpts), null, 2);
+      return JSON.stringify({ reportId, mode, derived, cited: cited.length, sources }, null, 2);
+    }
+    if (mode === 'artifacts') {
+      const { artifacts, derived } = reportRenderer.artifactsForReport(report, { svg: true });
+      return JSON.stringify({ reportId, mode, derived, artifacts }, null, 2);
+    }
     if (mode === 'truncate') {
       return JSON.stringify({ reportId, mode, totalLength: content.length, contentSnippet: content.slice(0, maxChars) + (content.length > maxChars ? '…' : '') }, null, 2);
     }
@@ -1454,7 +1990,7 @@ async function getServerStatus(params, mcpExchange = null, requestId = 'unknown-
 
     let jobs = { queued: 0, running: 0, succeeded: 0, failed: 0, canceled: 0 };
     try {
-      const rows = await dbClient.executeQuery("SELECT status, COUNT(*) AS count FROM jobs GROUP BY 1 ORDER BY 1");
+      const rows = await dbClient.executeQuery("SELECT status, COUNT(*) AS count FROM jobs WHERE tenant_id = $1 GROUP BY 1 ORDER BY 1", [tenancy.currentTenant()]);
       for (const r of rows) { jobs[r.status] = Number(r.count); }
     } catch (_) {}
 
@@ -1476,7 +2012,7 @@ async function getServerStatus(params, mcpExchange = null, requestId = 'unknown-
         initialized: dbInitialized,
         initState,
         storageType: dbPathInfo,
-        vectorDimension: config.database.vectorDimension,
+        vectorDimension: dbClient.getEmbeddingStatus().stored?.dimensions || config.database.vectorDimension,
         maxRetries: config.database.maxRetryAttempts,
         retryDelayBaseMs: config.database.retryDelayBaseMs,
         relaxedDurability: config.database.relaxedDurability
@@ -1484,7 +2020,8 @@ async function getServerStatus(params, mcpExchange = null, requestId = 'unknown-
       jobs,
       embedder: {
         ready: embedderReady,
-        model: embedderReady ? 'Xenova/all-MiniLM-L6-v2' : 'Not Loaded'
+        model: embedderReady ? dbClient.getEmbeddingStatus().embedder.model : 'Not Loaded',
+        vectorsReady: dbClient.getEmbeddingStatus().vectorsReady
       },
       cache: {
         ttlSeconds: CACHE_TTL_SECONDS,
@@ -1533,9 +2070,265 @@ async function listModels(params = { refresh: false }, mcpExchange = null, reque
   }
 }
 
+// Schema for cost_report tool
+const costReportSchema = z.object({
+  groupBy: z.enum(['day', 'model', 'stage', 'query', 'report', 'client']).optional().default('day').describe("How to group spend. 'day' is UTC calendar days."),
+  since: z.string().optional().describe("ISO date/time lower bound (inclusive), e.g. '2025-01-01'"),
+  until: z.string().optional().describe("ISO date/time upper bound (exclusive)"),
+  reportId: z.string().optional().describe("Return the per-model/per-stage breakdown stored on one report"),
+  limit: z.number().int().positive().optional().default(30).describe("Max groups to return"),
+  _requestId: z.string().optional().describe("Internal request ID for logging")
+}).describe("Estimated LLM spend (USD, priced from the model catalog) per day, model, stage, query or report. Example: {groupBy:'day', since:'2025-01-01'} or {reportId:'42'}");
+
+// Implementation for cost_report tool
+async function costReport(params = {}, mcpExchange = null, requestId = 'unknown-req') {
+  logger.debug('Building cost report', { requestId, groupBy: params.groupBy, reportId: params.reportId });
+  try {
+    if (params.reportId) {
+      const report = await dbClient.getReportById(params.reportId);
+      const meta = report.researchMetadata || {};
+      return JSON.stringify({
+        reportId: String(params.reportId),
+        query: report.original_query,
+        cost: meta.cost || null,
+        note: meta.cost ? undefined : 'Report predates cost accounting; only token usage is available',
+        usage: meta.cost ? undefined : meta.usage?.totals || null
+      }, null, 2);
+    }
+    const groupBy = params.groupBy || 'day';
+    const rows = await dbClient.getCostReport({ groupBy, since: params.since, until: params.until, limit: params.limit });
+    const totals = rows.reduce((t, r) => ({
+      usd: t.usd + r.usd,
+      prompt_tokens: t.prompt_tokens + r.prompt_tokens,
+      completion_tokens: t.completion_tokens + r.completion_tokens,
+      calls: t.calls + r.calls
+    }), { usd: 0, prompt_tokens: 0, completion_tokens: 0, calls: 0 });
+    totals.usd = Number(totals.usd.toFixed(6));
+    return JSON.stringify({ currency: 'USD', groupBy, since: params.since || null, until: params.until || null, rows, totals }, null, 2);
+  } catch (error) {
+    logger.error('Error building cost report', { requestId, error });
+    throw new Error(`[${requestId}] Error building cost report: ${error.message}`);
+  }
+}
+
+// Schema for model_stats tool
+const modelStatsSchema = z.object({
+  model: z.string().optional().describe("Only statistics for this model"),
+  domain: z.enum(['general', 'technical', 'reasoning', 'search', 'creative']).optional().describe("Only this query domain; also returns the router's ranking of the cost tier for it"),
+  costPreference: z.enum(['high', 'low']).optional().default('low').describe("Cost tier ranked when a domain is given"),
+  limit: z.number().int().positive().optional().default(50).describe("Max model/domain rows to return"),
+  _requestId: z.string().optional().describe("Internal request ID for logging")
+}).describe("Learned model routing statistics per model and query domain: calls, error rate, latency, cost, and quality from fact-checks and report ratings. With a domain, also how the adaptive router ranks the cost tier. Example: {domain:'technical', costPreference:'high'}");
+
+// Implementation for model_stats tool
+async function modelStats(params = {}, mcpExchange = null, requestId = 'unknown-req') {
+  logger.debug('Reading model statistics', { requestId, model: params.model, domain: params.domain });
+  try {
+    await modelRouter.loadStats(dbClient);
+    const cfg = config.modelRouter || {};
+    const result = {
+      routing: { enabled: modelRouter.isEnabled(), exploration: cfg.exploration, costWeights: cfg.costWeights, latencyWeight: cfg.latencyWeight },
+      rows: modelRouter.describe({ model: params.model, domain: params.domain }).slice(0, params.limit || 50)
+    };
+    if (params.domain) {
+      const costPreference = params.costPreference || 'low';
+      result.ranking = { domain: params.domain, costPreference, models: modelRouter.rank(researchAgent.candidateModels(costPreference), params.domain, costPreference) };
+    }
+    return JSON.stringify(result, null, 2);
+  } catch (error) {
+    logger.error('Error reading model statistics', { requestId, error });
+    throw new Error(`[${requestId}] Error reading model statistics: ${error.message}`);
+  }
+}
+
+// Schema for refresh_report tool
+const refreshReportSchema = z.object({
+  reportId: z.string().describe("ID of the report to re-research (any version of it)"),
+  async: z.boolean().optional().default(true).describe("Run as a background job (default) and return job_id"),
+  costPreference: z.enum(['high', 'low']).optional().describe("Override the original run's cost preference"),
+  budget: budgetSchema.optional(),
+  sourcePolicy: sourcePolicySchema.optional().describe("Override the original run's source policy"),
+  sources: researchSourcesSchema.optional().describe("Override the original run's sources mode ('web', 'local' or 'hybrid')"),
+  reviewPlan: z.boolean().optional(),
+  _requestId: z.string().optional().describe("Internal request ID for logging")
+}).describe("Re-run the research behind an existing report with its original query and parameters, saving the result as the next version of the same logical report. Compare versions with diff_reports.");
+
+// Implementation for refresh_report tool
+async function refreshReport(params, mcpExchange = null, requestId = 'unknown-req') {
+  const report = await dbClient.getReportById(params.reportId);
+  const original = report.parameters || {};
+  const researchParams = {
+    query: report.original_query,
+    costPreference: params.costPreference || original.costPreference,
+    audienceLevel: original.audienceLevel,
+    outputFormat: original.outputFormat,
+    includeSources: original.includeSources,
+    maxLength: original.maxLength,
+    budget: params.budget,
+    sourcePolicy: params.sourcePolicy || original.sourcePolicy,
+    sources: params.sources || original.sources,
+    mode: original.mode,
+    debateRounds: original.debateRounds,
+    consensus: original.consensus,
+    tags: report.tags || undefined,
+    collection: report.collection || undefined,
+    reviewPlan: params.reviewPlan,
+    _refreshOfReportId: String(report.id)
+  };
+  logger.info('Refreshing report', { requestId, reportId: params.reportId, version: report.version });
+  if (params.async !== false || params.reviewPlan) {
+    return submitResearch(researchParams, mcpExchange, requestId);
+  }
+  return conductResearch(researchParams, mcpExchange, requestId);
+}
+
+// Schema for diff_reports tool
+const diffReportsSchema = z.object({
+  fromReportId: z.string().describe("Older report ID"),
+  toReportId: z.string().optional().describe("Newer report ID. Defaults to the latest version of fromReportId's report (or, if fromReportId is the latest, diffs the previous version against it)."),
+  maxItems: z.number().int().positive().optional().default(50).describe("Max claims/citations listed per category"),
+  _requestId: z.string().optional().describe("Internal request ID for logging")
+}).describe("Claim- and section-level diff of two reports: new findings, dropped claims, changed numbers, added/removed sections and citations.");
+
+// Implementation for diff_reports tool
+async function diffReportsTool(params, mcpExchange = null, requestId = 'unknown-req') {
+  let fromId = String(params.fromReportId);
+  let toId = params.toReportId ? String(params.toReportId) : null;
+  if (!toId) {
+    const versions = await dbClient.getReportVersions(fromId);
+    const latest = versions[versions.length - 1];
+    if (!latest || versions.length < 2) {
+      throw new Error(`[${requestId}] Report ${fromId} has no other versions to compare; pass toReportId or run refresh_report first`);
+    }
+    if (latest.id === fromId) {
+      fromId = versions[versions.length - 2].id;
+    }
+    toId = latest.id;
+  }
+  const [from, to] = await Promise.all([dbClient.getReportById(fromId), dbClient.getReportById(toId)]);
+  logger.debug('Diffing reports', { requestId, fromId, toId });
+  const diff = reportDiff.diffReports(
+    { id: fromId, version: from.version, createdAt: from.created_at, content: from.final_report || '' },
+    { id: toId, version: to.version, createdAt: to.created_at, content: to.final_report || '' },
+    { maxItems: params.maxItems }
+  );
+  diff.sameReport = String(from.report_group_id) === String(to.report_group_id);
+  return JSON.stringify(diff, null, 2);
+}
+
+// Schema for render_report tool
+const renderReportSchema = z.object({
+  reportId: z.string().describe("The ID of the report to render"),
+  format: z.enum(['html', 'pdf', 'docx', 'jsonld']).optional().default('html').describe("Output format"),
+  inline: z.boolean().optional().default(false).describe("Return the rendered content (base64 for pdf/docx) instead of writing a file to the report output directory"),
+  _requestId: z.string().optional().describe("Internal request ID for logging")
+}).describe("Render a saved report as HTML, PDF, DOCX or JSON-LD with a title page, table of contents, numbered references, fact-check warnings and metadata (models, cost, accuracy score). Also served over HTTP at /reports/:id.{html,pdf,docx,jsonld}.");
+
+// Implementation for render_report tool
+async function renderReportTool(params, mcpExchange = null, requestId = 'unknown-req') {
+  const report = await dbClient.getReportById(params.reportId);
+  const rendered = reportRenderer.renderReport(report, params.format || 'html');
+  const bytes = Buffer.byteLength(rendered.body);
+  const result = {
+    reportId: String(report.id),
+    format: rendered.format,
+    contentType: rendered.contentType,
+    bytes,
+    url: `/reports/${report.id}.${rendered.extension}`
+  };
+  if (params.inline) {
+    if (rendered.binary) result.base64 = rendered.body.toString('base64');
+    else result.content = rendered.body;
+    return JSON.stringify(result, null, 2);
+  }
+  const reportDir = path.resolve(config.reportOutputPath);
+  fs.mkdirSync(reportDir, { recursive: true });
+  result.path = path.join(reportDir, `research-report-${report.id}.${rendered.extension}`);
+  fs.writeFileSync(result.path, rendered.body);
+  logger.info('Rendered report saved to file', { requestId, reportId: result.reportId, format: result.format, path: result.path });
+  return JSON.stringify(result, null, 2);
+}
+
+// Schema for watch_create tool
+const watchCreateSchema = z.object({
+  query: z.string().min(1, "Query must not be empty"),
+  schedule: z.string().min(1).describe("Cron expression in UTC (minute hour day-of-month month day-of-week), e.g. '0 9 * * 1', or @daily/@weekly/@monthly"),
+  notifyOn: z.enum(['always', 'material']).optional().default('always').describe("'material' only notifies when the diff against the previous run reaches minChanges"),
+  minChanges: z.number().int().positive().optional().describe("Changed claims/numbers/sections/citations needed for a material update (default WATCH_MATERIAL_MIN_CHANGES)"),
+  runNow: z.boolean().optional().default(false).describe("Run once right away instead of waiting for the first scheduled time"),
+  costPreference: z.enum(['high', 'low']).optional().default('low'),
+  audienceLevel: z.enum(['beginner', 'intermediate', 'expert']).optional(),
+  outputFormat: z.enum(['report', 'briefing', 'bullet_points']).optional(),
+  includeSources: z.boolean().optional(),
+  budget: budgetSchema.optional(),
+  sourcePolicy: sourcePolicySchema.optional(),
+  sources: researchSourcesSchema.optional(),
+  mode: z.enum(['standard', 'debate']).optional().describe("'debate': contested sub-queries get rebuttal rounds and an adjudicated answer on every run"),
+  debateRounds: z.number().int().min(1).max(3).optional().describe("Debate mode: rebuttal rounds before adjudication (default DEBATE_ROUNDS, 2)"),
+  consensus: consensusSchema.optional(),
+  collection: collectionSchema.optional(),
+  _requestId: z.string().optional().describe("Internal request ID for logging")
+}).describe("Schedule recurring research on a topic. Each run is saved as a new version of the same report; subscribe to the research://watches/{id} resource for updates.");
+
+const watchListSchema = z.object({
+  _requestId: z.string().optional().describe("Internal request ID for logging")
+}).describe("List watch topics with their schedule, next run and latest report.");
+
+const watchDeleteSchema = z.object({
+  watchId: z.string().describe("Watch ID from watch_create or watch_list"),
+  _requestId: z.string().optional().describe("Internal request ID for logging")
+}).describe("Delete a watch topic. Reports from earlier runs are kept.");
+
+function summarizeWatch(w) {
+  return {
+    watchId: w.id,
+    query: w.query,
+    schedule: w.schedule,
+    notifyOn: w.notify_on,
+    minChanges: w.min_changes ?? config.watches.materialMinChanges,
+    nextRunAt: w.next_run_at,
+    lastRunAt: w.last_run_at,
+    lastJobId: w.last_job_id,
+    lastReportId: w.last_report_id,
+    lastDiff: w.last_diff || null,
+    resource: watchScheduler.watchUri(w.id)
+  };
+}
+
+// Implementation for watch_create tool
+async function watchCreate(params, mcpExchange = null, requestId = 'unknown-req') {
+  let nextRunAt;
+  try {
+    nextRunAt = params.runNow ? new Date() : cronSchedule.nextRun(params.schedule);
+  } catch (error) {
+    throw new Error(`[${requestId}] ${error.message}`);
+  }
+  const { query, schedule, notifyOn, minChanges, runNow, _requestId, ...researchParams } = params;
+  const clientId = mcpExchange?.authInfo?.clientId || null;
+  // Runs have no caller to resolve against, so the collection is fixed now
+  researchParams.collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
+  const watchId = await dbClient.createWatch({ query, params: researchParams, schedule, notifyOn, minChanges, clientId, nextRunAt });
+  logger.info('Watch created', { requestId, watchId, schedule, runNow: !!runNow });
+  return JSON.stringify(summarizeWatch(await dbClient.getWatch(watchId)), null, 2);
+}
+
+// Implementation for watch_list tool
+async function watchList(params, mcpExchange = null) {
+  const watches = await dbClient.listWatches({ clientId: mcpExchange?.authInfo?.clientId || null });
+  return JSON.stringify({ watches: watches.map(summarizeWatch) }, null, 2);
+}
+
+// Implementation for watch_delete tool
+async function watchDelete(params, mcpExchange = null, requestId = 'unknown-req') {
+  const deleted = await dbClient.deleteWatch(params.watchId, { clientId: mcpExchange?.authInfo?.clientId || null });
+  if (!deleted) throw new Error(`[${requestId}] Watch not found: ${params.watchId}`);
+  return JSON.stringify({ watchId: params.watchId, deleted: true }, null, 2);
+}
+
 async function exportReports(params, mcpExchange = null, requestId = 'unknown-req') {
   const { format, limit, queryFilter } = params;
-  const reports = await dbClient.listRecentReports(limit || 1000, queryFilter || null);
+  const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
+  const reports = await dbClient.listRecentReports(limit || 1000, queryFilter || null, { collection });
   const safeReports = reports.map(r => {
     const { final_report, ...rest } = r; // keep full report by default; can adjust
     return { ...rest, final_report };
@@ -1543,6 +2336,15 @@ async function exportReports(params, mcpExchange = null, requestId = 'unknown-re
   if (format === 'ndjson') {
     return safeReports.map(r => JSON.stringify(r)).join('\n');
   }
+  if (format === 'jsonld') {
+    // listRecentReports omits report bodies and fact-check results; load full rows
+    const graph = [];
+    for (const r of reports) {
+      const { '@context': _, ...node } = reportRenderer.renderJsonLd(reportRenderer.buildReportDocument(await dbClient.getReportById(r.id)));
+      graph.push(node);
+    }
+    return JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 2);
+  }
   return JSON.stringify(safeReports, null, 2);
 }
 
@@ -1551,6 +2353,7 @@ async function importReports(params, mcpExchange = null, requestId = 'unknown-re
   const lines = format === 'ndjson' ? content.split(/\r?\n/).filter(Boolean) : [];
   const items = format === 'ndjson' ? lines.map(l => JSON.parse(l)) : JSON.parse(content);
   const array = Array.isArray(items) ? items : [items];
+  const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
   let imported = 0;
   for (const item of array) {
     try {
@@ -1563,7 +2366,11 @@ async function importReports(params, mcpExchange = null, requestId = 'unknown-re
         images: item.images || null,
         textDocuments: null,
         structuredData: null,
-        basedOnPastReportIds: item.based_on_past_report_ids || []
+        basedOnPastReportIds: item.based_on_past_report_ids || [],
+        sources: Array.isArray(item.sources) ? item.sources : null,
+        tags: Array.isArray(item.tags) ? item.tags : null,
+        collection,
+        artifacts: reportRenderer.buildArtifacts(item.final_report || item.finalReport || '')
       });
       imported++;
     } catch (e) {
@@ -1574,6 +2381,8 @@ async function importReports(params, mcpExchange = null, requestId = 'unknown-re
 }
 
 async function backupDb(params, mcpExchange = null, requestId = 'unknown-req') {
+  // The archive holds every tenant's data
+  tenancy.assertDefaultTenant('Database backups');
   const destDir = path.resolve(params.destinationDir || './backups');
   fs.mkdirSync(destDir, { recursive: true });
   const stamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -1596,12 +2405,20 @@ async function dbHealth(params, mcpExchange = null, requestId = 'unknown-req') {
   const embedderReady = dbClient.isEmbedderReady();
   const dbInitialized = dbClient.isDbInitialized();
   const dbPathInfo = dbClient.getDbPathInfo();
-  return JSON.stringify({ embedderReady, dbInitialized, dbPathInfo, vectorDimension: config.database.vectorDimension }, null, 2);
+  const embeddings = dbClient.getEmbeddingStatus();
+  return JSON.stringify({ embedderReady, dbInitialized, dbPathInfo, vectorDimension: embeddings.stored?.dimensions || config.database.vectorDimension, embeddings }, null, 2);
 }
 
 async function reindexVectorsTool(params, mcpExchange = null, requestId = 'unknown-req') {
-  const ok = await dbClient.reindexVectors();
-  return JSON.stringify({ reindexed: ok }, null, 2);
+  const { migrate = true, batchSize } = params || {};
+  tenancy.assertDefaultTenant('Vector reindexing');
+  try {
+    const result = await dbClient.reindexVectors({ migrate, batchSize });
+    return JSON.stringify(result, null, 2);
+  } catch (error) {
+    logger.error('reindex_vectors failed', { requestId, error: error.message });
+    throw new Error(`[${requestId}] reindex_vectors failed: ${error.message}`);
+  }
 }
 
 async function searchWeb(params, mcpExchange = null, requestId = 'unknown-req') {
@@ -1660,7 +2477,7 @@ async function fetchUrl(params, mcpExchange = null, requestId = 'unknown-req') {
     try {
       const cfg = require('../../config');
       if (cfg.indexer?.enabled && cfg.indexer.autoIndexFetchedContent && resObj.success && resObj.content) {
-        await dbClient.indexDocument({ sourceType: 'doc', sourceId: url, title: resObj.title || url, content: resObj.content.slice(0, cfg.indexer.maxDocLength || 8000) });
+        await dbClient.indexDocument({ sourceType: 'doc', sourceId: url, title: resObj.title || url, content: resObj.content });
       }
     } catch (_) {}
     return JSON.stringify({ url, status: resObj.success ? 200 : 500, contentType: 'text/html', title: resObj.title, textSnippet: (resObj.content || '').slice(0, 2000), fullTextLength: (resObj.content || '').length, success: resObj.success, error: resObj.error || null }, null, 2);
@@ -1680,7 +2497,7 @@ async function fetchUrl(params, mcpExchange = null, requestId = 'unknown-req') {
       try {
         const cfg = require('../../config');
         if (cfg.indexer?.enabled && cfg.indexer.autoIndexFetchedContent && text) {
-          await dbClient.indexDocument({ sourceType: 'doc', sourceId: url, title: title || url, content: text.slice(0, cfg.indexer.maxDocLength || 8000) });
+          await dbClient.indexDocument({ sourceType: 'doc', sourceId: url, title: title || url, content: text });
         }
       } catch (_) {}
       return JSON.stringify({ url, status, contentType, title, textSnippet: text.slice(0, 2000), fullTextLength: text.length }, null, 2);
@@ -1688,7 +2505,7 @@ async function fetchUrl(params, mcpExchange = null, requestId = 'unknown-req') {
     try {
       const cfg = require('../../config');
       if (cfg.indexer?.enabled && cfg.indexer.autoIndexFetchedContent && /text\//i.test(contentType)) {
-        await dbClient.indexDocument({ sourceType: 'doc', sourceId: url, title: url, content: body.slice(0, cfg.indexer.maxDocLength || 8000) });
+        await dbClient.indexDocument({ sourceType: 'doc', sourceId: url, title: url, content: body });
       }
     } catch (_) {}
     return JSON.stringify({ url, status, contentType, textSnippet: body.slice(0, 2000), length: body.length }, null, 2);
@@ -1698,7 +2515,7 @@ async function fetchUrl(params, mcpExchange = null, requestId = 'unknown-req') {
 // Unified research tool
 async function researchTool(params, exchange, requestId = `req-${Date.now()}`) {
   const isAsync = params?.async !== false; // default async
-  if (isAsync) {
+  if (isAsync || params?.reviewPlan) { // plan review needs a job to pause
     return submitResearch(params, exchange, requestId);
   }
   return conductResearch(params, exchange, requestId);
@@ -1730,7 +2547,7 @@ const TOOL_CATALOG = [
   { name: 'retrieve', description: 'Search KB or run SQL. Freeform query = index; SQL text or mode:sql runs SELECT.' },
   { name: 'search', description: 'Alias for retrieve (index mode) with keys: q,k,scope.' },
   { name: 'query', description: 'Alias for retrieve (sql mode): {sql, params?, explain?}.' },
-  { name: 'get_report', description: 'Get research report by ID. mode:"summary" for brief, mode:"full" for complete text.' },
+  { name: 'get_report', description: 'Get research report by ID. mode:"summary" for brief, mode:"full" for complete text, mode:"sources" for its citations (sourcesFormat json|bibtex|csl-json).' },
   { name: 'get_report_content', description: 'Alias for get_report.' },
   { name: 'history', description: 'List recent research reports. Optional limit and queryFilter.' },
   { name: 'get_server_status', description: 'Server health check - database, embedder, job queue status.' },
@@ -1738,7 +2555,17 @@ const TOOL_CATALOG = [
   { name: 'calc', description: 'Evaluate math: +,-,*,/,^,(), decimals. Accepts freeform expression or {expr}.' },
   { name: 'list_tools', description: 'Show all available tools with parameters.' },
   { name: 'search_tools', description: 'Find tools by semantic search. Requires query parameter.' },
-  { name: 'batch_research', description: 'Dispatch multiple research queries in single call. waitForCompletion:true waits and returns results.' }
+  { name: 'batch_research', description: 'Dispatch multiple research queries in single call. waitForCompletion:true waits and returns results.' },
+  { name: 'cost_report', description: 'Estimated USD spend by day, model, stage, query or report. reportId for one report.' },
+  { name: 'model_stats', description: 'Learned per-model, per-domain quality, error rate, latency and cost; with domain, the adaptive router ranking.' },
+  { name: 'refresh_report', description: 'Re-research an existing report with its original parameters; saved as its next version. async:true (default) returns job_id.' },
+  { name: 'diff_reports', description: 'Diff two report versions: new findings, dropped claims, changed numbers, section and citation changes.' },
+  { name: 'render_report', description: 'Render a report as html, pdf, docx or jsonld with title page, contents, references and fact-check warnings.' },
+  { name: 'watch_create', description: 'Schedule recurring research (cron, UTC). Each run becomes a new report version; notifyOn:"material" skips minor changes.' },
+  { name: 'watch_list', description: 'List watch topics with next run, latest report and last diff.' },
+  { name: 'watch_delete', description: 'Delete a watch topic. Requires watchId.' },
+  { name: 'index_path', description: 'Ingest a server directory or archive of PDF/DOCX/HTML/Markdown/text files into the knowledge base, with headings and page numbers.' },
+  { name: 'reindex_vectors', description: 'Rebuild vector indexes; re-embeds stored reports and documents when the embedding model or dimension changed.' }
 ];
 
 function summarizeParamsForTool(name) {
@@ -1746,35 +2573,45 @@ function summarizeParamsForTool(name) {
   switch (name) {
     case 'agent': return ['action? (auto|research|follow_up|retrieve|query)', 'query?', 'async?', 'originalQuery?', 'followUpQuestion?', 'mode?', 'sql?', 'params?', 'k?', 'scope?', 'explain?'];
     case 'ping': return ['info?'];
-    case 'research': return ['query', 'async?', 'costPreference?', 'audienceLevel?', 'outputFormat?', 'includeSources?'];
+    case 'research': return ['query', 'async?', 'costPreference?', 'audienceLevel?', 'outputFormat?', 'includeSources?', 'budget?', 'sourcePolicy?', 'sources? (web|local|hybrid)', 'tags?', 'reviewPlan?'];
     case 'job_status': return ['job_id', 'format?', 'since_event_id?', 'max_events?'];
     case 'cancel_job': return ['job_id'];
-    case 'retrieve': return ['mode', 'query?', 'sql?', 'params?', 'k?', 'scope?', 'explain?'];
-    case 'get_report': return ['reportId', 'mode?', 'maxChars?', 'query?'];
+    case 'retrieve': return ['mode', 'query?', 'sql?', 'params?', 'k?', 'scope?', 'rerank?', 'fusion?', 'filters?', 'facets?', 'explain?'];
+    case 'get_report': return ['reportId', 'mode?', 'maxChars?', 'query?', 'sourcesFormat?'];
     case 'history': return ['limit?', 'queryFilter?'];
-    case 'conduct_research': return ['query', 'costPreference?', 'audienceLevel?', 'outputFormat?', 'includeSources?', 'images?', 'textDocuments?', 'structuredData?'];
-    case 'submit_research': return ['query', 'notify?'];
-    case 'search': return ['q', 'k?', 'scope?'];
+    case 'conduct_research': return ['query', 'costPreference?', 'audienceLevel?', 'outputFormat?', 'includeSources?', 'images?', 'textDocuments?', 'structuredData?', 'budget?', 'sourcePolicy?', 'sources? (web|local|hybrid)', 'tags?'];
+    case 'submit_research': return ['query', 'notify?', 'reviewPlan?'];
+    case 'search': return ['q', 'k?', 'scope?', 'rerank?', 'fusion?', 'filters?', 'facets?', 'explain?'];
     case 'query': return ['sql', 'params?', 'explain?'];
     case 'get_past_research': return ['query', 'limit?', 'minSimilarity?'];
     case 'research_follow_up': return ['originalQuery', 'followUpQuestion', 'costPreference?'];
     case 'get_report_content': return ['reportId'];
     case 'execute_sql': return ['sql', 'params?'];
     case 'list_models': return ['refresh?'];
+    case 'cost_report': return ['groupBy? (day|model|stage|query|report|client)', 'since?', 'until?', 'reportId?', 'limit?'];
+    case 'model_stats': return ['model?', 'domain? (general|technical|reasoning|search|creative)', 'costPreference?', 'limit?'];
+    case 'refresh_report': return ['reportId', 'async?', 'costPreference?', 'budget?', 'sourcePolicy?', 'sources? (web|local|hybrid)', 'reviewPlan?'];
+    case 'diff_reports': return ['fromReportId', 'toReportId?', 'maxItems?'];
+    case 'render_report': return ['reportId', 'format? (html|pdf|docx|jsonld)', 'inline?'];
+    case 'watch_create': return ['query', 'schedule', 'notifyOn? (always|material)', 'minChanges?', 'runNow?', 'costPreference?', 'budget?', 'sourcePolicy?', 'sources? (web|local|hybrid)'];
+    case 'watch_list': return [];
+    case 'watch_delete': return ['watchId'];
     case 'export_reports': return ['format?', 'limit?', 'queryFilter?'];
     case 'import_reports': return ['format?', 'content'];
     case 'backup_db': return ['destinationDir?'];
     case 'search_web': return ['query', 'maxResults?'];
     case 'fetch_url': return ['url', 'maxBytes?'];
-    case 'index_texts': return ['documents[]', 'sourceType?'];
+    case 'index_texts': return ['documents[] (id?, title?, content, tags?, author?, publishedAt?, url?)', 'sourceType?'];
     case 'index_url': return ['url', 'maxBytes?'];
-    case 'search_index': return ['query', 'limit?'];
+    case 'index_path': return ['path', 'recursive?', 'extensions?', 'force?', 'maxFiles?', 'tags?'];
+    case 'reindex_vectors': return ['migrate?', 'batchSize?'];
+    case 'search_index': return ['query', 'limit?', 'fusion?', 'weights?', 'rerank?', 'filters?', 'facets?', 'explain?'];
     case 'calc': return ['expr', 'precision?'];
     case 'list_tools': return ['query?', 'limit?', 'semantic?'];
     case 'search_tools': return ['query', 'limit?'];
     case 'date_time': return ['format?'];
     case 'get_server_status': return [];
-    case 'batch_research': return ['queries[]', 'waitForCompletion?', 'timeoutMs?', 'costPreference?'];
+    case 'batch_research': return ['queries[]', 'waitForCompletion?', 'timeoutMs?', 'costPreference?', 'budget?'];
     default: return [];
   }
 }
@@ -1887,11 +2724,15 @@ const retrieveSchema = z.object({
   query: z.string().optional().describe("Search query for index mode, e.g. 'machine learning'"),
   k: z.number().int().positive().optional().default(10).describe("Number of results (1-100)"),
   scope: z.enum(['both','reports','docs']).optional().default('both').describe("Search in reports, docs, or both"),
-  rerank: z.boolean().optional().describe("Enable LLM reranking for better relevance"),
+  rerank: searchRerankSchema.optional(),
+  fusion: searchFusionSchema.optional(),
+  filters: searchFiltersSchema.optional(),
+  facets: searchFacetsSchema.optional(),
+  collection: collectionSchema.optional(),
   // sql mode params
   sql: z.string().optional().describe("SQL query for sql mode, e.g. 'SELECT * FROM research_reports LIMIT 5'"),
   params: z.array(z.any()).optional().default([]).describe("SQL bound parameters"),
-  explain: z.boolean().optional().default(false).describe("Explain results in plain English")
+  explain: z.boolean().optional().default(false).describe("sql mode: explain results in plain English; index mode: include per-result score components")
 }).describe("Retrieve from KB or DB. Examples: {mode:'index', query:'AI safety', k:5} or {mode:'sql', sql:'SELECT id,query FROM research_reports', explain:true}");
 
 // Unified retrieve wrapper
@@ -1903,7 +2744,7 @@ async function retrieveTool(params, mcpExchange = null, requestId = `req-${Date.
   }
   const q = (params?.query || '').trim();
   if (!q) throw new Error('retrieve: query is required when mode="index"');
-  return searchTool({ q, k: params.k || 10, scope: params.scope || 'both', rerank: !!params.rerank }, mcpExchange, requestId);
+  return searchTool({ q, k: params.k || 10, scope: params.scope || 'both', rerank: params.rerank, fusion: params.fusion, explain: !!params.explain, filters: params.filters, facets: params.facets, collection: params.collection }, mcpExchange, requestId);
 }
 
 // Agent meta-tool schema and router
@@ -1934,6 +2775,7 @@ const agentSchema = z.object({
   sql: z.string().optional(),
   params: z.array(z.any()).optional(),
   explain: z.boolean().optional(),
+  collection: collectionSchema.optional(),
   // Tool chaining: execute multiple tools in sequence
   chain: z.array(z.object({
     tool: z.string(),
@@ -1992,17 +2834,17 @@ async function agentTool(params, mcpExchange = null, requestId = `req-${Date.now
 
   if (action === 'research') return researchTool(params, mcpExchange, requestId);
   if (action === 'follow_up') return researchFollowUp(params, mcpExchange, requestId);
-  if (action === 'retrieve') return retrieveTool({ mode: 'index', query: params.query, k: params.k, scope: params.scope, rerank: params.rerank }, mcpExchange, requestId);
+  if (action === 'retrieve') return retrieveTool({ mode: 'index', query: params.query, k: params.k, scope: params.scope, rerank: params.rerank, collection: params.collection }, mcpExchange, requestId);
   if (action === 'query') return retrieveTool({ mode: 'sql', sql: params.sql, params: params.params || [], explain: !!params.explain }, mcpExchange, requestId);
   if (params?.originalQuery && params?.followUpQuestion) {
-    return researchFollowUp({ originalQuery: params.originalQuery, followUpQuestion: params.followUpQuestion, costPreference: params.costPreference }, mcpExchange, requestId);
+    return researchFollowUp({ originalQuery: params.originalQuery, followUpQuestion: params.followUpQuestion, costPreference: params.costPreference, collection: params.collection }, mcpExchange, requestId);
   }
   if (params?.sql) {
     return retrieveTool({ mode: 'sql', sql: params.sql, params: params.params || [], explain: !!params.explain }, mcpExchange, requestId);
   }
   if (params?.mode === 'index' || (params?.k || params?.scope || params?.rerank)) {
     if (!params?.query) throw new Error('agent: query is required for retrieve mode');
-    return retrieveTool({ mode: 'index', query: params.query, k: params.k || 10, scope: params.scope || 'both', rerank: !!params.rerank }, mcpExchange, requestId);
+    return retrieveTool({ mode: 'index', query: params.query, k: params.k || 10, scope: params.scope || 'both', rerank: !!params.rerank, collection: params.collection }, mcpExchange, requestId);
   }
   return researchTool(params, mcpExchange, requestId);
 }
@@ -2014,12 +2856,15 @@ const batchResearchSchema = z.object({
     z.object({
       query: z.string(),
       costPreference: z.enum(['high', 'low']).optional(),
-      audienceLevel: z.enum(['beginner', 'intermediate', 'expert']).optional()
+      audienceLevel: z.enum(['beginner', 'intermediate', 'expert']).optional(),
+      budget: budgetSchema.optional()
     })
   ])).min(1).max(10).describe("Array of research queries (strings or objects with query + options). Max 10."),
   waitForCompletion: z.boolean().optional().default(false).describe("If true, waits for all jobs to complete and returns results. If false, returns job IDs immediately."),
   timeoutMs: z.number().int().positive().optional().default(300000).describe("Max wait time in ms when waitForCompletion=true. Default 5 minutes."),
   costPreference: z.enum(['high', 'low']).optional().default('low').describe("Default cost preference for all queries"),
+  budget: budgetSchema.optional().describe("Default per-query budget (each job gets its own allowance)"),
+  collection: collectionSchema.optional(),
   _requestId: z.string().optional()
 }).describe("Batch dispatch multiple research queries in a single call. Returns job IDs or waits for completion. Example: {queries: ['topic 1', 'topic 2', {query:'topic 3', costPreference:'high'}], waitForCompletion: true}");
 
@@ -2033,6 +2878,10 @@ async function batchResearchTool(params, mcpExchange = null, requestId = `batch-
     return JSON.stringify({ error: 'queries array is required and must not be empty' });
   }
 
+  const clientId = mcpExchange?.authInfo?.clientId || null;
+  const collection = collections.resolveCollection(params.collection, mcpExchange?.authInfo);
+  await budgets.assertClientHasBudget(dbClient, clientId);
+
   // Dispatch all jobs
   const jobIds = [];
   const dispatchedQueries = [];
@@ -2042,10 +2891,15 @@ async function batchResearchTool(params, mcpExchange = null, requestId = `batch-
     const cost = typeof q === 'object' && q.costPreference ? q.costPreference : defaultCost;
     const audience = typeof q === 'object' && q.audienceLevel ? q.audienceLevel : 'intermediate';
 
+    const budget = typeof q === 'object' && q.budget ? q.budget : params.budget;
+
     const jobParams = {
       query: queryStr,
       costPreference: cost,
-      audienceLevel: audience
+      audienceLevel: audience,
+      ...(budget ? { budget } : {}),
+      _clientId: clientId,
+      _collection: collection
     };
 
     const jobId = await dbClient.createJob('research', jobParams);
@@ -2068,7 +2922,7 @@ async function batchResearchTool(params, mcpExchange = null, requestId = `batch-
       queries: dispatchedQueries,
       requestId,
       timestamp: new Date().toISOString()
-    });
+    }, collection);
   } catch (_) {
     // Session tracking optional
   }
@@ -2125,7 +2979,7 @@ async function batchResearchTool(params, mcpExchange = null, requestId = `batch-
       results: results.map(r => ({ jobId: r.jobId, status: r.status, reportId: r.reportId })),
       requestId,
       timestamp: new Date().toISOString()
-    });
+    }, collection);
   } catch (_) {}
 
   const timedOut = pendingJobs.size > 0;
@@ -2157,7 +3011,7 @@ async function pingTool(params) {
     const dbInitialized = dbClient.isDbInitialized();
     const dbPathInfo = dbClient.getDbPathInfo();
     let jobs = [];
-    try { jobs = await dbClient.executeQuery(`SELECT status, COUNT(*) AS n FROM jobs GROUP BY status`, []); } catch (_) {}
+    try { jobs = await dbClient.executeQuery(`SELECT status, COUNT(*) AS n FROM jobs WHERE tenant_id = $1 GROUP BY status`, [tenancy.currentTenant()]); } catch (_) {}
     return JSON.stringify({ ...base, database: { initialized: dbInitialized, storageType: dbPathInfo }, embedder: { ready: embedderReady }, jobs }, null, 2);
   } catch (_) {
     return JSON.stringify(base);
@@ -2176,6 +3030,15 @@ module.exports = {
   rateResearchReportSchema,
   listResearchHistorySchema,
   listModelsSchema: z.object({ refresh: z.boolean().optional().default(false) }),
+  costReportSchema,
+  modelStatsSchema,
+  refreshReportSchema,
+  diffReportsSchema,
+  renderReportSchema,
+  watchCreateSchema,
+  watchListSchema,
+  watchDeleteSchema,
+  collectionSchema, // Shared `collection` param
   getReportContentSchema,
   getServerStatusSchema,
   exportReportsSchema,
@@ -2187,6 +3050,7 @@ module.exports = {
   fetchUrlSchema,
   indexTextsSchema,
   indexUrlSchema,
+  indexPathSchema,
   searchIndexSchema,
   indexStatusSchema,
   searchSchema,
@@ -2211,6 +3075,15 @@ module.exports = {
   getServerStatus,
   executeSql,
   listModels,
+  costReport,
+  modelStats,
+  refreshReport,
+  diffReportsTool,
+  renderReportTool,
+  watchCreate,
+  watchList,
+  watchDelete,
+  parseReportIdFromMessage,
   exportReports,
   importReports,
   backupDb,
@@ -2222,6 +3095,7 @@ module.exports = {
   queryTool,
   index_texts,
   index_url,
+  index_path,
   search_index,
   index_status,
   researchTool,
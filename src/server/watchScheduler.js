@@ -0,0 +1,191 @@
+/**
+ * Watch Scheduler
+ *
+ * Watch topics re-run a research query on a cron schedule. Each due run is
+ * enqueued with `dbClient.createJob` and executed by the regular job worker.
+ * After the first run, every run is a refresh of the previous report, so the
+ * results build up as versions of one logical report (see refresh_report).
+ * When a run lands, the scheduler diffs it against the previous version and
+ * calls the registered update listener. The MCP server uses that listener to
+ * send resource notifications. With `notifyOn: 'material'`, the listener is
+ * only called once the diff reaches the watch's change threshold.
+ *
+ * @module watchScheduler
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const dbClient = require('../utils/dbClient');
+const tenancy = require('../utils/tenancy');
+const config = require('../../config');
+const cron = require('../utils/cronSchedule');
+const budgets = require('../utils/budget');
+const reportDiff = require('../utils/reportDiff');
+const logger = require('../utils/logger').child('WatchScheduler');
+
+const WATCH_URI_PREFIX = 'research://watches';
+const ACTIVE_JOB_STATES = ['queued', 'running', 'input_required'];
+
+let timer = null;
+let updateListener = null;
+
+function watchUri(watchId) {
+  return `${WATCH_URI_PREFIX}/${watchId}`;
+}
+
+/**
+ * Count the changes in a diff summary that make a new version worth notifying about
+ * @param {Object} summary - `diffReports(...).summary`
+ * @returns {number}
+ */
+function materialChanges(summary) {
+  if (!summary) return 0;
+  return (summary.newFindings || 0) + (summary.droppedClaims || 0) + (summary.changedNumbers || 0) +
+    (summary.sectionsAdded || 0) + (summary.sectionsRemoved || 0) +
+    (summary.newCitations || 0) + (summary.removedCitations || 0);
+}
+
+/**
+ * Enqueue one run of a watch as a research job
+ * @param {Object} watch - Row from dbClient.getWatch
+ * @returns {Promise<string>} Job id
+ */
+async function enqueueWatchRun(watch) {
+  const params = { ...watch.params, query: watch.query, _clientId: watch.client_id || null, _watchId: watch.id };
+  if (watch.last_report_id) params._refreshOfReportId = watch.last_report_id;
+  await budgets.assertClientHasBudget(dbClient, params._clientId);
+  const jobId = await dbClient.createJob('research', params);
+  await dbClient.appendJobEvent(jobId, 'submitted', { watchId: watch.id, query: watch.query });
+  await dbClient.recordWatchRun(watch.id, jobId);
+  return jobId;
+}
+
+/**
+ * Enqueue every watch whose next run time has passed
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<{watchId: string, jobId: string}>>}
+ */
+async function runDueWatches(now = new Date()) {
+  const started = [];
+  for (const watch of await dbClient.getDueWatches(10)) {
+    let next;
+    try {
+      next = cron.nextRun(watch.schedule, now);
+    } catch (error) {
+      logger.warn('Skipping watch with unusable schedule', { watchId: watch.id, schedule: watch.schedule, error: error.message });
+      continue;
+    }
+    // Claim the slot first so a slow tick never enqueues the same run twice
+    if (!(await dbClient.advanceWatch(watch.id, watch.next_run_at, next))) continue;
+
+    try {
+      // The run belongs to the watch owner's tenant
+      const jobId = await tenancy.runAsTenant(watch.tenant_id, async () => {
+        if (watch.last_job_id) {
+          const previous = await dbClient.getJobStatus(watch.last_job_id);
+          if (previous && ACTIVE_JOB_STATES.includes(previous.status)) {
+            logger.info('Previous watch run still active, skipping this slot', { watchId: watch.id, jobId: watch.last_job_id });
+            return null;
+          }
+        }
+        return enqueueWatchRun(watch);
+      });
+      if (!jobId) continue;
+      logger.info('Watch run enqueued', { watchId: watch.id, jobId, nextRunAt: next.toISOString() });
+      started.push({ watchId: watch.id, jobId });
+    } catch (error) {
+      logger.warn('Failed to enqueue watch run', { watchId: watch.id, code: error.code, error: error.message });
+    }
+  }
+  return started;
+}
+
+/**
+ * Record a finished watch run: diff against the previous version and notify
+ * Called by the job worker after a research job succeeds; no-op for other jobs.
+ * @param {string} jobId
+ * @param {Object} params - Job params
+ * @param {string|null} reportId - Report saved by the run
+ * @returns {Promise<Object|null>} Update passed to the listener, or null
+ */
+async function handleJobSucceeded(jobId, params, reportId) {
+  if (!params?._watchId || !reportId) return null;
+  const watch = await dbClient.getWatch(params._watchId);
+  if (!watch) return null; // deleted while the run was in flight
+
+  const previousId = params._refreshOfReportId || null;
+  let diff = null;
+  if (previousId) {
+    try {
+      const [from, to] = await Promise.all([dbClient.getReportById(previousId), dbClient.getReportById(reportId)]);
+      const full = reportDiff.diffReports(
+        { id: String(previousId), version: from.version, content: from.final_report || '' },
+        { id: String(reportId), version: to.version, content: to.final_report || '' }
+      );
+      diff = { fromReportId: String(previousId), toReportId: String(reportId), summary: full.summary };
+    } catch (error) {
+      logger.warn('Could not diff watch run against previous version', { watchId: watch.id, reportId, error: error.message });
+    }
+  }
+
+  const changes = diff ? materialChanges(diff.summary) : null;
+  const threshold = watch.min_changes ?? config.watches.materialMinChanges;
+  // The first run (or an undiffable one) always counts as news
+  const material = changes === null || changes >= threshold;
+  if (diff) diff.material = material;
+  await dbClient.recordWatchReport(watch.id, String(reportId), diff);
+
+  const update = { watchId: watch.id, uri: watchUri(watch.id), jobId, reportId: String(reportId), previousReportId: previousId, material, changes, summary: diff?.summary || null };
+  try { await dbClient.appendJobEvent(jobId, 'watch_update', update); } catch (_) {}
+
+  if (watch.notify_on === 'material' && !material) {
+    logger.info('Watch run below material threshold, not notifying', { watchId: watch.id, changes, threshold });
+    return update;
+  }
+  if (updateListener) {
+    try {
+      await updateListener(update);
+    } catch (error) {
+      logger.warn('Watch update listener failed', { watchId: watch.id, error: error.message });
+    }
+  }
+  return update;
+}
+
+/**
+ * Start polling for due watches
+ * @param {Object} [options]
+ * @param {Function} [options.onUpdate] - Called with each notifiable watch update
+ * @returns {boolean} False when watches are disabled
+ */
+function startWatchScheduler({ onUpdate } = {}) {
+  updateListener = onUpdate || null;
+  if (!config.watches.enabled) {
+    logger.info('Watch scheduler disabled');
+    return false;
+  }
+  if (timer) return true;
+  const tick = () => runDueWatches().catch(error => logger.warn('Watch scheduler tick failed', { error: error.message }));
+  timer = setInterval(tick, Math.max(1000, config.watches.pollMs));
+  timer.unref?.();
+  tick();
+  logger.info('Watch scheduler started', { pollMs: config.watches.pollMs });
+  return true;
+}
+
+function stopWatchScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  WATCH_URI_PREFIX,
+  watchUri,
+  materialChanges,
+  enqueueWatchRun,
+  runDueWatches,
+  handleJobSucceeded,
+  startWatchScheduler,
+  stopWatchScheduler
+};
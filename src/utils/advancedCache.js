@@ -4,6 +4,7 @@
 const NodeCache = require('node-cache');
 const crypto = require('crypto');
 const dbClient = require('./dbClient');
+const tenancy = require('./tenancy');
 const config = require('../../config');
 
 class AdvancedCache {
@@ -33,7 +34,8 @@ class AdvancedCache {
       return obj;
     }, {});
     
-    const content = `${normalizedQuery}:${JSON.stringify(sortedParams)}`;
+    // Cached results never cross tenants
+    const content = `${tenancy.currentTenant()}:${normalizedQuery}:${JSON.stringify(sortedParams)}`;
     return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
   }
 
@@ -51,7 +53,8 @@ class AdvancedCache {
       }
 
       // Check semantic similarity using database vector search
-      const similar = await dbClient.findReportsBySimilarity(query, 3, this.similarityThreshold);
+      // (params.collection is part of the exact key and limits the semantic match to that collection)
+      const similar = await dbClient.findReportsBySimilarity(query, 3, this.similarityThreshold, { collection: params.collection || null });
       if (similar && similar.length > 0) {
         const bestMatch = similar[0];
         const sim = typeof bestMatch.similarityScore === 'number' ? bestMatch.similarityScore : (bestMatch.similarity || 0);
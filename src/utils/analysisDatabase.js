@@ -0,0 +1,156 @@
+/**
+ * Analysis Database
+ *
+ * A private in-memory PGLite database that runs in a worker thread, for SQL
+ * the server did not write (the data analysis agent's model queries). PGLite
+ * executes on the thread that owns it and ignores `statement_timeout`, so a
+ * slow query on the main thread would stall every other request. Here each
+ * query can carry a wall-clock limit: when it runs out the worker is
+ * terminated, the query rejects with a DatabaseError, and the database is gone
+ * (`terminated`); open a new one to continue.
+ *
+ * @module analysisDatabase
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { DatabaseError, InitializationError } = require('./errors');
+
+const WORKER_ROLE = 'analysis-database';
+
+/**
+ * Run a query inside a READ ONLY transaction
+ * @param {Object} db - PGLite instance or AnalysisDatabase
+ * @param {string} sql
+ * @param {Array} [params]
+ * @param {Object} [options] - PGLite query options, plus timeoutMs for an AnalysisDatabase
+ * @returns {Promise<Object>} PGLite result
+ */
+async function readOnlyQuery(db, sql, params = [], options = {}) {
+  if (db instanceof AnalysisDatabase) return db.query(sql, params, { ...options, readOnly: true });
+  const { timeoutMs, readOnly, ...queryOptions } = options;
+  return db.transaction(async (tx) => {
+    await tx.query('SET TRANSACTION READ ONLY;');
+    return tx.query(sql, params, queryOptions);
+  });
+}
+
+class AnalysisDatabase {
+  constructor(worker) {
+    this.worker = worker;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.terminated = false;
+    worker.on('message', ({ id, result, error }) => {
+      const call = this.pending.get(id);
+      if (!call) return;
+      this.pending.delete(id);
+      clearTimeout(call.timer);
+      if (error) call.reject(new DatabaseError(error, 'analysisQuery'));
+      else call.resolve(result);
+    });
+    worker.on('error', (err) => this._fail(new DatabaseError(`Analysis database worker failed: ${err.message}`, 'analysisQuery', { cause: err })));
+    worker.on('exit', () => this._fail(new DatabaseError('Analysis database is closed', 'analysisQuery')));
+  }
+
+  /**
+   * Run a query in the worker
+   * @param {string} sql
+   * @param {Array} [params]
+   * @param {Object} [options] - PGLite query options
+   * @param {number} [options.timeoutMs] - Wall-clock limit; the worker is terminated when it runs out
+   * @param {boolean} [options.readOnly] - Run inside a READ ONLY transaction
+   * @returns {Promise<Object>} PGLite result
+   */
+  query(sql, params = [], options = {}) {
+    if (this.terminated) return Promise.reject(new DatabaseError('Analysis database is closed', 'analysisQuery'));
+    const { timeoutMs, ...queryOptions } = options;
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const call = { resolve, reject, timer: null };
+      if (timeoutMs > 0) {
+        call.timer = setTimeout(() => {
+          this.pending.delete(id);
+          reject(new DatabaseError(`Query exceeded the ${timeoutMs} ms time limit and was stopped`, 'analysisQuery', { context: { timeoutMs } }));
+          this._fail(new DatabaseError('Analysis database is closed', 'analysisQuery'));
+        }, timeoutMs);
+      }
+      this.pending.set(id, call);
+      this.worker.postMessage({ id, sql, params, options: queryOptions });
+    });
+  }
+
+  /**
+   * Stop the worker and drop the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.terminated) return;
+    this._fail(new DatabaseError('Analysis database is closed', 'analysisQuery'));
+  }
+
+  // Terminate the worker and reject every query still waiting on it
+  _fail(error) {
+    if (this.terminated) return;
+    this.terminated = true;
+    for (const call of this.pending.values()) {
+      clearTimeout(call.timer);
+      call.reject(error);
+    }
+    this.pending.clear();
+    this.worker.terminate().catch(() => {});
+  }
+}
+
+/**
+ * Open a private in-memory database in a new worker thread
+ * @returns {Promise<AnalysisDatabase>}
+ * @throws {InitializationError} When PGLite fails to start in the worker
+ */
+function openAnalysisDatabase() {
+  const worker = new Worker(__filename, { workerData: { role: WORKER_ROLE } });
+  return new Promise((resolve, reject) => {
+    const onReady = (message) => {
+      cleanup();
+      if (message?.ready) resolve(new AnalysisDatabase(worker));
+      else {
+        worker.terminate().catch(() => {});
+        reject(new InitializationError('Analysis database', message?.error || 'worker did not start'));
+      }
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(new InitializationError('Analysis database', err.message, { cause: err }));
+    };
+    const cleanup = () => {
+      worker.off('message', onReady);
+      worker.off('error', onError);
+    };
+    worker.once('message', onReady);
+    worker.once('error', onError);
+  });
+}
+
+// Worker side: own the PGLite instance and answer queries one at a time
+if (!isMainThread && workerData?.role === WORKER_ROLE) {
+  const { PGlite } = require('@electric-sql/pglite');
+  PGlite.create().then((db) => {
+    let queue = Promise.resolve();
+    parentPort.on('message', ({ id, sql, params, options }) => {
+      const { readOnly, ...queryOptions } = options || {};
+      queue = queue
+        .then(() => (readOnly ? readOnlyQuery(db, sql, params, queryOptions) : db.query(sql, params, queryOptions)))
+        .then(result => parentPort.postMessage({ id, result: { rows: result.rows, fields: result.fields, affectedRows: result.affectedRows } }))
+        .catch(error => parentPort.postMessage({ id, error: error.message }));
+    });
+    parentPort.postMessage({ ready: true });
+  }, error => parentPort.postMessage({ ready: false, error: error.message }));
+}
+
+module.exports = {
+  openAnalysisDatabase,
+  readOnlyQuery,
+  AnalysisDatabase
+};
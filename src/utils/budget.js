@@ -0,0 +1,243 @@
+/**
+ * Research Budgets
+ *
+ * Tracks spend for a single research run against a USD and/or token limit and
+ * answers the questions conductResearch asks between stages: may I plan again,
+ * should the ensemble shrink, may another sub-query start, can synthesis keep
+ * streaming. Usage is priced with modelCatalog (catalog pricing, then the
+ * configured fallback). Per-client monthly limits are layered on top by
+ * clamping the job budget to what the client has left this month, less what
+ * the client's running jobs have reserved.
+ *
+ * @module budget
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const config = require('../../config');
+const modelCatalog = require('./modelCatalog');
+const logger = require('./logger').child('Budget');
+
+// Allowance held by running jobs, per client. Spend only reaches client_usage
+// when a job ends, so without this concurrent jobs would each be handed the
+// client's whole remainder.
+const reservations = new Map();
+
+class ResearchBudget {
+  /**
+   * @param {Object} limits
+   * @param {number|null} [limits.maxUsd] - Hard USD ceiling
+   * @param {number|null} [limits.maxTokens] - Hard total-token ceiling
+   * @param {Object} [meta]
+   * @param {string} [meta.requestId]
+   * @param {string|null} [meta.clientId]
+   */
+  constructor({ maxUsd = null, maxTokens = null } = {}, { requestId = 'unknown-req', clientId = null } = {}) {
+    this.maxUsd = Number.isFinite(Number(maxUsd)) && maxUsd !== null ? Number(maxUsd) : null;
+    this.maxTokens = Number.isFinite(Number(maxTokens)) && maxTokens !== null ? Number(maxTokens) : null;
+    this.requestId = requestId;
+    this.clientId = clientId;
+    this.spentUsd = 0;
+    this.spentTokens = 0;
+    this.actions = [];
+    this.reservation = null;
+  }
+
+  /** Whether any limit is set */
+  get enabled() {
+    return this.maxUsd !== null || this.maxTokens !== null;
+  }
+
+  /**
+   * Record a completed call
+   * @param {string} model - Model that served the call
+   * @param {Object} usage - OpenAI-style usage
+   * @returns {number} USD charged for this call
+   */
+  record(model, usage) {
+    if (!usage) return 0;
+    const usd = modelCatalog.estimateCostUsd(model, usage);
+    const tokens = Number(usage.total_tokens || (Number(usage.prompt_tokens || 0) + Number(usage.completion_tokens || 0)));
+    this.spentUsd += usd;
+    this.spentTokens += tokens;
+    return usd;
+  }
+
+  /** Highest fraction used across the configured limits (0 when unlimited) */
+  usedFraction() {
+    const fractions = [];
+    if (this.maxUsd !== null) fractions.push(this.maxUsd > 0 ? this.spentUsd / this.maxUsd : 1);
+    if (this.maxTokens !== null) fractions.push(this.maxTokens > 0 ? this.spentTokens / this.maxTokens : 1);
+    return fractions.length ? Math.max(...fractions) : 0;
+  }
+
+  isExhausted() {
+    return this.enabled && this.usedFraction() >= 1;
+  }
+
+  /** Ensemble should shrink to a single low-cost model */
+  shouldDegrade() {
+    return this.enabled && this.usedFraction() >= config.budgets.degradeAt;
+  }
+
+  /** Refinement iterations should be skipped */
+  shouldSkipRefinement() {
+    return this.enabled && this.usedFraction() >= config.budgets.skipRefinementAt;
+  }
+
+  /** A new planning or research call may start without eating the synthesis reserve */
+  canStartResearchCall() {
+    return !this.enabled || this.usedFraction() < 1 - config.budgets.synthesisReserve;
+  }
+
+  /**
+   * Would `completionTokens` more from `model` (on top of `promptTokens` of
+   * input) cross a limit? Used before and during synthesis.
+   */
+  wouldExceed(model, completionTokens, promptTokens = 0) {
+    if (!this.enabled) return false;
+    const usd = modelCatalog.estimateCostUsd(model, { prompt_tokens: promptTokens, completion_tokens: completionTokens });
+    if (this.maxUsd !== null && this.spentUsd + usd > this.maxUsd) return true;
+    if (this.maxTokens !== null && this.spentTokens + promptTokens + completionTokens > this.maxTokens) return true;
+    return false;
+  }
+
+  /**
+   * Note a degradation step taken because of this budget
+   * @param {string} action - e.g. 'ensemble_reduced', 'refinement_skipped'
+   * @param {Object} [details]
+   */
+  note(action, details = {}) {
+    this.actions.push({ action, usedFraction: Number(this.usedFraction().toFixed(4)), ...details });
+    logger.info('Budget action', { requestId: this.requestId, action, spentUsd: this.spentUsd, spentTokens: this.spentTokens, ...details });
+  }
+
+  /**
+   * Release what this run reserved from its client's monthly allowance. Call
+   * once the run's spend has been charged; safe to call more than once.
+   */
+  settle() {
+    if (!this.reservation) return;
+    const held = reservations.get(this.clientId);
+    if (held) {
+      held.usd -= this.reservation.usd;
+      held.tokens -= this.reservation.tokens;
+      if (--held.jobs <= 0) reservations.delete(this.clientId);
+    }
+    this.reservation = null;
+  }
+
+  snapshot() {
+    return {
+      maxUsd: this.maxUsd,
+      maxTokens: this.maxTokens,
+      spentUsd: Number(this.spentUsd.toFixed(6)),
+      spentTokens: this.spentTokens,
+      usedFraction: Number(this.usedFraction().toFixed(4)),
+      exhausted: this.isExhausted(),
+      actions: this.actions,
+      clientId: this.clientId
+    };
+  }
+}
+
+/**
+ * Resolve the monthly limits that apply to a client
+ * @param {string|null} clientId
+ * @returns {{usd: number|null, tokens: number|null}}
+ */
+function getClientLimits(clientId) {
+  const override = clientId ? config.budgets.clientLimits?.[clientId] : null;
+  return {
+    usd: override?.usd ?? config.budgets.monthlyUsdPerClient ?? null,
+    tokens: override?.tokens ?? config.budgets.monthlyTokensPerClient ?? null
+  };
+}
+
+/**
+ * Remaining monthly allowance for a client, or null when the client is unlimited
+ * @param {Object} dbClient
+ * @param {string|null} clientId
+ * @returns {Promise<{usd: number|null, tokens: number|null, period: string}|null>}
+ */
+async function getClientRemaining(dbClient, clientId) {
+  if (!clientId) return null;
+  const limits = getClientLimits(clientId);
+  if (limits.usd === null && limits.tokens === null) return null;
+  const usage = await dbClient.getClientUsage(clientId);
+  return {
+    period: usage.period,
+    usd: limits.usd !== null ? Math.max(0, limits.usd - usage.usd) : null,
+    tokens: limits.tokens !== null ? Math.max(0, limits.tokens - usage.tokens) : null
+  };
+}
+
+/**
+ * Throw if a client has nothing left this month
+ * @throws {BudgetExceededError}
+ */
+async function assertClientHasBudget(dbClient, clientId) {
+  const remaining = await getClientRemaining(dbClient, clientId);
+  if (remaining && (remaining.usd === 0 || remaining.tokens === 0)) {
+    const { BudgetExceededError } = require('./errors');
+    throw new BudgetExceededError('client', `monthly budget for ${clientId} is exhausted for ${remaining.period}`, {
+      context: { clientId, period: remaining.period }
+    });
+  }
+  return remaining;
+}
+
+/**
+ * Build the budget for one research run: the job's own `budget` param clamped
+ * to the client's remaining monthly allowance, less what running jobs hold.
+ * The resulting limits are reserved until `budget.settle()`.
+ * @param {Object} dbClient
+ * @param {Object|null} jobBudget - { maxUsd, maxTokens } from tool params
+ * @param {Object} meta - { requestId, clientId }
+ * @returns {Promise<ResearchBudget>}
+ * @throws {BudgetExceededError} When the client's monthly budget is already spent or reserved
+ */
+async function createResearchBudget(dbClient, jobBudget, { requestId, clientId = null } = {}) {
+  const remaining = await assertClientHasBudget(dbClient, clientId);
+  const held = remaining ? reservations.get(clientId) : null;
+  const available = remaining && {
+    usd: remaining.usd !== null ? Math.max(0, remaining.usd - (held?.usd || 0)) : null,
+    tokens: remaining.tokens !== null ? Math.max(0, remaining.tokens - (held?.tokens || 0)) : null
+  };
+  if (available && (available.usd === 0 || available.tokens === 0)) {
+    const { BudgetExceededError } = require('./errors');
+    throw new BudgetExceededError('client', `monthly budget for ${clientId} is reserved by running research for ${remaining.period}`, {
+      context: { clientId, period: remaining.period, runningJobs: held.jobs }
+    });
+  }
+  const pick = (a, b) => (a === null || a === undefined ? (b ?? null) : (b === null || b === undefined ? a : Math.min(a, b)));
+  const budget = new ResearchBudget({
+    maxUsd: pick(jobBudget?.maxUsd ?? null, available?.usd),
+    maxTokens: pick(jobBudget?.maxTokens ?? null, available?.tokens)
+  }, { requestId, clientId });
+  if (available) {
+    budget.reservation = {
+      usd: available.usd !== null ? budget.maxUsd : 0,
+      tokens: available.tokens !== null ? budget.maxTokens : 0
+    };
+    const entry = held || { usd: 0, tokens: 0, jobs: 0 };
+    entry.usd += budget.reservation.usd;
+    entry.tokens += budget.reservation.tokens;
+    entry.jobs += 1;
+    reservations.set(clientId, entry);
+  }
+  if (budget.enabled) {
+    // Warm the catalog so pricing lookups are not all fallbacks
+    try { await modelCatalog.getCatalog(); } catch (_) {}
+  }
+  return budget;
+}
+
+module.exports = {
+  ResearchBudget,
+  getClientLimits,
+  getClientRemaining,
+  assertClientHasBudget,
+  createResearchBudget
+};
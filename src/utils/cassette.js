@@ -0,0 +1,192 @@
+/**
+ * Cassettes: record/replay for model and web calls
+ *
+ * In `record` mode every wrapped call is executed live and its result is
+ * written to `<dir>/<kind>-<hash>.json`. In `replay` mode the same request hash
+ * is served from disk with no network access, so `conductResearch` can be
+ * regression-tested end to end. The hash covers the full request (model,
+ * messages, options / query, url) with object keys sorted, so it is stable
+ * across runs and parallel scheduling order.
+ *
+ * Wrapped call sites:
+ * - openRouterClient.chatCompletion / streamChatCompletion (all providers)
+ * - RobustWebScraper.searchWeb / fetchUrl
+ *
+ * @module cassette
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('./logger').child('Cassette');
+
+/**
+ * JSON.stringify with sorted object keys for stable hashing
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
+
+/**
+ * Hash a request into a cassette key
+ * @param {string} kind - Call kind (chat, stream, searchWeb, fetchUrl)
+ * @param {Object} request - Request payload
+ * @returns {string} 24-char hex key
+ */
+function requestKey(kind, request) {
+  return crypto.createHash('sha256').update(`${kind}|${stableStringify(request)}`).digest('hex').slice(0, 24);
+}
+
+function getMode() {
+  const mode = config.cassette?.mode || 'off';
+  return ['record', 'replay'].includes(mode) ? mode : 'off';
+}
+
+function cassettePath(kind, key) {
+  return path.resolve(config.cassette.dir, `${kind}-${key}.json`);
+}
+
+async function load(kind, key) {
+  try {
+    return JSON.parse(await fs.promises.readFile(cassettePath(kind, key), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function save(kind, key, request, entry) {
+  const file = cassettePath(kind, key);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, JSON.stringify({
+    kind,
+    key,
+    recordedAt: new Date().toISOString(),
+    request,
+    ...entry
+  }, null, 2), 'utf8');
+  logger.debug('Recorded cassette', { kind, key });
+}
+
+function missing(kind, key) {
+  const { NotFoundError } = require('./errors');
+  return new NotFoundError('Cassette', `${kind}-${key}`, {
+    context: { dir: config.cassette.dir, hint: 'Re-record with CASSETTE_MODE=record' }
+  });
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    name: error.name,
+    code: error.code,
+    statusCode: error.response?.status || error.statusCode
+  };
+}
+
+function restoreError(stored) {
+  const error = new Error(stored.message);
+  if (stored.name) error.name = stored.name;
+  if (stored.code) error.code = stored.code;
+  if (stored.statusCode) error.statusCode = stored.statusCode;
+  return error;
+}
+
+/**
+ * Wrap a promise-returning call with record/replay.
+ * Errors thrown by the live call are recorded and re-thrown on replay so
+ * fallback paths (e.g. planning model lineup) replay identically.
+ * @param {string} kind - Call kind
+ * @param {Object} request - Request payload used for the key
+ * @param {Function} liveFn - Performs the real call
+ * @returns {Promise<*>} Live or replayed response
+ */
+async function wrapCall(kind, request, liveFn) {
+  const mode = getMode();
+  if (mode === 'off') return liveFn();
+
+  const key = requestKey(kind, request);
+
+  if (mode === 'replay') {
+    const entry = await load(kind, key);
+    if (entry) {
+      if (entry.error) throw restoreError(entry.error);
+      return entry.response;
+    }
+    if (!config.cassette.allowMissing) throw missing(kind, key);
+    logger.warn('Cassette miss, calling live', { kind, key });
+    return liveFn();
+  }
+
+  try {
+    const response = await liveFn();
+    await save(kind, key, request, { response });
+    return response;
+  } catch (error) {
+    await save(kind, key, request, { error: serializeError(error) });
+    throw error;
+  }
+}
+
+/**
+ * Wrap an async-generator call with record/replay. Chunks are recorded in
+ * order and replayed verbatim.
+ * @param {string} kind - Call kind
+ * @param {Object} request - Request payload used for the key
+ * @param {Function} liveGenFn - Returns the real async iterator
+ */
+async function* wrapStream(kind, request, liveGenFn) {
+  const mode = getMode();
+  if (mode === 'off') {
+    yield* liveGenFn();
+    return;
+  }
+
+  const key = requestKey(kind, request);
+
+  if (mode === 'replay') {
+    const entry = await load(kind, key);
+    if (entry) {
+      for (const chunk of entry.chunks || []) yield chunk;
+      if (entry.error) throw restoreError(entry.error);
+      return;
+    }
+    if (!config.cassette.allowMissing) throw missing(kind, key);
+    logger.warn('Cassette miss, streaming live', { kind, key });
+    yield* liveGenFn();
+    return;
+  }
+
+  // Save in finally so consumers that stop early still leave a cassette
+  const chunks = [];
+  let failure = null;
+  try {
+    for await (const chunk of liveGenFn()) {
+      chunks.push(chunk);
+      yield chunk;
+    }
+  } catch (error) {
+    failure = serializeError(error);
+    throw error;
+  } finally {
+    await save(kind, key, request, failure ? { chunks, error: failure } : { chunks });
+  }
+}
+
+module.exports = {
+  getMode,
+  requestKey,
+  stableStringify,
+  wrapCall,
+  wrapStream
+};
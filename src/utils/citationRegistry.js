@@ -0,0 +1,377 @@
+/**
+ * Citation Registry
+ *
+ * Structured sources for research reports. Before synthesis, every URL the
+ * research agents used (web grounding results and URLs cited in their
+ * answers) is collected into a numbered registry. Each entry records who
+ * produced it. Synthesis is asked to cite registry entries as `[n]`. The
+ * finished report is then normalized: remaining inline URL citations become
+ * `[n]` markers (new URLs are appended to the registry), and the Sources
+ * section is regenerated from the registry. The registry is stored with the
+ * report, so sources can be returned as data and exported as BibTeX or
+ * CSL-JSON.
+ *
+ * Research grounded in the local index cites passages as `doc:<id>#<chunk>`
+ * (index document id and passage number). These references are registered
+ * like URLs with origin 'local' and are never fetched.
+ *
+ * Source shape:
+ *   { id, url, title, retrievedAt, publishedAt?, origin: 'web_search'|'local'|'agent'|'synthesis'|'text',
+ *     producedBy: [{ subQueryId, subQuery, model }], status, cited,
+ *     claims?: { supported, unsupported, contradicted },
+ *     domain?, reliability?, policy? }
+ *
+ * @module citationRegistry
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const citationValidator = require('./citationValidator');
+const sourcePolicy = require('./sourcePolicy');
+
+const MAX_SOURCES = 100;
+const SOURCES_HEADING_RE = /^#{1,3}\s+\**(?:sources|references|bibliography|citations|works cited)\**:?\s*$/i;
+const DOC_REF_RE = /^doc:(\d+)#(\d+)$/;
+const URL_RE = /https?:\/\/[^\s)\]>"'<]+|\bdoc:\d+#\d+/g;
+// [Source: Title — https://...] / [Source: https://...] / [Source: Title — doc:12#3]
+const SOURCE_TAG_RE = /\[Sources?:\s*([^\]]*?)\s*(?:[—–-]\s*)?(https?:\/\/[^\]\s]+|doc:\d+#\d+)\s*\]/gi;
+const MD_LINK_RE = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+const MARKER_RE = /\[(\d{1,3}(?:\s*[,;]\s*\d{1,3})*)\]/g;
+
+/**
+ * Normalize a URL for de-duplication (case of host, fragments, tracking params, trailing slash)
+ * Local passage references (doc:<id>#<chunk>) are kept as they are.
+ * @param {string} url
+ * @returns {string|null} Null when the URL does not parse
+ */
+function normalizeUrl(url) {
+  const doc = DOC_REF_RE.exec(String(url).replace(/[.,;:]+$/, ''));
+  if (doc) return `doc:${Number(doc[1])}#${Number(doc[2])}`;
+  try {
+    const u = new URL(String(url).replace(/[.,;:]+$/, ''));
+    if (!/^https?:$/.test(u.protocol)) return null;
+    u.hash = '';
+    for (const key of [...u.searchParams.keys()]) {
+      if (/^utm_|^(?:ref|fbclid|gclid)$/i.test(key)) u.searchParams.delete(key);
+    }
+    return u.toString().replace(/\/$/, '');
+  } catch (_) {
+    return null;
+  }
+}
+
+function cleanTitle(title, url) {
+  const t = String(title || '').replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim();
+  return t && normalizeUrl(t) !== url ? t : null;
+}
+
+class Registry {
+  constructor(sources = []) {
+    this.sources = sources.map(s => ({ ...s, producedBy: [...(s.producedBy || [])] }));
+    this.byUrl = new Map(this.sources.filter(s => s.url).map(s => [s.url, s]));
+  }
+
+  get nextId() {
+    return this.sources.reduce((m, s) => Math.max(m, s.id), 0) + 1;
+  }
+
+  /** Add a source (or merge into an existing one); returns the entry, or null when full/invalid */
+  add(url, { title = null, origin = 'agent', retrievedAt = null, publishedAt = null, producer = null } = {}) {
+    const norm = normalizeUrl(url);
+    if (!norm) return null;
+    let entry = this.byUrl.get(norm);
+    const isNew = !entry;
+    if (isNew) {
+      if (this.sources.length >= MAX_SOURCES && origin !== 'synthesis') return null;
+      entry = { id: this.nextId, url: norm, title: null, retrievedAt, origin, producedBy: [], status: 'unchecked', cited: false };
+      this.sources.push(entry);
+      this.byUrl.set(norm, entry);
+    }
+    if (!entry.title) entry.title = cleanTitle(title, norm);
+    if (!entry.retrievedAt && retrievedAt) entry.retrievedAt = retrievedAt;
+    if (!entry.publishedAt && publishedAt) entry.publishedAt = publishedAt;
+    // Citing a known source in synthesis does not make the synthesis model its producer
+    if (producer && (isNew || origin !== 'synthesis') && !entry.producedBy.some(p => p.subQueryId === producer.subQueryId && p.model === producer.model)) {
+      entry.producedBy.push(producer);
+    }
+    return entry;
+  }
+
+  get(id) {
+    return this.sources.find(s => s.id === id) || null;
+  }
+}
+
+/**
+ * Parse a local passage reference
+ * @param {string} ref - e.g. `doc:12#3`
+ * @returns {{docId: number, chunk: number}|null}
+ */
+function parseDocRef(ref) {
+  const m = DOC_REF_RE.exec(String(ref || '').replace(/[.,;:]+$/, ''));
+  return m ? { docId: Number(m[1]), chunk: Number(m[2]) } : null;
+}
+
+/**
+ * Build the source registry from research agent results
+ * @param {Array<Object>} researchResults - Results from researchAgent.conductParallelResearch
+ * @param {Array<{id: number, query: string}>} [agentQueries]
+ * @param {Object} [policy] - Resolved source policy; sources it rules out are left out of the registry
+ * @returns {Array<Object>} Sources numbered from 1
+ */
+function collectSources(researchResults, agentQueries = [], policy = null) {
+  const queries = new Map(agentQueries.map(q => [String(q.id), q.query]));
+  const registry = new Registry();
+  const permitted = (item) => !policy || sourcePolicy.evaluate(item, policy).allowed;
+  for (const r of researchResults || []) {
+    if (r.error) continue;
+    const producer = { subQueryId: r.agentId ?? null, subQuery: r.query || queries.get(String(r.agentId)) || null, model: r.model || null };
+    const retrievedAt = r.retrievedAt || null;
+    for (const s of r.sources || []) {
+      // Local passages are not web sources, so the domain policy does not apply to them
+      const local = s.origin === 'local';
+      if (!local && !permitted(s)) continue;
+      registry.add(s.url, { title: s.title, origin: local ? 'local' : 'web_search', retrievedAt: s.retrievedAt || retrievedAt, publishedAt: s.publishedAt || null, producer });
+    }
+    for (const c of citationValidator.extractCitations(r.result || '')) {
+      if (!permitted(c.url)) continue;
+      registry.add(c.url, { title: c.title, origin: 'agent', retrievedAt, producer });
+    }
+  }
+  return registry.sources;
+}
+
+/**
+ * Format the registry for the synthesis prompt
+ * @param {Array<Object>} sources
+ * @returns {string}
+ */
+function formatForPrompt(sources) {
+  return sources.map(s => `[${s.id}] ${s.title || s.url} — ${s.url}`).join('\n');
+}
+
+function isSourcesHeading(line) {
+  return SOURCES_HEADING_RE.test(line.trim());
+}
+
+// Apply fn to the prose parts of markdown, leaving fenced and inline code untouched
+function mapProse(markdown, fn) {
+  let inFence = false;
+  return markdown.split('\n').map(line => {
+    if (/^\s*```/.test(line)) { inFence = !inFence; return line; }
+    if (inFence) return line;
+    return line.split(/(`[^`]*`)/).map((part, i) => (i % 2 ? part : fn(part))).join('');
+  }).join('\n');
+}
+
+/**
+ * Normalize a synthesized report against the registry
+ * Inline URL citations become [n] markers, the model's own Sources section is
+ * replaced by one generated from the registry, and cited entries are flagged.
+ * Safe to run more than once on the same text.
+ * @param {string} content - Report markdown
+ * @param {Array<Object>} sources - Registry from collectSources (not modified)
+ * @param {Object} [options]
+ * @param {string} [options.model] - Synthesis model, recorded on sources first seen in the report
+ * @param {boolean} [options.includeSources=true] - Append the generated Sources section
+ * @returns {{content: string, sources: Array<Object>}}
+ */
+function linkReport(content, sources = [], { model = null, includeSources = true } = {}) {
+  const registry = new Registry(sources.map(s => ({ ...s, cited: false })));
+  const producer = model ? { subQueryId: null, subQuery: null, model } : null;
+  const cite = (url, title) => {
+    const entry = registry.add(url, { title, origin: 'synthesis', producer });
+    return entry ? `[${entry.id}]` : null;
+  };
+
+  // Split off the model's own Sources section(s); their URLs still count
+  const body = [];
+  let inSources = false;
+  let inFence = false;
+  for (const line of String(content || '').split('\n')) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    if (!inFence && /^#{1,6}\s/.test(line)) inSources = isSourcesHeading(line);
+    if (!inSources) { body.push(line); continue; }
+    const link = line.match(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/);
+    const url = link ? link[2] : (line.match(URL_RE) || [])[0];
+    if (!url) continue;
+    const title = link ? link[1] : line.replace(URL_RE, '').replace(/^\s*(?:[-*+]|\d+[.)])?\s*(?:\[\d+\])?\s*/, '').replace(/[\s—–:,(-]+$/, '');
+    registry.add(url, { title, origin: 'synthesis', producer });
+  }
+  while (body.length && /^\s*(?:-{3,}|\*{3,})?\s*$/.test(body[body.length - 1])) body.pop();
+
+  // Rewrite inline citations
+  let text = mapProse(body.join('\n'), prose => prose
+    .replace(SOURCE_TAG_RE, (m, title, url) => cite(url, title) || m)
+    .replace(MD_LINK_RE, (m, label, url) => {
+      const marker = cite(url, label);
+      return marker ? `${label} ${marker}` : m;
+    })
+    .replace(URL_RE, (m) => {
+      const url = m.replace(/[.,;:]+$/, '');
+      const marker = cite(url);
+      return marker ? `${marker}${m.slice(url.length)}` : m;
+    }));
+
+  // Renumber by first citation so readers see [1], [2], [3]...; uncited entries go last
+  const order = [];
+  mapProse(text, prose => {
+    for (const m of prose.matchAll(MARKER_RE)) {
+      for (const n of m[1].split(/[,;]/)) {
+        const entry = registry.get(parseInt(n, 10));
+        if (entry && !entry.cited) { entry.cited = true; order.push(entry); }
+      }
+    }
+    return prose;
+  });
+  const renumber = new Map();
+  [...order, ...registry.sources.filter(e => !e.cited)].forEach((e, i) => renumber.set(e.id, i + 1));
+  text = mapProse(text, prose => prose.replace(MARKER_RE, (m, list) => {
+    const nums = list.split(/[,;]/).map(n => parseInt(n, 10));
+    if (!nums.every(n => renumber.has(n))) return m;
+    return `[${nums.map(n => renumber.get(n)).join(', ')}]`;
+  }));
+  for (const e of registry.sources) e.id = renumber.get(e.id);
+  registry.sources.sort((a, b) => a.id - b.id);
+
+  const cited = registry.sources.filter(s => s.cited);
+  if (includeSources && cited.length) {
+    text += `\n\n## Sources\n${cited.map(s => `- [${s.id}] ${s.title || s.url} — ${s.url}`).join('\n')}\n`;
+  }
+  return { content: text, sources: registry.sources };
+}
+
+/**
+ * Record URL validation outcomes on the sources
+ * @param {Array<Object>} sources
+ * @param {Array<{url: string, valid: boolean, status: *}>} results - citationValidator results
+ * @returns {Array<Object>} The same array, updated
+ */
+function applyValidation(sources, results) {
+  const byUrl = new Map();
+  for (const r of results || []) {
+    const norm = normalizeUrl(r.url);
+    if (norm) byUrl.set(norm, r);
+  }
+  for (const s of sources || []) {
+    const r = byUrl.get(s.url);
+    if (!r) continue;
+    if (r.status === 'trusted' || r.status === 'skipped') s.status = r.status;
+    else if (r.valid) s.status = 'valid';
+    else s.status = r.status === 404 ? 'dead' : 'unverified';
+    s.validation = { status: r.status, reason: r.reason || null };
+  }
+  return sources;
+}
+
+/**
+ * Count claim verification verdicts per source (claimVerificationAgent results)
+ * @param {Array<Object>} sources
+ * @param {Object} verification - Result of claimVerificationAgent.verifyClaims
+ * @returns {Array<Object>} The same array, updated
+ */
+function applyClaimVerification(sources, verification) {
+  const byUrl = new Map((sources || []).map(s => [s.url, s]));
+  for (const claim of verification?.claims || []) {
+    for (const check of claim.checks) {
+      const s = byUrl.get(normalizeUrl(check.url));
+      if (!s || !check.verdict) continue;
+      s.claims = s.claims || { supported: 0, unsupported: 0, contradicted: 0 };
+      s.claims[check.verdict]++;
+    }
+  }
+  return sources;
+}
+
+/**
+ * Sources for a report: the stored registry, or one derived from its text for older reports
+ * @param {Object} report - Row from dbClient.getReportById
+ * @returns {{sources: Array<Object>, derived: boolean}}
+ */
+function sourcesForReport(report) {
+  if (Array.isArray(report.sources) && report.sources.length) return { sources: report.sources, derived: false };
+  const registry = new Registry();
+  for (const c of citationValidator.extractCitations(report.final_report || '')) {
+    const entry = registry.add(c.url, { title: c.title, origin: 'text' });
+    if (entry) entry.cited = true;
+  }
+  return { sources: registry.sources, derived: true };
+}
+
+function dateParts(iso) {
+  const d = iso ? new Date(iso) : null;
+  return d && !isNaN(d.getTime()) ? [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()] : null;
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch (_) { return null; }
+}
+
+function bibEscape(text) {
+  return String(text).replace(/\\/g, '\\textbackslash{}').replace(/([{}&%$#_^~])/g, '\\$1');
+}
+
+/**
+ * Export sources as BibTeX @misc entries
+ * @param {Array<Object>} sources
+ * @param {Object} [options]
+ * @param {string|number} [options.reportId]
+ * @param {string} [options.createdAt] - Fallback access date
+ * @returns {string}
+ */
+function toBibTeX(sources, { reportId = null, createdAt = null } = {}) {
+  const prefix = reportId != null ? `report${reportId}` : 'source';
+  return sources.map(s => {
+    const fields = [
+      ['title', `{${bibEscape(s.title || s.url)}}`],
+      ['howpublished', `\\url{${s.url}}`],
+      ['url', `{${s.url}}`]
+    ];
+    const accessed = dateParts(s.retrievedAt || createdAt);
+    if (accessed) fields.push(['urldate', `{${accessed.map(n => String(n).padStart(2, '0')).join('-')}}`]);
+    const host = hostOf(s.url);
+    if (host) fields.push(['organization', `{${bibEscape(host)}}`]);
+    fields.push(['note', `{Cited as [${s.id}]${reportId != null ? ` in research report ${reportId}` : ''}${s.status && s.status !== 'unchecked' ? `; link ${s.status}` : ''}}`]);
+    return `@misc{${prefix}_${s.id},\n${fields.map(([k, v]) => `  ${k} = ${v}`).join(',\n')}\n}`;
+  }).join('\n\n') + (sources.length ? '\n' : '');
+}
+
+/**
+ * Export sources as CSL-JSON items
+ * @param {Array<Object>} sources
+ * @param {Object} [options]
+ * @param {string|number} [options.reportId]
+ * @param {string} [options.createdAt] - Fallback access date
+ * @returns {Array<Object>}
+ */
+function toCslJson(sources, { reportId = null, createdAt = null } = {}) {
+  return sources.map(s => {
+    const item = {
+      id: reportId != null ? `report${reportId}_${s.id}` : `source_${s.id}`,
+      type: parseDocRef(s.url) ? 'document' : 'webpage',
+      title: s.title || s.url,
+      URL: s.url,
+      'citation-label': String(s.id)
+    };
+    const host = hostOf(s.url);
+    if (host) item['container-title'] = host;
+    const accessed = dateParts(s.retrievedAt || createdAt);
+    if (accessed) item.accessed = { 'date-parts': [accessed] };
+    return item;
+  });
+}
+
+module.exports = {
+  MAX_SOURCES,
+  normalizeUrl,
+  parseDocRef,
+  collectSources,
+  formatForPrompt,
+  linkReport,
+  applyValidation,
+  applyClaimVerification,
+  sourcesForReport,
+  toBibTeX,
+  toCslJson
+};
@@ -11,6 +11,7 @@
 'use strict';
 
 const logger = require('./logger').child('CitationValidator');
+const sourcePolicy = require('./sourcePolicy');
 
 // Regex patterns for citation extraction
 const CITATION_PATTERNS = [
@@ -22,27 +23,7 @@ const CITATION_PATTERNS = [
   /(https?:\/\/[^\s\]\)\"<>]+)/gi
 ];
 
-// Domains that are known-good and don't need validation
-const TRUSTED_DOMAINS = [
-  'github.com',
-  'npmjs.com',
-  'docs.python.org',
-  'developer.mozilla.org',
-  'pglite.dev',
-  'spec.modelcontextprotocol.io',
-  'openrouter.ai',
-  'anthropic.com',
-  'openai.com'
-];
-
-// Domains that are known to block HEAD requests
-const SKIP_VALIDATION_DOMAINS = [
-  'linkedin.com',
-  'twitter.com',
-  'x.com',
-  'facebook.com',
-  'instagram.com'
-];
+// Trusted and skip-validation domains come from the source policy (config.sourcePolicy)
 
 /**
  * Extract all citations from text
@@ -100,12 +81,7 @@ function extractCitations(text) {
  * @returns {boolean} True if the domain is trusted
  */
 function isTrustedDomain(url) {
-  try {
-    const hostname = new URL(url).hostname.toLowerCase();
-    return TRUSTED_DOMAINS.some(d => hostname.includes(d));
-  } catch {
-    return false;
-  }
+  return sourcePolicy.isTrusted(url);
 }
 
 /**
@@ -114,12 +90,7 @@ function isTrustedDomain(url) {
  * @returns {boolean} True if validation should be skipped
  */
 function shouldSkipValidation(url) {
-  try {
-    const hostname = new URL(url).hostname.toLowerCase();
-    return SKIP_VALIDATION_DOMAINS.some(d => hostname.includes(d));
-  } catch {
-    return false;
-  }
+  return sourcePolicy.skipsValidation(url);
 }
 
 /**
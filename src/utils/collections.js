@@ -0,0 +1,101 @@
+/**
+ * Collections
+ *
+ * Named namespaces (per project, per client) for reports, indexed documents,
+ * knowledge-graph nodes and sessions. Every lookup that feeds research context
+ * (similar past reports, the semantic cache, hybrid search, the knowledge graph,
+ * history listings) stays inside one collection.
+ *
+ * A request names its collection with the `collection` parameter and otherwise
+ * uses config.collections.default. A caller bound to a collection, through an
+ * API key in config.collections.apiKeys or a client id in
+ * config.collections.bindings, always works in that collection; naming another
+ * one is an error.
+ *
+ * @module collections
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../../config');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,63}$/;
+
+/**
+ * Validate and normalize a collection name (trimmed, lower case)
+ * @param {string} name
+ * @returns {string}
+ * @throws {Error} When the name is not 1-64 of a-z, 0-9, '_', '.', '-' starting with a letter or digit
+ */
+function normalizeCollection(name) {
+  const value = String(name == null ? '' : name).trim().toLowerCase();
+  if (!NAME_PATTERN.test(value)) {
+    throw new Error(`Invalid collection name '${name}' (use 1-64 letters, digits, '_', '.' or '-')`);
+  }
+  return value;
+}
+
+/** The server default collection */
+function defaultCollection() {
+  return normalizeCollection(config.collections?.default || 'default');
+}
+
+/**
+ * Client id the HTTP transport gives a bearer API key
+ * @param {string} apiKey
+ * @returns {string} key:<first 12 hex digits of its SHA-256>
+ */
+function apiKeyClientId(apiKey) {
+  return `key:${crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Collection an API key from config.collections.apiKeys is bound to
+ * @param {string} apiKey
+ * @returns {string|null} null when the key is not a collection key
+ */
+function collectionForApiKey(apiKey) {
+  const keys = config.collections?.apiKeys || {};
+  if (!apiKey || !Object.prototype.hasOwnProperty.call(keys, apiKey)) return null;
+  return normalizeCollection(keys[apiKey]);
+}
+
+/**
+ * Collection the authenticated caller is bound to, if any
+ * @param {Object} [authInfo] - { clientId, collection } from the transport
+ * @returns {string|null}
+ */
+function boundCollection(authInfo) {
+  if (!authInfo) return null;
+  if (authInfo.collection) return normalizeCollection(authInfo.collection);
+  const bindings = config.collections?.bindings || {};
+  const clientId = authInfo.clientId;
+  return clientId && Object.prototype.hasOwnProperty.call(bindings, clientId) ? normalizeCollection(bindings[clientId]) : null;
+}
+
+/**
+ * Collection a request works in
+ * @param {string} [requested] - The request's `collection` parameter
+ * @param {Object} [authInfo] - Authenticated caller (mcpExchange.authInfo)
+ * @returns {string}
+ * @throws {Error} When a bound caller names a different collection, or the name is invalid
+ */
+function resolveCollection(requested, authInfo = null) {
+  const bound = boundCollection(authInfo);
+  const named = requested != null && requested !== '' ? normalizeCollection(requested) : null;
+  if (bound && named && named !== bound) {
+    throw new Error(`This credential is bound to collection '${bound}' and cannot use '${named}'`);
+  }
+  return bound || named || defaultCollection();
+}
+
+module.exports = {
+  normalizeCollection,
+  defaultCollection,
+  apiKeyClientId,
+  collectionForApiKey,
+  boundCollection,
+  resolveCollection
+};
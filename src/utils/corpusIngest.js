@@ -0,0 +1,332 @@
+/**
+ * Corpus Ingestion
+ *
+ * Indexes local documents for research that never touches the web. A path
+ * (directory, single file, or .zip/.tar/.tgz archive) is walked, each
+ * supported file is extracted with its structure (documentExtractor), split
+ * into heading-aware chunks, and every chunk is stored as an index document
+ * with metadata:
+ *   { path, relativePath, archive?, format, title, headings, pageStart,
+ *     pageEnd, chunk, chunks, sha256, ingestedAt, tags? }
+ *
+ * Chunk source ids are `file:<absolute path>#<n>` (archive members use
+ * `file:<archive>!/<member>#<n>`). Re-ingesting skips files whose content
+ * hash is unchanged and replaces the chunks of files that changed.
+ *
+ * Only paths under `config.indexer.pathRoots` can be read.
+ *
+ * @module corpusIngest
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('./logger').child('CorpusIngest');
+const { detectFormat, extractDocument } = require('./documentExtractor');
+const { readZip } = require('./zipReader');
+
+const ARCHIVE_RE = /\.(zip|tar|tgz|tar\.gz)$/i;
+const SKIP_DIRS = new Set(['node_modules', '__pycache__']);
+const MAX_REPORTED = 20;
+
+/**
+ * Check that a path lies under one of the configured roots
+ * @param {string} target
+ * @param {Array<string>} [roots]
+ * @returns {string} Real absolute path
+ * @throws {Error} When the path is missing or outside every root
+ */
+function resolveAllowedPath(target, roots = config.indexer?.pathRoots || []) {
+  let real;
+  try {
+    real = fs.realpathSync(path.resolve(String(target)));
+  } catch (_) {
+    throw new Error(`Path not found: ${target}`);
+  }
+  const allowed = roots.some(root => {
+    let base;
+    try { base = fs.realpathSync(path.resolve(root)); } catch (_) { return false; }
+    const rel = path.relative(base, real);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+  });
+  if (!allowed) throw new Error(`Path is outside the allowed roots (INDEXER_PATH_ROOTS): ${target}`);
+  return real;
+}
+
+function splitLongText(text, max) {
+  if (text.length <= max) return [text];
+  const pieces = [];
+  let current = '';
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    let s = sentence;
+    while (s.length > max) {
+      // No sentence break in range: cut at the last space
+      const cut = s.lastIndexOf(' ', max) > max / 2 ? s.lastIndexOf(' ', max) : max;
+      if (current) { pieces.push(current); current = ''; }
+      pieces.push(s.slice(0, cut));
+      s = s.slice(cut).trimStart();
+    }
+    if (current && current.length + s.length + 1 > max) { pieces.push(current); current = ''; }
+    current = current ? `${current} ${s}` : s;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Group extracted blocks into chunks of about `chunkChars`
+ * A heading starts a new chunk unless the current one is still short, in
+ * which case the heading is kept inline. Each chunk records the heading path
+ * it starts under and the pages it spans.
+ * @param {Array<Object>} blocks - From documentExtractor.extractDocument
+ * @param {Object} [options]
+ * @param {number} [options.chunkChars=2000]
+ * @returns {Array<{text: string, headings: Array<string>, pageStart: number|null, pageEnd: number|null}>}
+ */
+function chunkBlocks(blocks, { chunkChars = 2000 } = {}) {
+  const chunks = [];
+  const stack = [];
+  const minChars = Math.floor(chunkChars / 4);
+  let current = null;
+
+  const flush = () => {
+    if (current && current.parts.length) {
+      chunks.push({ text: current.parts.join('\n\n'), headings: current.headings, pageStart: current.pageStart, pageEnd: current.pageEnd });
+    }
+    current = null;
+  };
+  const append = (text, page) => {
+    if (!current) current = { parts: [], length: 0, headings: stack.map(h => h.text), pageStart: null, pageEnd: null };
+    current.parts.push(text);
+    current.length += text.length + 2;
+    if (page != null) {
+      if (current.pageStart == null) current.pageStart = page;
+      current.pageEnd = page;
+    }
+  };
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      while (stack.length && stack[stack.length - 1].level >= block.level) stack.pop();
+      if (current && current.length >= minChars) flush();
+      if (current) append(`${'#'.repeat(block.level)} ${block.text}`, block.page);
+      stack.push(block);
+      continue;
+    }
+    for (const piece of splitLongText(block.text, chunkChars)) {
+      if (current && current.length + piece.length > chunkChars) flush();
+      append(piece, block.page);
+    }
+  }
+  flush();
+  return chunks;
+}
+
+async function readTarEntries(file, { maxFileBytes }) {
+  const tar = require('tar');
+  const entries = [];
+  const skipped = [];
+  await new Promise((resolve, reject) => {
+    const parser = new tar.Parse();
+    parser.on('entry', (entry) => {
+      const name = entry.path;
+      if (entry.type !== 'File') return entry.resume();
+      if (!detectFormat(name)) { skipped.push({ name, reason: 'unsupported type' }); return entry.resume(); }
+      if (entry.size > maxFileBytes) { skipped.push({ name, reason: 'too large' }); return entry.resume(); }
+      const parts = [];
+      entry.on('data', c => parts.push(c));
+      entry.on('end', () => entries.push({ name, read: () => Buffer.concat(parts) }));
+    });
+    parser.on('end', resolve);
+    parser.on('error', reject);
+    fs.createReadStream(file).on('error', reject).pipe(parser);
+  });
+  return { entries, skipped };
+}
+
+async function readArchive(file, { maxFileBytes }) {
+  if (/\.zip$/i.test(file)) {
+    const zipEntries = readZip(await fs.promises.readFile(file), { maxEntryBytes: maxFileBytes }).filter(e => !e.directory);
+    const skipped = [];
+    const entries = [];
+    for (const e of zipEntries) {
+      if (!detectFormat(e.name)) skipped.push({ name: e.name, reason: 'unsupported type' });
+      else if (e.size > maxFileBytes) skipped.push({ name: e.name, reason: 'too large' });
+      else entries.push(e);
+    }
+    return { entries, skipped };
+  }
+  return readTarEntries(file, { maxFileBytes });
+}
+
+// Files under a directory, depth-first in name order; symlinks and dot-entries are not followed
+async function listFiles(dir, { recursive, limit }) {
+  const out = [];
+  const walk = async (current) => {
+    const dirents = (await fs.promises.readdir(current, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+    for (const d of dirents) {
+      if (out.length >= limit) return;
+      if (d.name.startsWith('.') || d.isSymbolicLink()) continue;
+      const full = path.join(current, d.name);
+      if (d.isDirectory()) { if (recursive && !SKIP_DIRS.has(d.name)) await walk(full); }
+      else if (d.isFile()) out.push(full);
+    }
+  };
+  await walk(dir);
+  return out;
+}
+
+/**
+ * Ingest a directory, file or archive into the index
+ * @param {string} target - Path under one of `config.indexer.pathRoots`
+ * @param {Object} options
+ * @param {Object} options.dbClient - Provides indexDocument, getIndexedSource, removeIndexedDocuments
+ * @param {boolean} [options.recursive=true]
+ * @param {Array<string>} [options.extensions] - Only ingest these extensions (e.g. ['.pdf', '.md'])
+ * @param {boolean} [options.force=false] - Re-index files even when unchanged
+ * @param {number} [options.maxFiles]
+ * @param {number} [options.chunkChars]
+ * @param {Array<string>} [options.tags] - Stored on every chunk for search filters
+ * @param {string} [options.collection] - Collection the chunks are indexed in; re-runs only compare
+ *   against (and replace) chunks of the same collection
+ * @param {string} [options.requestId]
+ * @returns {Promise<Object>} Summary: { path, files, indexed, unchanged, chunks, skipped, errors, truncated }
+ */
+async function ingestPath(target, options = {}) {
+  const {
+    dbClient,
+    recursive = true,
+    extensions = null,
+    force = false,
+    tags = null,
+    collection = null,
+    requestId = 'unknown-req'
+  } = options;
+  const ingestCfg = config.indexer?.ingest || {};
+  const maxFiles = options.maxFiles || ingestCfg.maxFiles || 2000;
+  const maxFileBytes = ingestCfg.maxFileBytes || 50 * 1024 * 1024;
+  // Chunks must fit in one index document (whole-document indexing truncates at maxDocLength)
+  const docLimit = config.indexer?.chunking?.enabled ? config.indexer.maxContentChars || 2000000 : config.indexer?.maxDocLength || 8000;
+  const chunkChars = Math.min(options.chunkChars || ingestCfg.chunkChars || 2000, docLimit);
+  const wanted = extensions && extensions.length ? new Set(extensions.map(e => (e.startsWith('.') ? e : `.${e}`).toLowerCase())) : null;
+
+  const root = resolveAllowedPath(target);
+  const stat = await fs.promises.stat(root);
+  const base = stat.isDirectory() ? root : path.dirname(root);
+  const summary = { path: root, files: 0, indexed: 0, unchanged: 0, chunks: 0, skipped: 0, errors: [], skippedFiles: [], truncated: false };
+  const skip = (file, reason) => {
+    summary.skipped++;
+    if (summary.skippedFiles.length < MAX_REPORTED) summary.skippedFiles.push({ path: file, reason });
+  };
+  const fail = (file, error) => {
+    if (summary.errors.length < MAX_REPORTED) summary.errors.push({ path: file, error });
+    logger.warn('Could not ingest file', { requestId, path: file, error });
+  };
+
+  const ingestOne = async ({ key, displayPath, relativePath, archive, name, read, size }) => {
+    summary.files++;
+    const format = detectFormat(name);
+    if (!format || (wanted && !wanted.has(path.extname(name).toLowerCase()))) return skip(displayPath, 'unsupported type');
+    if (size > maxFileBytes) return skip(displayPath, 'too large');
+    const prefix = `file:${key}#`;
+    try {
+      const buf = await read();
+      const sha256 = crypto.createHash('sha256').update(buf).digest('hex');
+      const existing = await dbClient.getIndexedSource(prefix, { collection });
+      if (existing && existing.sha256 === sha256 && !force) { summary.unchanged++; return; }
+
+      const doc = extractDocument(buf, { name, format });
+      const chunks = chunkBlocks(doc.blocks, { chunkChars });
+      if (!chunks.length) return skip(displayPath, 'no extractable text');
+      if (existing) await dbClient.removeIndexedDocuments(prefix, { collection });
+
+      const ingestedAt = new Date().toISOString();
+      for (let i = 0; i < chunks.length; i++) {
+        const c = chunks[i];
+        const heading = c.headings.length ? c.headings.join(' > ') : null;
+        const section = c.headings[c.headings.length - 1];
+        await dbClient.indexDocument({
+          sourceType: 'doc',
+          sourceId: `${prefix}${i}`,
+          title: section && section !== doc.title ? `${doc.title} — ${section}` : doc.title,
+          content: heading ? `${heading}\n\n${c.text}` : c.text,
+          metadata: {
+            path: archive ? `${archive}!/${name}` : key,
+            relativePath,
+            ...(archive ? { archive } : {}),
+            format: doc.format,
+            title: doc.title,
+            headings: c.headings,
+            pageStart: c.pageStart,
+            pageEnd: c.pageEnd,
+            ...(doc.pageCount ? { pageCount: doc.pageCount } : {}),
+            chunk: i,
+            chunks: chunks.length,
+            sha256,
+            ingestedAt,
+            ...(tags && tags.length ? { tags } : {})
+          },
+          collection
+        });
+      }
+      summary.indexed++;
+      summary.chunks += chunks.length;
+    } catch (error) {
+      fail(displayPath, error.message);
+    }
+  };
+
+  const ingestArchive = async (file) => {
+    let contents;
+    try {
+      contents = await readArchive(file, { maxFileBytes });
+    } catch (error) {
+      summary.files++;
+      return fail(file, error.message);
+    }
+    for (const s of contents.skipped) { summary.files++; skip(`${file}!/${s.name}`, s.reason); }
+    for (const e of contents.entries) {
+      if (summary.files >= maxFiles) { summary.truncated = true; return; }
+      // Archive members are addressed inside the archive; path traversal in member names has no effect
+      await ingestOne({
+        key: `${file}!/${e.name}`,
+        displayPath: `${file}!/${e.name}`,
+        relativePath: path.join(path.relative(base, file), e.name),
+        archive: file,
+        name: e.name,
+        read: async () => e.read(),
+        size: e.size || 0
+      });
+    }
+  };
+
+  const files = stat.isDirectory() ? await listFiles(root, { recursive, limit: maxFiles + 1 }) : [root];
+  if (files.length > maxFiles) { summary.truncated = true; files.length = maxFiles; }
+  for (const file of files) {
+    if (summary.files >= maxFiles) { summary.truncated = true; break; }
+    if (ARCHIVE_RE.test(file)) { await ingestArchive(file); continue; }
+    const { size } = await fs.promises.stat(file);
+    await ingestOne({
+      key: file,
+      displayPath: file,
+      relativePath: path.relative(base, file) || path.basename(file),
+      archive: null,
+      name: path.basename(file),
+      read: () => fs.promises.readFile(file),
+      size
+    });
+  }
+
+  logger.info('Ingested path', { requestId, path: root, files: summary.files, indexed: summary.indexed, chunks: summary.chunks, unchanged: summary.unchanged, skipped: summary.skipped, errors: summary.errors.length });
+  return summary;
+}
+
+module.exports = {
+  resolveAllowedPath,
+  chunkBlocks,
+  ingestPath
+};
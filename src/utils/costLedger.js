@@ -0,0 +1,181 @@
+/**
+ * Cost Ledger
+ *
+ * Prices every planning / research / debate / consensus / synthesis / verification call of a
+ * research run with modelCatalog pricing and keeps a per-model and per-stage
+ * breakdown for the report. Entries are persisted to `cost_events` so spend
+ * can be reported per query and per day (`cost_report` tool), and
+ * process-wide counters labelled by model and stage back the Prometheus output
+ * of `/metrics`.
+ *
+ * @module costLedger
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const modelCatalog = require('./modelCatalog');
+const logger = require('./logger').child('CostLedger');
+
+const STAGES = ['planning', 'research', 'debate', 'consensus', 'analysis', 'synthesis', 'verification'];
+
+// Process-wide counters: "<model>|<stage>" -> totals since start
+const counters = new Map();
+
+function tokensOf(usage) {
+  const prompt = Number(usage?.prompt_tokens || 0);
+  const completion = Number(usage?.completion_tokens || 0);
+  return { prompt, completion, total: Number(usage?.total_tokens || prompt + completion) };
+}
+
+function bump(target, usd, t) {
+  target.calls += 1;
+  target.usd += usd;
+  target.prompt_tokens += t.prompt;
+  target.completion_tokens += t.completion;
+  target.total_tokens += t.total;
+}
+
+function emptyTotals() {
+  return { calls: 0, usd: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+}
+
+function roundUsd(value) {
+  return Number(Number(value || 0).toFixed(6));
+}
+
+class CostLedger {
+  /**
+   * @param {Object} [meta]
+   * @param {string} [meta.requestId]
+   * @param {string|null} [meta.clientId]
+   * @param {string} [meta.query]
+   */
+  constructor({ requestId = 'unknown-req', clientId = null, query = '' } = {}) {
+    this.requestId = requestId;
+    this.clientId = clientId;
+    this.query = query;
+    this.entries = [];
+  }
+
+  /**
+   * Price and record one call
+   * @param {string} stage - planning | research | analysis | synthesis | verification
+   * @param {string} model - Model that served the call
+   * @param {Object} usage - OpenAI-style usage
+   * @returns {number} USD for this call
+   */
+  record(stage, model, usage) {
+    if (!usage) return 0;
+    const usd = modelCatalog.estimateCostUsd(model, usage);
+    const t = tokensOf(usage);
+    const entry = {
+      stage,
+      model: model || 'unknown',
+      prompt_tokens: t.prompt,
+      completion_tokens: t.completion,
+      total_tokens: t.total,
+      usd,
+      estimated: !!usage.estimated,
+      at: new Date().toISOString()
+    };
+    this.entries.push(entry);
+
+    const key = `${entry.model}|${stage}`;
+    if (!counters.has(key)) counters.set(key, { model: entry.model, stage, ...emptyTotals() });
+    bump(counters.get(key), usd, t);
+    return usd;
+  }
+
+  get totalUsd() {
+    return this.entries.reduce((sum, e) => sum + e.usd, 0);
+  }
+
+  /**
+   * Breakdown stored on the report as `research_metadata.cost`
+   * @returns {{currency: string, totalUsd: number, calls: number, byModel: Object, byStage: Object}}
+   */
+  summary() {
+    const byModel = {};
+    const byStage = {};
+    for (const e of this.entries) {
+      const t = { prompt: e.prompt_tokens, completion: e.completion_tokens, total: e.total_tokens };
+      bump(byModel[e.model] || (byModel[e.model] = emptyTotals()), e.usd, t);
+      bump(byStage[e.stage] || (byStage[e.stage] = emptyTotals()), e.usd, t);
+    }
+    for (const group of [byModel, byStage]) {
+      for (const k of Object.keys(group)) group[k].usd = roundUsd(group[k].usd);
+    }
+    return {
+      currency: 'USD',
+      totalUsd: roundUsd(this.totalUsd),
+      calls: this.entries.length,
+      byModel,
+      byStage
+    };
+  }
+
+  /**
+   * Persist entries to `cost_events`. Never throws; cost logging must not
+   * fail a research run.
+   * @param {Object} dbClient
+   * @param {number|string|null} reportId - Saved report, if any
+   */
+  async persist(dbClient, reportId = null) {
+    if (!this.entries.length) return 0;
+    try {
+      return await dbClient.recordCostEvents(this.entries.map(e => ({
+        ...e,
+        requestId: this.requestId,
+        clientId: this.clientId,
+        query: this.query,
+        reportId
+      })));
+    } catch (error) {
+      logger.warn('Failed to persist cost events', { requestId: this.requestId, error: error.message });
+      return 0;
+    }
+  }
+}
+
+/**
+ * Process-wide totals by model and stage since server start
+ * @returns {Array<{model: string, stage: string, calls: number, usd: number, prompt_tokens: number, completion_tokens: number, total_tokens: number}>}
+ */
+function getCounters() {
+  return [...counters.values()].map(c => ({ ...c, usd: roundUsd(c.usd) }));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Prometheus exposition lines for the counters
+ * @returns {string[]}
+ */
+function toPrometheus() {
+  const rows = getCounters();
+  const labels = r => `model="${escapeLabel(r.model)}",stage="${escapeLabel(r.stage)}"`;
+  const lines = [];
+  lines.push('# HELP research_cost_usd_total Estimated LLM spend in USD by model and stage');
+  lines.push('# TYPE research_cost_usd_total counter');
+  for (const r of rows) lines.push(`research_cost_usd_total{${labels(r)}} ${r.usd}`);
+  lines.push('# HELP research_llm_calls_total LLM calls by model and stage');
+  lines.push('# TYPE research_llm_calls_total counter');
+  for (const r of rows) lines.push(`research_llm_calls_total{${labels(r)}} ${r.calls}`);
+  lines.push('# HELP research_llm_tokens_total LLM tokens by model, stage and type');
+  lines.push('# TYPE research_llm_tokens_total counter');
+  for (const r of rows) {
+    lines.push(`research_llm_tokens_total{${labels(r)},type="prompt"} ${r.prompt_tokens}`);
+    lines.push(`research_llm_tokens_total{${labels(r)},type="completion"} ${r.completion_tokens}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  STAGES,
+  CostLedger,
+  getCounters,
+  toPrometheus
+};
@@ -0,0 +1,132 @@
+/**
+ * Cron Schedule
+ *
+ * Minimal five-field cron parser used by watch topics. All times are UTC.
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-7, 0 and 7 = Sunday)
+ *   * * * * *
+ *
+ * Each field accepts `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps
+ * (`*\/15`, `0-30/10`). Aliases: @hourly, @daily, @midnight, @weekly,
+ * @monthly, @yearly, @annually. As in Vixie cron, when both day fields are
+ * restricted a time matches if either one does.
+ *
+ * @module cronSchedule
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const MAX_LOOKAHEAD_YEARS = 5;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${name} field: "${text}"`);
+    let lo = m[1] === '*' ? min : parseInt(m[1], 10);
+    let hi = m[1] === '*' ? max : (m[2] !== undefined ? parseInt(m[2], 10) : lo);
+    const step = m[3] !== undefined ? parseInt(m[3], 10) : 1;
+    if (m[1] !== '*' && m[2] === undefined && m[3] !== undefined) hi = max; // "5/15" = from 5 every 15
+    if (lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`Invalid cron ${name} field: "${text}" (allowed ${min}-${max})`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or alias
+ * @returns {{minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, domRestricted: boolean, dowRestricted: boolean}}
+ * @throws {Error} When the expression is malformed
+ */
+function parseCron(expression) {
+  const expr = ALIASES[String(expression || '').trim().toLowerCase()] || String(expression || '').trim();
+  const parts = expr.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+  const parsed = {};
+  FIELDS.forEach((field, i) => { parsed[field.name] = parseField(parts[i], field); });
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+  parsed.domRestricted = parts[2] !== '*';
+  parsed.dowRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getUTCDate());
+  const dow = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.domRestricted && cron.dowRestricted) return dom || dow;
+  if (cron.domRestricted) return dom;
+  if (cron.dowRestricted) return dow;
+  return true;
+}
+
+/**
+ * Next time strictly after `from` that matches the expression
+ * @param {string} expression
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ * @throws {Error} When the expression is malformed or never matches
+ */
+function nextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const t = new Date(from.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const limit = from.getTime() + MAX_LOOKAHEAD_YEARS * 366 * 86400000;
+
+  while (t.getTime() <= limit) {
+    if (!cron.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return t;
+  }
+  throw new Error(`Cron expression "${expression}" has no run time in the next ${MAX_LOOKAHEAD_YEARS} years`);
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,80 @@
+/**
+ * Cross-Encoder Reranker
+ *
+ * Scores (query, passage) pairs jointly with a small sequence-classification
+ * model run on CPU through @huggingface/transformers. Slower per result than
+ * fused retrieval scores but much better at ordering the top of a result list,
+ * so searchHybrid applies it to a window of fused results only.
+ *
+ * @module crossEncoder
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const logger = require('./logger').child('CrossEncoder');
+
+const DEFAULT_CROSS_ENCODER = 'Xenova/ms-marco-MiniLM-L-6-v2';
+const PAIRS_PER_BATCH = 16;
+
+const loaded = new Map(); // model id -> Promise<{ model, score }>
+
+/**
+ * Load a cross-encoder once per process
+ * @param {string} [modelId]
+ * @returns {Promise<{model: string, score: function(string, Array<string>): Promise<Array<number>>}>}
+ *   score() returns a relevance in 0..1 for each text
+ */
+function loadCrossEncoder(modelId = DEFAULT_CROSS_ENCODER) {
+  if (!loaded.has(modelId)) {
+    const promise = (async () => {
+      const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@huggingface/transformers');
+      logger.info('Loading cross-encoder', { model: modelId });
+      const tokenizer = await AutoTokenizer.from_pretrained(modelId);
+      const model = await AutoModelForSequenceClassification.from_pretrained(modelId, { device: 'cpu', dtype: 'q8' });
+      const score = async (query, texts) => {
+        const scores = [];
+        for (let i = 0; i < texts.length; i += PAIRS_PER_BATCH) {
+          const batch = texts.slice(i, i + PAIRS_PER_BATCH);
+          const inputs = tokenizer(batch.map(() => query), { text_pair: batch, padding: true, truncation: true, max_length: 512 });
+          const { logits } = await model(inputs);
+          // Single-logit models score relevance directly; two-label models put "relevant" last
+          const cols = logits.dims[1] || 1;
+          for (let j = 0; j < batch.length; j++) {
+            scores.push(1 / (1 + Math.exp(-logits.data[j * cols + cols - 1])));
+          }
+        }
+        return scores;
+      };
+      return { model: modelId, score };
+    })();
+    // A failed load is retried on the next call
+    promise.catch(() => loaded.delete(modelId));
+    loaded.set(modelId, promise);
+  }
+  return loaded.get(modelId);
+}
+
+/**
+ * Reorder items by cross-encoder relevance to the query
+ * @param {string} query
+ * @param {Array<Object>} items
+ * @param {Object} [options]
+ * @param {string} [options.model]
+ * @param {function(Object): string} [options.textOf] - Text scored for an item (default: title + snippet)
+ * @returns {Promise<Array<{item: Object, score: number}>>} Best first
+ */
+async function crossEncoderRerank(query, items, { model, textOf } = {}) {
+  const encoder = await module.exports.loadCrossEncoder(model || DEFAULT_CROSS_ENCODER);
+  const text = textOf || (it => `${it.title || ''}\n${it.snippet || ''}`);
+  const scores = await encoder.score(query, items.map(text));
+  return items
+    .map((item, i) => ({ item, score: scores[i] }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  DEFAULT_CROSS_ENCODER,
+  loadCrossEncoder,
+  crossEncoderRerank
+};
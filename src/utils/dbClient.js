@@ -5,6 +5,12 @@ const config = require('../../config');
 const openRouterClient = require('./openRouterClient');
 const path = require('path');
 const logger = require('./logger').child('DBClient');
+const { chunkText } = require('./textChunker');
+const embedders = require('./embedders');
+const searchFusion = require('./searchFusion');
+const crossEncoder = require('./crossEncoder');
+const collections = require('./collections');
+const tenancy = require('./tenancy');
 
 // Detect environment
 const isNodeEnv = typeof process !== 'undefined' && process.versions && process.versions.node;
@@ -18,15 +24,16 @@ if (isNodeEnv) {
 
 let db = null;
 let isEmbedderReady = false;
-let embeddingProvider = null; // @terminals-tech/embeddings provider
+let embeddingProvider = null; // see ./embedders
+let embedderSpec = null; // { provider, model, dimensions } of the loaded embedder
+// Vector space of the stored embeddings (embedding_state row); target is set while migrating
+let embeddingState = null;
+let migrationPromise = null;
 let dbInitialized = false;
 let dbInitAttempted = false;
 let usingInMemoryFallback = false;
 let dbPathInfo = 'Not Initialized';
 
-// Track embedder version for reindex trigger
-let embedderVersionKey = '@terminals-tech/embeddings-v0.1.0';
-
 // Database initialization state machine
 const InitState = {
   NOT_STARTED: 'NOT_STARTED',
@@ -43,135 +50,65 @@ let initPromise = null;
 const MAX_RETRIES = config.database.maxRetryAttempts;
 const BASE_RETRY_DELAY = config.database.retryDelayBaseMs;
 
-// Initialize embedder using @terminals-tech/embeddings
+// Initialize the configured embedder (see ./embedders)
 // Exported as awaitable promise for proper initialization sequencing
 let embedderInitPromise = null;
 let embedderIsMock = false;
 
-async function initializeEmbedder() {
-  if (embedderInitPromise) return embedderInitPromise;
+/**
+ * Load the embedder described by config.embeddings. The default local model can
+ * also come from @terminals-tech/embeddings, which degrades to a mock provider
+ * when transformers is unavailable.
+ * @param {Object} [options]
+ * @param {boolean} [options.reload=false] - Load again after config.embeddings changed
+ * @returns {Promise<{ready: boolean, isMock?: boolean, provider?: string, model?: string, dimensions?: number, error?: string}>}
+ */
+async function initializeEmbedder({ reload = false } = {}) {
+  if (embedderInitPromise && !reload) return embedderInitPromise;
+
+  isEmbedderReady = false;
+  embeddingProvider = null;
+  embedderSpec = null;
+  embedderIsMock = false;
 
   embedderInitPromise = (async () => {
+    let spec = null;
     try {
-      const { EmbeddingProviderFactory, MockEmbeddingProvider } = await import('@terminals-tech/embeddings');
-      logger.info('Initializing @terminals-tech/embeddings');
-
-      // GPU/optimized acceleration config
-      const deviceConfig = {
-        cache: true,
-        quantizeCache: true,
-        device: process.env.EMBEDDINGS_DEVICE || 'auto',
-        // dtype options: 'fp32' (default), 'fp16' (GPU), 'q8' (quantized CPU), 'q4' (smallest)
-        dtype: process.env.EMBEDDINGS_DTYPE || 'q8'  // q8 is faster than fp32 on CPU
-      };
-
-      // Try direct transformers init with optimized settings FIRST
-      // This bypasses the factory which doesn't support device/dtype
-      let directInitSuccess = false;
+      spec = embedders.resolveSpec(config.embeddings);
+      embeddingProvider = await embedders.createEmbedder(config.embeddings);
+    } catch (err) {
+      if (!spec || spec.provider !== 'local' || spec.model !== embedders.DEFAULT_LOCAL_MODEL) {
+        logger.error('Failed to initialize embeddings', { provider: spec?.provider, model: spec?.model, error: err.message });
+        return { ready: false, error: err.message };
+      }
+      logger.warn('Direct transformers init failed, falling back to factory', { error: err.message });
       try {
-        const { pipeline, env } = await import('@huggingface/transformers');
-        const modelId = 'Xenova/all-MiniLM-L6-v2';
-
-        // Detect available backends
-        let actualDevice = 'cpu';  // Default to CPU
-        let dtypeConfig = deviceConfig.dtype;
-
-        // Check if GPU is explicitly requested
-        if (deviceConfig.device === 'cuda' || deviceConfig.device === 'gpu') {
-          actualDevice = 'cuda';
-        } else if (deviceConfig.device === 'auto') {
-          // For 'auto', default to CPU to avoid CUDA loading errors
-          // GPU will be used automatically by onnxruntime if available
-          actualDevice = 'cpu';
-        }
-
-        // For CPU, use quantized model for better performance
-        if (actualDevice === 'cpu') {
-          // q8 works well for CPU, fp32 is fallback
-          if (!['q8', 'q4', 'fp32'].includes(dtypeConfig)) {
-            dtypeConfig = 'q8';  // Default to quantized on CPU
-          }
-        }
-
-        logger.info('Initializing transformers pipeline', { device: actualDevice, dtype: dtypeConfig });
-
-        // Create pipeline with explicit device/dtype
-        const extractor = await pipeline('feature-extraction', modelId, {
-          device: actualDevice,
-          dtype: dtypeConfig
+        const { EmbeddingProviderFactory, MockEmbeddingProvider } = await import('@terminals-tech/embeddings');
+        embeddingProvider = await EmbeddingProviderFactory.createBest({
+          cache: true,
+          quantizeCache: true,
+          device: config.embeddings.device,
+          dtype: config.embeddings.dtype
         });
 
-        // Wrap in provider interface compatible with @terminals-tech/embeddings
-        embeddingProvider = {
-          _ready: true,
-          _deviceConfigured: true,
-          _directInit: true,
-          dimensions: 384,
-          embed: async (text) => {
-            const output = await extractor(text, { pooling: 'mean', normalize: true });
-            return { values: new Float32Array(output.data), dimensions: 384, normalized: true };
-          },
-          embedBatch: async (texts) => {
-            const results = [];
-            // Process in batches for memory efficiency
-            const batchSize = 16;
-            for (let i = 0; i < texts.length; i += batchSize) {
-              const batch = texts.slice(i, i + batchSize);
-              for (const text of batch) {
-                const output = await extractor(text, { pooling: 'mean', normalize: true });
-                results.push({ values: new Float32Array(output.data), dimensions: 384, normalized: true });
-              }
-            }
-            return results;
-          },
-          similarity: (a, b) => {
-            const vecA = a.values || a;
-            const vecB = b.values || b;
-            let dot = 0, normA = 0, normB = 0;
-            for (let i = 0; i < vecA.length; i++) {
-              dot += vecA[i] * vecB[i];
-              normA += vecA[i] * vecA[i];
-              normB += vecB[i] * vecB[i];
-            }
-            return dot / (Math.sqrt(normA) * Math.sqrt(normB));
-          }
-        };
-        directInitSuccess = true;
-        logger.info('Optimized embeddings initialized', { device: actualDevice, dtype: dtypeConfig });
-      } catch (directErr) {
-        logger.warn('Direct transformers init failed, falling back to factory', { error: directErr.message });
-      }
-
-      // Fallback to factory if direct init failed
-      if (!directInitSuccess) {
-        embeddingProvider = await EmbeddingProviderFactory.createBest(deviceConfig);
-      }
-
-      // DETECT MOCK FALLBACK - important for understanding degraded functionality
-      embedderIsMock = embeddingProvider.constructor.name === 'MockEmbeddingProvider' ||
-                       (MockEmbeddingProvider && embeddingProvider instanceof MockEmbeddingProvider);
-
-      if (embedderIsMock) {
-        logger.warn('Using MockEmbeddingProvider - vector search quality will be degraded');
-        logger.warn('This may be because @huggingface/transformers is not installed or failed to load');
-      }
-
-      isEmbedderReady = true;
-      logger.info(`@terminals-tech/embeddings initialized successfully${embedderIsMock ? ' (MOCK MODE)' : ''}`);
-
-      // Trigger reindex if embedder version changed
-      const previous = embedderVersionKey;
-      embedderVersionKey = '@terminals-tech/embeddings-v0.1.0';
-      if (dbInitialized && previous !== embedderVersionKey) {
-        try { await reindexVectors(); } catch (_) {}
+        // DETECT MOCK FALLBACK - important for understanding degraded functionality
+        embedderIsMock = embeddingProvider.constructor.name === 'MockEmbeddingProvider' ||
+                         (MockEmbeddingProvider && embeddingProvider instanceof MockEmbeddingProvider);
+        if (embedderIsMock) {
+          logger.warn('Using MockEmbeddingProvider - vector search quality will be degraded');
+          logger.warn('This may be because @huggingface/transformers is not installed or failed to load');
+        }
+      } catch (factoryErr) {
+        logger.error('Failed to initialize @terminals-tech/embeddings', { error: factoryErr.message });
+        embeddingProvider = null;
+        return { ready: false, error: factoryErr.message };
       }
-
-      return { ready: true, isMock: embedderIsMock };
-    } catch (err) {
-      logger.error('Failed to initialize @terminals-tech/embeddings', { error: err });
-      isEmbedderReady = false;
-      return { ready: false, error: err.message };
     }
+
+    embedderSpec = spec;
+    isEmbedderReady = true;
+    logger.info(`Embeddings initialized${embedderIsMock ? ' (MOCK MODE)' : ''}`, spec);
+    return { ready: true, isMock: embedderIsMock, ...spec };
   })();
 
   return embedderInitPromise;
@@ -197,21 +134,22 @@ function calculateCosineSimilarity(vecA, vecB) {
   }
 }
 
-// Generate embedding using @terminals-tech/embeddings
-async function generateEmbedding(text) {
+// Generate embedding; kind is 'query' or 'document' (instruction-tuned models embed them differently)
+async function generateEmbedding(text, kind = 'query') {
   if (!isEmbedderReady || !embeddingProvider) {
     logger.debug('Embedder not ready, cannot generate embedding', { textPreview: text.substring(0, 50) });
     return null;
   }
   try {
-    const embedding = await embeddingProvider.embed(text);
+    const embedding = await embeddingProvider.embed(text, kind);
     // Handle different embedding formats:
     // - { values: Float32Array, dimensions, normalized } from @terminals-tech/embeddings
-    // - Raw array from legacy providers
+    // - Raw array from ./embedders and legacy providers
+    if (Array.isArray(embedding)) return embedding;
     if (embedding && embedding.values) {
       return Array.from(embedding.values);
     }
-    return Array.isArray(embedding) ? embedding : Array.from(embedding);
+    return Array.from(embedding);
   } catch (error) {
     logger.error('Error generating embedding', { error, textPreview: text.substring(0, 50) });
     return null;
@@ -219,17 +157,18 @@ async function generateEmbedding(text) {
 }
 
 // Batch embedding generation for efficiency
-async function generateEmbeddingBatch(texts) {
+async function generateEmbeddingBatch(texts, kind = 'document') {
   if (!isEmbedderReady || !embeddingProvider) {
     logger.debug('Embedder not ready for batch embedding');
     return texts.map(() => null);
   }
   try {
-    const embeddings = await embeddingProvider.embedBatch(texts);
+    const embeddings = await embeddingProvider.embedBatch(texts, kind);
     // Handle different embedding formats (see generateEmbedding)
     return embeddings.map(e => {
+      if (Array.isArray(e)) return e;
       if (e && e.values) return Array.from(e.values);
-      return Array.isArray(e) ? e : Array.from(e);
+      return Array.from(e);
     });
   } catch (error) {
     logger.error('Error in batch embedding', { error, count: texts.length });
@@ -356,12 +295,15 @@ async function _doInitDB() {
     await db.query("CREATE EXTENSION IF NOT EXISTS vector;");
     logger.info('PGLite vector extension enabled');
 
+    // Vector columns are sized for the embedding model recorded in embedding_state
+    const vectorDim = await loadEmbeddingState();
+
     // Create the reports table
     await db.query(`
       CREATE TABLE IF NOT EXISTS reports (
         id SERIAL PRIMARY KEY,
         original_query TEXT NOT NULL,
-        query_embedding VECTOR(${config.database.vectorDimension}),
+        query_embedding VECTOR(${vectorDim}),
         parameters JSONB,
         final_report TEXT NOT NULL,
         research_metadata JSONB,
@@ -373,7 +315,15 @@ async function _doInitDB() {
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         feedback_entries JSONB DEFAULT '[]',
         accuracy_score REAL DEFAULT NULL,
-        fact_check_results JSONB DEFAULT NULL
+        fact_check_results JSONB DEFAULT NULL,
+        report_group_id INTEGER DEFAULT NULL,
+        version INTEGER DEFAULT 1,
+        sources JSONB DEFAULT NULL,
+        tags JSONB DEFAULT NULL,
+        rating REAL DEFAULT NULL,
+        collection TEXT NOT NULL DEFAULT 'default',
+        tenant_id TEXT NOT NULL DEFAULT 'default',
+        artifacts JSONB DEFAULT NULL
       );
     `);
     logger.info('PGLite reports table created or verified');
@@ -386,6 +336,66 @@ async function _doInitDB() {
       // Column may already exist, ignore
     }
 
+    // Report versioning: refreshed reports share the report_group_id of version 1 (NULL on version 1 itself)
+    try {
+      await db.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS report_group_id INTEGER DEFAULT NULL;`);
+      await db.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;`);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_reports_group ON reports(report_group_id);`);
+    } catch (e) {
+      logger.warn('Could not add report versioning columns', { error: e.message });
+    }
+    // One row per version of a logical report; fails on databases that already hold duplicates
+    try {
+      await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_group_version ON reports ((COALESCE(report_group_id, id)), version);`);
+    } catch (e) {
+      logger.warn('Could not add unique report version index', { error: e.message });
+    }
+
+    // Structured sources list; inline [n] markers in final_report refer to sources[].id
+    try {
+      await db.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS sources JSONB DEFAULT NULL;`);
+    } catch (e) {
+      logger.warn('Could not add report sources column', { error: e.message });
+    }
+
+    // Report artifacts: charts (Vega-Lite specs) and tables found in final_report
+    try {
+      await db.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS artifacts JSONB DEFAULT NULL;`);
+    } catch (e) {
+      logger.warn('Could not add report artifacts column', { error: e.message });
+    }
+
+    // Search filters: caller-supplied tags and the mean user rating (kept in step with feedback_entries)
+    try {
+      await db.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT NULL;`);
+      await db.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS rating REAL DEFAULT NULL;`);
+      await db.query(
+        `UPDATE reports r SET rating = f.rating
+         FROM (SELECT id, AVG((e->>'rating')::real) AS rating
+               FROM reports, jsonb_array_elements(CASE WHEN jsonb_typeof(feedback_entries) = 'array' THEN feedback_entries ELSE '[]'::jsonb END) e
+               WHERE e ? 'rating' GROUP BY id) f
+         WHERE r.id = f.id AND r.rating IS NULL;`
+      );
+    } catch (e) {
+      logger.warn('Could not add report filter columns', { error: e.message });
+    }
+
+    // Collections (see collections.js); reports saved before collections existed are in 'default'
+    try {
+      await db.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS collection TEXT NOT NULL DEFAULT 'default';`);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_reports_collection ON reports(collection);`);
+    } catch (e) {
+      logger.warn('Could not add report collection column', { error: e.message });
+    }
+
+    // Tenancy (see tenancy.js); rows from before tenancy belong to 'default'
+    try {
+      await db.query(`ALTER TABLE reports ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';`);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_reports_tenant ON reports(tenant_id);`);
+    } catch (e) {
+      logger.warn('Could not add report tenant column', { error: e.message });
+    }
+
     // Optional: BM25-style inverted index tables
     if (config.indexer?.enabled) {
       await db.query(`
@@ -396,8 +406,10 @@ async function _doInitDB() {
           title TEXT,
           content TEXT NOT NULL,
           doc_len INTEGER,
-          doc_embedding VECTOR(${config.database.vectorDimension}),
-          created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+          doc_embedding VECTOR(${vectorDim}),
+          created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+          collection TEXT NOT NULL DEFAULT 'default',
+          tenant_id TEXT NOT NULL DEFAULT 'default'
         );
       `);
       await db.query(`
@@ -417,8 +429,76 @@ async function _doInitDB() {
       await db.query(`CREATE INDEX IF NOT EXISTS idx_postings_term ON index_postings(term);`);
       await db.query(`CREATE INDEX IF NOT EXISTS idx_postings_doc ON index_postings(doc_id);`);
       try { await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS doc_len INTEGER;`); } catch(_) {}
-      try { await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS doc_embedding VECTOR(${config.database.vectorDimension});`); } catch(_) {}
+      try { await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS doc_embedding VECTOR(${vectorDim});`); } catch(_) {}
       try { await db.query(`CREATE INDEX IF NOT EXISTS idx_index_documents_embedding ON index_documents USING hnsw (doc_embedding vector_cosine_ops);`); } catch(_) {}
+      // Source path, page range and headings for ingested files (index_path)
+      try { await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS metadata JSONB;`); } catch(_) {}
+      try { await db.query(`CREATE INDEX IF NOT EXISTS idx_index_documents_source ON index_documents(source_id);`); } catch(_) {}
+      // Filterable metadata, derived from `metadata` when a document is indexed (see documentFilterFields)
+      try {
+        await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;`);
+        await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS tags JSONB;`);
+        await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS author TEXT;`);
+        await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS domain TEXT;`);
+        await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS report_id INTEGER;`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_index_documents_type ON index_documents(source_type);`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_index_documents_domain ON index_documents(domain);`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_index_documents_report ON index_documents(report_id);`);
+        // Documents indexed before these columns existed
+        await db.query(
+          `UPDATE index_documents SET report_id = source_id::int
+           WHERE report_id IS NULL AND source_type = 'report' AND source_id ~ '^[0-9]{1,9}$';`
+        );
+        await db.query(
+          `UPDATE index_documents SET domain = regexp_replace(lower(substring(source_id from '^https?://([^/:?#]+)')), '^www\\.', '')
+           WHERE domain IS NULL AND source_id ~* '^https?://';`
+        );
+      } catch (e) {
+        logger.warn('Could not add index filter columns', { error: e.message });
+      }
+      // Collections; report documents follow their report
+      try {
+        await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS collection TEXT NOT NULL DEFAULT 'default';`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_index_documents_collection ON index_documents(collection);`);
+        await db.query(
+          `UPDATE index_documents d SET collection = r.collection FROM reports r
+           WHERE d.report_id = r.id AND d.collection <> r.collection;`
+        );
+      } catch (e) {
+        logger.warn('Could not add index collection column', { error: e.message });
+      }
+      try {
+        await db.query(`ALTER TABLE index_documents ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_index_documents_tenant ON index_documents(tenant_id);`);
+      } catch (e) {
+        logger.warn('Could not add index tenant column', { error: e.message });
+      }
+      // Passages for chunk-level retrieval; offsets point into index_documents.content
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS index_chunks (
+          id SERIAL PRIMARY KEY,
+          doc_id INTEGER NOT NULL REFERENCES index_documents(id) ON DELETE CASCADE,
+          chunk_index INTEGER NOT NULL,
+          heading TEXT,
+          content TEXT NOT NULL,
+          start_offset INTEGER NOT NULL,
+          end_offset INTEGER NOT NULL,
+          chunk_len INTEGER,
+          chunk_embedding VECTOR(${vectorDim})
+        );
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS index_chunk_postings (
+          term TEXT NOT NULL,
+          chunk_id INTEGER NOT NULL REFERENCES index_chunks(id) ON DELETE CASCADE,
+          tf INTEGER NOT NULL,
+          PRIMARY KEY (term, chunk_id)
+        );
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_index_chunks_doc ON index_chunks(doc_id);`);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_chunk_postings_term ON index_chunk_postings(term);`);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_chunk_postings_chunk ON index_chunk_postings(chunk_id);`);
+      try { await db.query(`CREATE INDEX IF NOT EXISTS idx_index_chunks_embedding ON index_chunks USING hnsw (chunk_embedding vector_cosine_ops);`); } catch(_) {}
       logger.info('BM25/vector index tables created or verified');
     }
 
@@ -436,7 +516,8 @@ async function _doInitDB() {
         updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
         started_at TIMESTAMPTZ,
         finished_at TIMESTAMPTZ,
-        heartbeat_at TIMESTAMPTZ
+        heartbeat_at TIMESTAMPTZ,
+        tenant_id TEXT NOT NULL DEFAULT 'default'
       );
     `);
     await db.query(`
@@ -449,8 +530,53 @@ async function _doInitDB() {
       );
     `);
     await db.query(`CREATE INDEX IF NOT EXISTS idx_job_events_job_id ON job_events(job_id);`);
+    // Completed research stages, so a reclaimed job resumes instead of starting over
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS job_checkpoints (
+        job_id TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        payload JSONB,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (job_id, stage)
+      );
+    `);
+    try {
+      await db.query(`ALTER TABLE jobs ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';`);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_jobs_tenant ON jobs(tenant_id);`);
+    } catch (e) {
+      logger.warn('Could not add job tenant column', { error: e.message });
+    }
     logger.info('Job tables created or verified');
 
+    // Watch topics: cron schedules that enqueue research jobs
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS watches (
+        id TEXT PRIMARY KEY,
+        query TEXT NOT NULL,
+        params JSONB,
+        schedule TEXT NOT NULL,
+        notify_on TEXT NOT NULL DEFAULT 'always',
+        min_changes INTEGER,
+        client_id TEXT,
+        enabled BOOLEAN DEFAULT TRUE,
+        next_run_at TIMESTAMPTZ,
+        last_run_at TIMESTAMPTZ,
+        last_job_id TEXT,
+        last_report_id TEXT,
+        last_diff JSONB,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        tenant_id TEXT NOT NULL DEFAULT 'default'
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_watches_next_run ON watches(next_run_at);`);
+    try {
+      await db.query(`ALTER TABLE watches ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';`);
+    } catch (e) {
+      logger.warn('Could not add watch tenant column', { error: e.message });
+    }
+    logger.info('watches table created or verified');
+
     // Usage counters
     await db.query(`
       CREATE TABLE IF NOT EXISTS usage_counters (
@@ -463,6 +589,75 @@ async function _doInitDB() {
     `);
     logger.info('usage_counters table created or verified');
 
+    // Per-client spend by calendar month (UTC) for budget enforcement
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS client_usage (
+        client_id TEXT NOT NULL,
+        period TEXT NOT NULL,
+        usd DOUBLE PRECISION NOT NULL DEFAULT 0,
+        tokens BIGINT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (client_id, period)
+      );
+    `);
+    logger.info('client_usage table created or verified');
+
+    // Learned source reliability: running mean of report ratings per cited domain
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS source_reliability (
+        domain TEXT PRIMARY KEY,
+        score DOUBLE PRECISION NOT NULL,
+        ratings INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    logger.info('source_reliability table created or verified');
+
+    // Model routing statistics per model and query domain (modelRouter)
+    // Latency and cost totals cover successful calls; quality is a sum of 0..1 outcomes
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS model_stats (
+        model TEXT NOT NULL,
+        domain TEXT NOT NULL,
+        calls INTEGER NOT NULL DEFAULT 0,
+        errors INTEGER NOT NULL DEFAULT 0,
+        latency_ms_total DOUBLE PRECISION NOT NULL DEFAULT 0,
+        usd_total DOUBLE PRECISION NOT NULL DEFAULT 0,
+        quality_total DOUBLE PRECISION NOT NULL DEFAULT 0,
+        outcomes INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (model, domain)
+      );
+    `);
+    logger.info('model_stats table created or verified');
+
+    // Priced LLM calls (one row per planning/research/synthesis call)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cost_events (
+        id SERIAL PRIMARY KEY,
+        request_id TEXT,
+        report_id INTEGER,
+        client_id TEXT,
+        query TEXT,
+        stage TEXT NOT NULL,
+        model TEXT NOT NULL,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        usd DOUBLE PRECISION NOT NULL DEFAULT 0,
+        estimated BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        tenant_id TEXT NOT NULL DEFAULT 'default'
+      );
+    `);
+    try {
+      await db.query(`ALTER TABLE cost_events ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';`);
+    } catch (e) {
+      logger.warn('Could not add cost event tenant column', { error: e.message });
+    }
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_cost_events_created ON cost_events (created_at DESC);`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_cost_events_report ON cost_events (report_id);`);
+    logger.info('cost_events table created or verified');
+
     // Tool observations - Agent Zero observation loop infrastructure
     // Records every tool execution for convergence tracking and self-improvement
     await db.query(`
@@ -490,6 +685,9 @@ async function _doInitDB() {
     await db.query(`CREATE INDEX IF NOT EXISTS idx_reports_query_embedding ON reports USING hnsw (query_embedding vector_cosine_ops);`);
     logger.info('PGLite indexes created or verified');
 
+    // Tables created while a migration is pending need its *_next columns too
+    if (embeddingState.target) await addNextColumns(db, embeddingState.target.dimensions);
+
     // Success!
     initState = InitState.INITIALIZED;
     dbInitialized = true;
@@ -509,13 +707,14 @@ async function _doInitDB() {
         dbPathInfo = 'In-Memory (Error Fallback)';
         db = await PGlite.create({ extensions: { vector } });
         await db.query("CREATE EXTENSION IF NOT EXISTS vector;");
+        const vectorDim = await loadEmbeddingState();
 
         // Create minimal table structure
         await db.query(`
           CREATE TABLE IF NOT EXISTS reports (
             id SERIAL PRIMARY KEY,
             original_query TEXT NOT NULL,
-            query_embedding VECTOR(${config.database.vectorDimension}),
+            query_embedding VECTOR(${vectorDim}),
             parameters JSONB,
             final_report TEXT NOT NULL,
             research_metadata JSONB,
@@ -525,7 +724,17 @@ async function _doInitDB() {
             based_on_past_report_ids JSONB,
             created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
             updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-            feedback_entries JSONB DEFAULT '[]'
+            feedback_entries JSONB DEFAULT '[]',
+            accuracy_score REAL DEFAULT NULL,
+            fact_check_results JSONB DEFAULT NULL,
+            report_group_id INTEGER DEFAULT NULL,
+            version INTEGER DEFAULT 1,
+            sources JSONB DEFAULT NULL,
+            tags JSONB DEFAULT NULL,
+            rating REAL DEFAULT NULL,
+            collection TEXT NOT NULL DEFAULT 'default',
+            tenant_id TEXT NOT NULL DEFAULT 'default',
+            artifacts JSONB DEFAULT NULL
           );
         `);
         await db.query(`
@@ -541,7 +750,8 @@ async function _doInitDB() {
             updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
             started_at TIMESTAMPTZ,
             finished_at TIMESTAMPTZ,
-            heartbeat_at TIMESTAMPTZ
+            heartbeat_at TIMESTAMPTZ,
+            tenant_id TEXT NOT NULL DEFAULT 'default'
           );
         `);
         await db.query(`
@@ -553,6 +763,57 @@ async function _doInitDB() {
             payload JSONB
           );
         `);
+        await db.query(`
+          CREATE TABLE IF NOT EXISTS job_checkpoints (
+            job_id TEXT NOT NULL,
+            stage TEXT NOT NULL,
+            payload JSONB,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (job_id, stage)
+          );
+        `);
+        await db.query(`
+          CREATE TABLE IF NOT EXISTS watches (
+            id TEXT PRIMARY KEY,
+            query TEXT NOT NULL,
+            params JSONB,
+            schedule TEXT NOT NULL,
+            notify_on TEXT NOT NULL DEFAULT 'always',
+            min_changes INTEGER,
+            client_id TEXT,
+            enabled BOOLEAN DEFAULT TRUE,
+            next_run_at TIMESTAMPTZ,
+            last_run_at TIMESTAMPTZ,
+            last_job_id TEXT,
+            last_report_id TEXT,
+            last_diff JSONB,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            tenant_id TEXT NOT NULL DEFAULT 'default'
+          );
+        `);
+        await db.query(`
+          CREATE TABLE IF NOT EXISTS source_reliability (
+            domain TEXT PRIMARY KEY,
+            score DOUBLE PRECISION NOT NULL,
+            ratings INTEGER NOT NULL DEFAULT 0,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await db.query(`
+          CREATE TABLE IF NOT EXISTS model_stats (
+            model TEXT NOT NULL,
+            domain TEXT NOT NULL,
+            calls INTEGER NOT NULL DEFAULT 0,
+            errors INTEGER NOT NULL DEFAULT 0,
+            latency_ms_total DOUBLE PRECISION NOT NULL DEFAULT 0,
+            usd_total DOUBLE PRECISION NOT NULL DEFAULT 0,
+            quality_total DOUBLE PRECISION NOT NULL DEFAULT 0,
+            outcomes INTEGER NOT NULL DEFAULT 0,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (model, domain)
+          );
+        `);
 
         initState = InitState.INITIALIZED;
         dbInitialized = true;
@@ -631,31 +892,156 @@ function tokenize(text) {
     .filter(t => t && !stop.has(t));
 }
 
-async function indexDocument({ sourceType, sourceId, title, content }) {
+function termFrequencies(terms) {
+  const tfMap = new Map();
+  for (const term of terms) tfMap.set(term, (tfMap.get(term) || 0) + 1);
+  return tfMap;
+}
+
+// Texts embedded for index rows; the embedding migration rebuilds vectors from the same texts
+function passageEmbeddingText(title, heading, text) {
+  return `${title || ''}\n${heading || ''}\n${text}`;
+}
+
+function documentEmbeddingText(title, content) {
+  return `${title || ''}\n${content}`;
+}
+
+/**
+ * Embed passages for vector search; null entries when the embedder is unavailable
+ * or does not match the stored vectors
+ * @private
+ */
+async function embedPassages(title, passages) {
+  if (!config.indexer.embedDocs || !vectorWriteColumn('chunk_embedding')) return passages.map(() => null);
+  const embeddings = await generateEmbeddingBatch(passages.map(p => passageEmbeddingText(title, p.heading, p.text)), 'document');
+  return embeddings.map(emb => (emb ? formatVectorForPgLite(emb) : null));
+}
+
+/**
+ * Insert a document's passages and their postings. The title and heading are
+ * indexed with every passage so passage matches still see document context.
+ * @private
+ */
+async function insertChunks(q, docId, title, passages, embeddings) {
+  const vectorColumn = vectorWriteColumn('chunk_embedding') || 'chunk_embedding';
+  for (let i = 0; i < passages.length; i++) {
+    const p = passages[i];
+    const terms = tokenize(`${title || ''} ${p.heading || ''} ${p.text}`);
+    const ins = await q.query(
+      `INSERT INTO index_chunks (doc_id, chunk_index, heading, content, start_offset, end_offset, chunk_len, ${vectorColumn})
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8::vector) RETURNING id;`,
+      [docId, p.index, p.heading, p.text, p.start, p.end, terms.length, embeddings[i]]
+    );
+    const tf = termFrequencies(terms);
+    if (tf.size === 0) continue;
+    await q.query(
+      `INSERT INTO index_chunk_postings (term, chunk_id, tf)
+       SELECT t.term, $2, t.tf FROM unnest($1::text[], $3::int[]) AS t(term, tf);`,
+      [[...tf.keys()], ins.rows[0].id, [...tf.values()]]
+    );
+  }
+}
+
+function chunkOptions() {
+  const c = config.indexer.chunking || {};
+  return { maxTokens: c.maxTokens, overlapTokens: c.overlapTokens, headingAware: c.headingAware !== false };
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : (tags ? [tags] : []);
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+function normalizeDomain(value) {
+  const raw = String(value || '').trim().toLowerCase();
+  if (!raw) return null;
+  let host = raw;
+  try { if (/^[a-z]+:\/\//.test(raw)) host = new URL(raw).hostname; } catch (_) {}
+  return host.replace(/^www\./, '') || null;
+}
+
+/**
+ * Filter columns of an indexed document, read from its metadata (tags, author,
+ * publishedAt or date, url or domain, reportId). Report documents point at their
+ * report; documents indexed from a URL get its domain.
+ * @private
+ */
+function documentFilterFields(sourceType, sourceId, metadata) {
+  const m = metadata || {};
+  const published = m.publishedAt || m.published_at || m.date;
+  const ts = published ? new Date(published) : null;
+  const url = m.url || (/^https?:\/\//i.test(String(sourceId)) ? sourceId : null);
+  const reportId = m.reportId != null
+    ? parseInt(m.reportId, 10)
+    : (sourceType === 'report' && /^\d{1,9}$/.test(String(sourceId)) ? Number(sourceId) : null);
+  const tags = normalizeTags(m.tags);
+  return {
+    publishedAt: ts && !isNaN(ts.getTime()) ? ts.toISOString() : null,
+    tags: tags.length ? tags : null,
+    author: m.author ? String(m.author).trim() : null,
+    domain: normalizeDomain(m.domain || url),
+    reportId: Number.isInteger(reportId) ? reportId : null
+  };
+}
+
+/**
+ * Add a document to the BM25/vector index. With chunking enabled the full
+ * content (up to indexer.maxContentChars) is stored and indexed as passages;
+ * otherwise it is truncated to indexer.maxDocLength and indexed as a whole.
+ * @param {Object} doc
+ * @param {string} doc.sourceType - 'doc' | 'report'
+ * @param {string} doc.sourceId
+ * @param {string} [doc.title]
+ * @param {string} doc.content
+ * @param {Object} [doc.metadata] - Stored as JSONB and returned with search results; tags, author,
+ *   publishedAt, url/domain and reportId are also kept as filterable columns
+ * @param {string} [doc.collection] - Default config.collections.default
+ * @returns {Promise<number|null>} Document id, or null when the indexer is disabled or content is empty
+ */
+async function indexDocument({ sourceType, sourceId, title, content, metadata = null, collection = null }) {
   if (!config.indexer?.enabled) return null;
   if (!content) return null;
+  const f = documentFilterFields(sourceType, sourceId, metadata);
+  const filterValues = [f.publishedAt, f.tags ? JSON.stringify(f.tags) : null, f.author, f.domain, f.reportId,
+    collection ? collections.normalizeCollection(collection) : collections.defaultCollection(), tenancy.currentTenant()];
+  if (config.indexer.chunking?.enabled) {
+    const stored = content.slice(0, config.indexer.maxContentChars || 2000000);
+    const passages = chunkText(stored, chunkOptions());
+    if (!passages.length) return null;
+    const embeddings = await embedPassages(title, passages);
+    return executeWithRetry(() => db.transaction(async (tx) => {
+      const ins = await tx.query(
+        `INSERT INTO index_documents (source_type, source_id, title, content, doc_len, metadata, published_at, tags, author, domain, report_id, collection, tenant_id)
+         VALUES ($1,$2,$3,$4,$5,$6::jsonb,$7::timestamptz,$8::jsonb,$9,$10,$11,$12,$13) RETURNING id;`,
+        [sourceType, sourceId, title || null, stored, passages.reduce((n, p) => n + p.tokens, 0), metadata ? JSON.stringify(metadata) : null, ...filterValues]
+      );
+      const id = ins.rows[0].id;
+      await insertChunks(tx, id, title, passages, embeddings);
+      return id;
+    }), 'indexDocument');
+  }
+
   const truncated = content.slice(0, config.indexer.maxDocLength || 8000);
   const terms = tokenize(`${title || ''} ${truncated}`);
   const docLen = terms.length;
   // Optional embedding
   let embeddingVec = null;
-  if (config.indexer.embedDocs && isEmbedderReady) {
+  if (config.indexer.embedDocs && vectorWriteColumn('doc_embedding')) {
     try {
-      const emb = await generateEmbedding(`${title || ''}\n${truncated}`);
+      const emb = await generateEmbedding(documentEmbeddingText(title, truncated), 'document');
       embeddingVec = formatVectorForPgLite(emb);
     } catch(_) {}
   }
   const docId = await executeWithRetry(async () => {
     const ins = await db.query(
-      `INSERT INTO index_documents (source_type, source_id, title, content, doc_len, doc_embedding)
-       VALUES ($1,$2,$3,$4,$5, CASE WHEN $6 IS NULL THEN NULL ELSE $6::vector END)
+      `INSERT INTO index_documents (source_type, source_id, title, content, doc_len, ${vectorWriteColumn('doc_embedding') || 'doc_embedding'}, metadata, published_at, tags, author, domain, report_id, collection, tenant_id)
+       VALUES ($1,$2,$3,$4,$5, $6::vector, $7::jsonb, $8::timestamptz, $9::jsonb, $10, $11, $12, $13, $14)
        RETURNING id;`,
-      [sourceType, sourceId, title || null, truncated, docLen, embeddingVec]
+      [sourceType, sourceId, title || null, truncated, docLen, embeddingVec, metadata ? JSON.stringify(metadata) : null, ...filterValues]
     );
     const id = ins.rows[0].id;
-    const tfMap = new Map();
-    for (const term of terms) tfMap.set(term, (tfMap.get(term) || 0) + 1);
-    for (const [term, tf] of tfMap.entries()) {
+    for (const [term, tf] of termFrequencies(terms).entries()) {
       await db.query(`INSERT INTO index_terms (term, df) VALUES ($1, 1) ON CONFLICT (term) DO UPDATE SET df = index_terms.df + 1;`, [term]);
       await db.query(`INSERT INTO index_postings (term, doc_id, tf) VALUES ($1,$2,$3) ON CONFLICT (term, doc_id) DO UPDATE SET tf = EXCLUDED.tf;`, [term, id, tf]);
     }
@@ -664,11 +1050,203 @@ async function indexDocument({ sourceType, sourceId, title, content }) {
   return docId;
 }
 
-async function searchHybrid(queryText, limit = 10) {
-  const weights = config.indexer?.weights || { bm25: 0.7, vector: 0.3 };
-  const terms = tokenize(queryText);
-  if (terms.length === 0) return [];
+/**
+ * Chunk documents indexed before passage retrieval was enabled
+ * @param {number} [limit=500] - Documents per call
+ * @returns {Promise<number>} Documents chunked
+ */
+async function backfillChunks(limit = 500) {
+  if (!config.indexer?.enabled || !config.indexer.chunking?.enabled) return 0;
+  const rows = await executeWithRetry(async () => {
+    const r = await db.query(
+      `SELECT d.id, d.title, d.content FROM index_documents d
+       WHERE NOT EXISTS (SELECT 1 FROM index_chunks c WHERE c.doc_id = d.id)
+       ORDER BY d.id LIMIT $1;`,
+      [limit]
+    );
+    return r.rows;
+  }, 'loadUnchunkedDocs', []);
+  let count = 0;
+  for (const row of rows) {
+    const passages = chunkText(row.content || '', chunkOptions());
+    if (!passages.length) continue;
+    const embeddings = await embedPassages(row.title, passages);
+    await executeWithRetry(() => db.transaction(tx => insertChunks(tx, row.id, row.title, passages, embeddings)), 'backfillChunks');
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Content hash recorded for an ingested file, to skip unchanged files
+ * @param {string} sourceIdPrefix - e.g. `file:/docs/handbook.pdf#`
+ * @param {Object} [options]
+ * @param {string} [options.collection] - Only look in this collection
+ * @returns {Promise<{sha256: string|null, chunks: number}|null>} null when nothing is indexed under the prefix
+ */
+async function getIndexedSource(sourceIdPrefix, { collection = null } = {}) {
+  if (!config.indexer?.enabled) return null;
+  return executeWithRetry(async () => {
+    const res = await db.query(
+      `SELECT COUNT(*)::int AS chunks, MAX(metadata->>'sha256') AS sha256
+       FROM index_documents WHERE left(source_id, length($1)) = $1 AND ($2::text IS NULL OR collection = $2) AND tenant_id = $3;`,
+      [sourceIdPrefix, collection, tenancy.currentTenant()]
+    );
+    const row = res.rows[0];
+    return row && row.chunks > 0 ? { sha256: row.sha256 || null, chunks: row.chunks } : null;
+  }, 'getIndexedSource', null);
+}
+
+/**
+ * Remove indexed documents whose source id starts with a prefix, keeping document frequencies in step
+ * @param {string} sourceIdPrefix
+ * @param {Object} [options]
+ * @param {string} [options.collection] - Only remove from this collection
+ * @returns {Promise<number>} Documents removed
+ */
+async function removeIndexedDocuments(sourceIdPrefix, { collection = null } = {}) {
+  if (!config.indexer?.enabled) return 0;
+  return executeWithRetry(async () => {
+    const ids = (await db.query(
+      `SELECT id FROM index_documents WHERE left(source_id, length($1)) = $1 AND ($2::text IS NULL OR collection = $2) AND tenant_id = $3;`,
+      [sourceIdPrefix, collection, tenancy.currentTenant()]
+    )).rows.map(r => r.id);
+    if (!ids.length) return 0;
+    await db.query(
+      `UPDATE index_terms t SET df = GREATEST(t.df - c.n, 0)
+       FROM (SELECT term, COUNT(*)::int AS n FROM index_postings WHERE doc_id = ANY($1::int[]) GROUP BY term) c
+       WHERE t.term = c.term;`,
+      [ids]
+    );
+    await db.query(`DELETE FROM index_documents WHERE id = ANY($1::int[]);`, [ids]);
+    return ids.length;
+  }, 'removeIndexedDocuments', 0);
+}
+
+/**
+ * A single indexed passage, addressed the way local research cites it (doc:<id>#<chunk>)
+ * @param {number} docId - index_documents id
+ * @param {number} chunkIndex - Passage number within the document
+ * @returns {Promise<Object|null>} { docId, chunk, title, heading, text, start, end, metadata }
+ */
+async function getPassage(docId, chunkIndex) {
+  if (!config.indexer?.enabled) return null;
+  return executeWithRetry(async () => {
+    const r = await db.query(
+      `SELECT c.doc_id, c.chunk_index, c.heading, c.content, c.start_offset, c.end_offset, d.title, d.metadata
+       FROM index_chunks c JOIN index_documents d ON d.id = c.doc_id
+       WHERE c.doc_id = $1 AND c.chunk_index = $2 AND d.tenant_id = $3;`,
+      [docId, chunkIndex, tenancy.currentTenant()]
+    );
+    const row = r.rows[0];
+    if (!row) return null;
+    return {
+      docId: Number(row.doc_id),
+      chunk: Number(row.chunk_index),
+      title: row.title,
+      heading: row.heading || null,
+      text: row.content,
+      start: row.start_offset,
+      end: row.end_offset,
+      metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : (row.metadata || null)
+    };
+  }, 'getPassage', null);
+}
+
+const FACET_FIELDS = ['sourceType', 'tags', 'author', 'domain', 'year', 'reportId'];
+
+function asList(value) {
+  if (value == null || value === '') return null;
+  const list = (Array.isArray(value) ? value : [value]).filter(v => v != null && v !== '');
+  return list.length ? list : null;
+}
+
+function filterDate(value, name, endOfDay) {
+  if (!value) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+  const ts = new Date(value);
+  if (isNaN(ts.getTime())) throw new Error(`Invalid ${name} date: ${value}`);
+  // A bare date as the upper bound covers that whole day
+  if (endOfDay && dateOnly) return { value: new Date(ts.getTime() + 86400000).toISOString(), op: '<' };
+  return { value: ts.toISOString(), op: endOfDay ? '<=' : '>=' };
+}
+
+/**
+ * Validate search filters; null when none are set
+ * @private
+ */
+function normalizeFilters(filters) {
+  if (!filters) return null;
+  const f = {
+    sourceTypes: asList(filters.sourceType),
+    since: filterDate(filters.since, 'since', false),
+    until: filterDate(filters.until, 'until', true),
+    tags: asList(filters.tags) && normalizeTags(filters.tags),
+    authors: asList(filters.author) && asList(filters.author).map(a => String(a).trim().toLowerCase()),
+    domains: asList(filters.domain) && asList(filters.domain).map(normalizeDomain).filter(Boolean),
+    reportIds: asList(filters.reportId) && asList(filters.reportId).map(id => parseInt(id, 10)).filter(Number.isInteger),
+    minAccuracy: filters.minAccuracy != null ? Number(filters.minAccuracy) : null,
+    minRating: filters.minRating != null ? Number(filters.minRating) : null,
+    collections: asList(filters.collection) && asList(filters.collection).map(collections.normalizeCollection)
+  };
+  return Object.values(f).some(v => v != null) ? f : null;
+}
+
+/**
+ * SQL conditions on index_documents (alias d) for search filters. Accuracy, rating
+ * and report tags come from the originating report (alias rr, joined through
+ * report_id). Bound values are appended to `params`. The current tenant is
+ * always a condition, filters or not.
+ * @private
+ * @returns {{join: string, where: string}}
+ */
+function documentFilterSql(f, params) {
+  const bind = v => { params.push(v); return `$${params.length}`; };
+  const conds = [`d.tenant_id = ${bind(tenancy.currentTenant())}`];
+  if (!f) return { join: '', where: conds[0] };
+  if (f.sourceTypes) conds.push(`d.source_type = ANY(${bind(f.sourceTypes)}::text[])`);
+  if (f.since) conds.push(`COALESCE(d.published_at, d.created_at) ${f.since.op} ${bind(f.since.value)}::timestamptz`);
+  if (f.until) conds.push(`COALESCE(d.published_at, d.created_at) ${f.until.op} ${bind(f.until.value)}::timestamptz`);
+  if (f.tags) conds.push(`COALESCE(d.tags, rr.tags) ?| ${bind(f.tags)}::text[]`);
+  if (f.authors) conds.push(`lower(d.author) = ANY(${bind(f.authors)}::text[])`);
+  if (f.domains) conds.push(`EXISTS (SELECT 1 FROM unnest(${bind(f.domains)}::text[]) x WHERE d.domain = x OR d.domain LIKE '%.' || x)`);
+  if (f.reportIds) conds.push(`d.report_id = ANY(${bind(f.reportIds)}::int[])`);
+  if (f.minAccuracy != null) conds.push(`rr.accuracy_score >= ${bind(f.minAccuracy)}`);
+  if (f.minRating != null) conds.push(`rr.rating >= ${bind(f.minRating)}`);
+  if (f.collections) conds.push(`d.collection = ANY(${bind(f.collections)}::text[])`);
+  const needsReport = f.tags || f.minAccuracy != null || f.minRating != null;
+  return { join: needsReport ? 'LEFT JOIN reports rr ON rr.id = d.report_id' : '', where: conds.join(' AND ') };
+}
+
+/**
+ * SQL conditions on reports (alias r) for search filters and the current
+ * tenant, or null when the filters rule reports out (another source type, or
+ * author/domain, which only documents have)
+ * @private
+ */
+function reportFilterSql(f, params) {
+  if (f && ((f.sourceTypes && !f.sourceTypes.includes('report')) || f.authors || f.domains)) return null;
+  const bind = v => { params.push(v); return `$${params.length}`; };
+  const conds = [`r.tenant_id = ${bind(tenancy.currentTenant())}`];
+  if (!f) return conds[0];
+  if (f.since) conds.push(`r.created_at ${f.since.op} ${bind(f.since.value)}::timestamptz`);
+  if (f.until) conds.push(`r.created_at ${f.until.op} ${bind(f.until.value)}::timestamptz`);
+  if (f.tags) conds.push(`r.tags ?| ${bind(f.tags)}::text[]`);
+  if (f.reportIds) conds.push(`r.id = ANY(${bind(f.reportIds)}::int[])`);
+  if (f.minAccuracy != null) conds.push(`r.accuracy_score >= ${bind(f.minAccuracy)}`);
+  if (f.minRating != null) conds.push(`r.rating >= ${bind(f.minRating)}`);
+  if (f.collections) conds.push(`r.collection = ANY(${bind(f.collections)}::text[])`);
+  return conds.join(' AND ');
+}
+
+/**
+ * Whole-document BM25 candidates with their vector similarity (chunking disabled)
+ * @private
+ */
+async function searchDocuments(terms, qVec, limit, filters = null) {
   const placeholders = terms.map((_, i) => `$${i + 1}`).join(',');
+  const params = [...terms];
+  const filter = documentFilterSql(filters, params);
 
   // Compute BM25 for documents with true k1/b and avgdl
   const bm25Docs = await executeWithRetry(async () => {
@@ -690,6 +1268,8 @@ async function searchHybrid(queryText, limit = 10) {
          JOIN q_terms ON q_terms.term = tf.term
          CROSS JOIN stats
          JOIN index_documents d ON d.id = tf.doc_id
+         ${filter.join}
+         WHERE ${filter.where}
        ),
        scoring AS (
          SELECT doc_id,
@@ -697,25 +1277,18 @@ async function searchHybrid(queryText, limit = 10) {
          FROM joined
          GROUP BY doc_id
        )
-       SELECT d.id, d.source_type, d.source_id, d.title, d.content, s.bm25,
+       SELECT d.id, d.source_type, d.source_id, d.title, d.content, d.metadata, s.bm25,
               COALESCE(u.uses,0) AS uses
        FROM scoring s JOIN index_documents d ON d.id = s.doc_id
        LEFT JOIN usage_counters u ON u.entity_type = 'doc' AND u.entity_id = d.source_id
        ORDER BY s.bm25 DESC
        LIMIT ${limit}
       `,
-      terms
+      params
     );
     return res.rows.map(r => ({ ...r, bm25: Number(r.bm25 || 0), uses: Number(r.uses || 0) }));
   }, 'searchBM25Docs', []);
 
-  // Vector similarities
-  let qEmb = null; let qVec = null;
-  if (isEmbedderReady && (weights.vector || 0) > 0) {
-    qEmb = await generateEmbedding(queryText);
-    qVec = qEmb ? formatVectorForPgLite(qEmb) : null;
-  }
-
   // Doc vector scores
   let docVecScores = new Map();
   if (qVec && bm25Docs.length > 0) {
@@ -732,89 +1305,394 @@ async function searchHybrid(queryText, limit = 10) {
     for (const row of rows) docVecScores.set(Number(row.id), Number(row.sim));
   }
 
-  // Report vector scores (top-k recent for performance)
-  let reportVecRows = [];
+  return bm25Docs.map(d => ({
+    kind: 'doc',
+    bm25: d.bm25 || 0,
+    vector: docVecScores.has(Number(d.id)) ? docVecScores.get(Number(d.id)) : null,
+    result: {
+      type: 'doc',
+      id: d.id,
+      source_type: 'doc',
+      source_id: d.source_id,
+      title: d.title,
+      snippet: (d.content || '').slice(0, 300),
+      ...(d.metadata ? { metadata: typeof d.metadata === 'string' ? JSON.parse(d.metadata) : d.metadata } : {}),
+      usageCount: d.uses || 0
+    }
+  }));
+}
+
+/**
+ * Passage candidates: BM25 over chunk postings plus nearest chunk embeddings,
+ * each with its parent document
+ * @private
+ */
+async function searchPassages(terms, qVec, limit, filters = null) {
+  const windowSize = Math.max(limit * 5, 25);
+  const placeholders = terms.map((_, i) => `$${i + 1}`).join(',');
+  // Each passage joins its document for the tenant condition and filters
+  const docJoin = join => `JOIN index_documents d ON d.id = c.doc_id ${join}`;
+
+  // BM25 with chunk-level document frequencies, counted from the postings so deletes need no bookkeeping
+  const bm25 = new Map();
+  const bm25Rows = await executeWithRetry(async () => {
+    const k1 = config.indexer?.bm25?.k1 || 1.2;
+    const b = config.indexer?.bm25?.b || 0.75;
+    const params = [...terms];
+    const filter = documentFilterSql(filters, params);
+    const res = await db.query(
+      `WITH q_terms AS (
+         SELECT term, COUNT(*)::float AS df FROM index_chunk_postings WHERE term IN (${placeholders}) GROUP BY term
+       ),
+       stats AS (
+         SELECT COUNT(*)::float AS N, COALESCE(AVG(chunk_len),1)::float AS avgdl FROM index_chunks
+       )
+       SELECT p.chunk_id,
+         SUM( (LN(1 + ((stats.N - q_terms.df + 0.5)/(q_terms.df + 0.5)))) * ( (p.tf * (${k1}+1.0)) / (p.tf + ${k1} * (1 - ${b} + ${b} * (COALESCE(c.chunk_len,1)::float / NULLIF(stats.avgdl,0))) ) ) ) AS bm25
+       FROM index_chunk_postings p
+       JOIN q_terms ON q_terms.term = p.term
+       JOIN index_chunks c ON c.id = p.chunk_id
+       ${docJoin(filter.join)}
+       CROSS JOIN stats
+       WHERE ${filter.where}
+       GROUP BY p.chunk_id
+       ORDER BY bm25 DESC
+       LIMIT ${windowSize}`,
+      params
+    );
+    return res.rows;
+  }, 'searchBM25Chunks', []);
+  for (const r of bm25Rows) bm25.set(Number(r.chunk_id), Number(r.bm25 || 0));
+
+  // Nearest passages by embedding, plus similarities for the BM25 candidates
+  const sims = new Map();
   if (qVec) {
-    reportVecRows = await executeWithRetry(async () => {
+    const near = await executeWithRetry(async () => {
+      const params = [qVec, windowSize];
+      const filter = documentFilterSql(filters, params);
       const r = await db.query(
-        `SELECT r.id, r.original_query, r.final_report, 1 - (r.query_embedding <=> $1::vector) AS sim,
-                COALESCE(u.uses,0) AS uses
-         FROM reports r
-         LEFT JOIN usage_counters u ON u.entity_type = 'report' AND u.entity_id = r.id::text
-         WHERE r.query_embedding IS NOT NULL
-         ORDER BY sim DESC
+        `SELECT c.id, 1 - (c.chunk_embedding <=> $1::vector) AS sim FROM index_chunks c
+         ${docJoin(filter.join)}
+         WHERE c.chunk_embedding IS NOT NULL AND ${filter.where}
+         ORDER BY c.chunk_embedding <=> $1::vector
          LIMIT $2;`,
-        [qVec, Math.max(50, limit)]
+        params
       );
-      return r.rows.map(row => ({ id: row.id, sim: Number(row.sim), original_query: row.original_query, final_report: row.final_report, uses: Number(row.uses || 0) }));
-    }, 'vectorReportsLookup', []);
+      return r.rows;
+    }, 'vectorChunksLookup', []);
+    for (const row of near) sims.set(Number(row.id), Number(row.sim));
+    const missing = [...bm25.keys()].filter(id => !sims.has(id));
+    if (missing.length) {
+      const rows = await executeWithRetry(async () => {
+        const r = await db.query(
+          `SELECT id, 1 - (chunk_embedding <=> $1::vector) AS sim FROM index_chunks
+           WHERE id = ANY($2::int[]) AND chunk_embedding IS NOT NULL;`,
+          [qVec, missing]
+        );
+        return r.rows;
+      }, 'vectorChunkScores', []);
+      for (const row of rows) sims.set(Number(row.id), Number(row.sim));
+    }
   }
 
-  // Normalize and combine
-  const allDocBm25 = bm25Docs.map(x => x.bm25);
-  const bm25Min = Math.min(...allDocBm25, 0);
-  const bm25Max = Math.max(...allDocBm25, 1);
-  const norm = (v, min, max) => (max - min) > 0 ? (v - min) / (max - min) : 0;
+  const ids = [...new Set([...bm25.keys(), ...sims.keys()])];
+  if (ids.length === 0) return [];
+  const chunks = await executeWithRetry(async () => {
+    const r = await db.query(
+      `SELECT c.id, c.doc_id, c.chunk_index, c.heading, c.content, c.start_offset, c.end_offset,
+              d.source_id, d.title, d.metadata, char_length(d.content) AS doc_length,
+              (SELECT COUNT(*)::int FROM index_chunks x WHERE x.doc_id = d.id) AS chunk_count,
+              COALESCE(u.uses,0) AS uses
+       FROM index_chunks c
+       JOIN index_documents d ON d.id = c.doc_id
+       LEFT JOIN usage_counters u ON u.entity_type = 'doc' AND u.entity_id = d.source_id
+       WHERE c.id = ANY($1::int[]);`,
+      [ids]
+    );
+    return r.rows;
+  }, 'loadChunks', []);
+
+  return chunks.map(c => ({
+    kind: 'passage',
+    bm25: bm25.get(Number(c.id)) || 0,
+    vector: sims.has(Number(c.id)) ? sims.get(Number(c.id)) : null,
+    chunk: c
+  }));
+}
+
+/**
+ * Group scored passages by parent document. A document scores as its best
+ * passage and returns its top passages with offsets into the stored content.
+ * @private
+ */
+function groupPassages(candidates, explain) {
+  const perDoc = config.indexer?.chunking?.passagesPerDoc || 3;
+  const byDoc = new Map();
+  for (const cand of candidates) {
+    const c = cand.chunk;
+    const passage = {
+      chunkId: Number(c.id),
+      chunk: c.chunk_index,
+      heading: c.heading || null,
+      start: c.start_offset,
+      end: c.end_offset,
+      text: c.content,
+      score: cand.score,
+      ...(explain ? { explain: cand.components } : {})
+    };
+    if (!byDoc.has(c.doc_id)) byDoc.set(c.doc_id, { doc: c, passages: [] });
+    byDoc.get(c.doc_id).passages.push({ passage, cand });
+  }
 
-  const docResults = bm25Docs.map(d => {
-    const bm25N = norm(d.bm25 || 0, bm25Min, bm25Max);
-    const v = docVecScores.get(Number(d.id)) || 0;
-    const hybrid = (weights.bm25 || 0) * bm25N + (weights.vector || 0) * v;
+  return [...byDoc.values()].map(({ doc: d, passages }) => {
+    passages.sort((a, b) => b.passage.score - a.passage.score);
+    const best = passages[0];
     return {
       type: 'doc',
-      id: d.id,
+      id: d.doc_id,
       source_type: 'doc',
       source_id: d.source_id,
       title: d.title,
-      snippet: (d.content || '').slice(0, 300),
-      bm25: d.bm25 || 0,
-      vectorScore: v,
-      hybridScore: hybrid,
-      usageCount: d.uses || 0
+      snippet: best.passage.text.slice(0, 300),
+      ...(d.metadata ? { metadata: typeof d.metadata === 'string' ? JSON.parse(d.metadata) : d.metadata } : {}),
+      passages: passages.slice(0, perDoc).map(p => p.passage),
+      document: { id: d.doc_id, length: Number(d.doc_length || 0), chunks: Number(d.chunk_count || 0) },
+      bm25: best.cand.bm25,
+      vectorScore: best.cand.vector || 0,
+      hybridScore: best.passage.score,
+      usageCount: Number(d.uses || 0),
+      ...(explain ? { explain: { ...best.cand.components, passage: best.passage.chunk } } : {})
     };
   });
+}
 
-  const reportResults = reportVecRows.map(r => ({
-    type: 'report',
-    id: r.id,
-    source_type: 'report',
-    source_id: String(r.id),
-    title: (r.original_query || `Report ${r.id}`).slice(0, 160),
-    snippet: (r.final_report || '').slice(0, 300),
+/**
+ * Document and passage counts for index_status
+ * @returns {Promise<{documents: number, chunks: number, embeddedChunks: number}|null>}
+ */
+async function getIndexStats() {
+  if (!config.indexer?.enabled) return null;
+  return executeWithRetry(async () => {
+    const r = await db.query(
+      `SELECT (SELECT COUNT(*)::int FROM index_documents WHERE tenant_id = $1) AS documents,
+              (SELECT COUNT(*)::int FROM index_chunks c JOIN index_documents d ON d.id = c.doc_id WHERE d.tenant_id = $1) AS chunks,
+              (SELECT COUNT(*)::int FROM index_chunks c JOIN index_documents d ON d.id = c.doc_id
+               WHERE d.tenant_id = $1 AND c.chunk_embedding IS NOT NULL) AS embedded_chunks;`,
+      [tenancy.currentTenant()]
+    );
+    const row = r.rows[0] || {};
+    return { documents: row.documents || 0, chunks: row.chunks || 0, embeddedChunks: row.embedded_chunks || 0 };
+  }, 'getIndexStats', null);
+}
+
+/**
+ * Reranker for a search: an explicit 'none' | 'llm' | 'cross-encoder', true for the
+ * configured one (LLM when none is configured), false for none
+ * @private
+ */
+function resolveReranker(option) {
+  const configured = config.indexer?.reranker || 'none';
+  if (option === undefined || option === null) return configured;
+  if (option === false) return 'none';
+  if (option === true) return configured !== 'none' ? configured : 'llm';
+  return option;
+}
+
+/**
+ * Reorder the top results with the LLM or the local cross-encoder
+ * @private
+ */
+async function rerankResults(queryText, items, reranker, explain) {
+  if (reranker === 'cross-encoder') {
+    const ranked = await crossEncoder.crossEncoderRerank(queryText, items, {
+      model: config.indexer?.crossEncoderModel,
+      textOf: it => `${it.title || ''}\n${it.passages?.[0]?.text || it.snippet || ''}`
+    });
+    return ranked.map(({ item, score }, i) => ({
+      ...item,
+      rerankScore: score,
+      ...(explain ? { explain: { ...item.explain, rerank: { method: reranker, model: config.indexer?.crossEncoderModel, score, position: i + 1 } } } : {})
+    }));
+  }
+  if (reranker === 'llm') {
+    const ranked = await rerankWithLLM(queryText, items);
+    return ranked.map((item, i) => (explain ? { ...item, explain: { ...item.explain, rerank: { method: reranker, position: i + 1 } } } : item));
+  }
+  throw new Error(`Unknown reranker '${reranker}' (expected none, llm or cross-encoder)`);
+}
+
+/**
+ * Hybrid BM25 + vector search over indexed documents (or their passages) and
+ * saved reports. Candidates are scored together by one fusion method; the top
+ * window can then be reordered by a reranker.
+ * @param {string} queryText
+ * @param {number} [limit=10]
+ * @param {Object} [options]
+ * @param {string} [options.fusion] - 'weighted' | 'rrf' | 'zscore' (default indexer.fusion)
+ * @param {{bm25: number, vector: number}} [options.weights] - Default indexer.weights
+ * @param {string|boolean} [options.rerank] - 'none' | 'llm' | 'cross-encoder'; true = configured reranker
+ * @param {boolean} [options.explain=false] - Attach score components to each result and passage
+ * @param {Object} [options.filters] - { sourceType, since, until, tags, author, domain, reportId, minAccuracy, minRating };
+ *   applied inside the BM25 and vector queries
+ * @param {string} [options.scope='both'] - 'docs' | 'reports' | 'both'
+ * @param {string} [options.collection] - Only search this collection (default: every collection)
+ * @returns {Promise<Array<Object>>}
+ */
+async function searchHybrid(queryText, limit = 10, options = {}) {
+  const { fusion, weights: weightOverride, rerank, explain = false, scope = 'both', collection } = options || {};
+  const filters = normalizeFilters(collection ? { ...options.filters, collection } : options?.filters);
+  const weights = weightOverride || config.indexer?.weights || searchFusion.DEFAULT_WEIGHTS;
+  const fusionOptions = { method: fusion || config.indexer?.fusion || 'weighted', weights, rrfK: config.indexer?.rrfK || 60 };
+  const reranker = resolveReranker(rerank);
+  const terms = tokenize(queryText);
+  if (terms.length === 0) return [];
+
+  // Query embedding
+  let qEmb = null; let qVec = null;
+  if (vectorsReady() && (weights.vector || 0) > 0) {
+    qEmb = await generateEmbedding(queryText);
+    qVec = qEmb ? formatVectorForPgLite(qEmb) : null;
+  }
+
+  const passageMode = !!config.indexer?.chunking?.enabled;
+  const docCandidates = scope === 'reports'
+    ? []
+    : passageMode
+      ? await searchPassages(terms, qVec, limit, filters)
+      : await searchDocuments(terms, qVec, limit, filters);
+
+  // Report vector scores (top-k recent for performance)
+  let reportVecRows = [];
+  const reportParams = [qVec, Math.max(50, limit)];
+  const reportWhere = scope === 'docs' ? null : reportFilterSql(filters, reportParams);
+  if (qVec && reportWhere) {
+    reportVecRows = await executeWithRetry(async () => {
+      const r = await db.query(
+        `SELECT r.id, r.original_query, r.final_report, 1 - (r.query_embedding <=> $1::vector) AS sim,
+                COALESCE(u.uses,0) AS uses
+         FROM reports r
+         LEFT JOIN usage_counters u ON u.entity_type = 'report' AND u.entity_id = r.id::text
+         WHERE r.query_embedding IS NOT NULL AND ${reportWhere}
+         ORDER BY sim DESC
+         LIMIT $2;`,
+        reportParams
+      );
+      return r.rows.map(row => ({ id: row.id, sim: Number(row.sim), original_query: row.original_query, final_report: row.final_report, uses: Number(row.uses || 0) }));
+    }, 'vectorReportsLookup', []);
+  }
+
+  const reportCandidates = reportVecRows.map(r => ({
+    kind: 'report',
     bm25: 0,
-    vectorScore: r.sim,
-    hybridScore: (weights.vector || 0) * r.sim,
-    usageCount: r.uses || 0
+    vector: r.sim,
+    result: {
+      type: 'report',
+      id: r.id,
+      source_type: 'report',
+      source_id: String(r.id),
+      title: (r.original_query || `Report ${r.id}`).slice(0, 160),
+      snippet: (r.final_report || '').slice(0, 300),
+      usageCount: r.uses || 0
+    }
   }));
 
-  const combined = [...docResults, ...reportResults]
+  // Score passages/documents and reports on one scale
+  const candidates = [...docCandidates, ...reportCandidates];
+  searchFusion.fuse(candidates, fusionOptions).forEach((f, i) => Object.assign(candidates[i], f));
+  const toResult = c => ({
+    ...c.result,
+    bm25: c.bm25,
+    vectorScore: c.vector || 0,
+    hybridScore: c.score,
+    ...(explain ? { explain: c.components } : {})
+  });
+  const docResults = passageMode
+    ? groupPassages(candidates.filter(c => c.kind === 'passage'), explain)
+    : candidates.filter(c => c.kind === 'doc').map(toResult);
+
+  const pool = Math.max(limit, reranker !== 'none' ? (config.indexer?.rerankWindow || 20) : 10);
+  const combined = [...docResults, ...reportCandidates.map(toResult)]
     .sort((a, b) => b.hybridScore - a.hybridScore)
-    .slice(0, Math.max(limit, 10));
+    .slice(0, pool);
+
+  // Optional rerank of the top window
+  if (reranker !== 'none' && combined.length > 1) {
+    try {
+      const window = combined.slice(0, Math.min(config.indexer?.rerankWindow || 20, combined.length));
+      const reranked = await rerankResults(queryText, window, reranker, explain);
+      return [...reranked, ...combined.slice(window.length)].slice(0, limit);
+    } catch (e) {
+      logger.warn('Rerank failed, returning fused scores', { reranker, error: e.message });
+    }
+  }
+
+  return combined.slice(0, limit);
+}
+
+/**
+ * Facet counts for a search: indexed documents that contain a query term and
+ * pass the filters, counted by source type, tag, author, domain, year
+ * (published, else indexed) and originating report
+ * @param {string} queryText
+ * @param {Object} [filters] - Same shape as searchHybrid options.filters
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields] - Subset of FACET_FIELDS (default all)
+ * @param {number} [options.size=10] - Values returned per facet, most frequent first
+ * @param {string} [options.collection] - Only count this collection
+ * @returns {Promise<Object<string, Array<{value: string, count: number}>>>}
+ */
+async function searchFacets(queryText, filters = null, { fields = FACET_FIELDS, size = 10, collection = null } = {}) {
+  const wanted = fields.filter(f => FACET_FIELDS.includes(f));
+  const facets = Object.fromEntries(wanted.map(f => [f, []]));
+  const terms = tokenize(queryText);
+  if (!config.indexer?.enabled || !terms.length || !wanted.length) return facets;
+
+  const params = [terms];
+  const { where } = documentFilterSql(normalizeFilters(collection ? { ...filters, collection } : filters), params);
+  const matched = config.indexer.chunking?.enabled
+    ? `SELECT c.doc_id FROM index_chunk_postings p JOIN index_chunks c ON c.id = p.chunk_id WHERE p.term = ANY($1::text[])`
+    : `SELECT doc_id FROM index_postings WHERE term = ANY($1::text[])`;
+  const facetSql = {
+    sourceType: `SELECT 'sourceType' AS facet, source_type AS value, COUNT(*)::int AS count FROM m GROUP BY 2`,
+    tags: `SELECT 'tags' AS facet, t AS value, COUNT(*)::int AS count FROM m, jsonb_array_elements_text(COALESCE(m.tags, '[]'::jsonb)) t GROUP BY 2`,
+    author: `SELECT 'author' AS facet, author AS value, COUNT(*)::int AS count FROM m WHERE author IS NOT NULL GROUP BY 2`,
+    domain: `SELECT 'domain' AS facet, domain AS value, COUNT(*)::int AS count FROM m WHERE domain IS NOT NULL GROUP BY 2`,
+    year: `SELECT 'year' AS facet, to_char(ts, 'YYYY') AS value, COUNT(*)::int AS count FROM m GROUP BY 2`,
+    reportId: `SELECT 'reportId' AS facet, report_id::text AS value, COUNT(*)::int AS count FROM m WHERE report_id IS NOT NULL GROUP BY 2`
+  };
 
-  // Optional LLM rerank of the top window
-  if (config.indexer?.rerankEnabled && (config.indexer?.rerankModel || config.models?.planning)) {
-    try {
-      const window = combined.slice(0, Math.min(50, combined.length));
-      const reranked = await rerankWithLLM(queryText, window);
-      return reranked.slice(0, limit);
-    } catch (e) {
-      console.warn(`[${new Date().toISOString()}] LLM rerank failed, returning hybrid scores.`, e.message);
-    }
-  }
+  const rows = await executeWithRetry(async () => {
+    const r = await db.query(
+      `WITH m AS (
+         SELECT d.source_type, COALESCE(d.tags, rr.tags) AS tags, d.author, d.domain,
+                COALESCE(d.published_at, d.created_at) AS ts, d.report_id
+         FROM index_documents d
+         LEFT JOIN reports rr ON rr.id = d.report_id
+         WHERE d.id IN (${matched}) AND ${where}
+       )
+       ${wanted.map(f => facetSql[f]).join('\n       UNION ALL ')};`,
+      params
+    );
+    return r.rows;
+  }, 'searchFacets', []);
 
-  return combined.slice(0, limit);
+  for (const row of rows) facets[row.facet].push({ value: row.value, count: Number(row.count) });
+  for (const f of wanted) facets[f] = facets[f].sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))).slice(0, size);
+  return facets;
 }
 
 async function indexExistingReports(limit = 1000) {
   if (!config.indexer?.enabled) return 0;
   const rows = await executeWithRetry(async () => {
-    const r = await db.query(`SELECT id, original_query, final_report, created_at FROM reports ORDER BY id DESC LIMIT $1;`, [limit]);
+    const r = await db.query(`SELECT id, original_query, final_report, created_at, collection, tenant_id FROM reports ORDER BY id DESC LIMIT $1;`, [limit]);
     return r.rows;
   }, 'loadReportsForIndex', []);
   let count = 0;
   for (const row of rows) {
     const title = row.original_query?.slice(0, 120) || `Report ${row.id}`;
-    const ok = await indexDocument({ sourceType: 'report', sourceId: String(row.id), title, content: row.final_report || '' });
+    // Maintenance runs across tenants; each report is indexed under its own
+    const ok = await tenancy.runAsTenant(row.tenant_id, () =>
+      indexDocument({ sourceType: 'report', sourceId: String(row.id), title, content: row.final_report || '', collection: row.collection }));
     if (ok) count++;
   }
   return count;
@@ -874,17 +1752,23 @@ async function executeWithRetry(operation, operationName) {
   }
 }
 
-async function saveResearchReport({ originalQuery, parameters, finalReport, researchMetadata, images, textDocuments, structuredData, basedOnPastReportIds, accuracyScore, factCheckResults }) {
+async function saveResearchReport({ originalQuery, parameters, finalReport, researchMetadata, images, textDocuments, structuredData, basedOnPastReportIds, accuracyScore, factCheckResults, previousVersionOf, sources, tags, collection, artifacts }) {
   const { DatabaseError } = require('./errors');
 
+  // A refresh is stored as the next version of the same logical report. The group never
+  // changes, but the version number is taken inside the INSERT so concurrent refreshes
+  // cannot both claim it (the unique group/version index rejects any that still collide,
+  // and the retry takes the next one)
+  const reportGroupId = previousVersionOf != null ? (await getLatestReportVersion(previousVersionOf)).groupId : null;
+
   if (!isEmbedderReady) {
     logger.warn('Embedder not ready, saving report without embedding', {
       queryPreview: originalQuery.substring(0, 50)
     });
   }
 
-  // Generate embedding for the query
-  const queryEmbedding = await generateEmbedding(originalQuery);
+  // Generate embedding for the query (skipped while the embedder does not match the stored vectors)
+  const queryEmbedding = vectorWriteColumn('query_embedding') ? await generateEmbedding(originalQuery) : null;
   const queryEmbeddingFormatted = queryEmbedding ? formatVectorForPgLite(queryEmbedding) : null;
 
   // executeWithRetry now THROWS on failure - no fallback
@@ -893,7 +1777,7 @@ async function saveResearchReport({ originalQuery, parameters, finalReport, rese
       const res = await db.query(
         `INSERT INTO reports (
           original_query,
-          query_embedding,
+          ${vectorWriteColumn('query_embedding') || 'query_embedding'},
           parameters,
           final_report,
           research_metadata,
@@ -903,8 +1787,17 @@ async function saveResearchReport({ originalQuery, parameters, finalReport, rese
           based_on_past_report_ids,
           accuracy_score,
           fact_check_results,
+          report_group_id,
+          version,
+          sources,
+          tags,
+          collection,
+          tenant_id,
+          artifacts,
           created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id;`,
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+          COALESCE((SELECT MAX(COALESCE(version, 1)) + 1 FROM reports WHERE COALESCE(report_group_id, id) = $12), 1),
+          $13, $14, $15, $16, $17, $18) RETURNING id, version;`,
         [
           originalQuery,
           queryEmbeddingFormatted,
@@ -917,6 +1810,12 @@ async function saveResearchReport({ originalQuery, parameters, finalReport, rese
           JSON.stringify(basedOnPastReportIds || []),
           accuracyScore ?? null,
           JSON.stringify(factCheckResults || null),
+          reportGroupId,
+          JSON.stringify(sources || null),
+          JSON.stringify(normalizeTags(tags).length ? normalizeTags(tags) : null),
+          collection ? collections.normalizeCollection(collection) : collections.defaultCollection(),
+          tenancy.currentTenant(),
+          JSON.stringify(artifacts && artifacts.length ? artifacts : null),
           new Date().toISOString()
         ]
       );
@@ -930,11 +1829,41 @@ async function saveResearchReport({ originalQuery, parameters, finalReport, rese
     'saveResearchReport'
   );
 
-  const reportId = result.rows[0].id;
-  logger.info('Successfully saved research report', { reportId, accuracyScore: accuracyScore ?? 'N/A' });
+  const { id: reportId, version } = result.rows[0];
+  logger.info('Successfully saved research report', { reportId, version, reportGroupId, accuracyScore: accuracyScore ?? 'N/A' });
   return reportId.toString();
 }
 
+// Resolve the logical report a report id belongs to and its newest version number
+async function getLatestReportVersion(reportId) {
+  const { NotFoundError } = require('./errors');
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT g.group_id, MAX(COALESCE(r.version, 1)) AS version
+       FROM (SELECT COALESCE(report_group_id, id) AS group_id FROM reports WHERE id = $1 AND tenant_id = $2) g
+       JOIN reports r ON COALESCE(r.report_group_id, r.id) = g.group_id
+       GROUP BY g.group_id;`,
+      [parseInt(reportId, 10), tenancy.currentTenant()]
+    );
+  }, 'getLatestReportVersion');
+  if (!result.rows.length) throw new NotFoundError('Report', reportId);
+  return { groupId: Number(result.rows[0].group_id), version: Number(result.rows[0].version) };
+}
+
+// All versions of the logical report that reportId belongs to, oldest first
+async function getReportVersions(reportId) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT r.id, COALESCE(r.version, 1) AS version, r.original_query, r.created_at
+       FROM reports r
+       WHERE COALESCE(r.report_group_id, r.id) = (SELECT COALESCE(report_group_id, id) FROM reports WHERE id = $1 AND tenant_id = $2)
+       ORDER BY version ASC, r.id ASC;`,
+      [parseInt(reportId, 10), tenancy.currentTenant()]
+    );
+  }, 'getReportVersions');
+  return result.rows.map(r => ({ id: String(r.id), version: Number(r.version), originalQuery: r.original_query, createdAt: r.created_at }));
+}
+
 // Lightweight LLM reranker using planning model; expects minimal tokens
 async function rerankWithLLM(queryText, items) {
   const model = config.indexer?.rerankModel || config.models.planning;
@@ -974,8 +1903,8 @@ async function addFeedbackToReport(reportId, feedback) {
     async () => {
       // First, get the current feedback entries
       const currentResult = await db.query(
-        `SELECT feedback_entries FROM reports WHERE id = $1;`,
-        [reportIdNum]
+        `SELECT feedback_entries FROM reports WHERE id = $1 AND tenant_id = $2;`,
+        [reportIdNum, tenancy.currentTenant()]
       );
 
       if (currentResult.rows.length === 0) {
@@ -986,7 +1915,9 @@ async function addFeedbackToReport(reportId, feedback) {
       let feedbackEntries = [];
       const currentFeedbackJson = currentResult.rows[0].feedback_entries;
       try {
-        if (currentFeedbackJson && currentFeedbackJson.trim() !== '') {
+        if (Array.isArray(currentFeedbackJson)) {
+          feedbackEntries = currentFeedbackJson;
+        } else if (currentFeedbackJson && currentFeedbackJson.trim() !== '') {
           feedbackEntries = JSON.parse(currentFeedbackJson);
           if (!Array.isArray(feedbackEntries)) {
             logger.warn('Parsed feedback was not an array, resetting', { reportId });
@@ -1004,13 +1935,15 @@ async function addFeedbackToReport(reportId, feedback) {
         timestamp: new Date().toISOString()
       });
 
-      // Update the report
+      // Update the report; rating is the mean of all ratings given so far
+      const ratings = feedbackEntries.map(f => Number(f.rating)).filter(Number.isFinite);
       await db.query(
         `UPDATE reports
          SET feedback_entries = $1,
-             updated_at = $2
+             updated_at = $2,
+             rating = $4
          WHERE id = $3;`,
-        [JSON.stringify(feedbackEntries), new Date().toISOString(), reportIdNum]
+        [JSON.stringify(feedbackEntries), new Date().toISOString(), reportIdNum, ratings.length ? ratings.reduce((n, r) => n + r, 0) / ratings.length : null]
       );
     },
     'addFeedbackToReport'
@@ -1024,8 +1957,8 @@ async function findReportsByQuery(query) {
   const result = await executeWithRetry(
     async () => {
       return await db.query(
-        `SELECT * FROM reports WHERE original_query = $1 ORDER BY created_at DESC;`,
-        [query]
+        `SELECT * FROM reports WHERE original_query = $1 AND tenant_id = $2 ORDER BY created_at DESC;`,
+        [query, tenancy.currentTenant()]
       );
     },
     'findReportsByQuery'
@@ -1039,10 +1972,19 @@ async function findReportsByQuery(query) {
   }));
 }
 
-async function findReportsBySimilarity(queryText, limit = 5, minSimilarity = 0.80) {
-  // If embedder not ready, return empty (not an error)
-  if (!isEmbedderReady) {
-    logger.debug('Embedder not ready for similarity search');
+/**
+ * Past reports whose query embedding is close to a query
+ * @param {string} queryText
+ * @param {number} [limit=5]
+ * @param {number} [minSimilarity=0.80]
+ * @param {Object} [options]
+ * @param {string} [options.collection] - Only reports in this collection (default: every collection)
+ * @returns {Promise<Array<Object>>}
+ */
+async function findReportsBySimilarity(queryText, limit = 5, minSimilarity = 0.80, { collection = null } = {}) {
+  // If embedder not ready or stored vectors are from another model, return empty (not an error)
+  if (!vectorsReady()) {
+    logger.debug('Vector search unavailable for similarity search', { embedderReady: isEmbedderReady, migrating: !!embeddingState?.target });
     return [];
   }
 
@@ -1086,9 +2028,11 @@ async function findReportsBySimilarity(queryText, limit = 5, minSimilarity = 0.8
            FROM reports
            WHERE query_embedding IS NOT NULL
            AND 1 - (query_embedding <=> $1::vector) >= $2
+           AND ($4::text IS NULL OR collection = $4)
+           AND tenant_id = $5
            ORDER BY similarity_score DESC
            LIMIT $3;`,
-          [queryEmbeddingFormatted, thr, limit]
+          [queryEmbeddingFormatted, thr, limit, collection, tenancy.currentTenant()]
         );
       },
       'findReportsBySimilarity'
@@ -1128,41 +2072,33 @@ async function findReportsBySimilarity(queryText, limit = 5, minSimilarity = 0.8
   return [];
 }
 
-async function listRecentReports(limit = 10, queryFilter = null) {
+/**
+ * Most recent reports, newest first
+ * @param {number} [limit=10]
+ * @param {string} [queryFilter] - Substring of the original query (case-insensitive)
+ * @param {Object} [options]
+ * @param {string} [options.collection] - Only reports in this collection (default: every collection)
+ * @returns {Promise<Array<Object>>}
+ */
+async function listRecentReports(limit = 10, queryFilter = null, { collection = null } = {}) {
   const result = await executeWithRetry(
     async () => {
-      let query, params;
-
-      if (queryFilter) {
-        query = `
-          SELECT
-            id,
-            original_query,
-            parameters,
-            created_at,
-            research_metadata
-          FROM reports
-          WHERE original_query ILIKE $1
-          ORDER BY created_at DESC
-          LIMIT $2;
-        `;
-        params = [`%${queryFilter}%`, limit];
-      } else {
-        query = `
-          SELECT
-            id,
-            original_query,
-            parameters,
-            created_at,
-            research_metadata
-          FROM reports
-          ORDER BY created_at DESC
-          LIMIT $1;
-        `;
-        params = [limit];
-      }
-
-      return await db.query(query, params);
+      return await db.query(
+        `SELECT
+           id,
+           original_query,
+           parameters,
+           created_at,
+           research_metadata,
+           collection
+         FROM reports
+         WHERE ($1::text IS NULL OR original_query ILIKE $1)
+         AND ($2::text IS NULL OR collection = $2)
+         AND tenant_id = $4
+         ORDER BY created_at DESC
+         LIMIT $3;`,
+        [queryFilter ? `%${queryFilter}%` : null, collection, limit, tenancy.currentTenant()]
+      );
     },
     'listRecentReports'
   );
@@ -1355,7 +2291,9 @@ function hashInput(input) {
 // Initialize DB eagerly but non-blocking
 // Consumers MUST await waitForInit() before using database operations
 if (process.env.DB_EAGER_INIT !== 'false') {
-  initPromise = _doInitDB().then(async () => {
+  initPromise = _doInitDB();
+  // Post-init work runs off initPromise: its queries wait on initPromise themselves
+  initPromise.then(async () => {
     // Auto-index if configured
     if (config.indexer?.enabled && config.indexer.autoIndexReports) {
       try {
@@ -1365,6 +2303,24 @@ if (process.env.DB_EAGER_INIT !== 'false') {
         logger.warn('Auto-indexing failed', { error: e.message });
       }
     }
+    // Documents indexed before passage retrieval was enabled have no chunks yet
+    if (config.indexer?.enabled && config.indexer.chunking?.enabled) {
+      try {
+        const n = await backfillChunks(500);
+        if (n) logger.info('Chunked previously indexed documents', { count: n });
+      } catch (e) {
+        logger.warn('Chunk backfill failed', { error: e.message });
+      }
+    }
+    // Vectors stored by another embedding model are rebuilt in the background
+    const { ready } = await (embedderInitPromise || initializeEmbedder());
+    if (ready && getEmbeddingStatus().migrationNeeded) {
+      if (config.embeddings.autoMigrate) {
+        migrateEmbeddings().catch(e => logger.warn('Embedding migration failed; vector search stays off until reindex_vectors succeeds', { error: e.message }));
+      } else {
+        logger.warn('Stored vectors are from another embedding model; vector search is off until reindex_vectors runs', getEmbeddingStatus());
+      }
+    }
   }).catch(err => {
     // Error captured in initState/initError, will be thrown on waitForInit()
     logger.error('Background DB initialization failed', { error: err.message, state: initState });
@@ -1379,6 +2335,8 @@ module.exports = {
   findReportsBySimilarity,
   listRecentReports,
   getReportById,
+  getReportVersions,
+  getLatestReportVersion,
 
   // Database initialization - REQUIRED before operations
   initDB,
@@ -1395,6 +2353,8 @@ module.exports = {
   waitForEmbedder: () => embedderInitPromise || Promise.resolve({ ready: false }),
   isEmbedderReady: () => isEmbedderReady,
   isEmbedderMock: () => embedderIsMock,
+  getEmbeddingStatus,
+  migrateEmbeddings,
 
   // Query execution
   executeQuery,
@@ -1404,7 +2364,14 @@ module.exports = {
   // Indexer API
   indexDocument,
   searchHybrid,
+  searchFacets,
+  FACET_FIELDS,
   indexExistingReports,
+  getIndexedSource,
+  removeIndexedDocuments,
+  backfillChunks,
+  getIndexStats,
+  getPassage,
 
   // Jobs API
   createJob,
@@ -1416,10 +2383,40 @@ module.exports = {
   cancelJob,
   claimNextJob,
   heartbeatJob,
+  saveJobCheckpoint,
+  getJobCheckpoints,
+  clearJobCheckpoints,
+  setJobInputRequired,
+  resumeJobWithInput,
+  findJobByElicitationId,
+
+  // Watches API
+  createWatch,
+  getWatch,
+  listWatches,
+  deleteWatch,
+  getDueWatches,
+  advanceWatch,
+  recordWatchRun,
+  recordWatchReport,
 
   // Usage API
   incrementUsage,
   incrementUsageMany,
+  getClientUsage,
+  addClientUsage,
+  currentUsagePeriod,
+  recordCostEvents,
+  getCostReport,
+
+  // Source reliability API
+  getSourceReliability,
+  recordSourceRatings,
+
+  // Model routing statistics API
+  getModelStats,
+  recordModelCalls,
+  recordModelQuality,
 
   // Observation Infrastructure - Agent Zero Feedback Loop
   recordToolObservation,
@@ -1455,12 +2452,21 @@ async function getReportById(reportId) {
            text_documents,
            structured_data,
            based_on_past_report_ids,
+           COALESCE(report_group_id, id) AS report_group_id,
+           COALESCE(version, 1) AS version,
            created_at,
            updated_at,
-           feedback_entries
+           feedback_entries,
+           accuracy_score,
+           fact_check_results,
+           sources,
+           tags,
+           rating,
+           collection,
+           artifacts
          FROM reports
-         WHERE id = $1;`,
-        [reportIdNum]
+         WHERE id = $1 AND tenant_id = $2;`,
+        [reportIdNum, tenancy.currentTenant()]
       );
     },
     `getReportById(${reportId})`
@@ -1485,6 +2491,10 @@ async function getReportById(reportId) {
     structured_data: typeof report.structured_data === 'string' ? JSON.parse(report.structured_data) : report.structured_data,
     based_on_past_report_ids: typeof report.based_on_past_report_ids === 'string' ? JSON.parse(report.based_on_past_report_ids) : report.based_on_past_report_ids,
     feedback_entries: typeof report.feedback_entries === 'string' ? JSON.parse(report.feedback_entries) : report.feedback_entries,
+    fact_check_results: typeof report.fact_check_results === 'string' ? JSON.parse(report.fact_check_results) : report.fact_check_results,
+    sources: typeof report.sources === 'string' ? JSON.parse(report.sources) : report.sources,
+    tags: typeof report.tags === 'string' ? JSON.parse(report.tags) : report.tags,
+    artifacts: typeof report.artifacts === 'string' ? JSON.parse(report.artifacts) : report.artifacts,
     queryEmbedding: null
   };
 }
@@ -1509,18 +2519,287 @@ async function executeQuery(sql, params = []) {
   return result.rows;
 }
 
-// Function to rebuild the vector index safely
-async function reindexVectors() {
+// --- Embedding space ---
+// Every vector column holds embeddings from the single space recorded in embedding_state.
+// When config.embeddings names another model or dimension, vectors are rebuilt into
+// *_next columns and swapped in; vector search stays off until then.
+const VECTOR_COLUMNS = [
+  { table: 'reports', column: 'query_embedding', index: 'idx_reports_query_embedding' },
+  { table: 'index_documents', column: 'doc_embedding', index: 'idx_index_documents_embedding' },
+  { table: 'index_chunks', column: 'chunk_embedding', index: 'idx_index_chunks_embedding' }
+];
+
+function configuredEmbeddingSpec() {
+  try {
+    return embedders.resolveSpec(config.embeddings);
+  } catch (e) {
+    logger.warn('Invalid embeddings config, assuming the default model', { error: e.message });
+    return { provider: 'local', model: embedders.DEFAULT_LOCAL_MODEL, dimensions: config.database.vectorDimension };
+  }
+}
+
+/**
+ * Declared dimension of a vector column, or null when the table or column does not exist
+ * @private
+ */
+async function vectorColumnDimension(q, table, column) {
+  const r = await q.query(
+    `SELECT atttypmod AS dim FROM pg_attribute
+     WHERE attrelid = to_regclass($1) AND attname = $2 AND NOT attisdropped;`,
+    [table, column]
+  );
+  return r.rows[0] && r.rows[0].dim > 0 ? r.rows[0].dim : null;
+}
+
+/**
+ * Read the embedding_state row, recording it on first start: a new database takes
+ * the configured model, one created before the table existed keeps the default
+ * model its vectors were made with.
+ * @private
+ * @returns {Promise<number>} Dimension of the live vector columns
+ */
+async function loadEmbeddingState() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS embedding_state (
+      id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      dimensions INTEGER NOT NULL,
+      target_provider TEXT,
+      target_model TEXT,
+      target_dimensions INTEGER,
+      migration_started_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  let row = (await db.query(`SELECT * FROM embedding_state WHERE id = 1;`)).rows[0];
+  if (!row) {
+    const legacyDim = await vectorColumnDimension(db, 'reports', 'query_embedding');
+    const space = legacyDim
+      ? { provider: 'local', model: embedders.DEFAULT_LOCAL_MODEL, dimensions: legacyDim }
+      : configuredEmbeddingSpec();
+    await db.query(
+      `INSERT INTO embedding_state (id, provider, model, dimensions) VALUES (1, $1, $2, $3) ON CONFLICT (id) DO NOTHING;`,
+      [space.provider, space.model, space.dimensions]
+    );
+    row = (await db.query(`SELECT * FROM embedding_state WHERE id = 1;`)).rows[0];
+  }
+  embeddingState = {
+    provider: row.provider,
+    model: row.model,
+    dimensions: row.dimensions,
+    updatedAt: row.updated_at,
+    target: row.target_model
+      ? { provider: row.target_provider, model: row.target_model, dimensions: row.target_dimensions, startedAt: row.migration_started_at }
+      : null
+  };
+  logger.info('Embedding space loaded', { model: embeddingState.model, dimensions: embeddingState.dimensions, migrating: !!embeddingState.target });
+  return embeddingState.dimensions;
+}
+
+/**
+ * Add the migration's *_next column to every vector table that exists
+ * @private
+ */
+async function addNextColumns(q, dimensions) {
+  for (const v of VECTOR_COLUMNS) {
+    const exists = await q.query(`SELECT to_regclass($1) IS NOT NULL AS ok;`, [v.table]);
+    if (!exists.rows[0].ok) continue;
+    await q.query(`ALTER TABLE ${v.table} ADD COLUMN IF NOT EXISTS ${v.column}_next VECTOR(${dimensions});`);
+  }
+}
+
+/** Stored vectors and the loaded embedder share a space, so vector search is meaningful */
+function vectorsReady() {
+  return isEmbedderReady && embedders.sameSpace(embedderSpec, embeddingState);
+}
+
+/**
+ * Column new vectors are written to: the live column, the *_next column of a
+ * migration into the loaded embedder's space, or null when neither matches
+ * @private
+ */
+function vectorWriteColumn(column) {
+  if (!isEmbedderReady) return null;
+  if (embedders.sameSpace(embedderSpec, embeddingState)) return column;
+  if (embeddingState && embedders.sameSpace(embedderSpec, embeddingState.target)) return `${column}_next`;
+  return null;
+}
+
+/**
+ * Configured, stored and in-progress embedding spaces
+ * @returns {{configured: Object, embedder: Object|null, stored: Object|null, migration: Object|null, vectorsReady: boolean, migrationNeeded: boolean}}
+ */
+function getEmbeddingStatus() {
+  const stored = embeddingState
+    ? { provider: embeddingState.provider, model: embeddingState.model, dimensions: embeddingState.dimensions, updatedAt: embeddingState.updatedAt }
+    : null;
+  return {
+    configured: configuredEmbeddingSpec(),
+    embedder: embedderSpec ? { ...embedderSpec, ready: isEmbedderReady, mock: embedderIsMock } : null,
+    stored,
+    migration: embeddingState?.target ? { ...embeddingState.target, running: !!migrationPromise } : null,
+    vectorsReady: vectorsReady(),
+    migrationNeeded: !!embedderSpec && !!stored && !embedders.sameSpace(embedderSpec, stored)
+  };
+}
+
+/**
+ * Re-embed one table into its *_next column, in id order. Rows that already
+ * have a next vector are skipped, so an interrupted migration resumes.
+ * @private
+ */
+async function reembedRows({ table, column, kind, sql, toText, target, batchSize, onProgress }) {
+  let lastId = 0;
+  let done = 0;
+  for (;;) {
+    const rows = await executeWithRetry(async () => (await db.query(sql, [lastId, batchSize])).rows, `migrateEmbeddings.${table}`);
+    if (!rows.length) return done;
+    if (!embedders.sameSpace(embedderSpec, target)) {
+      throw new Error('Embedder changed during migration; run reindex_vectors again');
+    }
+    const vectors = await generateEmbeddingBatch(rows.map(toText), kind);
+    if (vectors.some(v => !v)) {
+      throw new Error(`Embedding ${table} failed; run reindex_vectors again to resume`);
+    }
+    await executeWithRetry(() => db.transaction(async (tx) => {
+      for (let i = 0; i < rows.length; i++) {
+        await tx.query(`UPDATE ${table} SET ${column}_next = $1::vector WHERE id = $2;`, [formatVectorForPgLite(vectors[i]), rows[i].id]);
+      }
+    }), `migrateEmbeddings.${table}`);
+    done += rows.length;
+    lastId = rows[rows.length - 1].id;
+    if (onProgress) await onProgress({ table, done });
+  }
+}
+
+async function runEmbeddingMigration(batchSize, onProgress) {
+  await waitForInit();
+  await (embedderInitPromise || initializeEmbedder());
+  if (!isEmbedderReady) throw new Error('Embedder not ready; cannot re-embed stored vectors');
+
+  const from = { provider: embeddingState.provider, model: embeddingState.model, dimensions: embeddingState.dimensions };
+  const to = { ...embedderSpec };
+  if (embedders.sameSpace(from, to)) return null;
+
+  const startedAt = Date.now();
+  const resume = embedders.sameSpace(embeddingState.target, to);
+  await executeWithRetry(() => db.transaction(async (tx) => {
+    if (!resume) {
+      for (const v of VECTOR_COLUMNS) {
+        if (await vectorColumnDimension(tx, v.table, `${v.column}_next`)) await tx.query(`ALTER TABLE ${v.table} DROP COLUMN ${v.column}_next;`);
+      }
+    }
+    await addNextColumns(tx, to.dimensions);
+    await tx.query(
+      `UPDATE embedding_state SET target_provider = $1, target_model = $2, target_dimensions = $3,
+         migration_started_at = CASE WHEN $4 THEN migration_started_at ELSE NOW() END
+       WHERE id = 1;`,
+      [to.provider, to.model, to.dimensions, resume]
+    );
+  }), 'migrateEmbeddings.prepare');
+  embeddingState.target = { ...to, startedAt: resume ? embeddingState.target.startedAt : new Date().toISOString() };
+  logger.info(resume ? 'Resuming embedding migration' : 'Starting embedding migration', { from, to });
+
+  const common = { target: to, batchSize, onProgress };
+  const reembedded = { reports: 0, documents: 0, chunks: 0 };
+  reembedded.reports = await reembedRows({
+    ...common,
+    table: 'reports',
+    column: 'query_embedding',
+    kind: 'query',
+    sql: `SELECT id, original_query FROM reports WHERE query_embedding_next IS NULL AND id > $1 ORDER BY id LIMIT $2;`,
+    toText: r => r.original_query
+  });
+  // Index vectors exist only when documents are embedded: passages, and whole documents indexed without chunking
+  if (config.indexer?.enabled && config.indexer.embedDocs) {
+    reembedded.chunks = await reembedRows({
+      ...common,
+      table: 'index_chunks',
+      column: 'chunk_embedding',
+      kind: 'document',
+      sql: `SELECT c.id, c.heading, c.content, d.title FROM index_chunks c JOIN index_documents d ON d.id = c.doc_id
+            WHERE c.chunk_embedding_next IS NULL AND c.id > $1 ORDER BY c.id LIMIT $2;`,
+      toText: r => passageEmbeddingText(r.title, r.heading, r.content)
+    });
+    reembedded.documents = await reembedRows({
+      ...common,
+      table: 'index_documents',
+      column: 'doc_embedding',
+      kind: 'document',
+      sql: `SELECT d.id, d.title, d.content FROM index_documents d
+            WHERE d.doc_embedding_next IS NULL AND d.id > $1
+              AND NOT EXISTS (SELECT 1 FROM index_chunks c WHERE c.doc_id = d.id)
+            ORDER BY d.id LIMIT $2;`,
+      toText: r => documentEmbeddingText(r.title, String(r.content || '').slice(0, config.indexer.maxDocLength || 8000))
+    });
+  }
+
+  // Swap the new vectors in and record the new space in one transaction
+  await executeWithRetry(() => db.transaction(async (tx) => {
+    for (const v of VECTOR_COLUMNS) {
+      if (!await vectorColumnDimension(tx, v.table, `${v.column}_next`)) continue;
+      await tx.query(`DROP INDEX IF EXISTS ${v.index};`);
+      await tx.query(`ALTER TABLE ${v.table} DROP COLUMN IF EXISTS ${v.column};`);
+      await tx.query(`ALTER TABLE ${v.table} RENAME COLUMN ${v.column}_next TO ${v.column};`);
+      await tx.query(`CREATE INDEX IF NOT EXISTS ${v.index} ON ${v.table} USING hnsw (${v.column} vector_cosine_ops) WITH (m = 16, ef_construction = 64);`);
+    }
+    await tx.query(
+      `UPDATE embedding_state SET provider = $1, model = $2, dimensions = $3, target_provider = NULL, target_model = NULL,
+         target_dimensions = NULL, migration_started_at = NULL, updated_at = NOW()
+       WHERE id = 1;`,
+      [to.provider, to.model, to.dimensions]
+    );
+  }), 'migrateEmbeddings.swap');
+  embeddingState = { ...to, updatedAt: new Date().toISOString(), target: null };
+
+  const summary = { from, to, reembedded, durationMs: Date.now() - startedAt };
+  logger.info('Embedding migration complete', summary);
+  return summary;
+}
+
+/**
+ * Re-embed stored vectors with the loaded embedder when its provider, model or
+ * dimension differs from embedding_state. New vectors go to *_next columns in
+ * resumable batches and replace the live columns in one transaction at the end.
+ * Concurrent calls share one run.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Rows embedded per request (default config.embeddings.migrationBatchSize)
+ * @param {Function} [options.onProgress] - Awaited after each batch with { table, done }
+ * @returns {Promise<{from: Object, to: Object, reembedded: Object, durationMs: number}|null>} null when nothing to migrate
+ */
+function migrateEmbeddings({ batchSize, onProgress } = {}) {
+  if (!migrationPromise) {
+    migrationPromise = runEmbeddingMigration(Math.max(1, batchSize || config.embeddings.migrationBatchSize || 64), onProgress)
+      .finally(() => { migrationPromise = null; });
+  }
+  return migrationPromise;
+}
+
+/**
+ * Rebuild the HNSW vector indexes, first migrating stored vectors to the
+ * configured embedding model when it changed
+ * @param {Object} [options]
+ * @param {boolean} [options.migrate=true] - Re-embed when the model or dimension changed
+ * @param {number} [options.batchSize] - Rows embedded per request during a migration
+ * @returns {Promise<{reindexed: boolean, migration: Object|null, embeddings: Object}>}
+ */
+async function reindexVectors({ migrate = true, batchSize } = {}) {
+  await waitForInit();
+  const migration = migrate ? await migrateEmbeddings({ batchSize }) : null;
   await executeWithRetry(
     async () => {
-      try { await db.query(`DROP INDEX IF EXISTS idx_reports_query_embedding;`); } catch (e) {}
-      // Recreate HNSW with conservative params for <50k vectors
-      await db.query(`CREATE INDEX IF NOT EXISTS idx_reports_query_embedding ON reports USING hnsw (query_embedding vector_cosine_ops) WITH (m = 16, ef_construction = 64);`);
+      for (const v of VECTOR_COLUMNS) {
+        if (!await vectorColumnDimension(db, v.table, v.column)) continue;
+        try { await db.query(`DROP INDEX IF EXISTS ${v.index};`); } catch (e) {}
+        // Recreate HNSW with conservative params for <50k vectors
+        await db.query(`CREATE INDEX IF NOT EXISTS ${v.index} ON ${v.table} USING hnsw (${v.column} vector_cosine_ops) WITH (m = 16, ef_construction = 64);`);
+      }
     },
     'reindexVectors'
   );
-  logger.debug('Vector index rebuilt');
-  return true;
+  logger.debug('Vector indexes rebuilt');
+  return { reindexed: true, migration, embeddings: getEmbeddingStatus() };
 }
 
 // --- Usage counters helpers ---
@@ -1544,13 +2823,255 @@ async function incrementUsageMany(items = []) {
   return true;
 }
 
+// --- Per-client spend (monthly budgets) ---
+function currentUsagePeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7); // YYYY-MM (UTC)
+}
+
+async function getClientUsage(clientId, period = currentUsagePeriod()) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT usd, tokens FROM client_usage WHERE client_id = $1 AND period = $2;`,
+      [String(clientId), period]
+    );
+  }, 'getClientUsage');
+  const row = result.rows[0];
+  return {
+    clientId: String(clientId),
+    period,
+    usd: row ? Number(row.usd) || 0 : 0,
+    tokens: row ? Number(row.tokens) || 0 : 0
+  };
+}
+
+async function addClientUsage(clientId, { usd = 0, tokens = 0 } = {}, period = currentUsagePeriod()) {
+  await executeWithRetry(async () => {
+    await db.query(
+      `INSERT INTO client_usage (client_id, period, usd, tokens, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (client_id, period)
+       DO UPDATE SET usd = client_usage.usd + EXCLUDED.usd, tokens = client_usage.tokens + EXCLUDED.tokens, updated_at = NOW();`,
+      [String(clientId), period, Number(usd) || 0, Math.round(Number(tokens) || 0)]
+    );
+  }, 'addClientUsage');
+  return true;
+}
+
+// --- Source reliability (learned from report ratings) ---
+async function getSourceReliability() {
+  const result = await executeWithRetry(async () => {
+    return await db.query(`SELECT domain, score, ratings, updated_at FROM source_reliability ORDER BY ratings DESC;`);
+  }, 'getSourceReliability');
+  return result.rows;
+}
+
+/**
+ * Add one rating (0..1) to each domain's running mean, or swap it for an earlier one
+ * @param {Array<string>} domains
+ * @param {number} value
+ * @param {number|null} [replaces] - Earlier rating (0..1) of the same report; the rating count stays
+ * @returns {Promise<Array<{domain: string, score: number, ratings: number}>>} Updated rows
+ */
+async function recordSourceRatings(domains, value, replaces = null) {
+  const rows = [];
+  for (const domain of domains) {
+    const result = await executeWithRetry(async () => {
+      if (replaces !== null) {
+        return await db.query(
+          `UPDATE source_reliability
+           SET score = LEAST(1, GREATEST(0, (score * ratings - $3 + $2) / ratings)), updated_at = NOW()
+           WHERE domain = $1 AND ratings > 0
+           RETURNING domain, score, ratings;`,
+          [String(domain), Number(value), Number(replaces)]
+        );
+      }
+      return await db.query(
+        `INSERT INTO source_reliability (domain, score, ratings, updated_at)
+         VALUES ($1, $2, 1, NOW())
+         ON CONFLICT (domain)
+         DO UPDATE SET score = (source_reliability.score * source_reliability.ratings + EXCLUDED.score) / (source_reliability.ratings + 1),
+                       ratings = source_reliability.ratings + 1, updated_at = NOW()
+         RETURNING domain, score, ratings;`,
+        [String(domain), Number(value)]
+      );
+    }, 'recordSourceRatings');
+    rows.push(...result.rows);
+  }
+  return rows;
+}
+
+// --- Model routing statistics (learned from research calls, fact-checks and ratings) ---
+const MODEL_STATS_COLUMNS = 'model, domain, calls, errors, latency_ms_total, usd_total, quality_total, outcomes, updated_at';
+
+async function getModelStats() {
+  const result = await executeWithRetry(async () => {
+    return await db.query(`SELECT ${MODEL_STATS_COLUMNS} FROM model_stats ORDER BY calls DESC, model, domain;`);
+  }, 'getModelStats');
+  return result.rows;
+}
+
+/**
+ * Add research call outcomes to the per-model, per-domain totals
+ * @param {Array<{model: string, domain: string, ok: boolean, latencyMs?: number, usd?: number}>} outcomes
+ * @returns {Promise<Array<Object>>} Updated rows
+ */
+async function recordModelCalls(outcomes) {
+  const rows = [];
+  for (const o of outcomes) {
+    const result = await executeWithRetry(async () => {
+      return await db.query(
+        `INSERT INTO model_stats (model, domain, calls, errors, latency_ms_total, usd_total, updated_at)
+         VALUES ($1, $2, 1, $3, $4, $5, NOW())
+         ON CONFLICT (model, domain)
+         DO UPDATE SET calls = model_stats.calls + 1, errors = model_stats.errors + EXCLUDED.errors,
+                       latency_ms_total = model_stats.latency_ms_total + EXCLUDED.latency_ms_total,
+                       usd_total = model_stats.usd_total + EXCLUDED.usd_total, updated_at = NOW()
+         RETURNING ${MODEL_STATS_COLUMNS};`,
+        [String(o.model), String(o.domain), o.ok ? 0 : 1, o.ok ? Number(o.latencyMs) || 0 : 0, o.ok ? Number(o.usd) || 0 : 0]
+      );
+    }, 'recordModelCalls');
+    rows.push(...result.rows);
+  }
+  return rows;
+}
+
+/**
+ * Add one quality outcome (0..1) to each model/domain pair, or swap it for an earlier one
+ * @param {Array<{model: string, domain: string}>} pairs
+ * @param {number} value
+ * @param {number|null} [replaces] - Earlier outcome (0..1) of the same report; the outcome count stays
+ * @returns {Promise<Array<Object>>} Updated rows
+ */
+async function recordModelQuality(pairs, value, replaces = null) {
+  const rows = [];
+  for (const p of pairs) {
+    const result = await executeWithRetry(async () => {
+      if (replaces !== null) {
+        return await db.query(
+          `UPDATE model_stats
+           SET quality_total = GREATEST(0, quality_total - $4 + $3), updated_at = NOW()
+           WHERE model = $1 AND domain = $2 AND outcomes > 0
+           RETURNING ${MODEL_STATS_COLUMNS};`,
+          [String(p.model), String(p.domain), Number(value), Number(replaces)]
+        );
+      }
+      return await db.query(
+        `INSERT INTO model_stats (model, domain, quality_total, outcomes, updated_at)
+         VALUES ($1, $2, $3, 1, NOW())
+         ON CONFLICT (model, domain)
+         DO UPDATE SET quality_total = model_stats.quality_total + EXCLUDED.quality_total,
+                       outcomes = model_stats.outcomes + 1, updated_at = NOW()
+         RETURNING ${MODEL_STATS_COLUMNS};`,
+        [String(p.model), String(p.domain), Number(value)]
+      );
+    }, 'recordModelQuality');
+    rows.push(...result.rows);
+  }
+  return rows;
+}
+
+// --- Cost Accounting ---
+async function recordCostEvents(events = []) {
+  if (!events.length) return 0;
+  const tenant = tenancy.currentTenant();
+  await executeWithRetry(async () => {
+    for (const e of events) {
+      await db.query(
+        `INSERT INTO cost_events (request_id, report_id, client_id, query, stage, model, prompt_tokens, completion_tokens, usd, estimated, created_at, tenant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11::timestamptz, NOW()), $12);`,
+        [
+          e.requestId || null,
+          e.reportId !== null && e.reportId !== undefined ? parseInt(e.reportId, 10) || null : null,
+          e.clientId || null,
+          e.query ? String(e.query).slice(0, 500) : null,
+          e.stage,
+          e.model,
+          Math.round(Number(e.prompt_tokens) || 0),
+          Math.round(Number(e.completion_tokens) || 0),
+          Number(e.usd) || 0,
+          !!e.estimated,
+          e.at || null,
+          tenant
+        ]
+      );
+    }
+  }, 'recordCostEvents');
+  return events.length;
+}
+
+const COST_GROUPS = {
+  day: `to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD')`,
+  model: 'model',
+  stage: 'stage',
+  query: `COALESCE(query, '(unknown)')`,
+  report: `COALESCE(report_id::text, request_id)`,
+  client: `COALESCE(client_id, '(anonymous)')`
+};
+
+/**
+ * Aggregate spend from cost_events
+ * @param {Object} [opts]
+ * @param {string} [opts.groupBy='day'] - day | model | stage | query | report | client
+ * @param {string} [opts.since] - ISO date/time (inclusive)
+ * @param {string} [opts.until] - ISO date/time (exclusive)
+ * @param {string} [opts.clientId] - Restrict to one client
+ * @param {number} [opts.limit=30]
+ */
+async function getCostReport({ groupBy = 'day', since = null, until = null, clientId = null, limit = 30 } = {}) {
+  const keyExpr = COST_GROUPS[groupBy];
+  if (!keyExpr) {
+    const { DatabaseError } = require('./errors');
+    throw new DatabaseError(
+      `Invalid groupBy: ${groupBy}`,
+      'getCostReport',
+      { context: { groupBy, expected: Object.keys(COST_GROUPS) } }
+    );
+  }
+  const params = [tenancy.currentTenant()];
+  const where = ['tenant_id = $1'];
+  if (since) { params.push(since); where.push(`created_at >= $${params.length}::timestamptz`); }
+  if (until) { params.push(until); where.push(`created_at < $${params.length}::timestamptz`); }
+  if (clientId) { params.push(String(clientId)); where.push(`client_id = $${params.length}`); }
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+  params.push(Math.max(1, Math.min(1000, parseInt(limit, 10) || 30)));
+  const orderSql = groupBy === 'day' ? 'key DESC' : 'usd DESC';
+
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT ${keyExpr} AS key,
+              SUM(usd) AS usd,
+              SUM(prompt_tokens) AS prompt_tokens,
+              SUM(completion_tokens) AS completion_tokens,
+              COUNT(*) AS calls,
+              COUNT(DISTINCT request_id) AS runs
+         FROM cost_events ${whereSql}
+        GROUP BY 1
+        ORDER BY ${orderSql}
+        LIMIT $${params.length};`,
+      params
+    );
+  }, 'getCostReport');
+
+  return result.rows.map(r => ({
+    key: r.key,
+    usd: Number(Number(r.usd || 0).toFixed(6)),
+    prompt_tokens: Number(r.prompt_tokens || 0),
+    completion_tokens: Number(r.completion_tokens || 0),
+    calls: Number(r.calls || 0),
+    runs: Number(r.runs || 0)
+  }));
+}
+
 // --- Async Job Helpers ---
+// Jobs belong to the tenant that created them; lookups, events, cancellation and
+// input only see the current tenant's jobs. The worker-side helpers (claim,
+// heartbeat, status, checkpoints) act on a job the worker already holds.
 async function createJob(type, params) {
   const id = `job_${Date.now()}_${Math.random().toString(36).slice(2,8)}`;
   await executeWithRetry(async () => {
     await db.query(
-      `INSERT INTO jobs (id, type, params, status, created_at, updated_at) VALUES ($1,$2,$3,'queued', NOW(), NOW());`,
-      [id, type, JSON.stringify(params || {})]
+      `INSERT INTO jobs (id, type, params, status, created_at, updated_at, tenant_id) VALUES ($1,$2,$3,'queued', NOW(), NOW(), $4);`,
+      [id, type, JSON.stringify(params || {}), tenancy.currentTenant()]
     );
   }, 'createJob');
 
@@ -1572,9 +3093,12 @@ async function createJob(type, params) {
 async function appendJobEvent(jobId, eventType, payload) {
   const result = await executeWithRetry(async () => {
     const res = await db.query(
-      `INSERT INTO job_events (job_id, event_type, payload, ts) VALUES ($1,$2,$3, NOW()) RETURNING id, ts;`,
-      [jobId, eventType, JSON.stringify(payload || {})]
+      `INSERT INTO job_events (job_id, event_type, payload, ts)
+       SELECT $1, $2, $3, NOW() WHERE EXISTS (SELECT 1 FROM jobs WHERE id = $1 AND tenant_id = $4)
+       RETURNING id, ts;`,
+      [jobId, eventType, JSON.stringify(payload || {}), tenancy.currentTenant()]
     );
+    if (!res.rows.length) return null;
     await db.query(`UPDATE jobs SET updated_at = NOW(), heartbeat_at = NOW() WHERE id = $1;`, [jobId]);
     return res.rows[0];
   }, 'appendJobEvent');
@@ -1605,7 +3129,7 @@ async function getJob(jobId) {
   }
 
   const result = await executeWithRetry(async () => {
-    const r = await db.query(`SELECT * FROM jobs WHERE id = $1;`, [jobId]);
+    const r = await db.query(`SELECT * FROM jobs WHERE id = $1 AND tenant_id = $2;`, [jobId, tenancy.currentTenant()]);
     return r;
   }, 'getJob');
 
@@ -1619,17 +3143,54 @@ async function getJob(jobId) {
   return result.rows[0];
 }
 
-async function getJobEvents(jobId, afterId = 0, limit = 500) {
+async function getJobEvents(jobId, afterId = 0, limit = 500, eventTypes = null) {
+  const ownJob = `EXISTS (SELECT 1 FROM jobs j WHERE j.id = $1 AND j.tenant_id = $4)`;
   const result = await executeWithRetry(async () => {
+    if (Array.isArray(eventTypes) && eventTypes.length) {
+      return await db.query(
+        `SELECT id, job_id, ts, event_type, payload FROM job_events WHERE job_id = $1 AND id > $2 AND event_type = ANY($5) AND ${ownJob} ORDER BY id ASC LIMIT $3;`,
+        [jobId, Number(afterId) || 0, limit, tenancy.currentTenant(), eventTypes]
+      );
+    }
     const r = await db.query(
-      `SELECT id, job_id, ts, event_type, payload FROM job_events WHERE job_id = $1 AND id > $2 ORDER BY id ASC LIMIT $3;`,
-      [jobId, Number(afterId) || 0, limit]
+      `SELECT id, job_id, ts, event_type, payload FROM job_events WHERE job_id = $1 AND id > $2 AND ${ownJob} ORDER BY id ASC LIMIT $3;`,
+      [jobId, Number(afterId) || 0, limit, tenancy.currentTenant()]
     );
     return r;
   }, 'getJobEvents');
   return result.rows;
 }
 
+async function saveJobCheckpoint(jobId, stage, payload) {
+  await executeWithRetry(async () => {
+    await db.query(
+      `INSERT INTO job_checkpoints (job_id, stage, payload, created_at) VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (job_id, stage) DO UPDATE SET payload = EXCLUDED.payload, created_at = NOW();`,
+      [jobId, stage, JSON.stringify(payload ?? null)]
+    );
+  }, 'saveJobCheckpoint');
+}
+
+async function getJobCheckpoints(jobId) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT stage, payload, created_at FROM job_checkpoints WHERE job_id = $1 ORDER BY created_at ASC;`,
+      [jobId]
+    );
+  }, 'getJobCheckpoints');
+  return result.rows.map(r => ({
+    stage: r.stage,
+    payload: typeof r.payload === 'string' ? JSON.parse(r.payload) : r.payload,
+    createdAt: r.created_at
+  }));
+}
+
+async function clearJobCheckpoints(jobId) {
+  await executeWithRetry(async () => {
+    await db.query(`DELETE FROM job_checkpoints WHERE job_id = $1;`, [jobId]);
+  }, 'clearJobCheckpoints');
+}
+
 async function getJobStatus(jobId) {
   const job = await getJob(jobId);
   if (!job) return null;
@@ -1647,12 +3208,142 @@ async function getJobStatus(jobId) {
 
 async function cancelJob(jobId) {
   await executeWithRetry(async () => {
-    await db.query(`UPDATE jobs SET canceled = TRUE, status = 'canceled', updated_at = NOW(), finished_at = COALESCE(finished_at, NOW()) WHERE id = $1;`, [jobId]);
+    await db.query(`UPDATE jobs SET canceled = TRUE, status = 'canceled', updated_at = NOW(), finished_at = COALESCE(finished_at, NOW()) WHERE id = $1 AND tenant_id = $2;`, [jobId, tenancy.currentTenant()]);
   }, 'cancelJob');
   logger.debug('Job canceled', { jobId });
   return true;
 }
 
+// Park a running job until the user responds (MCP task state input_required)
+async function setJobInputRequired(jobId, elicitation) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `UPDATE jobs SET status = 'input_required', progress = $1, heartbeat_at = NULL, updated_at = NOW()
+       WHERE id = $2 AND status IN ('running', 'input_required') AND tenant_id = $3 RETURNING id;`,
+      [JSON.stringify({ elicitation }), jobId, tenancy.currentTenant()]
+    );
+  }, 'setJobInputRequired');
+  return result.rows.length > 0;
+}
+
+// Merge the user's input into job params and requeue it for the worker
+async function resumeJobWithInput(jobId, input) {
+  const result = await executeWithRetry(async () => {
+    const current = await db.query(`SELECT params FROM jobs WHERE id = $1 AND status = 'input_required' AND tenant_id = $2;`, [jobId, tenancy.currentTenant()]);
+    if (!current.rows.length) return current;
+    const raw = current.rows[0].params;
+    const params = typeof raw === 'string' ? JSON.parse(raw) : (raw || {});
+    return await db.query(
+      `UPDATE jobs SET status = 'queued', params = $1, progress = NULL, started_at = NULL, heartbeat_at = NULL, updated_at = NOW()
+       WHERE id = $2 AND status = 'input_required' RETURNING id;`,
+      [JSON.stringify({ ...params, userInput: input }), jobId]
+    );
+  }, 'resumeJobWithInput');
+  return result.rows.length > 0;
+}
+
+// Find the job parked on a given elicitation (survives restarts, unlike the in-memory handler)
+async function findJobByElicitationId(elicitationId) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT id FROM jobs WHERE status = 'input_required' AND progress->'elicitation'->>'elicitationId' = $1 AND tenant_id = $2 LIMIT 1;`,
+      [String(elicitationId), tenancy.currentTenant()]
+    );
+  }, 'findJobByElicitationId');
+  return result.rows[0]?.id || null;
+}
+
+function parseWatchRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    params: typeof row.params === 'string' ? JSON.parse(row.params) : (row.params || {}),
+    last_diff: typeof row.last_diff === 'string' ? JSON.parse(row.last_diff) : row.last_diff
+  };
+}
+
+async function createWatch({ query, params, schedule, notifyOn, minChanges, clientId, nextRunAt }) {
+  const id = `watch_${Date.now()}_${Math.random().toString(36).slice(2,8)}`;
+  await executeWithRetry(async () => {
+    await db.query(
+      `INSERT INTO watches (id, query, params, schedule, notify_on, min_changes, client_id, enabled, next_run_at, created_at, updated_at, tenant_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, $8, NOW(), NOW(), $9);`,
+      [id, query, JSON.stringify(params || {}), schedule, notifyOn || 'always', minChanges ?? null, clientId || null, nextRunAt, tenancy.currentTenant()]
+    );
+  }, 'createWatch');
+  logger.info('Watch created', { watchId: id, schedule });
+  return id;
+}
+
+// clientId null reads any watch of the tenant (scheduler, unauthenticated/stdio use)
+async function getWatch(watchId, { clientId = null } = {}) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT * FROM watches WHERE id = $1 AND ($2::text IS NULL OR client_id = $2) AND tenant_id = $3;`,
+      [watchId, clientId, tenancy.currentTenant()]
+    );
+  }, 'getWatch');
+  return parseWatchRow(result.rows[0]);
+}
+
+// clientId null lists every watch of the tenant (unauthenticated/stdio use)
+async function listWatches({ clientId = null } = {}) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT * FROM watches WHERE ($1::text IS NULL OR client_id = $1) AND tenant_id = $2 ORDER BY created_at ASC;`,
+      [clientId, tenancy.currentTenant()]
+    );
+  }, 'listWatches');
+  return result.rows.map(parseWatchRow);
+}
+
+async function deleteWatch(watchId, { clientId = null } = {}) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `DELETE FROM watches WHERE id = $1 AND ($2::text IS NULL OR client_id = $2) AND tenant_id = $3 RETURNING id;`,
+      [watchId, clientId, tenancy.currentTenant()]
+    );
+  }, 'deleteWatch');
+  return result.rows.length > 0;
+}
+
+// Every tenant's due watches; the scheduler runs each as its tenant
+async function getDueWatches(limit = 10) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `SELECT * FROM watches WHERE enabled = TRUE AND next_run_at <= NOW() ORDER BY next_run_at ASC LIMIT $1;`,
+      [limit]
+    );
+  }, 'getDueWatches');
+  return result.rows.map(parseWatchRow);
+}
+
+// Claim a due run by moving the watch to its next slot; false if another tick already did
+async function advanceWatch(watchId, expectedNextRunAt, nextRunAt) {
+  const result = await executeWithRetry(async () => {
+    return await db.query(
+      `UPDATE watches SET next_run_at = $3, updated_at = NOW() WHERE id = $1 AND next_run_at = $2 RETURNING id;`,
+      [watchId, expectedNextRunAt, nextRunAt]
+    );
+  }, 'advanceWatch');
+  return result.rows.length > 0;
+}
+
+async function recordWatchRun(watchId, jobId) {
+  await executeWithRetry(async () => {
+    await db.query(`UPDATE watches SET last_job_id = $2, last_run_at = NOW(), updated_at = NOW() WHERE id = $1;`, [watchId, jobId]);
+  }, 'recordWatchRun');
+}
+
+async function recordWatchReport(watchId, reportId, diff) {
+  await executeWithRetry(async () => {
+    await db.query(
+      `UPDATE watches SET last_report_id = $2, last_diff = $3, updated_at = NOW() WHERE id = $1;`,
+      [watchId, reportId, JSON.stringify(diff ?? null)]
+    );
+  }, 'recordWatchReport');
+}
+
 // Claim the next queued job with a lease
 async function claimNextJob() {
   const leaseTimeoutMs = require('../../config').jobs.leaseTimeoutMs;
@@ -0,0 +1,297 @@
+/**
+ * Document Extractor
+ *
+ * Turns local files into structured text for the indexer. Every format is
+ * reduced to the same list of blocks, in reading order:
+ *   { type: 'heading', level, text, page }  |  { type: 'text', text, page }
+ * `page` is the 1-based page for PDFs, the page counted from page breaks for
+ * DOCX (approximate: Word records where it last broke pages), and null for
+ * formats without pages.
+ *
+ * Formats: PDF (pdfText), DOCX (zipReader), HTML (jsdom), Markdown and plain
+ * text. PDF headings are inferred from font size; repeated running headers,
+ * footers and page numbers are dropped.
+ *
+ * @module documentExtractor
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const path = require('path');
+const { extractPdfText } = require('./pdfText');
+const { readZip } = require('./zipReader');
+
+const FORMATS_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.mdx': 'markdown',
+  '.txt': 'text',
+  '.text': 'text',
+  '.rst': 'text'
+};
+
+// A PDF line this much larger than body text is treated as a heading
+const PDF_HEADING_RATIO = 1.15;
+const PDF_HEADING_MAX_CHARS = 150;
+
+/**
+ * Format of a file from its name, or null when it is not supported
+ * @param {string} name
+ * @returns {string|null} 'pdf' | 'docx' | 'html' | 'markdown' | 'text'
+ */
+function detectFormat(name) {
+  return FORMATS_BY_EXTENSION[path.extname(String(name || '')).toLowerCase()] || null;
+}
+
+function decodeXml(s) {
+  return s.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (m, e) => {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[e.toLowerCase()];
+    if (named) return named;
+    const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+  });
+}
+
+function clean(text) {
+  return String(text || '').replace(/[ \t ]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function textToBlocks(text, page = null) {
+  return String(text).split(/\n\s*\n/).map(clean).filter(Boolean).map(t => ({ type: 'text', text: t, page }));
+}
+
+// --- PDF ---
+
+function pdfBlocks(buf) {
+  const pdf = extractPdfText(buf);
+  const lines = pdf.pages.flatMap(p => p.lines.map(l => ({ ...l, page: p.number })));
+
+  // Running headers/footers repeat on most pages in the same size (a title or
+  // contents entry repeated as a heading does not); bare page numbers and
+  // dot leaders carry nothing
+  const key = l => `${l.size}|${l.text}`;
+  const perPage = new Map();
+  for (const p of pdf.pages) {
+    for (const k of new Set(p.lines.map(key))) perPage.set(k, (perPage.get(k) || 0) + 1);
+  }
+  const repeated = pdf.pages.length >= 3 ? new Set([...perPage].filter(([, n]) => n >= Math.ceil(pdf.pages.length * 0.5)).map(([k]) => k)) : new Set();
+  const kept = lines.filter(l => !repeated.has(key(l)) && /[\p{L}\p{N}]/u.test(l.text) && !/^(?:page\s+)?\d{1,4}(?:\s*(?:of|\/)\s*\d{1,4})?$/i.test(l.text));
+
+  // Body size = the size most characters are set in
+  const weight = new Map();
+  for (const l of kept) weight.set(l.size, (weight.get(l.size) || 0) + l.text.length);
+  const body = [...weight].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+  const isHeading = l => body && l.size >= body * PDF_HEADING_RATIO && l.text.length <= PDF_HEADING_MAX_CHARS && /[a-z]/i.test(l.text);
+  const headingSizes = [...new Set(kept.filter(isHeading).map(l => l.size))].sort((a, b) => b - a);
+
+  const blocks = [];
+  let para = null;
+  const flush = () => {
+    if (para) blocks.push({ type: 'text', text: clean(para.text), page: para.page });
+    para = null;
+  };
+  for (const l of kept) {
+    if (isHeading(l)) {
+      flush();
+      const prev = blocks[blocks.length - 1];
+      // Headings wrapped over two lines arrive as consecutive lines of the same size
+      if (prev && prev.type === 'heading' && prev.size === l.size && prev.page === l.page) prev.text += ` ${l.text}`;
+      else blocks.push({ type: 'heading', level: Math.min(6, headingSizes.indexOf(l.size) + 1), text: l.text, page: l.page, size: l.size });
+      continue;
+    }
+    if (para && para.page !== l.page) flush();
+    if (!para) para = { text: '', page: l.page };
+    // Re-join words hyphenated across lines
+    para.text = /[a-z]-$/.test(para.text) && /^[a-z]/.test(l.text) ? para.text.slice(0, -1) + l.text : (para.text ? `${para.text} ${l.text}` : l.text);
+  }
+  flush();
+  return {
+    title: pdf.title || blocks.find(b => b.type === 'heading')?.text || null,
+    pageCount: pdf.pageCount,
+    blocks: blocks.map(({ size, ...b }) => b)
+  };
+}
+
+// --- DOCX ---
+
+function docxBlocks(buf) {
+  const entries = new Map(readZip(buf).map(e => [e.name, e]));
+  const documentXml = entries.get('word/document.xml');
+  if (!documentXml) throw new Error('Not a Word document (word/document.xml missing)');
+  const xml = documentXml.read().toString('utf8');
+  const core = entries.get('docProps/core.xml');
+  const coreTitle = core ? (core.read().toString('utf8').match(/<dc:title>([\s\S]*?)<\/dc:title>/) || [])[1] : null;
+
+  const blocks = [];
+  let page = 1;
+  for (const m of xml.matchAll(/<w:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/w:p>)/g)) {
+    const inner = m[1] || '';
+    if (/<w:pageBreakBefore(?:\s+w:val="(?:1|true|on)")?\s*\/>/.test(inner) && blocks.length) page++;
+    let text = '';
+    let startPage = page;
+    for (const t of inner.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\b([^>]*)\/>|<w:lastRenderedPageBreak\/>|<w:cr\/>/g)) {
+      if (t[1] !== undefined) text += decodeXml(t[1]);
+      else if (t[0].startsWith('<w:tab')) text += '\t';
+      else if (t[0].startsWith('<w:lastRenderedPageBreak') || /w:type="page"/.test(t[2] || '')) {
+        if (!text.trim()) startPage = page + 1;
+        page++;
+      } else text += '\n';
+    }
+    text = clean(text);
+    if (!text) continue;
+    const style = (inner.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || '';
+    const outline = (inner.match(/<w:outlineLvl w:val="(\d)"/) || [])[1];
+    const headingLevel = /^title$/i.test(style) ? 1 : /^heading\s?(\d)$/i.test(style) ? Number(style.match(/(\d)$/)[1]) : outline != null ? Number(outline) + 1 : null;
+    if (headingLevel && text.length <= 300) blocks.push({ type: 'heading', level: Math.min(6, headingLevel), text, page: startPage });
+    else blocks.push({ type: 'text', text, page: startPage });
+  }
+  return {
+    title: (coreTitle && clean(decodeXml(coreTitle))) || blocks.find(b => b.type === 'heading')?.text || null,
+    pageCount: page,
+    blocks
+  };
+}
+
+// --- HTML ---
+
+const HTML_SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'NAV', 'IFRAME', 'HEAD']);
+const HTML_LEAF_BLOCKS = new Set(['P', 'LI', 'PRE', 'BLOCKQUOTE', 'TR', 'DT', 'DD', 'CAPTION', 'FIGCAPTION', 'ADDRESS']);
+
+function htmlBlocks(buf) {
+  const { JSDOM } = require('jsdom');
+  const { document } = new JSDOM(buf.toString('utf8')).window;
+  const blocks = [];
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) { // loose text in a container
+        const text = clean(child.textContent);
+        if (text) blocks.push({ type: 'text', text, page: null, loose: true });
+        continue;
+      }
+      if (child.nodeType !== 1 || HTML_SKIP.has(child.tagName)) continue;
+      const heading = child.tagName.match(/^H([1-6])$/);
+      if (heading) {
+        const text = clean(child.textContent);
+        if (text) blocks.push({ type: 'heading', level: Number(heading[1]), text, page: null });
+      } else if (HTML_LEAF_BLOCKS.has(child.tagName)) {
+        const text = child.tagName === 'TR'
+          ? [...child.children].map(c => clean(c.textContent)).filter(Boolean).join(' | ')
+          : clean(child.tagName === 'PRE' ? child.textContent : child.textContent.replace(/\s+/g, ' '));
+        if (text) blocks.push({ type: 'text', text, page: null });
+      } else {
+        walk(child);
+      }
+    }
+  };
+  if (document.body) walk(document.body);
+  // Adjacent loose fragments (inline elements split by tags) read as one paragraph
+  const merged = [];
+  for (const b of blocks) {
+    const prev = merged[merged.length - 1];
+    if (prev && prev.loose && b.loose) { prev.text += ` ${b.text}`; continue; }
+    merged.push({ ...b });
+  }
+  return {
+    title: clean(document.title) || merged.find(b => b.type === 'heading')?.text || null,
+    pageCount: null,
+    blocks: merged.map(({ loose, ...b }) => b)
+  };
+}
+
+// --- Markdown and plain text ---
+
+function markdownBlocks(buf) {
+  let text = buf.toString('utf8').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  let frontTitle = null;
+  const front = text.match(/^---\n([\s\S]*?)\n---\n/);
+  if (front) {
+    frontTitle = (front[1].match(/^title:\s*["']?(.+?)["']?\s*$/m) || [])[1] || null;
+    text = text.slice(front[0].length);
+  }
+  const blocks = [];
+  let para = [];
+  let fence = null;
+  const flush = () => {
+    const t = clean(para.join('\n'));
+    if (t) blocks.push({ type: 'text', text: t, page: null });
+    para = [];
+  };
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      para.push(line);
+      if (fenceMatch && fenceMatch[1] === fence) { fence = null; flush(); }
+      continue;
+    }
+    if (fenceMatch) { flush(); fence = fenceMatch[1]; para.push(line); continue; }
+    const atx = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (atx) { flush(); blocks.push({ type: 'heading', level: atx[1].length, text: atx[2], page: null }); continue; }
+    // Setext headings: a single text line underlined with === or ---
+    if (para.length === 1 && /^(=+|-+)\s*$/.test(line) && para[0].trim()) {
+      blocks.push({ type: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text: para[0].trim(), page: null });
+      para = [];
+      continue;
+    }
+    if (!line.trim()) { flush(); continue; }
+    para.push(line);
+  }
+  flush();
+  return {
+    title: frontTitle || blocks.find(b => b.type === 'heading' && b.level === 1)?.text || null,
+    pageCount: null,
+    blocks
+  };
+}
+
+function plainTextBlocks(buf) {
+  const text = buf.toString('utf8').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  // Form feeds separate pages in text dumps
+  const pages = text.split('\f');
+  const blocks = pages.length > 1
+    ? pages.flatMap((p, i) => textToBlocks(p, i + 1))
+    : textToBlocks(text);
+  return { title: null, pageCount: pages.length > 1 ? pages.length : null, blocks };
+}
+
+const EXTRACTORS = {
+  pdf: pdfBlocks,
+  docx: docxBlocks,
+  html: htmlBlocks,
+  markdown: markdownBlocks,
+  text: plainTextBlocks
+};
+
+/**
+ * Extract structured text from a file
+ * @param {Buffer} buf - File contents
+ * @param {Object} options
+ * @param {string} options.name - File name (used for the format and as a fallback title)
+ * @param {string} [options.format] - Override the format detected from the name
+ * @returns {{format: string, title: string, pageCount: number|null, blocks: Array<Object>}}
+ * @throws {Error} For unsupported formats or unreadable files
+ */
+function extractDocument(buf, { name, format = null } = {}) {
+  const fmt = format || detectFormat(name);
+  if (!fmt || !EXTRACTORS[fmt]) throw new Error(`Unsupported file type: ${name}`);
+  const result = EXTRACTORS[fmt](buf);
+  return {
+    format: fmt,
+    title: result.title || path.basename(String(name || 'document')),
+    pageCount: result.pageCount,
+    blocks: result.blocks
+  };
+}
+
+module.exports = {
+  FORMATS_BY_EXTENSION,
+  detectFormat,
+  extractDocument
+};
@@ -0,0 +1,200 @@
+/**
+ * Embedding Backends
+ *
+ * Every embedder has the same shape:
+ *   { provider, model, dimensions, embed(text, kind), embedBatch(texts, kind), similarity(a, b) }
+ * where `kind` is 'query' or 'document'. Models trained with instruction
+ * prefixes (E5, BGE) get them added here, so callers only say which side of
+ * the search a text is on.
+ *
+ * Providers:
+ * - local:  a sentence-embedding model run in-process with @huggingface/transformers
+ * - openai: any OpenAI-compatible POST /embeddings endpoint (OpenAI, vLLM,
+ *           Ollama, text-embeddings-inference, LiteLLM, ...)
+ *
+ * The stored vectors belong to one (provider, model, dimensions) space; dbClient
+ * records it and migrates the vector columns when the configured space changes.
+ *
+ * @module embedders
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const logger = require('./logger').child('Embedders');
+
+const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Local models with known output size and pooling. Others work when
+// EMBEDDINGS_DIMENSIONS is set (mean pooling, no prefixes).
+const LOCAL_MODELS = {
+  'Xenova/all-MiniLM-L6-v2': { dimensions: 384, pooling: 'mean' },
+  'Xenova/paraphrase-multilingual-MiniLM-L12-v2': { dimensions: 384, pooling: 'mean', multilingual: true },
+  'Xenova/multilingual-e5-small': { dimensions: 384, pooling: 'mean', multilingual: true, prefixes: { query: 'query: ', document: 'passage: ' } },
+  'Xenova/multilingual-e5-base': { dimensions: 768, pooling: 'mean', multilingual: true, prefixes: { query: 'query: ', document: 'passage: ' } },
+  'Xenova/bge-small-en-v1.5': { dimensions: 384, pooling: 'cls', prefixes: { query: 'Represent this sentence for searching relevant passages: ' } },
+  'Xenova/bge-m3': { dimensions: 1024, pooling: 'cls', multilingual: true }
+};
+
+// Output sizes of well-known hosted models (text-embedding-3-* can be shortened with EMBEDDINGS_DIMENSIONS)
+const REMOTE_MODELS = {
+  'text-embedding-3-small': { dimensions: 1536, shortenable: true },
+  'text-embedding-3-large': { dimensions: 3072, shortenable: true },
+  'text-embedding-ada-002': { dimensions: 1536 }
+};
+
+/**
+ * Resolve provider, model and dimensions from config.embeddings
+ * @param {Object} cfg - config.embeddings
+ * @returns {{provider: string, model: string, dimensions: number}}
+ * @throws {Error} When the dimension of an unknown model is not configured
+ */
+function resolveSpec(cfg = {}) {
+  const provider = (cfg.provider || 'local').toLowerCase();
+  if (!['local', 'openai'].includes(provider)) {
+    throw new Error(`Unknown embeddings provider '${cfg.provider}' (expected local or openai)`);
+  }
+  const model = cfg.model || (provider === 'local' ? DEFAULT_LOCAL_MODEL : 'text-embedding-3-small');
+  const known = (provider === 'local' ? LOCAL_MODELS : REMOTE_MODELS)[model];
+  const dimensions = Number(cfg.dimensions) || (known && known.dimensions);
+  if (!dimensions) {
+    throw new Error(`Embedding dimension of '${model}' is unknown; set EMBEDDINGS_DIMENSIONS`);
+  }
+  return { provider, model, dimensions };
+}
+
+/**
+ * True when two specs describe the same vector space
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+function sameSpace(a, b) {
+  return !!a && !!b && a.provider === b.provider && a.model === b.model && Number(a.dimensions) === Number(b.dimensions);
+}
+
+function cosineSimilarity(a, b) {
+  const vecA = a.values || a;
+  const vecB = b.values || b;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    dot += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+function checkDimensions(vector, spec) {
+  if (vector.length !== spec.dimensions) {
+    throw new Error(`${spec.model} returned ${vector.length}-dimensional vectors, expected ${spec.dimensions}`);
+  }
+  return vector;
+}
+
+/**
+ * In-process transformers model
+ * @param {Object} spec - From resolveSpec
+ * @param {Object} cfg - config.embeddings (device, dtype, batchSize)
+ */
+async function createLocalEmbedder(spec, cfg = {}) {
+  const { pipeline } = await import('@huggingface/transformers');
+  const info = LOCAL_MODELS[spec.model] || { pooling: 'mean' };
+
+  // 'auto' stays on CPU to avoid CUDA loading errors; onnxruntime picks up a GPU when asked for one
+  const device = cfg.device === 'cuda' || cfg.device === 'gpu' ? 'cuda' : 'cpu';
+  let dtype = cfg.dtype || 'q8';
+  if (device === 'cpu' && !['q8', 'q4', 'fp32'].includes(dtype)) dtype = 'q8';
+
+  logger.info('Initializing transformers pipeline', { model: spec.model, device, dtype });
+  const extractor = await pipeline('feature-extraction', spec.model, { device, dtype });
+
+  const prefix = (kind) => (info.prefixes && info.prefixes[kind]) || '';
+  const run = async (text, kind) => {
+    const output = await extractor(prefix(kind) + text, { pooling: info.pooling, normalize: true });
+    return checkDimensions(Array.from(output.data), spec);
+  };
+
+  return {
+    ...spec,
+    embed: (text, kind = 'query') => run(text, kind),
+    embedBatch: async (texts, kind = 'document') => {
+      const results = [];
+      for (const text of texts) results.push(await run(text, kind));
+      return results;
+    },
+    similarity: cosineSimilarity
+  };
+}
+
+/**
+ * OpenAI-compatible /embeddings endpoint
+ * @param {Object} spec - From resolveSpec
+ * @param {Object} cfg - config.embeddings (baseUrl, apiKey, batchSize, timeoutMs, dimensions)
+ */
+async function createOpenAIEmbedder(spec, cfg = {}) {
+  const url = `${String(cfg.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')}/embeddings`;
+  const batchSize = Math.max(1, cfg.batchSize || 64);
+  const known = REMOTE_MODELS[spec.model];
+  // Only ask for a size when the model can shorten its output; other servers reject the field
+  const requestDimensions = known && known.shortenable && known.dimensions !== spec.dimensions ? spec.dimensions : undefined;
+
+  const request = async (input) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cfg.apiKey ? { Authorization: `Bearer ${cfg.apiKey}` } : {})
+      },
+      body: JSON.stringify({ model: spec.model, input, ...(requestDimensions ? { dimensions: requestDimensions } : {}) }),
+      signal: AbortSignal.timeout(cfg.timeoutMs || 30000)
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      throw new Error(`Embeddings endpoint returned ${res.status}: ${detail.slice(0, 200)}`);
+    }
+    const body = await res.json();
+    const data = Array.isArray(body.data) ? [...body.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)) : [];
+    if (data.length !== input.length) throw new Error(`Embeddings endpoint returned ${data.length} vectors for ${input.length} inputs`);
+    return data.map(d => checkDimensions(d.embedding, spec));
+  };
+
+  const embedBatch = async (texts) => {
+    const results = [];
+    for (let i = 0; i < texts.length; i += batchSize) {
+      results.push(...await request(texts.slice(i, i + batchSize)));
+    }
+    return results;
+  };
+
+  // Probe once so a wrong URL, key or dimension shows up at startup rather than on first search
+  await request(['dimension probe']);
+  logger.info('Embeddings endpoint ready', { url, model: spec.model, dimensions: spec.dimensions });
+
+  return {
+    ...spec,
+    embed: async (text) => (await request([text]))[0],
+    embedBatch,
+    similarity: cosineSimilarity
+  };
+}
+
+/**
+ * Create the embedder described by config.embeddings
+ * @param {Object} cfg - config.embeddings
+ * @returns {Promise<Object>} Embedder
+ */
+async function createEmbedder(cfg = {}) {
+  const spec = resolveSpec(cfg);
+  return spec.provider === 'openai' ? createOpenAIEmbedder(spec, cfg) : createLocalEmbedder(spec, cfg);
+}
+
+module.exports = {
+  DEFAULT_LOCAL_MODEL,
+  LOCAL_MODELS,
+  REMOTE_MODELS,
+  resolveSpec,
+  sameSpace,
+  cosineSimilarity,
+  createEmbedder
+};
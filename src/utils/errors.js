@@ -188,6 +188,40 @@ class RetryExhaustedError extends MCPError {
   }
 }
 
+/**
+ * Budget exceeded error - a research job or client has no spend left
+ * Use when a cost/token budget blocks work from starting or continuing
+ */
+class BudgetExceededError extends MCPError {
+  constructor(scope, message, options = {}) {
+    super(`Budget exceeded (${scope}): ${message}`, {
+      ...options,
+      category: ErrorCategory.VALIDATION,
+      code: 'BUDGET_EXCEEDED',
+      isRetryable: false
+    });
+    this.name = 'BudgetExceededError';
+    this.scope = scope;
+  }
+}
+
+/**
+ * Input required error - a job paused to wait for the user (e.g. plan review)
+ * Not a failure: the job worker parks the job in `input_required` until resumed
+ */
+class InputRequiredError extends MCPError {
+  constructor(reason, elicitation, options = {}) {
+    super(`Input required: ${reason}`, {
+      ...options,
+      category: ErrorCategory.VALIDATION,
+      code: 'INPUT_REQUIRED',
+      isRetryable: false
+    });
+    this.name = 'InputRequiredError';
+    this.elicitation = elicitation;
+  }
+}
+
 /**
  * Embedder not ready error - vector operations require initialized embedder
  */
@@ -370,6 +404,8 @@ module.exports = {
   InitializationError,
   RetryExhaustedError,
   EmbedderNotReadyError,
+  BudgetExceededError,
+  InputRequiredError,
   classifyAPIError,
   inferCategory,
   wrapError,
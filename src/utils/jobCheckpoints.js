@@ -0,0 +1,121 @@
+/**
+ * Job Checkpoints
+ *
+ * Persists each finished stage of a research job (complexity assessment, plan
+ * XML per iteration, each sub-query's ensemble results, the synthesis draft and
+ * the saved report id) so that a job reclaimed by `claimNextJob` after a
+ * restart picks up after the last finished stage instead of paying for
+ * planning and every sub-query again.
+ *
+ * Stage keys:
+ * - `setup`             { maxIterations }
+ * - `plan:<iteration>`  { xml }
+ * - `agent:<agentId>`   { results }  ensemble results for one sub-query, with the
+ *                                    adjudicated answer appended in debate mode
+ * - `data_analysis`     { analysis } computed results over the structured data inputs
+ * - `consensus`         { consensus } claims scored across the ensemble outputs
+ * - `synthesis`         { content, partial }
+ * - `report`            { reportId, fullReportPath }
+ *
+ * Only jobs are checkpointed; direct tool calls get a disabled instance whose
+ * reads miss and writes are no-ops.
+ *
+ * @module jobCheckpoints
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const logger = require('./logger').child('JobCheckpoints');
+
+// Usage events replayed on resume so cost, budgets and report usage stay whole
+const USAGE_EVENT_TYPES = ['planning_usage', 'agent_usage', 'debate_usage', 'consensus_usage', 'synthesis_usage', 'analysis_usage', 'verification_usage'];
+
+class JobCheckpoints {
+  /**
+   * @param {Object|null} dbClient
+   * @param {string|null} jobId
+   * @param {Array<{stage: string, payload: *}>} [rows] - Previously saved stages
+   */
+  constructor(dbClient, jobId, rows = []) {
+    this.dbClient = dbClient;
+    this.jobId = jobId;
+    this.stages = new Map(rows.map(r => [r.stage, r.payload]));
+  }
+
+  /**
+   * Load checkpoints for a job; returns a disabled instance for non-jobs
+   * @param {Object} dbClient
+   * @param {string} requestId - Job id when running under the job worker
+   * @returns {Promise<JobCheckpoints>}
+   */
+  static async load(dbClient, requestId) {
+    const isJob = typeof requestId === 'string' && requestId.startsWith('job_');
+    if (!isJob) return new JobCheckpoints(null, null);
+    try {
+      const rows = await dbClient.getJobCheckpoints(requestId);
+      if (rows.length) {
+        logger.info('Resuming job from checkpoints', { requestId, stages: rows.map(r => r.stage) });
+      }
+      return new JobCheckpoints(dbClient, requestId, rows);
+    } catch (error) {
+      logger.warn('Failed to load job checkpoints, starting fresh', { requestId, error: error.message });
+      return new JobCheckpoints(dbClient, requestId);
+    }
+  }
+
+  get enabled() {
+    return !!this.jobId;
+  }
+
+  /** True when an earlier attempt of this job finished at least one stage */
+  get resumed() {
+    return this.stages.size > 0;
+  }
+
+  has(stage) {
+    return this.stages.has(stage);
+  }
+
+  get(stage) {
+    return this.stages.has(stage) ? this.stages.get(stage) : null;
+  }
+
+  /**
+   * Record a finished stage. Never throws; a failed write only costs a re-run.
+   * @param {string} stage
+   * @param {*} payload - JSON-serializable
+   */
+  async save(stage, payload) {
+    if (!this.enabled) return;
+    this.stages.set(stage, payload);
+    try {
+      await this.dbClient.saveJobCheckpoint(this.jobId, stage, payload);
+    } catch (error) {
+      logger.warn('Failed to save job checkpoint', { requestId: this.jobId, stage, error: error.message });
+    }
+  }
+
+  /**
+   * Usage events emitted by earlier attempts of this job
+   * @returns {Promise<Array<{event_type: string, payload: Object}>>}
+   */
+  async priorUsageEvents() {
+    if (!this.enabled) return [];
+    try {
+      const rows = await this.dbClient.getJobEvents(this.jobId, 0, 10000, USAGE_EVENT_TYPES);
+      return rows.map(r => ({
+        event_type: r.event_type,
+        payload: typeof r.payload === 'string' ? JSON.parse(r.payload) : (r.payload || {})
+      }));
+    } catch (error) {
+      logger.warn('Failed to read prior usage events', { requestId: this.jobId, error: error.message });
+      return [];
+    }
+  }
+}
+
+module.exports = {
+  JobCheckpoints,
+  USAGE_EVENT_TYPES
+};
@@ -1,12 +1,21 @@
 // src/utils/knowledgeGraph.js
 // Knowledge Graph integration using @terminals-tech/graph
 // Provides explicit graph structure from research reports with relation extraction
+// Nodes belong to a tenant and a collection (see tenancy.js, collections.js); every query stays inside one
 
 const config = require('../../config');
+const collections = require('./collections');
+const tenancy = require('./tenancy');
 
 let GraphProcessor, TextGraph, PatternMatcher;
 let graphInitialized = false;
 
+// Key of a collection's graph in the current tenant; non-default tenants prefix it with their id
+function graphKey(collection) {
+  const tenant = tenancy.currentTenant();
+  return tenant === tenancy.DEFAULT_TENANT ? collection : `${tenant}/${collection}`;
+}
+
 // Lazy load @terminals-tech/graph
 async function initGraphModule() {
   if (graphInitialized) return true;
@@ -27,7 +36,8 @@ async function initGraphModule() {
 class KnowledgeGraph {
   constructor(dbClient) {
     this.dbClient = dbClient;
-    this.processor = null;
+    // One in-memory graph per collection
+    this.processors = new Map();
     this.textGraph = null;
     this.patternMatcher = null;
     this.initialized = false;
@@ -39,7 +49,6 @@ class KnowledgeGraph {
     const ready = await initGraphModule();
     if (!ready) return false;
 
-    this.processor = new GraphProcessor();
     this.textGraph = new TextGraph();
     this.patternMatcher = new PatternMatcher();
     this.initialized = true;
@@ -66,7 +75,9 @@ class KnowledgeGraph {
           title TEXT,
           description TEXT,
           metadata JSONB,
-          created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+          created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+          collection TEXT NOT NULL DEFAULT 'default',
+          tenant_id TEXT NOT NULL DEFAULT 'default'
         );
       `, []);
 
@@ -84,6 +95,13 @@ class KnowledgeGraph {
         );
       `, []);
 
+      // Collections; nodes created before collections existed are in 'default'
+      await db.executeQuery(`ALTER TABLE graph_nodes ADD COLUMN IF NOT EXISTS collection TEXT NOT NULL DEFAULT 'default';`, []);
+      await db.executeQuery(`CREATE INDEX IF NOT EXISTS idx_graph_nodes_collection ON graph_nodes(collection);`, []);
+      // Tenants; nodes created before tenancy existed are in 'default'
+      await db.executeQuery(`ALTER TABLE graph_nodes ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';`, []);
+      await db.executeQuery(`CREATE INDEX IF NOT EXISTS idx_graph_nodes_tenant ON graph_nodes(tenant_id);`, []);
+
       // Indexes for efficient traversal
       await db.executeQuery(`CREATE INDEX IF NOT EXISTS idx_graph_edges_source ON graph_edges(source_id);`, []);
       await db.executeQuery(`CREATE INDEX IF NOT EXISTS idx_graph_edges_target ON graph_edges(target_id);`, []);
@@ -96,14 +114,28 @@ class KnowledgeGraph {
     }
   }
 
+  /**
+   * In-memory graph of a collection in the current tenant
+   * @param {string} [collection] - Default collection when omitted
+   */
+  processorFor(collection) {
+    const key = graphKey(collection ? collections.normalizeCollection(collection) : collections.defaultCollection());
+    if (!this.processors.has(key)) this.processors.set(key, new GraphProcessor());
+    return this.processors.get(key);
+  }
+
   /**
    * Index a research report into the knowledge graph
-   * Extracts relations from report content and creates graph structure
+   * Extracts relations from report content and creates graph structure.
+   * The report's tenant and collection are kept on its node and on the entity
+   * nodes it links to; entity ids carry both so neither ever shares them.
    */
   async indexReport(report) {
     if (!this.initialized) await this.initialize();
     if (!this.initialized) return null;
 
+    const collection = report.collection ? collections.normalizeCollection(report.collection) : collections.defaultCollection();
+    const tenant = tenancy.currentTenant();
     const nodeId = `report:${report.id}`;
     const title = report.original_query?.slice(0, 200) || 'Untitled Report';
     const content = report.final_report || '';
@@ -118,16 +150,17 @@ class KnowledgeGraph {
         type: 'report',
         description: title
       };
-      this.processor.addEvent(node, relations);
+      this.processorFor(collection).addEvent(node, relations);
 
       // Persist node to PGLite
       await this.dbClient.executeQuery(`
-        INSERT INTO graph_nodes (id, node_type, source_id, title, description, metadata)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO graph_nodes (id, node_type, source_id, title, description, metadata, collection, tenant_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         ON CONFLICT (id) DO UPDATE SET
           title = EXCLUDED.title,
           description = EXCLUDED.description,
-          metadata = EXCLUDED.metadata
+          metadata = EXCLUDED.metadata,
+          collection = EXCLUDED.collection
       `, [
         nodeId,
         'report',
@@ -138,20 +171,22 @@ class KnowledgeGraph {
           relations: relations.slice(0, 50),
           parameters: report.parameters,
           created_at: report.created_at
-        })
+        }),
+        collection,
+        tenant
       ]);
 
       // Create edges for extracted relations
       for (const rel of relations.slice(0, 20)) {
         if (rel.target) {
-          const targetId = `entity:${rel.target.toLowerCase().replace(/\s+/g, '_')}`;
+          const targetId = `entity:${graphKey(collection)}:${rel.target.toLowerCase().replace(/\s+/g, '_')}`;
 
           // Ensure target node exists
           await this.dbClient.executeQuery(`
-            INSERT INTO graph_nodes (id, node_type, title, description)
-            VALUES ($1, $2, $3, $4)
+            INSERT INTO graph_nodes (id, node_type, title, description, collection, tenant_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
             ON CONFLICT (id) DO NOTHING
-          `, [targetId, 'entity', rel.target, rel.context || '']);
+          `, [targetId, 'entity', rel.target, rel.context || '', collection, tenant]);
 
           // Create edge
           await this.dbClient.executeQuery(`
@@ -176,21 +211,24 @@ class KnowledgeGraph {
    * @param {string} startId - Starting node ID (e.g., 'report:5')
    * @param {number} depth - Maximum traversal depth
    * @param {string} strategy - Traversal strategy: 'bfs', 'dfs', or 'semantic'
+   * @param {string} [collection] - Only nodes in this collection (default collection when omitted)
    */
-  async traverse(startId, depth = 3, strategy = 'semantic') {
+  async traverse(startId, depth = 3, strategy = 'semantic', collection = null) {
     if (!this.initialized) await this.initialize();
     if (!this.initialized) return { nodes: [], edges: [] };
+    const scope = collection ? collections.normalizeCollection(collection) : collections.defaultCollection();
 
     try {
       // Get subgraph from in-memory processor
-      const subgraph = this.processor.getSubgraph(startId, depth);
+      const subgraph = this.processorFor(scope).getSubgraph(startId, depth);
 
       // Also query PGLite for persisted relationships
       const dbEdges = await this.dbClient.executeQuery(`
         WITH RECURSIVE traversal AS (
-          SELECT source_id, target_id, edge_type, weight, 1 as depth
-          FROM graph_edges
-          WHERE source_id = $1
+          SELECT e.source_id, e.target_id, e.edge_type, e.weight, 1 as depth
+          FROM graph_edges e
+          JOIN graph_nodes n ON n.id = e.source_id
+          WHERE e.source_id = $1 AND n.collection = $3 AND n.tenant_id = $4
 
           UNION ALL
 
@@ -203,7 +241,7 @@ class KnowledgeGraph {
         FROM traversal
         ORDER BY weight DESC
         LIMIT 100
-      `, [startId, depth]);
+      `, [startId, depth, scope, tenancy.currentTenant()]);
 
       const nodes = new Set([startId]);
       const edges = [];
@@ -224,8 +262,8 @@ class KnowledgeGraph {
       const nodeDetails = await this.dbClient.executeQuery(`
         SELECT id, node_type, title, description, metadata
         FROM graph_nodes
-        WHERE id = ANY($1)
-      `, [nodeIds]);
+        WHERE id = ANY($1) AND collection = $2 AND tenant_id = $3
+      `, [nodeIds, scope, tenancy.currentTenant()]);
 
       return {
         nodes: (nodeDetails.rows || []).map(n => ({
@@ -247,14 +285,15 @@ class KnowledgeGraph {
   }
 
   /**
-   * Find shortest path between two nodes
+   * Find shortest path between two nodes of one collection
    */
-  async findPath(fromId, toId) {
+  async findPath(fromId, toId, collection = null) {
     if (!this.initialized) await this.initialize();
+    const scope = collection ? collections.normalizeCollection(collection) : collections.defaultCollection();
 
     try {
       // Use in-memory processor for path finding
-      const path = this.processor.findPath(fromId, toId);
+      const path = this.processorFor(scope).findPath(fromId, toId);
 
       if (path && path.length > 0) {
         return { path, found: true };
@@ -263,9 +302,10 @@ class KnowledgeGraph {
       // Fallback to database BFS
       const result = await this.dbClient.executeQuery(`
         WITH RECURSIVE path AS (
-          SELECT source_id, target_id, ARRAY[source_id, target_id] as nodes, 1 as depth
-          FROM graph_edges
-          WHERE source_id = $1
+          SELECT e.source_id, e.target_id, ARRAY[e.source_id, e.target_id] as nodes, 1 as depth
+          FROM graph_edges e
+          JOIN graph_nodes n ON n.id = e.source_id
+          WHERE e.source_id = $1 AND n.collection = $3 AND n.tenant_id = $4
 
           UNION ALL
 
@@ -276,7 +316,7 @@ class KnowledgeGraph {
             AND p.depth < 10
         )
         SELECT nodes FROM path WHERE $2 = ANY(nodes) LIMIT 1
-      `, [fromId, toId]);
+      `, [fromId, toId, scope, tenancy.currentTenant()]);
 
       if (result.rows?.length > 0) {
         return { path: result.rows[0].nodes, found: true };
@@ -292,11 +332,11 @@ class KnowledgeGraph {
   /**
    * Find clusters in the knowledge graph
    */
-  async getClusters() {
+  async getClusters(collection = null) {
     if (!this.initialized) await this.initialize();
 
     try {
-      const clusters = this.processor.findClusters();
+      const clusters = this.processorFor(collection).findClusters();
       return { clusters, count: clusters?.length || 0 };
     } catch (err) {
       console.error('[KnowledgeGraph] Clustering error:', err);
@@ -307,11 +347,11 @@ class KnowledgeGraph {
   /**
    * Calculate PageRank for all nodes
    */
-  async getPageRank(topK = 20) {
+  async getPageRank(topK = 20, collection = null) {
     if (!this.initialized) await this.initialize();
 
     try {
-      const rankings = this.processor.calculatePageRank();
+      const rankings = this.processorFor(collection).calculatePageRank();
 
       // Sort and return top K
       const sorted = Object.entries(rankings || {})
@@ -329,17 +369,19 @@ class KnowledgeGraph {
   /**
    * Find patterns in event sequences using PatternMatcher
    */
-  async findPatterns(n = 3) {
+  async findPatterns(n = 3, collection = null) {
     if (!this.initialized) await this.initialize();
+    const scope = collection ? collections.normalizeCollection(collection) : collections.defaultCollection();
 
     try {
       // Get recent events from database
       const events = await this.dbClient.executeQuery(`
         SELECT id, node_type as type, description
         FROM graph_nodes
+        WHERE collection = $1 AND tenant_id = $2
         ORDER BY created_at DESC
         LIMIT 100
-      `, []);
+      `, [scope, tenancy.currentTenant()]);
 
       const eventList = (events.rows || []).map(e => ({
         id: e.id,
@@ -363,17 +405,22 @@ class KnowledgeGraph {
   }
 
   /**
-   * Get graph statistics
+   * Get graph statistics for one collection
    */
-  async getStats() {
+  async getStats(collection = null) {
+    const scope = collection ? collections.normalizeCollection(collection) : collections.defaultCollection();
     try {
-      const nodeCount = await this.dbClient.executeQuery(`SELECT COUNT(*) as count FROM graph_nodes`, []);
-      const edgeCount = await this.dbClient.executeQuery(`SELECT COUNT(*) as count FROM graph_edges`, []);
+      const tenant = tenancy.currentTenant();
+      const nodeCount = await this.dbClient.executeQuery(`SELECT COUNT(*) as count FROM graph_nodes WHERE collection = $1 AND tenant_id = $2`, [scope, tenant]);
+      const edgeCount = await this.dbClient.executeQuery(`
+        SELECT COUNT(*) as count FROM graph_edges e JOIN graph_nodes n ON n.id = e.source_id WHERE n.collection = $1 AND n.tenant_id = $2
+      `, [scope, tenant]);
       const typeDistribution = await this.dbClient.executeQuery(`
-        SELECT node_type, COUNT(*) as count FROM graph_nodes GROUP BY node_type
-      `, []);
+        SELECT node_type, COUNT(*) as count FROM graph_nodes WHERE collection = $1 AND tenant_id = $2 GROUP BY node_type
+      `, [scope, tenant]);
 
       return {
+        collection: scope,
         nodeCount: nodeCount.rows?.[0]?.count || 0,
         edgeCount: edgeCount.rows?.[0]?.count || 0,
         typeDistribution: (typeDistribution.rows || []).reduce((acc, r) => {
@@ -127,6 +127,45 @@ async function getModelMaxOutputTokens(modelId, fallback = 16000) {
   }
 }
 
+/**
+ * Get per-token USD pricing for a model from the cached catalog (sync)
+ * Models routed to a free provider (self-hosted, fake) price at zero.
+ * @param {string} modelId - Model ID as configured (may carry a provider route prefix)
+ * @returns {{prompt: number, completion: number, source: string}} Pricing; falls back to config.pricing.fallback
+ */
+function getModelPricing(modelId) {
+  const config = require('../../config');
+  try {
+    const { providerName } = require('./providers').resolveModel(modelId);
+    if ((config.pricing?.freeProviders || []).includes(providerName)) {
+      return { prompt: 0, completion: 0, source: 'free_provider' };
+    }
+  } catch (_) {}
+  const catalog = catalogCache.get('catalog') || [];
+  const entry = catalog.find(m => m.id === modelId);
+  const prompt = Number(entry?.pricing?.prompt);
+  const completion = Number(entry?.pricing?.completion);
+  if (Number.isFinite(prompt) && Number.isFinite(completion) && prompt >= 0 && completion >= 0) {
+    return { prompt, completion, source: 'catalog' };
+  }
+  const fallback = config.pricing?.fallback || { prompt: 0, completion: 0 };
+  return { prompt: fallback.prompt, completion: fallback.completion, source: 'fallback' };
+}
+
+/**
+ * Price a usage record ({prompt_tokens, completion_tokens}) in USD
+ * @param {string} modelId - Model ID
+ * @param {Object} usage - OpenAI-style usage object
+ * @returns {number} Cost in USD
+ */
+function estimateCostUsd(modelId, usage) {
+  if (!usage) return 0;
+  const pricing = getModelPricing(modelId);
+  const pt = Number(usage.prompt_tokens || 0);
+  const ct = Number(usage.completion_tokens || 0);
+  return pt * pricing.prompt + ct * pricing.completion;
+}
+
 module.exports = {
   refresh,
   getCatalog,
@@ -135,4 +174,6 @@ module.exports = {
   getPreferred2025Models,
   getModelInfo,
   getModelMaxOutputTokens,
+  getModelPricing,
+  estimateCostUsd,
 };
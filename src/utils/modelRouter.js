@@ -0,0 +1,311 @@
+/**
+ * Model Router
+ *
+ * Learns which research models do well in each query domain and, when
+ * `config.modelRouter.enabled` is set, picks ensemble members from that
+ * instead of rotating through the cost tier. Statistics per model and domain
+ * live in the `model_stats` table:
+ * - calls and errors of every research call, with the latency and cost of
+ *   the successful ones;
+ * - quality outcomes (0..1): the fact-check accuracy score of each report the
+ *   model answered for, and the latest rating of that report from
+ *   `rate_research_report` (1-5, mapped to 0..1; a re-rating replaces the
+ *   earlier one so each report counts once).
+ *
+ * Routing is an epsilon-greedy bandit. Expected quality starts from a prior
+ * (the model's quality in other domains, or priorQuality) and moves toward
+ * the domain's own outcomes as they accumulate, scaled by the model's success
+ * rate. Each candidate scores expected quality minus costWeight times its
+ * cost and latencyWeight times its latency, both relative to the most
+ * expensive and slowest candidate. The best score takes the first ensemble
+ * slot. Each later slot goes to the next best, or with probability
+ * `exploration` to the least-tried candidate.
+ *
+ * Statistics are shared by all tenants, like learned source reliability.
+ *
+ * @module modelRouter
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const config = require('../../config');
+const modelCatalog = require('./modelCatalog');
+const logger = require('./logger').child('ModelRouter');
+
+// Usage assumed when pricing a model with no recorded calls
+const TYPICAL_USAGE = { prompt_tokens: 3000, completion_tokens: 1500 };
+// Prior quality bonus for models config.models tags with the query domain
+const DOMAIN_TAG_BONUS = 0.05;
+const TOTALS = ['calls', 'errors', 'latencyMsTotal', 'usdTotal', 'qualityTotal', 'outcomes'];
+
+// "<model>|<domain>" -> statistics, refreshed from the model_stats table
+const stats = new Map();
+
+const keyOf = (model, domain) => `${model}|${domain}`;
+const round = (value, digits = 3) => Number(Number(value).toFixed(digits));
+const clamp = value => Math.max(0, Math.min(1, Number(value)));
+
+function remember(rows) {
+  for (const r of rows || []) {
+    stats.set(keyOf(r.model, r.domain), {
+      model: r.model,
+      domain: r.domain,
+      calls: Number(r.calls) || 0,
+      errors: Number(r.errors) || 0,
+      latencyMsTotal: Number(r.latency_ms_total) || 0,
+      usdTotal: Number(r.usd_total) || 0,
+      qualityTotal: Number(r.quality_total) || 0,
+      outcomes: Number(r.outcomes) || 0,
+      updatedAt: r.updated_at || null
+    });
+  }
+}
+
+function totalsFor(model, filter) {
+  const totals = Object.fromEntries(TOTALS.map(k => [k, 0]));
+  for (const s of stats.values()) {
+    if (s.model !== model || !filter(s.domain)) continue;
+    for (const k of TOTALS) totals[k] += s[k];
+  }
+  return totals;
+}
+
+function isEnabled() {
+  return !!config.modelRouter?.enabled;
+}
+
+/**
+ * Refresh statistics from the database. Never throws.
+ * @param {Object} dbClient
+ * @returns {Promise<number>} Number of model/domain pairs with statistics
+ */
+async function loadStats(dbClient) {
+  try {
+    const rows = await dbClient.getModelStats();
+    stats.clear();
+    remember(rows);
+  } catch (error) {
+    logger.warn('Could not load model routing statistics', { error: error.message });
+  }
+  return stats.size;
+}
+
+/**
+ * Learned estimate for one model in one domain
+ * @param {string} model
+ * @param {string} domain
+ * @param {Object} [options]
+ * @param {boolean} [options.tagged=false] - config.models tags the model with this domain
+ * @returns {{quality: number, successRate: number, expected: number, calls: number, errors: number, outcomes: number, avgLatencyMs: number|null, avgUsd: number|null}}
+ */
+function estimate(model, domain, { tagged = false } = {}) {
+  const cfg = config.modelRouter || {};
+  const k = cfg.priorStrength ?? 5;
+  const own = totalsFor(model, d => d === domain);
+  const others = totalsFor(model, d => d !== domain);
+  const prior = ((cfg.priorQuality ?? 0.5) + (tagged ? DOMAIN_TAG_BONUS : 0)) * k;
+  const domainPrior = (prior + others.qualityTotal) / (k + others.outcomes);
+  const quality = (domainPrior * k + own.qualityTotal) / (k + own.outcomes);
+  // Laplace-smoothed: an untried model starts at 0.5 and a few errors do not rule a model out
+  const successRate = (own.calls - own.errors + 1) / (own.calls + 2);
+  const ok = own.calls - own.errors;
+  return {
+    quality,
+    successRate,
+    expected: quality * successRate,
+    calls: own.calls,
+    errors: own.errors,
+    outcomes: own.outcomes,
+    avgLatencyMs: ok > 0 ? Math.round(own.latencyMsTotal / ok) : null,
+    avgUsd: ok > 0 ? own.usdTotal / ok : null
+  };
+}
+
+/**
+ * Candidates ordered by routing score, best first; ties keep the given order
+ * @param {Array<{name: string, domains?: string[]}>} candidates - Models of the cost tier
+ * @param {string} domain - Query domain (researchAgent.classifyQueryDomain)
+ * @param {string} [costPreference='low'] - Selects the cost weight
+ * @returns {Array<{model: string, score: number, expected: number, quality: number, successRate: number, calls: number, errors: number, outcomes: number, avgLatencyMs: number|null, usd: number}>}
+ */
+function rank(candidates, domain, costPreference = 'low') {
+  const cfg = config.modelRouter || {};
+  const seen = new Set();
+  const rows = (candidates || [])
+    .filter(c => c?.name && !seen.has(c.name) && seen.add(c.name))
+    .map(c => {
+      const e = estimate(c.name, domain, { tagged: (c.domains || []).includes(domain) });
+      return { model: c.name, ...e, usd: e.avgUsd ?? modelCatalog.estimateCostUsd(c.name, TYPICAL_USAGE) };
+    });
+  const maxUsd = Math.max(0, ...rows.map(r => r.usd));
+  const latencies = rows.map(r => r.avgLatencyMs).filter(v => v !== null);
+  const maxLatency = Math.max(0, ...latencies);
+  // Models without latency data count as average
+  const meanLatency = latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : 0;
+  const costWeight = cfg.costWeights?.[costPreference] ?? 0;
+  for (const r of rows) {
+    const relCost = maxUsd > 0 ? r.usd / maxUsd : 0;
+    const relLatency = maxLatency > 0 ? (r.avgLatencyMs ?? meanLatency) / maxLatency : 0;
+    r.score = r.expected - costWeight * relCost - (cfg.latencyWeight ?? 0) * relLatency;
+  }
+  return rows.sort((a, b) => b.score - a.score).map(r => ({
+    model: r.model,
+    score: round(r.score),
+    expected: round(r.expected),
+    quality: round(r.quality),
+    successRate: round(r.successRate),
+    calls: r.calls,
+    errors: r.errors,
+    outcomes: r.outcomes,
+    avgLatencyMs: r.avgLatencyMs,
+    usd: round(r.usd, 6)
+  }));
+}
+
+/**
+ * Ensemble for a sub-query: the best candidate, then the next best or (exploring) the least tried
+ * @param {Array<{name: string, domains?: string[]}>} candidates - Models of the cost tier
+ * @param {string} domain - Query domain
+ * @param {Object} [options]
+ * @param {string} [options.costPreference='low']
+ * @param {number} [options.size=2] - Ensemble size
+ * @param {Function} [options.random=Math.random] - Source of the exploration draws
+ * @returns {{models: string[], explored: string[], ranking: Array<Object>}}
+ */
+function route(candidates, domain, { costPreference = 'low', size = 2, random = Math.random } = {}) {
+  const ranking = rank(candidates, domain, costPreference);
+  const remaining = [...ranking];
+  const models = [];
+  const explored = [];
+  const exploration = config.modelRouter?.exploration ?? 0;
+  while (models.length < size && remaining.length) {
+    let pick = 0;
+    // The first slot always takes the best model; later slots may explore
+    if (models.length > 0 && remaining.length > 1 && random() < exploration) {
+      for (let i = 1; i < remaining.length; i++) if (remaining[i].calls < remaining[pick].calls) pick = i;
+      if (pick > 0) explored.push(remaining[pick].model);
+    }
+    models.push(remaining.splice(pick, 1)[0].model);
+  }
+  return { models, explored, ranking };
+}
+
+/**
+ * Call outcomes in a run's research results. Adjudicated debate answers and
+ * skipped sub-queries are not model calls of the ensemble.
+ * @param {Array<Object>} results - researchAgent results (tagged with domain)
+ * @returns {Array<{model: string, domain: string, ok: boolean, latencyMs: number, usd: number, explored: boolean}>}
+ */
+function outcomesOf(results) {
+  return (results || [])
+    .filter(r => r?.model && r.model !== 'N/A' && r.domain && !r.adjudicated)
+    .map(r => ({
+      model: r.model,
+      domain: r.domain,
+      ok: !r.error,
+      latencyMs: Number(r.latencyMs) || 0,
+      usd: r.error ? 0 : modelCatalog.estimateCostUsd(r.model, r.usage),
+      explored: !!r.explored
+    }));
+}
+
+/**
+ * Models that answered in a run, per domain, for researchMetadata.routing
+ * (ratings of the report are credited to these)
+ * @param {Array<Object>} results
+ * @returns {{adaptive: boolean, explored: number, models: Array<{model: string, domain: string, calls: number, errors: number}>}|null}
+ */
+function summarize(results) {
+  const outcomes = outcomesOf(results);
+  if (!outcomes.length) return null;
+  const byKey = new Map();
+  for (const o of outcomes) {
+    const entry = byKey.get(keyOf(o.model, o.domain)) || { model: o.model, domain: o.domain, calls: 0, errors: 0 };
+    entry.calls += 1;
+    if (!o.ok) entry.errors += 1;
+    byKey.set(keyOf(o.model, o.domain), entry);
+  }
+  return { adaptive: isEnabled(), explored: outcomes.filter(o => o.explored).length, models: [...byKey.values()] };
+}
+
+/**
+ * Record a finished run: every research call, and the run's quality (e.g.
+ * the fact-check accuracy score) for each model that answered. Never throws.
+ * @param {Object} dbClient
+ * @param {Array<Object>} results - researchAgent results (tagged with domain)
+ * @param {number|null} [quality] - 0..1; null records calls only
+ * @returns {Promise<number>} Calls recorded
+ */
+async function recordRun(dbClient, results, quality = null) {
+  const outcomes = outcomesOf(results);
+  if (!outcomes.length) return 0;
+  try {
+    remember(await dbClient.recordModelCalls(outcomes));
+    if (quality !== null && Number.isFinite(Number(quality))) {
+      const pairs = new Map(outcomes.filter(o => o.ok).map(o => [keyOf(o.model, o.domain), { model: o.model, domain: o.domain }]));
+      remember(await dbClient.recordModelQuality([...pairs.values()], clamp(quality)));
+    }
+  } catch (error) {
+    logger.warn('Could not record model routing statistics', { error: error.message });
+    return 0;
+  }
+  return outcomes.length;
+}
+
+/**
+ * Feed a report rating into the quality of every model/domain pair that answered for it
+ * @param {Object} dbClient
+ * @param {Object} routing - researchMetadata.routing of the rated report
+ * @param {number} rating - 1..5
+ * @param {number|null} [previousRating] - The report's earlier rating (1..5); replaced, not added to
+ * @returns {Promise<Array<string>>} Models updated
+ */
+async function recordRating(dbClient, routing, rating, previousRating = null) {
+  const pairs = (routing?.models || []).filter(m => m.calls > m.errors).map(({ model, domain }) => ({ model, domain }));
+  if (!pairs.length) return [];
+  const previous = previousRating === null || previousRating === undefined ? null : clamp((Number(previousRating) - 1) / 4);
+  remember(await dbClient.recordModelQuality(pairs, clamp((Number(rating) - 1) / 4), previous));
+  return [...new Set(pairs.map(p => p.model))];
+}
+
+/**
+ * Statistics with learned estimates, for the model_stats tool
+ * @param {Object} [filter]
+ * @param {string} [filter.model]
+ * @param {string} [filter.domain]
+ * @returns {Array<Object>} Most-called first
+ */
+function describe({ model = null, domain = null } = {}) {
+  return [...stats.values()]
+    .filter(s => (!model || s.model === model) && (!domain || s.domain === domain))
+    .sort((a, b) => b.calls - a.calls || a.model.localeCompare(b.model))
+    .map(s => {
+      const e = estimate(s.model, s.domain);
+      return {
+        model: s.model,
+        domain: s.domain,
+        calls: s.calls,
+        errorRate: s.calls ? round(s.errors / s.calls) : null,
+        avgLatencyMs: e.avgLatencyMs,
+        avgUsd: e.avgUsd === null ? null : round(e.avgUsd, 6),
+        outcomes: s.outcomes,
+        meanQuality: s.outcomes ? round(s.qualityTotal / s.outcomes) : null,
+        expectedQuality: round(e.expected),
+        updatedAt: s.updatedAt
+      };
+    });
+}
+
+module.exports = {
+  isEnabled,
+  loadStats,
+  estimate,
+  rank,
+  route,
+  outcomesOf,
+  summarize,
+  recordRun,
+  recordRating,
+  describe
+};
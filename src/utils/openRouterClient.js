@@ -1,201 +1,47 @@
 // src/utils/openRouterClient.js
-const axios = require('axios');
-const fetch = require('node-fetch'); // Use node-fetch v2 for CommonJS
-const { createParser } = require('eventsource-parser');
 const config = require('../../config');
+const providers = require('./providers');
+const cassette = require('./cassette');
 
+// Entry point for every LLM call made by the agents. Despite the name it is
+// vendor-neutral: each call is routed to a provider adapter chosen by model id
+// prefix (see src/utils/providers/index.js), and all adapters accept and return
+// the OpenAI/OpenRouter chat-completions shape.
 class OpenRouterClient {
   constructor() {
     this.apiKey = config.openrouter.apiKey;
     this.baseUrl = config.openrouter.baseUrl;
-    
-    this.client = axios.create({
-      baseURL: this.baseUrl,
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'HTTP-Referer': 'http://localhost:3002',
-        'X-Title': 'OpenRouter Research Agents',
-        'Content-Type': 'application/json'
-      }
-    });
     this._batchQueue = [];
     this._batchTimer = null;
     this._batchMaxSize = Number(process.env.BATCH_MAX_SIZE) || 8;
     this._batchMaxDelayMs = Number(process.env.BATCH_MAX_DELAY_MS) || 150;
   }
 
-  async chatCompletion(model, messages, options = {}) {
-    // Validate API key before making request
-    if (!this.apiKey) {
-      const { ConfigurationError } = require('./errors');
-      throw new ConfigurationError('OpenRouter API key not configured', 'OPENROUTER_API_KEY');
-    }
-
-    try {
-      const minMax = Number(config.models?.minMaxTokens || 0);
-      const merged = { ...options };
-      if (minMax > 0) {
-        merged.max_tokens = Math.max(Number(merged.max_tokens || 0), minMax);
-      }
-      const response = await this.client.post('/chat/completions', {
-        model,
-        messages,
-        ...merged
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error('Error calling OpenRouter API:', error.response?.data || error.message);
-      throw error;
-    }
-  }
-
-  // New method for streaming chat completions (robust SSE parsing)
-  async *streamChatCompletion(model, messages, options = {}) {
-    // Validate API key before making request
-    if (!this.apiKey) {
-      const { ConfigurationError } = require('./errors');
-      throw new ConfigurationError('OpenRouter API key not configured', 'OPENROUTER_API_KEY');
-    }
-
-    const url = `${this.baseUrl}/chat/completions`;
+  // Enforce a minimum max_tokens to avoid truncation across all providers
+  _applyTokenFloor(options) {
     const minMax = Number(config.models?.minMaxTokens || 0);
     const merged = { ...options };
     if (minMax > 0) {
       merged.max_tokens = Math.max(Number(merged.max_tokens || 0), minMax);
     }
-    const body = JSON.stringify({
-      model,
-      messages,
-      stream: true,
-      ...merged
-    });
-
-    console.error(`[${new Date().toISOString()}] OpenRouterClient: Starting stream request to ${model}`);
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'HTTP-Referer': 'http://localhost:3002',
-          'X-Title': 'OpenRouter Research Agents',
-          'Content-Type': 'application/json'
-        },
-        body: body
-      });
-
-      if (!response.ok) {
-        const errorBody = await response.text();
-        console.error(`[${new Date().toISOString()}] OpenRouterClient: Stream request failed with status ${response.status}. Body: ${errorBody}`);
-        throw new Error(`OpenRouter API error: ${response.status} ${response.statusText} - ${errorBody}`);
-      }
-
-      const decoder = new TextDecoder();
-      let finalUsage = null;
-
-      let isDone = false;
-      const parser = createParser(event => {
-        if (event.type !== 'event') return;
-        const { data, event: evt } = event; // evt may be undefined for default "message" events
-        if (evt && /ping|heartbeat/i.test(evt)) {
-          return; // ignore heartbeats
-        }
-        if (!data) return;
-        if (data.trim() === '[DONE]') {
-          isDone = true;
-          return;
-        }
-        try {
-          const parsed = JSON.parse(data);
-          // OpenAI/OpenRouter compatible delta format
-          const delta = parsed.choices?.[0]?.delta;
-          if (delta?.content) {
-            // yield content tokens
-            // Note: Generators cannot yield inside callbacks; set a queue instead
-            this._enqueue?.({ content: delta.content });
-          } else if (parsed.usage) {
-            // capture usage if provided mid/final stream
-            finalUsage = parsed.usage;
-            this._enqueue?.({ usage: finalUsage });
-          } else if (parsed.error) {
-            this._enqueue?.({ error: parsed.error });
-          }
-        } catch (e) {
-          // Non-JSON payloads ignored
-          console.error(`[${new Date().toISOString()}] OpenRouterClient: Error parsing stream event data`, e);
-        }
-      });
-
-      // Simple async queue to bridge parser callback and async generator
-      const queue = [];
-      let resolveWaiter;
-      const waitForItem = () => new Promise(res => (resolveWaiter = res));
-      const push = item => {
-        queue.push(item);
-        if (resolveWaiter) {
-          resolveWaiter();
-          resolveWaiter = null;
-        }
-      };
-      this._enqueue = push;
-
-      // Stream processing with proper error handling
-      const streamPromise = (async () => {
-        try {
-          for await (const chunk of response.body) {
-            const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
-            parser.feed(text);
-            if (isDone) break;
-          }
-        } catch (streamErr) {
-          // Enhanced error payload with classification
-          const errorPayload = {
-            error: {
-              message: `Stream failed: ${streamErr.message}`,
-              code: streamErr.code || 'STREAM_ERROR',
-              category: ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'ENETUNREACH'].includes(streamErr.code) ? 'NETWORK' : 'UNKNOWN',
-              isRetryable: ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND'].includes(streamErr.code),
-              originalError: {
-                name: streamErr.name,
-                message: streamErr.message,
-                code: streamErr.code
-              }
-            }
-          };
-          console.error(`[${new Date().toISOString()}] OpenRouterClient: Stream error:`, JSON.stringify(errorPayload));
-          push(errorPayload);
-        } finally {
-          // emit final usage if not already emitted
-          if (finalUsage) push({ usage: finalUsage });
-          push({ done: true });
-        }
-      })();
-
-      // Handle unhandled promise rejections from stream processing
-      streamPromise.catch(err => {
-        console.error(`[${new Date().toISOString()}] OpenRouterClient: Unhandled stream rejection:`, err.message, err.stack?.split('\n').slice(0, 3).join('\n'));
-      });
+    return merged;
+  }
 
-      // Drain queue as async generator output
-      while (true) {
-        if (queue.length > 0) {
-          const item = queue.shift();
-          if (item.done) {
-            console.error(`[${new Date().toISOString()}] OpenRouterClient: Stream finished [DONE]`);
-            return;
-          }
-          yield item;
-          continue;
-        }
-        await waitForItem();
-      }
+  async chatCompletion(model, messages, options = {}) {
+    const merged = this._applyTokenFloor(options);
+    return cassette.wrapCall('chat', { model, messages, options: merged }, () => {
+      const { provider, model: upstreamModel } = providers.resolveModel(model);
+      return provider.chatCompletion(upstreamModel, messages, merged);
+    });
+  }
 
-    } catch (error) {
-      console.error(`[${new Date().toISOString()}] OpenRouterClient: Error during streaming request:`, error);
-      yield { error: { message: `Stream failed: ${error.message}` } };
-      throw error;
-    }
+  // Streaming chat completions; yields { content } | { usage } | { error }
+  async *streamChatCompletion(model, messages, options = {}) {
+    const merged = this._applyTokenFloor(options);
+    yield* cassette.wrapStream('stream', { model, messages, options: merged }, () => {
+      const { provider, model: upstreamModel } = providers.resolveModel(model);
+      return provider.streamChatCompletion(upstreamModel, messages, merged);
+    });
   }
 
   // Hybrid batching: size OR timeout policy
@@ -223,14 +69,9 @@ class OpenRouterClient {
     }));
   }
 
+  // Model catalog comes from the default provider (OpenRouter unless overridden)
   async getModels() {
-    try {
-      const response = await this.client.get('/models');
-      return response.data;
-    } catch (error) {
-      console.error('Error fetching models:', error.response?.data || error.message);
-      throw error;
-    }
+    return providers.getDefaultProvider().getModels();
   }
 }
 
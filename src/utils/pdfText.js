@@ -0,0 +1,512 @@
+/**
+ * PDF Text Extractor
+ *
+ * Dependency-free text extraction for corpus ingestion. Reads the objects of
+ * a PDF (including compressed object streams), walks the page tree in order
+ * and interprets each page's content stream: text-showing operators, line
+ * moves and Form XObjects. Strings are decoded through the font's ToUnicode
+ * CMap when there is one, otherwise as WinAnsi. Each line keeps its largest
+ * font size so callers can tell headings from body text.
+ *
+ * Not supported: encrypted PDFs, scanned pages (no text layer), Type3 glyph
+ * names and custom /Differences encodings without a ToUnicode map.
+ *
+ * @module pdfText
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set('()<>[]{}/%'.split('').map(c => c.charCodeAt(0)));
+// WinAnsi codes 0x80-0x9F that differ from Latin-1
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+  0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘',
+  0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜',
+  0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+// TJ adjustments (thousandths of an em) wider than this read as a word gap
+const TJ_SPACE = 180;
+const MAX_XOBJECT_DEPTH = 3;
+
+/**
+ * Minimal PDF object parser over a latin1 string
+ * Names become strings, strings become { bytes } and references { ref }.
+ */
+class Parser {
+  constructor(src, pos = 0) {
+    this.src = src;
+    this.pos = pos;
+  }
+
+  skipSpace() {
+    const { src } = this;
+    while (this.pos < src.length) {
+      const c = src.charCodeAt(this.pos);
+      if (WHITESPACE.has(c)) this.pos++;
+      else if (c === 0x25) { // % comment
+        while (this.pos < src.length && src[this.pos] !== '\n' && src[this.pos] !== '\r') this.pos++;
+      } else break;
+    }
+  }
+
+  regular() {
+    const { src } = this;
+    const start = this.pos;
+    while (this.pos < src.length) {
+      const c = src.charCodeAt(this.pos);
+      if (WHITESPACE.has(c) || DELIMITERS.has(c)) break;
+      this.pos++;
+    }
+    return src.slice(start, this.pos);
+  }
+
+  literalString() {
+    const { src } = this;
+    let depth = 1;
+    let out = '';
+    this.pos++; // (
+    while (this.pos < src.length) {
+      const ch = src[this.pos++];
+      if (ch === '\\') {
+        const next = src[this.pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (next in escapes) out += escapes[next];
+        else if (next === '\r') { if (src[this.pos] === '\n') this.pos++; }
+        else if (next === '\n') { /* line continuation */ }
+        else if (/[0-7]/.test(next)) {
+          let oct = next;
+          while (oct.length < 3 && /[0-7]/.test(src[this.pos])) oct += src[this.pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else out += next;
+      } else if (ch === '(') { depth++; out += ch; }
+      else if (ch === ')') { if (--depth === 0) break; out += ch; }
+      else out += ch;
+    }
+    return { bytes: out };
+  }
+
+  hexString() {
+    const end = this.src.indexOf('>', this.pos);
+    let hex = this.src.slice(this.pos + 1, end < 0 ? this.src.length : end).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = end < 0 ? this.src.length : end + 1;
+    if (hex.length % 2) hex += '0';
+    return { bytes: Buffer.from(hex, 'hex').toString('latin1'), hex: true };
+  }
+
+  /** Parse one value; returns undefined at the end of input */
+  value() {
+    this.skipSpace();
+    const { src } = this;
+    if (this.pos >= src.length) return undefined;
+    const ch = src[this.pos];
+    if (ch === '<' && src[this.pos + 1] === '<') {
+      this.pos += 2;
+      const dict = {};
+      for (;;) {
+        this.skipSpace();
+        if (this.pos >= src.length) break;
+        if (src[this.pos] === '>' && src[this.pos + 1] === '>') { this.pos += 2; break; }
+        const key = this.value();
+        if (typeof key !== 'string') break;
+        dict[key] = this.value();
+      }
+      return dict;
+    }
+    if (ch === '<') return this.hexString();
+    if (ch === '(') return this.literalString();
+    if (ch === '[') {
+      this.pos++;
+      const arr = [];
+      for (;;) {
+        this.skipSpace();
+        if (this.pos >= src.length) break;
+        if (src[this.pos] === ']') { this.pos++; break; }
+        const v = this.value();
+        if (v === undefined) break;
+        arr.push(v);
+      }
+      return arr;
+    }
+    if (ch === '/') {
+      this.pos++;
+      return this.regular().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+    }
+    if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') { this.pos++; return { op: ch }; }
+    const token = this.regular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      // "n g R" is a reference
+      const save = this.pos;
+      if (/^\d+$/.test(token)) {
+        this.skipSpace();
+        const gen = this.regular();
+        if (/^\d+$/.test(gen)) {
+          this.skipSpace();
+          if (this.src[this.pos] === 'R' && (this.pos + 1 >= src.length || WHITESPACE.has(src.charCodeAt(this.pos + 1)) || DELIMITERS.has(src.charCodeAt(this.pos + 1)))) {
+            this.pos++;
+            return { ref: Number(token) };
+          }
+        }
+        this.pos = save;
+      }
+      return Number(token);
+    }
+    if (token === 'true' || token === 'false') return token === 'true';
+    if (token === 'null') return null;
+    if (!token) { this.pos++; return { op: ch }; }
+    return { op: token };
+  }
+}
+
+function decodeStream(dict, raw) {
+  let filters = dict.Filter;
+  if (!filters) return raw;
+  if (!Array.isArray(filters)) filters = [filters];
+  let data = raw;
+  for (const f of filters) {
+    if (f === 'FlateDecode' || f === 'Fl') {
+      try { data = zlib.inflateSync(data); } catch (_) { data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH }); }
+    } else {
+      return null; // image and other filters carry no text
+    }
+  }
+  return data;
+}
+
+/**
+ * Read every object in the file, later revisions overriding earlier ones
+ * @param {Buffer} buf
+ * @returns {{objects: Map<number, {value: *, stream: Buffer|null}>, trailer: Object}}
+ */
+function readObjects(buf) {
+  const src = buf.toString('latin1');
+  const objects = new Map();
+  const trailer = {};
+  const header = /(\d+)\s+(\d+)\s+obj\b/g;
+  let m;
+  while ((m = header.exec(src))) {
+    const parser = new Parser(src, m.index + m[0].length);
+    let value;
+    try { value = parser.value(); } catch (_) { continue; }
+    let stream = null;
+    parser.skipSpace();
+    if (value && typeof value === 'object' && src.startsWith('stream', parser.pos)) {
+      let start = parser.pos + 6;
+      if (src[start] === '\r') start++;
+      if (src[start] === '\n') start++;
+      let end = typeof value.Length === 'number' ? start + value.Length : -1;
+      if (end < 0 || !/^\s*endstream/.test(src.slice(end, end + 20))) end = src.indexOf('endstream', start);
+      if (end < 0) end = src.length;
+      stream = buf.subarray(start, end);
+      header.lastIndex = end;
+    } else {
+      header.lastIndex = parser.pos;
+    }
+    objects.set(Number(m[1]), { value, stream });
+    if (value && value.Type === 'XRef') Object.assign(trailer, value);
+  }
+
+  // Classic trailers (the last one wins, as with objects)
+  const trailerRe = /trailer\s*<</g;
+  while ((m = trailerRe.exec(src))) {
+    try { Object.assign(trailer, new Parser(src, m.index + 7).value()); } catch (_) { /* ignore */ }
+  }
+
+  // Objects packed into object streams (PDF 1.5+)
+  for (const [, obj] of [...objects]) {
+    if (!obj.stream || obj.value?.Type !== 'ObjStm') continue;
+    const data = decodeStream(obj.value, obj.stream);
+    if (!data) continue;
+    const text = data.toString('latin1');
+    const index = new Parser(text);
+    const pairs = [];
+    for (let i = 0; i < (obj.value.N || 0); i++) pairs.push([index.value(), index.value()]);
+    for (const [num, offset] of pairs) {
+      if (typeof num !== 'number' || objects.has(num)) continue;
+      try { objects.set(num, { value: new Parser(text, (obj.value.First || 0) + offset).value(), stream: null }); } catch (_) { /* skip */ }
+    }
+  }
+  return { objects, trailer };
+}
+
+function decodeUtf16(bytes) {
+  let out = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  return out;
+}
+
+function textString(v) {
+  if (!v || typeof v.bytes !== 'string') return null;
+  const b = v.bytes;
+  return b.startsWith('\xfe\xff') ? decodeUtf16(b.slice(2)) : b;
+}
+
+function winAnsi(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const c = bytes.charCodeAt(i);
+    out += WIN_ANSI[c] || String.fromCharCode(c);
+  }
+  return out;
+}
+
+function hexToInt(v) {
+  return parseInt(Buffer.from(v.bytes, 'latin1').toString('hex') || '0', 16);
+}
+
+/**
+ * Parse a ToUnicode CMap into code -> text, with the code width in bytes
+ * @param {string} cmap
+ * @returns {{map: Map<number, string>, codeBytes: number}}
+ */
+function parseToUnicode(cmap) {
+  const map = new Map();
+  let codeBytes = 0;
+  const p = new Parser(cmap);
+  const stack = [];
+  let mode = null;
+  for (let v = p.value(); v !== undefined; v = p.value()) {
+    if (v && v.op) {
+      if (v.op === 'begincodespacerange') mode = 'space';
+      else if (v.op === 'beginbfchar') mode = 'char';
+      else if (v.op === 'beginbfrange') mode = 'range';
+      else if (/^end/.test(v.op)) mode = null;
+      stack.length = 0;
+      continue;
+    }
+    if (!mode) continue;
+    stack.push(v);
+    if (mode === 'space' && stack.length === 2) {
+      codeBytes = Math.max(codeBytes, stack[0].bytes.length);
+      stack.length = 0;
+    } else if (mode === 'char' && stack.length === 2) {
+      if (!codeBytes) codeBytes = stack[0].bytes.length;
+      map.set(hexToInt(stack[0]), decodeUtf16(stack[1].bytes));
+      stack.length = 0;
+    } else if (mode === 'range' && stack.length === 3) {
+      const [lo, hi, dst] = stack;
+      const from = hexToInt(lo);
+      const to = Math.min(hexToInt(hi), from + 0xffff);
+      if (!codeBytes) codeBytes = lo.bytes.length;
+      if (Array.isArray(dst)) {
+        dst.forEach((d, i) => { if (from + i <= to && d?.bytes != null) map.set(from + i, decodeUtf16(d.bytes)); });
+      } else if (dst?.bytes != null) {
+        const base = decodeUtf16(dst.bytes);
+        const head = base.slice(0, -1);
+        const last = base.charCodeAt(base.length - 1);
+        for (let c = from; c <= to; c++) map.set(c, head + String.fromCharCode(last + (c - from)));
+      }
+      stack.length = 0;
+    }
+  }
+  return { map, codeBytes: codeBytes || 1 };
+}
+
+class Document {
+  constructor(buf) {
+    const { objects, trailer } = readObjects(buf);
+    this.objects = objects;
+    this.trailer = trailer;
+    this.fonts = new Map();
+  }
+
+  resolve(v, depth = 0) {
+    while (v && typeof v === 'object' && 'ref' in v && depth++ < 32) v = this.objects.get(v.ref)?.value;
+    return v;
+  }
+
+  streamOf(v) {
+    if (!v || typeof v !== 'object' || !('ref' in v)) return null;
+    const obj = this.objects.get(v.ref);
+    return obj?.stream ? decodeStream(obj.value, obj.stream) : null;
+  }
+
+  get encrypted() {
+    return !!this.trailer.Encrypt;
+  }
+
+  get title() {
+    const info = this.resolve(this.trailer.Info);
+    return info ? textString(this.resolve(info.Title)) : null;
+  }
+
+  /** Pages in reading order, each with its (inherited) resources */
+  pages() {
+    const out = [];
+    const seen = new Set();
+    const walk = (ref, inherited) => {
+      const node = this.resolve(ref);
+      if (!node || typeof node !== 'object' || out.length > 100000) return;
+      const key = ref && ref.ref;
+      if (key != null) { if (seen.has(key)) return; seen.add(key); }
+      const resources = this.resolve(node.Resources) || inherited;
+      if (node.Type === 'Pages' || Array.isArray(node.Kids)) {
+        for (const kid of this.resolve(node.Kids) || []) walk(kid, resources);
+      } else {
+        out.push({ node, resources });
+      }
+    };
+    const root = this.resolve(this.trailer.Root) ||
+      [...this.objects.values()].map(o => o.value).reverse().find(v => v && v.Type === 'Catalog');
+    if (root) walk(root.Pages, null);
+    if (!out.length) {
+      // No usable page tree: fall back to page objects in object order
+      for (const [, obj] of [...this.objects].sort((a, b) => a[0] - b[0])) {
+        if (obj.value && obj.value.Type === 'Page') out.push({ node: obj.value, resources: this.resolve(obj.value.Resources) });
+      }
+    }
+    return out;
+  }
+
+  font(resources, name) {
+    const fontDict = this.resolve(this.resolve(resources?.Font)?.[name]);
+    if (!fontDict) return { decode: winAnsi };
+    if (this.fonts.has(fontDict)) return this.fonts.get(fontDict);
+    let font;
+    const cmapData = this.streamOf(fontDict.ToUnicode);
+    if (cmapData) {
+      const { map, codeBytes } = parseToUnicode(cmapData.toString('latin1'));
+      font = {
+        decode(bytes) {
+          let out = '';
+          for (let i = 0; i + codeBytes <= bytes.length; i += codeBytes) {
+            let code = 0;
+            for (let k = 0; k < codeBytes; k++) code = (code << 8) | bytes.charCodeAt(i + k);
+            out += map.get(code) ?? (codeBytes === 1 ? winAnsi(String.fromCharCode(code)) : '');
+          }
+          return out;
+        }
+      };
+    } else if (fontDict.Subtype === 'Type0') {
+      font = { decode: () => '' }; // CID codes without a ToUnicode map cannot be read
+    } else {
+      font = { decode: winAnsi };
+    }
+    this.fonts.set(fontDict, font);
+    return font;
+  }
+}
+
+/**
+ * Interpret a content stream, appending text lines to `lines`
+ */
+function runContent(doc, data, resources, lines, depth = 0) {
+  const p = new Parser(data.toString('latin1'));
+  const operands = [];
+  let font = { decode: winAnsi };
+  let fontSize = 12;
+  let scale = 1;
+  let lastY = null;
+  let line = null;
+
+  const newLine = () => {
+    if (line && line.text.trim()) lines.push({ text: line.text.replace(/\s+/g, ' ').trim(), size: line.size });
+    line = null;
+  };
+  const show = (text) => {
+    if (!text) return;
+    const size = Math.round(Math.abs(fontSize * scale) * 10) / 10;
+    if (!line) line = { text: '', size };
+    line.text += text;
+    line.size = Math.max(line.size, size);
+  };
+
+  for (let v = p.value(); v !== undefined; v = p.value()) {
+    if (!v || typeof v !== 'object' || !v.op) { operands.push(v); continue; }
+    const op = v.op;
+    switch (op) {
+      case 'BI': { // inline image: skip its binary data
+        const end = p.src.indexOf('EI', p.src.indexOf('ID', p.pos));
+        p.pos = end < 0 ? p.src.length : end + 2;
+        break;
+      }
+      case 'Tf':
+        font = doc.font(resources, operands[operands.length - 2]);
+        fontSize = Number(operands[operands.length - 1]) || fontSize;
+        break;
+      case 'Tm': {
+        const [a, b, , d, , f] = operands.slice(-6).map(Number);
+        scale = Math.hypot(a, b) || Math.abs(d) || 1;
+        if (lastY !== null && Math.abs(f - lastY) > 1) newLine();
+        lastY = f;
+        break;
+      }
+      case 'Td':
+      case 'TD': {
+        const ty = Number(operands[operands.length - 1]);
+        const tx = Number(operands[operands.length - 2]);
+        if (ty) newLine();
+        else if (tx && line && !/\s$/.test(line.text)) line.text += ' ';
+        if (lastY !== null) lastY += ty * scale;
+        break;
+      }
+      case 'T*':
+        newLine();
+        break;
+      case 'ET':
+        newLine();
+        lastY = null;
+        break;
+      case 'Tj':
+        show(font.decode(operands[operands.length - 1]?.bytes || ''));
+        break;
+      case "'":
+      case '"':
+        newLine();
+        show(font.decode(operands[operands.length - 1]?.bytes || ''));
+        break;
+      case 'TJ':
+        for (const item of (Array.isArray(operands[operands.length - 1]) ? operands[operands.length - 1] : [])) {
+          if (typeof item === 'number') { if (item < -TJ_SPACE && line && !/\s$/.test(line.text)) line.text += ' '; }
+          else if (item?.bytes != null) show(font.decode(item.bytes));
+        }
+        break;
+      case 'Do': {
+        if (depth >= MAX_XOBJECT_DEPTH) break;
+        const ref = doc.resolve(resources?.XObject)?.[operands[operands.length - 1]];
+        const xobj = doc.resolve(ref);
+        if (xobj?.Subtype === 'Form') {
+          const stream = doc.streamOf(ref);
+          if (stream) { newLine(); runContent(doc, stream, doc.resolve(xobj.Resources) || resources, lines, depth + 1); }
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    operands.length = 0;
+  }
+  newLine();
+}
+
+/**
+ * Extract text from a PDF
+ * @param {Buffer} buf - PDF file contents
+ * @param {Object} [options]
+ * @param {number} [options.maxPages=2000]
+ * @returns {{title: string|null, pageCount: number, pages: Array<{number: number, lines: Array<{text: string, size: number}>}>}}
+ * @throws {Error} For files that are not PDFs or are encrypted
+ */
+function extractPdfText(buf, { maxPages = 2000 } = {}) {
+  if (!Buffer.isBuffer(buf) || buf.subarray(0, 1024).toString('latin1').indexOf('%PDF-') < 0) throw new Error('Not a PDF file');
+  const doc = new Document(buf);
+  if (doc.encrypted) throw new Error('Encrypted PDFs are not supported');
+  const all = doc.pages();
+  const pages = all.slice(0, maxPages).map(({ node, resources }, i) => {
+    const lines = [];
+    const contents = Array.isArray(doc.resolve(node.Contents)) ? doc.resolve(node.Contents) : [node.Contents];
+    // A page's content streams are one logical stream
+    const data = Buffer.concat(contents.map(c => doc.streamOf(c)).filter(Boolean).flatMap(d => [d, Buffer.from('\n')]));
+    try { runContent(doc, data, resources, lines); } catch (_) { /* keep what was read */ }
+    return { number: i + 1, lines };
+  });
+  return { title: doc.title, pageCount: all.length, pages };
+}
+
+module.exports = {
+  extractPdfText,
+  parseToUnicode
+};
@@ -139,6 +139,26 @@ const ToolRequirements = {
     inputs: [Domain.TEXT, Domain.STRUCTURED], output: Domain.STRUCTURED,
     role: Role.REASONING, category: ToolCategory.RESEARCH
   },
+  refresh_report: {
+    db: true, embedder: false, apiKey: true,
+    inputs: [Domain.TEXT], output: Domain.STRUCTURED,
+    role: Role.REASONING, category: ToolCategory.RESEARCH
+  },
+  watch_create: {
+    db: true, embedder: false, apiKey: false,
+    inputs: [Domain.TEXT], output: Domain.STRUCTURED,
+    role: Role.EXECUTION, category: ToolCategory.RESEARCH
+  },
+  watch_list: {
+    db: true, embedder: false, apiKey: false,
+    inputs: [Domain.VOID], output: Domain.STRUCTURED,
+    role: Role.RETRIEVAL, category: ToolCategory.RESEARCH
+  },
+  watch_delete: {
+    db: true, embedder: false, apiKey: false,
+    inputs: [Domain.TEXT], output: Domain.STRUCTURED,
+    role: Role.EXECUTION, category: ToolCategory.RESEARCH
+  },
 
   // ========== KNOWLEDGE BASE TOOLS ==========
   query: {
@@ -166,6 +186,26 @@ const ToolRequirements = {
     inputs: [Domain.VOID], output: Domain.STRUCTURED,
     role: Role.RETRIEVAL, category: ToolCategory.KNOWLEDGE
   },
+  diff_reports: {
+    db: true, embedder: false, apiKey: false,
+    inputs: [Domain.TEXT], output: Domain.STRUCTURED,
+    role: Role.REASONING, category: ToolCategory.KNOWLEDGE
+  },
+  render_report: {
+    db: true, embedder: false, apiKey: false,
+    inputs: [Domain.TEXT], output: Domain.STRUCTURED,
+    role: Role.RETRIEVAL, category: ToolCategory.KNOWLEDGE
+  },
+  index_path: {
+    db: true, embedder: 'optional', apiKey: false,
+    inputs: [Domain.TEXT], output: Domain.STRUCTURED,
+    role: Role.EXECUTION, category: ToolCategory.KNOWLEDGE
+  },
+  reindex_vectors: {
+    db: true, embedder: 'optional', apiKey: false,
+    inputs: [Domain.VOID], output: Domain.STRUCTURED,
+    role: Role.EXECUTION, category: ToolCategory.KNOWLEDGE
+  },
 
   // ========== GRAPH TOOLS ==========
   graph_traverse: {
@@ -247,6 +287,7 @@ const ToolRequirements = {
   task_result: { db: true, embedder: false, apiKey: false, inputs: [Domain.TEXT], output: Domain.STRUCTURED, role: Role.RETRIEVAL, category: ToolCategory.JOB },
   task_list: { db: true, embedder: false, apiKey: false, inputs: [Domain.VOID], output: Domain.STRUCTURED, role: Role.RETRIEVAL, category: ToolCategory.JOB },
   task_cancel: { db: true, embedder: false, apiKey: false, inputs: [Domain.TEXT], output: Domain.STRUCTURED, role: Role.EXECUTION, category: ToolCategory.JOB },
+  task_input: { db: true, embedder: false, apiKey: false, inputs: [Domain.STRUCTURED], output: Domain.STRUCTURED, role: Role.EXECUTION, category: ToolCategory.JOB },
 
   // ========== UTILITY TOOLS ==========
   ping: {
@@ -540,6 +581,12 @@ function preflightForTool(toolName, dbClient) {
  * Check if OpenRouter API key is configured
  */
 function checkAPIKey() {
+  // Non-OpenRouter default providers (local servers, fake) carry their own credentials
+  const defaultProvider = config.providers?.default || 'openrouter';
+  if (defaultProvider !== 'openrouter') {
+    return { passed: true, message: `Default LLM provider is ${defaultProvider}; OpenRouter key not required` };
+  }
+
   const apiKey = config.openrouter?.apiKey;
 
   if (!apiKey) {
@@ -661,7 +708,7 @@ async function runResearchPreflight(dbClient, options = {}) {
   result.addCheck('Models', modelCheck, true);
 
   // Optional: Test API connectivity (if requested)
-  if (options.testConnectivity) {
+  if (options.testConnectivity && (config.providers?.default || 'openrouter') === 'openrouter') {
     try {
       const response = await fetch('https://openrouter.ai/api/v1/models', {
         headers: {
@@ -693,7 +740,7 @@ function quickCheck(dbClient) {
   const issues = [];
 
   // Check API key
-  if (!config.openrouter?.apiKey) {
+  if ((config.providers?.default || 'openrouter') === 'openrouter' && !config.openrouter?.apiKey) {
     issues.push('Missing OPENROUTER_API_KEY');
   }
 
@@ -0,0 +1,180 @@
+// src/utils/providers/anthropic.js
+// Adapter for the Anthropic Messages API. Translates OpenAI-style chat
+// messages in and OpenAI-style completions/stream items out, so agents never
+// see the vendor shape.
+const axios = require('axios');
+const fetch = require('node-fetch'); // Use node-fetch v2 for CommonJS
+const { readSseStream } = require('./sse');
+
+const STOP_REASON_MAP = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+// OpenAI content part -> Anthropic content block
+function toAnthropicPart(part) {
+  if (typeof part === 'string') return { type: 'text', text: part };
+  if (part?.type === 'text') return { type: 'text', text: part.text || '' };
+  if (part?.type === 'image_url') {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+    const m = /^data:([^;]+);base64,(.*)$/s.exec(url || '');
+    if (m) return { type: 'image', source: { type: 'base64', media_type: m[1], data: m[2] } };
+    return { type: 'image', source: { type: 'url', url } };
+  }
+  return { type: 'text', text: JSON.stringify(part) };
+}
+
+/**
+ * Split OpenAI-style messages into Anthropic's { system, messages } pair.
+ * System messages are concatenated; everything else keeps its order.
+ */
+function toAnthropicMessages(messages = []) {
+  const system = [];
+  const out = [];
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      system.push(typeof msg.content === 'string' ? msg.content : (msg.content || []).map(p => p.text || '').join('\n'));
+      continue;
+    }
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const content = typeof msg.content === 'string'
+      ? msg.content
+      : (msg.content || []).map(toAnthropicPart);
+    out.push({ role, content });
+  }
+  return { system: system.join('\n\n') || undefined, messages: out };
+}
+
+function toAnthropicUsage(usage = {}) {
+  const prompt = Number(usage.input_tokens || 0);
+  const completion = Number(usage.output_tokens || 0);
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+class AnthropicProvider {
+  constructor({ apiKey, baseUrl, version, defaultMaxTokens }) {
+    this.name = 'Anthropic';
+    this.apiKey = apiKey;
+    this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    this.defaultMaxTokens = defaultMaxTokens || 4096;
+    this.headers = {
+      'x-api-key': apiKey || '',
+      'anthropic-version': version,
+      'Content-Type': 'application/json'
+    };
+    this.client = axios.create({ baseURL: this.baseUrl, headers: this.headers });
+  }
+
+  _assertConfigured() {
+    if (!this.apiKey) {
+      const { ConfigurationError } = require('../errors');
+      throw new ConfigurationError('Anthropic API key not configured', 'ANTHROPIC_API_KEY');
+    }
+  }
+
+  _buildBody(model, messages, options) {
+    const { system, messages: converted } = toAnthropicMessages(messages);
+    const body = {
+      model,
+      messages: converted,
+      max_tokens: Number(options.max_tokens) || this.defaultMaxTokens
+    };
+    if (system) body.system = system;
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.top_p !== undefined) body.top_p = options.top_p;
+    if (options.stop) body.stop_sequences = Array.isArray(options.stop) ? options.stop : [options.stop];
+    return body;
+  }
+
+  async chatCompletion(model, messages, options = {}) {
+    this._assertConfigured();
+    try {
+      const response = await this.client.post('/messages', this._buildBody(model, messages, options));
+      const data = response.data || {};
+      const text = (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+      return {
+        id: data.id,
+        model: data.model || model,
+        object: 'chat.completion',
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: text },
+          finish_reason: STOP_REASON_MAP[data.stop_reason] || data.stop_reason || 'stop'
+        }],
+        usage: toAnthropicUsage(data.usage)
+      };
+    } catch (error) {
+      console.error('Error calling Anthropic API:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  async *streamChatCompletion(model, messages, options = {}) {
+    this._assertConfigured();
+    const label = 'AnthropicProvider';
+    console.error(`[${new Date().toISOString()}] ${label}: Starting stream request to ${model}`);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/messages`, {
+        method: 'POST',
+        headers: this.headers,
+        body: JSON.stringify({ ...this._buildBody(model, messages, options), stream: true })
+      });
+
+      if (!response.ok) {
+        const errorBody = await response.text();
+        console.error(`[${new Date().toISOString()}] ${label}: Stream request failed with status ${response.status}. Body: ${errorBody}`);
+        throw new Error(`Anthropic API error: ${response.status} ${response.statusText} - ${errorBody}`);
+      }
+
+      // input_tokens arrive on message_start, output_tokens on message_delta
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      yield* readSseStream(response, parsed => {
+        switch (parsed.type) {
+          case 'message_start':
+            usage.input_tokens = parsed.message?.usage?.input_tokens || 0;
+            return null;
+          case 'content_block_delta':
+            return parsed.delta?.type === 'text_delta' && parsed.delta.text ? { content: parsed.delta.text } : null;
+          case 'message_delta':
+            if (parsed.usage?.output_tokens !== undefined) usage.output_tokens = parsed.usage.output_tokens;
+            return null;
+          case 'message_stop':
+            return [{ usage: toAnthropicUsage(usage) }, { done: true }];
+          case 'error':
+            return { error: parsed.error || { message: 'Anthropic stream error' } };
+          default:
+            return null;
+        }
+      }, label);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ${label}: Error during streaming request:`, error);
+      yield { error: { message: `Stream failed: ${error.message}` } };
+      throw error;
+    }
+  }
+
+  async getModels() {
+    this._assertConfigured();
+    try {
+      const response = await this.client.get('/models');
+      // Reshape to the OpenRouter catalog shape consumed by modelCatalog
+      return {
+        data: (response.data?.data || []).map(m => ({
+          id: m.id,
+          name: m.display_name || m.id,
+          created: m.created_at ? Math.floor(Date.parse(m.created_at) / 1000) : undefined,
+          input_modalities: ['text', 'image']
+        }))
+      };
+    } catch (error) {
+      console.error('Error fetching Anthropic models:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
+module.exports.toAnthropicMessages = toAnthropicMessages;
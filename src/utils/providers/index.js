@@ -0,0 +1,81 @@
+// src/utils/providers/index.js
+// Provider registry: maps a model id to the adapter that should serve it.
+//
+// Routing is by model id prefix (config.models.providerRoutes), longest match
+// wins and the prefix is stripped before the call, e.g. with the default routes
+//   "local/llama3.1:8b"                 -> openai-compatible, model "llama3.1:8b"
+//   "anthropic-direct/claude-sonnet-4-5" -> anthropic, model "claude-sonnet-4-5"
+//   "fake/planner"                      -> fake, model "planner"
+// Ids without a routed prefix go to config.providers.default (openrouter).
+const config = require('../../../config');
+const OpenAICompatibleProvider = require('./openaiCompatible');
+const AnthropicProvider = require('./anthropic');
+const FakeProvider = require('./fake');
+
+const PROVIDER_NAMES = ['openrouter', 'openai-compatible', 'anthropic', 'fake'];
+
+const factories = {
+  'openrouter': () => new OpenAICompatibleProvider({
+    name: 'OpenRouter',
+    baseUrl: config.openrouter.baseUrl,
+    apiKey: config.openrouter.apiKey,
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    headers: {
+      'HTTP-Referer': 'http://localhost:3002',
+      'X-Title': 'OpenRouter Research Agents'
+    }
+  }),
+  'openai-compatible': () => new OpenAICompatibleProvider({
+    name: 'OpenAICompatible',
+    baseUrl: config.providers.openaiCompatible.baseUrl,
+    apiKey: config.providers.openaiCompatible.apiKey
+  }),
+  'anthropic': () => new AnthropicProvider(config.providers.anthropic),
+  'fake': () => new FakeProvider(config.providers.fake)
+};
+
+const instances = new Map();
+
+function getProvider(name) {
+  const key = String(name || '').toLowerCase();
+  if (!factories[key]) {
+    const { ConfigurationError } = require('../errors');
+    throw new ConfigurationError(
+      `Unknown LLM provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`,
+      'LLM_DEFAULT_PROVIDER/LLM_PROVIDER_ROUTES'
+    );
+  }
+  if (!instances.has(key)) instances.set(key, factories[key]());
+  return instances.get(key);
+}
+
+/**
+ * Resolve which provider serves a model id and the id to send upstream.
+ * @param {string} modelId - Model id as configured (may carry a route prefix)
+ * @returns {{ provider: Object, providerName: string, model: string }}
+ */
+function resolveModel(modelId) {
+  const id = String(modelId || '');
+  const routes = config.models.providerRoutes || {};
+  let best = null;
+  for (const prefix of Object.keys(routes)) {
+    if (id.startsWith(prefix) && (!best || prefix.length > best.length)) best = prefix;
+  }
+  const providerName = best ? routes[best] : config.providers.default;
+  return {
+    provider: getProvider(providerName),
+    providerName: String(providerName).toLowerCase(),
+    model: best ? id.slice(best.length) : id
+  };
+}
+
+function getDefaultProvider() {
+  return getProvider(config.providers.default);
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  getDefaultProvider,
+  resolveModel
+};
@@ -0,0 +1,96 @@
+// src/utils/providers/openaiCompatible.js
+// Adapter for any server speaking the OpenAI chat-completions wire format.
+// OpenRouter is one instance of this; llama.cpp, vLLM and Ollama (/v1) are others.
+const axios = require('axios');
+const fetch = require('node-fetch'); // Use node-fetch v2 for CommonJS
+const { readSseStream } = require('./sse');
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.name - Provider name used in logs/errors
+   * @param {string} opts.baseUrl - API root (e.g. http://localhost:8080/v1)
+   * @param {string|null} opts.apiKey - Bearer token, optional for local servers
+   * @param {Object} [opts.headers] - Extra headers sent on every request
+   * @param {string|null} [opts.apiKeyEnv] - Env var name; when set the key is required
+   */
+  constructor({ name, baseUrl, apiKey = null, headers = {}, apiKeyEnv = null }) {
+    this.name = name;
+    this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.apiKeyEnv = apiKeyEnv;
+    this.headers = {
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      ...headers,
+      'Content-Type': 'application/json'
+    };
+    this.client = axios.create({ baseURL: this.baseUrl, headers: this.headers });
+  }
+
+  _assertConfigured() {
+    if (this.apiKeyEnv && !this.apiKey) {
+      const { ConfigurationError } = require('../errors');
+      throw new ConfigurationError(`${this.name} API key not configured`, this.apiKeyEnv);
+    }
+  }
+
+  async chatCompletion(model, messages, options = {}) {
+    this._assertConfigured();
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model,
+        messages,
+        ...options
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error calling ${this.name} API:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  async *streamChatCompletion(model, messages, options = {}) {
+    this._assertConfigured();
+    const label = `${this.name}Provider`;
+    console.error(`[${new Date().toISOString()}] ${label}: Starting stream request to ${model}`);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.headers,
+        body: JSON.stringify({ model, messages, stream: true, ...options })
+      });
+
+      if (!response.ok) {
+        const errorBody = await response.text();
+        console.error(`[${new Date().toISOString()}] ${label}: Stream request failed with status ${response.status}. Body: ${errorBody}`);
+        throw new Error(`${this.name} API error: ${response.status} ${response.statusText} - ${errorBody}`);
+      }
+
+      yield* readSseStream(response, parsed => {
+        // OpenAI/OpenRouter compatible delta format
+        const delta = parsed.choices?.[0]?.delta;
+        if (delta?.content) return { content: delta.content };
+        if (parsed.usage) return { usage: parsed.usage };
+        if (parsed.error) return { error: parsed.error };
+        return null;
+      }, label);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ${label}: Error during streaming request:`, error);
+      yield { error: { message: `Stream failed: ${error.message}` } };
+      throw error;
+    }
+  }
+
+  async getModels() {
+    try {
+      const response = await this.client.get('/models');
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching ${this.name} models:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,83 @@
+// src/utils/providers/sse.js
+// Shared server-sent-events reader used by the streaming provider adapters.
+const { createParser } = require('eventsource-parser');
+
+const NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'ENETUNREACH'];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND'];
+
+/**
+ * Read a fetch() response body as SSE and yield normalized stream items.
+ *
+ * `handleEvent(data, eventName)` maps each SSE payload to one of:
+ *   - an item to yield ({ content } | { usage } | { error })
+ *   - an array of such items
+ *   - { done: true } to stop reading
+ *   - null/undefined to skip the event
+ *
+ * Heartbeat/ping events are dropped before reaching the handler. Transport
+ * failures are yielded as a classified { error } item rather than thrown so
+ * consumers see the same shape they get for provider-reported errors.
+ *
+ * @param {Object} response - node-fetch Response
+ * @param {Function} handleEvent - Event mapper
+ * @param {string} label - Provider label for log lines
+ */
+async function* readSseStream(response, handleEvent, label = 'Provider') {
+  const decoder = new TextDecoder();
+  const pending = [];
+  let isDone = false;
+
+  const parser = createParser(event => {
+    if (event.type !== 'event') return;
+    const { data, event: evt } = event; // evt may be undefined for default "message" events
+    if (evt && /ping|heartbeat/i.test(evt)) return;
+    if (!data) return;
+    if (data.trim() === '[DONE]') {
+      isDone = true;
+      return;
+    }
+    let mapped;
+    try {
+      mapped = handleEvent(JSON.parse(data), evt);
+    } catch (e) {
+      // Non-JSON payloads ignored
+      console.error(`[${new Date().toISOString()}] ${label}: Error parsing stream event data`, e);
+      return;
+    }
+    for (const item of (Array.isArray(mapped) ? mapped : [mapped])) {
+      if (!item) continue;
+      if (item.done) { isDone = true; continue; }
+      pending.push(item);
+    }
+  });
+
+  try {
+    for await (const chunk of response.body) {
+      const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      parser.feed(text);
+      while (pending.length > 0) yield pending.shift();
+      if (isDone) break;
+    }
+  } catch (streamErr) {
+    const errorPayload = {
+      error: {
+        message: `Stream failed: ${streamErr.message}`,
+        code: streamErr.code || 'STREAM_ERROR',
+        category: NETWORK_CODES.includes(streamErr.code) ? 'NETWORK' : 'UNKNOWN',
+        isRetryable: RETRYABLE_CODES.includes(streamErr.code),
+        originalError: {
+          name: streamErr.name,
+          message: streamErr.message,
+          code: streamErr.code
+        }
+      }
+    };
+    console.error(`[${new Date().toISOString()}] ${label}: Stream error:`, JSON.stringify(errorPayload));
+    yield errorPayload;
+  }
+
+  while (pending.length > 0) yield pending.shift();
+  console.error(`[${new Date().toISOString()}] ${label}: Stream finished [DONE]`);
+}
+
+module.exports = { readSseStream };
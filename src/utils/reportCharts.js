@@ -0,0 +1,461 @@
+/**
+ * Report Charts
+ *
+ * Charts in reports are Vega-Lite specs in ```vega-lite fenced blocks, with
+ * their numbers inline in `data.values`. This module validates the subset the
+ * server can draw without a browser and lays a chart out once as a scene of
+ * primitives (rects, lines, paths, circles, text). The SVG writer here and the
+ * PDF writer (reportPdf.js) both draw that scene, so exports match.
+ *
+ * Supported subset:
+ * - mark: bar, line, point, area (string or { type })
+ * - encoding.x / encoding.y: { field, type, title?, aggregate?, sort?, scale: { zero? } }
+ *   with type quantitative, nominal, ordinal or temporal; one of them quantitative
+ * - encoding.color: { field, title? } for series (bars and areas stack)
+ * - title, width, height
+ * Any Vega-Lite client can render the stored spec with full fidelity.
+ *
+ * @module reportCharts
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+const FENCE_LANGS = new Set(['vega-lite', 'vegalite', 'vl']);
+const MARKS = new Set(['bar', 'line', 'point', 'area']);
+const TYPES = new Set(['quantitative', 'nominal', 'ordinal', 'temporal']);
+const AGGREGATES = new Set(['sum', 'mean', 'average', 'count', 'min', 'max']);
+const MAX_VALUES = 1000;
+// Vega's default category palette (tableau10)
+const PALETTE = ['#4c78a8', '#f58518', '#e45756', '#72b7b2', '#54a24b', '#eeca3b', '#b279a2', '#ff9da6', '#9d755d', '#bab0ac'];
+const AXIS_COLOR = '#888888';
+const GRID_COLOR = '#dddddd';
+const TEXT_COLOR = '#333333';
+
+/**
+ * Whether a fenced code block's info string marks a chart
+ * @param {string} lang
+ * @returns {boolean}
+ */
+function isChartFence(lang) {
+  return FENCE_LANGS.has(String(lang || '').trim().toLowerCase());
+}
+
+function channel(enc, name, required) {
+  const def = enc?.[name];
+  if (!def) {
+    if (required) throw new Error(`Chart encoding.${name} is required`);
+    return null;
+  }
+  if (typeof def !== 'object') throw new Error(`Chart encoding.${name} must be an object`);
+  // Counts need no field: { aggregate: 'count', type: 'quantitative' }
+  const counted = def.aggregate === 'count' && !def.field;
+  if (!counted && (typeof def.field !== 'string' || !def.field)) {
+    throw new Error(`Chart encoding.${name} needs a field`);
+  }
+  const type = def.type || (name === 'color' ? 'nominal' : null);
+  if (!TYPES.has(type)) throw new Error(`Chart encoding.${name}.type must be one of ${[...TYPES].join(', ')}`);
+  let aggregate = def.aggregate || null;
+  if (aggregate && !AGGREGATES.has(aggregate)) throw new Error(`Unsupported aggregate '${aggregate}' in encoding.${name}`);
+  if (aggregate === 'average') aggregate = 'mean';
+  return {
+    field: counted ? '*' : def.field,
+    type,
+    title: typeof def.title === 'string' ? def.title : (counted ? 'Count' : def.field),
+    aggregate,
+    sort: def.sort === undefined ? 'ascending' : def.sort,
+    zero: def.scale?.zero !== false
+  };
+}
+
+/**
+ * Validate a Vega-Lite spec against the drawable subset
+ * @param {Object|string} spec - Spec object or JSON text
+ * @returns {{spec: Object, title: string, mark: string, values: Array<Object>, x: Object, y: Object, color: Object|null, width: number, height: number}}
+ *   spec is the original with $schema filled in; the rest is the normalized chart
+ * @throws {Error} When the JSON is invalid or the spec is outside the subset
+ */
+function parseChartSpec(spec) {
+  if (typeof spec === 'string') {
+    try {
+      spec = JSON.parse(spec);
+    } catch (e) {
+      throw new Error(`Chart spec is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('Chart spec must be a JSON object');
+  if (spec.layer || spec.concat || spec.hconcat || spec.vconcat || spec.facet || spec.repeat) {
+    throw new Error('Layered, concatenated and faceted charts are not supported');
+  }
+  const mark = typeof spec.mark === 'string' ? spec.mark : spec.mark?.type;
+  if (!MARKS.has(mark)) throw new Error(`Chart mark must be one of ${[...MARKS].join(', ')}`);
+  const values = spec.data?.values;
+  if (!Array.isArray(values) || !values.length) throw new Error('Chart data.values must be a non-empty array (inline data only)');
+  if (values.length > MAX_VALUES) throw new Error(`Chart data.values is limited to ${MAX_VALUES} rows`);
+  if (!values.every(v => v && typeof v === 'object' && !Array.isArray(v))) throw new Error('Chart data.values must hold objects');
+
+  const x = channel(spec.encoding, 'x', true);
+  const y = channel(spec.encoding, 'y', true);
+  const color = channel(spec.encoding, 'color', false);
+  if (x.type !== 'quantitative' && y.type !== 'quantitative') {
+    throw new Error('One of encoding.x and encoding.y must be quantitative');
+  }
+  for (const ch of [x, y]) {
+    if (ch.type === 'quantitative' && ch.aggregate !== 'count' && !values.some(v => Number.isFinite(Number(v[ch.field])))) {
+      throw new Error(`Chart field '${ch.field}' has no numeric values`);
+    }
+  }
+
+  const title = typeof spec.title === 'string' ? spec.title : (typeof spec.title?.text === 'string' ? spec.title.text : '');
+  const size = (v, def, min, max) => (Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : def);
+  return {
+    spec: { $schema: SCHEMA, ...spec },
+    title,
+    mark,
+    values,
+    x,
+    y,
+    color,
+    width: size(spec.width, 560, 240, 1000),
+    height: size(spec.height, 300, 160, 800)
+  };
+}
+
+/**
+ * Field values used by a chart, as a table (for formats that cannot draw it)
+ * @param {Object} chart - From parseChartSpec
+ * @returns {{columns: string[], rows: Array<Array<*>>}}
+ */
+function chartTable(chart) {
+  const channels = [chart.x, chart.y, chart.color].filter(Boolean);
+  const fields = [...new Set(channels.map(c => c.field).filter(f => f !== '*'))];
+  return {
+    columns: fields.map(f => channels.find(c => c.field === f).title),
+    rows: chart.values.map(v => fields.map(f => v[f] ?? ''))
+  };
+}
+
+function aggregateValues(values, aggregate) {
+  const nums = values.map(Number).filter(Number.isFinite);
+  switch (aggregate) {
+    case 'count': return values.length;
+    case 'mean': return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : 0;
+    case 'min': return nums.length ? Math.min(...nums) : 0;
+    case 'max': return nums.length ? Math.max(...nums) : 0;
+    default: return nums.reduce((a, b) => a + b, 0);
+  }
+}
+
+// Data rows as { key, value, series }: key on the category/time axis, value on the measure axis
+function chartRows(chart, keyCh, valueCh) {
+  const seriesOf = v => (chart.color ? String(v[chart.color.field] ?? '') : '');
+  const keyOf = v => (keyCh.type === 'quantitative' ? Number(v[keyCh.field]) : keyCh.type === 'temporal' ? Date.parse(v[keyCh.field]) : String(v[keyCh.field] ?? ''));
+  const valid = chart.values.filter(v => {
+    const k = keyOf(v);
+    return typeof k === 'string' || Number.isFinite(k);
+  });
+  if (!valueCh.aggregate) {
+    return valid.map(v => ({ key: keyOf(v), value: Number(v[valueCh.field]), series: seriesOf(v) })).filter(r => Number.isFinite(r.value));
+  }
+  const groups = new Map();
+  for (const v of valid) {
+    const id = `${keyOf(v)}\u0000${seriesOf(v)}`;
+    if (!groups.has(id)) groups.set(id, { key: keyOf(v), series: seriesOf(v), values: [] });
+    groups.get(id).values.push(v[valueCh.field]);
+  }
+  return [...groups.values()].map(g => ({ key: g.key, series: g.series, value: aggregateValues(g.values, valueCh.aggregate) }));
+}
+
+/**
+ * Round tick values for a numeric domain
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=5]
+ * @returns {number[]}
+ */
+function niceTicks(min, max, count = 5) {
+  if (min === max) { min -= min === 0 ? 1 : Math.abs(min) * 0.1; max += max === 0 ? 1 : Math.abs(max) * 0.1; }
+  const raw = (max - min) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw);
+  const ticks = [];
+  for (let t = Math.floor(min / step) * step; t <= Math.ceil(max / step) * step + step / 2; t += step) {
+    ticks.push(Number(t.toPrecision(12)));
+  }
+  return ticks;
+}
+
+function formatNumber(n) {
+  const abs = Math.abs(n);
+  if (abs >= 1e9) return `${+(n / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${+(n / 1e6).toFixed(2)}M`;
+  if (abs >= 1e4) return `${+(n / 1e3).toFixed(1)}k`;
+  return String(+n.toPrecision(6));
+}
+
+function dateFormatter(times) {
+  const dates = times.map(t => new Date(t));
+  if (dates.every(d => d.getUTCMonth() === 0 && d.getUTCDate() === 1 && d.getUTCHours() === 0)) return t => String(new Date(t).getUTCFullYear());
+  if (dates.every(d => d.getUTCDate() === 1 && d.getUTCHours() === 0)) return t => new Date(t).toISOString().slice(0, 7);
+  return t => new Date(t).toISOString().slice(0, 10);
+}
+
+// Rough label width for layout (Helvetica-like average glyph width)
+const labelWidth = (text, size) => String(text).length * size * 0.56;
+
+function truncate(text, size, maxWidth) {
+  let t = String(text);
+  if (labelWidth(t, size) <= maxWidth) return t;
+  while (t.length > 1 && labelWidth(`${t}…`, size) > maxWidth) t = t.slice(0, -1);
+  return `${t}…`;
+}
+
+function orderKeys(keys, sort, rows) {
+  if (sort === null) return keys;
+  if (typeof sort === 'string' && /^-?[xy]$/.test(sort)) {
+    const total = k => rows.filter(r => r.key === k).reduce((a, r) => a + r.value, 0);
+    const dir = sort.startsWith('-') ? -1 : 1;
+    return [...keys].sort((a, b) => dir * (total(a) - total(b)));
+  }
+  if (Array.isArray(sort)) return [...keys].sort((a, b) => (sort.indexOf(a) + 1 || Infinity) - (sort.indexOf(b) + 1 || Infinity));
+  const sorted = [...keys].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+  return sort === 'descending' ? sorted.reverse() : sorted;
+}
+
+/**
+ * Lay out a chart as drawing primitives in a width x height box (origin top left)
+ * @param {Object} chart - From parseChartSpec
+ * @param {Object} [options]
+ * @param {boolean} [options.title=true] - Draw the chart title (documents caption it instead)
+ * @returns {{width: number, height: number, items: Array<Object>}}
+ */
+function chartScene(chart, { title = true } = {}) {
+  const { width, height, mark } = chart;
+  // The measure is the quantitative channel; bars run horizontally when it is on x
+  const horizontal = chart.x.type === 'quantitative' && chart.y.type !== 'quantitative';
+  const keyCh = horizontal ? chart.y : chart.x;
+  const valueCh = horizontal ? chart.x : chart.y;
+  const rows = chartRows(chart, keyCh, valueCh);
+  const series = chart.color ? [...new Set(rows.map(r => r.series))] : [''];
+  const colorOf = s => PALETTE[series.indexOf(s) % PALETTE.length];
+  const banded = keyCh.type === 'nominal' || keyCh.type === 'ordinal';
+  const stacked = chart.color && (mark === 'bar' || mark === 'area');
+  const items = [];
+  const text = (x, y, t, opts = {}) => items.push({ type: 'text', x, y, text: String(t), size: 11, anchor: 'start', fill: TEXT_COLOR, ...opts });
+
+  // Measure extent (stacks add up per key and sign)
+  const keys = banded ? orderKeys([...new Set(rows.map(r => r.key))], keyCh.sort, rows) : [...new Set(rows.map(r => r.key))].sort((a, b) => a - b);
+  const stackTop = new Map();
+  let vMin = Infinity;
+  let vMax = -Infinity;
+  for (const r of rows) {
+    if (stacked) {
+      const id = `${r.key}\u0000${r.value < 0 ? '-' : '+'}`;
+      const base = stackTop.get(id) || 0;
+      r.base = base;
+      stackTop.set(id, base + r.value);
+      vMin = Math.min(vMin, base, base + r.value);
+      vMax = Math.max(vMax, base, base + r.value);
+    } else {
+      r.base = 0;
+      vMin = Math.min(vMin, r.value);
+      vMax = Math.max(vMax, r.value);
+    }
+  }
+  if (valueCh.zero || mark === 'bar' || mark === 'area') { vMin = Math.min(vMin, 0); vMax = Math.max(vMax, 0); }
+  const vTicks = niceTicks(vMin, vMax);
+  const [v0, v1] = [vTicks[0], vTicks[vTicks.length - 1]];
+
+  // Key axis ticks and labels
+  let kTicks;
+  let kLabel;
+  if (banded) {
+    kTicks = keys;
+    kLabel = k => k;
+  } else if (keyCh.type === 'temporal') {
+    const [t0, t1] = [keys[0], keys[keys.length - 1]];
+    kTicks = keys.length <= 8 ? keys : Array.from({ length: 5 }, (_, i) => t0 + ((t1 - t0) * i) / 4);
+    kLabel = dateFormatter(keys);
+  } else {
+    kTicks = niceTicks(keyCh.zero ? Math.min(0, keys[0]) : keys[0], keyCh.zero ? Math.max(0, keys[keys.length - 1]) : keys[keys.length - 1]);
+    kLabel = formatNumber;
+  }
+  const valueLabels = vTicks.map(formatNumber);
+  const keyLabels = kTicks.map(k => String(kLabel(k)));
+
+  // Plot box
+  const legendW = chart.color ? Math.min(160, 24 + Math.max(labelWidth(chart.color.title, 11), ...series.map(s => labelWidth(s, 10)))) : 0;
+  const top = (title && chart.title ? 34 : 12);
+  const yLabels = horizontal ? keyLabels : valueLabels;
+  const yLabelW = Math.min(horizontal ? 140 : 80, Math.max(...yLabels.map(l => labelWidth(l, 10)))) + 8;
+  const left = 22 + yLabelW;
+  const right = 14 + (legendW ? legendW + 12 : 0);
+  const plotW = width - left - right;
+  const xLabels = horizontal ? valueLabels : keyLabels;
+  const slot = plotW / Math.max(1, xLabels.length);
+  const rotate = !horizontal && banded && xLabels.some(l => labelWidth(l, 10) > slot - 4);
+  const bottom = 34 + (rotate ? Math.min(70, Math.max(...xLabels.map(l => labelWidth(l, 10)))) * 0.72 : 14);
+  const plotH = height - top - bottom;
+
+  // Scales: measure axis and key axis, as pixel offsets along their direction
+  const valueSpan = horizontal ? plotW : plotH;
+  const keySpan = horizontal ? plotH : plotW;
+  const vScale = v => ((v - v0) / (v1 - v0 || 1)) * valueSpan;
+  let band = 0;
+  let kScale;
+  if (banded) {
+    const step = keySpan / Math.max(1, keys.length);
+    band = step * (mark === 'bar' ? 0.8 : 1);
+    kScale = k => keys.indexOf(k) * step + (step - band) / 2;
+  } else {
+    const [k0, k1] = keyCh.type === 'temporal' ? [keys[0], keys[keys.length - 1]] : [kTicks[0], kTicks[kTicks.length - 1]];
+    const inset = mark === 'bar' ? Math.min(30, keySpan / (2 * Math.max(1, keys.length))) : 0;
+    band = mark === 'bar' ? Math.max(2, Math.min(40, (keySpan - 2 * inset) / Math.max(1, keys.length) * 0.8)) : 0;
+    kScale = k => inset + ((k - k0) / (k1 - k0 || 1)) * (keySpan - 2 * inset) - band / 2;
+  }
+  // Pixel point for (key offset, value); horizontal charts put the key on y (top to bottom)
+  const at = (kOff, v) => (horizontal ? [left + vScale(v), top + kOff] : [left + kOff, top + plotH - vScale(v)]);
+
+  if (title && chart.title) text(width / 2, 20, truncate(chart.title, 14, width - 20), { size: 14, anchor: 'middle', bold: true });
+
+  // Grid and value axis
+  vTicks.forEach((t, i) => {
+    const [gx, gy] = at(0, t);
+    if (horizontal) {
+      items.push({ type: 'line', x1: gx, y1: top, x2: gx, y2: top + plotH, stroke: GRID_COLOR, strokeWidth: 1 });
+      text(gx, top + plotH + 16, valueLabels[i], { size: 10, anchor: 'middle' });
+    } else {
+      items.push({ type: 'line', x1: left, y1: gy, x2: left + plotW, y2: gy, stroke: GRID_COLOR, strokeWidth: 1 });
+      text(left - 6, gy + 3.5, valueLabels[i], { size: 10, anchor: 'end' });
+    }
+  });
+
+  // Key axis labels (every n-th when crowded along y)
+  const every = horizontal ? Math.max(1, Math.ceil((kTicks.length * 13) / plotH)) : 1;
+  kTicks.forEach((k, i) => {
+    if (i % every) return;
+    const off = kScale(k) + band / 2;
+    if (horizontal) {
+      text(left - 6, top + off + 3.5, truncate(keyLabels[i], 10, yLabelW - 6), { size: 10, anchor: 'end' });
+    } else if (rotate) {
+      text(left + off, top + plotH + 10, truncate(keyLabels[i], 10, 96), { size: 10, anchor: 'end', angle: -45 });
+    } else {
+      text(left + off, top + plotH + 16, keyLabels[i], { size: 10, anchor: 'middle' });
+    }
+  });
+  items.push({ type: 'line', x1: left, y1: top + plotH, x2: left + plotW, y2: top + plotH, stroke: AXIS_COLOR, strokeWidth: 1 });
+  items.push({ type: 'line', x1: left, y1: top, x2: left, y2: top + plotH, stroke: AXIS_COLOR, strokeWidth: 1 });
+
+  // Axis titles
+  const xTitle = chart.x.aggregate ? `${chart.x.aggregate}(${chart.x.title})` : chart.x.title;
+  const yTitle = chart.y.aggregate ? `${chart.y.aggregate}(${chart.y.title})` : chart.y.title;
+  text(left + plotW / 2, height - 8, truncate(xTitle, 11, plotW), { size: 11, anchor: 'middle', bold: true });
+  text(12, top + plotH / 2, truncate(yTitle, 11, plotH), { size: 11, anchor: 'middle', bold: true, angle: -90 });
+
+  // Marks
+  const keyLabelFor = r => (banded ? r.key : keyCh.type === 'temporal' ? kLabel(r.key) : formatNumber(r.key));
+  const tooltip = r => `${keyLabelFor(r)}${chart.color ? ` · ${r.series}` : ''}: ${formatNumber(r.value)}`;
+  if (mark === 'bar') {
+    // Unstacked series sit side by side within the band
+    const lanes = chart.color && !stacked ? series.length : 1;
+    for (const r of rows) {
+      const lane = lanes > 1 ? series.indexOf(r.series) : 0;
+      const off = kScale(r.key) + (band / lanes) * lane;
+      const [ax, ay] = at(off, r.base);
+      const [bx, by] = at(off + band / lanes, r.base + r.value);
+      items.push({ type: 'rect', x: Math.min(ax, bx), y: Math.min(ay, by), width: Math.abs(bx - ax), height: Math.abs(by - ay), fill: colorOf(r.series), title: tooltip(r) });
+    }
+  } else {
+    for (const s of series) {
+      const pts = rows.filter(r => r.series === s).sort((a, b) => (banded ? keys.indexOf(a.key) - keys.indexOf(b.key) : a.key - b.key));
+      const point = r => at(kScale(r.key) + band / 2, r.base + r.value);
+      if (mark === 'area') {
+        const upper = pts.map(point);
+        const lower = pts.map(r => at(kScale(r.key) + band / 2, r.base)).reverse();
+        items.push({ type: 'path', points: [...upper, ...lower], fill: colorOf(s), opacity: 0.7, closed: true });
+      } else if (mark === 'line') {
+        items.push({ type: 'path', points: pts.map(point), stroke: colorOf(s), strokeWidth: 2 });
+      }
+      if (mark !== 'area') {
+        for (const r of pts) {
+          const [cx, cy] = point(r);
+          items.push({ type: 'circle', cx, cy, r: mark === 'point' ? 3.5 : 2.5, fill: colorOf(s), title: tooltip(r) });
+        }
+      }
+    }
+  }
+
+  // Legend
+  if (chart.color) {
+    const lx = width - legendW - 4;
+    text(lx, top + 8, truncate(chart.color.title, 11, legendW), { size: 11, bold: true });
+    series.slice(0, Math.floor((plotH - 16) / 16)).forEach((s, i) => {
+      items.push({ type: 'rect', x: lx, y: top + 16 + i * 16, width: 10, height: 10, fill: colorOf(s) });
+      text(lx + 16, top + 25 + i * 16, truncate(s, 10, legendW - 18), { size: 10 });
+    });
+  }
+  return { width, height, items };
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const fmt = n => String(+n.toFixed(2));
+
+/**
+ * Draw a scene as a standalone SVG document
+ * @param {{width: number, height: number, items: Array<Object>}} scene - From chartScene
+ * @param {Object} [options]
+ * @param {string} [options.label] - Accessible name
+ * @returns {string}
+ */
+function sceneToSvg(scene, { label = '' } = {}) {
+  const out = [`<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" role="img"${label ? ` aria-label="${escapeXml(label)}"` : ''} font-family="Helvetica, Arial, sans-serif">`];
+  if (label) out.push(`<title>${escapeXml(label)}</title>`);
+  out.push(`<rect width="${scene.width}" height="${scene.height}" fill="#ffffff"/>`);
+  const tip = item => (item.title ? `<title>${escapeXml(item.title)}</title>` : '');
+  for (const it of scene.items) {
+    if (it.type === 'rect') {
+      out.push(`<rect x="${fmt(it.x)}" y="${fmt(it.y)}" width="${fmt(it.width)}" height="${fmt(it.height)}" fill="${it.fill}">${tip(it)}</rect>`);
+    } else if (it.type === 'line') {
+      out.push(`<line x1="${fmt(it.x1)}" y1="${fmt(it.y1)}" x2="${fmt(it.x2)}" y2="${fmt(it.y2)}" stroke="${it.stroke}" stroke-width="${it.strokeWidth}"/>`);
+    } else if (it.type === 'path') {
+      const d = it.points.map(([x, y], i) => `${i ? 'L' : 'M'}${fmt(x)},${fmt(y)}`).join('') + (it.closed ? 'Z' : '');
+      const paint = it.fill ? `fill="${it.fill}"${it.opacity ? ` fill-opacity="${it.opacity}"` : ''} stroke="none"` : `fill="none" stroke="${it.stroke}" stroke-width="${it.strokeWidth}" stroke-linejoin="round"`;
+      out.push(`<path d="${d}" ${paint}/>`);
+    } else if (it.type === 'circle') {
+      out.push(`<circle cx="${fmt(it.cx)}" cy="${fmt(it.cy)}" r="${it.r}" fill="${it.fill}">${tip(it)}</circle>`);
+    } else if (it.type === 'text') {
+      const rotate = it.angle ? ` transform="rotate(${it.angle} ${fmt(it.x)} ${fmt(it.y)})"` : '';
+      out.push(`<text x="${fmt(it.x)}" y="${fmt(it.y)}" font-size="${it.size}" fill="${it.fill}" text-anchor="${it.anchor}"${it.bold ? ' font-weight="bold"' : ''}${rotate}>${escapeXml(it.text)}</text>`);
+    }
+  }
+  out.push('</svg>');
+  return out.join('');
+}
+
+/**
+ * Render a Vega-Lite spec (subset) as SVG
+ * @param {Object|string} spec - Spec, JSON text or a chart from parseChartSpec
+ * @param {Object} [options]
+ * @param {boolean} [options.title=true] - Draw the chart title
+ * @returns {string}
+ * @throws {Error} When the spec is outside the supported subset
+ */
+function renderSvg(spec, { title = true } = {}) {
+  const chart = spec && spec.x && spec.values ? spec : parseChartSpec(spec);
+  return sceneToSvg(chartScene(chart, { title }), { label: chart.title || `${chart.mark} chart of ${chart.y.title} by ${chart.x.title}` });
+}
+
+module.exports = {
+  SCHEMA,
+  isChartFence,
+  parseChartSpec,
+  chartTable,
+  niceTicks,
+  chartScene,
+  sceneToSvg,
+  renderSvg
+};
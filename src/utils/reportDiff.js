@@ -0,0 +1,234 @@
+/**
+ * Report Diff
+ *
+ * Section- and claim-level comparison of two research reports (typically two
+ * versions of the same logical report produced by `refresh_report`).
+ *
+ * Reports are split into sections on markdown headings and each section into
+ * sentence-level claims. Claims are matched in three passes:
+ * 1. identical after normalization (citation markers, links, case, spacing)
+ * 2. identical once numbers are masked -> reported as a changed number
+ * 3. token overlap >= REWORD_THRESHOLD -> treated as the same claim reworded
+ * Whatever is left over is a new finding (new report) or a dropped claim (old).
+ *
+ * @module reportDiff
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const REWORD_THRESHOLD = 0.75;
+const MIN_CLAIM_WORDS = 4;
+const PREAMBLE = '(preamble)';
+// Sections generated after synthesis (fact-check and source-quality output); they restate claims, so they are not diffed
+const GENERATED_SECTIONS = new Set(['claim verification', 'source quality', 'research quality warnings']);
+
+const NUMBER_RE = /\d[\d,]*(?:\.\d+)?%?/g;
+const URL_RE = /https?:\/\/[^\s)\]>"'<]+/g;
+
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/^[\d.\s]+/, '').replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeClaim(text) {
+  return text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // markdown links -> label
+    .replace(URL_RE, '')
+    .replace(/\[(?:\d+|source[^\]]*)\]/gi, '') // [1], [Source: ...]
+    .replace(/[*_`>#|]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.;:!?]+$/, '')
+    .trim();
+}
+
+function tokens(text) {
+  return new Set(text.split(/[^a-z0-9%.]+/).filter(t => t.length > 2));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+/**
+ * Split markdown into heading-delimited sections
+ * @param {string} markdown
+ * @returns {Array<{title: string, key: string, body: string}>}
+ */
+function parseSections(markdown) {
+  const sections = [];
+  let current = { title: PREAMBLE, key: PREAMBLE, lines: [] };
+  let inFence = false;
+  for (const line of String(markdown || '').split('\n')) {
+    if (/^\s*```/.test(line)) { inFence = !inFence; continue; }
+    const heading = !inFence && line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      current = { title: heading[1].trim(), key: normalizeTitle(heading[1]), lines: [] };
+      continue;
+    }
+    if (!inFence) current.lines.push(line);
+  }
+  sections.push(current);
+  return sections
+    .map(s => ({ title: s.title, key: s.key, body: s.lines.join('\n').trim() }))
+    .filter(s => s.body || s.key !== PREAMBLE);
+}
+
+/**
+ * Extract sentence-level claims from a section body
+ * @param {string} body
+ * @returns {Array<{text: string, norm: string, shape: string, numbers: string[]}>}
+ */
+function extractClaims(body) {
+  const claims = [];
+  for (const rawLine of body.split('\n')) {
+    const line = rawLine.replace(/^\s*(?:[-*+]|\d+\.)\s+/, '').trim();
+    if (!line || /^[-|:\s]+$/.test(line)) continue;
+    for (const sentence of line.split(/(?<=[.!?])\s+(?=[A-Z0-9"(\[])/)) {
+      const norm = normalizeClaim(sentence);
+      if (norm.split(' ').length < MIN_CLAIM_WORDS) continue;
+      claims.push({
+        text: sentence.trim(),
+        norm,
+        shape: norm.replace(NUMBER_RE, '#'),
+        numbers: norm.match(NUMBER_RE) || []
+      });
+    }
+  }
+  return claims;
+}
+
+/**
+ * Collect the distinct URLs cited in a report
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+function extractCitations(markdown) {
+  const urls = new Set();
+  for (const m of String(markdown || '').match(URL_RE) || []) {
+    urls.add(m.replace(/[.,;:]+$/, '').replace(/\/$/, ''));
+  }
+  return [...urls];
+}
+
+function claimsBySection(sections) {
+  const out = [];
+  for (const s of sections) {
+    for (const c of extractClaims(s.body)) out.push({ ...c, section: s.title, sectionKey: s.key });
+  }
+  return out;
+}
+
+/**
+ * Diff two reports
+ * @param {{id?: string, version?: number, createdAt?: *, content: string}} from - Older report
+ * @param {{id?: string, version?: number, createdAt?: *, content: string}} to - Newer report
+ * @param {Object} [options]
+ * @param {number} [options.maxItems=50] - Cap on listed claims per category
+ * @returns {Object} Diff with summary counts, section changes, claim changes and citation changes
+ */
+function diffReports(from, to, options = {}) {
+  const maxItems = options.maxItems || 50;
+  const oldSections = parseSections(from.content).filter(s => !GENERATED_SECTIONS.has(s.key));
+  const newSections = parseSections(to.content).filter(s => !GENERATED_SECTIONS.has(s.key));
+  const oldClaims = claimsBySection(oldSections);
+  const newClaims = claimsBySection(newSections);
+
+  // Pass 1: exact matches
+  const oldByNorm = new Map();
+  oldClaims.forEach((c, i) => { if (!oldByNorm.has(c.norm)) oldByNorm.set(c.norm, []); oldByNorm.get(c.norm).push(i); });
+  const oldUsed = new Set();
+  let pending = [];
+  for (const c of newClaims) {
+    const idx = (oldByNorm.get(c.norm) || []).find(i => !oldUsed.has(i));
+    if (idx !== undefined) oldUsed.add(idx);
+    else pending.push(c);
+  }
+
+  // Pass 2: same sentence with different numbers
+  const changedNumbers = [];
+  pending = pending.filter(c => {
+    if (!c.numbers.length) return true;
+    const idx = oldClaims.findIndex((o, i) => !oldUsed.has(i) && o.shape === c.shape && o.numbers.join() !== c.numbers.join());
+    if (idx === -1) return true;
+    oldUsed.add(idx);
+    changedNumbers.push({ section: c.section, before: oldClaims[idx].text, after: c.text, from: oldClaims[idx].numbers, to: c.numbers });
+    return false;
+  });
+
+  // Pass 3: rewordings are not reported as new or dropped
+  let reworded = 0;
+  const oldTokens = oldClaims.map(o => tokens(o.norm));
+  const added = pending.filter(c => {
+    const t = tokens(c.norm);
+    let best = -1;
+    let bestScore = 0;
+    oldClaims.forEach((o, i) => {
+      if (oldUsed.has(i)) return;
+      const score = jaccard(t, oldTokens[i]);
+      if (score > bestScore) { bestScore = score; best = i; }
+    });
+    if (best !== -1 && bestScore >= REWORD_THRESHOLD) {
+      oldUsed.add(best);
+      reworded++;
+      return false;
+    }
+    return true;
+  });
+  const dropped = oldClaims.filter((_, i) => !oldUsed.has(i));
+
+  // Section-level view
+  const oldKeys = new Map(oldSections.map(s => [s.key, s]));
+  const newKeys = new Map(newSections.map(s => [s.key, s]));
+  const count = (list, key) => list.filter(c => c.sectionKey === key).length;
+  const changedSections = [];
+  for (const [key, s] of newKeys) {
+    if (!oldKeys.has(key)) continue;
+    const a = count(added, key);
+    const d = count(dropped, key);
+    const n = changedNumbers.filter(c => normalizeTitle(c.section) === key).length;
+    if (a || d || n) changedSections.push({ title: s.title, newFindings: a, droppedClaims: d, changedNumbers: n });
+  }
+  const sectionsAdded = [...newKeys.keys()].filter(k => !oldKeys.has(k)).map(k => newKeys.get(k).title);
+  const sectionsRemoved = [...oldKeys.keys()].filter(k => !newKeys.has(k)).map(k => oldKeys.get(k).title);
+
+  const oldUrls = new Set(extractCitations(from.content));
+  const newUrls = new Set(extractCitations(to.content));
+  const citationsAdded = [...newUrls].filter(u => !oldUrls.has(u));
+  const citationsRemoved = [...oldUrls].filter(u => !newUrls.has(u));
+
+  const brief = c => ({ section: c.section, claim: c.text });
+  return {
+    from: { id: from.id ?? null, version: from.version ?? null, createdAt: from.createdAt ?? null },
+    to: { id: to.id ?? null, version: to.version ?? null, createdAt: to.createdAt ?? null },
+    summary: {
+      newFindings: added.length,
+      droppedClaims: dropped.length,
+      changedNumbers: changedNumbers.length,
+      rewordedClaims: reworded,
+      newCitations: citationsAdded.length,
+      removedCitations: citationsRemoved.length,
+      sectionsAdded: sectionsAdded.length,
+      sectionsRemoved: sectionsRemoved.length,
+      sectionsChanged: changedSections.length
+    },
+    sections: { added: sectionsAdded, removed: sectionsRemoved, changed: changedSections },
+    claims: {
+      added: added.slice(0, maxItems).map(brief),
+      dropped: dropped.slice(0, maxItems).map(brief),
+      changedNumbers: changedNumbers.slice(0, maxItems)
+    },
+    citations: { added: citationsAdded.slice(0, maxItems), removed: citationsRemoved.slice(0, maxItems) }
+  };
+}
+
+module.exports = {
+  parseSections,
+  extractClaims,
+  extractCitations,
+  diffReports
+};
@@ -0,0 +1,282 @@
+/**
+ * Report DOCX Writer
+ *
+ * Dependency-free WordprocessingML output for rendered reports. Produces a
+ * minimal .docx package (zip built with zlib) with built-in heading styles,
+ * a title page, a Word table-of-contents field pre-filled with the report's
+ * headings (Word refreshes page numbers on "Update field"), fact-check
+ * warnings, and a numbered reference list with hyperlinks. Charts are given as
+ * their caption and data table (the HTML and PDF exports draw them).
+ *
+ * @module reportDocx
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const { chartTable } = require('./reportCharts');
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive (deflate) from name -> content entries
+ * @param {Array<[string, string|Buffer]>} entries
+ * @returns {Buffer}
+ */
+function zip(entries) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of entries) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const packed = zlib.deflateRawSync(data);
+    const nameBuf = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // utf-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt32LE(0, 10); // time/date (1980-01-01)
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(packed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuf.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, nameBuf, packed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(0, 12);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBuf);
+
+    offset += header.length + nameBuf.length + packed.length;
+  }
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, ...central, end]);
+}
+
+function xml(s) {
+  // Strip characters XML 1.0 does not allow before escaping
+  return String(s)
+    .replace(/[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function run(text, { bold, italic, code, color, size, superscript } = {}) {
+  const props = [];
+  if (code) props.push('<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>');
+  if (bold) props.push('<w:b/>');
+  if (italic) props.push('<w:i/>');
+  if (color) props.push(`<w:color w:val="${color}"/>`);
+  if (size) props.push(`<w:sz w:val="${size}"/>`);
+  if (superscript) props.push('<w:vertAlign w:val="superscript"/>');
+  const rPr = props.length ? `<w:rPr>${props.join('')}</w:rPr>` : '';
+  return `<w:r>${rPr}<w:t xml:space="preserve">${xml(text)}</w:t></w:r>`;
+}
+
+function runs(spans) {
+  return spans.map(s => (s.cite
+    ? `<w:hyperlink w:anchor="ref_${s.cite}">${run(`[${s.cite}]`, { superscript: true, color: '1D4ED8' })}</w:hyperlink>`
+    : run(s.text, s))).join('');
+}
+
+function para(content, { style, indent, keepNext, pageBreakBefore, spacingAfter } = {}) {
+  const pPr = [];
+  if (style) pPr.push(`<w:pStyle w:val="${style}"/>`);
+  if (keepNext) pPr.push('<w:keepNext/>');
+  if (pageBreakBefore) pPr.push('<w:pageBreakBefore/>');
+  if (spacingAfter !== undefined) pPr.push(`<w:spacing w:after="${spacingAfter}"/>`);
+  if (indent) pPr.push(`<w:ind w:left="${indent.left || 0}"${indent.hanging ? ` w:hanging="${indent.hanging}"` : ''}/>`);
+  return `<w:p>${pPr.length ? `<w:pPr>${pPr.join('')}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+function bookmark(id, name, content) {
+  return `<w:bookmarkStart w:id="${id}" w:name="${name}"/>${content}<w:bookmarkEnd w:id="${id}"/>`;
+}
+
+// Word bookmark names are limited to 40 characters
+function bookmarkName(anchor) {
+  return `h_${anchor.replace(/-/g, '_')}`.slice(0, 40);
+}
+
+function table(header, rows) {
+  const cols = Math.max(header.length, ...rows.map(r => r.length));
+  const width = Math.floor(9360 / cols); // 6.5in text width in twips
+  const cell = (spans, bold) => `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${bold ? '<w:shd w:val="clear" w:color="auto" w:fill="F3F4F6"/>' : ''}</w:tcPr>` +
+    `${para(runs(bold ? spans.map(s => ({ ...s, bold: true })) : spans), { spacingAfter: 0 })}</w:tc>`;
+  const row = (cells, bold) => `<w:tr>${Array.from({ length: cols }, (_, i) => cell(cells[i] || [], bold)).join('')}</w:tr>`;
+  const border = s => `<w:${s} w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/>`;
+  return `<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>` +
+    `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(cols)}</w:tblGrid>${row(header, true)}${rows.map(r => row(r, false)).join('')}</w:tbl>` +
+    para('', { spacingAfter: 0 });
+}
+
+function documentXml(doc, metadataRows) {
+  const body = [];
+  let bookmarkId = 1;
+
+  // Title page
+  body.push(para(run(doc.title), { style: 'Title' }));
+  for (const [label, value] of metadataRows) {
+    body.push(para(run(`${label}: `, { bold: true }) + run(value), { spacingAfter: 60 }));
+  }
+
+  // Table of contents: a TOC field whose cached result is the heading list
+  const entries = doc.toc.map(t => ({ text: t.text, level: t.level, anchor: bookmarkName(t.anchor) }));
+  if (doc.warnings.length) entries.unshift({ text: 'Fact-check warnings', level: 2, anchor: 'fact_check_warnings' });
+  if (doc.citations.length) entries.push({ text: 'References', level: 2, anchor: 'references' });
+  if (entries.length) {
+    const minLevel = Math.min(...entries.map(e => e.level));
+    body.push(para(run('Contents'), { style: 'TOCHeading', pageBreakBefore: true }));
+    entries.forEach((e, i) => {
+      const begin = i === 0 ? '<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> TOC \\o "1-3" \\h \\z \\u </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r>' : '';
+      const end = i === entries.length - 1 ? '<w:r><w:fldChar w:fldCharType="end"/></w:r>' : '';
+      body.push(para(`${begin}<w:hyperlink w:anchor="${e.anchor}">${run(e.text)}</w:hyperlink>${end}`, { style: `TOC${Math.min(3, e.level - minLevel + 1)}` }));
+    });
+  }
+
+  let first = true;
+  const breakBefore = () => { const b = first; first = false; return b; };
+  if (doc.warnings.length) {
+    body.push(para(bookmark(bookmarkId++, 'fact_check_warnings', run('Fact-check warnings')), { style: 'Heading2', pageBreakBefore: breakBefore(), keepNext: true }));
+    for (const w of doc.warnings) body.push(para(run(`• ${w}`, { color: '92400E' }), { indent: { left: 360, hanging: 220 } }));
+  }
+
+  for (const b of doc.blocks) {
+    if (b.type === 'heading') {
+      const name = bookmarkName(b.anchor);
+      body.push(para(bookmark(bookmarkId++, name, runs(b.spans.filter(s => !s.cite))), { style: `Heading${b.level}`, keepNext: true, pageBreakBefore: breakBefore() }));
+    } else if (b.type === 'paragraph') {
+      body.push(para(runs(b.spans), { pageBreakBefore: breakBefore() }));
+    } else if (b.type === 'quote') {
+      body.push(para(runs(b.spans), { style: 'Quote', pageBreakBefore: breakBefore() }));
+    } else if (b.type === 'list') {
+      b.items.forEach((it, i) => {
+        const marker = b.ordered ? `${i + 1}.\t` : '•\t';
+        body.push(para(run(marker) + runs(it.spans), { indent: { left: 720 + it.depth * 360, hanging: 360 }, spacingAfter: 60, pageBreakBefore: breakBefore() }));
+      });
+    } else if (b.type === 'code') {
+      const lines = b.text.split('\n').map((l, i) => `${i ? '<w:r><w:br/></w:r>' : ''}${run(l, { code: true, size: 18 })}`).join('');
+      body.push(para(lines, { style: 'Code', pageBreakBefore: breakBefore() }));
+    } else if (b.type === 'table') {
+      if (breakBefore()) body.push(para('', { pageBreakBefore: true, spacingAfter: 0 }));
+      body.push(table(b.header, b.rows));
+    } else if (b.type === 'chart') {
+      const data = chartTable(b.chart);
+      body.push(para(run(`Figure ${b.n}${b.title ? `: ${b.title}` : ''}`, { italic: true, color: '4B5563' }), { keepNext: true, pageBreakBefore: breakBefore() }));
+      body.push(table(data.columns.map(c => [{ text: c }]), data.rows.map(r => r.map(v => [{ text: String(v) }]))));
+    } else if (b.type === 'rule') {
+      body.push('<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="D1D5DB"/></w:pBdr></w:pPr></w:p>');
+    }
+  }
+
+  const rels = [];
+  if (doc.citations.length) {
+    body.push(para(bookmark(bookmarkId++, 'references', run('References')), { style: 'Heading2', keepNext: true, pageBreakBefore: breakBefore() }));
+    for (const c of doc.citations) {
+      const parts = [run(`[${c.n}]\t`)];
+      if (c.title && c.title !== c.url) parts.push(run(`${c.title} `));
+      if (c.url) {
+        const rid = `rIdLink${rels.length + 1}`;
+        rels.push({ id: rid, url: c.url });
+        parts.push(`<w:hyperlink r:id="${rid}">${run(c.url, { color: '1D4ED8' })}</w:hyperlink>`);
+      }
+      body.push(para(bookmark(bookmarkId++, `ref_${c.n}`, parts.join('')), { indent: { left: 540, hanging: 540 }, spacingAfter: 80 }));
+    }
+  }
+
+  const xmlDoc = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<w:body>${body.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+  return { xmlDoc, rels };
+}
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:before="2400" w:after="480"/></w:pPr><w:rPr><w:b/><w:sz w:val="52"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="300" w:after="100"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="25"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading4"><w:name w:val="heading 4"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:outlineLvl w:val="3"/></w:pPr><w:rPr><w:b/><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading5"><w:name w:val="heading 5"/><w:basedOn w:val="Heading4"/><w:pPr><w:outlineLvl w:val="4"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading6"><w:name w:val="heading 6"/><w:basedOn w:val="Heading4"/><w:pPr><w:outlineLvl w:val="5"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOCHeading"><w:name w:val="TOC Heading"/><w:basedOn w:val="Heading1"/><w:pPr><w:outlineLvl w:val="9"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOC1"><w:name w:val="toc 1"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="80"/></w:pPr><w:rPr><w:b/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOC2"><w:name w:val="toc 2"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/><w:ind w:left="240"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOC3"><w:name w:val="toc 3"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/><w:ind w:left="480"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="4B5563"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F3F4F6"/><w:spacing w:line="240" w:lineRule="auto"/></w:pPr></w:style>
+</w:styles>`;
+
+/**
+ * Render a report document as DOCX
+ * @param {Object} doc - From reportRenderer.buildReportDocument
+ * @param {Array<[string, string]>} metadataRows - Title page metadata
+ * @returns {Buffer}
+ */
+function renderDocx(doc, metadataRows) {
+  const { xmlDoc, rels } = documentXml(doc, metadataRows);
+  const created = doc.createdAt || new Date().toISOString();
+  return zip([
+    ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+      '<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>' +
+      '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>'],
+    ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>'],
+    ['word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '<Relationship Id="rIdSettings" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>' +
+      rels.map(r => `<Relationship Id="${r.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${xml(r.url)}" TargetMode="External"/>`).join('') +
+      '</Relationships>'],
+    ['word/document.xml', xmlDoc],
+    ['word/styles.xml', STYLES],
+    ['word/settings.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:settings xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:defaultTabStop w:val="360"/></w:settings>'],
+    ['docProps/core.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+      `<dc:title>${xml(doc.title)}</dc:title><dc:subject>${xml(doc.query)}</dc:subject><dc:creator>openrouter-agents</dc:creator>` +
+      `<cp:keywords>research report ${xml(doc.id)}</cp:keywords><cp:version>${doc.version}</cp:version>` +
+      `<dcterms:created xsi:type="dcterms:W3CDTF">${created.replace(/\.\d+Z$/, 'Z')}</dcterms:created></cp:coreProperties>`]
+  ]);
+}
+
+module.exports = {
+  zip,
+  renderDocx
+};
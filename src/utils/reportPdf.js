@@ -0,0 +1,535 @@
+/**
+ * Report PDF Writer
+ *
+ * Dependency-free PDF 1.4 output for rendered reports. Uses the standard
+ * Helvetica/Courier fonts (no embedding) with WinAnsi encoding, so text
+ * outside Latin-1 and common typographic punctuation is replaced by "?".
+ * Layout is deliberately simple: wrapped paragraphs, headings, lists, quotes,
+ * code, tables, charts (the reportCharts scene drawn as vector graphics), a
+ * title page, a table of contents with page numbers and links, and a numbered
+ * bibliography with clickable URLs.
+ *
+ * @module reportPdf
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const { chartScene } = require('./reportCharts');
+
+const PAGE_W = 612; // US Letter
+const PAGE_H = 792;
+const MARGIN = 72;
+const FOOTER = 36;
+const CONTENT_W = PAGE_W - 2 * MARGIN;
+
+const FONTS = {
+  F1: 'Helvetica',
+  F2: 'Helvetica-Bold',
+  F3: 'Helvetica-Oblique',
+  F4: 'Courier',
+  F5: 'Helvetica-BoldOblique'
+};
+
+// Advance widths (1/1000 em) for codes 32-126 from the standard AFM metrics
+const HELVETICA = [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584];
+const HELVETICA_BOLD = [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584];
+
+// Unicode punctuation that WinAnsi places in 0x80-0x9F
+const WIN_ANSI = {
+  0x20ac: 0x80, 0x2026: 0x85, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94,
+  0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x2122: 0x99
+};
+const WIN_ANSI_WIDTHS = { 0x80: 556, 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0x99: 1000 };
+
+/**
+ * Map a JS string to WinAnsi byte values (as a latin1 string)
+ * @param {string} text
+ * @returns {string}
+ */
+function toWinAnsi(text) {
+  let out = '';
+  for (const ch of String(text).normalize('NFC')) {
+    const cp = ch.codePointAt(0);
+    if (cp === 0x09) out += '    ';
+    else if (cp >= 0x20 && cp < 0x7f) out += ch;
+    else if (WIN_ANSI[cp]) out += String.fromCharCode(WIN_ANSI[cp]);
+    else if (cp >= 0xa0 && cp <= 0xff) out += ch;
+    else if (cp === 0x2192) out += '->';
+    else if (cp >= 0x20) out += '?';
+  }
+  return out;
+}
+
+function charWidth(code, font) {
+  if (font === 'F4') return 600;
+  if (code >= 32 && code <= 126) return (font === 'F2' || font === 'F5' ? HELVETICA_BOLD : HELVETICA)[code - 32];
+  return WIN_ANSI_WIDTHS[code] || 556;
+}
+
+function textWidth(encoded, font, size) {
+  let w = 0;
+  for (let i = 0; i < encoded.length; i++) w += charWidth(encoded.charCodeAt(i), font);
+  return (w * size) / 1000;
+}
+
+function pdfString(encoded) {
+  return `(${encoded.replace(/[\\()]/g, c => `\\${c}`).replace(/[\r\n]/g, ' ')})`;
+}
+
+function fontFor(span, base) {
+  if (span.code) return 'F4';
+  const bold = span.bold || base === 'F2' || base === 'F5';
+  const italic = span.italic || base === 'F3' || base === 'F5';
+  return bold && italic ? 'F5' : bold ? 'F2' : italic ? 'F3' : 'F1';
+}
+
+/**
+ * Break styled spans into lines that fit `maxWidth`
+ * @returns {Array<Array<{text: string, font: string, width: number}>>}
+ */
+function wrapSpans(spans, maxWidth, size, base = 'F1') {
+  const words = [];
+  for (const span of spans) {
+    const font = fontFor(span, base);
+    for (const part of toWinAnsi(span.text).split(/(\s+)/)) {
+      if (!part) continue;
+      if (/^\s+$/.test(part)) { if (words.length) words[words.length - 1].space = true; continue; }
+      const prev = words[words.length - 1];
+      // Glue to the previous word when spans meet without whitespace ("word," / "**bold**.")
+      if (prev && !prev.space && prev.font === font) { prev.text += part; continue; }
+      words.push({ text: part, font, space: false, glued: !!prev && !prev.space });
+    }
+  }
+
+  const lines = [];
+  let line = [];
+  let width = 0;
+  const spaceW = textWidth(' ', 'F1', size);
+  for (const word of words) {
+    let text = word.text;
+    let w = textWidth(text, word.font, size);
+    const gap = line.length && !word.glued ? spaceW : 0;
+    if (line.length && width + gap + w > maxWidth) {
+      lines.push(line);
+      line = [];
+      width = 0;
+    }
+    // Hard-break words longer than a whole line (URLs)
+    while (w > maxWidth) {
+      let cut = text.length;
+      while (cut > 1 && textWidth(text.slice(0, cut), word.font, size) > maxWidth - width) cut--;
+      line.push({ text: text.slice(0, cut), font: word.font, width: textWidth(text.slice(0, cut), word.font, size), gap: 0 });
+      lines.push(line);
+      line = [];
+      width = 0;
+      text = text.slice(cut);
+      w = textWidth(text, word.font, size);
+    }
+    const g = line.length && !word.glued ? spaceW : 0;
+    line.push({ text, font: word.font, width: w, gap: g });
+    width += g + w;
+  }
+  if (line.length) lines.push(line);
+  return lines;
+}
+
+class Layout {
+  constructor() {
+    this.pages = [];
+    this.y = 0;
+  }
+
+  get page() {
+    return this.pages[this.pages.length - 1];
+  }
+
+  newPage() {
+    this.pages.push({ ops: [], links: [] });
+    this.y = PAGE_H - MARGIN;
+  }
+
+  ensure(height) {
+    if (!this.pages.length || this.y - height < MARGIN + FOOTER / 2) this.newPage();
+  }
+
+  text(x, y, encoded, font, size, color = null) {
+    const fill = color ? `${color} rg ` : '';
+    this.page.ops.push(`BT ${fill}/${font} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(encoded)} Tj ET${color ? ' 0 g' : ''}`);
+  }
+
+  drawLine(line, x, size, color) {
+    const baseline = this.y - size;
+    let cx = x;
+    let chunk = null;
+    for (const run of line) {
+      // Same-font words share one Tj; the space glyph matches `gap` for Helvetica
+      if (chunk && chunk.font === run.font && run.font !== 'F4') {
+        chunk.text += (run.gap ? ' ' : '') + run.text;
+      } else {
+        if (chunk) this.text(chunk.x, baseline, chunk.text, chunk.font, size, color);
+        chunk = { x: cx + run.gap, text: run.text, font: run.font };
+      }
+      cx += run.gap + run.width;
+    }
+    if (chunk) this.text(chunk.x, baseline, chunk.text, chunk.font, size, color);
+  }
+
+  /** Lay out wrapped spans at the cursor, moving to new pages as needed */
+  spans(spans, { size = 10.5, x = MARGIN, width = CONTENT_W, font = 'F1', leading = 1.4, color = null, bar = false } = {}) {
+    const lh = size * leading;
+    for (const line of wrapSpans(spans, width, size, font)) {
+      this.ensure(lh);
+      this.drawLine(line, x, size, color);
+      if (bar) this.page.ops.push(`0.8 G 1.5 w ${(x - 10).toFixed(2)} ${(this.y + 2).toFixed(2)} m ${(x - 10).toFixed(2)} ${(this.y - lh + 2).toFixed(2)} l S 0 G`);
+      this.y -= lh;
+    }
+  }
+
+  gap(points) {
+    this.y -= points;
+  }
+
+  rule() {
+    this.ensure(12);
+    this.y -= 6;
+    this.page.ops.push(`0.8 G 0.5 w ${MARGIN} ${this.y.toFixed(2)} m ${PAGE_W - MARGIN} ${this.y.toFixed(2)} l S 0 G`);
+    this.y -= 6;
+  }
+}
+
+const HEADING_SIZES = { 1: 18, 2: 15, 3: 12.5, 4: 11, 5: 10.5, 6: 10.5 };
+
+function layoutList(layout, list) {
+  list.items.forEach((item, i) => {
+    const indent = MARGIN + 6 + item.depth * 16;
+    const marker = toWinAnsi(list.ordered ? `${i + 1}.` : '•');
+    layout.ensure(14.7);
+    layout.text(indent, layout.y - 10.5, marker, 'F1', 10.5);
+    layout.spans(item.spans, { x: indent + 16, width: CONTENT_W - (indent + 16 - MARGIN) });
+  });
+}
+
+function layoutTable(layout, table) {
+  const cols = Math.max(table.header.length, ...table.rows.map(r => r.length));
+  const colW = CONTENT_W / cols;
+  const size = 9;
+  const lh = size * 1.35;
+  const drawRow = (cells, header) => {
+    const wrapped = [];
+    for (let c = 0; c < cols; c++) wrapped.push(wrapSpans(cells[c] || [], colW - 8, size, header ? 'F2' : 'F1'));
+    const height = Math.max(1, ...wrapped.map(l => l.length)) * lh + 6;
+    layout.ensure(height);
+    const top = layout.y;
+    if (header) layout.page.ops.push(`0.95 g ${MARGIN} ${(top - height).toFixed(2)} ${CONTENT_W} ${height.toFixed(2)} re f 0 g`);
+    wrapped.forEach((lines, c) => {
+      layout.y = top - 3;
+      for (const line of lines) {
+        layout.drawLine(line, MARGIN + c * colW + 4, size);
+        layout.y -= lh;
+      }
+    });
+    layout.page.ops.push(`0.75 G 0.5 w ${MARGIN} ${(top - height).toFixed(2)} ${CONTENT_W} ${height.toFixed(2)} re S 0 G`);
+    for (let c = 1; c < cols; c++) {
+      const x = (MARGIN + c * colW).toFixed(2);
+      layout.page.ops.push(`0.75 G 0.5 w ${x} ${top.toFixed(2)} m ${x} ${(top - height).toFixed(2)} l S 0 G`);
+    }
+    layout.y = top - height;
+  };
+  drawRow(table.header, true);
+  table.rows.forEach(r => drawRow(r, false));
+  layout.gap(8);
+}
+
+function layoutCode(layout, text) {
+  const size = 8.5;
+  const lh = size * 1.3;
+  const maxChars = Math.floor((CONTENT_W - 12) / (0.6 * size));
+  for (const raw of text.split('\n')) {
+    const encoded = toWinAnsi(raw);
+    const chunks = encoded.length ? encoded.match(new RegExp(`.{1,${maxChars}}`, 'g')) : [''];
+    for (const chunk of chunks) {
+      layout.ensure(lh);
+      layout.page.ops.push(`0.95 g ${MARGIN} ${(layout.y - lh).toFixed(2)} ${CONTENT_W} ${lh.toFixed(2)} re f 0 g`);
+      layout.text(MARGIN + 6, layout.y - size, chunk, 'F4', size);
+      layout.y -= lh;
+    }
+  }
+  layout.gap(8);
+}
+
+// "#rrggbb" as PDF color components, blended toward white by (1 - opacity)
+function pdfColor(hex, opacity = 1) {
+  const rgb = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  return rgb.map(c => (1 - opacity + c * opacity).toFixed(3)).join(' ');
+}
+
+// Circle as four Bezier curves
+function circlePath(cx, cy, r) {
+  const k = 0.5523 * r;
+  const p = n => n.toFixed(2);
+  return `${p(cx + r)} ${p(cy)} m ${p(cx + r)} ${p(cy + k)} ${p(cx + k)} ${p(cy + r)} ${p(cx)} ${p(cy + r)} c ` +
+    `${p(cx - k)} ${p(cy + r)} ${p(cx - r)} ${p(cy + k)} ${p(cx - r)} ${p(cy)} c ` +
+    `${p(cx - r)} ${p(cy - k)} ${p(cx - k)} ${p(cy - r)} ${p(cx)} ${p(cy - r)} c ` +
+    `${p(cx + k)} ${p(cy - r)} ${p(cx + r)} ${p(cy - k)} ${p(cx + r)} ${p(cy)} c`;
+}
+
+/** Draw a chart scene scaled to the text width, with its figure caption below */
+function layoutChart(layout, block) {
+  const scene = chartScene(block.chart, { title: false });
+  const scale = Math.min(1, CONTENT_W / scene.width);
+  const height = scene.height * scale;
+  layout.ensure(height + 24);
+  const x0 = MARGIN + (CONTENT_W - scene.width * scale) / 2;
+  const top = layout.y;
+  const X = x => (x0 + x * scale).toFixed(2);
+  const Y = y => (top - y * scale).toFixed(2);
+  const ops = layout.page.ops;
+  for (const it of scene.items) {
+    if (it.type === 'rect') {
+      ops.push(`${pdfColor(it.fill)} rg ${X(it.x)} ${Y(it.y + it.height)} ${(it.width * scale).toFixed(2)} ${(it.height * scale).toFixed(2)} re f`);
+    } else if (it.type === 'line') {
+      ops.push(`${pdfColor(it.stroke)} RG ${(it.strokeWidth * scale).toFixed(2)} w ${X(it.x1)} ${Y(it.y1)} m ${X(it.x2)} ${Y(it.y2)} l S`);
+    } else if (it.type === 'path' && it.points.length) {
+      const path = it.points.map(([x, y], i) => `${X(x)} ${Y(y)} ${i ? 'l' : 'm'}`).join(' ');
+      if (it.fill) ops.push(`${pdfColor(it.fill, it.opacity ?? 1)} rg ${path} h f`);
+      else ops.push(`${pdfColor(it.stroke)} RG ${(it.strokeWidth * scale).toFixed(2)} w 1 j ${path} S 0 j`);
+    } else if (it.type === 'circle') {
+      ops.push(`${pdfColor(it.fill)} rg ${circlePath(x0 + it.cx * scale, top - it.cy * scale, it.r * scale)} f`);
+    } else if (it.type === 'text') {
+      const font = it.bold ? 'F2' : 'F1';
+      const size = it.size * scale;
+      const encoded = toWinAnsi(it.text);
+      const w = textWidth(encoded, font, size);
+      const shift = it.anchor === 'middle' ? w / 2 : it.anchor === 'end' ? w : 0;
+      const a = ((it.angle || 0) * Math.PI) / 180;
+      // SVG angles turn clockwise with y down; PDF's y axis points up
+      const [cos, sin] = [Math.cos(-a), Math.sin(-a)];
+      const tx = x0 + it.x * scale - shift * cos;
+      const ty = top - it.y * scale - shift * sin;
+      ops.push(`BT ${pdfColor(it.fill)} rg /${font} ${size.toFixed(2)} Tf ${cos.toFixed(4)} ${sin.toFixed(4)} ${(-sin).toFixed(4)} ${cos.toFixed(4)} ${tx.toFixed(2)} ${ty.toFixed(2)} Tm ${pdfString(encoded)} Tj ET`);
+    }
+  }
+  ops.push('0 g 0 G 1 w');
+  layout.y = top - height - 4;
+  const caption = `Figure ${block.n}${block.title ? `: ${block.title}` : ''}`;
+  layout.spans([{ text: caption, italic: true }], { size: 9, color: '0.35 0.35 0.35' });
+  layout.gap(8);
+}
+
+/**
+ * Lay out the body (warnings, blocks, references) starting on a fresh page
+ * @returns {Array<{label: string, level: number, page: number, y: number}>} Targets for the table of contents
+ */
+function layoutBody(layout, doc) {
+  const targets = [];
+  const heading = (text, level, spans = null) => {
+    const size = HEADING_SIZES[level];
+    layout.ensure(size * 1.3 + 10 + 30); // keep headings with the first lines that follow
+    layout.gap(level <= 2 ? 10 : 6);
+    targets.push({ label: text, level, page: layout.pages.length - 1, y: layout.y });
+    layout.spans(spans || [{ text }], { size, font: 'F2', leading: 1.3 });
+    layout.gap(4);
+  };
+
+  layout.newPage();
+  if (doc.warnings.length) {
+    heading('Fact-check warnings', 2);
+    targets[targets.length - 1].warnings = true;
+    for (const w of doc.warnings) layout.spans([{ text: `• ${w}` }], { size: 10, color: '0.6 0.3 0', x: MARGIN + 6, width: CONTENT_W - 6 });
+    layout.gap(8);
+  }
+
+  for (const b of doc.blocks) {
+    if (b.type === 'heading') heading(b.text, b.level, b.spans.filter(s => !s.cite));
+    else if (b.type === 'paragraph') { layout.spans(b.spans); layout.gap(6); }
+    else if (b.type === 'quote') { layout.spans(b.spans, { x: MARGIN + 18, width: CONTENT_W - 18, font: 'F3', color: '0.3 0.3 0.3', bar: true }); layout.gap(6); }
+    else if (b.type === 'list') { layoutList(layout, b); layout.gap(6); }
+    else if (b.type === 'code') layoutCode(layout, b.text);
+    else if (b.type === 'table') layoutTable(layout, b);
+    else if (b.type === 'chart') layoutChart(layout, b);
+    else if (b.type === 'rule') layout.rule();
+  }
+
+  if (doc.citations.length) {
+    heading('References', 2);
+    targets[targets.length - 1].references = true;
+    for (const c of doc.citations) {
+      const startPage = layout.pages.length - 1;
+      const startY = layout.y;
+      const spans = [{ text: `[${c.n}] ` }];
+      if (c.title && c.title !== c.url) spans.push({ text: `${c.title} ` });
+      if (c.url) spans.push({ text: c.url, italic: true });
+      layout.spans(spans, { size: 9.5, x: MARGIN + 6, width: CONTENT_W - 6 });
+      // Link the whole entry to its URL when it stayed on one page
+      if (c.url && layout.pages.length - 1 === startPage) {
+        layout.page.links.push({ rect: [MARGIN, layout.y, PAGE_W - MARGIN, startY], uri: c.url });
+      }
+      layout.gap(3);
+    }
+  }
+  return targets;
+}
+
+function layoutTitlePage(layout, doc, rows) {
+  layout.newPage();
+  layout.y = PAGE_H * 0.68;
+  layout.spans([{ text: doc.title }], { size: 24, font: 'F2', leading: 1.25 });
+  layout.gap(8);
+  layout.page.ops.push(`0.2 0.4 0.8 RG 2 w ${MARGIN} ${layout.y.toFixed(2)} m ${MARGIN + 120} ${layout.y.toFixed(2)} l S 0 G`);
+  layout.gap(24);
+  for (const [label, value] of rows) {
+    const top = layout.y;
+    layout.text(MARGIN, top - 10, toWinAnsi(label), 'F2', 10);
+    layout.spans([{ text: value }], { size: 10, x: MARGIN + 110, width: CONTENT_W - 110, color: '0.2 0.2 0.2' });
+    layout.gap(4);
+  }
+}
+
+const TOC_LINE = 17;
+
+function tocCapacity(first) {
+  const usable = PAGE_H - 2 * MARGIN - FOOTER / 2 - (first ? 40 : 0);
+  return Math.floor(usable / TOC_LINE);
+}
+
+function countTocPages(entries) {
+  if (!entries) return 0;
+  let pages = 1;
+  let left = entries - tocCapacity(true);
+  while (left > 0) { pages++; left -= tocCapacity(false); }
+  return pages;
+}
+
+function layoutToc(layout, targets, pageOffset) {
+  const minLevel = Math.min(...targets.map(t => t.level));
+  layout.newPage();
+  layout.spans([{ text: 'Contents' }], { size: 18, font: 'F2' });
+  layout.gap(40 - 18 * 1.4);
+  const dotW = textWidth('.', 'F1', 10.5);
+  for (const t of targets) {
+    if (layout.y - TOC_LINE < MARGIN + FOOTER / 2) layout.newPage();
+    const x = MARGIN + (t.level - minLevel) * 14;
+    const font = t.level === minLevel ? 'F2' : 'F1';
+    const num = String(t.page + pageOffset + 1);
+    const numW = textWidth(num, 'F1', 10.5);
+    let label = toWinAnsi(t.label);
+    const maxLabel = PAGE_W - MARGIN - numW - 24 - x;
+    if (textWidth(label, font, 10.5) > maxLabel) {
+      while (label.length > 1 && textWidth(`${label}...`, font, 10.5) > maxLabel) label = label.slice(0, -1);
+      label += '...';
+    }
+    const baseline = layout.y - 12;
+    const labelW = textWidth(label, font, 10.5);
+    layout.text(x, baseline, label, font, 10.5);
+    const dots = Math.max(0, Math.floor((PAGE_W - MARGIN - numW - x - labelW - 12) / dotW));
+    if (dots) layout.text(x + labelW + 6, baseline, '.'.repeat(dots), 'F1', 10.5, '0.6 0.6 0.6');
+    layout.text(PAGE_W - MARGIN - numW, baseline, num, 'F1', 10.5);
+    layout.page.links.push({ rect: [x, baseline - 3, PAGE_W - MARGIN, baseline + 11], dest: { page: t.page + pageOffset, y: t.y } });
+    layout.y -= TOC_LINE;
+  }
+}
+
+function infoString(text) {
+  return pdfString(toWinAnsi(text));
+}
+
+function pdfDate(iso) {
+  const d = iso ? new Date(iso) : new Date();
+  const p = n => String(n).padStart(2, '0');
+  return `D:${d.getUTCFullYear()}${p(d.getUTCMonth() + 1)}${p(d.getUTCDate())}${p(d.getUTCHours())}${p(d.getUTCMinutes())}${p(d.getUTCSeconds())}Z`;
+}
+
+/**
+ * Serialize laid-out pages as a PDF file
+ * @returns {Buffer}
+ */
+function writePdf(pages, { title, createdAt, footer }) {
+  const fontIds = Object.keys(FONTS);
+  const firstPageObj = 3 + fontIds.length;
+  const pageObj = i => firstPageObj + i * 2;
+  const objects = [];
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R /PageMode /UseNone >>';
+  objects[2] = `<< /Type /Pages /Kids [${pages.map((_, i) => `${pageObj(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  fontIds.forEach((id, i) => {
+    objects[3 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[id]} /Encoding /WinAnsiEncoding >>`;
+  });
+  const fontRes = fontIds.map((id, i) => `/${id} ${3 + i} 0 R`).join(' ');
+
+  pages.forEach((page, i) => {
+    const ops = [...page.ops];
+    if (i > 0) {
+      const num = toWinAnsi(String(i + 1));
+      ops.push(`BT 0.5 g /F1 8.5 Tf ${MARGIN} ${FOOTER} Td ${pdfString(toWinAnsi(footer))} Tj ET`);
+      ops.push(`BT 0.5 g /F1 8.5 Tf ${(PAGE_W - MARGIN - textWidth(num, 'F1', 8.5)).toFixed(2)} ${FOOTER} Td ${pdfString(num)} Tj ET 0 g`);
+    }
+    const annots = page.links.map(l => {
+      const rect = l.rect.map(v => v.toFixed(2)).join(' ');
+      const action = l.uri
+        ? `/A << /S /URI /URI ${pdfString(toWinAnsi(l.uri))} >>`
+        : `/Dest [${pageObj(l.dest.page)} 0 R /XYZ null ${(l.dest.y + 4).toFixed(2)} null]`;
+      return `<< /Type /Annot /Subtype /Link /Rect [${rect}] /Border [0 0 0] ${action} >>`;
+    });
+    objects[pageObj(i)] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] ` +
+      `/Resources << /Font << ${fontRes} >> >> /Contents ${pageObj(i) + 1} 0 R` +
+      `${annots.length ? ` /Annots [${annots.join(' ')}]` : ''} >>`;
+    objects[pageObj(i) + 1] = { stream: zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1')) };
+  });
+
+  const infoObj = objects.length;
+  objects[infoObj] = `<< /Title ${infoString(title)} /Creator (openrouter-agents) /Producer (openrouter-agents) /CreationDate (${pdfDate(createdAt)}) >>`;
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = [];
+  for (let n = 1; n < objects.length; n++) {
+    const obj = objects[n];
+    const parts = typeof obj === 'string'
+      ? [Buffer.from(`${n} 0 obj\n${obj}\nendobj\n`, 'latin1')]
+      : [Buffer.from(`${n} 0 obj\n<< /Length ${obj.stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'), obj.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')];
+    offsets[n] = offset;
+    for (const p of parts) { chunks.push(p); offset += p.length; }
+  }
+  const xref = [`xref\n0 ${objects.length}\n0000000000 65535 f \n`];
+  for (let n = 1; n < objects.length; n++) xref.push(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+  xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoObj} 0 R >>\nstartxref\n${offset}\n%%EOF\n`);
+  chunks.push(Buffer.from(xref.join(''), 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Render a report document as PDF
+ * @param {Object} doc - From reportRenderer.buildReportDocument
+ * @param {Array<[string, string]>} metadataRows - Title page metadata
+ * @returns {Buffer}
+ */
+function renderPdf(doc, metadataRows) {
+  const body = new Layout();
+  const targets = layoutBody(body, doc).filter(t => t.level <= 3);
+  const tocPages = countTocPages(targets.length);
+
+  const front = new Layout();
+  layoutTitlePage(front, doc, metadataRows);
+  if (tocPages) layoutToc(front, targets, 1 + tocPages);
+
+  const footer = doc.title.length > 80 ? `${doc.title.slice(0, 77)}...` : doc.title;
+  return writePdf([...front.pages, ...body.pages], { title: doc.title, createdAt: doc.createdAt, footer });
+}
+
+module.exports = {
+  toWinAnsi,
+  wrapSpans,
+  renderPdf
+};
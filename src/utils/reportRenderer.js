@@ -0,0 +1,605 @@
+/**
+ * Report Renderer
+ *
+ * Renders a saved research report for readers who don't read Markdown.
+ * `buildReportDocument` turns a report row into a format-neutral document:
+ * title page metadata, table of contents, blocks with inline spans, numbered
+ * citations and the fact-check warnings. The HTML, PDF, DOCX and JSON-LD
+ * renderers all work from that document, so numbering and content are the
+ * same in every format.
+ *
+ * Citations are numbered from the report's stored sources (citationRegistry)
+ * or, for older reports, in the order of its own Sources section (so existing
+ * `[n]` markers keep pointing at the right entry), followed by
+ * any other URLs in order of first appearance. Inline links and bare URLs are
+ * replaced by their citation number.
+ *
+ * ```vega-lite blocks that reportCharts can draw become numbered figures: inline
+ * SVG in HTML, vector graphics in PDF and their data table in DOCX. The same
+ * charts and the report's tables are the report artifacts (`buildArtifacts`).
+ *
+ * @module reportRenderer
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const { renderPdf } = require('./reportPdf');
+const { renderDocx } = require('./reportDocx');
+const reportCharts = require('./reportCharts');
+
+const SOURCES_HEADING_RE = /^(?:sources|references|bibliography|citations|works cited|source list)$/i;
+const WARNINGS_HEADING_RE = /^research quality warnings$/i;
+const URL_RE = /https?:\/\/[^\s)\]>"'<]+/g;
+const INLINE_RE = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*)|\[(?:Sources?):\s*([^\]]+)\]|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)|(https?:\/\/[^\s)\]>"'<]+)|\[(\d{1,3})\]/g;
+
+const FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', binary: false },
+  pdf: { contentType: 'application/pdf', extension: 'pdf', binary: true },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx', binary: true },
+  jsonld: { contentType: 'application/ld+json; charset=utf-8', extension: 'jsonld', binary: false }
+};
+
+function cleanUrl(url) {
+  return url.replace(/[.,;:]+$/, '');
+}
+
+function slugify(text, used) {
+  const base = String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+  let slug = base;
+  for (let i = 2; used.has(slug); i++) slug = `${base}-${i}`;
+  used.add(slug);
+  return slug;
+}
+
+function plain(spans) {
+  return spans.map(s => s.text).join('');
+}
+
+/**
+ * Split markdown into block-level elements with raw inline text
+ * @param {string} markdown
+ * @returns {Array<Object>}
+ */
+function parseBlocks(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let para = [];
+  const flush = () => {
+    if (para.length) blocks.push({ type: 'paragraph', raw: para.join(' '), lines: para });
+    para = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = line.match(/^\s*```\s*([\w+-]*)/);
+    if (fence) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+      blocks.push({ type: 'code', text: code.join('\n'), ...(fence[1] ? { lang: fence[1].toLowerCase() } : {}) });
+      continue;
+    }
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, raw: heading[2] });
+      continue;
+    }
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+    if (/^\s*\|/.test(line) && /^\s*\|?\s*:?-{2,}/.test(lines[i + 1] || '')) {
+      flush();
+      const cells = l => l.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+      const header = cells(line);
+      const rows = [];
+      i++;
+      while (i + 1 < lines.length && /^\s*\|/.test(lines[i + 1])) rows.push(cells(lines[++i]));
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flush();
+      const ordered = /\d/.test(item[2]);
+      const prev = blocks[blocks.length - 1];
+      const list = prev && prev.type === 'list' && prev.ordered === ordered && !prev.closed ? prev : null;
+      const entry = { raw: item[3], depth: Math.min(3, Math.floor(item[1].replace(/\t/g, '  ').length / 2)) };
+      if (list) list.items.push(entry);
+      else blocks.push({ type: 'list', ordered, items: [entry] });
+      continue;
+    }
+    if (/^\s*>/.test(line)) {
+      flush();
+      const prev = blocks[blocks.length - 1];
+      const text = line.replace(/^\s*>\s?/, '');
+      if (prev && prev.type === 'quote' && !prev.closed) prev.raw += ` ${text}`;
+      else blocks.push({ type: 'quote', raw: text });
+      continue;
+    }
+    if (!line.trim()) {
+      flush();
+      const prev = blocks[blocks.length - 1];
+      if (prev && (prev.type === 'list' || prev.type === 'quote')) prev.closed = true;
+      continue;
+    }
+    const prev = blocks[blocks.length - 1];
+    if (!para.length && prev && prev.type === 'list' && !prev.closed && /^\s{2,}/.test(line)) {
+      prev.items[prev.items.length - 1].raw += ` ${line.trim()}`; // continuation of a list item
+      continue;
+    }
+    para.push(line.trim());
+  }
+  flush();
+  return blocks.map(({ closed, ...b }) => b);
+}
+
+/**
+ * Parse inline markdown into styled spans, numbering citations as they appear
+ * @param {string} text
+ * @param {Function} cite - url, title -> citation number
+ * @param {number} knownCitations - Highest `[n]` that refers to an existing entry
+ * @returns {Array<{text: string, bold?: boolean, italic?: boolean, code?: boolean, cite?: number}>}
+ */
+function parseInline(text, cite, knownCitations) {
+  const spans = [];
+  const push = (t, style = {}) => { if (t) spans.push({ text: t, ...style }); };
+  const pushCite = n => {
+    if (spans.length && !/\s$/.test(spans[spans.length - 1].text)) push(' ');
+    spans.push({ text: `[${n}]`, cite: n });
+  };
+  let last = 0;
+  INLINE_RE.lastIndex = 0;
+  let m;
+  while ((m = INLINE_RE.exec(text))) {
+    push(text.slice(last, m.index));
+    last = INLINE_RE.lastIndex;
+    if (m[1]) push(m[1].slice(1, -1), { code: true });
+    else if (m[2]) push(m[2].slice(2, -2), { bold: true });
+    else if (m[3]) push(m[3].slice(1, -1), { italic: true });
+    else if (m[4]) {
+      const urls = m[4].match(URL_RE) || [];
+      if (urls.length) urls.forEach(u => pushCite(cite(cleanUrl(u))));
+      else push(m[0]);
+    } else if (m[5]) {
+      push(m[5]);
+      pushCite(cite(cleanUrl(m[6]), m[5]));
+    } else if (m[7]) {
+      const url = cleanUrl(m[7]);
+      pushCite(cite(url));
+      push(m[7].slice(url.length));
+    } else if (m[8]) {
+      const n = parseInt(m[8], 10);
+      if (n >= 1 && n <= knownCitations) spans.push({ text: `[${n}]`, cite: n });
+      else push(m[0]);
+    }
+  }
+  push(text.slice(last));
+  return spans;
+}
+
+/**
+ * Pull citation entries out of a Sources/References list item
+ * @param {string} raw
+ * @returns {{url: string|null, title: string}}
+ */
+function parseSourceItem(raw) {
+  const link = raw.match(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/);
+  if (link) return { url: cleanUrl(link[2]), title: link[1].trim() };
+  const url = (raw.match(URL_RE) || [])[0];
+  const title = raw
+    .replace(URL_RE, '')
+    .replace(/^\s*\[\d+\]\s*/, '')
+    .replace(/[*_`]/g, '')
+    .replace(/[\s\-–—:,(<]+$/, '')
+    .replace(/\(\s*\)$/, '')
+    .trim();
+  return { url: url ? cleanUrl(url) : null, title };
+}
+
+function modelsUsed(meta) {
+  const models = new Set(Object.keys(meta?.cost?.byModel || {}));
+  for (const a of meta?.usage?.agents || []) if (a?.model) models.add(a.model);
+  return [...models].filter(m => m && m !== 'undefined');
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// Parsed chart for a ```vega-lite block, or null
+function chartFromBlock(block) {
+  if (block.type !== 'code' || !reportCharts.isChartFence(block.lang)) return null;
+  try {
+    return reportCharts.parseChartSpec(block.text);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Charts and tables in a report, for storage with the report and MCP resources
+ * Charts are numbered like the rendered figures (drawable specs only); each artifact
+ * carries the heading of the section it appears in.
+ * @param {string} markdown - Report text
+ * @returns {Array<{id: string, type: 'chart'|'table', title: string, section: string|null, spec?: Object, columns?: string[], rows?: string[][]}>}
+ */
+function buildArtifacts(markdown) {
+  const artifacts = [];
+  let section = null;
+  let charts = 0;
+  let tables = 0;
+  for (const b of parseBlocks(markdown)) {
+    if (b.type === 'heading') {
+      section = b.raw.replace(/[*_`]/g, '').trim();
+      continue;
+    }
+    const chart = chartFromBlock(b);
+    if (chart) {
+      charts++;
+      artifacts.push({ id: `chart-${charts}`, type: 'chart', format: 'vega-lite', title: chart.title || `Figure ${charts}`, section, spec: chart.spec });
+    } else if (b.type === 'table') {
+      tables++;
+      artifacts.push({ id: `table-${tables}`, type: 'table', title: section ? `${section} (table ${tables})` : `Table ${tables}`, section, columns: b.header, rows: b.rows });
+    }
+  }
+  return artifacts;
+}
+
+/**
+ * Artifacts for a report: the stored list, or one built from its text for older reports
+ * Charts get their resource URI (research://reports/{id}/charts/{n}).
+ * @param {Object} report - Row from dbClient.getReportById
+ * @param {Object} [options]
+ * @param {boolean} [options.svg=false] - Include each chart rendered as SVG
+ * @returns {{artifacts: Array<Object>, derived: boolean}}
+ */
+function artifactsForReport(report, { svg = false } = {}) {
+  const stored = Array.isArray(report.artifacts) && report.artifacts.length;
+  const artifacts = (stored ? report.artifacts : buildArtifacts(report.final_report || '')).map(a => {
+    if (a.type !== 'chart') return a;
+    const uri = `research://reports/${report.id}/charts/${a.id.replace(/^chart-/, '')}`;
+    return svg ? { ...a, uri, svg: reportCharts.renderSvg(a.spec) } : { ...a, uri };
+  });
+  return { artifacts, derived: !stored };
+}
+
+/**
+ * Build the format-neutral document for a saved report
+ * @param {Object} report - Row from dbClient.getReportById
+ * @returns {Object} Document with title, meta, warnings, toc, blocks and citations
+ */
+function buildReportDocument(report) {
+  const meta = report.researchMetadata || {};
+  const factCheck = report.fact_check_results || null;
+  const accuracyScore = report.accuracy_score ?? factCheck?.accuracyScore?.score ?? null;
+
+  let blocks = parseBlocks(report.final_report || '');
+
+  // A leading H1 is the report's own title; it goes on the title page
+  let title = String(report.original_query || `Report ${report.id}`).trim();
+  const firstContent = blocks.findIndex(b => b.type !== 'rule');
+  if (firstContent !== -1 && blocks[firstContent].type === 'heading' && blocks[firstContent].level === 1) {
+    title = blocks[firstContent].raw.replace(/[*_`]/g, '').trim();
+    blocks.splice(firstContent, 1);
+  }
+
+  // Lift out the Sources and fact-check warning sections; both are rendered separately
+  const citations = [];
+  const byUrl = new Map();
+  const cite = (url, label) => {
+    if (byUrl.has(url)) return byUrl.get(url);
+    const n = citations.length + 1;
+    citations.push({ n, url, title: label ? label.replace(/[*_`]/g, '').trim() : null });
+    byUrl.set(url, n);
+    return n;
+  };
+  // Structured sources stored with the report (numbered 1..n in citation order) come first
+  for (const src of (Array.isArray(report.sources) ? [...report.sources] : []).sort((a, b) => a.id - b.id)) {
+    if (src.cited && src.url) cite(src.url, src.title);
+  }
+  const warnings = [];
+  const kept = [];
+  for (let i = 0; i < blocks.length; i++) {
+    const b = blocks[i];
+    const heading = b.type === 'heading' ? b.raw.replace(/[*_`:]/g, '').trim() : null;
+    if (!heading || (!SOURCES_HEADING_RE.test(heading) && !WARNINGS_HEADING_RE.test(heading))) {
+      kept.push(b);
+      continue;
+    }
+    let j = i + 1;
+    while (j < blocks.length && !(blocks[j].type === 'heading' && blocks[j].level <= b.level)) j++;
+    const section = blocks.slice(i + 1, j);
+    if (WARNINGS_HEADING_RE.test(heading)) {
+      for (const s of section) {
+        if (s.type === 'list') s.items.forEach(it => warnings.push(it.raw.trim()));
+        else if (s.lines) warnings.push(...s.lines);
+      }
+    } else {
+      for (const s of section) {
+        const items = s.type === 'list' ? s.items.map(it => it.raw) : (s.raw ? [s.raw] : []);
+        for (const raw of items) {
+          const { url, title: t } = parseSourceItem(raw);
+          if (url) cite(url, t || null);
+          else if (t) citations.push({ n: citations.length + 1, url: null, title: t });
+        }
+      }
+    }
+    // A horizontal rule right before a lifted section belongs to it
+    if (kept.length && kept[kept.length - 1].type === 'rule') kept.pop();
+    i = j - 1;
+  }
+  blocks = kept;
+
+  const knownCitations = citations.length;
+  const used = new Set();
+  const toc = [];
+  const inline = raw => parseInline(raw, cite, knownCitations);
+  let figures = 0;
+  for (const b of blocks) {
+    const chart = chartFromBlock(b);
+    if (chart) {
+      // Charts outside the drawable subset stay code blocks
+      Object.assign(b, { type: 'chart', n: ++figures, title: chart.title, chart });
+      delete b.text;
+      delete b.lang;
+    } else if (b.type === 'heading') {
+      b.spans = inline(b.raw).filter(s => !s.cite);
+      b.text = plain(b.spans).trim();
+      b.anchor = slugify(b.text, used);
+      if (b.level <= 3) toc.push({ level: b.level, text: b.text, anchor: b.anchor });
+    } else if (b.type === 'paragraph' || b.type === 'quote') {
+      b.spans = inline(b.raw);
+    } else if (b.type === 'list') {
+      b.items = b.items.map(it => ({ depth: it.depth, spans: inline(it.raw) }));
+    } else if (b.type === 'table') {
+      b.header = b.header.map(inline);
+      b.rows = b.rows.map(r => r.map(inline));
+    }
+    delete b.raw;
+    delete b.lines;
+  }
+  for (const c of citations) if (!c.title) c.title = c.url;
+
+  return {
+    id: report.id != null ? String(report.id) : null,
+    version: report.version || 1,
+    reportGroupId: report.report_group_id != null ? String(report.report_group_id) : null,
+    title,
+    query: report.original_query || '',
+    createdAt: toIso(report.created_at),
+    meta: {
+      models: modelsUsed(meta),
+      costUsd: typeof meta.cost?.totalUsd === 'number' ? meta.cost.totalUsd : null,
+      accuracyScore: typeof accuracyScore === 'number' ? accuracyScore : null,
+      accuracyLevel: factCheck?.accuracyScore?.level || null,
+      durationMs: meta.durationMs ?? null,
+      iterations: meta.iterations ?? null,
+      partial: !!meta.partial,
+      basedOn: (report.based_on_past_report_ids || []).map(String)
+    },
+    warnings,
+    toc,
+    blocks,
+    citations
+  };
+}
+
+/**
+ * Metadata rows shown on the title page of every format
+ * @param {Object} doc
+ * @returns {Array<[string, string]>}
+ */
+function metadataRows(doc) {
+  const rows = [['Report', `#${doc.id}${doc.version > 1 ? ` (version ${doc.version})` : ''}`]];
+  if (doc.createdAt) rows.push(['Created', doc.createdAt.replace('T', ' ').replace(/\.\d+Z$/, ' UTC')]);
+  if (doc.query && doc.query !== doc.title) rows.push(['Query', doc.query]);
+  rows.push(['Models', doc.meta.models.length ? doc.meta.models.join(', ') : 'not recorded']);
+  rows.push(['Cost', doc.meta.costUsd !== null ? `$${doc.meta.costUsd.toFixed(4)}` : 'not recorded']);
+  rows.push(['Accuracy score', doc.meta.accuracyScore !== null
+    ? `${Math.round(doc.meta.accuracyScore * 100)}%${doc.meta.accuracyLevel ? ` (${doc.meta.accuracyLevel})` : ''}`
+    : 'not checked']);
+  if (doc.meta.partial) rows.push(['Status', 'Partial report (budget reached)']);
+  return rows;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function htmlSpans(spans) {
+  return spans.map(s => {
+    if (s.cite) return `<sup class="cite"><a href="#ref-${s.cite}">[${s.cite}]</a></sup>`;
+    let t = escapeHtml(s.text);
+    if (s.code) t = `<code>${t}</code>`;
+    if (s.bold) t = `<strong>${t}</strong>`;
+    if (s.italic) t = `<em>${t}</em>`;
+    return t;
+  }).join('');
+}
+
+function htmlList(list) {
+  const tag = list.ordered ? 'ol' : 'ul';
+  let html = '';
+  let depth = -1;
+  for (const it of list.items) {
+    while (depth < it.depth) { html += `<${tag}>`; depth++; }
+    while (depth > it.depth) { html += `</${tag}>`; depth--; }
+    html += `<li>${htmlSpans(it.spans)}</li>`;
+  }
+  while (depth-- >= 0) html += `</${tag}>`;
+  return html;
+}
+
+const HTML_STYLE = `
+body{font-family:Georgia,'Times New Roman',serif;color:#1f2937;max-width:46rem;margin:0 auto;padding:2rem 1.5rem;line-height:1.6}
+h1,h2,h3,h4,h5,h6{font-family:'Helvetica Neue',Arial,sans-serif;color:#111827;line-height:1.25}
+.title-page{min-height:80vh;display:flex;flex-direction:column;justify-content:center;border-bottom:1px solid #e5e7eb;margin-bottom:2rem}
+.title-page h1{font-size:2.2rem;margin:0 0 1.5rem}
+table{border-collapse:collapse;width:100%;margin:1rem 0;font-size:.95rem}
+th,td{border:1px solid #e5e7eb;padding:.4rem .6rem;text-align:left;vertical-align:top}
+.meta th{width:9rem;background:#f9fafb}
+nav.toc ol{list-style:none;padding-left:1rem}nav.toc>ol{padding-left:0}
+nav.toc a{color:#1d4ed8;text-decoration:none}
+.warnings{border-left:4px solid #f59e0b;background:#fffbeb;padding:.75rem 1rem;margin:1.5rem 0}
+.warnings h2{margin-top:0;font-size:1.1rem}
+blockquote{border-left:3px solid #d1d5db;margin:1rem 0;padding-left:1rem;color:#4b5563}
+pre{background:#f3f4f6;padding:.75rem;overflow-x:auto;font-size:.85rem}
+figure.chart{margin:1.5rem 0;text-align:center}figure.chart svg{max-width:100%;height:auto}
+figure.chart figcaption{font-family:'Helvetica Neue',Arial,sans-serif;font-size:.85rem;color:#4b5563;margin-top:.4rem}
+sup.cite a{color:#1d4ed8;text-decoration:none;font-size:.75em}
+ol.bibliography li{margin-bottom:.4rem;word-break:break-word}
+@media print{.title-page{page-break-after:always;min-height:auto;padding-top:30vh}nav.toc{page-break-after:always}h2{page-break-after:avoid}figure.chart{page-break-inside:avoid}}
+`;
+
+/**
+ * Render the document as a standalone HTML page
+ * @param {Object} doc - From buildReportDocument
+ * @returns {string}
+ */
+function renderHtml(doc) {
+  const out = [];
+  out.push(`<!doctype html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">`);
+  out.push(`<title>${escapeHtml(doc.title)}</title><style>${HTML_STYLE}</style>`);
+  out.push(`<script type="application/ld+json">${JSON.stringify(renderJsonLd(doc, { includeBody: false })).replace(/</g, '\\u003c')}</script></head><body>`);
+
+  out.push(`<section class="title-page"><h1>${escapeHtml(doc.title)}</h1><table class="meta">`);
+  for (const [k, v] of metadataRows(doc)) out.push(`<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`);
+  out.push('</table></section>');
+
+  if (doc.toc.length || doc.citations.length) {
+    out.push('<nav class="toc"><h2>Contents</h2><ol>');
+    let depth = Math.min(...doc.toc.map(t => t.level).concat(2));
+    const base = depth;
+    for (const t of doc.toc) {
+      while (depth < t.level) { out.push('<ol>'); depth++; }
+      while (depth > t.level) { out.push('</ol>'); depth--; }
+      out.push(`<li><a href="#${t.anchor}">${escapeHtml(t.text)}</a></li>`);
+    }
+    while (depth-- > base) out.push('</ol>');
+    if (doc.citations.length) out.push('<li><a href="#references">References</a></li>');
+    out.push('</ol></nav>');
+  }
+
+  if (doc.warnings.length) {
+    out.push('<aside class="warnings"><h2>Fact-check warnings</h2><ul>');
+    for (const w of doc.warnings) out.push(`<li>${escapeHtml(w)}</li>`);
+    out.push('</ul></aside>');
+  }
+
+  out.push('<main>');
+  for (const b of doc.blocks) {
+    if (b.type === 'heading') out.push(`<h${b.level} id="${b.anchor}">${htmlSpans(b.spans)}</h${b.level}>`);
+    else if (b.type === 'paragraph') out.push(`<p>${htmlSpans(b.spans)}</p>`);
+    else if (b.type === 'quote') out.push(`<blockquote>${htmlSpans(b.spans)}</blockquote>`);
+    else if (b.type === 'list') out.push(htmlList(b));
+    else if (b.type === 'code') out.push(`<pre><code>${escapeHtml(b.text)}</code></pre>`);
+    else if (b.type === 'chart') {
+      out.push(`<figure class="chart" id="figure-${b.n}">${reportCharts.renderSvg(b.chart, { title: false })}`);
+      out.push(`<figcaption>Figure ${b.n}${b.title ? `: ${escapeHtml(b.title)}` : ''}</figcaption></figure>`);
+    }
+    else if (b.type === 'rule') out.push('<hr>');
+    else if (b.type === 'table') {
+      out.push(`<table><thead><tr>${b.header.map(c => `<th>${htmlSpans(c)}</th>`).join('')}</tr></thead><tbody>`);
+      for (const r of b.rows) out.push(`<tr>${r.map(c => `<td>${htmlSpans(c)}</td>`).join('')}</tr>`);
+      out.push('</tbody></table>');
+    }
+  }
+  out.push('</main>');
+
+  if (doc.citations.length) {
+    out.push('<section><h2 id="references">References</h2><ol class="bibliography">');
+    for (const c of doc.citations) {
+      const link = c.url ? ` <a href="${escapeHtml(c.url)}">${escapeHtml(c.url)}</a>` : '';
+      out.push(`<li id="ref-${c.n}">${c.title !== c.url ? escapeHtml(c.title) : ''}${link}</li>`);
+    }
+    out.push('</ol></section>');
+  }
+  out.push('</body></html>');
+  return out.join('\n');
+}
+
+/**
+ * Describe the report as schema.org JSON-LD
+ * @param {Object} doc - From buildReportDocument
+ * @param {Object} [options]
+ * @param {boolean} [options.includeBody=true] - Include the plain-text report body
+ * @returns {Object}
+ */
+function renderJsonLd(doc, { includeBody = true } = {}) {
+  const props = [];
+  if (doc.meta.costUsd !== null) props.push({ '@type': 'PropertyValue', name: 'costUsd', value: doc.meta.costUsd, unitCode: 'USD' });
+  if (doc.meta.accuracyScore !== null) props.push({ '@type': 'PropertyValue', name: 'accuracyScore', value: doc.meta.accuracyScore, minValue: 0, maxValue: 1 });
+  if (doc.meta.durationMs !== null) props.push({ '@type': 'PropertyValue', name: 'durationMs', value: doc.meta.durationMs });
+  if (doc.warnings.length) props.push({ '@type': 'PropertyValue', name: 'factCheckWarnings', value: doc.warnings });
+
+  const ld = {
+    '@context': 'https://schema.org',
+    '@type': 'Report',
+    '@id': `research://reports/${doc.id}`,
+    identifier: doc.id,
+    name: doc.title,
+    about: doc.query,
+    dateCreated: doc.createdAt,
+    version: doc.version,
+    creativeWorkStatus: doc.meta.partial ? 'Draft' : 'Published',
+    creator: { '@type': 'SoftwareApplication', name: 'openrouter-agents' },
+    contributor: doc.meta.models.map(m => ({ '@type': 'SoftwareApplication', name: m })),
+    hasPart: doc.toc.map(t => ({ '@type': 'WebPageElement', name: t.text, identifier: t.anchor })),
+    associatedMedia: doc.blocks.filter(b => b.type === 'chart').map(b => ({
+      '@type': 'ImageObject',
+      '@id': `research://reports/${doc.id}/charts/${b.n}`,
+      name: b.title || `Figure ${b.n}`,
+      encodingFormat: 'image/svg+xml'
+    })),
+    citation: doc.citations.map(c => ({ '@type': 'CreativeWork', position: c.n, name: c.title, ...(c.url ? { url: c.url } : {}) })),
+    isBasedOn: doc.meta.basedOn.map(id => ({ '@id': `research://reports/${id}` })),
+    additionalProperty: props
+  };
+  if (doc.reportGroupId && doc.reportGroupId !== doc.id) ld.isVersionOf = { '@id': `research://reports/${doc.reportGroupId}` };
+  if (includeBody) {
+    ld.text = doc.blocks.map(b => {
+      if (b.spans) return plain(b.spans);
+      if (b.items) return b.items.map(it => `- ${plain(it.spans)}`).join('\n');
+      if (b.type === 'table') return [b.header, ...b.rows].map(r => r.map(plain).join(' | ')).join('\n');
+      if (b.type === 'chart') return `Figure ${b.n}${b.title ? `: ${b.title}` : ''}`;
+      return b.text || '';
+    }).filter(Boolean).join('\n\n');
+  }
+  return ld;
+}
+
+/**
+ * Render a saved report in one of the export formats
+ * @param {Object} report - Row from dbClient.getReportById
+ * @param {'html'|'pdf'|'docx'|'jsonld'} format
+ * @returns {{format: string, contentType: string, extension: string, binary: boolean, body: string|Buffer}}
+ */
+function renderReport(report, format) {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unsupported report format: ${format} (expected one of ${Object.keys(FORMATS).join(', ')})`);
+  const doc = buildReportDocument(report);
+  let body;
+  if (format === 'html') body = renderHtml(doc);
+  else if (format === 'pdf') body = renderPdf(doc, metadataRows(doc));
+  else if (format === 'docx') body = renderDocx(doc, metadataRows(doc));
+  else body = JSON.stringify(renderJsonLd(doc), null, 2);
+  return { format, ...spec, body };
+}
+
+module.exports = {
+  FORMATS,
+  parseBlocks,
+  buildArtifacts,
+  artifactsForReport,
+  buildReportDocument,
+  metadataRows,
+  renderHtml,
+  renderJsonLd,
+  renderReport
+};
@@ -3,6 +3,7 @@
 
 const axios = require('axios');
 const { JSDOM } = require('jsdom');
+const cassette = require('./cassette');
 
 class RobustWebScraper {
   constructor() {
@@ -31,8 +32,12 @@ class RobustWebScraper {
     return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
   }
 
-  // Enhanced web search with multiple fallback strategies
+  // Enhanced web search with multiple fallback strategies (recorded/replayed via cassettes)
   async searchWeb(query, maxResults = 5, options = {}) {
+    return cassette.wrapCall('searchWeb', { query, maxResults }, () => this._searchWebLive(query, maxResults, options));
+  }
+
+  async _searchWebLive(query, maxResults, options) {
     const strategies = [
       () => this.searchSearx(query, maxResults),
       () => this.searchDuckDuckGo(query, maxResults),
@@ -73,6 +78,7 @@ class RobustWebScraper {
         title: r.title || 'SearxNG Result',
         text: r.content || r.snippet || '',
         url: r.url,
+        publishedDate: r.publishedDate || null,
         source: 'searxng'
       }));
     } catch (e) {
@@ -225,10 +231,15 @@ class RobustWebScraper {
     }
   }
 
-  // Enhanced URL fetching with robust error handling
+  // Enhanced URL fetching with robust error handling (recorded/replayed via cassettes)
   async fetchUrl(url, options = {}) {
+    const { maxBytes = 200000 } = options;
+    return cassette.wrapCall('fetchUrl', { url, maxBytes }, () => this._fetchUrlLive(url, options));
+  }
+
+  async _fetchUrlLive(url, options) {
     const { maxBytes = 200000, timeout = 15000 } = options;
-    
+
     try {
       const response = await axios.get(url, {
         headers: {
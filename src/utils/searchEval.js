@@ -0,0 +1,174 @@
+/**
+ * Search Evaluation
+ *
+ * Offline relevance evaluation for searchHybrid. A labels file lists queries
+ * and the results that should come back for them; every search configuration
+ * (fusion method, weights, reranker) is run over all queries and scored with
+ * nDCG@k, MRR and recall@k, so indexer settings can be tuned with evidence.
+ *
+ * Labels are a JSON array or JSON Lines, one entry per query:
+ *   { "query": "tide tables", "relevant": ["file:/docs/tides.md#", "doc:12", "report:7"] }
+ *   { "query": "tide tables", "relevant": { "doc:12": 3, "doc:40": 1 } }   // graded
+ * A label matches a result by source_id, by `doc:<id>` / `report:<id>`, or, when
+ * it ends with '#', by source_id prefix (every chunk of an ingested file).
+ *
+ * @module searchEval
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const { FUSION_METHODS } = require('./searchFusion');
+
+const WEIGHT_PRESETS = [
+  { bm25: 0.7, vector: 0.3 },
+  { bm25: 0.5, vector: 0.5 },
+  { bm25: 0.3, vector: 0.7 }
+];
+
+/**
+ * Parse a labels file
+ * @param {string} text - JSON array or JSON Lines
+ * @returns {Array<{query: string, relevance: Map<string, number>}>}
+ * @throws {Error} On malformed entries
+ */
+function parseLabels(text) {
+  const trimmed = String(text || '').trim();
+  const entries = trimmed.startsWith('[')
+    ? JSON.parse(trimmed)
+    : trimmed.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('//')).map((l, i) => {
+      try { return JSON.parse(l); } catch (e) { throw new Error(`labels line ${i + 1}: ${e.message}`); }
+    });
+  return entries.map((e, i) => {
+    if (!e || typeof e.query !== 'string' || !e.query.trim() || !e.relevant) {
+      throw new Error(`labels entry ${i + 1} needs a query and relevant ids`);
+    }
+    const pairs = Array.isArray(e.relevant) ? e.relevant.map(id => [id, 1]) : Object.entries(e.relevant);
+    const relevance = new Map(pairs.map(([id, grade]) => [String(id), Number(grade) || 0]).filter(([, g]) => g > 0));
+    if (!relevance.size) throw new Error(`labels entry ${i + 1} has no relevant ids`);
+    return { query: e.query, relevance };
+  });
+}
+
+/**
+ * Label a result matches, or null
+ * @private
+ */
+function matchLabel(result, relevance) {
+  const keys = [result.source_id, `${result.type}:${result.id}`].filter(Boolean).map(String);
+  for (const key of keys) if (relevance.has(key)) return key;
+  for (const label of relevance.keys()) {
+    if (label.endsWith('#') && result.source_id && String(result.source_id).startsWith(label)) return label;
+  }
+  return null;
+}
+
+/**
+ * Graded gains of a ranked result list; each label counts once, at its first match
+ * @param {Array<Object>} results
+ * @param {Map<string, number>} relevance
+ * @returns {Array<number>}
+ */
+function gainsFor(results, relevance) {
+  const seen = new Set();
+  return results.map(r => {
+    const label = matchLabel(r, relevance);
+    if (!label || seen.has(label)) return 0;
+    seen.add(label);
+    return relevance.get(label);
+  });
+}
+
+function dcg(gains, k) {
+  return gains.slice(0, k).reduce((sum, g, i) => sum + (2 ** g - 1) / Math.log2(i + 2), 0);
+}
+
+/**
+ * nDCG@k with exponential gain
+ * @param {Array<number>} gains - Gains in ranked order
+ * @param {Array<number>} idealGrades - Grades of every relevant label
+ * @param {number} k
+ */
+function ndcgAtK(gains, idealGrades, k) {
+  const ideal = dcg([...idealGrades].sort((a, b) => b - a), k);
+  return ideal > 0 ? dcg(gains, k) / ideal : 0;
+}
+
+/** Reciprocal rank of the first relevant result (0 when none) */
+function reciprocalRank(gains) {
+  const i = gains.findIndex(g => g > 0);
+  return i === -1 ? 0 : 1 / (i + 1);
+}
+
+/** Share of relevant labels found in the top k */
+function recallAtK(gains, relevantCount, k) {
+  return relevantCount ? gains.slice(0, k).filter(g => g > 0).length / relevantCount : 0;
+}
+
+/**
+ * Every fusion method with each weight preset, without reranking
+ * @returns {Array<{name: string, fusion: string, weights: Object}>}
+ */
+function defaultConfigurations() {
+  return FUSION_METHODS.flatMap(fusion => WEIGHT_PRESETS.map(weights => ({
+    name: `${fusion} bm25=${weights.bm25} vector=${weights.vector}`,
+    fusion,
+    weights
+  })));
+}
+
+/**
+ * Run every configuration over the labelled queries
+ * @param {Object} options
+ * @param {Array<{query: string, relevance: Map}>} options.labels - From parseLabels
+ * @param {function(string, number, Object): Promise<Array>} options.search - e.g. dbClient.searchHybrid
+ * @param {Array<Object>} [options.configurations] - { name, fusion, weights, rerank }; default defaultConfigurations()
+ * @param {number} [options.k=10]
+ * @returns {Promise<{k: number, queries: number, configurations: Array<Object>}>} Best nDCG first
+ */
+async function evaluateSearch({ labels, search, configurations = defaultConfigurations(), k = 10 }) {
+  const out = [];
+  for (const cfg of configurations) {
+    const { name, ...options } = cfg;
+    const perQuery = [];
+    for (const { query, relevance } of labels) {
+      const results = await search(query, k, { rerank: false, ...options });
+      const gains = gainsFor(results, relevance);
+      perQuery.push({
+        query,
+        ndcg: ndcgAtK(gains, [...relevance.values()], k),
+        rr: reciprocalRank(gains),
+        recall: recallAtK(gains, relevance.size, k)
+      });
+    }
+    const mean = key => perQuery.reduce((n, q) => n + q[key], 0) / (perQuery.length || 1);
+    out.push({ name: name || JSON.stringify(options), options, ndcg: mean('ndcg'), mrr: mean('rr'), recall: mean('recall'), perQuery });
+  }
+  out.sort((a, b) => b.ndcg - a.ndcg || b.mrr - a.mrr);
+  return { k, queries: labels.length, configurations: out };
+}
+
+/**
+ * Markdown table of an evaluation summary
+ * @param {Object} summary - From evaluateSearch
+ * @returns {string}
+ */
+function formatTable(summary) {
+  const f = n => n.toFixed(3);
+  return [
+    `| Configuration | nDCG@${summary.k} | MRR | Recall@${summary.k} |`,
+    '|---|---|---|---|',
+    ...summary.configurations.map(c => `| ${c.name} | ${f(c.ndcg)} | ${f(c.mrr)} | ${f(c.recall)} |`)
+  ].join('\n');
+}
+
+module.exports = {
+  parseLabels,
+  gainsFor,
+  ndcgAtK,
+  reciprocalRank,
+  recallAtK,
+  defaultConfigurations,
+  evaluateSearch,
+  formatTable
+};
@@ -0,0 +1,100 @@
+/**
+ * Search Fusion
+ *
+ * Combines the lexical (BM25) and semantic (cosine) signals of search
+ * candidates into one score. Candidates are scored together, so passages,
+ * whole documents and reports share a scale.
+ *
+ * Methods:
+ * - weighted: BM25 divided by the best BM25 in the set, plus cosine, each times
+ *   its weight (the original searchHybrid scoring)
+ * - rrf:      reciprocal-rank fusion, sum of weight / (k + rank) over the two
+ *             rankings; ignores score scales entirely
+ * - zscore:   each signal standardized over the candidate set, then weighted
+ *
+ * A candidate without a term match has BM25 0. A candidate without a vector
+ * (`vector: null`) gets no rank and no vector contribution.
+ *
+ * @module searchFusion
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const FUSION_METHODS = ['weighted', 'rrf', 'zscore'];
+const DEFAULT_WEIGHTS = { bm25: 0.7, vector: 0.3 };
+
+function rankBy(candidates, value) {
+  const ranks = new Map();
+  candidates
+    .map((c, i) => ({ i, v: value(c) }))
+    .filter(x => x.v != null)
+    .sort((a, b) => b.v - a.v)
+    .forEach((x, rank) => ranks.set(x.i, rank + 1));
+  return ranks;
+}
+
+function meanStd(values) {
+  if (!values.length) return { mean: 0, std: 0 };
+  const mean = values.reduce((n, v) => n + v, 0) / values.length;
+  const variance = values.reduce((n, v) => n + (v - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Score candidates with one fusion method
+ * @param {Array<{bm25: number, vector: number|null}>} candidates
+ * @param {Object} [options]
+ * @param {string} [options.method='weighted'] - 'weighted' | 'rrf' | 'zscore'
+ * @param {{bm25: number, vector: number}} [options.weights]
+ * @param {number} [options.rrfK=60] - RRF rank offset; larger flattens the head of each ranking
+ * @returns {Array<{score: number, components: Object}>} One entry per candidate, in input order
+ */
+function fuse(candidates, { method = 'weighted', weights = DEFAULT_WEIGHTS, rrfK = 60 } = {}) {
+  if (!FUSION_METHODS.includes(method)) {
+    throw new Error(`Unknown fusion method '${method}' (expected ${FUSION_METHODS.join(', ')})`);
+  }
+  const wBm25 = Number(weights?.bm25) || 0;
+  const wVector = Number(weights?.vector) || 0;
+  const bm25Of = c => Number(c.bm25) || 0;
+  const vectorOf = c => (c.vector == null ? null : Number(c.vector));
+
+  const bm25Ranks = rankBy(candidates, c => (bm25Of(c) > 0 ? bm25Of(c) : null));
+  const vectorRanks = rankBy(candidates, vectorOf);
+  const bm25Max = Math.max(1, ...candidates.map(bm25Of));
+  const bm25Stats = meanStd(candidates.map(bm25Of));
+  const vectorStats = meanStd(candidates.map(vectorOf).filter(v => v != null));
+
+  return candidates.map((c, i) => {
+    const bm25 = bm25Of(c);
+    const vector = vectorOf(c);
+    let bm25Normalized;
+    let vectorNormalized;
+    if (method === 'rrf') {
+      bm25Normalized = bm25Ranks.has(i) ? 1 / (rrfK + bm25Ranks.get(i)) : 0;
+      vectorNormalized = vectorRanks.has(i) ? 1 / (rrfK + vectorRanks.get(i)) : 0;
+    } else if (method === 'zscore') {
+      bm25Normalized = bm25Stats.std > 0 ? (bm25 - bm25Stats.mean) / bm25Stats.std : 0;
+      vectorNormalized = vector != null && vectorStats.std > 0 ? (vector - vectorStats.mean) / vectorStats.std : 0;
+    } else {
+      bm25Normalized = bm25 / bm25Max;
+      vectorNormalized = vector || 0;
+    }
+    const score = wBm25 * bm25Normalized + wVector * vectorNormalized;
+    return {
+      score,
+      components: {
+        fusion: method,
+        bm25: { raw: bm25, rank: bm25Ranks.get(i) || null, normalized: bm25Normalized, weight: wBm25, contribution: wBm25 * bm25Normalized },
+        vector: { raw: vector, rank: vectorRanks.get(i) || null, normalized: vectorNormalized, weight: wVector, contribution: wVector * vectorNormalized },
+        score
+      }
+    };
+  });
+}
+
+module.exports = {
+  FUSION_METHODS,
+  DEFAULT_WEIGHTS,
+  fuse
+};
@@ -3,6 +3,8 @@
 // Provides time-travel, undo/redo, and session forking capabilities
 
 const config = require('../../config');
+const collections = require('./collections');
+const tenancy = require('./tenancy');
 
 let EventStore;
 let coreInitialized = false;
@@ -51,6 +53,22 @@ const createInitialState = () => ({
   }
 });
 
+// Sessions live in a collection (see collections.js). Sessions in 'default' keep
+// their plain ids; sessions in other collections are stored as <collection>/<id>,
+// so the same session id in two collections names two sessions. Sessions of
+// non-default tenants (see tenancy.js) are further prefixed with <tenant>:, and
+// their rows carry the tenant so reads never cross tenants.
+function sessionScope(collection) {
+  return collection ? collections.normalizeCollection(collection) : collections.defaultCollection();
+}
+
+function sessionKey(sessionId, collection) {
+  const scope = sessionScope(collection);
+  const key = scope === 'default' ? sessionId : `${scope}/${sessionId}`;
+  const tenant = tenancy.currentTenant();
+  return tenant === tenancy.DEFAULT_TENANT ? key : `${tenant}:${key}`;
+}
+
 // Session state reducer - handles all event types
 const sessionReducer = (state, event) => {
   const newState = { ...state };
@@ -162,7 +180,7 @@ const sessionReducer = (state, event) => {
 class SessionManager {
   constructor(dbClient) {
     this.dbClient = dbClient;
-    this.sessions = new Map(); // sessionId -> EventStore
+    this.sessions = new Map(); // tenant -> (session key -> EventStore)
     this.initialized = false;
   }
 
@@ -179,6 +197,13 @@ class SessionManager {
     return true;
   }
 
+  // In-memory stores of the current tenant
+  tenantSessions() {
+    const tenant = tenancy.currentTenant();
+    if (!this.sessions.has(tenant)) this.sessions.set(tenant, new Map());
+    return this.sessions.get(tenant);
+  }
+
   async ensureSchema() {
     if (!this.dbClient?.executeQuery) return;
 
@@ -191,6 +216,7 @@ class SessionManager {
           event_type TEXT NOT NULL,
           payload JSONB,
           timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+          tenant_id TEXT NOT NULL DEFAULT 'default',
           UNIQUE(session_id, event_index)
         );
       `, []);
@@ -205,10 +231,24 @@ class SessionManager {
           parent_session_id TEXT,
           created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
           last_activity_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
-          metadata JSONB
+          metadata JSONB,
+          collection TEXT NOT NULL DEFAULT 'default',
+          tenant_id TEXT NOT NULL DEFAULT 'default'
         );
       `, []);
 
+      await this.dbClient.executeQuery(`
+        ALTER TABLE sessions ADD COLUMN IF NOT EXISTS collection TEXT NOT NULL DEFAULT 'default';
+      `, []);
+
+      // Sessions from before tenancy belong to 'default'
+      await this.dbClient.executeQuery(`
+        ALTER TABLE sessions ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+      `, []);
+      await this.dbClient.executeQuery(`
+        ALTER TABLE session_events ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default';
+      `, []);
+
       process.stderr.write(`[${new Date().toISOString()}] Session store schema created/verified.\n`);
     } catch (err) {
       console.error('[SessionStore] Schema creation error:', err);
@@ -217,36 +257,42 @@ class SessionManager {
 
   /**
    * Get or create a session store for the given session ID
+   * @param {string} sessionId
+   * @param {string} [collection] - Default collection when omitted
    */
-  async getSession(sessionId) {
+  async getSession(sessionId, collection = null) {
     if (!this.initialized) await this.initialize();
     if (!this.initialized) return null;
 
-    if (this.sessions.has(sessionId)) {
-      return this.sessions.get(sessionId);
+    const key = sessionKey(sessionId, collection);
+    const stores = this.tenantSessions();
+    if (stores.has(key)) {
+      return stores.get(key);
     }
 
     // Create new EventStore for this session
+    const tenant = tenancy.currentTenant();
     const store = new EventStore({
       initialState: createInitialState(),
       reducer: sessionReducer,
       persist: async (events) => {
-        // Persist events to PGLite
-        await this.persistEvents(sessionId, events);
+        // Persist events to PGLite, as the session's tenant whoever appends them
+        await tenancy.runAsTenant(tenant, () => this.persistEvents(key, events));
       }
     });
 
     // Load existing events from database
-    await this.loadEvents(sessionId, store);
+    await this.loadEvents(key, store);
 
-    this.sessions.set(sessionId, store);
+    stores.set(key, store);
 
     // Register session in database
     await this.dbClient.executeQuery(`
-      INSERT INTO sessions (id, metadata)
-      VALUES ($1, $2)
+      INSERT INTO sessions (id, metadata, collection, tenant_id)
+      VALUES ($1, $2, $3, $4)
       ON CONFLICT (id) DO UPDATE SET last_activity_at = CURRENT_TIMESTAMP
-    `, [sessionId, JSON.stringify({ initialized: new Date().toISOString() })]);
+      WHERE sessions.tenant_id = EXCLUDED.tenant_id
+    `, [key, JSON.stringify({ initialized: new Date().toISOString() }), sessionScope(collection), tenant]);
 
     return store;
   }
@@ -258,10 +304,10 @@ class SessionManager {
       const event = events[i];
       try {
         await this.dbClient.executeQuery(`
-          INSERT INTO session_events (session_id, event_index, event_type, payload)
-          VALUES ($1, $2, $3, $4)
+          INSERT INTO session_events (session_id, event_index, event_type, payload, tenant_id)
+          VALUES ($1, $2, $3, $4, $5)
           ON CONFLICT (session_id, event_index) DO NOTHING
-        `, [sessionId, i, event.type, JSON.stringify(event.payload)]);
+        `, [sessionId, i, event.type, JSON.stringify(event.payload), tenancy.currentTenant()]);
       } catch (err) {
         console.error('[SessionStore] Error persisting event:', err);
       }
@@ -274,9 +320,9 @@ class SessionManager {
     try {
       const result = await this.dbClient.executeQuery(`
         SELECT event_type, payload FROM session_events
-        WHERE session_id = $1
+        WHERE session_id = $1 AND tenant_id = $2
         ORDER BY event_index ASC
-      `, [sessionId]);
+      `, [sessionId, tenancy.currentTenant()]);
 
       for (const row of result.rows || []) {
         store.append({
@@ -292,16 +338,16 @@ class SessionManager {
   /**
    * Dispatch an event to a session
    */
-  async dispatch(sessionId, eventType, payload) {
-    const store = await this.getSession(sessionId);
+  async dispatch(sessionId, eventType, payload, collection = null) {
+    const store = await this.getSession(sessionId, collection);
     if (!store) return null;
 
     store.append({ type: eventType, payload });
 
     // Update last activity
     await this.dbClient.executeQuery(`
-      UPDATE sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = $1
-    `, [sessionId]);
+      UPDATE sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = $1 AND tenant_id = $2
+    `, [sessionKey(sessionId, collection), tenancy.currentTenant()]);
 
     return store.project();
   }
@@ -309,8 +355,8 @@ class SessionManager {
   /**
    * Undo the last action in a session
    */
-  async undo(sessionId) {
-    const store = await this.getSession(sessionId);
+  async undo(sessionId, collection = null) {
+    const store = await this.getSession(sessionId, collection);
     if (!store) return { success: false, error: 'Session not found' };
 
     try {
@@ -329,8 +375,8 @@ class SessionManager {
   /**
    * Redo a previously undone action
    */
-  async redo(sessionId) {
-    const store = await this.getSession(sessionId);
+  async redo(sessionId, collection = null) {
+    const store = await this.getSession(sessionId, collection);
     if (!store) return { success: false, error: 'Session not found' };
 
     try {
@@ -347,26 +393,26 @@ class SessionManager {
   }
 
   /**
-   * Fork a session to create an alternate timeline
+   * Fork a session to create an alternate timeline (in the same collection)
    */
-  async forkSession(sessionId, newSessionId) {
-    const store = await this.getSession(sessionId);
+  async forkSession(sessionId, newSessionId, collection = null) {
+    const store = await this.getSession(sessionId, collection);
     if (!store) return { success: false, error: 'Session not found' };
 
     try {
       const forkedStore = store.fork();
-      this.sessions.set(newSessionId, forkedStore);
+      this.tenantSessions().set(sessionKey(newSessionId, collection), forkedStore);
 
       // Record fork relationship in database
       await this.dbClient.executeQuery(`
-        INSERT INTO sessions (id, parent_session_id, metadata)
-        VALUES ($1, $2, $3)
-      `, [newSessionId, sessionId, JSON.stringify({ forkedAt: new Date().toISOString() })]);
+        INSERT INTO sessions (id, parent_session_id, metadata, collection, tenant_id)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [sessionKey(newSessionId, collection), sessionKey(sessionId, collection), JSON.stringify({ forkedAt: new Date().toISOString() }), sessionScope(collection), tenancy.currentTenant()]);
 
       // Dispatch fork event to original session
       await this.dispatch(sessionId, EventTypes.SESSION_FORKED, {
         forkedSessionId: newSessionId
-      });
+      }, collection);
 
       return {
         success: true,
@@ -381,8 +427,8 @@ class SessionManager {
   /**
    * Navigate to a specific point in time
    */
-  async timeTravel(sessionId, timestamp) {
-    const store = await this.getSession(sessionId);
+  async timeTravel(sessionId, timestamp, collection = null) {
+    const store = await this.getSession(sessionId, collection);
     if (!store) return { success: false, error: 'Session not found' };
 
     try {
@@ -402,8 +448,8 @@ class SessionManager {
   /**
    * Create a named checkpoint for easy navigation
    */
-  async createCheckpoint(sessionId, name) {
-    const store = await this.getSession(sessionId);
+  async createCheckpoint(sessionId, name, collection = null) {
+    const store = await this.getSession(sessionId, collection);
     if (!store) return { success: false, error: 'Session not found' };
 
     const checkpointId = `cp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
@@ -413,7 +459,7 @@ class SessionManager {
       checkpointId,
       name,
       eventIndex: events.length
-    });
+    }, collection);
 
     return {
       success: true,
@@ -426,8 +472,8 @@ class SessionManager {
   /**
    * Get current session state
    */
-  async getState(sessionId) {
-    const store = await this.getSession(sessionId);
+  async getState(sessionId, collection = null) {
+    const store = await this.getSession(sessionId, collection);
     if (!store) return null;
 
     return {
@@ -441,28 +487,32 @@ class SessionManager {
   /**
    * Get all events for a session (for debugging/export)
    */
-  async getEvents(sessionId) {
-    const store = await this.getSession(sessionId);
+  async getEvents(sessionId, collection = null) {
+    const store = await this.getSession(sessionId, collection);
     if (!store) return [];
 
     return store.getEvents ? store.getEvents() : [];
   }
 
   /**
-   * List all active sessions
+   * List the active sessions of a collection in the current tenant
    */
-  async listSessions(limit = 20) {
+  async listSessions(limit = 20, collection = null) {
+    const scope = sessionScope(collection);
+    const prefix = sessionKey('', collection);
+    const plainId = id => (id && id.startsWith(prefix) ? id.slice(prefix.length) : id);
     try {
       const result = await this.dbClient.executeQuery(`
         SELECT id, parent_session_id, created_at, last_activity_at, metadata
         FROM sessions
+        WHERE collection = $2 AND tenant_id = $3
         ORDER BY last_activity_at DESC
         LIMIT $1
-      `, [limit]);
+      `, [limit, scope, tenancy.currentTenant()]);
 
       return (result.rows || []).map(r => ({
-        id: r.id,
-        parentSessionId: r.parent_session_id,
+        id: plainId(r.id),
+        parentSessionId: plainId(r.parent_session_id),
         createdAt: r.created_at,
         lastActivityAt: r.last_activity_at,
         metadata: r.metadata
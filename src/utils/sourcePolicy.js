@@ -0,0 +1,352 @@
+/**
+ * Source Policy
+ *
+ * Decides which web sources research may use and how much to trust them.
+ * The server policy (config.sourcePolicy) can be tightened per request with a
+ * `sourcePolicy` parameter:
+ * - deny: domains never used or cited (server and request lists both apply)
+ * - allow: when set, only these domains are used (both lists must match)
+ * - weights: per-domain reliability prior, 0..1 (request overrides server)
+ * - maxAgeDays: sources older than this are dropped when their date is known
+ * - minReliability: sources scoring below this are dropped
+ *
+ * Domains match themselves and their subdomains (`nih.gov` matches
+ * `www.ncbi.nlm.nih.gov`). A bare suffix such as `gov` or `edu` matches every
+ * domain under it.
+ *
+ * Reliability starts from the domain's weight (or a default, higher for
+ * trusted domains). It then moves toward a learned score. That score is the
+ * average rating (1-5, mapped to 0..1) of reports that cited the domain, taken
+ * from `rate_research_report`. The more ratings a domain has, the more the
+ * learned score counts.
+ *
+ * @module sourcePolicy
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const config = require('../../config');
+const logger = require('./logger').child('SourcePolicy');
+
+const DEFAULT_PRIOR = 0.5;
+const TRUSTED_PRIOR = 0.85;
+// Ratings needed before the learned score counts as much as the prior
+const LEARNED_PRIOR_STRENGTH = 5;
+const TIERS = [['high', 0.75], ['medium', 0.5], ['low', 0]];
+
+// domain -> { score, ratings }, refreshed from the source_reliability table
+const learned = new Map();
+
+function normalizeDomain(entry) {
+  return String(entry || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^\*?\./, '').replace(/^www\./, '').replace(/[/:].*$/, '');
+}
+
+function normalizeList(list) {
+  return [...new Set((Array.isArray(list) ? list : []).map(normalizeDomain).filter(Boolean))];
+}
+
+/**
+ * Hostname of a URL without "www."
+ * @param {string} url
+ * @returns {string|null}
+ */
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Most specific list entry matching a domain
+ * @param {string} domain
+ * @param {Array<string>} list - Normalized domains/suffixes
+ * @returns {string|null}
+ */
+function matchDomain(domain, list) {
+  if (!domain) return null;
+  let best = null;
+  for (const entry of list || []) {
+    if ((domain === entry || domain.endsWith(`.${entry}`)) && (!best || entry.length > best.length)) best = entry;
+  }
+  return best;
+}
+
+function normalizeWeights(weights) {
+  const out = {};
+  for (const [domain, w] of Object.entries(weights || {})) {
+    const d = normalizeDomain(domain);
+    const n = Number(w);
+    if (d && Number.isFinite(n)) out[d] = Math.max(0, Math.min(1, n));
+  }
+  return out;
+}
+
+/**
+ * Effective policy for a run: the server policy tightened by the request's
+ * @param {Object} [requestPolicy] - `sourcePolicy` research parameter
+ * @returns {Object} Resolved policy
+ */
+function resolvePolicy(requestPolicy = null) {
+  const server = config.sourcePolicy || {};
+  const req = requestPolicy || {};
+  const ages = [server.maxAgeDays, req.maxAgeDays].filter(n => Number.isFinite(n) && n > 0);
+  const floors = [server.minReliability, req.minReliability].filter(n => Number.isFinite(n));
+  return {
+    allowLists: [server.allow, req.allow].map(normalizeList).filter(l => l.length),
+    deny: normalizeList([...(server.deny || []), ...(req.deny || [])]),
+    weights: { ...normalizeWeights(server.weights), ...normalizeWeights(req.weights) },
+    trusted: normalizeList(server.trusted),
+    skipValidation: normalizeList(server.skipValidation),
+    maxAgeDays: ages.length ? Math.min(...ages) : null,
+    minReliability: floors.length ? Math.max(...floors) : 0
+  };
+}
+
+/**
+ * Whether a policy restricts anything beyond the defaults
+ * @param {Object} policy - From resolvePolicy
+ * @returns {boolean}
+ */
+function isRestrictive(policy) {
+  return !!(policy.allowLists.length || policy.deny.length || policy.maxAgeDays || policy.minReliability > 0);
+}
+
+/**
+ * Publication date of a search result or source, when one is known
+ * Uses explicit date fields, then a /YYYY/MM/ or YYYY-MM-DD date in the URL.
+ * @param {Object} item - { url, publishedDate?, publishedAt?, date? }
+ * @returns {Date|null}
+ */
+function inferPublishedAt(item) {
+  for (const value of [item?.publishedDate, item?.publishedAt, item?.date]) {
+    const d = value ? new Date(value) : null;
+    if (d && !isNaN(d.getTime())) return d;
+  }
+  const m = String(item?.url || '').match(/[/_-]((?:19|20)\d{2})[/-](0[1-9]|1[0-2])(?:[/-](0[1-9]|[12]\d|3[01]))?(?=[/_.-]|$)/);
+  return m ? new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3] || 1))) : null;
+}
+
+/**
+ * Reliability of a source's domain (0..1)
+ * @param {string} url
+ * @param {Object} [policy] - From resolvePolicy
+ * @returns {{score: number, prior: number, learned: {score: number, ratings: number}|null}}
+ */
+function reliability(url, policy = resolvePolicy()) {
+  const domain = domainOf(url);
+  const weighted = matchDomain(domain, Object.keys(policy.weights));
+  const prior = weighted ? policy.weights[weighted] : (matchDomain(domain, policy.trusted) ? TRUSTED_PRIOR : DEFAULT_PRIOR);
+  const l = domain ? learned.get(domain) : null;
+  const n = l ? l.ratings : 0;
+  const score = n ? (prior * LEARNED_PRIOR_STRENGTH + l.score * n) / (LEARNED_PRIOR_STRENGTH + n) : prior;
+  return { score: Number(score.toFixed(2)), prior, learned: l ? { score: Number(l.score.toFixed(2)), ratings: l.ratings } : null };
+}
+
+function tierOf(score) {
+  return TIERS.find(([, min]) => score >= min)[0];
+}
+
+/**
+ * Check a source against the policy
+ * @param {Object|string} item - URL or { url, publishedDate?, ... }
+ * @param {Object} [policy] - From resolvePolicy
+ * @param {Date} [now]
+ * @returns {{url: string, domain: string|null, allowed: boolean, reason: string|null, reliability: number, tier: string, publishedAt: string|null}}
+ */
+function evaluate(item, policy = resolvePolicy(), now = new Date()) {
+  const url = typeof item === 'string' ? item : item?.url;
+  const domain = domainOf(url);
+  const { score } = reliability(url, policy);
+  const published = typeof item === 'object' ? inferPublishedAt(item) : inferPublishedAt({ url });
+  let reason = null;
+  if (!domain) reason = 'invalid_url';
+  else if (matchDomain(domain, policy.deny)) reason = 'denied';
+  else if (policy.allowLists.some(list => !matchDomain(domain, list))) reason = 'not_allowed';
+  else if (policy.maxAgeDays && published && (now - published) / 86400000 > policy.maxAgeDays) reason = 'stale';
+  else if (score < policy.minReliability) reason = 'low_reliability';
+  return {
+    url,
+    domain,
+    allowed: !reason,
+    reason,
+    reliability: score,
+    tier: tierOf(score),
+    publishedAt: published ? published.toISOString() : null
+  };
+}
+
+/**
+ * Drop search results the policy rules out and order the rest by reliability
+ * @param {Array<Object>} results - { url, title, ... }
+ * @param {Object} [policy] - From resolvePolicy
+ * @returns {{kept: Array<Object>, dropped: Array<{url: string, reason: string}>}}
+ */
+function filterResults(results, policy = resolvePolicy()) {
+  const kept = [];
+  const dropped = [];
+  for (const r of results || []) {
+    const e = evaluate(r, policy);
+    if (e.allowed) kept.push({ ...r, domain: e.domain, reliability: e.reliability, publishedAt: e.publishedAt || r.publishedAt || null });
+    else dropped.push({ url: r.url, reason: e.reason });
+  }
+  kept.sort((a, b) => b.reliability - a.reliability);
+  return { kept, dropped };
+}
+
+/**
+ * Policy instructions for planning, research and synthesis prompts
+ * @param {Object} policy - From resolvePolicy
+ * @returns {string} Empty when the policy adds nothing to the defaults
+ */
+function describeForPrompt(policy) {
+  const lines = [];
+  if (policy.deny.length) lines.push(`- Never use or cite these domains: ${policy.deny.join(', ')}.`);
+  for (const list of policy.allowLists) lines.push(`- Only use sources from these domains: ${list.join(', ')}.`);
+  const preferred = Object.entries(policy.weights).filter(([, w]) => w >= 0.75).map(([d]) => d);
+  const avoided = Object.entries(policy.weights).filter(([, w]) => w < 0.4).map(([d]) => d);
+  if (preferred.length) lines.push(`- Prefer these reliable domains: ${preferred.join(', ')}.`);
+  if (avoided.length) lines.push(`- Treat these domains as low reliability; corroborate before relying on them: ${avoided.join(', ')}.`);
+  if (policy.maxAgeDays) lines.push(`- Only rely on sources published in the last ${policy.maxAgeDays} days; say so when only older sources exist.`);
+  return lines.length ? `SOURCE POLICY:\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Record reliability and policy checks on report sources and summarize them
+ * @param {Array<Object>} sources - Citation registry (citationRegistry); entries are updated in place
+ * @param {Object} [policy] - From resolvePolicy
+ * @returns {Object|null} Breakdown: { cited, averageReliability, tiers, domains, violations }, or null when nothing was cited
+ */
+function qualityBreakdown(sources, policy = resolvePolicy()) {
+  const cited = (sources || []).filter(s => s.cited);
+  for (const s of sources || []) {
+    const e = evaluate(s, policy);
+    s.domain = e.domain;
+    s.reliability = e.reliability;
+    s.policy = e.reason;
+  }
+  if (!cited.length) return null;
+
+  const tiers = { high: 0, medium: 0, low: 0 };
+  const domains = new Map();
+  for (const s of cited) {
+    tiers[tierOf(s.reliability)]++;
+    const d = domains.get(s.domain) || { domain: s.domain, cited: 0, reliability: s.reliability, ids: [] };
+    d.cited++;
+    d.ids.push(s.id);
+    domains.set(s.domain, d);
+  }
+  return {
+    cited: cited.length,
+    averageReliability: Number((cited.reduce((n, s) => n + s.reliability, 0) / cited.length).toFixed(2)),
+    tiers,
+    domains: [...domains.values()].sort((a, b) => b.cited - a.cited || b.reliability - a.reliability),
+    violations: cited.filter(s => s.policy).map(s => ({ id: s.id, url: s.url, reason: s.policy }))
+  };
+}
+
+const REASON_LABELS = {
+  denied: 'denied domain',
+  not_allowed: 'not on the allow list',
+  stale: 'older than the recency limit',
+  low_reliability: 'below the reliability floor',
+  invalid_url: 'invalid URL'
+};
+
+/**
+ * Markdown section with the source-quality breakdown
+ * @param {Object} breakdown - From qualityBreakdown
+ * @returns {string} Section text (empty without a breakdown)
+ */
+function formatQualitySection(breakdown) {
+  if (!breakdown) return '';
+  const { tiers } = breakdown;
+  const lines = [
+    '## Source Quality',
+    `${breakdown.cited} cited sources, average reliability ${breakdown.averageReliability.toFixed(2)} (${tiers.high} high, ${tiers.medium} medium, ${tiers.low} low).`,
+    '',
+    '| Domain | Cited | Reliability |',
+    '|---|---|---|',
+    ...breakdown.domains.slice(0, 15).map(d => `| ${d.domain} | ${d.ids.map(id => `[${id}]`).join(' ')} | ${d.reliability.toFixed(2)} (${tierOf(d.reliability)}) |`)
+  ];
+  if (breakdown.domains.length > 15) lines.push('', `${breakdown.domains.length - 15} more domains not shown.`);
+  if (breakdown.violations.length) {
+    lines.push('', 'Cited despite the source policy:');
+    for (const v of breakdown.violations) lines.push(`- [${v.id}] ${v.url}: ${REASON_LABELS[v.reason] || v.reason}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Domains trusted without a liveness check (citationValidator)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isTrusted(url) {
+  return !!matchDomain(domainOf(url), normalizeList(config.sourcePolicy?.trusted));
+}
+
+/**
+ * Domains that block automated requests, so liveness checks are skipped (citationValidator)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function skipsValidation(url) {
+  return !!matchDomain(domainOf(url), normalizeList(config.sourcePolicy?.skipValidation));
+}
+
+/**
+ * Refresh learned reliability scores from the database. Never throws.
+ * @param {Object} dbClient
+ * @returns {Promise<number>} Number of domains with learned scores
+ */
+async function loadLearnedScores(dbClient) {
+  try {
+    const rows = await dbClient.getSourceReliability();
+    learned.clear();
+    for (const r of rows) learned.set(r.domain, { score: Number(r.score), ratings: Number(r.ratings) });
+  } catch (error) {
+    logger.warn('Could not load learned source reliability', { error: error.message });
+  }
+  return learned.size;
+}
+
+const ratingValue = rating => Math.max(0, Math.min(1, (Number(rating) - 1) / 4));
+
+/**
+ * Feed a report rating into the learned score of every domain it cited
+ * Each report counts once: re-rating it replaces its earlier rating instead of adding another.
+ * @param {Object} dbClient
+ * @param {Array<string>} urls - URLs the report cited
+ * @param {number} rating - 1..5
+ * @param {number|null} [previousRating] - The report's earlier rating (1..5), if it had one
+ * @returns {Promise<Array<string>>} Domains updated
+ */
+async function recordRating(dbClient, urls, rating, previousRating = null) {
+  const domains = [...new Set((urls || []).map(domainOf).filter(Boolean))];
+  if (!domains.length) return [];
+  const previous = previousRating === null || previousRating === undefined ? null : ratingValue(previousRating);
+  const rows = await dbClient.recordSourceRatings(domains, ratingValue(rating), previous);
+  for (const r of rows) learned.set(r.domain, { score: Number(r.score), ratings: Number(r.ratings) });
+  return domains;
+}
+
+module.exports = {
+  domainOf,
+  matchDomain,
+  resolvePolicy,
+  isRestrictive,
+  inferPublishedAt,
+  reliability,
+  evaluate,
+  filterResults,
+  describeForPrompt,
+  qualityBreakdown,
+  formatQualitySection,
+  isTrusted,
+  skipsValidation,
+  loadLearnedScores,
+  recordRating
+};
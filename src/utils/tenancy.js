@@ -0,0 +1,124 @@
+/**
+ * Tenancy
+ *
+ * Hard isolation between teams sharing one deployment. Reports, indexed
+ * documents, jobs (with their events), watches, cost events, sessions and graph
+ * nodes carry a tenant id, and dbClient only reads and writes rows of the
+ * current tenant. Collections (see collections.js) partition data inside a tenant.
+ *
+ * The current tenant lives in an AsyncLocalStorage context:
+ * - the HTTP transport enters it for every authenticated request;
+ * - tool calls enter it from the caller's authInfo;
+ * - the job worker and the watch scheduler enter the tenant stored on the job or watch.
+ * Outside any context (stdio, startup, maintenance) the tenant is 'default'.
+ *
+ * Tenant ids come from the auth principal only when config.tenancy.enabled:
+ * a JWT's config.tenancy.claim, else its client id; an API key listed in
+ * config.tenancy.apiKeys. SERVER_API_KEY and unauthenticated callers stay in
+ * 'default', which is also where data from before tenancy lives.
+ *
+ * @module tenancy
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../../config');
+
+const DEFAULT_TENANT = 'default';
+const storage = new AsyncLocalStorage();
+
+/**
+ * Validate a tenant id (trimmed; claims and client ids may hold any printable characters)
+ * @param {string} tenant
+ * @returns {string}
+ * @throws {Error} When empty, longer than 128 characters or containing control characters
+ */
+function normalizeTenant(tenant) {
+  const value = String(tenant == null ? '' : tenant).trim();
+  if (!value || value.length > 128 || /[\u0000-\u001f\u007f]/.test(value)) {
+    throw new Error(`Invalid tenant id '${tenant}'`);
+  }
+  return value;
+}
+
+/** Tenant of the running request or job */
+function currentTenant() {
+  return storage.getStore()?.tenant || DEFAULT_TENANT;
+}
+
+/**
+ * Run a function as a tenant
+ * @param {string} tenant
+ * @param {Function} fn
+ * @returns {*} What fn returns
+ */
+function runAsTenant(tenant, fn) {
+  return storage.run({ tenant: tenant ? normalizeTenant(tenant) : DEFAULT_TENANT }, fn);
+}
+
+/**
+ * Switch the rest of the current async flow to a tenant (long-lived loops such as the job worker)
+ * @param {string} tenant
+ */
+function enterTenant(tenant) {
+  storage.enterWith({ tenant: tenant ? normalizeTenant(tenant) : DEFAULT_TENANT });
+}
+
+/**
+ * Tenant for a verified JWT
+ * @param {Object} payload - Token claims
+ * @param {string} clientId - Client id derived from the token
+ * @returns {string}
+ */
+function tenantForJwt(payload, clientId) {
+  if (!config.tenancy?.enabled) return DEFAULT_TENANT;
+  const claim = payload?.[config.tenancy.claim];
+  return normalizeTenant(claim != null && claim !== '' ? claim : clientId);
+}
+
+/**
+ * Tenant an API key from config.tenancy.apiKeys belongs to
+ * @param {string} apiKey
+ * @returns {string|null} null when the key is not a tenant key, or tenancy is off
+ */
+function tenantForApiKey(apiKey) {
+  if (!config.tenancy?.enabled) return null;
+  const keys = config.tenancy?.apiKeys || {};
+  if (!apiKey || !Object.prototype.hasOwnProperty.call(keys, apiKey)) return null;
+  return normalizeTenant(keys[apiKey]);
+}
+
+/**
+ * Tenant of an authenticated caller (mcpExchange.authInfo / req.auth)
+ * @param {Object} [authInfo]
+ * @returns {string}
+ */
+function tenantForAuth(authInfo) {
+  if (!config.tenancy?.enabled || !authInfo?.tenant) return DEFAULT_TENANT;
+  return normalizeTenant(authInfo.tenant);
+}
+
+/**
+ * Refuse a feature that cannot be scoped to a tenant (raw SQL) to tenant callers
+ * @param {string} feature - Named in the error
+ * @throws {Error} When isolation is on and the current tenant is not 'default'
+ */
+function assertDefaultTenant(feature) {
+  if (config.tenancy?.enabled && currentTenant() !== DEFAULT_TENANT) {
+    throw new Error(`${feature} is not available to tenant callers`);
+  }
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  normalizeTenant,
+  currentTenant,
+  runAsTenant,
+  enterTenant,
+  tenantForJwt,
+  tenantForApiKey,
+  tenantForAuth,
+  assertDefaultTenant
+};
@@ -0,0 +1,120 @@
+/**
+ * Text Chunker
+ *
+ * Splits index documents into passages for chunk-level retrieval. Windows are
+ * measured in whitespace-delimited tokens, overlap by a configurable number of
+ * tokens, and prefer to end on a sentence boundary. In heading-aware mode the
+ * text is first cut into sections at Markdown headings: a window never spans
+ * two sections, while consecutive short sections are packed into one passage.
+ *
+ * Each passage records character offsets into the original text, so callers
+ * can store the full document once and point back into it.
+ *
+ * @module textChunker
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const HEADING_RE = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/;
+const FENCE_RE = /^(```|~~~)/;
+const SENTENCE_END_RE = /[.!?:;]["')\]]*$/;
+
+/**
+ * Cut text into sections at Markdown headings (outside fenced code)
+ * @param {string} text
+ * @returns {Array<{start: number, end: number, headings: Array<string>}>}
+ */
+function splitSections(text) {
+  const sections = [];
+  const stack = [];
+  let start = 0;
+  let trail = [];
+  let inFence = false;
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (FENCE_RE.test(trimmed)) inFence = !inFence;
+    const m = !inFence && HEADING_RE.exec(trimmed);
+    if (m) {
+      if (offset > start) sections.push({ start, end: offset, headings: trail });
+      const level = m[1].length;
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, text: m[2] });
+      trail = stack.map(h => h.text);
+      start = offset;
+    }
+    offset += line.length + 1;
+  }
+  if (text.length > start) sections.push({ start, end: text.length, headings: trail });
+  return sections;
+}
+
+function tokensIn(text, start, end) {
+  const re = /\S+/g;
+  re.lastIndex = start;
+  const tokens = [];
+  let m;
+  while ((m = re.exec(text)) && m.index < end) tokens.push({ start: m.index, end: Math.min(m.index + m[0].length, end) });
+  return tokens;
+}
+
+/**
+ * Split text into overlapping, heading-aware passages
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens=256] - Tokens (whitespace-delimited words) per passage
+ * @param {number} [options.overlapTokens=48] - Tokens repeated at the start of the next window
+ * @param {boolean} [options.headingAware=true] - Break passages at Markdown headings
+ * @returns {Array<{index: number, text: string, start: number, end: number, heading: string|null, tokens: number}>}
+ */
+function chunkText(text, { maxTokens = 256, overlapTokens = 48, headingAware = true } = {}) {
+  text = String(text || '');
+  const max = Math.max(16, maxTokens);
+  const overlap = Math.max(0, Math.min(overlapTokens, Math.floor(max / 2)));
+  const sections = (headingAware ? splitSections(text) : [{ start: 0, end: text.length, headings: [] }])
+    .map(s => ({ ...s, tokens: tokensIn(text, s.start, s.end) }))
+    .filter(s => s.tokens.length);
+
+  const chunks = [];
+  const emit = (tokens, headings) => {
+    const start = tokens[0].start;
+    const end = tokens[tokens.length - 1].end;
+    chunks.push({ index: chunks.length, text: text.slice(start, end), start, end, heading: headings.length ? headings.join(' > ') : null, tokens: tokens.length });
+  };
+
+  let packed = null;
+  for (const section of sections) {
+    if (packed && packed.tokens.length + section.tokens.length <= max) {
+      packed.tokens.push(...section.tokens);
+      continue;
+    }
+    if (packed) emit(packed.tokens, packed.headings);
+    packed = null;
+    if (section.tokens.length <= max) {
+      packed = { tokens: [...section.tokens], headings: section.headings };
+      continue;
+    }
+    // Long section: sliding windows that end on a sentence where one is near the limit
+    const toks = section.tokens;
+    let from = 0;
+    while (from < toks.length) {
+      let to = Math.min(from + max, toks.length);
+      if (to < toks.length) {
+        for (let i = to - 1; i >= from + Math.floor(max * 0.75); i--) {
+          if (SENTENCE_END_RE.test(text.slice(toks[i].start, toks[i].end))) { to = i + 1; break; }
+        }
+      }
+      emit(toks.slice(from, to), section.headings);
+      if (to >= toks.length) break;
+      from = Math.max(from + 1, to - overlap);
+    }
+  }
+  if (packed) emit(packed.tokens, packed.headings);
+  return chunks;
+}
+
+module.exports = {
+  splitSections,
+  chunkText
+};
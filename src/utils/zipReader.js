@@ -0,0 +1,90 @@
+/**
+ * Zip Reader
+ *
+ * Dependency-free reader for zip archives (stored and deflate entries), used
+ * for .docx files and .zip corpora. Entries are listed from the central
+ * directory and inflated on demand, with a size cap so a small archive cannot
+ * expand into gigabytes. ZIP64 and encrypted entries are not supported.
+ *
+ * @module zipReader
+ * @version 1.9.0
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+function findEndOfCentralDirectory(buf) {
+  // The record is 22 bytes plus a comment of up to 64 KiB
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  return -1;
+}
+
+/**
+ * Whether a buffer starts like a zip archive
+ * @param {Buffer} buf
+ * @returns {boolean}
+ */
+function isZip(buf) {
+  return Buffer.isBuffer(buf) && buf.length >= 22 && buf.readUInt32LE(0) === LOCAL_SIG;
+}
+
+/**
+ * List the entries of a zip archive
+ * @param {Buffer} buf - Archive contents
+ * @param {Object} [options]
+ * @param {number} [options.maxEntryBytes=50000000] - Largest entry read() will inflate
+ * @returns {Array<{name: string, size: number, directory: boolean, read: function(): Buffer}>}
+ * @throws {Error} When the buffer is not a readable zip archive
+ */
+function readZip(buf, { maxEntryBytes = 50 * 1024 * 1024 } = {}) {
+  const eocd = findEndOfCentralDirectory(buf);
+  if (eocd < 0) throw new Error('Not a zip archive (no end of central directory)');
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff || count === 0xffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buf.length || buf.readUInt32LE(offset) !== CENTRAL_SIG) throw new Error('Corrupt zip central directory');
+    const flags = buf.readUInt16LE(offset + 8);
+    const method = buf.readUInt16LE(offset + 10);
+    const packedSize = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const nameLen = buf.readUInt16LE(offset + 28);
+    const extraLen = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLen);
+    offset += 46 + nameLen + extraLen + commentLen;
+
+    entries.push({
+      name,
+      size,
+      directory: name.endsWith('/'),
+      read() {
+        if (flags & 0x1) throw new Error(`Encrypted zip entry: ${name}`);
+        if (size > maxEntryBytes) throw new Error(`Zip entry too large: ${name} (${size} bytes)`);
+        if (buf.readUInt32LE(localOffset) !== LOCAL_SIG) throw new Error(`Corrupt zip entry: ${name}`);
+        const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        const packed = buf.subarray(start, start + packedSize);
+        if (method === 0) return Buffer.from(packed);
+        if (method === 8) return zlib.inflateRawSync(packed, { maxOutputLength: maxEntryBytes });
+        throw new Error(`Unsupported zip compression method ${method}: ${name}`);
+      }
+    });
+  }
+  return entries;
+}
+
+module.exports = {
+  isZip,
+  readZip
+};
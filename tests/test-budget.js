@@ -0,0 +1,89 @@
+// test-budget.js
+// ResearchBudget thresholds and per-client clamping. No network or database:
+// pricing comes from config.pricing.fallback and the client store is in memory.
+process.env.FALLBACK_PRICE_PROMPT = '0.000001';
+process.env.FALLBACK_PRICE_COMPLETION = '0.000002';
+process.env.CLIENT_BUDGETS = JSON.stringify({ 'ci-bot': { usd: 0.01 } });
+
+const { ResearchBudget, createResearchBudget, assertClientHasBudget } = require('../src/utils/budget');
+const modelCatalog = require('../src/utils/modelCatalog');
+
+// Keep the catalog offline
+modelCatalog.getCatalog = async () => [];
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+function memoryUsageStore(initial = {}) {
+  const rows = { ...initial };
+  return {
+    async getClientUsage(clientId) {
+      return { clientId, period: '2025-01', usd: rows[clientId]?.usd || 0, tokens: rows[clientId]?.tokens || 0 };
+    }
+  };
+}
+
+async function testBudget() {
+  console.log('\n=== Testing research budgets ===\n');
+
+  const unlimited = new ResearchBudget({});
+  unlimited.record('openai/gpt-5-mini', { prompt_tokens: 1e6, completion_tokens: 1e6 });
+  assert(!unlimited.enabled && !unlimited.isExhausted() && unlimited.canStartResearchCall(), 'no limits never degrades');
+
+  const b = new ResearchBudget({ maxTokens: 1000 });
+  b.record('openai/gpt-5-mini', { prompt_tokens: 400, completion_tokens: 100 });
+  assert(b.shouldDegrade() && !b.shouldSkipRefinement(), 'degrades at 50%');
+  b.record('openai/gpt-5-mini', { prompt_tokens: 150, completion_tokens: 0 });
+  assert(b.shouldSkipRefinement() && b.canStartResearchCall(), 'skips refinement at 60%, still below reserve');
+  b.record('openai/gpt-5-mini', { prompt_tokens: 200, completion_tokens: 0 });
+  assert(!b.canStartResearchCall(), 'synthesis reserve blocks new research calls');
+  assert(b.wouldExceed('openai/gpt-5-mini', 200, 100), 'wouldExceed counts prompt and completion tokens');
+  assert(!b.wouldExceed('openai/gpt-5-mini', 50, 50), 'room left for a small synthesis');
+
+  const usd = new ResearchBudget({ maxUsd: 0.001 });
+  const charged = usd.record('unknown/model', { prompt_tokens: 500, completion_tokens: 250 });
+  assert(Math.abs(charged - 0.001) < 1e-9, 'fallback pricing applied to unknown models');
+  assert(usd.isExhausted(), 'USD limit exhausts');
+  assert(usd.record('fake/planner', { prompt_tokens: 1e6, completion_tokens: 1e6 }) === 0, 'free providers are not billed');
+
+  const store = memoryUsageStore({ 'ci-bot': { usd: 0.008 } });
+  const clamped = await createResearchBudget(store, { maxUsd: 1 }, { requestId: 't', clientId: 'ci-bot' });
+  assert(Math.abs(clamped.maxUsd - 0.002) < 1e-9, 'job budget clamped to client remaining');
+
+  // A running job holds its limit until it settles
+  let reserved = null;
+  try {
+    await createResearchBudget(store, { maxUsd: 1 }, { requestId: 't2', clientId: 'ci-bot' });
+  } catch (e) {
+    reserved = e;
+  }
+  assert(reserved && reserved.code === 'BUDGET_EXCEEDED', 'concurrent job rejected while the remainder is reserved');
+  clamped.settle();
+  clamped.settle();
+  const small = await createResearchBudget(store, { maxUsd: 0.0005 }, { requestId: 't3', clientId: 'ci-bot' });
+  const rest = await createResearchBudget(store, null, { requestId: 't4', clientId: 'ci-bot' });
+  assert(Math.abs(small.maxUsd - 0.0005) < 1e-9 && Math.abs(rest.maxUsd - 0.0015) < 1e-9, 'concurrent jobs split the remainder');
+  small.settle();
+  rest.settle();
+  const again = await createResearchBudget(store, null, { requestId: 't5', clientId: 'ci-bot' });
+  assert(Math.abs(again.maxUsd - 0.002) < 1e-9, 'settled jobs release their reservation');
+  again.settle();
+
+  let err = null;
+  try {
+    await assertClientHasBudget(memoryUsageStore({ 'ci-bot': { usd: 0.02 } }), 'ci-bot');
+  } catch (e) {
+    err = e;
+  }
+  assert(err && err.code === 'BUDGET_EXCEEDED', 'exhausted client is rejected');
+
+  console.log('\n=== Budget Test Completed Successfully ===\n');
+}
+
+testBudget().catch(err => {
+  console.error('\n=== Budget Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
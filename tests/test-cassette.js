@@ -0,0 +1,84 @@
+// test-cassette.js
+// Record/replay round trip for model and web calls. Runs fully offline:
+// records against the fake provider, then replays with the provider pointed
+// at OpenRouter (no key) to prove nothing goes over the wire.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+process.env.CASSETTE_DIR = dir;
+process.env.LLM_DEFAULT_PROVIDER = 'fake';
+process.env.OPENROUTER_API_KEY = '';
+
+const config = require('../config');
+const openRouterClient = require('../src/utils/openRouterClient');
+const RobustWebScraper = require('../src/utils/robustWebScraper');
+
+const messages = [
+  { role: 'system', content: 'You are a research agent.' },
+  { role: 'user', content: 'Explain what PGLite is in one sentence' }
+];
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function collect(gen) {
+  const chunks = [];
+  for await (const c of gen) chunks.push(c);
+  return chunks;
+}
+
+async function testCassettes() {
+  console.log('\n=== Testing cassette record/replay ===\n');
+
+  // --- Record ---
+  config.cassette.mode = 'record';
+  const recorded = await openRouterClient.chatCompletion('openai/gpt-5-mini', messages, { temperature: 0.1 });
+  const recordedStream = await collect(openRouterClient.streamChatCompletion('openai/gpt-5-mini', messages));
+
+  const scraper = new RobustWebScraper();
+  scraper._searchWebLive = async (q) => [{ title: `Result for ${q}`, url: 'https://example.com/a', snippet: 's' }];
+  scraper._fetchUrlLive = async (url) => ({ url, content: 'page body', title: 'A', contentLength: 9, success: true });
+  const recordedSearch = await scraper.searchWeb('pglite', 3);
+  const recordedFetch = await scraper.fetchUrl('https://example.com/a');
+
+  const files = fs.readdirSync(dir);
+  assert(files.length === 4, `4 cassette files written (${files.join(', ')})`);
+
+  // --- Replay (live paths disabled) ---
+  config.cassette.mode = 'replay';
+  config.providers.default = 'openrouter';
+  scraper._searchWebLive = async () => { throw new Error('live search during replay'); };
+  scraper._fetchUrlLive = async () => { throw new Error('live fetch during replay'); };
+
+  const replayed = await openRouterClient.chatCompletion('openai/gpt-5-mini', messages, { temperature: 0.1 });
+  assert(JSON.stringify(replayed) === JSON.stringify(recorded), 'chatCompletion replays identical response');
+
+  const replayedStream = await collect(openRouterClient.streamChatCompletion('openai/gpt-5-mini', messages));
+  assert(JSON.stringify(replayedStream) === JSON.stringify(recordedStream), 'streamChatCompletion replays identical chunks');
+
+  assert(JSON.stringify(await scraper.searchWeb('pglite', 3)) === JSON.stringify(recordedSearch), 'searchWeb replays');
+  assert(JSON.stringify(await scraper.fetchUrl('https://example.com/a')) === JSON.stringify(recordedFetch), 'fetchUrl replays');
+
+  // --- Miss ---
+  let missError = null;
+  try {
+    await openRouterClient.chatCompletion('openai/gpt-5-mini', [{ role: 'user', content: 'never recorded' }]);
+  } catch (e) {
+    missError = e;
+  }
+  assert(missError && missError.name === 'NotFoundError', 'unrecorded request fails in replay mode');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('\n=== Cassette Test Completed Successfully ===\n');
+}
+
+testCassettes().catch(err => {
+  console.error('\n=== Cassette Test Failed ===\n');
+  console.error(err.stack || err.message);
+  fs.rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
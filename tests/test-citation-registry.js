@@ -0,0 +1,89 @@
+// test-citation-registry.js
+// Structured report sources: registry, [n] linking, validation status and BibTeX/CSL-JSON export.
+const citationRegistry = require('../src/utils/citationRegistry');
+const { buildReportDocument } = require('../src/utils/reportRenderer');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+const researchResults = [
+  {
+    agentId: 1, model: 'openai/gpt-5-mini', query: 'PGLite storage', retrievedAt: '2026-10-01T10:00:00Z',
+    sources: [{ title: 'PGLite', url: 'https://pglite.dev/?utm_source=x' }, { title: 'pgvector', url: 'https://github.com/pgvector/pgvector' }],
+    result: 'Runs in WASM [Source: ElectricSQL blog — https://electric-sql.com/blog/pglite]'
+  },
+  { agentId: 2, model: 'qwen/qwen3-235b', query: 'PGLite vectors', result: 'See https://github.com/pgvector/pgvector.' },
+  { agentId: 3, model: 'x/broken', query: 'failed', result: 'https://ignored.example', error: true }
+];
+
+const draft = `# PGLite
+
+PGLite is Postgres in WASM [3] and supports [pgvector](https://github.com/pgvector/pgvector).
+New claim [Source: Release notes — https://pglite.dev/releases]. Code stays as is: \`rows[1]\`.
+
+\`\`\`
+see https://not-a-citation.example [2]
+\`\`\`
+
+## Sources
+1. ElectricSQL blog - https://electric-sql.com/blog/pglite
+`;
+
+function testCitationRegistry() {
+  console.log('\n=== Testing citation registry ===\n');
+
+  const registry = citationRegistry.collectSources(researchResults, []);
+  assert(registry.map(s => s.url).join(' ') === 'https://pglite.dev https://github.com/pgvector/pgvector https://electric-sql.com/blog/pglite', 'registry de-duplicates URLs and skips failed agents');
+  const pgvector = registry[1];
+  assert(pgvector.producedBy.map(p => p.subQueryId).join(',') === '1,2' && pgvector.retrievedAt === '2026-10-01T10:00:00Z', 'sources record every producing sub-query and retrieval time');
+
+  const linked = citationRegistry.linkReport(draft, registry, { model: 'synth/model' });
+  const body = linked.content.split('\n## Sources')[0];
+  assert(body.includes('Postgres in WASM [1]') && body.includes('pgvector [2]') && body.includes('New claim [3].'), 'citations renumbered by first appearance');
+  assert(body.includes('`rows[1]`') && body.includes('https://not-a-citation.example [2]'), 'code is left untouched');
+  assert(!/https?:\/\//.test(body.replace(/```[\s\S]*?```/, '')), 'no inline URLs remain in prose');
+  assert((linked.content.match(/## Sources/g) || []).length === 1 && linked.content.includes('- [3] Release notes — https://pglite.dev/releases'), 'sources section regenerated from the registry');
+
+  const release = linked.sources.find(s => s.url === 'https://pglite.dev/releases');
+  assert(release.origin === 'synthesis' && release.producedBy[0].model === 'synth/model', 'new synthesis URLs are added to the registry');
+  const uncited = linked.sources.find(s => s.url === 'https://pglite.dev');
+  assert(!uncited.cited && uncited.id === 4, 'uncited sources are kept after the cited ones');
+  assert(registry.every(s => !s.cited), 'input registry is not modified');
+
+  const again = citationRegistry.linkReport(linked.content, linked.sources, { model: 'synth/model' });
+  assert(again.content === linked.content && JSON.stringify(again.sources) === JSON.stringify(linked.sources), 'linking is idempotent');
+
+  citationRegistry.applyValidation(linked.sources, [
+    { url: 'https://pglite.dev/releases/', valid: false, status: 404, reason: 'not found' },
+    { url: 'https://github.com/pgvector/pgvector', valid: true, status: 'trusted', reason: 'trusted domain' }
+  ]);
+  assert(release.status === 'dead' && linked.sources[1].status === 'trusted', 'validation results recorded per source');
+
+  const cited = linked.sources.filter(s => s.cited);
+  const bib = citationRegistry.toBibTeX(cited, { reportId: 42, createdAt: '2026-10-02T00:00:00Z' });
+  assert((bib.match(/@misc\{report42_\d+,/g) || []).length === 3, 'one BibTeX entry per cited source');
+  assert(bib.includes('urldate = {2026-10-01}') && bib.includes('link dead'), 'BibTeX carries access date and link status');
+
+  const csl = citationRegistry.toCslJson(cited, { reportId: 42, createdAt: '2026-10-02T00:00:00Z' });
+  assert(csl[2].type === 'webpage' && csl[2].URL === 'https://pglite.dev/releases' && csl[2].accessed['date-parts'][0].join('-') === '2026-10-2', 'CSL-JSON items are webpages with accessed dates');
+
+  const stored = { id: 42, original_query: 'PGLite', final_report: linked.content, sources: linked.sources };
+  assert(citationRegistry.sourcesForReport(stored).derived === false, 'stored sources returned as-is');
+  const legacy = citationRegistry.sourcesForReport({ final_report: draft });
+  assert(legacy.derived && legacy.sources.some(s => s.url === 'https://pglite.dev/releases'), 'older reports get sources parsed from their text');
+
+  const doc = buildReportDocument(stored);
+  assert(doc.citations.map(c => c.url).join(' ') === cited.map(s => s.url).join(' '), 'rendered references follow the stored numbering');
+
+  console.log('\n=== Citation Registry Test Completed Successfully ===\n');
+}
+
+try {
+  testCitationRegistry();
+} catch (err) {
+  console.error('\n=== Citation Registry Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+}
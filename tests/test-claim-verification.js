@@ -0,0 +1,93 @@
+// test-claim-verification.js
+// Cited claims are checked against the pages they cite. Runs offline: the fake
+// provider judges entailment and a stub fetcher stands in for RobustWebScraper.
+process.env.LLM_DEFAULT_PROVIDER = 'fake';
+process.env.CASSETTE_MODE = 'off';
+
+const claimVerificationAgent = require('../src/agents/claimVerificationAgent');
+const factCheckAgent = require('../src/agents/factCheckAgent');
+const citationRegistry = require('../src/utils/citationRegistry');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+const report = `# PGLite
+
+PGLite stores embeddings with the pgvector extension inside the browser [1].
+PGLite replicates writes to a hosted cluster every few seconds [2].
+Benchmarks show inserts complete quickly on laptops [Source: Blog — https://blog.example/bench].
+Uncited sentences like this one are never checked by the verifier.
+
+\`\`\`
+code with a link https://code.example/ignored [1]
+\`\`\`
+
+## Sources
+- [1] pgvector in PGLite — https://pglite.dev/extensions
+- [2] Unrelated page — https://pglite.dev/about
+`;
+
+const pages = {
+  'https://pglite.dev/extensions': 'The pgvector extension is available in PGLite, so embeddings can be stored and queried inside the browser.',
+  'https://pglite.dev/about': 'PGLite is maintained by ElectricSQL. This page describes the team and the license.'
+};
+
+async function testClaimVerification() {
+  console.log('\n=== Testing claim verification ===\n');
+
+  const claims = claimVerificationAgent.extractCitedClaims(report);
+  assert(claims.length === 3, 'only cited sentences outside code and sources are extracted');
+  assert(claims[0].urls[0].url === 'https://pglite.dev/extensions' && claims[0].urls[0].n === 1, '[n] markers resolve through the Sources section');
+  assert(!/\[1\]/.test(claims[0].text) && claims[2].urls[0].url === 'https://blog.example/bench', 'markers stripped from claim text, inline sources kept');
+
+  const long = `${'filler text about other things. '.repeat(400)}The answer is 42 percent faster.${' more filler.'.repeat(400)}`;
+  const passage = claimVerificationAgent.selectPassage(long, 'It is 42 percent faster', 1200);
+  assert(passage.length <= 1300 && passage.includes('42 percent faster'), 'passage selection finds the relevant part of a long page');
+
+  assert(claimVerificationAgent.parseVerdict('Sure: {"verdict":"Contradicted","evidence":" says\nno ","reason":"x"}').verdict === 'contradicted', 'JSON verdict parsed');
+  assert(claimVerificationAgent.parseVerdict('I think this is unsupported.').verdict === 'unsupported', 'free-text verdict parsed');
+
+  const fetched = [];
+  const usage = [];
+  const fetchPage = async (url) => {
+    fetched.push(url);
+    return pages[url] ? { success: true, content: pages[url] } : { success: false, error: 'HTTP 404' };
+  };
+  const result = await claimVerificationAgent.verifyClaims(report, {
+    model: 'fake/judge',
+    fetchPage,
+    onUsage: (model, u) => usage.push(model)
+  });
+  const byText = Object.fromEntries(result.claims.map(c => [c.text.slice(0, 20), c.status]));
+  assert(byText['PGLite stores embedd'] === 'supported', 'claim backed by its page is supported');
+  assert(byText['PGLite replicates wr'] === 'unsupported', 'real but irrelevant citation is unsupported');
+  assert(byText['Benchmarks show inse'] === 'unreachable', 'unfetchable page is not judged');
+  assert(result.checked === 2 && usage.length === 2 && usage[0] === 'fake/judge', 'judge calls reported for cost tracking');
+
+  const section = claimVerificationAgent.formatVerificationSection(result);
+  assert(section.startsWith('## Claim Verification') && section.includes('**Unsupported**') && section.includes('[2]'), 'report section lists a verdict per claim');
+  assert(claimVerificationAgent.extractCitedClaims(`${report}\n${section}`).length === 3, 'verification section is not re-verified');
+
+  const sources = [{ id: 1, url: 'https://pglite.dev/extensions' }, { id: 2, url: 'https://pglite.dev/about' }];
+  citationRegistry.applyClaimVerification(sources, result);
+  assert(sources[0].claims.supported === 1 && sources[1].claims.unsupported === 1, 'verdicts counted per source');
+
+  const capped = await claimVerificationAgent.verifyClaims(report, { model: 'fake/judge', fetchPage, maxSources: 1 });
+  assert(capped.unreachable === 2, 'page fetches are capped per report');
+
+  const withVerification = factCheckAgent.calculateAccuracyScore({ claims: [{ status: 'UNVERIFIED' }], citationQuality: { score: 1 }, claimVerification: { checked: 2, supported: 0, contradicted: 1 } });
+  const without = factCheckAgent.calculateAccuracyScore({ claims: [{ status: 'UNVERIFIED' }], citationQuality: { score: 1 } });
+  assert(withVerification.score < without.score && withVerification.breakdown.claimSupport === 0, 'unsupported claims lower the accuracy score');
+  const warnings = factCheckAgent.generateWarnings({ claimVerification: { checked: 2, supported: 0, unsupported: 1, contradicted: 1 } });
+  assert(warnings.some(w => /contradicted by the source/.test(w)) && warnings.some(w => /not supported/.test(w)), 'warnings mention unsupported and contradicted claims');
+
+  console.log('\n=== Claim Verification Test Completed Successfully ===\n');
+}
+
+testClaimVerification().catch(err => {
+  console.error('\n=== Claim Verification Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
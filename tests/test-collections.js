@@ -0,0 +1,142 @@
+// test-collections.js
+// Collections partition the knowledge base: similar-report lookup, the semantic cache, hybrid
+// search, facets and history listings stay inside one collection, and callers bound to a
+// collection (API key or client binding) cannot name another; cached research answers
+// are not shared between collections either. A local HTTP server plays an
+// OpenAI-compatible /embeddings endpoint so report similarity runs on real vectors.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collections-'));
+
+// Bag-of-words hashing: texts sharing words get similar vectors
+function hashEmbedding(text, dims = 16) {
+  const v = new Array(dims).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let h = 0;
+    for (const ch of word) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    v[h % dims] += 1;
+  }
+  const norm = Math.sqrt(v.reduce((n, x) => n + x * x, 0)) || 1;
+  return v.map(x => x / norm);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    const { model, input } = JSON.parse(body);
+    // No keep-alive: a pooled socket the server closes while PGLite starts up would fail the next embedding
+    res.writeHead(200, { 'Content-Type': 'application/json', Connection: 'close' });
+    res.end(JSON.stringify({ model, data: input.map((text, index) => ({ index, embedding: hashEmbedding(text) })) }));
+  });
+});
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function rejects(promise, pattern, msg) {
+  await Promise.resolve().then(() => promise).then(
+    () => assert(false, msg),
+    err => assert(pattern.test(err.message), msg)
+  );
+}
+
+async function testCollections() {
+  console.log('\n=== Testing collections ===\n');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    PGLITE_DATA_DIR: dataDir,
+    REPORT_OUTPUT_PATH: path.join(dataDir, 'reports'),
+    INDEXER_ENABLED: 'true',
+    INDEXER_EMBED_DOCS: 'true',
+    INDEXER_AUTO_INDEX_REPORTS: 'false',
+    EMBEDDINGS_PROVIDER: 'openai',
+    EMBEDDINGS_MODEL: 'hash-16',
+    EMBEDDINGS_DIMENSIONS: '16',
+    EMBEDDINGS_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    COLLECTION_API_KEYS: JSON.stringify({ 'acme-secret': 'Acme' }),
+    COLLECTION_BINDINGS: JSON.stringify({ 'ci-bot': 'globex' }),
+    // Research runs stay offline: no web grounding search, no fetching cited pages
+    WEB_GROUNDING_ENABLED: 'false',
+    CLAIM_VERIFICATION_ENABLED: 'false',
+    LLM_DEFAULT_PROVIDER: 'fake',
+    CASSETTE_MODE: 'off'
+  });
+
+  const collections = require('../src/utils/collections');
+  const dbClient = require('../src/utils/dbClient');
+  const advancedCache = require('../src/utils/advancedCache');
+  const tools = require('../src/server/tools');
+  await dbClient.waitForInit();
+  await dbClient.waitForEmbedder();
+
+  // Resolution rules
+  const acmeKey = { token: 'acme-secret', clientId: collections.apiKeyClientId('acme-secret'), collection: collections.collectionForApiKey('acme-secret') };
+  assert(collections.resolveCollection(undefined) === 'default' && collections.resolveCollection(' Acme ') === 'acme', 'unnamed requests use the default; names are normalized');
+  assert(acmeKey.collection === 'acme' && collections.collectionForApiKey('other') === null, 'API keys map to their collection');
+  assert(collections.resolveCollection(null, acmeKey) === 'acme' && collections.resolveCollection('ACME', acmeKey) === 'acme', 'bound callers work in their collection');
+  assert(collections.resolveCollection(null, { clientId: 'ci-bot' }) === 'globex', 'client ids bound through COLLECTION_BINDINGS');
+  assert(/bound to collection 'acme' and cannot use 'globex'/.test((() => { try { collections.resolveCollection('globex', acmeKey); return ''; } catch (e) { return e.message; } })()), 'bound callers cannot name another collection');
+  assert(/Invalid collection name/.test((() => { try { collections.normalizeCollection('../etc'); return ''; } catch (e) { return e.message; } })()), 'invalid names rejected');
+
+  // Reports: similarity lookup and history stay in their collection
+  const acme = Number(await dbClient.saveResearchReport({ originalQuery: 'How do ocean tides work?', parameters: {}, finalReport: 'Acme: tides follow the moon.', collection: 'acme' }));
+  const globex = Number(await dbClient.saveResearchReport({ originalQuery: 'How do ocean tides work?', parameters: {}, finalReport: 'Globex: tides follow the moon.', collection: 'globex' }));
+  const legacy = Number(await dbClient.saveResearchReport({ originalQuery: 'How do ocean tides work?', parameters: {}, finalReport: 'Unscoped report.' }));
+  assert((await dbClient.getReportById(legacy)).collection === 'default', 'reports without a collection land in default');
+  const [embedded] = await dbClient.executeQuery('SELECT COUNT(*) AS n FROM reports WHERE query_embedding IS NOT NULL;');
+  assert(Number(embedded.n) === 3, 'reports saved with their query embeddings');
+
+  const similarIds = async collection => (await dbClient.findReportsBySimilarity('How do ocean tides work?', 10, 0.5, { collection })).map(r => Number(r.id)).sort((a, b) => a - b).join(',');
+  assert(await similarIds('acme') === String(acme), 'similar reports come from the requested collection only');
+  assert(await similarIds(null) === [acme, globex, legacy].sort((a, b) => a - b).join(','), 'unscoped lookups see every collection');
+  const recent = await dbClient.listRecentReports(10, null, { collection: 'globex' });
+  assert(recent.length === 1 && Number(recent[0].id) === globex && recent[0].collection === 'globex', 'history listing scoped to the collection');
+  const history = await tools.listResearchHistory({ limit: 10 }, { authInfo: acmeKey });
+  assert(history.includes('Acme') || history.includes(String(acme)), 'history tool lists the bound collection');
+  assert(!history.includes(`ID: ${globex}`), 'history tool hides other collections');
+
+  // Semantic cache matches only within the collection
+  const hit = await advancedCache.findSimilarResult('How do ocean tides work?', { collection: 'globex' });
+  assert(hit && hit.reportId === String(globex), 'semantic cache hit comes from the same collection');
+  assert(await advancedCache.findSimilarResult('How do ocean tides work?', { collection: 'initech' }) === null, 'no cache hit from another collection');
+
+  // Index and search through the tools, with a bound caller
+  await tools.index_texts({ sourceType: 'doc', documents: [{ id: 'doc:acme-tides', title: 'Acme tides', content: 'Spring tides flood the Acme harbor.', tags: ['tides'] }] }, { authInfo: acmeKey });
+  await tools.index_texts({ sourceType: 'doc', collection: 'globex', documents: [{ id: 'doc:globex-tides', title: 'Globex tides', content: 'Neap tides are weak at the Globex pier.', tags: ['tides'] }] });
+  const [row] = await dbClient.executeQuery(`SELECT collection FROM index_documents WHERE source_id = 'doc:acme-tides';`);
+  assert(row.collection === 'acme', 'indexed documents stored in the caller collection');
+  await rejects(tools.index_texts({ collection: 'globex', documents: [{ content: 'x' }] }, { authInfo: acmeKey }), /cannot use 'globex'/, 'bound caller cannot index into another collection');
+
+  const ids = rows => rows.map(r => (r.type === 'report' ? `report:${r.id}` : r.source_id)).sort().join(',');
+  assert(ids(await dbClient.searchHybrid('tides', 10, { collection: 'acme' })) === `doc:acme-tides,report:${acme}`, 'hybrid search scoped to the collection');
+  assert(ids(await dbClient.searchHybrid('tides', 10)) === ['doc:acme-tides', 'doc:globex-tides', ...[acme, globex, legacy].map(id => `report:${id}`)].sort().join(','), 'unscoped search sees every collection');
+  const viaTool = JSON.parse(await tools.search_index({ query: 'tides', limit: 10, facets: ['tags'] }, { authInfo: { clientId: 'ci-bot' } }));
+  assert(ids(viaTool.results) === `doc:globex-tides,report:${globex}` && viaTool.facets.tags.find(f => f.value === 'tides').count === 1, 'search_index results and facets scoped for a bound client');
+  const plain = JSON.parse(await tools.searchTool({ q: 'tides', k: 10 }));
+  assert(ids(plain) === `report:${legacy}`, 'requests without a collection search the default collection');
+
+  // The exact-match research cache is per collection too
+  const research = collection => tools.conductResearch({ query: 'Which tide tables does the harbor master publish?', collection }, null, `req-${collection}`);
+  const first = await research('acme');
+  const other = await research('globex');
+  assert(/Report ID: \d+/.test(first) && /Report ID: \d+/.test(other) && other !== first, 'same query in another collection researched anew');
+  assert(!/Report ID:/.test(await research('acme')), 'repeat in the same collection served from the cache');
+
+  console.log('\n=== Collections Test Completed Successfully ===\n');
+}
+
+const cleanup = () => { server.close(); fs.rmSync(dataDir, { recursive: true, force: true }); };
+testCollections()
+  .then(() => { cleanup(); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Collections Test Failed ===\n');
+    console.error(err.stack || err.message);
+    cleanup();
+    process.exit(1);
+  });
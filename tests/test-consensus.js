@@ -0,0 +1,147 @@
+// test-consensus.js
+// Consensus stage: claims are scored across the ensemble outputs of each sub-query under the
+// majority, weighted, unanimous and arbitrated strategies, with model weights from config,
+// and the final report gets agreement per section. Runs offline on the fake provider, with
+// a throwaway PGLite database for the research cache checks.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'consensus-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  REPORT_OUTPUT_PATH: path.join(dataDir, 'reports'),
+  INDEXER_ENABLED: 'false',
+  CLAIM_VERIFICATION_ENABLED: 'false',
+  WEB_GROUNDING_ENABLED: 'false',
+  LLM_DEFAULT_PROVIDER: 'fake',
+  CASSETTE_MODE: 'off',
+  CONSENSUS_MODEL_WEIGHTS: 'test/strong=1,test/weak=0.2'
+});
+
+const openRouterClient = require('../src/utils/openRouterClient');
+const consensusAgent = require('../src/agents/consensusAgent');
+const { Signal, modelWeight } = require('../src/core/signal');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+const result = (agentId, model, text) => ({ agentId, model, query: `q${agentId}`, result: text, error: false });
+const results = [
+  result(1, 'test/strong', 'PGLite runs Postgres compiled to WebAssembly inside Node and browsers. PGLite supports the pgvector extension for embeddings [1]. The first stable release shipped in 2024 with persistence to IndexedDB.'),
+  result(1, 'test/weak', 'PGLite runs a WebAssembly build of Postgres in browsers and in Node. PGLite does not support the pgvector extension for embeddings. The first stable release shipped in 2023 with persistence to IndexedDB.'),
+  result(1, 'test/other', 'PGLite runs Postgres compiled to WebAssembly in Node and in browsers. Writes happen through one single connection at a time only.'),
+  result(1, 'judge/model', 'An adjudicated answer is not a member of the ensemble and is never scored.'),
+  result(2, 'test/strong', 'Only one model answered this sub-query, so nothing here can be compared.')
+];
+results[3].adjudicated = true;
+
+const find = (consensus, re) => consensus.claims.find(c => re.test(c.text));
+
+async function testConsensus() {
+  console.log('\n=== Testing consensus ===\n');
+
+  // Options and weights
+  assert(consensusAgent.resolveOptions() === null && consensusAgent.resolveOptions('none') === null, 'consensus off by default');
+  assert(modelWeight('test/weak') === 0.2 && Signal.response('x', 'test/strong').weight === 1 && modelWeight('unknown/model') === 0.5, 'configured weights extend ModelWeights and reach Signal');
+  const custom = consensusAgent.resolveOptions({ strategy: 'weighted', weights: { 'test/weak': 0.9, default: 0.1 }, minAgreement: 0.7 });
+  assert(custom.weights['test/weak'] === 0.9 && custom.weights['test/strong'] === 1 && custom.minAgreement === 0.7, 'request weights apply over the configured ones');
+  let threw = false;
+  try { consensusAgent.resolveOptions('loudest'); } catch (e) { threw = /Unknown consensus strategy/.test(e.message); }
+  assert(threw, 'unknown strategies rejected');
+
+  // Claim extraction
+  const claims = consensusAgent.splitClaims('## Heading\n- PGLite supports pgvector for embeddings [2] https://x.dev\nShort one.\n```\ncode is not a claim at all, ever\n```');
+  assert(claims.length === 1 && !/\[2\]|https/.test(claims[0].text), 'claims are sentences without markup, citations or code');
+
+  // Strategies
+  const weighted = await consensusAgent.scoreClaims(results, consensusAgent.resolveOptions('weighted'));
+  const runtime = find(weighted, /runs Postgres/);
+  const vector = find(weighted, /pgvector/);
+  assert(runtime.level === 'strong' && runtime.supportedBy.length === 3 && runtime.agreement === 1, 'a claim every model makes is strong');
+  assert(vector.level === 'disputed' && vector.opposedBy.join() === 'test/weak' && vector.agreement === 0.588, 'opposite polarity disputes a claim; agreement is the weight share');
+  assert(find(weighted, /first stable release/).opposedBy.join() === 'test/weak', 'different figures for the same claim dispute it');
+  assert(find(weighted, /single connection/).level === 'weak', 'a claim only one model makes is weak');
+  assert(!weighted.claims.some(c => /adjudicated|Only one model/.test(c.text)), 'adjudicated answers and single-model sub-queries are not scored');
+  assert(weighted.models.find(m => m.model === 'test/weak').weight === 0.2, 'weights reported per model');
+
+  const majority = await consensusAgent.scoreClaims(results, consensusAgent.resolveOptions('majority'));
+  assert(find(majority, /pgvector/).agreement === 0.333, 'majority counts models, not weight');
+  const trusting = await consensusAgent.scoreClaims(results, consensusAgent.resolveOptions({ strategy: 'weighted', weights: { 'test/other': 0.1, 'test/weak': 0.1 } }));
+  assert(find(trusting, /single connection/).agreement < find(weighted, /single connection/).agreement, 'lower weights lower agreement');
+
+  const twoModels = results.filter(r => r.model !== 'test/other');
+  const unanimous = await consensusAgent.scoreClaims(twoModels, consensusAgent.resolveOptions({ strategy: 'unanimous', minAgreement: 0.3 }));
+  const loose = await consensusAgent.scoreClaims(twoModels, consensusAgent.resolveOptions({ strategy: 'weighted', minAgreement: 0.3 }));
+  assert(find(loose, /pgvector/).agreed && !find(unanimous, /pgvector/).agreed, 'unanimous needs every model');
+
+  // Arbitration: scripted verdicts, then the fake provider
+  const original = openRouterClient.chatCompletion;
+  const usage = [];
+  let prompt = '';
+  openRouterClient.chatCompletion = async (model, messages) => {
+    prompt = messages[1].content;
+    return { choices: [{ message: { content: '[{"claim": 1, "verdict": "refuted"}, {"claim": 2, "verdict": "supported"}, {"claim": 9, "verdict": "supported"}]' } }], usage: { prompt_tokens: 80, completion_tokens: 20 } };
+  };
+  let arbitrated;
+  try {
+    arbitrated = await consensusAgent.scoreClaims(results, consensusAgent.resolveOptions('arbitrated'), { onUsage: m => usage.push(m) });
+  } finally {
+    openRouterClient.chatCompletion = original;
+  }
+  assert(usage.length === 1 && arbitrated.arbitrated === 2 && /contradicted by test\/weak/.test(prompt), 'arbiter sees contested claims with the opposing statement');
+  assert(arbitrated.claims.filter(c => c.verdict).length === 2 && arbitrated.claims.some(c => c.verdict === 'supported' && c.agreed && c.level !== 'disputed'), 'arbiter verdicts settle claims');
+  const fake = await consensusAgent.scoreClaims(results, consensusAgent.resolveOptions('arbitrated'));
+  assert(fake.arbitrated === 3 && fake.counts.disputed === 0, 'fake arbiter supports every claim');
+  const skipped = await consensusAgent.scoreClaims(results, consensusAgent.resolveOptions('arbitrated'), { shouldStop: () => true });
+  assert(skipped.arbitrated === 0 && skipped.counts.disputed === 2, 'budget stop skips the arbiter');
+  assert(consensusAgent.parseArbiterVerdicts('no json', 3).size === 0, 'unparseable verdicts ignored');
+
+  // Report annotation
+  const report = '# PGLite\n\n## Runtime\nPGLite runs Postgres compiled to WebAssembly in browsers and Node.\n\n## Extensions\nPGLite supports the pgvector extension for embeddings [1].\n\n## Outlook\nNobody compared anything about this particular paragraph.\n\n## Sources\n1. PGLite runs Postgres compiled to WebAssembly - https://pglite.dev\n';
+  const { report: annotated, sections } = consensusAgent.annotateReport(report, weighted);
+  assert(sections.map(s => s.heading).join() === 'Runtime,Extensions,Outlook' && sections[2].claims === 0, 'sections matched to claims; sources section skipped');
+  assert(annotated.includes('## Runtime\n\n> **Model agreement:** 100% (strong) across 1 claim.\n\nPGLite runs') && annotated.includes('(disputed) across 1 claim; 1 disputed.'), 'each matched section gets its agreement line');
+  assert(!/## Outlook\n\n>/.test(annotated), 'sections without scored claims are not annotated');
+  const section = consensusAgent.formatConsensusSection(weighted, sections);
+  assert(/^## Model Consensus/.test(section) && section.includes('| Extensions | 59% (disputed) | 1 | 1 |') && section.includes('test/strong vs test/weak'), 'consensus section tabulates sections and lists disputed claims');
+  const prompt2 = consensusAgent.formatForPrompt(weighted);
+  assert(prompt2.startsWith('MODEL CONSENSUS (weighted)') && prompt2.includes('pgvector') && !prompt2.includes('runs Postgres'), 'synthesis is told only about disputed claims');
+
+  // Metadata and checkpoints
+  const summary = consensusAgent.summarize(weighted, sections);
+  assert(summary.sections.length === 2 && summary.disputed.length === 2 && !('words' in summary.disputed[0]), 'metadata summary is compact');
+  const restored = consensusAgent.fromCheckpoint(JSON.parse(JSON.stringify(consensusAgent.toCheckpoint(weighted))));
+  assert(consensusAgent.annotateReport(report, restored).report === annotated, 'scored claims survive a job checkpoint');
+
+  // Research cache: a cached report is only reused under the same consensus settings
+  const tools = require('../src/server/tools');
+  const research = (consensus, id) => tools.conductResearch({ query: 'Does PGLite support pgvector?', consensus }, null, id);
+  assert(/Report ID: \d+/.test(await research(undefined, 'req-1')), 'run without consensus researched');
+  assert(/Report ID: \d+/.test(await research('unanimous', 'req-2')), 'consensus run not served the cached plain report');
+  assert(/Report ID: \d+/.test(await research('weighted', 'req-3')), 'another strategy researched anew');
+  const weightedRun = await research({ strategy: 'weighted', weights: { 'test/weak': 0.9 }, minAgreement: 0.7 }, 'req-4');
+  assert(/Report ID: \d+/.test(weightedRun), 'other weights researched anew');
+  assert(!/Report ID:/.test(await research('unanimous', 'req-5')), 'repeat with the same settings served from the cache');
+
+  // Refreshing a consensus report scores claims again under the same settings
+  const dbClient = require('../src/utils/dbClient');
+  const refreshed = await tools.refreshReport({ reportId: /Report ID: (\d+)/.exec(weightedRun)[1], async: false }, null, 'req-6');
+  const version2 = await dbClient.getReportById(/Report ID: (\d+)/.exec(refreshed)[1]);
+  const stored = version2.parameters.consensus;
+  assert(version2.version === 2 && stored.strategy === 'weighted' && stored.minAgreement === 0.7 && stored.weights['test/weak'] === 0.9, 'refresh keeps the consensus strategy, threshold and weights');
+  assert(version2.research_metadata?.consensus, 'refresh scored consensus again');
+
+  console.log('\n=== Consensus Test Completed Successfully ===\n');
+}
+
+testConsensus()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Consensus Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,164 @@
+// test-corpus-ingest.js
+// Ingesting local folders and archives of PDF, DOCX, HTML, Markdown and text files (index_path).
+// Runs offline: a stub dbClient stands in for index_documents.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-')));
+process.env.INDEXER_PATH_ROOTS = root;
+
+const { renderReport } = require('../src/utils/reportRenderer');
+const { zip } = require('../src/utils/reportDocx');
+const { extractDocument, detectFormat } = require('../src/utils/documentExtractor');
+const { parseToUnicode } = require('../src/utils/pdfText');
+const corpusIngest = require('../src/utils/corpusIngest');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+// In-memory stand-in for dbClient's index document API
+const docs = new Map();
+const stubDb = {
+  async indexDocument(doc) { docs.set(doc.sourceId, doc); return docs.size; },
+  async getIndexedSource(prefix) {
+    const hit = [...docs.values()].filter(d => d.sourceId.startsWith(prefix));
+    return hit.length ? { sha256: hit[0].metadata.sha256, chunks: hit.length } : null;
+  },
+  async removeIndexedDocuments(prefix) {
+    let n = 0;
+    for (const id of [...docs.keys()]) if (id.startsWith(prefix)) { docs.delete(id); n++; }
+    return n;
+  }
+};
+
+const report = {
+  id: 7,
+  original_query: 'Solar storage',
+  created_at: '2026-10-01T10:00:00Z',
+  final_report: `# Grid Storage Handbook
+
+## Batteries
+Lithium iron phosphate cells dominate stationary storage because they tolerate deep cycling.
+
+## Pumped Hydro
+Pumped hydro still provides most of the world's storage capacity by energy.
+`
+};
+
+function writeCorpus() {
+  fs.mkdirSync(path.join(root, 'notes', 'deep'), { recursive: true });
+  fs.mkdirSync(path.join(root, '.git'));
+  fs.writeFileSync(path.join(root, '.git', 'HEAD.md'), '# ignored');
+  fs.writeFileSync(path.join(root, 'notes', 'intro.md'), `---
+title: Field Notes
+---
+# Overview
+
+Flywheels store energy as rotation.
+
+## Thermal
+
+Molten salt tanks hold heat for hours.
+
+\`\`\`
+tank_temp = 565
+
+not a heading
+\`\`\`
+`);
+  fs.writeFileSync(path.join(root, 'notes', 'deep', 'page.html'), `<html><head><title>Hydrogen</title><script>var x = 1;</script></head>
+<body><nav>Home | About</nav><h1>Hydrogen storage</h1><p>Salt caverns can store hydrogen at scale.</p>
+<ul><li>Compressed gas</li><li>Liquid hydrogen</li></ul>
+<table><tr><th>Method</th><th>Density</th></tr><tr><td>Gas</td><td>Low</td></tr></table></body></html>`);
+  fs.writeFileSync(path.join(root, 'notes', 'plain.txt'), 'First page text.\n\fSecond page text.');
+  fs.writeFileSync(path.join(root, 'notes', 'image.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  fs.writeFileSync(path.join(root, 'handbook.pdf'), renderReport(report, 'pdf').body);
+  fs.writeFileSync(path.join(root, 'handbook.docx'), renderReport(report, 'docx').body);
+  fs.writeFileSync(path.join(root, 'bundle.zip'), zip([
+    ['readme.md', '# Bundle\n\nArchived notes about compressed air storage.'],
+    ['../escape.txt', 'Member names stay inside the archive.']
+  ]));
+}
+
+async function testCorpusIngest() {
+  console.log('\n=== Testing corpus ingestion ===\n');
+  writeCorpus();
+
+  assert(detectFormat('A.PDF') === 'pdf' && detectFormat('x.markdown') === 'markdown' && detectFormat('x.png') === null, 'formats detected from extensions');
+
+  const pdf = extractDocument(fs.readFileSync(path.join(root, 'handbook.pdf')), { name: 'handbook.pdf' });
+  const pdfHeadings = pdf.blocks.filter(b => b.type === 'heading').map(b => b.text);
+  assert(pdf.title === 'Grid Storage Handbook' && pdf.pageCount >= 1, 'pdf title and page count read from the file');
+  assert(pdfHeadings.includes('Batteries') && pdfHeadings.includes('Pumped Hydro'), 'larger pdf font sizes become headings');
+  assert(pdf.blocks.some(b => b.type === 'text' && b.text.includes('tolerate deep cycling') && b.page >= 1), 'pdf body text keeps its page number');
+
+  const docx = extractDocument(fs.readFileSync(path.join(root, 'handbook.docx')), { name: 'handbook.docx' });
+  assert(docx.blocks.some(b => b.type === 'heading' && b.text === 'Batteries' && b.level >= 1), 'docx heading styles become headings');
+
+  const md = extractDocument(fs.readFileSync(path.join(root, 'notes', 'intro.md')), { name: 'intro.md' });
+  assert(md.title === 'Field Notes', 'front matter title used for markdown');
+  assert(md.blocks.some(b => b.type === 'text' && b.text.includes('not a heading') && b.text.includes('tank_temp')), 'fenced code stays in one block');
+
+  const html = extractDocument(fs.readFileSync(path.join(root, 'notes', 'deep', 'page.html')), { name: 'page.html' });
+  const htmlText = html.blocks.map(b => b.text).join('\n');
+  assert(html.title === 'Hydrogen' && !htmlText.includes('var x') && !htmlText.includes('About'), 'html scripts and navigation dropped');
+  assert(htmlText.includes('Gas | Low'), 'html table rows kept as text');
+
+  const cmap = parseToUnicode('1 begincodespacerange <0000> <FFFF> endcodespacerange\n2 beginbfchar <0003> <0020> <0024> <0041> endbfchar\n1 beginbfrange <0025> <0026> <0042> endbfrange');
+  assert(cmap.map.get(0x24) === 'A' && cmap.map.get(0x26) === 'C' && cmap.codeBytes === 2, 'ToUnicode maps parsed for embedded fonts');
+
+  const chunks = corpusIngest.chunkBlocks([
+    { type: 'heading', level: 1, text: 'Guide', page: 1 },
+    { type: 'text', text: 'A'.repeat(300), page: 1 },
+    { type: 'heading', level: 2, text: 'Setup', page: 2 },
+    { type: 'text', text: 'Sentence one. '.repeat(40), page: 2 },
+    { type: 'text', text: 'More setup.', page: 3 }
+  ], { chunkChars: 400 });
+  assert(chunks[0].headings.join('>') === 'Guide' && chunks[1].headings.join('>') === 'Guide>Setup', 'chunks break at headings and carry the heading trail');
+  assert(chunks.every(c => c.text.length <= 400) && chunks[chunks.length - 1].pageEnd === 3 && chunks[1].pageStart === 2, 'long sections split with page ranges');
+
+  // Ingest the whole folder
+  const summary = await corpusIngest.ingestPath(root, { dbClient: stubDb });
+  assert(summary.indexed === 7 && summary.errors.length === 0, 'every supported file and archive member indexed');
+  assert(summary.skippedFiles.some(s => s.path.endsWith('image.png') && s.reason === 'unsupported type'), 'unsupported files reported as skipped');
+  assert(![...docs.values()].some(d => d.metadata.path.includes('.git')), 'dot directories are not walked');
+
+  const pdfChunk = [...docs.values()].find(d => d.metadata.format === 'pdf' && d.content.includes('deep cycling'));
+  assert(pdfChunk.sourceType === 'doc' && pdfChunk.sourceId === `file:${path.join(root, 'handbook.pdf')}#${pdfChunk.metadata.chunk}`, 'chunks addressed by file path and chunk number');
+  assert(pdfChunk.metadata.pageStart === 1 && pdfChunk.metadata.pageEnd === 3 && pdfChunk.metadata.headings[0] === 'Grid Storage Handbook', 'chunk metadata records pages and headings');
+  assert(pdfChunk.content.includes('### Batteries') && !pdfChunk.content.includes('....'), 'short sections share a chunk with inline headings; running footers and dot leaders dropped');
+  const txt = [...docs.values()].filter(d => d.metadata.relativePath === path.join('notes', 'plain.txt'));
+  assert(txt.length === 1 && txt[0].metadata.pageStart === 1 && txt[0].metadata.pageEnd === 2, 'form feeds count as page breaks in text files');
+  const member = [...docs.values()].find(d => d.metadata.archive);
+  assert(member.metadata.path.startsWith(path.join(root, 'bundle.zip') + '!/') && !fs.existsSync(path.join(os.tmpdir(), 'escape.txt')), 'archive members read in memory, never extracted');
+
+  // Re-running skips unchanged files and replaces changed ones
+  const before = docs.size;
+  const again = await corpusIngest.ingestPath(root, { dbClient: stubDb });
+  assert(again.unchanged === 7 && again.indexed === 0 && docs.size === before, 'unchanged files skipped on re-run');
+  fs.writeFileSync(path.join(root, 'notes', 'plain.txt'), 'Rewritten.');
+  const changed = await corpusIngest.ingestPath(path.join(root, 'notes'), { dbClient: stubDb, extensions: ['txt'] });
+  assert(changed.indexed === 1 && [...docs.values()].find(d => d.metadata.path === path.join(root, 'notes', 'plain.txt')).content === 'Rewritten.', 'changed files re-indexed');
+  assert(changed.skipped === 3, 'extension filter limits the file types');
+
+  // Only paths under INDEXER_PATH_ROOTS may be read
+  await corpusIngest.ingestPath('/etc', { dbClient: stubDb }).then(
+    () => assert(false, 'paths outside the roots are rejected'),
+    err => assert(/outside the allowed roots/.test(err.message), 'paths outside the roots are rejected')
+  );
+  fs.symlinkSync('/etc', path.join(root, 'link'));
+  assert(/outside the allowed roots/.test((() => { try { corpusIngest.resolveAllowedPath(path.join(root, 'link')); return ''; } catch (e) { return e.message; } })()), 'symlinks out of the roots are rejected');
+
+  console.log('\n=== Corpus Ingest Test Completed Successfully ===\n');
+}
+
+testCorpusIngest()
+  .catch(err => {
+    console.error('\n=== Corpus Ingest Test Failed ===\n');
+    console.error(err.stack || err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(root, { recursive: true, force: true }));
@@ -0,0 +1,49 @@
+// test-cost-ledger.js
+// Per-call pricing, per-report breakdown and Prometheus counters. Offline:
+// pricing comes from config.pricing.fallback and persistence is in memory.
+process.env.FALLBACK_PRICE_PROMPT = '0.000001';
+process.env.FALLBACK_PRICE_COMPLETION = '0.000002';
+
+const { CostLedger, getCounters, toPrometheus } = require('../src/utils/costLedger');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function testCostLedger() {
+  console.log('\n=== Testing cost ledger ===\n');
+
+  const ledger = new CostLedger({ requestId: 'req-1', clientId: 'ci-bot', query: 'what is pglite' });
+  ledger.record('planning', 'openai/gpt-5-mini', { prompt_tokens: 1000, completion_tokens: 500 });
+  ledger.record('research', 'x-ai/grok-4', { prompt_tokens: 2000, completion_tokens: 1000 });
+  ledger.record('research', 'x-ai/grok-4', { prompt_tokens: 2000, completion_tokens: 1000 });
+  ledger.record('synthesis', 'fake/synth', { prompt_tokens: 5000, completion_tokens: 5000 });
+  ledger.record('research', 'x-ai/grok-4', null);
+
+  const summary = ledger.summary();
+  assert(summary.calls === 4, 'calls without usage are ignored');
+  assert(summary.totalUsd === 0.01, `total priced from fallback (${summary.totalUsd})`);
+  assert(summary.byModel['x-ai/grok-4'].calls === 2 && summary.byModel['x-ai/grok-4'].usd === 0.008, 'per-model breakdown');
+  assert(summary.byStage.synthesis.usd === 0 && summary.byStage.synthesis.total_tokens === 10000, 'free provider costs nothing but tokens are kept');
+
+  const rows = [];
+  await ledger.persist({ recordCostEvents: async (events) => { rows.push(...events); return events.length; } }, 7);
+  assert(rows.length === 4 && rows.every(r => r.reportId === 7 && r.clientId === 'ci-bot' && r.requestId === 'req-1'), 'persisted with report, client and request');
+  const failed = await ledger.persist({ recordCostEvents: async () => { throw new Error('db down'); } }, null);
+  assert(failed === 0, 'persist failures do not throw');
+
+  const counter = getCounters().find(c => c.model === 'x-ai/grok-4' && c.stage === 'research');
+  assert(counter && counter.calls === 2 && counter.usd === 0.008, 'process counters by model and stage');
+  const prom = toPrometheus().join('\n');
+  assert(prom.includes('research_cost_usd_total{model="x-ai/grok-4",stage="research"} 0.008'), 'prometheus cost counter');
+  assert(prom.includes('research_llm_tokens_total{model="openai/gpt-5-mini",stage="planning",type="prompt"} 1000'), 'prometheus token counter');
+
+  console.log('\n=== Cost Ledger Test Completed Successfully ===\n');
+}
+
+testCostLedger().catch(err => {
+  console.error('\n=== Cost Ledger Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
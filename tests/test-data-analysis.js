@@ -0,0 +1,168 @@
+// test-data-analysis.js
+// Structured data analysis: CSV/JSON inputs load into typed tables, the model's SQL runs
+// read-only, and only findings whose numbers appear in the cited results reach synthesis.
+// Runs offline: a scripted model answers "which region grew fastest", a runaway query is
+// cut off by the worker time limit, then the fake provider drives the loop on its own.
+process.env.LLM_DEFAULT_PROVIDER = 'fake';
+process.env.CASSETTE_MODE = 'off';
+
+const { PGlite } = require('@electric-sql/pglite');
+const openRouterClient = require('../src/utils/openRouterClient');
+const dataAnalysisAgent = require('../src/agents/dataAnalysisAgent');
+const { openAnalysisDatabase } = require('../src/utils/analysisDatabase');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function rejects(promise, pattern, msg) {
+  await Promise.resolve().then(() => promise).then(
+    () => assert(false, msg),
+    err => assert(pattern.test(err.message), msg)
+  );
+}
+
+// 40 rows: the question cannot be answered from a 3-row sample
+const regions = { North: [100, 4], South: [80, 9], East: [120, 2], West: [90, 6] };
+const csvRows = ['Region,Quarter,Revenue ($k),Launched'];
+for (const [region, [base, step]] of Object.entries(regions)) {
+  for (let q = 0; q < 10; q++) csvRows.push(`${region},${2020 + Math.floor(q / 4)}-${String((q % 4) * 3 + 1).padStart(2, '0')}-01,${base + q * step},${q % 2 === 0}`);
+}
+const sales = { name: 'sales.csv', type: 'csv', content: csvRows.join('\n') };
+const notes = { name: 'notes.csv', type: 'csv', content: 'comment,set,order,update\nslow,a,1,2024-01-01\nfast,b,2,2024-02-01' };
+const targets = { name: 'plan', type: 'json', content: JSON.stringify({ owner: 'ops', targets: [{ region: 'South', goal: 150.5 }, { region: 'North', goal: null }] }) };
+
+const growthSql = `SELECT region, MAX(revenue_k) - MIN(revenue_k) AS growth FROM sales GROUP BY region ORDER BY growth DESC LIMIT 1`;
+const script = [
+  JSON.stringify({ action: 'query', purpose: 'Broken attempt', sql: 'SELECT nope FROM sales' }),
+  JSON.stringify({ action: 'query', purpose: 'Sneaky write', sql: 'DELETE FROM sales' }),
+  `Here you go: ${JSON.stringify({ action: 'query', purpose: 'Revenue growth by region', sql: growthSql })}`,
+  JSON.stringify({ action: 'finish', findings: [
+    { statement: 'South grew fastest, adding $81k of quarterly revenue between its first and last quarter.', queries: [3] },
+    { statement: 'South grew 95% over the period.', queries: [3] },
+    { statement: 'South is the largest region.', queries: [] }
+  ] })
+];
+
+async function testDataAnalysis() {
+  console.log('\n=== Testing structured data analysis ===\n');
+
+  // Loading and type inference
+  const db = await PGlite.create();
+  const tables = await dataAnalysisAgent.loadTables(db, [sales, targets]);
+  const salesTable = tables.find(t => t.name === 'sales');
+  const types = Object.fromEntries(salesTable.columns.map(c => [c.name, c.type]));
+  assert(salesTable.loadedRows === 40, 'every CSV row loaded');
+  assert(types.region === 'TEXT' && types.quarter === 'DATE' && types.revenue_k === 'BIGINT' && types.launched === 'BOOLEAN', 'column types inferred and names made SQL-safe');
+  assert(salesTable.columns.find(c => c.name === 'revenue_k').from === 'Revenue ($k)', 'original column names kept');
+  const planTable = tables.find(t => t.name === 'plan_targets');
+  assert(planTable && planTable.columns.find(c => c.name === 'goal').type === 'DOUBLE PRECISION', 'JSON arrays of objects become tables');
+
+  const sum = await dataAnalysisAgent.runQuery(db, 'SELECT SUM(revenue_k) AS total, AVG(revenue_k) AS mean, COUNT(*) FILTER (WHERE goal IS NULL) AS n FROM sales CROSS JOIN plan_targets;');
+  assert(sum.rows[0][0] === 9690 && sum.rows[0][1] === 121.125 && sum.rows[0][2] === 40, 'aggregates return plain numbers');
+  const many = await dataAnalysisAgent.runQuery(db, 'SELECT * FROM sales', { maxRows: 5 });
+  assert(many.rows.length === 5 && many.truncated, 'results capped with a truncation flag');
+
+  // Read-only sandbox
+  await rejects(dataAnalysisAgent.runQuery(db, 'DROP TABLE sales'), /Only SELECT/, 'DDL refused');
+  await rejects(dataAnalysisAgent.runQuery(db, 'SELECT 1; DELETE FROM sales'), /one statement/, 'stacked statements refused');
+  await rejects(dataAnalysisAgent.runQuery(db, 'SELECT * INTO copy FROM sales'), /'into' is not allowed/, 'SELECT INTO refused');
+  await rejects(dataAnalysisAgent.runQuery(db, 'WITH d AS (DELETE FROM sales RETURNING *) SELECT * FROM d'), /'delete' is not allowed/, 'writes inside CTEs refused');
+  await rejects(dataAnalysisAgent.runQuery(db, 'SELECT lo_create(0)'), /read-only/i, 'READ ONLY transaction stops side effects the keyword check misses');
+  assert((await dataAnalysisAgent.runQuery(db, "SELECT 'drop table; --' AS label")).rows[0][0] === 'drop table; --', 'keywords inside string literals allowed');
+  await rejects(dataAnalysisAgent.runQuery(db, 'SELECT PG_SLEEP_FOR(\'1 minute\')'), /pg_sleep/, 'sleeping refused');
+
+  // Column names that are SQL keywords
+  const [notesTable] = await dataAnalysisAgent.loadTables(db, [notes]);
+  assert(notesTable.columns.map(c => c.name).join() === 'comment,set,order_,update_', 'reserved words renamed, other keywords kept');
+  const named = await dataAnalysisAgent.runQuery(db, 'SELECT comment, set, order_, update_ FROM notes ORDER BY order_');
+  assert(named.rows.length === 2 && named.rows[0][0] === 'slow', 'keyword-named columns usable unquoted');
+  await db.close();
+
+  // Worker database: a runaway query is stopped at the time limit without blocking this thread
+  const worker = await openAnalysisDatabase();
+  await dataAnalysisAgent.loadTables(worker, [sales]);
+  assert((await dataAnalysisAgent.runQuery(worker, 'SELECT COUNT(*) FROM sales', { timeoutMs: 5000 })).rows[0][0] === 40, 'queries run in the worker');
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 20);
+  const started = Date.now();
+  const crossJoin = 'SELECT COUNT(*) FROM sales a, sales b, sales c, sales d, sales e, sales f';
+  await rejects(dataAnalysisAgent.runQuery(worker, crossJoin, { timeoutMs: 500 }), /time limit/, 'slow query cut off at the time limit');
+  clearInterval(ticker);
+  assert(Date.now() - started < 3000 && ticks >= 10 && worker.terminated, 'event loop kept running and the worker was terminated');
+  await rejects(worker.query('SELECT 1'), /closed/, 'a stopped database refuses further queries');
+
+  // Verification of stated numbers
+  const queries = new Map([[1, { sql: 'SELECT 1', rows: [['South', 81, 0.953]] }]]);
+  const verify = statement => dataAnalysisAgent.verifyFinding({ statement, queries: [1] }, queries, 'question');
+  assert(verify('South added 81 units, up 95.3%.') && verify('Growth was 0.95.') && verify('About 81k more.'), 'numbers match results with rounding, percents and scale words');
+  assert(!verify('South added 82 units.') && !dataAnalysisAgent.verifyFinding({ statement: 'South added 81 units.', queries: [2] }, queries, 'q'), 'unsupported numbers and unknown queries rejected');
+
+  // Scripted loop
+  const original = openRouterClient.chatCompletion;
+  const usage = [];
+  const seen = [];
+  let turn = 0;
+  openRouterClient.chatCompletion = async (model, messages) => {
+    seen.push(messages[messages.length - 1].content);
+    return { choices: [{ message: { content: script[turn++] } }], usage: { prompt_tokens: 100, completion_tokens: 20 } };
+  };
+  let analysis;
+  try {
+    analysis = await dataAnalysisAgent.analyzeStructuredData('Which region grew fastest?', [sales], {
+      model: 'test/analyst',
+      onUsage: (model, u) => usage.push(model)
+    });
+  } finally {
+    openRouterClient.chatCompletion = original;
+  }
+  assert(/TABLE sales — from "sales.csv", 40 rows/.test(seen[0]) && /revenue_k BIGINT \(from "Revenue \(\$k\)"\)/.test(seen[0]), 'model sees the schema with original names');
+  assert(/ERROR IN QUERY 1: .*nope/.test(seen[1]) && /ERROR IN QUERY 2: Only SELECT/.test(seen[2]), 'query errors fed back to the model');
+  assert(/RESULT OF QUERY 3[\s\S]*\| South \| 81 \|/.test(seen[3]), 'results fed back as a table');
+  assert(analysis.finished && analysis.steps === 4 && usage.length === 4 && usage.every(m => m === 'test/analyst'), 'loop finishes and reports usage per turn');
+  assert(analysis.findings.length === 1 && /South grew fastest/.test(analysis.findings[0].statement), 'finding backed by the result kept');
+  assert(analysis.rejected.length === 2, 'findings with unsupported numbers or no queries dropped');
+
+  const prompt = dataAnalysisAgent.formatForPrompt(analysis);
+  assert(prompt.startsWith('COMPUTED RESULTS') && prompt.includes('[Q3]') && prompt.includes(growthSql) && !prompt.includes('nope'), 'synthesis gets findings with cited SQL only');
+  const section = dataAnalysisAgent.formatAnalysisSection(analysis);
+  assert(/^## Data Analysis/.test(section) && section.includes('```sql\n' + growthSql) && section.includes('| South | 81 |'), 'report section shows the query and its result');
+  assert(!dataAnalysisAgent.summarize(analysis).queries.some(q => q.rows && Array.isArray(q.rows)), 'metadata summary omits result rows');
+
+  // A runaway query in the loop: the tables are reloaded and the next query still works
+  const slowScript = [
+    JSON.stringify({ action: 'query', purpose: 'Too slow', sql: crossJoin }),
+    JSON.stringify({ action: 'query', purpose: 'Row count', sql: 'SELECT COUNT(*) AS n FROM sales' }),
+    JSON.stringify({ action: 'finish', findings: [{ statement: 'There are 40 rows.', queries: [2] }] })
+  ];
+  const slowSeen = [];
+  openRouterClient.chatCompletion = async (model, messages) => {
+    slowSeen.push(messages[messages.length - 1].content);
+    return { choices: [{ message: { content: slowScript[slowSeen.length - 1] } }] };
+  };
+  let recovered;
+  try {
+    recovered = await dataAnalysisAgent.analyzeStructuredData('How many rows?', [sales], { model: 'test/analyst', queryTimeoutMs: 500 });
+  } finally {
+    openRouterClient.chatCompletion = original;
+  }
+  assert(/ERROR IN QUERY 1: .*time limit/.test(slowSeen[1]) && /RESULT OF QUERY 2[\s\S]*\| 40 \|/.test(slowSeen[2]), 'stopped query reported; tables reloaded for the next one');
+  assert(recovered.findings.length === 1 && recovered.queries[0].error, 'analysis finishes after a stopped query');
+
+  // Fake provider drives a complete run; the last turn is forced to finish
+  const offline = await dataAnalysisAgent.analyzeStructuredData('How many rows?', [sales], { model: 'fake/analyst', maxSteps: 3 });
+  assert(offline.finished && offline.findings.length === 1 && offline.findings[0].statement.includes('40'), 'fake provider computes and reports the row count');
+  const stopped = await dataAnalysisAgent.analyzeStructuredData('How many rows?', [sales], { model: 'fake/analyst', shouldStop: () => true });
+  assert(stopped.steps === 0 && stopped.tables.length === 1 && dataAnalysisAgent.formatForPrompt(stopped) === '', 'budget stop skips the model calls');
+
+  console.log('\n=== Data Analysis Test Completed Successfully ===\n');
+}
+
+testDataAnalysis()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('\n=== Data Analysis Test Failed ===\n');
+    console.error(err.stack || err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,161 @@
+// test-debate.js
+// Debate mode: contested sub-queries get rebuttal rounds between the ensemble models and an
+// adjudicated answer with a confidence score; uncontested ones are left alone. Runs offline
+// on the fake provider, with scripted replies for the failure paths, and a throwaway PGLite
+// database for the research cache checks.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'debate-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  REPORT_OUTPUT_PATH: path.join(dataDir, 'reports'),
+  INDEXER_ENABLED: 'false',
+  CLAIM_VERIFICATION_ENABLED: 'false',
+  WEB_GROUNDING_ENABLED: 'false',
+  LLM_DEFAULT_PROVIDER: 'fake',
+  CASSETTE_MODE: 'off'
+});
+
+const openRouterClient = require('../src/utils/openRouterClient');
+const debateAgent = require('../src/agents/debateAgent');
+const researchAgent = require('../src/agents/researchAgent');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+const result = (model, text, extra = {}) => ({ agentId: 3, model, query: 'Can PGLite handle concurrent writers?', result: text, error: false, ...extra });
+const contested = [
+  result('model/a', 'PGLite supports concurrent writers from multiple processes. It runs in Node.'),
+  result('model/b', 'PGLite does not support concurrent writers from multiple processes. Use one connection.')
+];
+
+async function withScript(replies, fn) {
+  const original = openRouterClient.chatCompletion;
+  const calls = [];
+  openRouterClient.chatCompletion = async (model, messages) => {
+    calls.push({ model, system: messages[0].content });
+    const reply = replies.length ? replies.shift() : '';
+    if (reply instanceof Error) throw reply;
+    return { choices: [{ message: { content: reply } }], usage: { prompt_tokens: 50, completion_tokens: 10 } };
+  };
+  try {
+    return { value: await fn(), calls };
+  } finally {
+    openRouterClient.chatCompletion = original;
+  }
+}
+
+async function testDebate() {
+  console.log('\n=== Testing debate mode ===\n');
+
+  // Parsing
+  const points = debateAgent.contestedPoints(contested.map(r => ({ model: r.model, answer: r.result })));
+  assert(points.length === 1 && points[0].models.join(',') === 'model/a,model/b', 'opposing claims found between the answers');
+  assert(debateAgent.parseRebuttal('REBUTTAL:\nNo.\nREVISED ANSWER:\nStill yes.').answer === 'Still yes.' && debateAgent.parseRebuttal('Just an answer').answer === 'Just an answer', 'rebuttal replies split, unmarked replies kept whole');
+  const verdict = debateAgent.parseVerdict('Verdict: {"points":[{"point":"writers","verdict":"model/b","reasoning":"single connection"}],"answer":"One writer at a time.","confidence":80}');
+  assert(verdict.confidence === 0.8 && verdict.points[0].verdict === 'model/b', 'verdict parsed, percent confidence scaled');
+  assert(debateAgent.parseVerdict('{"points":[]}') === null && debateAgent.parseVerdict('no json') === null, 'verdicts without an answer rejected');
+
+  // Nothing to debate
+  assert(await debateAgent.debateSubQuery('q', [contested[0], result('model/c', 'PGLite runs in the browser and in Node as well.')]) === null, 'agreeing answers are not debated');
+  assert(await debateAgent.debateSubQuery('q', [contested[0], { ...contested[1], error: true }]) === null, 'a single successful answer is not debated');
+
+  // Fake provider: members concede in round one, the adjudicator rules per point
+  const usage = [];
+  const debate = await debateAgent.debateSubQuery('Can PGLite handle concurrent writers?', contested, {
+    rounds: 3,
+    adjudicatorModel: 'fake/judge',
+    onUsage: (model) => usage.push(model)
+  });
+  assert(debate.converged && debate.rounds.length === 1, 'debate stops once no contradictions remain');
+  assert(debate.resolution.method === 'adjudicated' && debate.resolution.confidence === 0.7 && debate.resolution.points.length === 1, 'adjudicator resolves the contested point with a confidence');
+  assert(usage.join(',') === 'model/a,model/b,fake/judge', 'usage reported for every rebuttal and the adjudication');
+  const adjudicated = debateAgent.adjudicatedResult(debate, contested[0]);
+  assert(adjudicated.adjudicated && adjudicated.agentId === 3 && adjudicated.model === 'fake/judge' && /Adjudicated answer/.test(adjudicated.result), 'resolution joins the sub-query results');
+
+  // Scripted: positions never converge and the adjudicator reply is unusable
+  const stubborn = 'REBUTTAL:\nNo.\nREVISED ANSWER:\n';
+  const { value: noVerdict, calls } = await withScript([
+    stubborn + contested[0].result, stubborn + contested[1].result,
+    stubborn + contested[0].result, stubborn + contested[1].result,
+    'I cannot decide.'
+  ], () => debateAgent.debateSubQuery('q', contested, { rounds: 2, adjudicatorModel: 'test/judge' }));
+  assert(!noVerdict.converged && noVerdict.rounds.length === 2 && calls.length === 5, 'rounds stop at the limit when the models hold their positions');
+  assert(/structured debate/.test(calls[0].system) && /debate adjudicator/.test(calls[4].system), 'members rebut, then the adjudicator judges');
+  assert(noVerdict.resolution.method === 'weighted' && noVerdict.resolution.confidence === 0.5 && contested.some(r => r.result === noVerdict.resolution.answer), 'unparseable verdicts fall back to weighted consensus');
+
+  const { value: failing } = await withScript([new Error('rate limited'), stubborn + 'PGLite supports one writer at a time.', new Error('down')],
+    () => debateAgent.debateSubQuery('q', contested, { rounds: 1, adjudicatorModel: 'test/judge' }));
+  assert(failing.rounds.length === 1 && failing.resolution.method === 'weighted', 'failed rebuttals keep the old position and failed adjudication falls back');
+
+  const { value: stopped, calls: none } = await withScript([], () => debateAgent.debateSubQuery('q', contested, { shouldStop: () => true }));
+  assert(stopped.rounds.length === 0 && none.length === 0 && stopped.resolution.method === 'weighted', 'budget stop skips every call');
+
+  // Report section and metadata
+  const section = debateAgent.formatDebateSection([...contested, adjudicated]);
+  assert(/^## Debate Adjudication/.test(section) && section.includes('adjudicated by fake/judge') && section.includes('Confidence: 70%') && section.includes('— model/a'), 'report section lists verdicts and confidence');
+  const summary = debateAgent.summarize([...contested, adjudicated]);
+  assert(summary.length === 1 && summary[0].rounds === 1 && !('reasoning' in summary[0].points[0]), 'metadata summary is compact');
+  assert(debateAgent.formatDebateSection(contested) === '' && debateAgent.summarize(contested) === null, 'nothing reported without debates');
+
+  // researchAgent: debate mode appends the adjudicated result to the ensemble
+  const original = researchAgent._executeSingleResearch;
+  let n = 0;
+  researchAgent._executeSingleResearch = async (query, agentId, model) => ({ ...contested[n++ % 2], agentId, model, query });
+  const events = [];
+  try {
+    const onEvent = async (type, payload) => events.push(type);
+    const standard = await researchAgent.conductResearch('Can PGLite handle concurrent writers?', 5, 'low', 'intermediate', true, null, null, null, null, 'req-1', onEvent, { ensembleSize: 2 });
+    assert(standard.length === 2 && !standard.some(r => r.adjudicated), 'standard mode leaves contradictions to synthesis');
+    const debated = await researchAgent.conductResearch('Can PGLite handle concurrent writers?', 5, 'low', 'intermediate', true, null, null, null, null, 'req-2', onEvent, { mode: 'debate', ensembleSize: 2, debateRounds: 1 });
+    assert(debated.length === 3 && debated[2].adjudicated && debated[2].agentId === 5, 'debate mode adds the adjudicated answer');
+    assert(events.filter(e => e === 'debate_usage').length === 3 && events.includes('debate_resolved'), 'debate calls reported as debate_usage');
+  } finally {
+    researchAgent._executeSingleResearch = original;
+  }
+
+  // Research cache: debate and standard runs of a query never answer for each other
+  const tools = require('../src/server/tools');
+  const dbClient = require('../src/utils/dbClient');
+  const research = (params, id) => tools.conductResearch({ query: 'Can PGLite handle concurrent writers?', ...params }, null, id);
+  assert(/Report ID: \d+/.test(await research({}, 'req-3')), 'standard run researched');
+  const debateRun = await research({ mode: 'debate', debateRounds: 1 }, 'req-4');
+  assert(/Report ID: \d+/.test(debateRun), 'debate run not served the cached standard report');
+  assert(/Report ID: \d+/.test(await research({ mode: 'debate', debateRounds: 2 }, 'req-5')), 'other debate rounds researched anew');
+  assert(!/Report ID:/.test(await research({ mode: 'debate', debateRounds: 1 }, 'req-6')), 'repeat debate run served from the cache');
+
+  // Refreshing a debate report debates again, with the same rounds
+  const debateReportId = /Report ID: (\d+)/.exec(debateRun)[1];
+  // Ensemble members disagree, so every sub-query is debated
+  researchAgent._executeSingleResearch = async (query, agentId, model) => ({ ...contested[n++ % 2], agentId, model, query });
+  let refreshed;
+  try {
+    refreshed = await tools.refreshReport({ reportId: debateReportId, async: false }, null, 'req-7');
+  } finally {
+    researchAgent._executeSingleResearch = original;
+  }
+  const version2 = await dbClient.getReportById(/Report ID: (\d+)/.exec(refreshed)[1]);
+  assert(version2.version === 2 && version2.parameters.mode === 'debate' && version2.parameters.debateRounds === 1, 'refresh keeps debate mode and rounds');
+
+  // Debate calls count toward the report's usage totals
+  const reportUsage = version2.research_metadata.usage;
+  const tokens = u => Number(u.total_tokens || 0);
+  const stageTokens = [...reportUsage.planning, ...reportUsage.synthesis].reduce((n, u) => n + tokens(u), 0)
+    + ['agents', 'debate', 'consensus', 'analysis', 'verification'].reduce((n, stage) => n + reportUsage[stage].reduce((m, e) => m + tokens(e.usage), 0), 0);
+  assert(reportUsage.debate.length > 0 && reportUsage.totals.total_tokens === stageTokens, 'usage totals include debate rounds');
+
+  console.log('\n=== Debate Test Completed Successfully ===\n');
+}
+
+testDebate()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Debate Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
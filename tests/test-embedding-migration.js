@@ -0,0 +1,138 @@
+// test-embedding-migration.js
+// Pluggable embedders and dimension-aware vector migrations: a local HTTP server plays an
+// OpenAI-compatible /embeddings endpoint with two models of different sizes, and switching
+// between them re-embeds reports and index passages into new columns on a throwaway PGLite database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-migration-'));
+const MODELS = { 'hash-small': 8, 'hash-large': 12 };
+
+// Bag-of-words hashing: texts sharing words get similar vectors
+function hashEmbedding(text, dims) {
+  const v = new Array(dims).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let h = 0;
+    for (const ch of word) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    v[h % dims] += 1;
+  }
+  const norm = Math.sqrt(v.reduce((n, x) => n + x * x, 0)) || 1;
+  return v.map(x => x / norm);
+}
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    const { model, input } = JSON.parse(body);
+    requests.push({ url: req.url, model, count: input.length, auth: req.headers.authorization });
+    if (req.url !== '/v1/embeddings' || !MODELS[model]) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: `unknown model ${model}` } }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model, data: input.map((text, index) => ({ index, embedding: hashEmbedding(text, MODELS[model]) })) }));
+  });
+});
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function testEmbeddingMigration() {
+  console.log('\n=== Testing embedding backends and migrations ===\n');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    PGLITE_DATA_DIR: dataDir,
+    INDEXER_ENABLED: 'true',
+    INDEXER_EMBED_DOCS: 'true',
+    INDEXER_AUTO_INDEX_REPORTS: 'false',
+    EMBEDDINGS_PROVIDER: 'openai',
+    EMBEDDINGS_MODEL: 'hash-small',
+    EMBEDDINGS_DIMENSIONS: '8',
+    EMBEDDINGS_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    EMBEDDINGS_API_KEY: 'test-key',
+    EMBEDDINGS_AUTO_MIGRATE: 'false'
+  });
+
+  const config = require('../config');
+  const embedders = require('../src/utils/embedders');
+  const dbClient = require('../src/utils/dbClient');
+
+  assert(embedders.resolveSpec({}).model === 'Xenova/all-MiniLM-L6-v2' && embedders.resolveSpec({ model: 'Xenova/multilingual-e5-base' }).dimensions === 768, 'local models resolve to their known dimensions');
+  assert(embedders.resolveSpec({ provider: 'openai', model: 'text-embedding-3-large', dimensions: 256 }).dimensions === 256, 'configured dimensions override the known size');
+  assert(/EMBEDDINGS_DIMENSIONS/.test((() => { try { embedders.resolveSpec({ provider: 'openai', model: 'custom' }); return ''; } catch (e) { return e.message; } })()), 'unknown models need an explicit dimension');
+
+  await dbClient.waitForInit();
+  const loaded = await dbClient.waitForEmbedder();
+  assert(loaded.ready && loaded.model === 'hash-small' && requests[0].auth === 'Bearer test-key', 'OpenAI-compatible endpoint probed with the API key');
+  let status = dbClient.getEmbeddingStatus();
+  assert(status.stored.model === 'hash-small' && status.stored.dimensions === 8 && status.vectorsReady, 'new database records the configured model');
+
+  const docId = await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'tides', title: 'Tides', content: '# Tides\n\nSpring tides follow the full moon.' });
+  await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'bread', title: 'Bread', content: 'Sourdough needs a starter.' });
+  const reportId = await dbClient.saveResearchReport({ originalQuery: 'How do lunar tides work?', parameters: {}, finalReport: 'Tides follow the moon.' });
+  let [hit] = await dbClient.searchHybrid('full moon tides', 5);
+  assert(hit.id === docId && hit.vectorScore > 0, 'passages searched by vector in the recorded space');
+  assert((await dbClient.findReportsBySimilarity('lunar tides', 5, 0.5)).some(r => Number(r.id) === Number(reportId)), 'report similarity works before the switch');
+
+  // Switch to a larger model: stored 8-dimension vectors no longer match
+  Object.assign(config.embeddings, { model: 'hash-large', dimensions: 12 });
+  await dbClient.initializeEmbedder({ reload: true });
+  status = dbClient.getEmbeddingStatus();
+  assert(status.migrationNeeded && !status.vectorsReady && status.configured.dimensions === 12, 'model change detected against the stored space');
+  [hit] = await dbClient.searchHybrid('full moon tides', 5);
+  assert(hit.id === docId && hit.vectorScore === 0, 'BM25 keeps working while vectors are stale');
+  assert((await dbClient.findReportsBySimilarity('lunar tides', 5, 0.5)).length === 0, 'vector similarity off until migrated');
+
+  const result = await dbClient.reindexVectors({ batchSize: 1 });
+  assert(result.migration.to.dimensions === 12, 'reindex_vectors migrates to the configured model');
+  assert(result.migration.reembedded.reports === 1 && result.migration.reembedded.chunks === 2, 'reports and passages re-embedded');
+
+  const dims = await dbClient.executeQuery(
+    `SELECT attname, atttypmod FROM pg_attribute WHERE attrelid IN ('reports'::regclass, 'index_chunks'::regclass, 'index_documents'::regclass) AND attname LIKE '%embedding%' AND NOT attisdropped ORDER BY attname;`
+  );
+  assert(dims.length === 3 && dims.every(d => d.atttypmod === 12), 'vector columns recreated with the new dimension, no leftovers');
+  status = dbClient.getEmbeddingStatus();
+  assert(status.stored.model === 'hash-large' && status.vectorsReady && !status.migration, 'new space recorded once swapped in');
+  [hit] = await dbClient.searchHybrid('full moon tides', 5);
+  assert(hit.id === docId && hit.vectorScore > 0, 'vector search back on after the migration');
+  assert((await dbClient.findReportsBySimilarity('lunar tides', 5, 0.5)).some(r => Number(r.id) === Number(reportId)), 'report similarity uses the new vectors');
+
+  // Writes during a migration land in the *_next columns and survive the swap
+  Object.assign(config.embeddings, { model: 'hash-small', dimensions: 8 });
+  await dbClient.initializeEmbedder({ reload: true });
+  let lateId = null;
+  const back = await dbClient.migrateEmbeddings({
+    batchSize: 1,
+    onProgress: async ({ table }) => {
+      if (table === 'reports' && !lateId) {
+        lateId = await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'late', title: 'Comets', content: 'Comet tails point away from the sun.' });
+      }
+    }
+  });
+  assert(back.to.dimensions === 8 && back.reembedded.chunks === 2, 'passages already written to the new column are not re-embedded');
+  [hit] = await dbClient.searchHybrid('comet tails sun', 5);
+  assert(hit.id === lateId && hit.vectorScore > 0, 'document indexed mid-migration keeps its vector');
+  assert(await dbClient.migrateEmbeddings() === null, 'nothing to migrate when the spaces match');
+
+  const tools = require('../src/server/tools');
+  const health = JSON.parse(await tools.dbHealth({}));
+  assert(health.vectorDimension === 8 && health.embeddings.stored.model === 'hash-small', 'db_health reports the stored embedding space');
+
+  console.log('\n=== Embedding Migration Test Completed Successfully ===\n');
+}
+
+const cleanup = () => { server.close(); fs.rmSync(dataDir, { recursive: true, force: true }); };
+testEmbeddingMigration()
+  .then(() => { cleanup(); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Embedding Migration Test Failed ===\n');
+    console.error(err.stack || err.message);
+    cleanup();
+    process.exit(1);
+  });
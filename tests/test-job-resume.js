@@ -0,0 +1,86 @@
+// test-job-resume.js
+// A reclaimed job must reuse checkpointed sub-query results instead of paying
+// for them again. Runs offline against the fake provider with an in-memory
+// checkpoint store standing in for the job_checkpoints table.
+process.env.LLM_DEFAULT_PROVIDER = 'fake';
+process.env.CASSETTE_MODE = 'off';
+
+const openRouterClient = require('../src/utils/openRouterClient');
+const researchAgent = require('../src/agents/researchAgent');
+const { JobCheckpoints } = require('../src/utils/jobCheckpoints');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+function memoryStore() {
+  const rows = new Map();
+  const events = [];
+  return {
+    rows,
+    events,
+    async getJobCheckpoints(jobId) {
+      return [...rows.entries()].filter(([k]) => k.startsWith(`${jobId}|`)).map(([k, payload]) => ({ stage: k.split('|')[1], payload }));
+    },
+    async saveJobCheckpoint(jobId, stage, payload) {
+      rows.set(`${jobId}|${stage}`, JSON.parse(JSON.stringify(payload)));
+    },
+    async getJobEvents(jobId, afterId, limit, types) {
+      return events.filter(e => e.job_id === jobId && (!types || types.includes(e.event_type)));
+    }
+  };
+}
+
+async function testJobResume() {
+  console.log('\n=== Testing job checkpoint resume ===\n');
+
+  let calls = 0;
+  const original = openRouterClient.chatCompletion.bind(openRouterClient);
+  openRouterClient.chatCompletion = async (...args) => { calls++; return original(...args); };
+
+  const store = memoryStore();
+  const jobId = 'job_test_resume';
+  const queries = [
+    { id: 1, query: 'What is PGLite?' },
+    { id: 2, query: 'How does pgvector index embeddings?' }
+  ];
+
+  // First attempt: everything runs live and is checkpointed
+  const first = await JobCheckpoints.load(store, jobId);
+  assert(first.enabled && !first.resumed, 'fresh job has no checkpoints');
+  const firstResults = await researchAgent.conductParallelResearch(queries, 'low', null, null, null, null, jobId, null, { checkpoints: first });
+  const firstCalls = calls;
+  assert(firstCalls > 0, `first attempt calls the provider (${firstCalls} calls)`);
+  assert(store.rows.has(`${jobId}|agent:1`) && store.rows.has(`${jobId}|agent:2`), 'each sub-query is checkpointed');
+
+  // Second attempt (after a "restart"): nothing is paid for twice
+  const resumed = await JobCheckpoints.load(store, jobId);
+  assert(resumed.resumed, 'reclaimed job sees prior stages');
+  const seen = [];
+  const secondResults = await researchAgent.conductParallelResearch(queries, 'low', null, null, null, null, jobId, async (type) => { seen.push(type); }, { checkpoints: resumed });
+  assert(calls === firstCalls, 'resumed attempt makes no provider calls');
+  assert(JSON.stringify(secondResults) === JSON.stringify(firstResults), 'resumed results match the original attempt');
+  assert(seen.filter(t => t === 'agent_resumed').length === 2, 'agent_resumed emitted per reused sub-query');
+
+  // Spend from every paid stage of the earlier attempt counts again on resume
+  const usageTypes = ['planning_usage', 'agent_usage', 'debate_usage', 'consensus_usage', 'synthesis_usage', 'analysis_usage', 'verification_usage'];
+  for (const type of [...usageTypes, 'agent_resumed']) {
+    store.events.push({ job_id: jobId, event_type: type, payload: JSON.stringify({ model: 'test/model', usage: { prompt_tokens: 10, completion_tokens: 5 } }) });
+  }
+  const replayed = await resumed.priorUsageEvents();
+  assert(replayed.map(e => e.event_type).join() === usageTypes.join() && replayed.every(e => e.payload.usage.prompt_tokens === 10), 'usage events of every paid stage replayed');
+
+  // Non-jobs are never checkpointed
+  const direct = await JobCheckpoints.load(store, 'req-123');
+  await direct.save('plan:1', { xml: '<agent_1>x</agent_1>' });
+  assert(!direct.enabled && !store.rows.has('req-123|plan:1'), 'direct calls are not checkpointed');
+
+  console.log('\n=== Job Resume Test Completed Successfully ===\n');
+}
+
+testJobResume().catch(err => {
+  console.error('\n=== Job Resume Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
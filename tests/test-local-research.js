@@ -0,0 +1,121 @@
+// test-local-research.js
+// Research grounded only in the local document index (sources: 'local'): passages
+// are injected as numbered context, cited as doc:<id>#<chunk>, and nothing is
+// fetched from the web. Runs offline against the fake provider and a throwaway
+// PGLite database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-research-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  REPORT_OUTPUT_PATH: path.join(dataDir, 'reports'),
+  INDEXER_ENABLED: 'true',
+  INDEXER_EMBED_DOCS: 'false',
+  INDEXER_AUTO_INDEX_REPORTS: 'false',
+  LLM_DEFAULT_PROVIDER: 'fake',
+  CASSETTE_MODE: 'off'
+});
+
+const config = require('../config');
+const openRouterClient = require('../src/utils/openRouterClient');
+const modelCatalog = require('../src/utils/modelCatalog');
+const RobustWebScraper = require('../src/utils/robustWebScraper');
+const dbClient = require('../src/utils/dbClient');
+const researchAgent = require('../src/agents/researchAgent');
+const citationRegistry = require('../src/utils/citationRegistry');
+const sourcePolicy = require('../src/utils/sourcePolicy');
+const { extractCitedClaims, verifyClaims } = require('../src/agents/claimVerificationAgent');
+const tools = require('../src/server/tools');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+// Anything that would leave the machine is recorded instead
+const network = [];
+modelCatalog.getCatalog = async () => [];
+RobustWebScraper.prototype.searchWeb = async (q) => { network.push(`search:${q}`); return []; };
+RobustWebScraper.prototype.fetchUrl = async (url) => { network.push(`fetch:${url}`); return { success: false, error: 'offline' }; };
+global.fetch = async (url) => { network.push(`http:${url}`); throw new Error('offline'); };
+
+const prompts = [];
+const record = messages => prompts.push(messages.map(m => (typeof m.content === 'string' ? m.content : m.content.map(p => p.text || '').join('\n'))).join('\n'));
+for (const method of ['chatCompletion', 'streamChatCompletion']) {
+  const original = openRouterClient[method].bind(openRouterClient);
+  openRouterClient[method] = (model, messages, options) => { record(messages); return original(model, messages, options); };
+}
+
+async function testLocalResearch() {
+  console.log('\n=== Testing local-only research ===\n');
+
+  const docId = await dbClient.indexDocument({
+    sourceType: 'doc',
+    sourceId: 'file:/corpus/protocols.md#1',
+    title: 'Lab Protocols',
+    content: '# Zebrafish\n\nZebrafish fin regeneration requires the tank water to stay above 26 degrees.',
+    metadata: { relativePath: 'protocols.md' }
+  });
+  await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'file:/corpus/other.md#1', title: 'Other', content: 'Notes on pipettes.' });
+
+  // Passages come back numbered by their citation reference
+  const grounding = await researchAgent.getLocalGroundingContext('latest zebrafish regeneration protocol', 'req-1');
+  const ref = `doc:${docId}#0`;
+  assert(grounding.success && grounding.context.includes(`[${ref}] Lab Protocols — Zebrafish (protocols.md)`), 'passages labelled with doc:<id>#<chunk>, heading and path');
+  assert(grounding.sources.length === 1 && grounding.sources[0].url === ref && grounding.sources[0].origin === 'local', 'grounding sources carry the passage reference');
+
+  // Sub-queries pull passages and never search the web, even for "latest" questions
+  const results = await researchAgent.conductParallelResearch([{ id: 1, query: 'What is the latest zebrafish regeneration protocol in 2026?' }], 'low', null, null, null, null, 'req-2', null, { sources: 'local', ensembleSize: 1 });
+  const agentPrompt = prompts.find(p => p.includes('Research Agent 1'));
+  assert(agentPrompt.includes('LOCAL KNOWLEDGE BASE PASSAGES') && agentPrompt.includes('above 26 degrees'), 'ensemble prompt carries the retrieved passages');
+  assert(agentPrompt.includes('Answer ONLY from the local knowledge base passages') && !agentPrompt.includes('https://...'), 'local prompt forbids outside knowledge and web citations');
+  assert(network.length === 0 && !agentPrompt.includes('REAL-TIME WEB SEARCH'), 'no web grounding in local mode');
+  assert(results[0].sources.some(s => s.url === ref), 'agent result lists the passages it was given');
+
+  // Registry and claim verification understand doc references
+  assert(citationRegistry.normalizeUrl(`doc:${docId}#0.`) === ref && JSON.stringify(citationRegistry.parseDocRef(ref)) === JSON.stringify({ docId, chunk: 0 }), 'doc references normalize and parse');
+  const registry = citationRegistry.collectSources(results, [], sourcePolicy.resolvePolicy({ allow: ['example.org'] }));
+  assert(registry.some(s => s.url === ref && s.origin === 'local'), 'local passages bypass the domain policy');
+  const linked = citationRegistry.linkReport(`Fin regeneration needs water above 26 degrees [Source: Lab Protocols — ${ref}].`, registry);
+  assert(/above 26 degrees \[1\]\./.test(linked.content) && linked.content.includes(`- [1] Lab Protocols — Zebrafish — ${ref}`), 'inline doc citations become [n] markers and Sources entries');
+  assert(extractCitedClaims(linked.content, linked.sources)[0].urls[0].url === ref, 'cited claims resolve [n] to the passage reference');
+  const verification = await verifyClaims(linked.content, {
+    sources: linked.sources,
+    fetchPage: async (url) => {
+      const p = citationRegistry.parseDocRef(url);
+      const passage = p && await dbClient.getPassage(p.docId, p.chunk);
+      return passage ? { success: true, content: passage.text } : { success: false, error: 'missing' };
+    }
+  });
+  assert(verification.supported === 1, 'claims checked against the stored passage');
+  assert(await dbClient.getPassage(docId, 9) === null, 'unknown passages resolve to null');
+
+  // Whole pipeline: planning, local research, synthesis and fact-check stay offline
+  prompts.length = 0;
+  const report = await tools.conductResearch({ query: 'Zebrafish regeneration water temperature', sources: 'local', costPreference: 'low' }, null, 'req-3');
+  const reportId = /Report ID: (\d+)/.exec(report)?.[1];
+  const saved = await dbClient.getReportById(reportId);
+  assert(saved.parameters.sources === 'local', 'sources mode saved with the report parameters');
+  assert(prompts.some(p => p.includes('internal document index')) && prompts.some(p => p.includes('grounded only in passages')), 'planning and synthesis told about local-only grounding');
+  assert(network.length === 0, `no web search, URL check or page fetch during the run (${network.join(', ') || 'none'})`);
+  assert(saved.sources.some(s => s.url.startsWith(`doc:${docId}#`)), 'report sources include the local passages');
+
+  config.indexer.chunking.enabled = false;
+  await tools.conductResearch({ query: 'anything', sources: 'local' }, null, 'req-4').then(
+    () => assert(false, 'local mode requires passage chunking'),
+    err => assert(/needs the document index with passage chunking/.test(err.message), 'local mode requires passage chunking')
+  );
+
+  console.log('\n=== Local Research Test Completed Successfully ===\n');
+}
+
+testLocalResearch()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Local Research Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,144 @@
+// test-model-router.js
+// Adaptive model routing: research calls, fact-check accuracy and report ratings build
+// per-model, per-domain statistics in PGLite, and the router picks ensembles from them
+// under the cost preference, exploring the least-tried model at the configured rate.
+// Runs offline against the fake provider and a throwaway PGLite database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-router-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  REPORT_OUTPUT_PATH: path.join(dataDir, 'reports'),
+  INDEXER_ENABLED: 'false',
+  CLAIM_VERIFICATION_ENABLED: 'false',
+  LLM_DEFAULT_PROVIDER: 'fake',
+  CASSETTE_MODE: 'off',
+  MODEL_ROUTER_ENABLED: 'true'
+});
+
+const config = require('../config');
+const modelCatalog = require('../src/utils/modelCatalog');
+const dbClient = require('../src/utils/dbClient');
+const modelRouter = require('../src/utils/modelRouter');
+const researchAgent = require('../src/agents/researchAgent');
+const tools = require('../src/server/tools');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+modelCatalog.getCatalog = async () => [];
+
+const candidates = [
+  { name: 'test/a', domains: ['general'] },
+  { name: 'test/b', domains: ['technical'] },
+  { name: 'test/c', domains: ['general'] }
+];
+const call = (model, domain, extra = {}) => ({ agentId: 1, model, domain, query: 'q', result: 'answer', error: false, latencyMs: 1000, ...extra });
+const order = (ranking) => ranking.map(r => r.model).join(',');
+
+async function testModelRouter() {
+  console.log('\n=== Testing adaptive model routing ===\n');
+  await dbClient.waitForInit();
+  config.modelRouter.exploration = 0;
+
+  // Nothing learned yet: domain tags break the tie, then the given order
+  assert(await modelRouter.loadStats(dbClient) === 0, 'no statistics in a fresh database');
+  assert(order(modelRouter.rank(candidates, 'technical')) === 'test/b,test/a,test/c', 'untried models ranked by domain tag, then configured order');
+
+  // Run outcomes: calls, errors and latency per model and domain; accuracy credited to the models that answered
+  const run = [
+    call('test/a', 'technical', { latencyMs: 3000 }),
+    call('test/b', 'technical', { error: true, latencyMs: 500 }),
+    call('test/c', 'technical', { latencyMs: 1000 }),
+    call('judge/model', 'technical', { adjudicated: true }),
+    { agentId: 2, model: 'N/A', query: 'q', result: 'Skipped', error: true }
+  ];
+  assert(await modelRouter.recordRun(dbClient, run, 0.9) === 3, 'adjudicated answers and skipped sub-queries are not calls');
+  for (let i = 0; i < 3; i++) await modelRouter.recordRun(dbClient, [call('test/a', 'technical'), call('test/c', 'technical')], i === 2 ? null : 0.9);
+  const stats = modelRouter.describe({ domain: 'technical' });
+  const a = stats.find(s => s.model === 'test/a');
+  const b = stats.find(s => s.model === 'test/b');
+  assert(a.calls === 4 && a.outcomes === 3 && a.meanQuality === 0.9 && a.avgLatencyMs === 1500, 'calls, latency and quality outcomes accumulate');
+  assert(b.errorRate === 1 && b.outcomes === 0 && b.avgLatencyMs === null, 'failed calls count as errors without quality or latency');
+  assert(await modelRouter.loadStats(dbClient) === 3 && modelRouter.describe({ model: 'test/a' })[0].calls === 4, 'statistics reload from the database');
+
+  // Learned quality and reliability outweigh the domain tag
+  const learned = modelRouter.rank(candidates, 'technical');
+  assert(learned[2].model === 'test/b' && learned[0].expected > learned[2].expected, 'erroring model drops below models that answered well');
+  assert(learned[1].score < learned[0].score && learned[0].model === 'test/c', 'slower model scores lower at equal quality');
+  const other = modelRouter.estimate('test/a', 'creative');
+  assert(other.quality > 0.5 && other.calls === 0, 'quality in other domains is the prior for a new domain');
+
+  // Ratings move quality for the models a report credits
+  const routing = modelRouter.summarize(run);
+  assert(routing.adaptive && routing.models.length === 3 && routing.models.find(m => m.model === 'test/b').errors === 1, 'run summary lists models per domain');
+  const rated = await modelRouter.recordRating(dbClient, routing, 1);
+  assert(rated.join(',') === 'test/a,test/c' && modelRouter.describe({ model: 'test/c', domain: 'technical' })[0].outcomes === 4, 'a rating reaches every model that answered, not failed ones');
+  await modelRouter.recordRating(dbClient, routing, 5, 1);
+  const swapped = modelRouter.describe({ model: 'test/c', domain: 'technical' })[0];
+  assert(swapped.outcomes === 4 && swapped.meanQuality === 0.925, 're-rating swaps the earlier rating instead of adding an outcome');
+
+  // Cost preference: a better but expensive model only wins when cost matters little
+  await dbClient.recordModelQuality([{ model: 'test/c', domain: 'technical' }], 1);
+  await dbClient.recordModelQuality([{ model: 'test/c', domain: 'technical' }], 1);
+  await dbClient.recordModelCalls([{ model: 'test/c', domain: 'technical', ok: true, latencyMs: 1000, usd: 0.5 }]);
+  await dbClient.recordModelCalls([{ model: 'test/a', domain: 'technical', ok: true, latencyMs: 1500, usd: 0.001 }]);
+  await modelRouter.loadStats(dbClient);
+  assert(modelRouter.rank(candidates, 'technical', 'high')[0].model === 'test/c', 'high cost preference keeps the best model');
+  assert(modelRouter.rank(candidates, 'technical', 'low')[0].model === 'test/a', 'low cost preference trades quality for cost');
+
+  // Exploration: slots after the first go to the least-tried model at the configured rate
+  assert(modelRouter.route(candidates, 'technical', { size: 2, random: () => 0.5 }).explored.length === 0, 'no exploration at rate 0');
+  config.modelRouter.exploration = 0.2;
+  const exploring = modelRouter.route([...candidates, { name: 'test/new', domains: [] }], 'technical', { costPreference: 'high', size: 2, random: () => 0.1 });
+  assert(exploring.models.join(',') === 'test/c,test/new' && exploring.explored.join(',') === 'test/new', 'exploration picks the least-tried model');
+  const exploiting = modelRouter.route(candidates, 'technical', { costPreference: 'high', size: 2, random: () => 0.9 });
+  assert(exploiting.explored.length === 0 && exploiting.models.length === 2, 'draws above the rate exploit');
+  config.modelRouter.exploration = 0;
+
+  // researchAgent: routed ensembles, answers tagged with their domain
+  const tier = config.models.lowCost.map(m => m.name);
+  const original = researchAgent._executeSingleResearch;
+  researchAgent._executeSingleResearch = async (query, agentId, model) => ({ ...call(model, undefined), agentId, query, domain: undefined, usage: { prompt_tokens: 100, completion_tokens: 50 } });
+  const events = [];
+  try {
+    const onEvent = async (type, payload) => events.push({ type, payload });
+    const results = await researchAgent.conductResearch('Compare PGLite and SQLite storage engines', 1, 'low', 'intermediate', true, null, null, null, null, 'req-1', onEvent, { ensembleSize: 2 });
+    const routed = events.find(e => e.type === 'model_routed');
+    assert(routed && results.map(r => r.model).join(',') === routed.payload.models.join(',') && routed.payload.models.every(m => tier.includes(m)), 'ensemble comes from the router within the cost tier');
+    assert(results.every(r => r.domain === routed.payload.domain), 'answers tagged with the query domain');
+
+    // Full run: statistics recorded, routing saved on the report, ratings credited
+    const out = await tools.conductResearch({ query: 'Compare PGLite and SQLite storage engines', costPreference: 'low' }, null, 'req-2');
+    const reportId = /Report ID: (\d+)/.exec(out)[1];
+    const report = await dbClient.getReportById(reportId);
+    const saved = report.researchMetadata.routing;
+    assert(saved && saved.adaptive && saved.models.every(m => tier.includes(m.model)), 'report records the models per domain');
+    const before = JSON.parse(await tools.modelStats({ model: saved.models[0].model, domain: saved.models[0].domain }));
+    const message = await tools.rateResearchReport({ reportId, rating: 5 });
+    const after = JSON.parse(await tools.modelStats({ model: saved.models[0].model, domain: saved.models[0].domain }));
+    assert(/Updated quality for \d model\(s\)/.test(message) && after.rows[0].outcomes === before.rows[0].outcomes + 1, 'rating a report updates the quality of its models');
+    await tools.rateResearchReport({ reportId, rating: 1 });
+    const rerated = JSON.parse(await tools.modelStats({ model: saved.models[0].model, domain: saved.models[0].domain }));
+    const total = s => s.meanQuality * s.outcomes;
+    assert(rerated.rows[0].outcomes === after.rows[0].outcomes && Math.abs(total(after.rows[0]) - total(rerated.rows[0]) - 1) < 0.01, 'rating the same report again replaces its earlier rating');
+    assert(before.rows[0].calls >= 1 && before.routing.enabled && before.ranking.models.length === tier.length, 'model_stats shows statistics and the router ranking');
+  } finally {
+    researchAgent._executeSingleResearch = original;
+  }
+
+  console.log('\n=== Model Router Test Completed Successfully ===\n');
+}
+
+testModelRouter()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Model Router Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+// test-passage-retrieval.js
+// Heading-aware chunking with overlap, and passage-level hybrid search over index_documents.
+// Uses a throwaway PGLite database; embeddings are off so only BM25 scores passages.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'passages-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  INDEXER_ENABLED: 'true',
+  INDEXER_EMBED_DOCS: 'false',
+  INDEXER_AUTO_INDEX_REPORTS: 'false',
+  INDEXER_CHUNK_TOKENS: '60',
+  INDEXER_CHUNK_OVERLAP: '10'
+});
+
+const config = require('../config');
+const { chunkText, splitSections } = require('../src/utils/textChunker');
+const dbClient = require('../src/utils/dbClient');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+const filler = (word, n) => Array.from({ length: n }, (_, i) => `The ${word} section repeats sentence ${i}.`).join(' ');
+
+const handbook = `# Handbook
+
+Short preface.
+
+## Setup
+
+${filler('setup', 60)}
+
+## Troubleshooting
+
+${filler('troubleshooting', 30)} The zebrafish regeneration pathway fails when the buffer is cold. ${filler('troubleshooting', 30)}
+
+\`\`\`
+# not a heading inside code
+\`\`\`
+`;
+
+async function testPassageRetrieval() {
+  console.log('\n=== Testing passage retrieval ===\n');
+
+  const sections = splitSections(handbook);
+  assert(sections.map(s => s.headings.join('>')).join('|') === 'Handbook|Handbook>Setup|Handbook>Troubleshooting', 'sections follow the heading trail and ignore headings in code');
+
+  const chunks = chunkText(handbook, { maxTokens: 60, overlapTokens: 10 });
+  assert(chunks.every(c => handbook.slice(c.start, c.end) === c.text), 'offsets point back into the original text');
+  assert(chunks.every(c => c.tokens <= 60), 'windows respect the token limit');
+  assert(!chunks.some(c => c.text.includes('## Setup') && c.text.includes('## Troubleshooting')), 'windows never span a heading boundary');
+  const setup = chunks.filter(c => c.heading === 'Handbook > Setup');
+  assert(setup.length > 1 && setup[1].start < setup[0].end, 'consecutive windows overlap');
+  assert(setup.slice(0, -1).every(c => /\.$/.test(c.text)), 'windows end on sentence boundaries when one is near the limit');
+  assert(chunkText('# A\n\nOne.\n\n# B\n\nTwo.', { maxTokens: 60 }).length === 1, 'short sections are packed together');
+  assert(chunkText(handbook, { maxTokens: 60, headingAware: false }).some(c => c.text.indexOf('## Troubleshooting') > 0) && chunkText('   ').length === 0, 'plain windows when heading-aware mode is off; blank text has no chunks');
+
+  // Long documents are stored whole and searched by passage
+  const longDoc = `${handbook}\n\n${filler('appendix', 400)}`;
+  assert(longDoc.length > config.indexer.maxDocLength, 'document is longer than the legacy truncation limit');
+  const docId = await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'handbook', title: 'Lab Handbook', content: longDoc, metadata: { path: '/docs/handbook.md' } });
+  await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'other', title: 'Other', content: 'Unrelated notes on buffers.' });
+
+  const [hit] = await dbClient.searchHybrid('zebrafish regeneration', 5);
+  assert(hit && hit.id === docId && hit.metadata.path === '/docs/handbook.md', 'parent document returned with its metadata');
+  const best = hit.passages[0];
+  assert(best.heading === 'Handbook > Troubleshooting' && best.text.includes('zebrafish'), 'best passage is the matching section');
+  assert(longDoc.slice(best.start, best.end) === best.text && hit.snippet === best.text.slice(0, 300), 'passage offsets index into the stored document');
+  assert(hit.document.length === longDoc.length && hit.document.chunks > 10, 'parent document reports its length and chunk count');
+
+  const [tail] = await dbClient.searchHybrid('appendix sentence 399', 5);
+  assert(tail && tail.passages[0].text.includes('sentence 399'), 'text past the old 8000-character limit is searchable');
+
+  const stats = await dbClient.getIndexStats();
+  assert(stats.documents === 2 && stats.chunks === hit.document.chunks + 1, 'index stats count documents and chunks');
+  assert(await dbClient.removeIndexedDocuments('handbook') === 1 && (await dbClient.getIndexStats()).chunks === 1, 'removing a document removes its passages');
+
+  // Documents indexed without chunking are picked up by the backfill
+  config.indexer.chunking.enabled = false;
+  await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'legacy', title: 'Legacy', content: 'Legacy capybara notes.' });
+  const legacy = await dbClient.searchHybrid('capybara', 5);
+  assert(legacy.length === 1 && !legacy[0].passages, 'whole-document search when chunking is off');
+  config.indexer.chunking.enabled = true;
+  assert((await dbClient.searchHybrid('capybara', 5)).length === 0, 'unchunked documents are not in passage search');
+  assert(await dbClient.backfillChunks() === 1 && await dbClient.backfillChunks() === 0, 'backfill chunks each legacy document once');
+  assert((await dbClient.searchHybrid('capybara', 5))[0].passages[0].text === 'Legacy capybara notes.', 'backfilled documents are searchable by passage');
+
+  console.log('\n=== Passage Retrieval Test Completed Successfully ===\n');
+}
+
+testPassageRetrieval()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Passage Retrieval Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,106 @@
+// test-plan-review.js
+// A job submitted with reviewPlan pauses with its parsed plan attached and
+// resumes with the reviewer's edits. The unit part replaces the task adapter's
+// DB write; the end-to-end part pauses and resumes a real research job against
+// the fake provider and a temporary database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-review-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  REPORT_OUTPUT_PATH: path.join(dataDir, 'reports'),
+  INDEXER_ENABLED: 'false',
+  CLAIM_VERIFICATION_ENABLED: 'false',
+  WEB_GROUNDING_ENABLED: 'false',
+  LLM_DEFAULT_PROVIDER: 'fake',
+  CASSETTE_MODE: 'off'
+});
+
+const taskAdapter = require('../src/server/taskAdapter');
+const elicitationHandler = require('../src/server/elicitation');
+const planReview = require('../src/server/planReview');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function testPlanReview() {
+  console.log('\n=== Testing plan review ===\n');
+
+  const parked = [];
+  const requestTaskInput = taskAdapter.requestTaskInput;
+  taskAdapter.requestTaskInput = async (taskId, data) => { parked.push({ taskId, data }); return { success: true, status: 'input_required' }; };
+
+  const plan = [
+    { id: 1, query: 'What is PGLite?' },
+    { id: 2, query: 'How does pgvector index embeddings?' }
+  ];
+
+  // Pause: the job is parked with a form elicitation listing the sub-queries
+  const elicitation = await planReview.requestPlanReview('job_review', 'Compare embedded Postgres options', plan);
+  assert(parked.length === 1 && parked[0].taskId === 'job_review', 'job is parked for input');
+  assert(parked[0].data.elicitationId === elicitation.elicitationId && elicitation.kind === 'plan_review', 'elicitation id is stored on the job');
+  assert(JSON.stringify(elicitation.schema.properties.subQueries.default) === JSON.stringify(plan.map(p => p.query)), 'form defaults to the parsed plan');
+  assert(elicitationHandler.getElicitation(elicitation.elicitationId).metadata.jobId === 'job_review', 'elicitation links back to the job');
+  const err = planReview.planReviewRequired(elicitation);
+  assert(err.code === 'INPUT_REQUIRED' && !err.isRetryable, 'pause is signalled with INPUT_REQUIRED');
+
+  // Resume: approve as-is, edit, decline
+  const unchanged = planReview.applyPlanReview(plan, { action: 'accept' });
+  assert(!unchanged.edited && unchanged.subQueries.length === 2, 'accept without edits keeps the plan');
+  const edited = planReview.applyPlanReview(plan, { subQueries: ['What is PGLite?', { query: 'PGLite vs SQLite for local RAG' }, '  '] });
+  assert(edited.edited && edited.subQueries.map(q => q.query).join('|') === 'What is PGLite?|PGLite vs SQLite for local RAG', 'edited plan replaces sub-queries and drops blanks');
+  assert(planReview.applyPlanReview(plan, { action: 'decline' }).action === 'decline', 'decline is passed through');
+  let threw = false;
+  try { planReview.applyPlanReview(plan, { subQueries: [] }); } catch (_) { threw = true; }
+  assert(threw, 'an empty plan is rejected');
+  taskAdapter.requestTaskInput = requestTaskInput;
+
+  // End to end: the job pauses after planning and runs the edited plan once the response is accepted
+  const dbClient = require('../src/utils/dbClient');
+  const tools = require('../src/server/tools');
+  const jobId = await dbClient.createJob('research', { query: 'Compare embedded Postgres options for local RAG', reviewPlan: true });
+  const claim = async () => {
+    const job = await dbClient.claimNextJob();
+    return typeof job.params === 'string' ? JSON.parse(job.params) : job.params;
+  };
+  let paused = null;
+  try {
+    await tools.conductResearch(await claim(), null, jobId);
+  } catch (e) {
+    paused = e;
+  }
+  const parkedJob = await dbClient.getJobStatus(jobId);
+  const elicitationId = parkedJob.progress?.elicitation?.elicitationId;
+  assert(paused?.code === 'INPUT_REQUIRED' && parkedJob.status === 'input_required' && elicitationId, 'research job parks itself after planning');
+
+  const refused = await taskAdapter.respondToElicitation(elicitationId, { action: 'maybe' });
+  assert(!refused.success && !refused.task && (await dbClient.getJobStatus(jobId)).status === 'input_required', 'a refused response leaves the job parked');
+
+  // The in-memory elicitation is gone after a restart; the parked job row still resumes
+  elicitationHandler.pendingElicitations.delete(elicitationId);
+  const reviewed = ['PGLite durability guarantees', 'SQLite vector extensions compared'];
+  const accepted = await taskAdapter.respondToElicitation(elicitationId, { action: 'accept', subQueries: reviewed });
+  assert(accepted.success && accepted.task?.success && (await dbClient.getJobStatus(jobId)).status === 'queued', 'an accepted response requeues the job');
+  const again = await taskAdapter.respondToElicitation(elicitationId, { action: 'accept' });
+  assert(!again.success && !again.task, 'a second response to the same elicitation is refused');
+
+  const result = await tools.conductResearch(await claim(), null, jobId);
+  const started = (await dbClient.getJobEvents(jobId, 0, 1000)).filter(e => e.event_type === 'agent_started')
+    .map(e => (typeof e.payload === 'string' ? JSON.parse(e.payload) : e.payload).query);
+  assert(/Report ID: \d+/.test(result) && started.join('|') === reviewed.join('|'), 'the resumed job researches the edited sub-queries');
+
+  console.log('\n=== Plan Review Test Completed Successfully ===\n');
+}
+
+testPlanReview()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Plan Review Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,174 @@
+// test-providers.js
+// Provider layer: model ids are routed to adapters by prefix, OpenAI-style messages are
+// translated for the Anthropic Messages API, and both HTTP adapters map stop reasons from
+// plain responses and usage from plain and streamed (SSE) responses. A local HTTP server
+// plays the OpenAI-compatible and Anthropic endpoints.
+const http = require('http');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+const requests = [];
+const sse = events => events.map(([event, data]) => `${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`).join('');
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', c => { raw += c; });
+  req.on('end', () => {
+    const body = raw ? JSON.parse(raw) : {};
+    requests.push({ url: req.url, headers: req.headers, body });
+    const send = (type, text) => {
+      res.writeHead(200, { 'Content-Type': type, Connection: 'close' });
+      res.end(text);
+    };
+    if (req.url === '/v1/chat/completions' && !body.stream) {
+      return send('application/json', JSON.stringify({
+        id: 'chatcmpl-1', model: body.model, object: 'chat.completion',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Local answer.' }, finish_reason: 'length' }],
+        usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 }
+      }));
+    }
+    if (req.url === '/v1/chat/completions') {
+      return send('text/event-stream', sse([
+        [null, { choices: [{ delta: { content: 'Local ' } }] }],
+        [null, { choices: [{ delta: { content: 'stream.' } }] }],
+        [null, { choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 } }],
+        [null, '[DONE]']
+      ]));
+    }
+    if (req.url === '/anthropic/messages' && !body.stream) {
+      return send('application/json', JSON.stringify({
+        id: 'msg_1', model: body.model, type: 'message', role: 'assistant',
+        content: [{ type: 'text', text: 'Claude ' }, { type: 'tool_use', id: 't1', name: 'x', input: {} }, { type: 'text', text: 'answer.' }],
+        // The stub answers with the stop reason named by a 'stop:<reason>' model id
+        stop_reason: body.model.startsWith('stop:') ? body.model.slice(5) : 'max_tokens',
+        usage: { input_tokens: 20, output_tokens: 7 }
+      }));
+    }
+    if (req.url === '/anthropic/messages') {
+      return send('text/event-stream', sse([
+        ['message_start', { type: 'message_start', message: { id: 'msg_2', usage: { input_tokens: 30, output_tokens: 1 } } }],
+        ['ping', { type: 'ping' }],
+        ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Streamed ' } }],
+        ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{}' } }],
+        ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'reply.' } }],
+        ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } }],
+        ['message_stop', { type: 'message_stop' }]
+      ]));
+    }
+    res.writeHead(404, { Connection: 'close' });
+    res.end();
+  });
+});
+
+async function collect(stream) {
+  const items = [];
+  for await (const item of stream) items.push(item);
+  return items;
+}
+
+async function testProviders() {
+  console.log('\n=== Testing LLM providers ===\n');
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    LLM_DEFAULT_PROVIDER: 'openai-compatible',
+    OPENAI_COMPATIBLE_BASE_URL: `${base}/v1/`,
+    ANTHROPIC_BASE_URL: `${base}/anthropic`,
+    ANTHROPIC_API_KEY: 'test-anthropic-key',
+    ANTHROPIC_DEFAULT_MAX_TOKENS: '512'
+  });
+  delete process.env.OPENAI_COMPATIBLE_API_KEY;
+  delete process.env.LLM_PROVIDER_ROUTES;
+
+  const { resolveModel, getProvider, getDefaultProvider } = require('../src/utils/providers');
+  const AnthropicProvider = require('../src/utils/providers/anthropic');
+  const { toAnthropicMessages } = AnthropicProvider;
+
+  // Routing by model id prefix
+  const local = resolveModel('local/llama3.1:8b');
+  assert(local.providerName === 'openai-compatible' && local.model === 'llama3.1:8b', 'local/ routes to the OpenAI-compatible server with the prefix stripped');
+  const direct = resolveModel('anthropic-direct/claude-sonnet-4-5');
+  assert(direct.providerName === 'anthropic' && direct.model === 'claude-sonnet-4-5' && direct.provider instanceof AnthropicProvider, 'anthropic-direct/ routes to the Anthropic adapter');
+  const fake = resolveModel('fake/planner');
+  assert(fake.providerName === 'fake' && fake.model === 'planner', 'fake/ routes to the fake provider');
+  const unrouted = resolveModel('openai/gpt-5-mini');
+  assert(unrouted.providerName === 'openai-compatible' && unrouted.model === 'openai/gpt-5-mini' && unrouted.provider === getDefaultProvider(), 'unprefixed ids go to LLM_DEFAULT_PROVIDER unchanged');
+  assert(resolveModel('local/other').provider === local.provider, 'adapters are created once per provider');
+  let unknown = null;
+  try { getProvider('nope'); } catch (e) { unknown = e; }
+  assert(unknown && /Unknown LLM provider "nope"/.test(unknown.message), 'unknown provider names are a configuration error');
+
+  // OpenAI-style messages -> Anthropic Messages API
+  const converted = toAnthropicMessages([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'system', content: [{ type: 'text', text: 'Cite sources.' }] },
+    { role: 'user', content: 'Describe this chart.' },
+    { role: 'assistant', content: 'Which one?' },
+    { role: 'tool', content: 'tool output' },
+    { role: 'user', content: [
+      { type: 'text', text: 'This one:' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } },
+      { type: 'image_url', image_url: 'https://example.com/chart.png' }
+    ] }
+  ]);
+  assert(converted.system === 'Be brief.\n\nCite sources.', 'system messages are joined into the system prompt');
+  assert(converted.messages.map(m => m.role).join() === 'user,assistant,user,user', 'assistant keeps its role and every other role becomes user');
+  const [text, inline, linked] = converted.messages[3].content;
+  assert(text.type === 'text' && text.text === 'This one:', 'text parts become text blocks');
+  assert(inline.type === 'image' && inline.source.type === 'base64' && inline.source.media_type === 'image/png' && inline.source.data === 'iVBORw0KGgo=', 'data URL images become base64 blocks');
+  assert(linked.type === 'image' && linked.source.type === 'url' && linked.source.url === 'https://example.com/chart.png', 'remote images become url blocks');
+  assert(toAnthropicMessages([{ role: 'user', content: 'hi' }]).system === undefined, 'no system prompt when there are no system messages');
+
+  // OpenAI-compatible adapter
+  const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hello' }];
+  const completion = await local.provider.chatCompletion(local.model, messages, { max_tokens: 64 });
+  const sent = requests.pop();
+  assert(sent.body.model === 'llama3.1:8b' && sent.body.max_tokens === 64 && !sent.headers.authorization, 'completion request sent without a key to the local server');
+  assert(completion.choices[0].message.content === 'Local answer.' && completion.choices[0].finish_reason === 'length' && completion.usage.total_tokens === 15, 'completion passes the OpenAI response through');
+  const localStream = await collect(local.provider.streamChatCompletion(local.model, messages));
+  assert(requests.pop().body.stream === true, 'stream request asks for SSE');
+  assert(localStream.filter(i => i.content).map(i => i.content).join('') === 'Local stream.', 'stream yields content deltas');
+  assert(localStream.some(i => i.usage?.total_tokens === 11) && !localStream.some(i => i.error), 'stream yields usage and stops at [DONE]');
+
+  // Anthropic adapter
+  const reply = await direct.provider.chatCompletion(direct.model, messages, { temperature: 0.2, stop: 'END' });
+  const anthropicRequest = requests.pop();
+  assert(anthropicRequest.headers['x-api-key'] === 'test-anthropic-key' && anthropicRequest.headers['anthropic-version'] === '2023-06-01', 'Anthropic requests carry the key and API version');
+  assert(anthropicRequest.body.system === 'Be brief.' && anthropicRequest.body.messages.length === 1 && anthropicRequest.body.max_tokens === 512, 'system prompt is lifted out and max_tokens defaults from config');
+  assert(anthropicRequest.body.temperature === 0.2 && anthropicRequest.body.stop_sequences.join() === 'END', 'sampling options and stop sequences are mapped');
+  assert(reply.object === 'chat.completion' && reply.choices[0].message.content === 'Claude answer.', 'text blocks are joined into one assistant message');
+  assert(reply.choices[0].finish_reason === 'length', 'max_tokens stop reason maps to length');
+  const finishReasons = [];
+  for (const reason of ['end_turn', 'stop_sequence', 'tool_use', 'refusal']) {
+    finishReasons.push((await direct.provider.chatCompletion(`stop:${reason}`, messages)).choices[0].finish_reason);
+    requests.pop();
+  }
+  assert(finishReasons.join() === 'stop,stop,tool_calls,refusal', 'other stop reasons map to OpenAI finish reasons, unknown ones pass through');
+  assert(reply.usage.prompt_tokens === 20 && reply.usage.completion_tokens === 7 && reply.usage.total_tokens === 27, 'input/output tokens map to OpenAI usage');
+  const claudeStream = await collect(direct.provider.streamChatCompletion(direct.model, messages));
+  assert(requests.pop().body.stream === true, 'Anthropic stream request asks for SSE');
+  assert(claudeStream.filter(i => i.content).map(i => i.content).join('') === 'Streamed reply.', 'stream yields text deltas and skips pings and other deltas');
+  const streamUsage = claudeStream.find(i => i.usage)?.usage;
+  assert(streamUsage && streamUsage.prompt_tokens === 30 && streamUsage.completion_tokens === 4 && streamUsage.total_tokens === 34, 'stream usage combines message_start input and message_delta output tokens');
+  assert(claudeStream[claudeStream.length - 1].usage && !claudeStream.some(i => i.error), 'stream ends at message_stop');
+
+  const unconfigured = new AnthropicProvider({ apiKey: null, baseUrl: `${base}/anthropic`, version: '2023-06-01' });
+  let missingKey = null;
+  try { await unconfigured.chatCompletion('claude-sonnet-4-5', messages); } catch (e) { missingKey = e; }
+  assert(missingKey && /ANTHROPIC_API_KEY|not configured/.test(missingKey.message) && requests.length === 0, 'a missing Anthropic key fails before any request');
+
+  console.log('\n=== Providers Test Completed Successfully ===\n');
+}
+
+testProviders()
+  .then(() => { server.close(); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Providers Test Failed ===\n');
+    console.error(err.stack || err.message);
+    server.close();
+    process.exit(1);
+  });
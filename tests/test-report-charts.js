@@ -0,0 +1,138 @@
+// test-report-charts.js
+// Charts and tables in synthesized reports: ```vega-lite blocks are validated, drawn as SVG
+// for HTML and as vector graphics in PDF, tabulated in DOCX, and stored as report artifacts.
+const zlib = require('zlib');
+const reportCharts = require('../src/utils/reportCharts');
+const { buildArtifacts, artifactsForReport, buildReportDocument, renderReport } = require('../src/utils/reportRenderer');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+function throws(fn, pattern, msg) {
+  try {
+    fn();
+  } catch (err) {
+    return assert(pattern.test(err.message), msg);
+  }
+  assert(false, msg);
+}
+
+// Contents of one deflated file in a zip
+function zipFile(buf, name) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let p = buf.readUInt32LE(end + 16);
+  for (let i = 0; i < buf.readUInt16LE(end + 10); i++) {
+    const len = buf.readUInt16LE(p + 28);
+    if (buf.toString('utf8', p + 46, p + 46 + len) === name) {
+      const local = buf.readUInt32LE(p + 42);
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      return zlib.inflateRawSync(buf.subarray(start, start + buf.readUInt32LE(p + 20))).toString('utf8');
+    }
+    p += 46 + len + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+  }
+  return null;
+}
+
+const growth = {
+  title: 'Revenue growth by region',
+  data: { values: [{ region: 'North', growth: 36 }, { region: 'South', growth: 81 }, { region: 'East', growth: 18 }] },
+  mark: 'bar',
+  encoding: { x: { field: 'region', type: 'nominal', sort: '-y' }, y: { field: 'growth', type: 'quantitative', title: 'Growth ($k)' } }
+};
+
+const report = {
+  id: 7,
+  original_query: 'Regional revenue',
+  created_at: '2026-10-01T10:00:00Z',
+  final_report: `# Regional Revenue
+
+## Growth
+South grew fastest [1].
+
+| Region | Growth ($k) |
+|---|---|
+| South | 81 |
+| North | 36 |
+
+\`\`\`vega-lite
+${JSON.stringify(growth, null, 2)}
+\`\`\`
+
+## Trend
+\`\`\`vega-lite
+{"data": {"values": [{"q": "2025-01-01", "v": 1, "s": "a"}, {"q": "2025-04-01", "v": 3, "s": "a"}, {"q": "2025-01-01", "v": 2, "s": "b"}, {"q": "2025-04-01", "v": 2.5, "s": "b"}]},
+ "mark": "line", "encoding": {"x": {"field": "q", "type": "temporal"}, "y": {"field": "v", "type": "quantitative"}, "color": {"field": "s", "type": "nominal"}}}
+\`\`\`
+
+\`\`\`vega-lite
+{"layer": [], "mark": "bar"}
+\`\`\`
+
+## Sources
+1. Sales data - https://example.com/sales
+`
+};
+
+function testReportCharts() {
+  console.log('\n=== Testing report charts ===\n');
+
+  // Spec validation
+  const chart = reportCharts.parseChartSpec(JSON.stringify(growth));
+  assert(chart.mark === 'bar' && chart.spec.$schema && chart.width === 560, 'spec parsed with defaults filled in');
+  throws(() => reportCharts.parseChartSpec('{nope'), /not valid JSON/, 'invalid JSON rejected');
+  throws(() => reportCharts.parseChartSpec({ ...growth, mark: 'arc' }), /mark must be one of/, 'unsupported marks rejected');
+  throws(() => reportCharts.parseChartSpec({ ...growth, data: { url: 'https://example.com/data.csv' } }), /inline data only/, 'remote data rejected');
+  throws(() => reportCharts.parseChartSpec({ ...growth, encoding: { x: growth.encoding.x, y: { field: 'region', type: 'nominal' } } }), /must be quantitative/, 'a quantitative axis is required');
+  throws(() => reportCharts.parseChartSpec({ ...growth, encoding: { ...growth.encoding, y: { field: 'growth', type: 'quantitative', aggregate: 'median' } } }), /Unsupported aggregate/, 'unsupported aggregates rejected');
+
+  // Drawing
+  const bars = reportCharts.chartScene(chart).items.filter(i => i.type === 'rect').sort((a, b) => a.x - b.x);
+  assert(bars.map(b => b.title).join(',') === 'South: 81,North: 36,East: 18' && bars[0].height > bars[1].height, 'bars placed in the requested order, scaled to their values');
+  const svg = reportCharts.renderSvg(growth);
+  assert(svg.startsWith('<svg') && svg.includes('Revenue growth by region') && svg.includes('Growth ($k)') && (svg.match(/<rect /g) || []).length >= 3, 'svg has the title, axis title and bars');
+  const count = reportCharts.chartScene(reportCharts.parseChartSpec({ data: { values: [{ k: 'a' }, { k: 'a' }, { k: 'b' }] }, mark: 'bar', encoding: { x: { field: 'k', type: 'nominal' }, y: { aggregate: 'count', type: 'quantitative' } } }));
+  assert(count.items.filter(i => i.type === 'rect').map(r => r.title).join(',') === 'a: 2,b: 1', 'count aggregates rows per category');
+  assert(reportCharts.renderSvg('{"data":{"values":[{"n":"<b>","v":1}]},"mark":"point","encoding":{"x":{"field":"n","type":"nominal"},"y":{"field":"v","type":"quantitative"}}}').includes('&lt;b&gt;'), 'labels escaped in svg');
+
+  // Artifacts
+  const artifacts = buildArtifacts(report.final_report);
+  assert(artifacts.map(a => a.id).join(',') === 'table-1,chart-1,chart-2', 'tables and drawable charts become artifacts');
+  assert(artifacts[0].section === 'Growth' && artifacts[0].columns.join('|') === 'Region|Growth ($k)' && artifacts[0].rows[0].join('|') === 'South|81', 'tables keep their section, columns and rows');
+  assert(artifacts[1].title === 'Revenue growth by region' && artifacts[1].spec.data.values.length === 3 && artifacts[2].section === 'Trend', 'charts keep their spec and section');
+  const derived = artifactsForReport(report, { svg: true });
+  assert(derived.derived && derived.artifacts[1].uri === 'research://reports/7/charts/1' && derived.artifacts[1].svg.startsWith('<svg'), 'older reports derive artifacts with chart URIs and svg');
+  const stored = artifactsForReport({ ...report, artifacts: [artifacts[1]] });
+  assert(!stored.derived && stored.artifacts.length === 1 && !stored.artifacts[0].svg, 'stored artifacts preferred');
+
+  // Renderings
+  const doc = buildReportDocument(report);
+  const figures = doc.blocks.filter(b => b.type === 'chart');
+  assert(figures.map(f => f.n).join(',') === '1,2', 'drawable charts become numbered figures');
+  assert(doc.blocks.some(b => b.type === 'code' && b.text.includes('"layer"')), 'specs outside the supported subset stay code blocks');
+
+  const html = renderReport(report, 'html').body;
+  assert(html.includes('<figure class="chart" id="figure-1"><svg') && html.includes('Figure 1: Revenue growth by region') && html.includes('Figure 2</figcaption>'), 'html embeds svg figures with captions');
+
+  const pdf = renderReport(report, 'pdf').body;
+  const ops = [...pdf.toString('latin1').matchAll(/stream\n([\s\S]*?)\nendstream/g)]
+    .map(m => zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1')).join('\n');
+  assert(/ re f/.test(ops) && /\(Figure 1: Revenue growth by region\)/.test(ops) && /\(South\)/.test(ops), 'pdf draws bars, labels and captions');
+
+  const xml = zipFile(renderReport(report, 'docx').body, 'word/document.xml');
+  assert(xml.includes('Figure 1: Revenue growth by region') && xml.includes('<w:t xml:space="preserve">81</w:t>'), 'docx shows the chart data as a table');
+
+  const ld = JSON.parse(renderReport(report, 'jsonld').body);
+  assert(ld.associatedMedia.length === 2 && ld.associatedMedia[0]['@id'] === 'research://reports/7/charts/1', 'json-ld links the chart resources');
+
+  console.log('\n=== Report Charts Test Completed Successfully ===\n');
+}
+
+try {
+  testReportCharts();
+} catch (err) {
+  console.error('\n=== Report Charts Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+}
@@ -0,0 +1,104 @@
+// test-report-render.js
+// Rendering saved reports to HTML, PDF, DOCX and JSON-LD (render_report).
+const zlib = require('zlib');
+const { buildReportDocument, renderReport } = require('../src/utils/reportRenderer');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+const report = {
+  id: 42,
+  version: 2,
+  report_group_id: 40,
+  original_query: 'State of PGLite',
+  created_at: '2026-10-01T10:00:00Z',
+  accuracy_score: 0.82,
+  fact_check_results: { accuracyScore: { score: 0.82, level: 'high' } },
+  researchMetadata: { durationMs: 5000, cost: { totalUsd: 0.0123, byModel: { 'openai/gpt-5-mini': {}, 'qwen/qwen3-235b': {} } } },
+  based_on_past_report_ids: ['40'],
+  final_report: `# PGLite in 2026
+
+## Summary
+PGLite is a **WASM build** of Postgres that runs in Node and browsers [1]. See [the docs](https://pglite.dev/docs).
+
+## Details
+- Supports \`pgvector\` for embeddings [2]
+- Writes are single-connection
+
+| Feature | Status |
+|---|---|
+| Vectors | Yes |
+
+## Sources
+1. PGLite homepage - https://pglite.dev
+2. [pgvector](https://github.com/pgvector/pgvector)
+
+---
+## Research Quality Warnings
+WARNING: 1 claim(s) contradict verified local knowledge.
+CAUTION: Overall accuracy score is low (40%). Verify claims independently.
+`
+};
+
+// Names of the files in a zip, read from its central directory
+function zipEntries(buf) {
+  const names = [];
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let p = buf.readUInt32LE(end + 16);
+  for (let i = 0; i < buf.readUInt16LE(end + 10); i++) {
+    const len = buf.readUInt16LE(p + 28);
+    names.push(buf.toString('utf8', p + 46, p + 46 + len));
+    p += 46 + len + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+  }
+  return names;
+}
+
+function testReportRender() {
+  console.log('\n=== Testing report rendering ===\n');
+
+  const doc = buildReportDocument(report);
+  assert(doc.title === 'PGLite in 2026', 'leading H1 becomes the title');
+  assert(doc.toc.map(t => t.text).join('|') === 'Summary|Details', 'contents list the body headings');
+  assert(doc.citations.map(c => c.url).join(' ') === 'https://pglite.dev https://github.com/pgvector/pgvector https://pglite.dev/docs', 'sources keep their numbering, inline links are appended');
+  assert(doc.citations[0].title === 'PGLite homepage', 'source titles parsed');
+  assert(doc.warnings.length === 2 && doc.warnings[0].startsWith('WARNING'), 'fact-check warnings lifted out of the body');
+  assert(!doc.blocks.some(b => b.type === 'heading' && /sources|warnings/i.test(b.text)), 'sources and warnings sections are not repeated in the body');
+  assert(doc.blocks[1].spans.some(s => s.cite === 3), 'inline link replaced by its citation number');
+
+  const html = renderReport(report, 'html').body;
+  assert(html.includes('<a href="#summary">Summary</a>') && html.includes('id="ref-3"'), 'html has contents and reference anchors');
+  assert(html.includes('Fact-check warnings') && html.includes('$0.0123') && html.includes('82% (high)') && html.includes('openai/gpt-5-mini'), 'html title page shows warnings, cost, accuracy and models');
+
+  const pdf = renderReport(report, 'pdf');
+  const body = pdf.body;
+  assert(pdf.contentType === 'application/pdf' && body.toString('latin1', 0, 8) === '%PDF-1.4', 'pdf header');
+  const startxref = parseInt(body.toString('latin1').match(/startxref\n(\d+)/)[1], 10);
+  assert(body.toString('latin1', startxref, startxref + 4) === 'xref', 'pdf xref offset is valid');
+  const text = [...body.toString('latin1').matchAll(/stream\n([\s\S]*?)\nendstream/g)]
+    .map(m => zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1')).join('\n');
+  assert(text.includes('(Contents)') && text.includes('(References)') && text.includes('(Fact-check warnings)'), 'pdf has contents, references and warnings');
+
+  const docx = renderReport(report, 'docx').body;
+  const names = zipEntries(docx);
+  assert(names.includes('word/document.xml') && names.includes('[Content_Types].xml'), 'docx package has the required parts');
+
+  const ld = JSON.parse(renderReport(report, 'jsonld').body);
+  assert(ld['@type'] === 'Report' && ld.version === 2 && ld.isVersionOf['@id'] === 'research://reports/40', 'json-ld identifies the report version');
+  assert(ld.citation.length === 3 && ld.citation[1].url === 'https://github.com/pgvector/pgvector', 'json-ld lists citations');
+
+  let threw = false;
+  try { renderReport(report, 'rtf'); } catch (_) { threw = true; }
+  assert(threw, 'unknown format rejected');
+
+  console.log('\n=== Report Render Test Completed Successfully ===\n');
+}
+
+try {
+  testReportRender();
+} catch (err) {
+  console.error('\n=== Report Render Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+}
@@ -0,0 +1,55 @@
+// test-report-versions.js
+// Refreshed reports are saved as the next version of their logical report. The version
+// number is taken inside the INSERT, so concurrent refreshes of the same report get
+// distinct versions, and a unique index holds one row per group and version.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-versions-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  INDEXER_ENABLED: 'false'
+});
+
+const dbClient = require('../src/utils/dbClient');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function testReportVersions() {
+  console.log('\n=== Testing report versions ===\n');
+
+  const save = (finalReport, previousVersionOf) => dbClient.saveResearchReport({ originalQuery: 'How do ocean tides work?', parameters: {}, finalReport, previousVersionOf });
+  const first = await save('Tides follow the moon.');
+  const refreshes = await Promise.all([save('Tides follow the moon and sun.', first), save('Tides follow the moon, mostly.', first), save('Spring tides are stronger.', first)]);
+  const versions = await dbClient.getReportVersions(first);
+  assert(versions.map(v => Number(v.version)).join() === '1,2,3,4', 'concurrent refreshes get distinct versions');
+  assert(new Set(refreshes).size === 3 && refreshes.every(id => versions.some(v => String(v.id) === id)), 'every refresh joins the same logical report');
+  const latest = await dbClient.getLatestReportVersion(refreshes[0]);
+  assert(latest.groupId === Number(first) && latest.version === 4, 'the group resolves from any of its versions');
+
+  const [index] = await dbClient.executeQuery(`SELECT indexdef FROM pg_indexes WHERE indexname = 'idx_reports_group_version';`);
+  assert(index && /UNIQUE/.test(index.indexdef) && /COALESCE\(report_group_id, id\)/.test(index.indexdef), 'a unique index holds one row per group and version');
+
+  let missing = null;
+  try {
+    await save('Orphan refresh.', '999999');
+  } catch (e) {
+    missing = e;
+  }
+  assert(missing && /not found/i.test(missing.message), 'refreshing an unknown report fails');
+
+  console.log('\n=== Report Versions Test Completed Successfully ===\n');
+}
+
+testReportVersions()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Report Versions Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
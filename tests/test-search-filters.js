@@ -0,0 +1,136 @@
+// test-search-filters.js
+// Metadata filters and facets on KB search: document and report metadata is stored in
+// columns, filters run inside the BM25 and vector queries (a filtered search still fills
+// its limit), and facet counts cover every matching document. A local HTTP server plays
+// an OpenAI-compatible /embeddings endpoint so the report vector branch is exercised too.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-filters-'));
+
+// Bag-of-words hashing: texts sharing words get similar vectors
+function hashEmbedding(text, dims = 16) {
+  const v = new Array(dims).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let h = 0;
+    for (const ch of word) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    v[h % dims] += 1;
+  }
+  const norm = Math.sqrt(v.reduce((n, x) => n + x * x, 0)) || 1;
+  return v.map(x => x / norm);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    const { model, input } = JSON.parse(body);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model, data: input.map((text, index) => ({ index, embedding: hashEmbedding(text) })) }));
+  });
+});
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function testSearchFilters() {
+  console.log('\n=== Testing search filters and facets ===\n');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    PGLITE_DATA_DIR: dataDir,
+    INDEXER_ENABLED: 'true',
+    INDEXER_EMBED_DOCS: 'true',
+    INDEXER_AUTO_INDEX_REPORTS: 'false',
+    EMBEDDINGS_PROVIDER: 'openai',
+    EMBEDDINGS_MODEL: 'hash-16',
+    EMBEDDINGS_DIMENSIONS: '16',
+    EMBEDDINGS_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`
+  });
+
+  const config = require('../config');
+  const dbClient = require('../src/utils/dbClient');
+  const tools = require('../src/server/tools');
+  await dbClient.waitForInit();
+  await dbClient.waitForEmbedder();
+
+  // Reports with tags and scores, indexed the way conduct_research indexes them
+  const oceans = Number(await dbClient.saveResearchReport({ originalQuery: 'How do ocean tides work?', parameters: {}, finalReport: 'Ocean tides follow the moon.', accuracyScore: 0.9, tags: ['Oceans', 'tides'] }));
+  const bread = Number(await dbClient.saveResearchReport({ originalQuery: 'Do tides affect bread?', parameters: {}, finalReport: 'Tides do not affect sourdough.', accuracyScore: 0.4, tags: ['bread'] }));
+  for (const [id, text] of [[oceans, 'Ocean tides follow the moon.'], [bread, 'Tides do not affect sourdough.']]) {
+    await dbClient.indexDocument({ sourceType: 'report', sourceId: String(id), title: `Report ${id}`, content: text });
+  }
+  await tools.rateResearchReport({ reportId: String(oceans), rating: 5 });
+  await tools.rateResearchReport({ reportId: String(oceans), rating: 4 });
+  const rated = await dbClient.getReportById(oceans);
+  assert(rated.rating === 4.5 && rated.feedback_entries.length === 2, 'report rating is the mean of every rating given');
+  assert(JSON.stringify(rated.tags) === '["oceans","tides"]', 'report tags stored normalized');
+
+  await tools.index_texts({
+    sourceType: 'doc',
+    documents: [
+      { id: 'doc:harbor', title: 'Harbor tides', content: 'Spring tides flood the harbor wall twice a month.', tags: ['oceans', 'Tides'], author: 'Ada Lovelace', publishedAt: '2024-03-01', url: 'https://news.example.org/harbor' },
+      { id: 'doc:tables', title: 'Tide tables', content: 'Tide tables list tides tides tides for every port.', tags: ['tides'], author: 'Grace Hopper', publishedAt: '2025-06-30T00:00:00Z', url: 'https://www.blog.other.com/tables' }
+    ]
+  });
+  const [harbor] = await dbClient.executeQuery(`SELECT * FROM index_documents WHERE source_id = 'doc:harbor';`);
+  assert(harbor.domain === 'news.example.org' && harbor.author === 'Ada Lovelace' && JSON.stringify(harbor.tags) === '["oceans","tides"]', 'document metadata kept as filter columns');
+  const [reportDoc] = await dbClient.executeQuery(`SELECT report_id FROM index_documents WHERE source_type = 'report' AND source_id = $1;`, [String(oceans)]);
+  assert(reportDoc.report_id === oceans, 'report documents point at their report');
+
+  const ids = rows => rows.map(r => (r.type === 'report' ? `report:${r.id}` : r.source_id)).sort().join(',');
+  const search = (filters, k = 10, options = {}) => dbClient.searchHybrid('tides', k, { filters, ...options });
+
+  assert(ids(await search({ tags: ['OCEANS'] })) === `${oceans},doc:harbor,report:${oceans}`, 'tags match documents, report documents through their report, and reports');
+  assert(ids(await search({ author: 'ada lovelace' })) === 'doc:harbor', 'author filter ignores case; reports never match');
+  assert(ids(await search({ domain: 'example.org' })) === 'doc:harbor', 'domain filter includes subdomains');
+  assert(ids(await search({ until: '2025-06-30' })) === 'doc:harbor,doc:tables', 'a bare until date covers the whole day');
+  assert(ids(await search({ since: '2025-01-01', sourceType: 'doc' })) === 'doc:tables', 'since filter on the published date');
+  assert(ids(await search({ sourceType: 'report' })) === [String(oceans), String(bread), `report:${oceans}`, `report:${bread}`].sort().join(','), 'source type filter');
+  assert(ids(await search({ reportId: bread })) === `${bread},report:${bread}`, 'originating report filter');
+  assert(ids(await search({ minAccuracy: 0.8 })) === `${oceans},report:${oceans}`, 'accuracy filter uses the originating report');
+  assert(ids(await search({ minRating: 4 })) === `${oceans},report:${oceans}`, 'rating filter uses the mean rating');
+  assert(ids(await search({ sourceType: 'doc' }, 10, { scope: 'reports' })) === '', 'scope and filters combine');
+
+  // Filters run in SQL, so a small limit is filled with matching results rather than post-filtered away
+  const unfiltered = await search(null, 1);
+  const filtered = await search({ author: 'Ada Lovelace' }, 1);
+  assert(unfiltered[0].source_id !== 'doc:harbor' && filtered.length === 1 && filtered[0].source_id === 'doc:harbor', 'filtered search fills its limit');
+
+  const faceted = JSON.parse(await tools.search_index({ query: 'tides', limit: 2, facets: true }));
+  const count = (facet, value) => (faceted.facets[facet].find(f => f.value === value) || {}).count;
+  assert(faceted.results.length === 2, 'results returned alongside facets');
+  assert(count('sourceType', 'doc') === 2 && count('sourceType', 'report') === 2, 'facets count every matching document, not just the returned page');
+  assert(count('tags', 'tides') === 3 && count('tags', 'oceans') === 2 && count('tags', 'bread') === 1, 'tag facets include report tags');
+  assert(count('domain', 'blog.other.com') === 1 && count('author', 'Grace Hopper') === 1 && count('year', '2024') === 1, 'domain, author and year facets');
+  assert(count('reportId', String(oceans)) === 1, 'originating report facet');
+  const narrowed = JSON.parse(await tools.searchTool({ q: 'tides', k: 5, filters: { tags: ['tides'] }, facets: ['sourceType'] }));
+  const narrowedCount = value => narrowed.facets.sourceType.find(f => f.value === value).count;
+  assert(Object.keys(narrowed.facets).join() === 'sourceType' && narrowedCount('doc') === 2 && narrowedCount('report') === 1, 'facets respect filters and the requested fields');
+  assert(Array.isArray(JSON.parse(await tools.search_index({ query: 'tides', limit: 5 }))), 'plain result list without facets');
+
+  await search({ since: 'last week' }).then(
+    () => assert(false, 'invalid dates rejected'),
+    err => assert(/Invalid since date/.test(err.message), 'invalid dates rejected')
+  );
+
+  // Whole-document indexing uses the same filters
+  config.indexer.chunking.enabled = false;
+  await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'doc:whole', title: 'Whole', content: 'Neap tides are weak.', metadata: { tags: ['neap'] } });
+  assert(ids(await search({ tags: ['neap'] })) === 'doc:whole', 'filters apply to whole-document search');
+
+  console.log('\n=== Search Filters Test Completed Successfully ===\n');
+}
+
+const cleanup = () => { server.close(); fs.rmSync(dataDir, { recursive: true, force: true }); };
+testSearchFilters()
+  .then(() => { cleanup(); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Search Filters Test Failed ===\n');
+    console.error(err.stack || err.message);
+    cleanup();
+    process.exit(1);
+  });
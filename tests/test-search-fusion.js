@@ -0,0 +1,111 @@
+// test-search-fusion.js
+// Fusion methods (weighted, RRF, z-score), cross-encoder reranking, explain output and the
+// offline nDCG/MRR evaluation harness. The cross-encoder is replaced by a deterministic scorer;
+// search runs BM25-only on a throwaway PGLite database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-fusion-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  INDEXER_ENABLED: 'true',
+  INDEXER_EMBED_DOCS: 'false',
+  INDEXER_AUTO_INDEX_REPORTS: 'false'
+});
+
+const config = require('../config');
+const { fuse } = require('../src/utils/searchFusion');
+const crossEncoder = require('../src/utils/crossEncoder');
+const searchEval = require('../src/utils/searchEval');
+const dbClient = require('../src/utils/dbClient');
+const tools = require('../src/server/tools');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// Prefers passages mentioning "anchor"; records what it was asked to score
+const scored = [];
+crossEncoder.loadCrossEncoder = async (model) => ({
+  model,
+  score: async (query, texts) => { scored.push(...texts); return texts.map(t => (/anchor/i.test(t) ? 0.9 : 0.1)); }
+});
+
+async function testSearchFusion() {
+  console.log('\n=== Testing search fusion, reranking and evaluation ===\n');
+
+  // Fusion math on fixed candidates
+  const cands = [{ bm25: 4, vector: 0.2 }, { bm25: 2, vector: 0.9 }, { bm25: 0, vector: 0.5 }, { bm25: 1, vector: null }];
+  const weighted = fuse(cands, { method: 'weighted', weights: { bm25: 0.7, vector: 0.3 } });
+  assert(close(weighted[0].score, 0.7 * 1 + 0.3 * 0.2) && close(weighted[1].score, 0.7 * 0.5 + 0.3 * 0.9), 'weighted fusion keeps the original min-max scoring');
+  const rrf = fuse(cands, { method: 'rrf', weights: { bm25: 1, vector: 1 }, rrfK: 60 });
+  assert(close(rrf[1].score, 1 / 62 + 1 / 61) && close(rrf[2].score, 1 / 62) && close(rrf[3].score, 1 / 63), 'RRF sums weight / (k + rank); missing signals add nothing');
+  assert(rrf[2].components.bm25.rank === null && rrf[3].components.vector.rank === null, 'unmatched signals have no rank');
+  const z = fuse(cands, { method: 'zscore', weights: { bm25: 1, vector: 0 } });
+  assert(close(z.reduce((n, c) => n + c.score, 0), 0) && z[0].score > z[1].score, 'z-score standardizes each signal over the candidates');
+  assert(/Unknown fusion method/.test((() => { try { fuse(cands, { method: 'max' }); return ''; } catch (e) { return e.message; } })()), 'unknown fusion methods rejected');
+
+  // Metrics
+  assert(close(searchEval.ndcgAtK([1, 0, 1], [1, 1], 3), (1 + 1 / 2) / (1 + 1 / Math.log2(3))), 'nDCG@k with binary gains');
+  assert(searchEval.ndcgAtK([3, 1], [3, 1], 2) === 1 && searchEval.ndcgAtK([1, 3], [3, 1], 2) < 1, 'graded nDCG rewards the better order');
+  assert(searchEval.reciprocalRank([0, 0, 2]) === 1 / 3 && searchEval.reciprocalRank([0, 0]) === 0, 'reciprocal rank of the first relevant result');
+  const labels = searchEval.parseLabels([
+    '{"query": "harbor chain", "relevant": ["doc:anchor"]}',
+    '// comments are skipped',
+    '{"query": "sourdough starter", "relevant": {"file:/kb/bread.md#": 2}}'
+  ].join('\n'));
+  assert(labels.length === 2 && labels[1].relevance.get('file:/kb/bread.md#') === 2, 'JSONL labels with graded relevance');
+  assert(/needs a query/.test((() => { try { searchEval.parseLabels('[{"relevant": ["x"]}]'); return ''; } catch (e) { return e.message; } })()), 'labels without a query rejected');
+  assert(searchEval.gainsFor([{ type: 'doc', id: 3, source_id: 'file:/kb/bread.md#1' }, { type: 'doc', id: 4, source_id: 'file:/kb/bread.md#2' }], labels[1].relevance).join() === '2,0', 'prefix labels match once per file');
+
+  // Search with explain
+  const anchorId = await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'doc:anchor', title: 'Mooring', content: '# Mooring\n\nDrop the anchor chain slowly in the harbor.' });
+  await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'doc:harbor', title: 'Harbor fees', content: 'Harbor harbor harbor fees are paid at the harbor office near the chain of harbor shops.' });
+  await dbClient.indexDocument({ sourceType: 'doc', sourceId: 'file:/kb/bread.md#0', title: 'Bread', content: 'A sourdough starter needs daily feeding.' });
+
+  let results = await dbClient.searchHybrid('harbor chain', 5, { fusion: 'rrf', explain: true, rerank: false });
+  const top = results[0];
+  assert(top.explain.fusion === 'rrf' && top.explain.bm25.rank === 1 && typeof top.explain.passage === 'number', 'explain carries fusion components and the scoring passage');
+  assert(close(top.hybridScore, top.explain.bm25.contribution + top.explain.vector.contribution), 'contributions add up to the score');
+  assert(top.passages[0].explain && !top.explain.rerank, 'passages explained; no rerank entry without a reranker');
+  assert(!(await dbClient.searchHybrid('harbor chain', 5, { rerank: false }))[0].explain, 'no explain output unless asked');
+
+  // Cross-encoder reorders the fused window
+  results = await dbClient.searchHybrid('harbor chain', 5, { rerank: 'cross-encoder', explain: true });
+  assert(results[0].id === anchorId && results[0].rerankScore === 0.9, 'cross-encoder moves the best passage up');
+  assert(results[0].explain.rerank.method === 'cross-encoder' && results[0].explain.rerank.position === 1, 'rerank step explained');
+  assert(scored.some(t => t.includes('Drop the anchor chain')), 'cross-encoder scores passage text');
+  config.indexer.reranker = 'cross-encoder';
+  assert((await dbClient.searchHybrid('harbor chain', 5))[0].id === anchorId, 'configured reranker used by default');
+  config.indexer.reranker = 'none';
+
+  const viaTool = JSON.parse(await tools.search_index({ query: 'harbor chain', limit: 5, fusion: 'zscore', explain: true }));
+  assert(viaTool[0].explain.fusion === 'zscore', 'search_index passes fusion and explain through');
+
+  // Evaluation over configurations
+  const summary = await searchEval.evaluateSearch({
+    labels,
+    k: 5,
+    configurations: [...searchEval.defaultConfigurations(), { name: 'rrf + cross-encoder', fusion: 'rrf', rerank: 'cross-encoder' }],
+    search: dbClient.searchHybrid
+  });
+  assert(summary.configurations.length === 10 && summary.queries === 2, 'every configuration evaluated over every query');
+  assert(summary.configurations[0].name === 'rrf + cross-encoder' && summary.configurations[0].ndcg === 1 && summary.configurations[0].mrr === 1, 'best configuration ranked first');
+  const bm25Only = summary.configurations.find(c => c.name === 'weighted bm25=0.7 vector=0.3');
+  assert(bm25Only.perQuery[0].rr === 0.5 && bm25Only.perQuery[1].ndcg === 1, 'per-query metrics reported');
+  assert(/\| rrf \+ cross-encoder \| 1\.000 \| 1\.000 \| 1\.000 \|/.test(searchEval.formatTable(summary)), 'markdown table of results');
+
+  console.log('\n=== Search Fusion Test Completed Successfully ===\n');
+}
+
+testSearchFusion()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Search Fusion Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,100 @@
+// test-source-policy.js
+// Domain allow/deny lists, recency, reliability weights and scores learned from report ratings.
+// Runs offline: a stub dbClient stands in for the source_reliability table.
+const config = require('../config');
+const sourcePolicy = require('../src/utils/sourcePolicy');
+const citationRegistry = require('../src/utils/citationRegistry');
+const citationValidator = require('../src/utils/citationValidator');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+// In-memory stand-in for dbClient's source reliability API
+const rows = new Map();
+const stubDb = {
+  async getSourceReliability() { return [...rows.values()]; },
+  async recordSourceRatings(domains, value, replaces = null) {
+    return domains.map(domain => {
+      const r = rows.get(domain) || { domain, score: 0, ratings: 0 };
+      const next = replaces === null
+        ? { domain, score: (r.score * r.ratings + value) / (r.ratings + 1), ratings: r.ratings + 1 }
+        : { domain, score: (r.score * r.ratings - replaces + value) / r.ratings, ratings: r.ratings };
+      rows.set(domain, next);
+      return next;
+    });
+  }
+};
+
+async function testSourcePolicy() {
+  console.log('\n=== Testing source policy ===\n');
+
+  config.sourcePolicy = { ...config.sourcePolicy, allow: [], deny: ['spam.example'], weights: { 'nature.com': 0.9 }, maxAgeDays: 365, minReliability: 0 };
+  const policy = sourcePolicy.resolvePolicy({ deny: ['https://www.content-farm.example/x'], weights: { 'nature.com': 0.95, 'medium.com': 0.3 }, maxAgeDays: 30, minReliability: 0.35 });
+  assert(policy.deny.join(',') === 'spam.example,content-farm.example', 'server and request deny lists are merged and normalized');
+  assert(policy.weights['nature.com'] === 0.95 && policy.maxAgeDays === 30 && policy.minReliability === 0.35, 'request weights override, stricter limits win');
+  assert(sourcePolicy.isRestrictive(sourcePolicy.resolvePolicy()), 'a server deny list makes the default policy restrictive');
+
+  assert(sourcePolicy.domainOf('https://www.Nature.com/articles/1') === 'nature.com', 'domains are lowercased without www');
+  assert(sourcePolicy.matchDomain('pubmed.ncbi.nlm.nih.gov', ['gov', 'nih.gov']) === 'nih.gov', 'longest matching suffix wins');
+  assert(!sourcePolicy.matchDomain('notnih.gov', ['nih.gov']), 'suffix matching respects label boundaries');
+
+  const now = new Date('2026-10-19T00:00:00Z');
+  assert(sourcePolicy.evaluate('https://blog.spam.example/a', policy, now).reason === 'denied', 'subdomains of denied domains are denied');
+  assert(sourcePolicy.evaluate('https://medium.com/@x/post', policy, now).reason === 'low_reliability', 'weights below the floor are dropped');
+  assert(sourcePolicy.evaluate('https://news.example/2024/03/story', policy, now).reason === 'stale', 'URL dates count toward recency');
+  assert(sourcePolicy.evaluate({ url: 'https://news.example/story', publishedDate: '2026-10-10' }, policy, now).allowed, 'recent results are kept');
+  assert(sourcePolicy.evaluate('https://undated.example/page', policy, now).allowed, 'sources without a known date are not treated as stale');
+
+  const allowOnly = sourcePolicy.resolvePolicy({ allow: ['nih.gov', 'nature.com'] });
+  assert(sourcePolicy.evaluate('https://example.org', allowOnly).reason === 'not_allowed' && sourcePolicy.evaluate('https://www.ncbi.nlm.nih.gov/x', allowOnly).allowed, 'allow lists admit only listed domains');
+
+  const { kept, dropped } = sourcePolicy.filterResults([
+    { title: 'Blog', url: 'https://some.blog/post' },
+    { title: 'Nature', url: 'https://www.nature.com/articles/2' },
+    { title: 'Spam', url: 'https://spam.example/' }
+  ], policy);
+  assert(kept.map(r => r.title).join(',') === 'Nature,Blog' && dropped[0].reason === 'denied', 'search results filtered and ranked by reliability');
+
+  const prompt = sourcePolicy.describeForPrompt(policy);
+  assert(prompt.includes('spam.example') && prompt.includes('nature.com') && prompt.includes('30 days'), 'prompt text lists denied and preferred domains and the recency limit');
+
+  // Learned scores move reliability gradually toward report ratings
+  const before = sourcePolicy.reliability('https://some.blog/x', policy).score;
+  const updated = await sourcePolicy.recordRating(stubDb, ['https://some.blog/a', 'https://some.blog/b', 'https://www.nature.com/x'], 5);
+  assert(updated.join(',') === 'some.blog,nature.com', 'one rating per cited domain');
+  for (let i = 0; i < 4; i++) await sourcePolicy.recordRating(stubDb, ['https://some.blog/a'], 5);
+  const after = sourcePolicy.reliability('https://some.blog/x', policy);
+  assert(before === 0.5 && after.score === 0.75 && after.learned.ratings === 5, 'learned score blends with the prior');
+  await sourcePolicy.recordRating(stubDb, ['https://www.nature.com/x'], 1, 5);
+  assert(rows.get('nature.com').ratings === 1 && rows.get('nature.com').score === 0, 're-rating a report replaces its earlier rating');
+  rows.clear();
+  assert(await sourcePolicy.loadLearnedScores(stubDb) === 0 && sourcePolicy.reliability('https://some.blog/x', policy).score === 0.5, 'learned scores reload from the database');
+
+  // The registry leaves out sources the policy rules out
+  const registry = citationRegistry.collectSources([
+    { agentId: 1, query: 'q', result: 'See https://spam.example/a and https://www.nature.com/articles/3', sources: [{ title: 'Old', url: 'https://news.example/2020/01/old' }] }
+  ], [], policy);
+  assert(registry.map(s => s.url).join(' ') === 'https://www.nature.com/articles/3', 'denied and stale sources are not offered to synthesis');
+
+  const linked = citationRegistry.linkReport('Fact [1]. Other [Source: Spam — https://spam.example/b].', registry, { model: 'synth' });
+  const breakdown = sourcePolicy.qualityBreakdown(linked.sources, policy);
+  assert(breakdown.cited === 2 && breakdown.tiers.high === 1 && breakdown.violations[0].reason === 'denied', 'breakdown counts tiers and flags cited policy violations');
+  assert(linked.sources[0].reliability === 0.95 && linked.sources[0].domain === 'nature.com', 'sources record domain and reliability');
+  const section = sourcePolicy.formatQualitySection(breakdown);
+  assert(section.startsWith('## Source Quality') && section.includes('| nature.com | [1] | 0.95 (high) |') && section.includes('denied domain'), 'report section has a row per domain and lists violations');
+  assert(sourcePolicy.formatQualitySection(null) === '', 'no section without cited sources');
+
+  // Trusted and skip-validation lists come from config and match subdomains
+  assert(citationValidator.isTrustedDomain('https://docs.github.com/en') && !citationValidator.isTrustedDomain('https://github.com.evil.example'), 'trusted domains match by suffix only');
+  assert((await citationValidator.validateUrl('https://www.linkedin.com/in/x')).status === 'skipped', 'skip-validation domains come from config');
+
+  console.log('\n=== Source Policy Test Completed Successfully ===\n');
+}
+
+testSourcePolicy().catch(err => {
+  console.error('\n=== Source Policy Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+// test-tenancy.js
+// Tenant isolation: tenant ids come from the auth principal, and reports, hybrid search, jobs
+// with their events, watches, cost events and cached results stay inside the tenant that
+// wrote them. Search runs BM25-only on a throwaway PGLite database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenancy-'));
+Object.assign(process.env, {
+  PGLITE_DATA_DIR: dataDir,
+  INDEXER_ENABLED: 'true',
+  INDEXER_EMBED_DOCS: 'false',
+  INDEXER_AUTO_INDEX_REPORTS: 'false',
+  TENANT_ISOLATION: 'true',
+  TENANT_CLAIM: 'org',
+  TENANT_API_KEYS: JSON.stringify({ 'team-b-secret': 'team-b' })
+});
+
+const tenancy = require('../src/utils/tenancy');
+const dbClient = require('../src/utils/dbClient');
+const advancedCache = require('../src/utils/advancedCache');
+const watchScheduler = require('../src/server/watchScheduler');
+const tools = require('../src/server/tools');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+async function rejects(promise, pattern, msg) {
+  await Promise.resolve().then(() => promise).then(
+    () => assert(false, msg),
+    err => assert(pattern.test(err.message), msg)
+  );
+}
+
+const asA = fn => tenancy.runAsTenant('team-a', fn);
+const asB = fn => tenancy.runAsTenant('team-b', fn);
+
+async function testTenancy() {
+  console.log('\n=== Testing tenant isolation ===\n');
+  await dbClient.waitForInit();
+
+  // Tenant ids come from the principal
+  assert(tenancy.tenantForJwt({ org: 'team-a', sub: 'u1' }, 'u1') === 'team-a', 'JWT tenant read from the configured claim');
+  assert(tenancy.tenantForJwt({ sub: 'svc' }, 'svc') === 'svc', 'JWT without the claim uses its client id');
+  assert(tenancy.tenantForApiKey('team-b-secret') === 'team-b' && tenancy.tenantForApiKey('nope') === null, 'API keys map to their tenant');
+  assert(tenancy.tenantForAuth({ clientId: 'x' }) === 'default' && tenancy.tenantForAuth({ tenant: 'team-a' }) === 'team-a', 'callers without a tenant are in default');
+  assert(tenancy.currentTenant() === 'default' && await asA(async () => tenancy.currentTenant()) === 'team-a', 'tenant context follows async calls');
+
+  // Reports
+  const reportA = Number(await asA(() => dbClient.saveResearchReport({ originalQuery: 'Tidal energy outlook', parameters: {}, finalReport: 'Team A: tidal turbines scale slowly.' })));
+  const reportB = Number(await asB(() => dbClient.saveResearchReport({ originalQuery: 'Tidal energy outlook', parameters: {}, finalReport: 'Team B: tidal lagoons are costly.' })));
+  assert((await asA(() => dbClient.getReportById(reportA))).final_report.startsWith('Team A'), 'owner reads its report');
+  await rejects(asB(() => dbClient.getReportById(reportA)), /not found/i, 'another tenant cannot read the report');
+  await rejects(dbClient.getReportById(reportB), /not found/i, 'the default tenant cannot read tenant reports');
+  const recentB = await asB(() => dbClient.listRecentReports(10));
+  assert(recentB.length === 1 && Number(recentB[0].id) === reportB, 'history lists the tenant reports only');
+  assert((await asA(() => dbClient.findReportsByQuery('Tidal energy outlook'))).every(r => Number(r.id) === reportA), 'query lookup stays in the tenant');
+  await asB(() => tools.rateResearchReport({ reportId: String(reportA), rating: 1 })).catch(() => {});
+  assert(!(await asA(() => dbClient.getReportById(reportA))).rating, 'another tenant cannot rate the report');
+
+  // Index and hybrid search
+  await asA(() => dbClient.indexDocument({ sourceType: 'doc', sourceId: 'doc:turbines', title: 'Turbines', content: 'Tidal turbines spin in strong currents.' }));
+  await asB(() => dbClient.indexDocument({ sourceType: 'doc', sourceId: 'doc:lagoons', title: 'Lagoons', content: 'Tidal lagoons hold water behind a wall.' }));
+  await asB(() => dbClient.indexDocument({ sourceType: 'doc', sourceId: 'doc:turbines', title: 'B turbines', content: 'Team B notes on tidal turbines.' }));
+  const ids = rows => rows.map(r => r.source_id).sort().join(',');
+  assert(ids(await asA(() => dbClient.searchHybrid('tidal', 10))) === 'doc:turbines', 'search returns the tenant documents only');
+  const bHits = await asB(() => dbClient.searchHybrid('tidal turbines', 10));
+  assert(ids(bHits) === 'doc:lagoons,doc:turbines' && bHits.every(r => !/spin/.test(r.content || r.snippet || '')), 'the same source id is a separate document per tenant');
+  assert((await dbClient.searchHybrid('tidal', 10)).length === 0, 'the default tenant sees neither');
+  assert((await asA(() => dbClient.getIndexStats())).documents === 1, 'index stats count the tenant documents');
+
+  // Jobs and their events
+  const jobA = await asA(() => dbClient.createJob('research', { query: 'Tidal energy outlook' }));
+  await asA(() => dbClient.appendJobEvent(jobA, 'progress', { step: 1 }));
+  assert(await asB(() => dbClient.appendJobEvent(jobA, 'progress', { step: 'forged' })) === null, 'events cannot be appended to another tenant job');
+  assert((await asA(() => dbClient.getJobEvents(jobA))).length === 1, 'owner reads its job events');
+  assert((await asB(() => dbClient.getJobEvents(jobA))).length === 0 && await asB(() => dbClient.getJobStatus(jobA)) === null, 'another tenant sees neither the job nor its events');
+  await asB(() => dbClient.cancelJob(jobA));
+  assert((await asA(() => dbClient.getJobStatus(jobA))).status === 'queued', 'another tenant cannot cancel the job');
+  const statusB = await asB(() => tools.getJobStatusTool({ job_id: jobA }));
+  assert(!String(statusB).includes('Tidal energy outlook'), 'job status tool hides other tenant jobs');
+
+  // Watches run as their owner
+  const watchA = await asA(() => dbClient.createWatch({ query: 'Tidal energy news', params: {}, schedule: '@daily', nextRunAt: new Date(Date.now() - 1000) }));
+  assert((await asB(() => dbClient.listWatches())).length === 0 && await asB(() => dbClient.getWatch(watchA)) === null, 'watches are listed to their tenant only');
+  assert(await asB(() => dbClient.deleteWatch(watchA)) === false, 'another tenant cannot delete the watch');
+  const aliceWatch = await asA(() => dbClient.createWatch({ query: 'Tidal energy patents', params: {}, schedule: '@daily', clientId: 'alice', nextRunAt: new Date(Date.now() + 86400000) }));
+  assert(await asA(() => dbClient.getWatch(aliceWatch, { clientId: 'bob' })) === null && (await asA(() => dbClient.getWatch(aliceWatch, { clientId: 'alice' })))?.id === aliceWatch, 'a client reads only its own watches');
+  const bobList = JSON.parse(await asA(() => tools.watchList({}, { authInfo: { clientId: 'bob' } })));
+  assert(!JSON.stringify(bobList).includes(aliceWatch), 'watch list hides other clients\' watches');
+  const [run] = await watchScheduler.runDueWatches();
+  assert(run && run.watchId === watchA, 'the scheduler picks up every tenant watch');
+  assert(await asA(() => dbClient.getJobStatus(run.jobId)) && await dbClient.getJobStatus(run.jobId) === null, 'watch runs are enqueued in the watch tenant');
+
+  // Cost ledger
+  await asA(() => dbClient.recordCostEvents([{ requestId: 'req-a', model: 'm', stage: 'synthesis', prompt_tokens: 10, completion_tokens: 5, usd: 0.5 }]));
+  const costA = await asA(() => dbClient.getCostReport({ groupBy: 'model' }));
+  assert(costA.length === 1 && costA[0].usd === 0.5 && (await asB(() => dbClient.getCostReport({ groupBy: 'model' }))).length === 0, 'cost reports cover the tenant events only');
+
+  // Caches and SQL
+  assert(await asA(async () => advancedCache.generateSemanticKey('q')) !== await asB(async () => advancedCache.generateSemanticKey('q')), 'cache keys differ per tenant');
+  await rejects(asA(() => tools.executeSql({ sql: 'SELECT 1' })), /not available to tenant callers/, 'raw SQL refused to tenant callers');
+  assert(JSON.parse(await tools.executeSql({ sql: 'SELECT 1 AS one' }))[0].one === 1, 'raw SQL still available to the default tenant');
+  assert(/Invalid tenant id/.test((() => { try { tenancy.normalizeTenant('a\nb'); return ''; } catch (e) { return e.message; } })()), 'control characters rejected in tenant ids');
+
+  console.log('\n=== Tenancy Test Completed Successfully ===\n');
+}
+
+testTenancy()
+  .then(() => { fs.rmSync(dataDir, { recursive: true, force: true }); process.exit(0); })
+  .catch(err => {
+    console.error('\n=== Tenancy Test Failed ===\n');
+    console.error(err.stack || err.message);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(1);
+  });
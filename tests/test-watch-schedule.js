@@ -0,0 +1,94 @@
+// test-watch-schedule.js
+// Cron parsing, enqueuing due watch runs and material-change notifications.
+// Offline: the watches/jobs/reports tables are replaced with in-memory maps.
+const dbClient = require('../src/utils/dbClient');
+const { nextRun, parseCron } = require('../src/utils/cronSchedule');
+const watchScheduler = require('../src/server/watchScheduler');
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+  console.log(`  ok - ${msg}`);
+}
+
+function useMemoryStore() {
+  const watches = new Map();
+  const jobs = new Map();
+  const reports = new Map();
+  Object.assign(dbClient, {
+    getDueWatches: async () => [...watches.values()].filter(w => w.enabled && w.next_run_at <= new Date()),
+    advanceWatch: async (id, expected, next) => {
+      const w = watches.get(id);
+      if (!w || w.next_run_at.getTime() !== new Date(expected).getTime()) return false;
+      w.next_run_at = next;
+      return true;
+    },
+    recordWatchRun: async (id, jobId) => { watches.get(id).last_job_id = jobId; },
+    recordWatchReport: async (id, reportId, diff) => Object.assign(watches.get(id), { last_report_id: reportId, last_diff: diff }),
+    getWatch: async (id) => watches.get(id) || null,
+    createJob: async (type, params) => { const id = `job_${jobs.size + 1}`; jobs.set(id, { id, status: 'queued', params }); return id; },
+    appendJobEvent: async () => {},
+    getJobStatus: async (id) => jobs.get(id) || null,
+    getClientUsage: async () => null,
+    getReportById: async (id) => reports.get(String(id))
+  });
+  return { watches, jobs, reports };
+}
+
+async function testWatchSchedule() {
+  console.log('\n=== Testing watch schedules ===\n');
+
+  const from = new Date('2026-10-19T09:58:30Z'); // a Monday
+  assert(nextRun('*/15 * * * *', from).toISOString() === '2026-10-19T10:00:00.000Z', 'step minutes');
+  assert(nextRun('0 9 * * 1', from).toISOString() === '2026-10-26T09:00:00.000Z', 'weekly on Monday rolls to next week');
+  assert(nextRun('@monthly', from).toISOString() === '2026-11-01T00:00:00.000Z', 'alias');
+  assert(nextRun('0 0 29 2 *', from).toISOString() === '2028-02-29T00:00:00.000Z', 'leap day');
+  assert(parseCron('0 12 * * 7').dayOfWeek.has(0), 'day-of-week 7 is Sunday');
+  let threw = false;
+  try { nextRun('61 * * * *'); } catch (_) { threw = true; }
+  assert(threw, 'out-of-range field rejected');
+
+  const { watches, jobs, reports } = useMemoryStore();
+  const due = new Date(Date.now() - 1000);
+  watches.set('watch_1', { id: 'watch_1', query: 'PGLite releases', params: { costPreference: 'low' }, schedule: '@weekly', notify_on: 'material', min_changes: 2, enabled: true, next_run_at: due, last_job_id: null, last_report_id: null });
+
+  // First run: plain research, slot advances
+  const started = await watchScheduler.runDueWatches();
+  const job = jobs.get(started[0].jobId);
+  assert(started.length === 1 && job.params._watchId === 'watch_1' && !job.params._refreshOfReportId, 'due watch enqueues a research job');
+  assert(watches.get('watch_1').next_run_at > new Date(), 'watch advances to its next slot');
+  assert((await watchScheduler.runDueWatches()).length === 0, 'a claimed slot is not enqueued twice');
+
+  const updates = [];
+  watchScheduler.startWatchScheduler({ onUpdate: async (u) => { updates.push(u); } });
+  watchScheduler.stopWatchScheduler();
+
+  reports.set('10', { id: 10, version: 1, final_report: '## Releases\nPGLite 0.2 added pgvector support for embeddings.' });
+  const first = await watchScheduler.handleJobSucceeded(started[0].jobId, job.params, '10');
+  assert(first.material && updates.length === 1, 'first version always notifies');
+
+  // Second run refreshes the first report; an unchanged report is not material
+  job.status = 'succeeded';
+  watches.get('watch_1').next_run_at = new Date(Date.now() - 1000);
+  const [second] = await watchScheduler.runDueWatches();
+  const secondParams = jobs.get(second.jobId).params;
+  assert(secondParams._refreshOfReportId === '10', 'later runs refresh the previous version');
+  reports.set('11', { id: 11, version: 2, final_report: reports.get('10').final_report });
+  const quiet = await watchScheduler.handleJobSucceeded(second.jobId, secondParams, '11');
+  assert(!quiet.material && updates.length === 1, 'immaterial change does not notify');
+  assert(watches.get('watch_1').last_report_id === '11', 'latest version recorded either way');
+
+  reports.set('12', { id: 12, version: 3, final_report: '## Releases\nPGLite 0.3 added pgvector support for embeddings.\nPGLite now ships a Rust sync engine for replication.' });
+  const loud = await watchScheduler.handleJobSucceeded('job_x', { _watchId: 'watch_1', _refreshOfReportId: '11' }, '12');
+  assert(loud.material && loud.changes >= 2 && updates.length === 2, 'material change notifies');
+  assert(updates[1].uri === 'research://watches/watch_1', 'update carries the watch resource uri');
+
+  assert(await watchScheduler.handleJobSucceeded('job_y', { query: 'x' }, '13') === null, 'non-watch jobs are ignored');
+
+  console.log('\n=== Watch Schedule Test Completed Successfully ===\n');
+}
+
+testWatchSchedule().then(() => process.exit(0)).catch(err => {
+  console.error('\n=== Watch Schedule Test Failed ===\n');
+  console.error(err.stack || err.message);
+  process.exit(1);
+});